@@ -0,0 +1,41 @@
+import codeGradingService from "../../utils/codeGradingService.js";
+import redisService from "../../utils/redis.js";
+
+const processQueuedCodeAnswers = async () => {
+  const lock = await redisService.acquireLock("code_grading_jobs", 900, 1);
+  if (!lock.acquired) {
+    console.log("Code grading job already running, skipping");
+    return;
+  }
+
+  try {
+    const { graded } = await codeGradingService.gradeQueuedAttempts();
+    if (graded > 0) {
+      console.log(`Code grading job graded ${graded} queued quiz attempts`);
+    }
+  } catch (error) {
+    console.error("Error grading queued code answers:", error);
+  } finally {
+    await lock.release();
+  }
+};
+
+const scheduleCodeGradingJobs = async () => {
+  const cron = await import("node-cron");
+
+  cron.schedule("*/5 * * * *", async () => {
+    await processQueuedCodeAnswers();
+  });
+};
+
+const initializeCodeGradingJobs = () => {
+  console.log("Initializing code grading jobs...");
+
+  scheduleCodeGradingJobs();
+
+  console.log("Code grading jobs initialized");
+};
+
+export default initializeCodeGradingJobs;
+
+export { processQueuedCodeAnswers };
@@ -0,0 +1,193 @@
+import { PrismaClient } from "@prisma/client";
+import redisService from "../../utils/redis.js";
+import notificationService from "../../utils/notificationservice.js";
+import { getReleaseDate, isDripEnabled } from "../../helper/dripSchedule.js";
+
+const prisma = new PrismaClient();
+
+const LAST_RUN_KEY = "drip:last_run";
+const DRIP_INTERVAL_MINUTES = 15;
+const ENROLLMENT_BATCH_SIZE = 200;
+
+const getUnlockedContent = (course, enrollment, since, now) => {
+  const unlocked = [];
+
+  course.sections.forEach((section) => {
+    const sectionRelease = getReleaseDate(
+      course.courseSettings,
+      enrollment.createdAt,
+      { sectionId: section.id }
+    );
+
+    if (sectionRelease && sectionRelease > since && sectionRelease <= now) {
+      unlocked.push({ type: "section", id: section.id, title: section.title });
+      return;
+    }
+
+    section.lessons.forEach((lesson) => {
+      const lessonRelease = getReleaseDate(
+        course.courseSettings,
+        enrollment.createdAt,
+        { sectionId: section.id, lessonId: lesson.id }
+      );
+
+      if (lessonRelease && lessonRelease > since && lessonRelease <= now) {
+        unlocked.push({ type: "lesson", id: lesson.id, title: lesson.title });
+      }
+    });
+  });
+
+  return unlocked;
+};
+
+const notifyUnlockedContent = async (course, enrollment, unlocked) => {
+  const [first] = unlocked;
+  const message =
+    unlocked.length === 1
+      ? `"${first.title}" is now available in ${course.title}`
+      : `${unlocked.length} new items are now available in ${course.title}`;
+
+  await notificationService.createNotification({
+    userId: enrollment.student.userId,
+    type: "COURSE_UPDATED",
+    title: "New content unlocked",
+    message,
+    priority: "NORMAL",
+    data: {
+      courseId: course.id,
+      courseTitle: course.title,
+      reason: "DRIP_RELEASE",
+      unlocked,
+    },
+    actionUrl: `/student/courses/${course.id}/learn`,
+  });
+
+  await redisService.invalidateCache(
+    `course_content:*userId=${enrollment.student.userId}*courseId=${course.id}*`
+  );
+};
+
+const processCourseReleases = async (course, since, now) => {
+  let cursor = null;
+  let notified = 0;
+
+  while (true) {
+    const enrollments = await prisma.enrollment.findMany({
+      where: { courseId: course.id, status: "ACTIVE" },
+      select: {
+        id: true,
+        createdAt: true,
+        student: { select: { userId: true } },
+      },
+      orderBy: { id: "asc" },
+      take: ENROLLMENT_BATCH_SIZE,
+      ...(cursor && { skip: 1, cursor: { id: cursor } }),
+    });
+
+    if (enrollments.length === 0) {
+      break;
+    }
+
+    for (const enrollment of enrollments) {
+      const unlocked = getUnlockedContent(course, enrollment, since, now);
+      if (unlocked.length === 0) continue;
+
+      try {
+        await notifyUnlockedContent(course, enrollment, unlocked);
+        notified++;
+      } catch (error) {
+        console.error(
+          `Failed to send drip notification for enrollment ${enrollment.id}:`,
+          error
+        );
+      }
+    }
+
+    if (enrollments.length < ENROLLMENT_BATCH_SIZE) {
+      break;
+    }
+
+    cursor = enrollments[enrollments.length - 1].id;
+  }
+
+  return notified;
+};
+
+const processDripReleases = async () => {
+  const lock = await redisService.acquireLock("drip_releases", 600, 1);
+  if (!lock.acquired) {
+    console.log("Drip release job already running, skipping");
+    return;
+  }
+
+  try {
+    const now = new Date();
+    const lastRun = await redisService.get(LAST_RUN_KEY);
+    const since = lastRun
+      ? new Date(lastRun)
+      : new Date(now.getTime() - DRIP_INTERVAL_MINUTES * 60 * 1000);
+
+    const courses = await prisma.course.findMany({
+      where: {
+        status: "PUBLISHED",
+        courseSettings: { drip: true },
+      },
+      select: {
+        id: true,
+        title: true,
+        courseSettings: {
+          select: { drip: true, dripSchedule: true },
+        },
+        sections: {
+          where: { isPublished: true },
+          orderBy: { order: "asc" },
+          select: {
+            id: true,
+            title: true,
+            lessons: {
+              orderBy: { order: "asc" },
+              select: { id: true, title: true },
+            },
+          },
+        },
+      },
+    });
+
+    let notified = 0;
+
+    for (const course of courses) {
+      if (!isDripEnabled(course.courseSettings)) continue;
+      notified += await processCourseReleases(course, since, now);
+    }
+
+    await redisService.set(LAST_RUN_KEY, now.toISOString());
+
+    console.log(
+      `Drip release job processed ${courses.length} courses, sent ${notified} notifications`
+    );
+  } catch (error) {
+    console.error("Error processing drip releases:", error);
+  } finally {
+    await lock.release();
+  }
+};
+
+const scheduleDripReleases = async () => {
+  const cron = await import("node-cron");
+
+  cron.schedule(`*/${DRIP_INTERVAL_MINUTES} * * * *`, async () => {
+    await processDripReleases();
+  });
+};
+
+const initializeDripJobs = () => {
+  console.log("Initializing drip release jobs...");
+
+  scheduleDripReleases();
+
+  console.log("Drip release jobs initialized");
+};
+
+export default initializeDripJobs;
+
+export { processDripReleases, getUnlockedContent };
@@ -0,0 +1,54 @@
+import gamificationService from "../../utils/gamificationService.js";
+import redisService from "../../utils/redis.js";
+
+const resetLapsedStreaks = async () => {
+  const lock = await redisService.acquireLock("gamification_streaks", 600, 1);
+  if (!lock.acquired) {
+    console.log("Streak reset job already running, skipping");
+    return;
+  }
+
+  try {
+    const count = await gamificationService.resetLapsedStreaks();
+    console.log(`Streak reset job cleared ${count} lapsed streaks`);
+  } catch (error) {
+    console.error("Error resetting learning streaks:", error);
+  } finally {
+    await lock.release();
+  }
+};
+
+const scheduleGamificationJobs = async () => {
+  const cron = await import("node-cron");
+
+  cron.schedule(
+    "10 0 * * *",
+    async () => {
+      await resetLapsedStreaks();
+    },
+    { timezone: "UTC" }
+  );
+};
+
+const initializeGamificationJobs = () => {
+  console.log("Initializing gamification jobs...");
+
+  gamificationService
+    .ensureDefaultRules()
+    .then((count) => {
+      if (count > 0) {
+        console.log(`Seeded ${count} default achievement rules`);
+      }
+    })
+    .catch((error) =>
+      console.error("Failed to seed default achievement rules:", error)
+    );
+
+  scheduleGamificationJobs();
+
+  console.log("Gamification jobs initialized");
+};
+
+export default initializeGamificationJobs;
+
+export { resetLapsedStreaks };
@@ -0,0 +1,41 @@
+import giftService from "../../utils/giftService.js";
+import redisService from "../../utils/redis.js";
+
+const processGiftDeliveries = async () => {
+  const lock = await redisService.acquireLock("gift_delivery", 600, 1);
+  if (!lock.acquired) {
+    console.log("Gift delivery job already running, skipping");
+    return;
+  }
+
+  try {
+    const { delivered } = await giftService.deliverDueGifts();
+    if (delivered > 0) {
+      console.log(`Gift delivery job sent ${delivered} scheduled gifts`);
+    }
+  } catch (error) {
+    console.error("Error delivering scheduled gifts:", error);
+  } finally {
+    await lock.release();
+  }
+};
+
+const scheduleGiftJobs = async () => {
+  const cron = await import("node-cron");
+
+  cron.schedule("*/15 * * * *", async () => {
+    await processGiftDeliveries();
+  });
+};
+
+const initializeGiftJobs = () => {
+  console.log("Initializing gift jobs...");
+
+  scheduleGiftJobs();
+
+  console.log("Gift jobs initialized");
+};
+
+export default initializeGiftJobs;
+
+export { processGiftDeliveries };
@@ -0,0 +1,55 @@
+import liveSessionService from "../../utils/liveSessionService.js";
+import redisService from "../../utils/redis.js";
+
+const processLiveSessions = async () => {
+  const lock = await redisService.acquireLock("live_session_jobs", 240, 1);
+  if (!lock.acquired) {
+    console.log("Live session job already running, skipping");
+    return;
+  }
+
+  try {
+    const reminders = await liveSessionService.sendDueReminders();
+    const closed = await liveSessionService.closeStaleSessions();
+
+    const courseIds = [...new Set(closed.map((session) => session.courseId))];
+    await Promise.all(
+      courseIds.map((courseId) =>
+        redisService.delPattern(`live_sessions:${courseId}*`)
+      )
+    );
+
+    if (
+      reminders.dayReminders + reminders.startReminders > 0 ||
+      closed.length > 0
+    ) {
+      console.log(
+        `Live session job sent ${reminders.dayReminders} day and ${reminders.startReminders} start reminders, closed ${closed.length} stale sessions`
+      );
+    }
+  } catch (error) {
+    console.error("Error processing live sessions:", error);
+  } finally {
+    await lock.release();
+  }
+};
+
+const scheduleLiveSessionJobs = async () => {
+  const cron = await import("node-cron");
+
+  cron.schedule("*/5 * * * *", async () => {
+    await processLiveSessions();
+  });
+};
+
+const initializeLiveSessionJobs = () => {
+  console.log("Initializing live session jobs...");
+
+  scheduleLiveSessionJobs();
+
+  console.log("Live session jobs initialized");
+};
+
+export default initializeLiveSessionJobs;
+
+export { processLiveSessions };
@@ -0,0 +1,92 @@
+import payoutService from "../../utils/payoutService.js";
+import payoutBatchService from "../../utils/payoutBatchService.js";
+import earningLedgerService from "../../utils/earningLedgerService.js";
+import redisService from "../../utils/redis.js";
+
+const processPayouts = async () => {
+  const lock = await redisService.acquireLock("payout_executor", 600, 1);
+  if (!lock.acquired) {
+    console.log("Payout job already running, skipping");
+    return;
+  }
+
+  try {
+    const released = await earningLedgerService.releaseDueEarnings();
+    if (released.released > 0) {
+      console.log(
+        `Payout job released ${released.released} earnings from the refund hold`
+      );
+    }
+
+    const batches = await payoutBatchService.executeApprovedBatches();
+    if (batches.batches > 0) {
+      console.log(
+        `Payout job submitted ${batches.submitted} payouts from ${batches.batches} approved batches`
+      );
+    }
+
+    const reconciled = await payoutService.reconcileProcessingPayouts();
+    const retried = await payoutService.retryDuePayouts();
+    console.log(
+      `Payout job reconciled ${reconciled.checked} payouts (${reconciled.completed} completed, ${reconciled.failed} failed) and retried ${retried.retried} (${retried.completed} completed, ${retried.failed} failed)`
+    );
+  } catch (error) {
+    console.error("Error processing payouts:", error);
+  } finally {
+    await lock.release();
+  }
+};
+
+const processScheduledPayoutRun = async () => {
+  const lock = await redisService.acquireLock("payout_schedule_run", 1800, 1);
+  if (!lock.acquired) {
+    console.log("Scheduled payout run already in progress, skipping");
+    return;
+  }
+
+  try {
+    const settings = await payoutBatchService.getScheduleSettings();
+    if (!settings.enabled || !payoutBatchService.isRunDue(settings)) {
+      return;
+    }
+
+    const { batch, created } = await payoutBatchService.runPayoutCycle();
+    console.log(
+      created
+        ? `Scheduled payout run created batch ${batch.id} with ${batch.payoutCount} payouts`
+        : `Scheduled payout run skipped, batch ${batch.id} already exists`
+    );
+  } catch (error) {
+    console.error("Error running scheduled payouts:", error);
+  } finally {
+    await lock.release();
+  }
+};
+
+const schedulePayoutJobs = async () => {
+  const cron = await import("node-cron");
+
+  cron.schedule("*/10 * * * *", async () => {
+    await processPayouts();
+  });
+
+  cron.schedule(
+    "0 2 * * *",
+    async () => {
+      await processScheduledPayoutRun();
+    },
+    { timezone: "UTC" }
+  );
+};
+
+const initializePayoutJobs = () => {
+  console.log("Initializing payout jobs...");
+
+  schedulePayoutJobs();
+
+  console.log("Payout jobs initialized");
+};
+
+export default initializePayoutJobs;
+
+export { processPayouts, processScheduledPayoutRun };
@@ -0,0 +1,152 @@
+import { PrismaClient } from "@prisma/client";
+import notificationService from "../../utils/notificationservice.js";
+import redisService from "../../utils/redis.js";
+import {
+  getPlanLessons,
+  refreshStudyPlanProgress,
+} from "../../helper/studyPlan.js";
+
+const prisma = new PrismaClient();
+
+const REMINDER_INTERVAL_MS = 3 * 24 * 60 * 60 * 1000;
+const BATCH_SIZE = 100;
+
+const formatMinutes = (minutes) => {
+  if (minutes < 60) return `${minutes} minutes`;
+  const hours = Math.round((minutes / 60) * 10) / 10;
+  return `${hours} hour${hours === 1 ? "" : "s"}`;
+};
+
+const sendBehindReminder = async (plan, evaluation) => {
+  await notificationService.createNotification({
+    userId: plan.student.userId,
+    type: "STUDY_PLAN_REMINDER",
+    title: "You're falling behind your study plan",
+    message: `You're about ${formatMinutes(
+      evaluation.minutesBehind
+    )} behind on "${plan.title}" for ${
+      plan.enrollment.course.title
+    }. A short session today will help you catch up.`,
+    priority: "NORMAL",
+    data: {
+      planId: plan.id,
+      courseId: plan.enrollment.courseId,
+      progress: evaluation.progress,
+      expectedProgress: evaluation.expectedProgress,
+      minutesBehind: evaluation.minutesBehind,
+    },
+    actionUrl: `/learning/study-plans/${plan.id}`,
+    sendEmail: true,
+    sendSocket: true,
+  });
+
+  await prisma.studyPlan.update({
+    where: { id: plan.id },
+    data: { lastReminderAt: new Date() },
+  });
+};
+
+const processStudyPlans = async () => {
+  const lock = await redisService.acquireLock("study_plan_jobs", 1800, 1);
+  if (!lock.acquired) {
+    console.log("Study plan job already running, skipping");
+    return;
+  }
+
+  let processed = 0;
+  let reminded = 0;
+  let completed = 0;
+
+  try {
+    let cursor = null;
+
+    while (true) {
+      const plans = await prisma.studyPlan.findMany({
+        where: {
+          isActive: true,
+          completedAt: null,
+          enrollment: { status: "ACTIVE" },
+        },
+        include: {
+          student: { select: { userId: true } },
+          enrollment: {
+            select: {
+              id: true,
+              courseId: true,
+              course: { select: { title: true } },
+            },
+          },
+        },
+        orderBy: { id: "asc" },
+        take: BATCH_SIZE,
+        ...(cursor && { skip: 1, cursor: { id: cursor } }),
+      });
+
+      if (plans.length === 0) break;
+      cursor = plans[plans.length - 1].id;
+
+      for (const plan of plans) {
+        try {
+          const lessons = await getPlanLessons(
+            plan.enrollment.courseId,
+            plan.studentId
+          );
+          const { evaluation } = await refreshStudyPlanProgress(plan, lessons);
+          if (!evaluation) continue;
+          processed++;
+
+          if (evaluation.isComplete) {
+            completed++;
+            continue;
+          }
+
+          const reminderDue =
+            !plan.lastReminderAt ||
+            Date.now() - new Date(plan.lastReminderAt).getTime() >=
+              REMINDER_INTERVAL_MS;
+
+          if (evaluation.status === "BEHIND" && reminderDue) {
+            await sendBehindReminder(plan, evaluation);
+            reminded++;
+          }
+        } catch (error) {
+          console.error(`Error processing study plan ${plan.id}:`, error);
+        }
+      }
+
+      if (plans.length < BATCH_SIZE) break;
+    }
+
+    console.log(
+      `Study plan job refreshed ${processed} plans, sent ${reminded} reminders, ${completed} plans completed`
+    );
+  } catch (error) {
+    console.error("Error processing study plans:", error);
+  } finally {
+    await lock.release();
+  }
+};
+
+const scheduleStudyPlanJobs = async () => {
+  const cron = await import("node-cron");
+
+  cron.schedule(
+    "0 14 * * *",
+    async () => {
+      await processStudyPlans();
+    },
+    { timezone: "UTC" }
+  );
+};
+
+const initializeStudyPlanJobs = () => {
+  console.log("Initializing study plan jobs...");
+
+  scheduleStudyPlanJobs();
+
+  console.log("Study plan jobs initialized");
+};
+
+export default initializeStudyPlanJobs;
+
+export { processStudyPlans };
@@ -0,0 +1,41 @@
+import subscriptionService from "../../utils/subscriptionService.js";
+import redisService from "../../utils/redis.js";
+
+const processLapsedSubscriptions = async () => {
+  const lock = await redisService.acquireLock("subscription_lapse", 600, 1);
+  if (!lock.acquired) {
+    console.log("Subscription lapse job already running, skipping");
+    return;
+  }
+
+  try {
+    const result = await subscriptionService.expireLapsedSubscriptions();
+    console.log(
+      `Subscription lapse job expired ${result.subscriptions} subscriptions and ${result.enrollments} enrollments`
+    );
+  } catch (error) {
+    console.error("Error expiring lapsed subscriptions:", error);
+  } finally {
+    await lock.release();
+  }
+};
+
+const scheduleSubscriptionJobs = async () => {
+  const cron = await import("node-cron");
+
+  cron.schedule("30 * * * *", async () => {
+    await processLapsedSubscriptions();
+  });
+};
+
+const initializeSubscriptionJobs = () => {
+  console.log("Initializing subscription jobs...");
+
+  scheduleSubscriptionJobs();
+
+  console.log("Subscription jobs initialized");
+};
+
+export default initializeSubscriptionJobs;
+
+export { processLapsedSubscriptions };
@@ -72,6 +72,7 @@ const storage = new CloudinaryStorage({
         "xlsx",
         "txt",
         "rtf",
+        "zip",
       ],
       resource_type: "auto",
 
@@ -248,6 +249,44 @@ export const uploadAssignmentResources = multer({
   },
 });
 
+export const uploadAssignmentSubmission = multer({
+  storage,
+  limits: {
+    fileSize: 25 * 1024 * 1024,
+    files: 5,
+  },
+  fileFilter: (req, file, cb) => {
+    const allowedTypes = [
+      "application/pdf",
+      "application/msword",
+      "application/vnd.openxmlformats-officedocument.wordprocessingml.document",
+      "application/vnd.openxmlformats-officedocument.presentationml.presentation",
+      "application/vnd.ms-excel",
+      "application/vnd.openxmlformats-officedocument.spreadsheetml.sheet",
+      "text/plain",
+      "application/rtf",
+      "application/zip",
+      "application/x-zip-compressed",
+      "image/jpeg",
+      "image/jpg",
+      "image/png",
+      "image/gif",
+      "image/webp",
+    ];
+
+    if (allowedTypes.includes(file.mimetype)) {
+      cb(null, true);
+    } else {
+      cb(
+        new Error(
+          "Only document, image and zip files are allowed for assignment submissions"
+        ),
+        false
+      );
+    }
+  },
+});
+
 export const uploadCourseMedia = multer({
   storage,
   limits: {
@@ -390,6 +429,37 @@ export const deleteFromCloudinary = async (
   }
 };
 
+export const uploadBufferToCloudinary = (buffer, options = {}) => {
+  const {
+    folder = "educademy/documents",
+    publicId,
+    resourceType = "raw",
+    format,
+    overwrite = true,
+  } = options;
+
+  return new Promise((resolve, reject) => {
+    const uploadStream = cloudinary.uploader.upload_stream(
+      {
+        folder,
+        resource_type: resourceType,
+        overwrite,
+        ...(publicId && { public_id: publicId }),
+        ...(format && { format }),
+      },
+      (error, result) => {
+        if (error) {
+          console.error("Error uploading buffer to Cloudinary:", error);
+          return reject(error);
+        }
+        resolve(result);
+      }
+    );
+
+    uploadStream.end(buffer);
+  });
+};
+
 export const getOptimizedUrl = (publicId, options = {}) => {
   const defaultOptions = {
     quality: "auto",
@@ -0,0 +1,312 @@
+import { PrismaClient } from "@prisma/client";
+import asyncHandler from "express-async-handler";
+import { validateCriteria } from "../../helper/achievementCriteria.js";
+
+const prisma = new PrismaClient();
+
+const ACHIEVEMENT_TYPES = [
+  "COURSE_COMPLETION",
+  "STREAK",
+  "RATING",
+  "PARTICIPATION",
+  "SKILL_MASTERY",
+  "TIME_SPENT",
+];
+
+const validateRuleData = (data, isUpdate = false) => {
+  const errors = [];
+
+  if (!isUpdate || data.key !== undefined) {
+    if (!data.key || !/^[a-z0-9_]{3,50}$/.test(data.key)) {
+      errors.push(
+        "Key must be 3-50 characters of lowercase letters, numbers or underscores"
+      );
+    }
+  }
+
+  if (!isUpdate || data.title !== undefined) {
+    if (!data.title || data.title.trim().length < 3) {
+      errors.push("Title must be at least 3 characters long");
+    }
+  }
+
+  if (!isUpdate || data.description !== undefined) {
+    if (!data.description || data.description.trim().length < 5) {
+      errors.push("Description must be at least 5 characters long");
+    }
+  }
+
+  if (!isUpdate || data.type !== undefined) {
+    if (!ACHIEVEMENT_TYPES.includes(data.type)) {
+      errors.push(`Type must be one of ${ACHIEVEMENT_TYPES.join(", ")}`);
+    }
+  }
+
+  if (data.points !== undefined) {
+    const points = parseInt(data.points);
+    if (isNaN(points) || points < 0 || points > 10000) {
+      errors.push("Points must be between 0 and 10000");
+    }
+  }
+
+  if (!isUpdate || data.criteria !== undefined) {
+    errors.push(...validateCriteria(data.criteria));
+  }
+
+  return errors;
+};
+
+export const getAchievementRules = asyncHandler(async (req, res) => {
+  const startTime = performance.now();
+
+  try {
+    const { isActive, type } = req.query;
+
+    const where = {};
+    if (isActive !== undefined) where.isActive = isActive === "true";
+    if (type) where.type = type;
+
+    const rules = await prisma.achievementRule.findMany({
+      where,
+      orderBy: [{ type: "asc" }, { points: "asc" }],
+      include: {
+        _count: {
+          select: { achievements: { where: { isUnlocked: true } } },
+        },
+      },
+    });
+
+    res.status(200).json({
+      success: true,
+      message: "Achievement rules retrieved successfully",
+      data: {
+        rules: rules.map(({ _count, ...rule }) => ({
+          ...rule,
+          unlockedCount: _count.achievements,
+        })),
+      },
+      meta: {
+        executionTime: Math.round(performance.now() - startTime),
+        timestamp: new Date().toISOString(),
+      },
+    });
+  } catch (error) {
+    console.error("Get achievement rules error:", error);
+    res.status(500).json({
+      success: false,
+      message: "Failed to retrieve achievement rules",
+      code: "INTERNAL_SERVER_ERROR",
+      meta: {
+        executionTime: Math.round(performance.now() - startTime),
+        timestamp: new Date().toISOString(),
+      },
+    });
+  }
+});
+
+export const createAchievementRule = asyncHandler(async (req, res) => {
+  const startTime = performance.now();
+
+  try {
+    const {
+      key,
+      title,
+      description,
+      icon,
+      points = 0,
+      type,
+      criteria,
+      isActive = true,
+    } = req.body;
+
+    const errors = validateRuleData({
+      key,
+      title,
+      description,
+      type,
+      points,
+      criteria,
+    });
+
+    if (errors.length > 0) {
+      return res.status(400).json({
+        success: false,
+        message: "Invalid achievement rule data",
+        code: "VALIDATION_ERROR",
+        errors,
+      });
+    }
+
+    const existingRule = await prisma.achievementRule.findUnique({
+      where: { key },
+      select: { id: true },
+    });
+
+    if (existingRule) {
+      return res.status(409).json({
+        success: false,
+        message: "An achievement rule with this key already exists",
+        code: "RULE_EXISTS",
+      });
+    }
+
+    const rule = await prisma.achievementRule.create({
+      data: {
+        key,
+        title: title.trim(),
+        description: description.trim(),
+        icon: icon || null,
+        points: parseInt(points),
+        type,
+        criteria,
+        isActive: !!isActive,
+      },
+    });
+
+    res.status(201).json({
+      success: true,
+      message: "Achievement rule created successfully",
+      data: { rule },
+      meta: {
+        executionTime: Math.round(performance.now() - startTime),
+        timestamp: new Date().toISOString(),
+      },
+    });
+  } catch (error) {
+    console.error("Create achievement rule error:", error);
+    res.status(500).json({
+      success: false,
+      message: "Failed to create achievement rule",
+      code: "INTERNAL_SERVER_ERROR",
+      meta: {
+        executionTime: Math.round(performance.now() - startTime),
+        timestamp: new Date().toISOString(),
+      },
+    });
+  }
+});
+
+export const updateAchievementRule = asyncHandler(async (req, res) => {
+  const startTime = performance.now();
+
+  try {
+    const { ruleId } = req.params;
+    const { title, description, icon, points, type, criteria, isActive } =
+      req.body;
+
+    const errors = validateRuleData(
+      { title, description, type, points, criteria },
+      true
+    );
+
+    if (errors.length > 0) {
+      return res.status(400).json({
+        success: false,
+        message: "Invalid achievement rule data",
+        code: "VALIDATION_ERROR",
+        errors,
+      });
+    }
+
+    const existingRule = await prisma.achievementRule.findUnique({
+      where: { id: ruleId },
+      select: { id: true },
+    });
+
+    if (!existingRule) {
+      return res.status(404).json({
+        success: false,
+        message: "Achievement rule not found",
+        code: "RULE_NOT_FOUND",
+      });
+    }
+
+    const rule = await prisma.achievementRule.update({
+      where: { id: ruleId },
+      data: {
+        ...(title !== undefined && { title: title.trim() }),
+        ...(description !== undefined && { description: description.trim() }),
+        ...(icon !== undefined && { icon: icon || null }),
+        ...(points !== undefined && { points: parseInt(points) }),
+        ...(type !== undefined && { type }),
+        ...(criteria !== undefined && { criteria }),
+        ...(isActive !== undefined && { isActive: !!isActive }),
+      },
+    });
+
+    res.status(200).json({
+      success: true,
+      message: "Achievement rule updated successfully",
+      data: { rule },
+      meta: {
+        executionTime: Math.round(performance.now() - startTime),
+        timestamp: new Date().toISOString(),
+      },
+    });
+  } catch (error) {
+    console.error("Update achievement rule error:", error);
+    res.status(500).json({
+      success: false,
+      message: "Failed to update achievement rule",
+      code: "INTERNAL_SERVER_ERROR",
+      meta: {
+        executionTime: Math.round(performance.now() - startTime),
+        timestamp: new Date().toISOString(),
+      },
+    });
+  }
+});
+
+export const deleteAchievementRule = asyncHandler(async (req, res) => {
+  const startTime = performance.now();
+
+  try {
+    const { ruleId } = req.params;
+
+    const rule = await prisma.achievementRule.findUnique({
+      where: { id: ruleId },
+      include: { _count: { select: { achievements: true } } },
+    });
+
+    if (!rule) {
+      return res.status(404).json({
+        success: false,
+        message: "Achievement rule not found",
+        code: "RULE_NOT_FOUND",
+      });
+    }
+
+    if (rule._count.achievements > 0) {
+      await prisma.achievementRule.update({
+        where: { id: ruleId },
+        data: { isActive: false },
+      });
+    } else {
+      await prisma.achievementRule.delete({ where: { id: ruleId } });
+    }
+
+    res.status(200).json({
+      success: true,
+      message:
+        rule._count.achievements > 0
+          ? "Achievement rule deactivated because students have already earned it"
+          : "Achievement rule deleted successfully",
+      data: { ruleId, deactivated: rule._count.achievements > 0 },
+      meta: {
+        executionTime: Math.round(performance.now() - startTime),
+        timestamp: new Date().toISOString(),
+      },
+    });
+  } catch (error) {
+    console.error("Delete achievement rule error:", error);
+    res.status(500).json({
+      success: false,
+      message: "Failed to delete achievement rule",
+      code: "INTERNAL_SERVER_ERROR",
+      meta: {
+        executionTime: Math.round(performance.now() - startTime),
+        timestamp: new Date().toISOString(),
+      },
+    });
+  }
+});
@@ -3,6 +3,16 @@ import asyncHandler from "express-async-handler";
 import redisService from "../../utils/redis.js";
 import emailService from "../../utils/emailService.js";
 import notificationService from "../../utils/notificationservice.js";
+import paymentService from "../../utils/paymentService.js";
+import invoiceService from "../../utils/invoiceService.js";
+import taxService from "../../utils/taxService.js";
+import currencyService from "../../utils/currencyService.js";
+import payoutService from "../../utils/payoutService.js";
+import earningLedgerService from "../../utils/earningLedgerService.js";
+import payoutBatchService from "../../utils/payoutBatchService.js";
+import disputeService from "../../utils/disputeService.js";
+import giftService from "../../utils/giftService.js";
+import { formatPayoutPeriod } from "../../helper/payoutHelperFunctions.js";
 
 const prisma = new PrismaClient();
 
@@ -10,8 +20,287 @@ const generateTransactionId = () => {
   return `txn_${Date.now()}_${Math.random().toString(36).substr(2, 9)}`;
 };
 
-const generatePayoutId = () => {
-  return `payout_${Date.now()}_${Math.random().toString(36).substr(2, 9)}`;
+const GATEWAY_NAMES = [
+  "RAZORPAY",
+  "STRIPE",
+  "CASHFREE",
+  "PAYU",
+  "PAYPAL",
+  "MOCK",
+];
+
+const validateGatewayRouteData = (data, isUpdate = false) => {
+  const errors = [];
+
+  if (!isUpdate || data.gateway !== undefined) {
+    if (!GATEWAY_NAMES.includes(data.gateway)) {
+      errors.push(`Gateway must be one of: ${GATEWAY_NAMES.join(", ")}`);
+    }
+  }
+
+  if (
+    data.currency !== undefined &&
+    data.currency !== null &&
+    !/^[A-Za-z]{3}$/.test(data.currency)
+  ) {
+    errors.push("Currency must be a 3-letter ISO 4217 code");
+  }
+
+  if (
+    data.country !== undefined &&
+    data.country !== null &&
+    !/^[A-Za-z]{2}$/.test(data.country)
+  ) {
+    errors.push("Country must be a 2-letter ISO 3166-1 code");
+  }
+
+  if (
+    data.priority !== undefined &&
+    (!Number.isInteger(data.priority) ||
+      data.priority < -1000 ||
+      data.priority > 1000)
+  ) {
+    errors.push("Priority must be an integer between -1000 and 1000");
+  }
+
+  if (data.isActive !== undefined && typeof data.isActive !== "boolean") {
+    errors.push("isActive must be a boolean");
+  }
+
+  if (
+    data.description !== undefined &&
+    data.description !== null &&
+    String(data.description).length > 200
+  ) {
+    errors.push("Description must be less than 200 characters");
+  }
+
+  return errors;
+};
+
+const buildGatewayRouteData = (data) => {
+  const routeData = {};
+
+  if (data.gateway !== undefined) routeData.gateway = data.gateway;
+  if (data.currency !== undefined)
+    routeData.currency = data.currency ? data.currency.toUpperCase() : null;
+  if (data.country !== undefined)
+    routeData.country = data.country ? data.country.toUpperCase() : null;
+  if (data.priority !== undefined) routeData.priority = data.priority;
+  if (data.isActive !== undefined) routeData.isActive = data.isActive;
+  if (data.description !== undefined)
+    routeData.description = data.description?.trim() || null;
+
+  return routeData;
+};
+
+const TAX_PRICING_MODES = ["INCLUSIVE", "EXCLUSIVE"];
+
+const validateTaxRuleData = (data, isUpdate = false) => {
+  const errors = [];
+
+  if (!isUpdate || data.name !== undefined) {
+    if (!data.name || String(data.name).trim().length < 2) {
+      errors.push("Name must be at least 2 characters long");
+    } else if (String(data.name).length > 100) {
+      errors.push("Name must be less than 100 characters");
+    }
+  }
+
+  if (!isUpdate || data.rate !== undefined) {
+    const rate = parseFloat(data.rate);
+    if (isNaN(rate) || rate < 0 || rate > 100) {
+      errors.push("Rate must be a percentage between 0 and 100");
+    }
+  }
+
+  if (
+    data.taxName !== undefined &&
+    (!data.taxName || String(data.taxName).length > 30)
+  ) {
+    errors.push("Tax name must be between 1 and 30 characters");
+  }
+
+  if (
+    data.country !== undefined &&
+    data.country !== null &&
+    !/^[A-Za-z]{2}$/.test(data.country)
+  ) {
+    errors.push("Country must be a 2-letter ISO 3166-1 code");
+  }
+
+  if (data.state !== undefined && data.state !== null) {
+    if (String(data.state).length > 100) {
+      errors.push("State must be less than 100 characters");
+    }
+    if (!data.country) {
+      errors.push("A state-level rule requires a country");
+    }
+  }
+
+  if (
+    data.pricingMode !== undefined &&
+    !TAX_PRICING_MODES.includes(data.pricingMode)
+  ) {
+    errors.push(`Pricing mode must be one of: ${TAX_PRICING_MODES.join(", ")}`);
+  }
+
+  if (
+    data.reverseChargeEnabled !== undefined &&
+    typeof data.reverseChargeEnabled !== "boolean"
+  ) {
+    errors.push("reverseChargeEnabled must be a boolean");
+  }
+
+  if (data.taxIdPattern !== undefined && data.taxIdPattern !== null) {
+    try {
+      new RegExp(data.taxIdPattern);
+    } catch (error) {
+      errors.push("Tax ID pattern must be a valid regular expression");
+    }
+  }
+
+  if (
+    data.taxIdLabel !== undefined &&
+    data.taxIdLabel !== null &&
+    String(data.taxIdLabel).length > 30
+  ) {
+    errors.push("Tax ID label must be less than 30 characters");
+  }
+
+  if (
+    data.priority !== undefined &&
+    (!Number.isInteger(data.priority) ||
+      data.priority < -1000 ||
+      data.priority > 1000)
+  ) {
+    errors.push("Priority must be an integer between -1000 and 1000");
+  }
+
+  if (data.isActive !== undefined && typeof data.isActive !== "boolean") {
+    errors.push("isActive must be a boolean");
+  }
+
+  if (
+    data.description !== undefined &&
+    data.description !== null &&
+    String(data.description).length > 200
+  ) {
+    errors.push("Description must be less than 200 characters");
+  }
+
+  return errors;
+};
+
+const buildTaxRuleData = (data) => {
+  const ruleData = {};
+
+  if (data.name !== undefined) ruleData.name = data.name.trim();
+  if (data.taxName !== undefined) ruleData.taxName = data.taxName.trim();
+  if (data.country !== undefined)
+    ruleData.country = data.country ? data.country.toUpperCase() : null;
+  if (data.state !== undefined) ruleData.state = data.state?.trim() || null;
+  if (data.rate !== undefined) ruleData.rate = parseFloat(data.rate);
+  if (data.pricingMode !== undefined) ruleData.pricingMode = data.pricingMode;
+  if (data.reverseChargeEnabled !== undefined)
+    ruleData.reverseChargeEnabled = data.reverseChargeEnabled;
+  if (data.taxIdLabel !== undefined)
+    ruleData.taxIdLabel = data.taxIdLabel?.trim() || null;
+  if (data.taxIdPattern !== undefined)
+    ruleData.taxIdPattern = data.taxIdPattern || null;
+  if (data.priority !== undefined) ruleData.priority = data.priority;
+  if (data.isActive !== undefined) ruleData.isActive = data.isActive;
+  if (data.description !== undefined)
+    ruleData.description = data.description?.trim() || null;
+
+  return ruleData;
+};
+
+const PRICE_ROUNDING_MODES = ["NONE", "WHOLE", "CHARM", "NEAREST_TEN"];
+
+const validateExchangeRateData = (data, isUpdate = false) => {
+  const errors = [];
+
+  if (!isUpdate || data.rate !== undefined) {
+    const rate = parseFloat(data.rate);
+    if (isNaN(rate) || rate <= 0) {
+      errors.push("Rate must be a positive number");
+    }
+  }
+
+  if (
+    data.rounding !== undefined &&
+    !PRICE_ROUNDING_MODES.includes(data.rounding)
+  ) {
+    errors.push(`Rounding must be one of: ${PRICE_ROUNDING_MODES.join(", ")}`);
+  }
+
+  if (data.isActive !== undefined && typeof data.isActive !== "boolean") {
+    errors.push("isActive must be a boolean");
+  }
+
+  if (
+    data.source !== undefined &&
+    data.source !== null &&
+    String(data.source).length > 100
+  ) {
+    errors.push("Source must be less than 100 characters");
+  }
+
+  return errors;
+};
+
+const buildExchangeRateData = (data) => {
+  const rateData = {};
+
+  if (data.rate !== undefined) rateData.rate = parseFloat(data.rate);
+  if (data.rounding !== undefined) rateData.rounding = data.rounding;
+  if (data.isActive !== undefined) rateData.isActive = data.isActive;
+  if (data.source !== undefined) rateData.source = data.source?.trim() || null;
+
+  return rateData;
+};
+
+const summarizeTaxByRule = (payments) => {
+  const groups = new Map();
+
+  for (const payment of payments) {
+    const rule = payment.taxSnapshot?.rule;
+    const key = rule?.id || (rule ? "default" : "legacy");
+
+    if (!groups.has(key)) {
+      groups.set(key, {
+        ruleId: rule?.id || null,
+        name: rule?.name || "Legacy flat rate",
+        taxName: rule?.taxName || "GST",
+        country: rule?.country || null,
+        state: rule?.state || null,
+        rate: rule?.rate ?? null,
+        pricingMode: rule?.pricingMode || "EXCLUSIVE",
+        transactions: 0,
+        taxableAmount: 0,
+        taxCollected: 0,
+        reverseChargeTransactions: 0,
+      });
+    }
+
+    const group = groups.get(key);
+    const tax = parseFloat(payment.tax || 0);
+    group.transactions += 1;
+    group.taxableAmount += parseFloat(payment.amount) - tax;
+    group.taxCollected += tax;
+    if (payment.taxSnapshot?.reverseCharge) {
+      group.reverseChargeTransactions += 1;
+    }
+  }
+
+  return [...groups.values()]
+    .map((group) => ({
+      ...group,
+      taxableAmount: Math.round(group.taxableAmount * 100) / 100,
+      taxCollected: Math.round(group.taxCollected * 100) / 100,
+    }))
+    .sort((a, b) => b.taxCollected - a.taxCollected);
 };
 
 const formatCurrency = (amount, currency = "INR") => {
@@ -327,6 +616,23 @@ export const getTransactionDetails = asyncHandler(async (req, res) => {
             },
           },
         },
+        invoices: {
+          select: {
+            id: true,
+            invoiceNumber: true,
+            type: true,
+            issueDate: true,
+            totalAmount: true,
+            totalTax: true,
+            supplyType: true,
+            pdfUrl: true,
+            reason: true,
+          },
+          orderBy: { sequence: "asc" },
+        },
+        disputes: {
+          orderBy: { createdAt: "desc" },
+        },
       },
     });
 
@@ -355,6 +661,8 @@ export const getTransactionDetails = asyncHandler(async (req, res) => {
       refundReason: transaction.refundReason,
       refundedAt: transaction.refundedAt,
       invoiceUrl: transaction.invoiceUrl,
+      invoices: transaction.invoices,
+      disputes: transaction.disputes.map(formatDispute),
       createdAt: transaction.createdAt,
       updatedAt: transaction.updatedAt,
       student: transaction.enrollments[0]?.student
@@ -502,6 +810,7 @@ export const processRefund = asyncHandler(async (req, res) => {
       where: { id: transactionId },
       data: {
         refundAmount: newRefundAmount,
+        refundTax: taxService.getRefundTax(transaction, newRefundAmount),
         refundReason,
         refundedAt: new Date(),
         status: newStatus,
@@ -513,13 +822,22 @@ export const processRefund = asyncHandler(async (req, res) => {
         where: { paymentId: transactionId },
         data: { status: "REFUNDED" },
       });
+
+      await giftService.revokeGiftsForPayment(transactionId, refundReason);
     }
 
-    await prisma.earning.updateMany({
-      where: { paymentId: transactionId },
-      data: { status: "CANCELLED" },
+    await earningLedgerService.clawbackPayment(transactionId, {
+      reason: refundReason,
     });
 
+    try {
+      await invoiceService.issueCreditNote(transactionId, {
+        reason: refundReason,
+      });
+    } catch (invoiceError) {
+      console.error("Failed to issue credit note:", invoiceError);
+    }
+
     if (notifyUser && transaction.enrollments[0]?.student) {
       const student = transaction.enrollments[0].student;
       const courseTitle = transaction.enrollments[0].course.title;
@@ -601,45 +919,120 @@ export const processRefund = asyncHandler(async (req, res) => {
   }
 });
 
-export const getAllPayouts = asyncHandler(async (req, res) => {
+export const downloadTransactionInvoice = asyncHandler(async (req, res) => {
   const startTime = performance.now();
 
   try {
-    const {
-      page = 1,
-      limit = 20,
-      status,
-      dateFrom,
-      dateTo,
-      minAmount,
-      maxAmount,
-      instructorId,
-      sortBy = "createdAt",
-      sortOrder = "desc",
-    } = req.query;
+    const { transactionId } = req.params;
+    const { documentId } = req.query;
+
+    const transaction = await prisma.payment.findUnique({
+      where: { id: transactionId },
+      select: { id: true, status: true },
+    });
+
+    if (!transaction) {
+      return res.status(404).json({
+        success: false,
+        message: "Transaction not found",
+        code: "TRANSACTION_NOT_FOUND",
+      });
+    }
+
+    if (
+      !documentId &&
+      !["COMPLETED", "REFUNDED", "PARTIALLY_REFUNDED"].includes(
+        transaction.status
+      )
+    ) {
+      return res.status(400).json({
+        success: false,
+        message: "Invoices are only available for completed transactions",
+        code: "INVALID_TRANSACTION_STATUS",
+      });
+    }
+
+    const download = await invoiceService.getDownload(
+      transaction.id,
+      documentId
+    );
+
+    if (!download) {
+      return res.status(404).json({
+        success: false,
+        message: "Invoice not found",
+        code: "INVOICE_NOT_FOUND",
+      });
+    }
+
+    await redisService.del(`transaction_details:${transactionId}`);
+
+    res.setHeader("Content-Type", "application/pdf");
+    res.setHeader(
+      "Content-Disposition",
+      `attachment; filename="${download.fileName}"`
+    );
+    res.setHeader("Cache-Control", "no-cache");
+
+    res.status(200).send(download.buffer);
+  } catch (error) {
+    console.error("Download transaction invoice error:", error);
+    res.status(500).json({
+      success: false,
+      message: "Failed to generate invoice",
+      code: "INTERNAL_SERVER_ERROR",
+      meta: {
+        executionTime: Math.round(performance.now() - startTime),
+        timestamp: new Date().toISOString(),
+      },
+    });
+  }
+});
+
+const formatDispute = (dispute) => ({
+  id: dispute.id,
+  gateway: dispute.gateway,
+  gatewayDisputeId: dispute.gatewayDisputeId,
+  status: dispute.status,
+  gatewayStatus: dispute.gatewayStatus,
+  reason: dispute.reason,
+  amount: parseFloat(dispute.amount),
+  currency: dispute.currency,
+  formattedAmount: formatCurrency(dispute.amount, dispute.currency),
+  evidenceDueBy: dispute.evidenceDueBy,
+  evidenceSubmittedAt: dispute.evidenceSubmittedAt,
+  suspendedEnrollments: dispute.suspendedEnrollments?.length || 0,
+  clawedBack: dispute.clawedBack ? parseFloat(dispute.clawedBack) : null,
+  resolvedAt: dispute.resolvedAt,
+  resolutionNote: dispute.resolutionNote,
+  paymentId: dispute.paymentId,
+  createdAt: dispute.createdAt,
+});
+
+const DISPUTE_OUTCOMES = ["WON", "LOST", "CLOSED"];
+
+export const getDisputes = asyncHandler(async (req, res) => {
+  const startTime = performance.now();
+
+  try {
+    const { page = 1, limit = 20, status, gateway } = req.query;
 
     const pageSize = Math.min(parseInt(limit), 100);
     const pageNumber = Math.max(parseInt(page), 1);
     const skip = (pageNumber - 1) * pageSize;
 
-    const cacheKey = `admin_payouts:${JSON.stringify({
+    const cacheKey = `admin_disputes:${JSON.stringify({
       page: pageNumber,
       limit: pageSize,
       status,
-      dateFrom,
-      dateTo,
-      minAmount,
-      maxAmount,
-      instructorId,
-      sortBy,
-      sortOrder,
+      gateway,
     })}`;
 
-    let cachedResult = await redisService.getJSON(cacheKey);
+    const cachedResult = await redisService.getJSON(cacheKey);
     if (cachedResult) {
       return res.status(200).json({
         success: true,
-        message: "Payouts retrieved successfully",
+        message: "Disputes retrieved successfully",
         data: cachedResult,
         meta: {
           cached: true,
@@ -650,65 +1043,72 @@ export const getAllPayouts = asyncHandler(async (req, res) => {
     }
 
     const where = {};
-
     if (status) where.status = status;
-    if (instructorId) where.instructorId = instructorId;
-
-    if (dateFrom || dateTo) {
-      where.createdAt = {};
-      if (dateFrom) where.createdAt.gte = new Date(dateFrom);
-      if (dateTo) where.createdAt.lte = new Date(dateTo);
-    }
-
-    if (minAmount || maxAmount) {
-      where.amount = {};
-      if (minAmount) where.amount.gte = parseFloat(minAmount);
-      if (maxAmount) where.amount.lte = parseFloat(maxAmount);
-    }
-
-    const orderBy = {};
-    orderBy[sortBy] = sortOrder;
+    if (gateway) where.gateway = String(gateway).toUpperCase();
 
-    const [payouts, total] = await Promise.all([
-      prisma.payout.findMany({
+    const [disputes, total, statusCounts] = await Promise.all([
+      prisma.dispute.findMany({
         where,
-        orderBy,
+        orderBy: [{ evidenceDueBy: "asc" }, { createdAt: "desc" }],
         skip,
         take: pageSize,
         include: {
-          instructor: {
-            include: {
-              user: {
+          payment: {
+            select: {
+              id: true,
+              amount: true,
+              currency: true,
+              createdAt: true,
+              enrollments: {
+                take: 1,
                 select: {
-                  firstName: true,
-                  lastName: true,
-                  email: true,
+                  student: {
+                    select: {
+                      user: {
+                        select: {
+                          firstName: true,
+                          lastName: true,
+                          email: true,
+                        },
+                      },
+                    },
+                  },
                 },
               },
             },
           },
         },
       }),
-      prisma.payout.count({ where }),
+      prisma.dispute.count({ where }),
+      prisma.dispute.groupBy({
+        by: ["status"],
+        _count: true,
+      }),
     ]);
 
-    const payoutsData = payouts.map((payout) => ({
-      id: payout.id,
-      amount: payout.amount,
-      currency: payout.currency,
-      status: payout.status,
-      requestedAt: payout.requestedAt,
-      processedAt: payout.processedAt,
-      gatewayId: payout.gatewayId,
-      instructor: {
-        id: payout.instructor.id,
-        name: `${payout.instructor.user.firstName} ${payout.instructor.user.lastName}`,
-        email: payout.instructor.user.email,
-      },
-    }));
-
     const result = {
-      payouts: payoutsData,
+      disputes: disputes.map((dispute) => {
+        const user = dispute.payment.enrollments[0]?.student.user;
+
+        return {
+          ...formatDispute(dispute),
+          payment: {
+            id: dispute.payment.id,
+            amount: parseFloat(dispute.payment.amount),
+            currency: dispute.payment.currency,
+            createdAt: dispute.payment.createdAt,
+          },
+          customer: user
+            ? {
+                name: `${user.firstName} ${user.lastName}`,
+                email: user.email,
+              }
+            : null,
+        };
+      }),
+      statusCounts: Object.fromEntries(
+        statusCounts.map((count) => [count.status, count._count])
+      ),
       pagination: {
         page: pageNumber,
         limit: pageSize,
@@ -717,39 +1117,25 @@ export const getAllPayouts = asyncHandler(async (req, res) => {
         hasNext: skip + pageSize < total,
         hasPrev: pageNumber > 1,
       },
-      filters: {
-        status,
-        dateFrom,
-        dateTo,
-        minAmount,
-        maxAmount,
-        instructorId,
-      },
-      sort: {
-        sortBy,
-        sortOrder,
-      },
     };
 
     await redisService.setJSON(cacheKey, result, { ex: 300 });
 
-    const executionTime = Math.round(performance.now() - startTime);
-
     res.status(200).json({
       success: true,
-      message: "Payouts retrieved successfully",
+      message: "Disputes retrieved successfully",
       data: result,
       meta: {
         cached: false,
-        executionTime,
+        executionTime: Math.round(performance.now() - startTime),
         timestamp: new Date().toISOString(),
       },
     });
   } catch (error) {
-    console.error("Get all payouts error:", error);
+    console.error("Get disputes error:", error);
     res.status(500).json({
       success: false,
-      message: "Failed to retrieve payouts",
+      message: "Failed to retrieve disputes",
       code: "INTERNAL_SERVER_ERROR",
       meta: {
         executionTime: Math.round(performance.now() - startTime),
@@ -759,138 +1145,124 @@ export const getAllPayouts = asyncHandler(async (req, res) => {
   }
 });
 
-export const processPayout = asyncHandler(async (req, res) => {
+export const getDisputeDetails = asyncHandler(async (req, res) => {
   const startTime = performance.now();
 
   try {
-    const { payoutId } = req.params;
+    const { disputeId } = req.params;
 
-    const payout = await prisma.payout.findUnique({
-      where: { id: payoutId },
-      include: {
-        instructor: {
-          include: {
-            user: {
-              select: {
-                firstName: true,
-                lastName: true,
-                email: true,
-              },
-            },
-          },
-        },
-      },
-    });
+    const dispute = await disputeService.getDispute(disputeId);
 
-    if (!payout) {
+    if (!dispute) {
       return res.status(404).json({
         success: false,
-        message: "Payout not found",
-        code: "PAYOUT_NOT_FOUND",
+        message: "Dispute not found",
+        code: "DISPUTE_NOT_FOUND",
       });
     }
 
-    if (payout.status !== "PENDING") {
-      return res.status(400).json({
-        success: false,
-        message: `Payout is already ${payout.status.toLowerCase()}`,
-        code: "INVALID_PAYOUT_STATUS",
-      });
-    }
-
-    const gatewayId = generatePayoutId();
+    // Until evidence is submitted, show what would be sent to the gateway.
+    const evidence =
+      dispute.evidence || (await disputeService.buildEvidence(disputeId));
 
-    const updatedPayout = await prisma.payout.update({
-      where: { id: payoutId },
+    res.status(200).json({
+      success: true,
+      message: "Dispute retrieved successfully",
       data: {
-        status: "COMPLETED",
-        processedAt: new Date(),
-        gatewayId,
-        gatewayResponse: {
-          processed_by: "admin",
-          processed_at: new Date().toISOString(),
-          gateway_reference: gatewayId,
-        },
+        ...formatDispute(dispute),
+        evidenceSubmittedById: dispute.evidenceSubmittedById,
+        resolvedById: dispute.resolvedById,
+        evidence,
+        evidenceIsPreview: !dispute.evidence,
       },
-    });
-
-    await prisma.earning.updateMany({
-      where: {
-        instructorId: payout.instructorId,
-        status: "PENDING",
+      meta: {
+        executionTime: Math.round(performance.now() - startTime),
+        timestamp: new Date().toISOString(),
       },
-      data: {
-        status: "PAID",
-        paidAt: new Date(),
+    });
+  } catch (error) {
+    console.error("Get dispute details error:", error);
+    res.status(500).json({
+      success: false,
+      message: "Failed to retrieve dispute",
+      code: "INTERNAL_SERVER_ERROR",
+      meta: {
+        executionTime: Math.round(performance.now() - startTime),
+        timestamp: new Date().toISOString(),
       },
     });
+  }
+});
 
-    try {
-      await emailService.sendInstructorPayout({
-        email: payout.instructor.user.email,
-        firstName: payout.instructor.user.firstName,
-        amount: payout.amount,
-        currency: payout.currency,
-        payoutId: gatewayId,
-        period: new Date().toLocaleDateString("en-US", {
-          month: "long",
-          year: "numeric",
-        }),
-        studentCount: 0,
+export const submitDisputeEvidence = asyncHandler(async (req, res) => {
+  const startTime = performance.now();
+
+  try {
+    const { disputeId } = req.params;
+    const { notes } = req.body || {};
+
+    const dispute = await disputeService.getDispute(disputeId);
+
+    if (!dispute) {
+      return res.status(404).json({
+        success: false,
+        message: "Dispute not found",
+        code: "DISPUTE_NOT_FOUND",
       });
-    } catch (emailError) {
-      console.error("Failed to send payout email:", emailError);
     }
 
-    try {
-      await notificationService.createNotification({
-        userId: payout.instructor.userId,
-        type: "payout_processed",
-        title: "Payout Processed",
-        message: `Your payout of ${formatCurrency(
-          payout.amount
-        )} has been processed successfully.`,
-        priority: "HIGH",
-        data: {
-          payoutId: updatedPayout.id,
-          amount: payout.amount,
-          currency: payout.currency,
-          gatewayId,
-          processedAt: updatedPayout.processedAt,
-        },
-        actionUrl: "/instructor/earnings",
+    if (dispute.status !== "OPEN") {
+      return res.status(400).json({
+        success: false,
+        message:
+          dispute.status === "UNDER_REVIEW"
+            ? "Evidence has already been submitted for this dispute"
+            : `Dispute is already ${dispute.status.toLowerCase()}`,
+        code: "INVALID_DISPUTE_STATUS",
       });
-    } catch (notificationError) {
-      console.error("Failed to create payout notification:", notificationError);
     }
 
-    await redisService.delPattern("admin_payouts:*");
-    await redisService.delPattern("revenue_overview:*");
-    await redisService.delPattern("financial_analytics:*");
+    if (dispute.evidenceDueBy && dispute.evidenceDueBy < new Date()) {
+      return res.status(400).json({
+        success: false,
+        message: "The evidence deadline for this dispute has passed",
+        code: "DISPUTE_EVIDENCE_OVERDUE",
+      });
+    }
 
-    const executionTime = Math.round(performance.now() - startTime);
+    let updatedDispute;
+    try {
+      updatedDispute = await disputeService.submitEvidence(
+        disputeId,
+        req.userAuthId,
+        { notes: notes?.trim() || null }
+      );
+    } catch (gatewayError) {
+      console.error("Dispute evidence submission failed:", gatewayError);
+      return res.status(400).json({
+        success: false,
+        message: gatewayError.message,
+        code: "DISPUTE_EVIDENCE_REJECTED",
+      });
+    }
 
     res.status(200).json({
       success: true,
-      message: "Payout processed successfully",
+      message: "Dispute evidence submitted successfully",
       data: {
-        payoutId: updatedPayout.id,
-        amount: updatedPayout.amount,
-        currency: updatedPayout.currency,
-        status: updatedPayout.status,
-        processedAt: updatedPayout.processedAt,
-        gatewayId: updatedPayout.gatewayId,
+        ...formatDispute(updatedDispute),
+        evidence: updatedDispute.evidence,
       },
       meta: {
-        executionTime,
+        executionTime: Math.round(performance.now() - startTime),
         timestamp: new Date().toISOString(),
       },
     });
   } catch (error) {
-    console.error("Process payout error:", error);
+    console.error("Submit dispute evidence error:", error);
     res.status(500).json({
       success: false,
-      message: "Failed to process payout",
+      message: "Failed to submit dispute evidence",
       code: "INTERNAL_SERVER_ERROR",
       meta: {
         executionTime: Math.round(performance.now() - startTime),
@@ -900,208 +1272,65 @@ export const processPayout = asyncHandler(async (req, res) => {
   }
 });
 
-export const getRevenueOverview = asyncHandler(async (req, res) => {
+// For gateways that don't report outcomes by webhook.
+export const resolveDispute = asyncHandler(async (req, res) => {
   const startTime = performance.now();
 
   try {
-    const { period = "30", currency = "INR" } = req.query;
-
-    const cacheKey = `revenue_overview:${period}:${currency}`;
-    let cachedOverview = await redisService.getJSON(cacheKey);
+    const { disputeId } = req.params;
+    const { outcome, note } = req.body || {};
+    const normalizedOutcome = String(outcome || "").toUpperCase();
 
-    if (cachedOverview) {
-      return res.status(200).json({
-        success: true,
-        message: "Revenue overview retrieved successfully",
-        data: cachedOverview,
-        meta: {
-          cached: true,
-          executionTime: Math.round(performance.now() - startTime),
-          timestamp: new Date().toISOString(),
-        },
+    if (!DISPUTE_OUTCOMES.includes(normalizedOutcome)) {
+      return res.status(400).json({
+        success: false,
+        message: `Outcome must be one of: ${DISPUTE_OUTCOMES.join(", ")}`,
+        code: "VALIDATION_ERROR",
       });
     }
 
-    const periodDays = parseInt(period);
-    const startDate = new Date();
-    startDate.setDate(startDate.getDate() - periodDays);
-
-    const [
-      totalRevenue,
-      periodRevenue,
-      totalTransactions,
-      periodTransactions,
-      refundData,
-      payoutData,
-      topCourses,
-      topInstructors,
-    ] = await Promise.all([
-      prisma.payment.aggregate({
-        where: {
-          status: "COMPLETED",
-          currency,
-        },
-        _sum: { amount: true },
-        _count: true,
-      }),
-      prisma.payment.aggregate({
-        where: {
-          status: "COMPLETED",
-          currency,
-          createdAt: { gte: startDate },
-        },
-        _sum: { amount: true },
-        _count: true,
-      }),
-      prisma.payment.count({
-        where: { status: "COMPLETED" },
-      }),
-      prisma.payment.count({
-        where: {
-          status: "COMPLETED",
-          createdAt: { gte: startDate },
-        },
-      }),
-      prisma.payment.aggregate({
-        where: {
-          status: { in: ["REFUNDED", "PARTIALLY_REFUNDED"] },
-          currency,
-          refundedAt: { gte: startDate },
-        },
-        _sum: { refundAmount: true },
-        _count: true,
-      }),
-      prisma.payout.aggregate({
-        where: {
-          status: "COMPLETED",
-          currency,
-          processedAt: { gte: startDate },
-        },
-        _sum: { amount: true },
-        _count: true,
-      }),
-      prisma.enrollment.groupBy({
-        by: ["courseId"],
-        where: {
-          createdAt: { gte: startDate },
-          payment: { status: "COMPLETED" },
-        },
-        _count: { courseId: true },
-        _sum: { payment: { amount: true } },
-        orderBy: { _count: { courseId: "desc" } },
-        take: 5,
-      }),
-      prisma.earning.groupBy({
-        by: ["instructorId"],
-        where: {
-          createdAt: { gte: startDate },
-          status: { in: ["PENDING", "PAID"] },
-        },
-        _sum: { amount: true },
-        orderBy: { _sum: { amount: "desc" } },
-        take: 5,
-      }),
-    ]);
-
-    const courseIds = topCourses.map((item) => item.courseId);
-    const instructorIds = topInstructors.map((item) => item.instructorId);
+    const dispute = await disputeService.getDispute(disputeId);
 
-    const [courseDetails, instructorDetails] = await Promise.all([
-      prisma.course.findMany({
-        where: { id: { in: courseIds } },
-        select: { id: true, title: true },
-      }),
-      prisma.instructor.findMany({
-        where: { id: { in: instructorIds } },
-        include: {
-          user: {
-            select: { firstName: true, lastName: true },
-          },
-        },
-      }),
-    ]);
+    if (!dispute) {
+      return res.status(404).json({
+        success: false,
+        message: "Dispute not found",
+        code: "DISPUTE_NOT_FOUND",
+      });
+    }
 
-    const overview = {
-      summary: {
-        totalRevenue: totalRevenue._sum.amount || 0,
-        periodRevenue: periodRevenue._sum.amount || 0,
-        totalTransactions: totalRevenue._count,
-        periodTransactions: periodRevenue._count,
-        totalRefunds: refundData._sum.refundAmount || 0,
-        totalPayouts: payoutData._sum.amount || 0,
-        netRevenue:
-          (periodRevenue._sum.amount || 0) -
-          (refundData._sum.refundAmount || 0),
-        currency,
-      },
-      growth: {
-        revenueGrowth: 0,
-        transactionGrowth: 0,
-        refundRate:
-          periodTransactions > 0
-            ? ((refundData._count / periodTransactions) * 100).toFixed(2)
-            : 0,
-      },
-      topPerformers: {
-        courses: topCourses.map((item) => {
-          const course = courseDetails.find((c) => c.id === item.courseId);
-          return {
-            courseId: item.courseId,
-            title: course?.title || "Unknown Course",
-            enrollments: item._count.courseId,
-            revenue: item._sum?.payment?.amount || 0,
-          };
-        }),
-        instructors: topInstructors.map((item) => {
-          const instructor = instructorDetails.find(
-            (i) => i.id === item.instructorId
-          );
-          return {
-            instructorId: item.instructorId,
-            name: instructor
-              ? `${instructor.user.firstName} ${instructor.user.lastName}`
-              : "Unknown Instructor",
-            earnings: item._sum.amount || 0,
-          };
-        }),
-      },
-      metrics: {
-        averageTransactionValue:
-          periodTransactions > 0
-            ? ((periodRevenue._sum.amount || 0) / periodTransactions).toFixed(2)
-            : 0,
-        payoutRatio:
-          periodRevenue._sum.amount > 0
-            ? (
-                ((payoutData._sum.amount || 0) /
-                  (periodRevenue._sum.amount || 1)) *
-                100
-              ).toFixed(2)
-            : 0,
-        platformRevenue:
-          (periodRevenue._sum.amount || 0) - (payoutData._sum.amount || 0),
-      },
-    };
+    const resolvedDispute = disputeService.isOpen(dispute.status)
+      ? await disputeService.resolveDispute(disputeId, normalizedOutcome, {
+          resolvedById: req.userAuthId,
+          note: note?.trim() || null,
+        })
+      : null;
 
-    await redisService.setJSON(cacheKey, overview, { ex: 1800 });
+    if (!resolvedDispute) {
+      return res.status(400).json({
+        success: false,
+        message: `Dispute is already ${dispute.status.toLowerCase()}`,
+        code: "INVALID_DISPUTE_STATUS",
+      });
+    }
 
-    const executionTime = Math.round(performance.now() - startTime);
+    await redisService.delPattern("revenue_overview:*");
+    await redisService.delPattern("financial_analytics:*");
 
     res.status(200).json({
       success: true,
-      message: "Revenue overview retrieved successfully",
-      data: overview,
+      message: "Dispute resolved successfully",
+      data: formatDispute(resolvedDispute),
       meta: {
-        cached: false,
-        executionTime,
+        executionTime: Math.round(performance.now() - startTime),
         timestamp: new Date().toISOString(),
       },
     });
   } catch (error) {
-    console.error("Get revenue overview error:", error);
+    console.error("Resolve dispute error:", error);
     res.status(500).json({
       success: false,
-      message: "Failed to retrieve revenue overview",
+      message: "Failed to resolve dispute",
       code: "INTERNAL_SERVER_ERROR",
       meta: {
         executionTime: Math.round(performance.now() - startTime),
@@ -1111,24 +1340,48 @@ export const getRevenueOverview = asyncHandler(async (req, res) => {
   }
 });
 
-export const getFinancialAnalytics = asyncHandler(async (req, res) => {
+export const getAllPayouts = asyncHandler(async (req, res) => {
   const startTime = performance.now();
 
   try {
     const {
-      period = "12",
-      granularity = "month",
-      currency = "INR",
-    } = req.query;
+      page = 1,
+      limit = 20,
+      status,
+      dateFrom,
+      dateTo,
+      minAmount,
+      maxAmount,
+      instructorId,
+      batchId,
+      sortBy = "createdAt",
+      sortOrder = "desc",
+    } = req.query;
 
-    const cacheKey = `financial_analytics:${period}:${granularity}:${currency}`;
-    let cachedAnalytics = await redisService.getJSON(cacheKey);
+    const pageSize = Math.min(parseInt(limit), 100);
+    const pageNumber = Math.max(parseInt(page), 1);
+    const skip = (pageNumber - 1) * pageSize;
 
-    if (cachedAnalytics) {
+    const cacheKey = `admin_payouts:${JSON.stringify({
+      page: pageNumber,
+      limit: pageSize,
+      status,
+      dateFrom,
+      dateTo,
+      minAmount,
+      maxAmount,
+      instructorId,
+      batchId,
+      sortBy,
+      sortOrder,
+    })}`;
+
+    let cachedResult = await redisService.getJSON(cacheKey);
+    if (cachedResult) {
       return res.status(200).json({
         success: true,
-        message: "Financial analytics retrieved successfully",
-        data: cachedAnalytics,
+        message: "Payouts retrieved successfully",
+        data: cachedResult,
         meta: {
           cached: true,
           executionTime: Math.round(performance.now() - startTime),
@@ -1137,162 +1390,1877 @@ export const getFinancialAnalytics = asyncHandler(async (req, res) => {
       });
     }
 
-    const periodMonths = parseInt(period);
-    const startDate = new Date();
-    startDate.setMonth(startDate.getMonth() - periodMonths);
+    const where = {};
 
-    const [
-      revenueByMethod,
-      revenueByGateway,
-      revenueByStatus,
-      monthlyTrends,
-      instructorEarnings,
-      platformMetrics,
-    ] = await Promise.all([
-      prisma.payment.groupBy({
-        by: ["method"],
-        where: {
-          createdAt: { gte: startDate },
-          currency,
-        },
-        _sum: { amount: true },
-        _count: true,
-      }),
-      prisma.payment.groupBy({
-        by: ["gateway"],
-        where: {
-          createdAt: { gte: startDate },
-          currency,
+    if (status) where.status = status;
+    if (instructorId) where.instructorId = instructorId;
+    if (batchId) where.batchId = batchId;
+
+    if (dateFrom || dateTo) {
+      where.createdAt = {};
+      if (dateFrom) where.createdAt.gte = new Date(dateFrom);
+      if (dateTo) where.createdAt.lte = new Date(dateTo);
+    }
+
+    if (minAmount || maxAmount) {
+      where.amount = {};
+      if (minAmount) where.amount.gte = parseFloat(minAmount);
+      if (maxAmount) where.amount.lte = parseFloat(maxAmount);
+    }
+
+    const orderBy = {};
+    orderBy[sortBy] = sortOrder;
+
+    const [payouts, total] = await Promise.all([
+      prisma.payout.findMany({
+        where,
+        orderBy,
+        skip,
+        take: pageSize,
+        include: {
+          instructor: {
+            include: {
+              user: {
+                select: {
+                  firstName: true,
+                  lastName: true,
+                  email: true,
+                },
+              },
+            },
+          },
         },
-        _sum: { amount: true },
-        _count: true,
       }),
-      prisma.payment.groupBy({
-        by: ["status"],
-        where: {
-          createdAt: { gte: startDate },
-          currency,
+      prisma.payout.count({ where }),
+    ]);
+
+    const payoutsData = payouts.map((payout) => ({
+      id: payout.id,
+      amount: payout.amount,
+      currency: payout.currency,
+      status: payout.status,
+      requestedAt: payout.requestedAt,
+      processedAt: payout.processedAt,
+      gateway: payout.gateway,
+      gatewayId: payout.gatewayId,
+      attempts: payout.attempts,
+      failureReason: payout.failureReason,
+      nextRetryAt: payout.nextRetryAt,
+      batchId: payout.batchId,
+      instructor: {
+        id: payout.instructor.id,
+        name: `${payout.instructor.user.firstName} ${payout.instructor.user.lastName}`,
+        email: payout.instructor.user.email,
+      },
+    }));
+
+    const result = {
+      payouts: payoutsData,
+      pagination: {
+        page: pageNumber,
+        limit: pageSize,
+        total,
+        totalPages: Math.ceil(total / pageSize),
+        hasNext: skip + pageSize < total,
+        hasPrev: pageNumber > 1,
+      },
+      filters: {
+        status,
+        dateFrom,
+        dateTo,
+        minAmount,
+        maxAmount,
+        instructorId,
+        batchId,
+      },
+      sort: {
+        sortBy,
+        sortOrder,
+      },
+    };
+
+    await redisService.setJSON(cacheKey, result, { ex: 300 });
+
+    const executionTime = Math.round(performance.now() - startTime);
+
+    res.status(200).json({
+      success: true,
+      message: "Payouts retrieved successfully",
+      data: result,
+      meta: {
+        cached: false,
+        executionTime,
+        timestamp: new Date().toISOString(),
+      },
+    });
+  } catch (error) {
+    console.error("Get all payouts error:", error);
+    res.status(500).json({
+      success: false,
+      message: "Failed to retrieve payouts",
+      code: "INTERNAL_SERVER_ERROR",
+      meta: {
+        executionTime: Math.round(performance.now() - startTime),
+        timestamp: new Date().toISOString(),
+      },
+    });
+  }
+});
+
+const formatPayout = (payout) => ({
+  payoutId: payout.id,
+  amount: payout.amount,
+  currency: payout.currency,
+  status: payout.status,
+  gateway: payout.gateway,
+  gatewayId: payout.gatewayId,
+  reference: payout.reference,
+  attempts: payout.attempts,
+  failureReason: payout.failureReason,
+  nextRetryAt: payout.nextRetryAt,
+  requestedAt: payout.requestedAt,
+  processedAt: payout.processedAt,
+  batchId: payout.batchId,
+});
+
+const PAYOUT_MESSAGES = {
+  PROCESSING: "Payout submitted and awaiting gateway confirmation",
+  COMPLETED: "Payout processed successfully",
+  FAILED: "Payout transfer failed",
+};
+
+const executeAdminPayout = async (req, res, allowedStatuses) => {
+  const startTime = performance.now();
+
+  try {
+    const { payoutId } = req.params;
+    const gateway = req.body?.gateway
+      ? String(req.body.gateway).toUpperCase()
+      : null;
+
+    const payout = await prisma.payout.findUnique({
+      where: { id: payoutId },
+      include: {
+        instructor: {
+          select: { paymentDetails: true },
         },
-        _sum: { amount: true },
-        _count: true,
-      }),
-      prisma.$queryRaw`
-        SELECT 
-          DATE_TRUNC('month', "createdAt") as month,
-          SUM(amount) as revenue,
-          COUNT(*) as transactions
-        FROM "Payment"
-        WHERE "createdAt" >= ${startDate}
-          AND currency = ${currency}
-        GROUP BY DATE_TRUNC('month', "createdAt")
-        ORDER BY month DESC
-        LIMIT 12
-      `,
-      prisma.earning.aggregate({
-        where: {
-          createdAt: { gte: startDate },
+        batch: {
+          select: { status: true },
         },
-        _sum: {
-          amount: true,
-          commission: true,
-          platformFee: true,
+      },
+    });
+
+    if (!payout) {
+      return res.status(404).json({
+        success: false,
+        message: "Payout not found",
+        code: "PAYOUT_NOT_FOUND",
+      });
+    }
+
+    if (!allowedStatuses.includes(payout.status)) {
+      return res.status(400).json({
+        success: false,
+        message: `Payout is already ${payout.status.toLowerCase()}`,
+        code: "INVALID_PAYOUT_STATUS",
+      });
+    }
+
+    if (payout.batch && payout.batch.status !== "APPROVED") {
+      return res.status(400).json({
+        success: false,
+        message: "Payout belongs to a batch that has not been approved",
+        code: "PAYOUT_BATCH_NOT_APPROVED",
+      });
+    }
+
+    if (!payoutService.resolveGateway(payout, gateway)) {
+      return res.status(400).json({
+        success: false,
+        message: gateway
+          ? `${gateway} cannot pay out in ${payout.currency}`
+          : `No payout gateway available for ${payout.currency}`,
+        code: "PAYOUT_GATEWAY_UNAVAILABLE",
+        data: {
+          availableGateways: payoutService.getAvailableGateways(),
         },
-      }),
-      prisma.$queryRaw`
-        SELECT 
-          COUNT(DISTINCT p.id) as total_transactions,
-          SUM(p.amount) as total_revenue,
-          AVG(p.amount) as avg_transaction_value,
-          COUNT(DISTINCT e.id) as total_enrollments,
-          COUNT(DISTINCT c.id) as courses_sold,
-          COUNT(DISTINCT i.id) as active_instructors
-        FROM "Payment" p
-        LEFT JOIN "Enrollment" e ON p.id = e."paymentId"
-        LEFT JOIN "Course" c ON e."courseId" = c.id
-        LEFT JOIN "Instructor" i ON c."instructorId" = i.id
-        WHERE p."createdAt" >= ${startDate}
-          AND p.currency = ${currency}
-      `,
-    ]);
+      });
+    }
 
-    const analytics = {
-      breakdown: {
-        byPaymentMethod: revenueByMethod.map((item) => ({
-          method: item.method,
-          revenue: item._sum.amount || 0,
-          transactions: item._count,
-          percentage: 0,
-        })),
-        byGateway: revenueByGateway.map((item) => ({
-          gateway: item.gateway,
-          revenue: item._sum.amount || 0,
-          transactions: item._count,
-          percentage: 0,
-        })),
-        byStatus: revenueByStatus.map((item) => ({
-          status: item.status,
-          revenue: item._sum.amount || 0,
-          transactions: item._count,
-          percentage: 0,
+    const updatedPayout = await payoutService.executePayout(payoutId, {
+      gateway,
+    });
+
+    const executionTime = Math.round(performance.now() - startTime);
+
+    res.status(updatedPayout.status === "FAILED" ? 502 : 200).json({
+      success: updatedPayout.status !== "FAILED",
+      message:
+        PAYOUT_MESSAGES[updatedPayout.status] ||
+        `Payout is ${updatedPayout.status.toLowerCase()}`,
+      ...(updatedPayout.status === "FAILED" && {
+        code: "PAYOUT_TRANSFER_FAILED",
+      }),
+      data: formatPayout(updatedPayout),
+      meta: {
+        executionTime,
+        timestamp: new Date().toISOString(),
+      },
+    });
+  } catch (error) {
+    console.error("Process payout error:", error);
+    res.status(500).json({
+      success: false,
+      message: "Failed to process payout",
+      code: "INTERNAL_SERVER_ERROR",
+      meta: {
+        executionTime: Math.round(performance.now() - startTime),
+        timestamp: new Date().toISOString(),
+      },
+    });
+  }
+};
+
+export const processPayout = asyncHandler(async (req, res) => {
+  await executeAdminPayout(req, res, ["PENDING"]);
+});
+
+export const retryPayout = asyncHandler(async (req, res) => {
+  await executeAdminPayout(req, res, ["FAILED"]);
+});
+
+export const cancelPayout = asyncHandler(async (req, res) => {
+  const startTime = performance.now();
+
+  try {
+    const { payoutId } = req.params;
+    const { reason } = req.body || {};
+
+    const payout = await prisma.payout.findUnique({
+      where: { id: payoutId },
+      select: { id: true, status: true },
+    });
+
+    if (!payout) {
+      return res.status(404).json({
+        success: false,
+        message: "Payout not found",
+        code: "PAYOUT_NOT_FOUND",
+      });
+    }
+
+    if (!["PENDING", "FAILED"].includes(payout.status)) {
+      return res.status(400).json({
+        success: false,
+        message: `Payout is already ${payout.status.toLowerCase()}`,
+        code: "INVALID_PAYOUT_STATUS",
+      });
+    }
+
+    const cancelledPayout = await payoutService.cancelPayout(
+      payoutId,
+      reason?.trim() || "Cancelled by admin"
+    );
+
+    res.status(200).json({
+      success: true,
+      message: "Payout cancelled successfully",
+      data: formatPayout(cancelledPayout),
+      meta: {
+        executionTime: Math.round(performance.now() - startTime),
+        timestamp: new Date().toISOString(),
+      },
+    });
+  } catch (error) {
+    console.error("Cancel payout error:", error);
+    res.status(500).json({
+      success: false,
+      message: "Failed to cancel payout",
+      code: "INTERNAL_SERVER_ERROR",
+      meta: {
+        executionTime: Math.round(performance.now() - startTime),
+        timestamp: new Date().toISOString(),
+      },
+    });
+  }
+});
+
+export const getPayoutGateways = asyncHandler(async (req, res) => {
+  const startTime = performance.now();
+
+  try {
+    res.status(200).json({
+      success: true,
+      message: "Payout gateways retrieved successfully",
+      data: {
+        gateways: payoutService.describeGateways(),
+      },
+      meta: {
+        executionTime: Math.round(performance.now() - startTime),
+        timestamp: new Date().toISOString(),
+      },
+    });
+  } catch (error) {
+    console.error("Get payout gateways error:", error);
+    res.status(500).json({
+      success: false,
+      message: "Failed to retrieve payout gateways",
+      code: "INTERNAL_SERVER_ERROR",
+      meta: {
+        executionTime: Math.round(performance.now() - startTime),
+        timestamp: new Date().toISOString(),
+      },
+    });
+  }
+});
+
+export const getPayoutBatches = asyncHandler(async (req, res) => {
+  const startTime = performance.now();
+
+  try {
+    const { page = 1, limit = 20, status, schedule } = req.query;
+
+    const pageSize = Math.min(parseInt(limit), 100);
+    const pageNumber = Math.max(parseInt(page), 1);
+    const skip = (pageNumber - 1) * pageSize;
+
+    const cacheKey = `admin_payout_batches:${JSON.stringify({
+      page: pageNumber,
+      limit: pageSize,
+      status,
+      schedule,
+    })}`;
+
+    const cachedResult = await redisService.getJSON(cacheKey);
+    if (cachedResult) {
+      return res.status(200).json({
+        success: true,
+        message: "Payout batches retrieved successfully",
+        data: cachedResult,
+        meta: {
+          cached: true,
+          executionTime: Math.round(performance.now() - startTime),
+          timestamp: new Date().toISOString(),
+        },
+      });
+    }
+
+    const where = {};
+    if (status) where.status = status;
+    if (schedule) where.schedule = schedule;
+
+    const [batches, total] = await Promise.all([
+      prisma.payoutBatch.findMany({
+        where,
+        orderBy: { createdAt: "desc" },
+        skip,
+        take: pageSize,
+      }),
+      prisma.payoutBatch.count({ where }),
+    ]);
+
+    const statusCounts = await prisma.payout.groupBy({
+      by: ["batchId", "status"],
+      where: { batchId: { in: batches.map((batch) => batch.id) } },
+      _count: true,
+    });
+
+    const result = {
+      batches: batches.map((batch) => ({
+        id: batch.id,
+        schedule: batch.schedule,
+        period: formatPayoutPeriod(batch),
+        periodStart: batch.periodStart,
+        periodEnd: batch.periodEnd,
+        cutoffDate: batch.cutoffDate,
+        status: batch.status,
+        payoutCount: batch.payoutCount,
+        skippedCount: batch.skipped?.length || 0,
+        totals: batch.totals,
+        payoutStatuses: Object.fromEntries(
+          statusCounts
+            .filter((count) => count.batchId === batch.id)
+            .map((count) => [count.status, count._count])
+        ),
+        approvedAt: batch.approvedAt,
+        rejectedAt: batch.rejectedAt,
+        createdAt: batch.createdAt,
+      })),
+      pagination: {
+        page: pageNumber,
+        limit: pageSize,
+        total,
+        totalPages: Math.ceil(total / pageSize),
+        hasNext: skip + pageSize < total,
+        hasPrev: pageNumber > 1,
+      },
+      settings: await payoutBatchService.getScheduleSettings(),
+    };
+
+    await redisService.setJSON(cacheKey, result, { ex: 300 });
+
+    res.status(200).json({
+      success: true,
+      message: "Payout batches retrieved successfully",
+      data: result,
+      meta: {
+        cached: false,
+        executionTime: Math.round(performance.now() - startTime),
+        timestamp: new Date().toISOString(),
+      },
+    });
+  } catch (error) {
+    console.error("Get payout batches error:", error);
+    res.status(500).json({
+      success: false,
+      message: "Failed to retrieve payout batches",
+      code: "INTERNAL_SERVER_ERROR",
+      meta: {
+        executionTime: Math.round(performance.now() - startTime),
+        timestamp: new Date().toISOString(),
+      },
+    });
+  }
+});
+
+export const getPayoutBatchDetails = asyncHandler(async (req, res) => {
+  const startTime = performance.now();
+
+  try {
+    const { batchId } = req.params;
+
+    const batch = await prisma.payoutBatch.findUnique({
+      where: { id: batchId },
+      include: {
+        payouts: {
+          orderBy: { amount: "desc" },
+          include: {
+            instructor: {
+              include: {
+                user: {
+                  select: {
+                    firstName: true,
+                    lastName: true,
+                    email: true,
+                  },
+                },
+              },
+            },
+            _count: { select: { earnings: true } },
+          },
+        },
+      },
+    });
+
+    if (!batch) {
+      return res.status(404).json({
+        success: false,
+        message: "Payout batch not found",
+        code: "PAYOUT_BATCH_NOT_FOUND",
+      });
+    }
+
+    res.status(200).json({
+      success: true,
+      message: "Payout batch retrieved successfully",
+      data: {
+        id: batch.id,
+        schedule: batch.schedule,
+        period: formatPayoutPeriod(batch),
+        periodStart: batch.periodStart,
+        periodEnd: batch.periodEnd,
+        cutoffDate: batch.cutoffDate,
+        status: batch.status,
+        payoutCount: batch.payoutCount,
+        totals: batch.totals,
+        skipped: batch.skipped || [],
+        approvedById: batch.approvedById,
+        approvedAt: batch.approvedAt,
+        rejectedById: batch.rejectedById,
+        rejectedAt: batch.rejectedAt,
+        rejectionReason: batch.rejectionReason,
+        createdAt: batch.createdAt,
+        payouts: batch.payouts.map((payout) => ({
+          ...formatPayout(payout),
+          earningsCount: payout._count.earnings,
+          instructor: {
+            id: payout.instructor.id,
+            name: `${payout.instructor.user.firstName} ${payout.instructor.user.lastName}`,
+            email: payout.instructor.user.email,
+            hasPaymentDetails: !!payout.instructor.paymentDetails,
+          },
         })),
       },
-      trends: {
-        monthly: monthlyTrends.map((item) => ({
-          month: item.month,
-          revenue: parseFloat(item.revenue) || 0,
-          transactions: parseInt(item.transactions) || 0,
-        })),
+      meta: {
+        executionTime: Math.round(performance.now() - startTime),
+        timestamp: new Date().toISOString(),
+      },
+    });
+  } catch (error) {
+    console.error("Get payout batch details error:", error);
+    res.status(500).json({
+      success: false,
+      message: "Failed to retrieve payout batch",
+      code: "INTERNAL_SERVER_ERROR",
+      meta: {
+        executionTime: Math.round(performance.now() - startTime),
+        timestamp: new Date().toISOString(),
+      },
+    });
+  }
+});
+
+export const runPayoutBatch = asyncHandler(async (req, res) => {
+  const startTime = performance.now();
+
+  try {
+    const { batch, created } = await payoutBatchService.runPayoutCycle({
+      triggeredById: req.userAuthId,
+    });
+
+    res.status(created ? 201 : 200).json({
+      success: true,
+      message: created
+        ? "Payout batch created successfully"
+        : "A payout batch already exists for this period",
+      data: {
+        id: batch.id,
+        schedule: batch.schedule,
+        period: formatPayoutPeriod(batch),
+        status: batch.status,
+        payoutCount: batch.payoutCount,
+        totals: batch.totals,
+        skipped: batch.skipped || [],
+      },
+      meta: {
+        executionTime: Math.round(performance.now() - startTime),
+        timestamp: new Date().toISOString(),
+      },
+    });
+  } catch (error) {
+    console.error("Run payout batch error:", error);
+    res.status(500).json({
+      success: false,
+      message: "Failed to run payout batch",
+      code: "INTERNAL_SERVER_ERROR",
+      meta: {
+        executionTime: Math.round(performance.now() - startTime),
+        timestamp: new Date().toISOString(),
+      },
+    });
+  }
+});
+
+export const approvePayoutBatch = asyncHandler(async (req, res) => {
+  const startTime = performance.now();
+
+  try {
+    const { batchId } = req.params;
+
+    const batch = await payoutBatchService.getBatch(batchId);
+
+    if (!batch) {
+      return res.status(404).json({
+        success: false,
+        message: "Payout batch not found",
+        code: "PAYOUT_BATCH_NOT_FOUND",
+      });
+    }
+
+    const result =
+      batch.status === "PENDING_APPROVAL"
+        ? await payoutBatchService.approveBatch(batchId, req.userAuthId)
+        : null;
+
+    if (!result) {
+      return res.status(400).json({
+        success: false,
+        message: `Payout batch is already ${batch.status.toLowerCase()}`,
+        code: "INVALID_BATCH_STATUS",
+      });
+    }
+
+    res.status(200).json({
+      success: true,
+      message: "Payout batch approved successfully",
+      data: {
+        id: result.batch.id,
+        status: result.batch.status,
+        approvedAt: result.batch.approvedAt,
+        execution: result.execution,
+      },
+      meta: {
+        executionTime: Math.round(performance.now() - startTime),
+        timestamp: new Date().toISOString(),
+      },
+    });
+  } catch (error) {
+    console.error("Approve payout batch error:", error);
+    res.status(500).json({
+      success: false,
+      message: "Failed to approve payout batch",
+      code: "INTERNAL_SERVER_ERROR",
+      meta: {
+        executionTime: Math.round(performance.now() - startTime),
+        timestamp: new Date().toISOString(),
+      },
+    });
+  }
+});
+
+export const rejectPayoutBatch = asyncHandler(async (req, res) => {
+  const startTime = performance.now();
+
+  try {
+    const { batchId } = req.params;
+    const { reason } = req.body || {};
+
+    const batch = await payoutBatchService.getBatch(batchId);
+
+    if (!batch) {
+      return res.status(404).json({
+        success: false,
+        message: "Payout batch not found",
+        code: "PAYOUT_BATCH_NOT_FOUND",
+      });
+    }
+
+    const rejectedBatch =
+      batch.status === "PENDING_APPROVAL"
+        ? await payoutBatchService.rejectBatch(
+            batchId,
+            req.userAuthId,
+            reason?.trim() || null
+          )
+        : null;
+
+    if (!rejectedBatch) {
+      return res.status(400).json({
+        success: false,
+        message: `Payout batch is already ${batch.status.toLowerCase()}`,
+        code: "INVALID_BATCH_STATUS",
+      });
+    }
+
+    res.status(200).json({
+      success: true,
+      message: "Payout batch rejected successfully",
+      data: {
+        id: rejectedBatch.id,
+        status: rejectedBatch.status,
+        rejectedAt: rejectedBatch.rejectedAt,
+        rejectionReason: rejectedBatch.rejectionReason,
+      },
+      meta: {
+        executionTime: Math.round(performance.now() - startTime),
+        timestamp: new Date().toISOString(),
+      },
+    });
+  } catch (error) {
+    console.error("Reject payout batch error:", error);
+    res.status(500).json({
+      success: false,
+      message: "Failed to reject payout batch",
+      code: "INTERNAL_SERVER_ERROR",
+      meta: {
+        executionTime: Math.round(performance.now() - startTime),
+        timestamp: new Date().toISOString(),
+      },
+    });
+  }
+});
+
+export const getRevenueOverview = asyncHandler(async (req, res) => {
+  const startTime = performance.now();
+
+  try {
+    const { period = "30", currency = "INR" } = req.query;
+
+    const cacheKey = `revenue_overview:${period}:${currency}`;
+    let cachedOverview = await redisService.getJSON(cacheKey);
+
+    if (cachedOverview) {
+      return res.status(200).json({
+        success: true,
+        message: "Revenue overview retrieved successfully",
+        data: cachedOverview,
+        meta: {
+          cached: true,
+          executionTime: Math.round(performance.now() - startTime),
+          timestamp: new Date().toISOString(),
+        },
+      });
+    }
+
+    const periodDays = parseInt(period);
+    const startDate = new Date();
+    startDate.setDate(startDate.getDate() - periodDays);
+
+    const [
+      totalRevenue,
+      periodRevenue,
+      totalTransactions,
+      periodTransactions,
+      refundData,
+      payoutData,
+      topCourses,
+      topInstructors,
+      taxData,
+      refundTaxData,
+      taxedPayments,
+      currencyBreakdown,
+    ] = await Promise.all([
+      prisma.payment.aggregate({
+        where: {
+          status: "COMPLETED",
+          currency,
+        },
+        _sum: { amount: true },
+        _count: true,
+      }),
+      prisma.payment.aggregate({
+        where: {
+          status: "COMPLETED",
+          currency,
+          createdAt: { gte: startDate },
+        },
+        _sum: { amount: true },
+        _count: true,
+      }),
+      prisma.payment.count({
+        where: { status: "COMPLETED" },
+      }),
+      prisma.payment.count({
+        where: {
+          status: "COMPLETED",
+          createdAt: { gte: startDate },
+        },
+      }),
+      prisma.payment.aggregate({
+        where: {
+          status: { in: ["REFUNDED", "PARTIALLY_REFUNDED"] },
+          currency,
+          refundedAt: { gte: startDate },
+        },
+        _sum: { refundAmount: true },
+        _count: true,
+      }),
+      prisma.payout.aggregate({
+        where: {
+          status: "COMPLETED",
+          currency,
+          processedAt: { gte: startDate },
+        },
+        _sum: { amount: true },
+        _count: true,
+      }),
+      prisma.enrollment.groupBy({
+        by: ["courseId"],
+        where: {
+          createdAt: { gte: startDate },
+          payment: { status: "COMPLETED" },
+        },
+        _count: { courseId: true },
+        _sum: { payment: { amount: true } },
+        orderBy: { _count: { courseId: "desc" } },
+        take: 5,
+      }),
+      prisma.earning.groupBy({
+        by: ["instructorId"],
+        where: {
+          createdAt: { gte: startDate },
+          status: { in: ["ON_HOLD", "PENDING", "PAID"] },
+        },
+        _sum: { amount: true },
+        orderBy: { _sum: { amount: "desc" } },
+        take: 5,
+      }),
+      prisma.payment.aggregate({
+        where: {
+          status: { in: ["COMPLETED", "REFUNDED", "PARTIALLY_REFUNDED"] },
+          currency,
+          createdAt: { gte: startDate },
+        },
+        _sum: { tax: true },
+      }),
+      prisma.payment.aggregate({
+        where: {
+          status: { in: ["REFUNDED", "PARTIALLY_REFUNDED"] },
+          currency,
+          refundedAt: { gte: startDate },
+        },
+        _sum: { refundTax: true },
+      }),
+      prisma.payment.findMany({
+        where: {
+          status: { in: ["COMPLETED", "REFUNDED", "PARTIALLY_REFUNDED"] },
+          currency,
+          createdAt: { gte: startDate },
+        },
+        select: { amount: true, tax: true, taxSnapshot: true },
+      }),
+      prisma.payment.groupBy({
+        by: ["currency"],
+        where: {
+          status: "COMPLETED",
+          createdAt: { gte: startDate },
+        },
+        _sum: { amount: true, baseAmount: true },
+        _count: true,
+      }),
+    ]);
+
+    const courseIds = topCourses.map((item) => item.courseId);
+    const instructorIds = topInstructors.map((item) => item.instructorId);
+
+    const [courseDetails, instructorDetails] = await Promise.all([
+      prisma.course.findMany({
+        where: { id: { in: courseIds } },
+        select: { id: true, title: true },
+      }),
+      prisma.instructor.findMany({
+        where: { id: { in: instructorIds } },
+        include: {
+          user: {
+            select: { firstName: true, lastName: true },
+          },
+        },
+      }),
+    ]);
+
+    const overview = {
+      summary: {
+        totalRevenue: totalRevenue._sum.amount || 0,
+        periodRevenue: periodRevenue._sum.amount || 0,
+        totalTransactions: totalRevenue._count,
+        periodTransactions: periodRevenue._count,
+        totalRefunds: refundData._sum.refundAmount || 0,
+        totalPayouts: payoutData._sum.amount || 0,
+        netRevenue:
+          (periodRevenue._sum.amount || 0) -
+          (refundData._sum.refundAmount || 0),
+        currency,
+      },
+      growth: {
+        revenueGrowth: 0,
+        transactionGrowth: 0,
+        refundRate:
+          periodTransactions > 0
+            ? ((refundData._count / periodTransactions) * 100).toFixed(2)
+            : 0,
+      },
+      topPerformers: {
+        courses: topCourses.map((item) => {
+          const course = courseDetails.find((c) => c.id === item.courseId);
+          return {
+            courseId: item.courseId,
+            title: course?.title || "Unknown Course",
+            enrollments: item._count.courseId,
+            revenue: item._sum?.payment?.amount || 0,
+          };
+        }),
+        instructors: topInstructors.map((item) => {
+          const instructor = instructorDetails.find(
+            (i) => i.id === item.instructorId
+          );
+          return {
+            instructorId: item.instructorId,
+            name: instructor
+              ? `${instructor.user.firstName} ${instructor.user.lastName}`
+              : "Unknown Instructor",
+            earnings: item._sum.amount || 0,
+          };
+        }),
+      },
+      metrics: {
+        averageTransactionValue:
+          periodTransactions > 0
+            ? ((periodRevenue._sum.amount || 0) / periodTransactions).toFixed(2)
+            : 0,
+        payoutRatio:
+          periodRevenue._sum.amount > 0
+            ? (
+                ((payoutData._sum.amount || 0) /
+                  (periodRevenue._sum.amount || 1)) *
+                100
+              ).toFixed(2)
+            : 0,
+        platformRevenue:
+          (periodRevenue._sum.amount || 0) - (payoutData._sum.amount || 0),
+      },
+      tax: {
+        collected: taxData._sum.tax || 0,
+        refunded: refundTaxData._sum.refundTax || 0,
+        net:
+          parseFloat(taxData._sum.tax || 0) -
+          parseFloat(refundTaxData._sum.refundTax || 0),
+        reverseChargeTransactions: taxedPayments.filter(
+          (payment) => payment.taxSnapshot?.reverseCharge
+        ).length,
+        byRule: summarizeTaxByRule(taxedPayments),
+      },
+      currencies: {
+        baseCurrency: currencyService.getBaseCurrency(),
+        breakdown: currencyBreakdown.map((item) => ({
+          currency: item.currency,
+          transactions: item._count,
+          charged: item._sum.amount || 0,
+          // Payments made before multi-currency pricing were charged in the
+          // base currency and carry no separate base amount.
+          base:
+            item._sum.baseAmount ||
+            (item.currency === currencyService.getBaseCurrency()
+              ? item._sum.amount || 0
+              : 0),
+        })),
+      },
+    };
+
+    await redisService.setJSON(cacheKey, overview, { ex: 1800 });
+
+    const executionTime = Math.round(performance.now() - startTime);
+
+    res.status(200).json({
+      success: true,
+      message: "Revenue overview retrieved successfully",
+      data: overview,
+      meta: {
+        cached: false,
+        executionTime,
+        timestamp: new Date().toISOString(),
+      },
+    });
+  } catch (error) {
+    console.error("Get revenue overview error:", error);
+    res.status(500).json({
+      success: false,
+      message: "Failed to retrieve revenue overview",
+      code: "INTERNAL_SERVER_ERROR",
+      meta: {
+        executionTime: Math.round(performance.now() - startTime),
+        timestamp: new Date().toISOString(),
+      },
+    });
+  }
+});
+
+export const getFinancialAnalytics = asyncHandler(async (req, res) => {
+  const startTime = performance.now();
+
+  try {
+    const {
+      period = "12",
+      granularity = "month",
+      currency = "INR",
+    } = req.query;
+
+    const cacheKey = `financial_analytics:${period}:${granularity}:${currency}`;
+    let cachedAnalytics = await redisService.getJSON(cacheKey);
+
+    if (cachedAnalytics) {
+      return res.status(200).json({
+        success: true,
+        message: "Financial analytics retrieved successfully",
+        data: cachedAnalytics,
+        meta: {
+          cached: true,
+          executionTime: Math.round(performance.now() - startTime),
+          timestamp: new Date().toISOString(),
+        },
+      });
+    }
+
+    const periodMonths = parseInt(period);
+    const startDate = new Date();
+    startDate.setMonth(startDate.getMonth() - periodMonths);
+
+    const [
+      revenueByMethod,
+      revenueByGateway,
+      revenueByStatus,
+      monthlyTrends,
+      instructorEarnings,
+      platformMetrics,
+    ] = await Promise.all([
+      prisma.payment.groupBy({
+        by: ["method"],
+        where: {
+          createdAt: { gte: startDate },
+          currency,
+        },
+        _sum: { amount: true },
+        _count: true,
+      }),
+      prisma.payment.groupBy({
+        by: ["gateway"],
+        where: {
+          createdAt: { gte: startDate },
+          currency,
+        },
+        _sum: { amount: true },
+        _count: true,
+      }),
+      prisma.payment.groupBy({
+        by: ["status"],
+        where: {
+          createdAt: { gte: startDate },
+          currency,
+        },
+        _sum: { amount: true },
+        _count: true,
+      }),
+      prisma.$queryRaw`
+        SELECT 
+          DATE_TRUNC('month', "createdAt") as month,
+          SUM(amount) as revenue,
+          COUNT(*) as transactions
+        FROM "Payment"
+        WHERE "createdAt" >= ${startDate}
+          AND currency = ${currency}
+        GROUP BY DATE_TRUNC('month', "createdAt")
+        ORDER BY month DESC
+        LIMIT 12
+      `,
+      prisma.earning.aggregate({
+        where: {
+          createdAt: { gte: startDate },
+        },
+        _sum: {
+          amount: true,
+          commission: true,
+          platformFee: true,
+        },
+      }),
+      prisma.$queryRaw`
+        SELECT 
+          COUNT(DISTINCT p.id) as total_transactions,
+          SUM(p.amount) as total_revenue,
+          AVG(p.amount) as avg_transaction_value,
+          COUNT(DISTINCT e.id) as total_enrollments,
+          COUNT(DISTINCT c.id) as courses_sold,
+          COUNT(DISTINCT i.id) as active_instructors
+        FROM "Payment" p
+        LEFT JOIN "Enrollment" e ON p.id = e."paymentId"
+        LEFT JOIN "Course" c ON e."courseId" = c.id
+        LEFT JOIN "Instructor" i ON c."instructorId" = i.id
+        WHERE p."createdAt" >= ${startDate}
+          AND p.currency = ${currency}
+      `,
+    ]);
+
+    const analytics = {
+      breakdown: {
+        byPaymentMethod: revenueByMethod.map((item) => ({
+          method: item.method,
+          revenue: item._sum.amount || 0,
+          transactions: item._count,
+          percentage: 0,
+        })),
+        byGateway: revenueByGateway.map((item) => ({
+          gateway: item.gateway,
+          revenue: item._sum.amount || 0,
+          transactions: item._count,
+          percentage: 0,
+        })),
+        byStatus: revenueByStatus.map((item) => ({
+          status: item.status,
+          revenue: item._sum.amount || 0,
+          transactions: item._count,
+          percentage: 0,
+        })),
+      },
+      trends: {
+        monthly: monthlyTrends.map((item) => ({
+          month: item.month,
+          revenue: parseFloat(item.revenue) || 0,
+          transactions: parseInt(item.transactions) || 0,
+        })),
+      },
+      earnings: {
+        totalInstructorEarnings: instructorEarnings._sum.amount || 0,
+        totalCommissions: instructorEarnings._sum.commission || 0,
+        totalPlatformFees: instructorEarnings._sum.platformFee || 0,
+      },
+      metrics: platformMetrics[0] || {
+        total_transactions: 0,
+        total_revenue: 0,
+        avg_transaction_value: 0,
+        total_enrollments: 0,
+        courses_sold: 0,
+        active_instructors: 0,
+      },
+    };
+
+    const totalRevenue = analytics.breakdown.byPaymentMethod.reduce(
+      (sum, item) => sum + item.revenue,
+      0
+    );
+    if (totalRevenue > 0) {
+      analytics.breakdown.byPaymentMethod.forEach((item) => {
+        item.percentage = ((item.revenue / totalRevenue) * 100).toFixed(2);
+      });
+      analytics.breakdown.byGateway.forEach((item) => {
+        item.percentage = ((item.revenue / totalRevenue) * 100).toFixed(2);
+      });
+      analytics.breakdown.byStatus.forEach((item) => {
+        item.percentage = ((item.revenue / totalRevenue) * 100).toFixed(2);
+      });
+    }
+
+    await redisService.setJSON(cacheKey, analytics, { ex: 3600 });
+
+    const executionTime = Math.round(performance.now() - startTime);
+
+    res.status(200).json({
+      success: true,
+      message: "Financial analytics retrieved successfully",
+      data: analytics,
+      meta: {
+        cached: false,
+        executionTime,
+        timestamp: new Date().toISOString(),
+      },
+    });
+  } catch (error) {
+    console.error("Get financial analytics error:", error);
+    res.status(500).json({
+      success: false,
+      message: "Failed to retrieve financial analytics",
+      code: "INTERNAL_SERVER_ERROR",
+      meta: {
+        executionTime: Math.round(performance.now() - startTime),
+        timestamp: new Date().toISOString(),
+      },
+    });
+  }
+});
+
+export const getPaymentStats = asyncHandler(async (req, res) => {
+  const startTime = performance.now();
+
+  try {
+    const cacheKey = "payment_stats_overview";
+    let cachedStats = await redisService.getJSON(cacheKey);
+
+    if (cachedStats) {
+      return res.status(200).json({
+        success: true,
+        message: "Payment statistics retrieved successfully",
+        data: cachedStats,
+        meta: {
+          cached: true,
+          executionTime: Math.round(performance.now() - startTime),
+          timestamp: new Date().toISOString(),
+        },
+      });
+    }
+
+    const [
+      totalStats,
+      todayStats,
+      weekStats,
+      monthStats,
+      statusDistribution,
+      methodDistribution,
+      gatewayDistribution,
+    ] = await Promise.all([
+      prisma.payment.aggregate({
+        _sum: { amount: true },
+        _count: true,
+        _avg: { amount: true },
+      }),
+      prisma.payment.aggregate({
+        where: {
+          createdAt: {
+            gte: new Date(new Date().setHours(0, 0, 0, 0)),
+          },
+        },
+        _sum: { amount: true },
+        _count: true,
+      }),
+      prisma.payment.aggregate({
+        where: {
+          createdAt: {
+            gte: new Date(Date.now() - 7 * 24 * 60 * 60 * 1000),
+          },
+        },
+        _sum: { amount: true },
+        _count: true,
+      }),
+      prisma.payment.aggregate({
+        where: {
+          createdAt: {
+            gte: new Date(Date.now() - 30 * 24 * 60 * 60 * 1000),
+          },
+        },
+        _sum: { amount: true },
+        _count: true,
+      }),
+      prisma.payment.groupBy({
+        by: ["status"],
+        _count: true,
+      }),
+      prisma.payment.groupBy({
+        by: ["method"],
+        _count: true,
+      }),
+      prisma.payment.groupBy({
+        by: ["gateway"],
+        _count: true,
+      }),
+    ]);
+
+    const stats = {
+      overview: {
+        totalRevenue: totalStats._sum.amount || 0,
+        totalTransactions: totalStats._count,
+        averageTransactionValue: totalStats._avg.amount || 0,
+        todayRevenue: todayStats._sum.amount || 0,
+        todayTransactions: todayStats._count,
+        weekRevenue: weekStats._sum.amount || 0,
+        weekTransactions: weekStats._count,
+        monthRevenue: monthStats._sum.amount || 0,
+        monthTransactions: monthStats._count,
+      },
+      distribution: {
+        byStatus: statusDistribution.map((item) => ({
+          status: item.status,
+          count: item._count,
+          percentage:
+            totalStats._count > 0
+              ? ((item._count / totalStats._count) * 100).toFixed(2)
+              : 0,
+        })),
+        byMethod: methodDistribution.map((item) => ({
+          method: item.method,
+          count: item._count,
+          percentage:
+            totalStats._count > 0
+              ? ((item._count / totalStats._count) * 100).toFixed(2)
+              : 0,
+        })),
+        byGateway: gatewayDistribution.map((item) => ({
+          gateway: item.gateway,
+          count: item._count,
+          percentage:
+            totalStats._count > 0
+              ? ((item._count / totalStats._count) * 100).toFixed(2)
+              : 0,
+        })),
+      },
+      growth: {
+        dailyGrowth: 0,
+        weeklyGrowth: 0,
+        monthlyGrowth: 0,
+      },
+    };
+
+    await redisService.setJSON(cacheKey, stats, { ex: 900 });
+
+    const executionTime = Math.round(performance.now() - startTime);
+
+    res.status(200).json({
+      success: true,
+      message: "Payment statistics retrieved successfully",
+      data: stats,
+      meta: {
+        cached: false,
+        executionTime,
+        timestamp: new Date().toISOString(),
+      },
+    });
+  } catch (error) {
+    console.error("Get payment stats error:", error);
+    res.status(500).json({
+      success: false,
+      message: "Failed to retrieve payment statistics",
+      code: "INTERNAL_SERVER_ERROR",
+      meta: {
+        executionTime: Math.round(performance.now() - startTime),
+        timestamp: new Date().toISOString(),
+      },
+    });
+  }
+});
+
+export const getTaxRules = asyncHandler(async (req, res) => {
+  const startTime = performance.now();
+
+  try {
+    const rules = await prisma.taxRule.findMany({
+      orderBy: [
+        { isActive: "desc" },
+        { country: "asc" },
+        { priority: "desc" },
+        { createdAt: "asc" },
+      ],
+    });
+
+    res.status(200).json({
+      success: true,
+      message: "Tax rules retrieved successfully",
+      data: {
+        rules,
+        defaultRule: taxService.getDefaultRule(),
+      },
+      meta: {
+        executionTime: Math.round(performance.now() - startTime),
+        timestamp: new Date().toISOString(),
+      },
+    });
+  } catch (error) {
+    console.error("Get tax rules error:", error);
+    res.status(500).json({
+      success: false,
+      message: "Failed to retrieve tax rules",
+      code: "INTERNAL_SERVER_ERROR",
+      meta: {
+        executionTime: Math.round(performance.now() - startTime),
+        timestamp: new Date().toISOString(),
+      },
+    });
+  }
+});
+
+export const previewTax = asyncHandler(async (req, res) => {
+  const startTime = performance.now();
+
+  try {
+    const { amount, country, state, taxId } = req.query;
+
+    if (amount === undefined || isNaN(parseFloat(amount))) {
+      return res.status(400).json({
+        success: false,
+        message: "A numeric amount is required",
+        code: "VALIDATION_ERROR",
+      });
+    }
+
+    const taxSnapshot = await taxService.calculate({
+      amount,
+      country,
+      state,
+      taxId,
+    });
+
+    res.status(200).json({
+      success: true,
+      message: "Tax calculated successfully",
+      data: taxSnapshot,
+      meta: {
+        executionTime: Math.round(performance.now() - startTime),
+        timestamp: new Date().toISOString(),
+      },
+    });
+  } catch (error) {
+    console.error("Preview tax error:", error);
+    res.status(500).json({
+      success: false,
+      message: "Failed to calculate tax",
+      code: "INTERNAL_SERVER_ERROR",
+      meta: {
+        executionTime: Math.round(performance.now() - startTime),
+        timestamp: new Date().toISOString(),
+      },
+    });
+  }
+});
+
+export const createTaxRule = asyncHandler(async (req, res) => {
+  const startTime = performance.now();
+
+  try {
+    const errors = validateTaxRuleData(req.body);
+    if (errors.length > 0) {
+      return res.status(400).json({
+        success: false,
+        message: "Validation failed",
+        code: "VALIDATION_ERROR",
+        errors,
+      });
+    }
+
+    const rule = await prisma.taxRule.create({
+      data: {
+        ...buildTaxRuleData(req.body),
+        createdById: req.userAuthId,
+      },
+    });
+
+    await taxService.invalidateRules();
+    await redisService.delPattern("revenue_overview:*");
+
+    res.status(201).json({
+      success: true,
+      message: "Tax rule created successfully",
+      data: { rule },
+      meta: {
+        executionTime: Math.round(performance.now() - startTime),
+        timestamp: new Date().toISOString(),
+      },
+    });
+  } catch (error) {
+    console.error("Create tax rule error:", error);
+    res.status(500).json({
+      success: false,
+      message: "Failed to create tax rule",
+      code: "INTERNAL_SERVER_ERROR",
+      meta: {
+        executionTime: Math.round(performance.now() - startTime),
+        timestamp: new Date().toISOString(),
+      },
+    });
+  }
+});
+
+export const updateTaxRule = asyncHandler(async (req, res) => {
+  const startTime = performance.now();
+
+  try {
+    const { ruleId } = req.params;
+
+    const existingRule = await prisma.taxRule.findUnique({
+      where: { id: ruleId },
+    });
+
+    if (!existingRule) {
+      return res.status(404).json({
+        success: false,
+        message: "Tax rule not found",
+        code: "TAX_RULE_NOT_FOUND",
+      });
+    }
+
+    const errors = validateTaxRuleData(
+      { country: existingRule.country, ...req.body },
+      true
+    );
+    if (errors.length > 0) {
+      return res.status(400).json({
+        success: false,
+        message: "Validation failed",
+        code: "VALIDATION_ERROR",
+        errors,
+      });
+    }
+
+    const rule = await prisma.taxRule.update({
+      where: { id: ruleId },
+      data: buildTaxRuleData(req.body),
+    });
+
+    await taxService.invalidateRules();
+
+    res.status(200).json({
+      success: true,
+      message: "Tax rule updated successfully",
+      data: { rule },
+      meta: {
+        executionTime: Math.round(performance.now() - startTime),
+        timestamp: new Date().toISOString(),
+      },
+    });
+  } catch (error) {
+    console.error("Update tax rule error:", error);
+    res.status(500).json({
+      success: false,
+      message: "Failed to update tax rule",
+      code: "INTERNAL_SERVER_ERROR",
+      meta: {
+        executionTime: Math.round(performance.now() - startTime),
+        timestamp: new Date().toISOString(),
+      },
+    });
+  }
+});
+
+export const deleteTaxRule = asyncHandler(async (req, res) => {
+  const startTime = performance.now();
+
+  try {
+    const { ruleId } = req.params;
+
+    const existingRule = await prisma.taxRule.findUnique({
+      where: { id: ruleId },
+    });
+
+    if (!existingRule) {
+      return res.status(404).json({
+        success: false,
+        message: "Tax rule not found",
+        code: "TAX_RULE_NOT_FOUND",
+      });
+    }
+
+    await prisma.taxRule.delete({ where: { id: ruleId } });
+    await taxService.invalidateRules();
+
+    res.status(200).json({
+      success: true,
+      message: "Tax rule deleted successfully",
+      data: { ruleId },
+      meta: {
+        executionTime: Math.round(performance.now() - startTime),
+        timestamp: new Date().toISOString(),
+      },
+    });
+  } catch (error) {
+    console.error("Delete tax rule error:", error);
+    res.status(500).json({
+      success: false,
+      message: "Failed to delete tax rule",
+      code: "INTERNAL_SERVER_ERROR",
+      meta: {
+        executionTime: Math.round(performance.now() - startTime),
+        timestamp: new Date().toISOString(),
+      },
+    });
+  }
+});
+
+export const getExchangeRates = asyncHandler(async (req, res) => {
+  const startTime = performance.now();
+
+  try {
+    const rates = await prisma.exchangeRate.findMany({
+      orderBy: [{ isActive: "desc" }, { currency: "asc" }],
+    });
+
+    res.status(200).json({
+      success: true,
+      message: "Exchange rates retrieved successfully",
+      data: {
+        baseCurrency: currencyService.getBaseCurrency(),
+        rates,
+        roundingModes: PRICE_ROUNDING_MODES,
+      },
+      meta: {
+        executionTime: Math.round(performance.now() - startTime),
+        timestamp: new Date().toISOString(),
+      },
+    });
+  } catch (error) {
+    console.error("Get exchange rates error:", error);
+    res.status(500).json({
+      success: false,
+      message: "Failed to retrieve exchange rates",
+      code: "INTERNAL_SERVER_ERROR",
+      meta: {
+        executionTime: Math.round(performance.now() - startTime),
+        timestamp: new Date().toISOString(),
+      },
+    });
+  }
+});
+
+export const previewPrice = asyncHandler(async (req, res) => {
+  const startTime = performance.now();
+
+  try {
+    const { amount, currency } = req.query;
+
+    if (amount === undefined || isNaN(parseFloat(amount)) || !currency) {
+      return res.status(400).json({
+        success: false,
+        message: "A numeric amount and a currency are required",
+        code: "VALIDATION_ERROR",
+      });
+    }
+
+    if (!(await currencyService.isSupported(currency))) {
+      return res.status(404).json({
+        success: false,
+        message: "Exchange rate not found",
+        code: "EXCHANGE_RATE_NOT_FOUND",
+      });
+    }
+
+    const [converted, rounded] = await Promise.all([
+      currencyService.convert(amount, currency),
+      currencyService.convert(amount, currency, { applyRounding: true }),
+    ]);
+
+    res.status(200).json({
+      success: true,
+      message: "Price converted successfully",
+      data: {
+        baseAmount: parseFloat(amount),
+        baseCurrency: currencyService.getBaseCurrency(),
+        currency: converted.currency,
+        rate: converted.rate,
+        converted: converted.amount,
+        displayPrice: rounded.amount,
+      },
+      meta: {
+        executionTime: Math.round(performance.now() - startTime),
+        timestamp: new Date().toISOString(),
+      },
+    });
+  } catch (error) {
+    console.error("Preview price error:", error);
+    res.status(500).json({
+      success: false,
+      message: "Failed to convert price",
+      code: "INTERNAL_SERVER_ERROR",
+      meta: {
+        executionTime: Math.round(performance.now() - startTime),
+        timestamp: new Date().toISOString(),
+      },
+    });
+  }
+});
+
+// Rates are quoted as units of the currency per one unit of the base
+// currency, so the base currency itself never has a row.
+export const upsertExchangeRate = asyncHandler(async (req, res) => {
+  const startTime = performance.now();
+
+  try {
+    const currency = currencyService.normalize(req.params.currency);
+
+    if (!/^[A-Z]{3}$/.test(currency)) {
+      return res.status(400).json({
+        success: false,
+        message: "Currency must be a 3-letter ISO 4217 code",
+        code: "VALIDATION_ERROR",
+      });
+    }
+
+    if (currency === currencyService.getBaseCurrency()) {
+      return res.status(400).json({
+        success: false,
+        message: "The base currency does not need an exchange rate",
+        code: "VALIDATION_ERROR",
+      });
+    }
+
+    const existingRate = await prisma.exchangeRate.findUnique({
+      where: { currency },
+    });
+
+    const errors = validateExchangeRateData(req.body, !!existingRate);
+    if (errors.length > 0) {
+      return res.status(400).json({
+        success: false,
+        message: "Validation failed",
+        code: "VALIDATION_ERROR",
+        errors,
+      });
+    }
+
+    const rateData = {
+      ...buildExchangeRateData(req.body),
+      updatedById: req.userAuthId,
+    };
+
+    const rate = await prisma.exchangeRate.upsert({
+      where: { currency },
+      update: rateData,
+      create: { ...rateData, currency, source: rateData.source ?? "manual" },
+    });
+
+    await currencyService.invalidateRates();
+
+    res.status(existingRate ? 200 : 201).json({
+      success: true,
+      message: existingRate
+        ? "Exchange rate updated successfully"
+        : "Exchange rate created successfully",
+      data: { rate },
+      meta: {
+        executionTime: Math.round(performance.now() - startTime),
+        timestamp: new Date().toISOString(),
+      },
+    });
+  } catch (error) {
+    console.error("Upsert exchange rate error:", error);
+    res.status(500).json({
+      success: false,
+      message: "Failed to save exchange rate",
+      code: "INTERNAL_SERVER_ERROR",
+      meta: {
+        executionTime: Math.round(performance.now() - startTime),
+        timestamp: new Date().toISOString(),
+      },
+    });
+  }
+});
+
+export const deleteExchangeRate = asyncHandler(async (req, res) => {
+  const startTime = performance.now();
+
+  try {
+    const currency = currencyService.normalize(req.params.currency);
+
+    const existingRate = await prisma.exchangeRate.findUnique({
+      where: { currency },
+    });
+
+    if (!existingRate) {
+      return res.status(404).json({
+        success: false,
+        message: "Exchange rate not found",
+        code: "EXCHANGE_RATE_NOT_FOUND",
+      });
+    }
+
+    // Instructors paid in this currency would have no way to convert new
+    // earnings, so the rate has to stay until they switch.
+    const payoutInstructors = await prisma.instructor.count({
+      where: { payoutCurrency: currency },
+    });
+
+    if (payoutInstructors > 0) {
+      return res.status(409).json({
+        success: false,
+        message: `${payoutInstructors} instructor(s) are paid out in ${currency}; deactivate the rate instead`,
+        code: "EXCHANGE_RATE_IN_USE",
+      });
+    }
+
+    await prisma.exchangeRate.delete({ where: { currency } });
+    await currencyService.invalidateRates();
+
+    res.status(200).json({
+      success: true,
+      message: "Exchange rate deleted successfully",
+      data: { currency },
+      meta: {
+        executionTime: Math.round(performance.now() - startTime),
+        timestamp: new Date().toISOString(),
+      },
+    });
+  } catch (error) {
+    console.error("Delete exchange rate error:", error);
+    res.status(500).json({
+      success: false,
+      message: "Failed to delete exchange rate",
+      code: "INTERNAL_SERVER_ERROR",
+      meta: {
+        executionTime: Math.round(performance.now() - startTime),
+        timestamp: new Date().toISOString(),
+      },
+    });
+  }
+});
+
+export const getPaymentGateways = asyncHandler(async (req, res) => {
+  const startTime = performance.now();
+
+  try {
+    const routes = await prisma.paymentGatewayRoute.findMany({
+      orderBy: [
+        { isActive: "desc" },
+        { priority: "desc" },
+        { createdAt: "asc" },
+      ],
+    });
+
+    res.status(200).json({
+      success: true,
+      message: "Payment gateways retrieved successfully",
+      data: {
+        gateways: paymentService.describeGateways(),
+        routes,
+      },
+      meta: {
+        executionTime: Math.round(performance.now() - startTime),
+        timestamp: new Date().toISOString(),
       },
-      earnings: {
-        totalInstructorEarnings: instructorEarnings._sum.amount || 0,
-        totalCommissions: instructorEarnings._sum.commission || 0,
-        totalPlatformFees: instructorEarnings._sum.platformFee || 0,
+    });
+  } catch (error) {
+    console.error("Get payment gateways error:", error);
+    res.status(500).json({
+      success: false,
+      message: "Failed to retrieve payment gateways",
+      code: "INTERNAL_SERVER_ERROR",
+      meta: {
+        executionTime: Math.round(performance.now() - startTime),
+        timestamp: new Date().toISOString(),
       },
-      metrics: platformMetrics[0] || {
-        total_transactions: 0,
-        total_revenue: 0,
-        avg_transaction_value: 0,
-        total_enrollments: 0,
-        courses_sold: 0,
-        active_instructors: 0,
+    });
+  }
+});
+
+export const resolvePaymentGateways = asyncHandler(async (req, res) => {
+  const startTime = performance.now();
+
+  try {
+    const { currency = "INR", country } = req.query;
+
+    const gateways = await paymentService.resolveGateways({
+      currency,
+      country,
+    });
+
+    res.status(200).json({
+      success: true,
+      message: "Gateway routing resolved successfully",
+      data: {
+        currency: String(currency).toUpperCase(),
+        country: country ? String(country).toUpperCase() : null,
+        defaultGateway: gateways[0] || null,
+        gateways,
       },
-    };
+      meta: {
+        executionTime: Math.round(performance.now() - startTime),
+        timestamp: new Date().toISOString(),
+      },
+    });
+  } catch (error) {
+    console.error("Resolve payment gateways error:", error);
+    res.status(500).json({
+      success: false,
+      message: "Failed to resolve gateway routing",
+      code: "INTERNAL_SERVER_ERROR",
+      meta: {
+        executionTime: Math.round(performance.now() - startTime),
+        timestamp: new Date().toISOString(),
+      },
+    });
+  }
+});
 
-    const totalRevenue = analytics.breakdown.byPaymentMethod.reduce(
-      (sum, item) => sum + item.revenue,
-      0
-    );
-    if (totalRevenue > 0) {
-      analytics.breakdown.byPaymentMethod.forEach((item) => {
-        item.percentage = ((item.revenue / totalRevenue) * 100).toFixed(2);
-      });
-      analytics.breakdown.byGateway.forEach((item) => {
-        item.percentage = ((item.revenue / totalRevenue) * 100).toFixed(2);
-      });
-      analytics.breakdown.byStatus.forEach((item) => {
-        item.percentage = ((item.revenue / totalRevenue) * 100).toFixed(2);
+export const createGatewayRoute = asyncHandler(async (req, res) => {
+  const startTime = performance.now();
+
+  try {
+    const errors = validateGatewayRouteData(req.body);
+    if (errors.length > 0) {
+      return res.status(400).json({
+        success: false,
+        message: "Validation failed",
+        code: "VALIDATION_ERROR",
+        errors,
       });
     }
 
-    await redisService.setJSON(cacheKey, analytics, { ex: 3600 });
+    const route = await prisma.paymentGatewayRoute.create({
+      data: {
+        ...buildGatewayRouteData(req.body),
+        createdById: req.userAuthId,
+      },
+    });
 
-    const executionTime = Math.round(performance.now() - startTime);
+    await paymentService.invalidateGatewayRoutes();
 
-    res.status(200).json({
+    res.status(201).json({
       success: true,
-      message: "Financial analytics retrieved successfully",
-      data: analytics,
+      message: "Gateway route created successfully",
+      data: {
+        route,
+        gatewayAvailable: paymentService.validateGateway(route.gateway),
+      },
       meta: {
-        cached: false,
-        executionTime,
+        executionTime: Math.round(performance.now() - startTime),
         timestamp: new Date().toISOString(),
       },
     });
   } catch (error) {
-    console.error("Get financial analytics error:", error);
+    console.error("Create gateway route error:", error);
     res.status(500).json({
       success: false,
-      message: "Failed to retrieve financial analytics",
+      message: "Failed to create gateway route",
       code: "INTERNAL_SERVER_ERROR",
       meta: {
         executionTime: Math.round(performance.now() - startTime),
@@ -1302,145 +3270,102 @@ export const getFinancialAnalytics = asyncHandler(async (req, res) => {
   }
 });
 
-export const getPaymentStats = asyncHandler(async (req, res) => {
+export const updateGatewayRoute = asyncHandler(async (req, res) => {
   const startTime = performance.now();
 
   try {
-    const cacheKey = "payment_stats_overview";
-    let cachedStats = await redisService.getJSON(cacheKey);
+    const { routeId } = req.params;
 
-    if (cachedStats) {
-      return res.status(200).json({
-        success: true,
-        message: "Payment statistics retrieved successfully",
-        data: cachedStats,
-        meta: {
-          cached: true,
-          executionTime: Math.round(performance.now() - startTime),
-          timestamp: new Date().toISOString(),
-        },
+    const existingRoute = await prisma.paymentGatewayRoute.findUnique({
+      where: { id: routeId },
+    });
+
+    if (!existingRoute) {
+      return res.status(404).json({
+        success: false,
+        message: "Gateway route not found",
+        code: "GATEWAY_ROUTE_NOT_FOUND",
       });
     }
 
-    const [
-      totalStats,
-      todayStats,
-      weekStats,
-      monthStats,
-      statusDistribution,
-      methodDistribution,
-      gatewayDistribution,
-    ] = await Promise.all([
-      prisma.payment.aggregate({
-        _sum: { amount: true },
-        _count: true,
-        _avg: { amount: true },
-      }),
-      prisma.payment.aggregate({
-        where: {
-          createdAt: {
-            gte: new Date(new Date().setHours(0, 0, 0, 0)),
-          },
-        },
-        _sum: { amount: true },
-        _count: true,
-      }),
-      prisma.payment.aggregate({
-        where: {
-          createdAt: {
-            gte: new Date(Date.now() - 7 * 24 * 60 * 60 * 1000),
-          },
-        },
-        _sum: { amount: true },
-        _count: true,
-      }),
-      prisma.payment.aggregate({
-        where: {
-          createdAt: {
-            gte: new Date(Date.now() - 30 * 24 * 60 * 60 * 1000),
-          },
-        },
-        _sum: { amount: true },
-        _count: true,
-      }),
-      prisma.payment.groupBy({
-        by: ["status"],
-        _count: true,
-      }),
-      prisma.payment.groupBy({
-        by: ["method"],
-        _count: true,
-      }),
-      prisma.payment.groupBy({
-        by: ["gateway"],
-        _count: true,
-      }),
-    ]);
+    const errors = validateGatewayRouteData(req.body, true);
+    if (errors.length > 0) {
+      return res.status(400).json({
+        success: false,
+        message: "Validation failed",
+        code: "VALIDATION_ERROR",
+        errors,
+      });
+    }
 
-    const stats = {
-      overview: {
-        totalRevenue: totalStats._sum.amount || 0,
-        totalTransactions: totalStats._count,
-        averageTransactionValue: totalStats._avg.amount || 0,
-        todayRevenue: todayStats._sum.amount || 0,
-        todayTransactions: todayStats._count,
-        weekRevenue: weekStats._sum.amount || 0,
-        weekTransactions: weekStats._count,
-        monthRevenue: monthStats._sum.amount || 0,
-        monthTransactions: monthStats._count,
+    const route = await prisma.paymentGatewayRoute.update({
+      where: { id: routeId },
+      data: buildGatewayRouteData(req.body),
+    });
+
+    await paymentService.invalidateGatewayRoutes();
+
+    res.status(200).json({
+      success: true,
+      message: "Gateway route updated successfully",
+      data: {
+        route,
+        gatewayAvailable: paymentService.validateGateway(route.gateway),
       },
-      distribution: {
-        byStatus: statusDistribution.map((item) => ({
-          status: item.status,
-          count: item._count,
-          percentage:
-            totalStats._count > 0
-              ? ((item._count / totalStats._count) * 100).toFixed(2)
-              : 0,
-        })),
-        byMethod: methodDistribution.map((item) => ({
-          method: item.method,
-          count: item._count,
-          percentage:
-            totalStats._count > 0
-              ? ((item._count / totalStats._count) * 100).toFixed(2)
-              : 0,
-        })),
-        byGateway: gatewayDistribution.map((item) => ({
-          gateway: item.gateway,
-          count: item._count,
-          percentage:
-            totalStats._count > 0
-              ? ((item._count / totalStats._count) * 100).toFixed(2)
-              : 0,
-        })),
+      meta: {
+        executionTime: Math.round(performance.now() - startTime),
+        timestamp: new Date().toISOString(),
       },
-      growth: {
-        dailyGrowth: 0,
-        weeklyGrowth: 0,
-        monthlyGrowth: 0,
+    });
+  } catch (error) {
+    console.error("Update gateway route error:", error);
+    res.status(500).json({
+      success: false,
+      message: "Failed to update gateway route",
+      code: "INTERNAL_SERVER_ERROR",
+      meta: {
+        executionTime: Math.round(performance.now() - startTime),
+        timestamp: new Date().toISOString(),
       },
-    };
+    });
+  }
+});
 
-    await redisService.setJSON(cacheKey, stats, { ex: 900 });
+export const deleteGatewayRoute = asyncHandler(async (req, res) => {
+  const startTime = performance.now();
 
-    const executionTime = Math.round(performance.now() - startTime);
+  try {
+    const { routeId } = req.params;
+
+    const existingRoute = await prisma.paymentGatewayRoute.findUnique({
+      where: { id: routeId },
+    });
+
+    if (!existingRoute) {
+      return res.status(404).json({
+        success: false,
+        message: "Gateway route not found",
+        code: "GATEWAY_ROUTE_NOT_FOUND",
+      });
+    }
+
+    await prisma.paymentGatewayRoute.delete({ where: { id: routeId } });
+    await paymentService.invalidateGatewayRoutes();
 
     res.status(200).json({
       success: true,
-      message: "Payment statistics retrieved successfully",
-      data: stats,
+      message: "Gateway route deleted successfully",
+      data: { routeId },
       meta: {
-        cached: false,
-        executionTime,
+        executionTime: Math.round(performance.now() - startTime),
         timestamp: new Date().toISOString(),
       },
     });
   } catch (error) {
-    console.error("Get payment stats error:", error);
+    console.error("Delete gateway route error:", error);
     res.status(500).json({
       success: false,
-      message: "Failed to retrieve payment statistics",
+      message: "Failed to delete gateway route",
       code: "INTERNAL_SERVER_ERROR",
       meta: {
         executionTime: Math.round(performance.now() - startTime),
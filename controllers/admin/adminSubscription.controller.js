@@ -0,0 +1,542 @@
+import { PrismaClient } from "@prisma/client";
+import asyncHandler from "express-async-handler";
+import redisService from "../../utils/redis.js";
+import paymentService from "../../utils/paymentService.js";
+
+const prisma = new PrismaClient();
+
+const generatePlanSlug = (name) => {
+  return name
+    .toLowerCase()
+    .trim()
+    .replace(/[^\w\s-]/g, "")
+    .replace(/[\s_-]+/g, "-")
+    .replace(/^-+|-+$/g, "");
+};
+
+const validatePlanData = (data, isUpdate = false) => {
+  const errors = [];
+
+  if (!isUpdate || data.name !== undefined) {
+    if (!data.name || data.name.trim().length < 3) {
+      errors.push("Plan name must be at least 3 characters long");
+    }
+  }
+
+  if (!isUpdate || data.interval !== undefined) {
+    if (!["MONTHLY", "ANNUAL"].includes(data.interval)) {
+      errors.push("Interval must be MONTHLY or ANNUAL");
+    }
+  }
+
+  if (!isUpdate || data.price !== undefined) {
+    const price = parseFloat(data.price);
+    if (isNaN(price) || price <= 0) {
+      errors.push("Price must be greater than 0");
+    }
+  }
+
+  if (data.scope !== undefined) {
+    if (!["ALL_COURSES", "CATEGORY"].includes(data.scope)) {
+      errors.push("Scope must be ALL_COURSES or CATEGORY");
+    }
+    if (data.scope === "CATEGORY" && !data.categoryId) {
+      errors.push("Category is required for category plans");
+    }
+  }
+
+  if (data.instructorSharePercent !== undefined) {
+    const share = parseFloat(data.instructorSharePercent);
+    if (isNaN(share) || share < 0 || share > 100) {
+      errors.push("Instructor share must be between 0 and 100");
+    }
+  }
+
+  if (data.trialDays !== undefined) {
+    const trialDays = parseInt(data.trialDays);
+    if (isNaN(trialDays) || trialDays < 0 || trialDays > 90) {
+      errors.push("Trial days must be between 0 and 90");
+    }
+  }
+
+  if (data.features !== undefined && !Array.isArray(data.features)) {
+    errors.push("Features must be an array");
+  }
+
+  return errors;
+};
+
+const syncStripePrice = async (plan) => {
+  if (!paymentService.isStripeAvailable()) {
+    return null;
+  }
+
+  const { productId, priceId } =
+    await paymentService.createStripeSubscriptionPrice({
+      id: plan.id,
+      name: plan.name,
+      description: plan.description,
+      price: parseFloat(plan.price),
+      currency: plan.currency,
+      interval: plan.interval,
+      stripeProductId: plan.stripeProductId,
+    });
+
+  if (plan.stripePriceId) {
+    try {
+      await paymentService.archiveStripePrice(plan.stripePriceId);
+    } catch (error) {
+      console.error("Failed to archive previous Stripe price:", error);
+    }
+  }
+
+  return await prisma.subscriptionPlan.update({
+    where: { id: plan.id },
+    data: { stripeProductId: productId, stripePriceId: priceId },
+  });
+};
+
+export const getSubscriptionPlans = asyncHandler(async (req, res) => {
+  const startTime = performance.now();
+
+  try {
+    const { isActive, interval } = req.query;
+
+    const where = {};
+    if (isActive !== undefined) where.isActive = isActive === "true";
+    if (interval) where.interval = interval;
+
+    const plans = await prisma.subscriptionPlan.findMany({
+      where,
+      orderBy: [{ isActive: "desc" }, { price: "asc" }],
+      include: {
+        category: { select: { id: true, name: true, slug: true } },
+        _count: {
+          select: {
+            subscriptions: {
+              where: { status: { in: ["ACTIVE", "PAST_DUE"] } },
+            },
+          },
+        },
+      },
+    });
+
+    res.status(200).json({
+      success: true,
+      message: "Subscription plans retrieved successfully",
+      data: {
+        plans: plans.map((plan) => ({
+          id: plan.id,
+          name: plan.name,
+          slug: plan.slug,
+          description: plan.description,
+          interval: plan.interval,
+          price: plan.price,
+          currency: plan.currency,
+          features: plan.features,
+          scope: plan.scope,
+          category: plan.category,
+          instructorSharePercent: plan.instructorSharePercent,
+          trialDays: plan.trialDays,
+          isActive: plan.isActive,
+          stripePriceId: plan.stripePriceId,
+          activeSubscribers: plan._count.subscriptions,
+          createdAt: plan.createdAt,
+          updatedAt: plan.updatedAt,
+        })),
+      },
+      meta: {
+        executionTime: Math.round(performance.now() - startTime),
+        timestamp: new Date().toISOString(),
+      },
+    });
+  } catch (error) {
+    console.error("Get subscription plans error:", error);
+    res.status(500).json({
+      success: false,
+      message: "Failed to retrieve subscription plans",
+      code: "INTERNAL_SERVER_ERROR",
+      meta: {
+        executionTime: Math.round(performance.now() - startTime),
+        timestamp: new Date().toISOString(),
+      },
+    });
+  }
+});
+
+export const createSubscriptionPlan = asyncHandler(async (req, res) => {
+  const startTime = performance.now();
+
+  try {
+    const {
+      name,
+      description,
+      interval,
+      price,
+      currency = "INR",
+      features = [],
+      scope = "ALL_COURSES",
+      categoryId,
+      instructorSharePercent = 70,
+      trialDays = 0,
+    } = req.body;
+
+    const errors = validatePlanData({
+      name,
+      interval,
+      price,
+      scope,
+      categoryId,
+      instructorSharePercent,
+      trialDays,
+      features,
+    });
+
+    if (errors.length > 0) {
+      return res.status(400).json({
+        success: false,
+        message: "Invalid subscription plan data",
+        code: "VALIDATION_ERROR",
+        errors,
+      });
+    }
+
+    if (scope === "CATEGORY") {
+      const category = await prisma.category.findUnique({
+        where: { id: categoryId },
+        select: { id: true },
+      });
+
+      if (!category) {
+        return res.status(404).json({
+          success: false,
+          message: "Category not found",
+          code: "CATEGORY_NOT_FOUND",
+        });
+      }
+    }
+
+    const slug = `${generatePlanSlug(name)}-${interval.toLowerCase()}`;
+
+    const existingPlan = await prisma.subscriptionPlan.findUnique({
+      where: { slug },
+      select: { id: true },
+    });
+
+    if (existingPlan) {
+      return res.status(409).json({
+        success: false,
+        message: "A plan with this name and interval already exists",
+        code: "PLAN_EXISTS",
+      });
+    }
+
+    let plan = await prisma.subscriptionPlan.create({
+      data: {
+        name: name.trim(),
+        slug,
+        description,
+        interval,
+        price: parseFloat(price),
+        currency: currency.toUpperCase(),
+        features,
+        scope,
+        categoryId: scope === "CATEGORY" ? categoryId : null,
+        instructorSharePercent: parseFloat(instructorSharePercent),
+        trialDays: parseInt(trialDays),
+      },
+    });
+
+    try {
+      plan = (await syncStripePrice(plan)) || plan;
+    } catch (error) {
+      console.error("Failed to create Stripe price for plan:", error);
+    }
+
+    await redisService.delPattern("subscription_plans:*");
+
+    res.status(201).json({
+      success: true,
+      message: "Subscription plan created successfully",
+      data: { plan },
+      meta: {
+        executionTime: Math.round(performance.now() - startTime),
+        timestamp: new Date().toISOString(),
+      },
+    });
+  } catch (error) {
+    console.error("Create subscription plan error:", error);
+    res.status(500).json({
+      success: false,
+      message: "Failed to create subscription plan",
+      code: "INTERNAL_SERVER_ERROR",
+      meta: {
+        executionTime: Math.round(performance.now() - startTime),
+        timestamp: new Date().toISOString(),
+      },
+    });
+  }
+});
+
+export const updateSubscriptionPlan = asyncHandler(async (req, res) => {
+  const startTime = performance.now();
+
+  try {
+    const { planId } = req.params;
+    const updates = req.body;
+
+    const plan = await prisma.subscriptionPlan.findUnique({
+      where: { id: planId },
+    });
+
+    if (!plan) {
+      return res.status(404).json({
+        success: false,
+        message: "Subscription plan not found",
+        code: "PLAN_NOT_FOUND",
+      });
+    }
+
+    const errors = validatePlanData(
+      {
+        ...updates,
+        categoryId:
+          updates.categoryId !== undefined
+            ? updates.categoryId
+            : plan.categoryId,
+      },
+      true
+    );
+
+    if (errors.length > 0) {
+      return res.status(400).json({
+        success: false,
+        message: "Invalid subscription plan data",
+        code: "VALIDATION_ERROR",
+        errors,
+      });
+    }
+
+    const data = {};
+    if (updates.name !== undefined) data.name = updates.name.trim();
+    if (updates.description !== undefined)
+      data.description = updates.description;
+    if (updates.interval !== undefined) data.interval = updates.interval;
+    if (updates.price !== undefined) data.price = parseFloat(updates.price);
+    if (updates.currency !== undefined)
+      data.currency = updates.currency.toUpperCase();
+    if (updates.features !== undefined) data.features = updates.features;
+    if (updates.scope !== undefined) {
+      data.scope = updates.scope;
+      data.categoryId =
+        updates.scope === "CATEGORY"
+          ? updates.categoryId || plan.categoryId
+          : null;
+    }
+    if (updates.instructorSharePercent !== undefined)
+      data.instructorSharePercent = parseFloat(updates.instructorSharePercent);
+    if (updates.trialDays !== undefined)
+      data.trialDays = parseInt(updates.trialDays);
+    if (updates.isActive !== undefined) data.isActive = !!updates.isActive;
+
+    let updatedPlan = await prisma.subscriptionPlan.update({
+      where: { id: planId },
+      data,
+    });
+
+    const billingChanged =
+      (data.price !== undefined && data.price !== parseFloat(plan.price)) ||
+      (data.interval !== undefined && data.interval !== plan.interval) ||
+      (data.currency !== undefined && data.currency !== plan.currency);
+
+    if (billingChanged || (!plan.stripePriceId && updatedPlan.isActive)) {
+      try {
+        updatedPlan = (await syncStripePrice(updatedPlan)) || updatedPlan;
+      } catch (error) {
+        console.error("Failed to update Stripe price for plan:", error);
+      }
+    }
+
+    await redisService.delPattern("subscription_plans:*");
+
+    res.status(200).json({
+      success: true,
+      message: billingChanged
+        ? "Subscription plan updated. New pricing applies to new subscribers."
+        : "Subscription plan updated successfully",
+      data: { plan: updatedPlan },
+      meta: {
+        executionTime: Math.round(performance.now() - startTime),
+        timestamp: new Date().toISOString(),
+      },
+    });
+  } catch (error) {
+    console.error("Update subscription plan error:", error);
+    res.status(500).json({
+      success: false,
+      message: "Failed to update subscription plan",
+      code: "INTERNAL_SERVER_ERROR",
+      meta: {
+        executionTime: Math.round(performance.now() - startTime),
+        timestamp: new Date().toISOString(),
+      },
+    });
+  }
+});
+
+export const deactivateSubscriptionPlan = asyncHandler(async (req, res) => {
+  const startTime = performance.now();
+
+  try {
+    const { planId } = req.params;
+
+    const plan = await prisma.subscriptionPlan.findUnique({
+      where: { id: planId },
+      select: { id: true, isActive: true, stripePriceId: true },
+    });
+
+    if (!plan) {
+      return res.status(404).json({
+        success: false,
+        message: "Subscription plan not found",
+        code: "PLAN_NOT_FOUND",
+      });
+    }
+
+    await prisma.subscriptionPlan.update({
+      where: { id: planId },
+      data: { isActive: false },
+    });
+
+    if (plan.stripePriceId && paymentService.isStripeAvailable()) {
+      try {
+        await paymentService.archiveStripePrice(plan.stripePriceId);
+      } catch (error) {
+        console.error("Failed to archive Stripe price:", error);
+      }
+    }
+
+    await redisService.delPattern("subscription_plans:*");
+
+    res.status(200).json({
+      success: true,
+      message:
+        "Subscription plan deactivated. Existing subscribers keep access until they cancel.",
+      data: { planId, isActive: false },
+      meta: {
+        executionTime: Math.round(performance.now() - startTime),
+        timestamp: new Date().toISOString(),
+      },
+    });
+  } catch (error) {
+    console.error("Deactivate subscription plan error:", error);
+    res.status(500).json({
+      success: false,
+      message: "Failed to deactivate subscription plan",
+      code: "INTERNAL_SERVER_ERROR",
+      meta: {
+        executionTime: Math.round(performance.now() - startTime),
+        timestamp: new Date().toISOString(),
+      },
+    });
+  }
+});
+
+export const getAllSubscriptions = asyncHandler(async (req, res) => {
+  const startTime = performance.now();
+
+  try {
+    const { page = 1, limit = 20, status, planId, search } = req.query;
+
+    const pageSize = Math.min(parseInt(limit), 100);
+    const pageNumber = Math.max(parseInt(page), 1);
+    const skip = (pageNumber - 1) * pageSize;
+
+    const where = {};
+    if (status) where.status = status;
+    if (planId) where.planId = planId;
+    if (search) {
+      where.student = {
+        user: {
+          OR: [
+            { email: { contains: search, mode: "insensitive" } },
+            { firstName: { contains: search, mode: "insensitive" } },
+            { lastName: { contains: search, mode: "insensitive" } },
+          ],
+        },
+      };
+    }
+
+    const [subscriptions, total] = await Promise.all([
+      prisma.subscription.findMany({
+        where,
+        skip,
+        take: pageSize,
+        orderBy: { createdAt: "desc" },
+        include: {
+          plan: {
+            select: { id: true, name: true, interval: true, price: true },
+          },
+          student: {
+            select: {
+              user: {
+                select: { firstName: true, lastName: true, email: true },
+              },
+            },
+          },
+          _count: { select: { enrollments: true, payments: true } },
+        },
+      }),
+      prisma.subscription.count({ where }),
+    ]);
+
+    res.status(200).json({
+      success: true,
+      message: "Subscriptions retrieved successfully",
+      data: {
+        subscriptions: subscriptions.map((subscription) => ({
+          id: subscription.id,
+          status: subscription.status,
+          gateway: subscription.gateway,
+          gatewaySubscriptionId: subscription.gatewaySubscriptionId,
+          currentPeriodStart: subscription.currentPeriodStart,
+          currentPeriodEnd: subscription.currentPeriodEnd,
+          cancelAtPeriodEnd: subscription.cancelAtPeriodEnd,
+          cancelledAt: subscription.cancelledAt,
+          endedAt: subscription.endedAt,
+          plan: subscription.plan,
+          student: {
+            name: `${subscription.student.user.firstName} ${subscription.student.user.lastName}`,
+            email: subscription.student.user.email,
+          },
+          enrollmentsCount: subscription._count.enrollments,
+          paymentsCount: subscription._count.payments,
+          createdAt: subscription.createdAt,
+        })),
+        pagination: {
+          page: pageNumber,
+          limit: pageSize,
+          total,
+          totalPages: Math.ceil(total / pageSize),
+          hasNext: skip + pageSize < total,
+          hasPrev: pageNumber > 1,
+        },
+      },
+      meta: {
+        executionTime: Math.round(performance.now() - startTime),
+        timestamp: new Date().toISOString(),
+      },
+    });
+  } catch (error) {
+    console.error("Get all subscriptions error:", error);
+    res.status(500).json({
+      success: false,
+      message: "Failed to retrieve subscriptions",
+      code: "INTERNAL_SERVER_ERROR",
+      meta: {
+        executionTime: Math.round(performance.now() - startTime),
+        timestamp: new Date().toISOString(),
+      },
+    });
+  }
+});
@@ -9,6 +9,41 @@ const generateRequestId = () => {
   return `system_${Date.now()}_${Math.random().toString(36).substr(2, 9)}`;
 };
 
+const validatePayoutSettings = (settings) => {
+  const errors = [];
+
+  if (
+    settings.payoutSchedule !== undefined &&
+    !["weekly", "monthly"].includes(settings.payoutSchedule)
+  ) {
+    errors.push("Payout schedule must be weekly or monthly");
+  }
+
+  if (settings.payoutDayOfWeek !== undefined) {
+    const day = Number(settings.payoutDayOfWeek);
+    if (!Number.isInteger(day) || day < 0 || day > 6) {
+      errors.push("Payout day of week must be between 0 (Sunday) and 6");
+    }
+  }
+
+  // Capped at 28 so every month has a run day.
+  if (settings.payoutDayOfMonth !== undefined) {
+    const day = Number(settings.payoutDayOfMonth);
+    if (!Number.isInteger(day) || day < 1 || day > 28) {
+      errors.push("Payout day of month must be between 1 and 28");
+    }
+  }
+
+  if (settings.payoutHoldDays !== undefined) {
+    const days = Number(settings.payoutHoldDays);
+    if (!Number.isInteger(days) || days < 0 || days > 180) {
+      errors.push("Payout hold days must be between 0 and 180");
+    }
+  }
+
+  return errors;
+};
+
 export const getSystemSettings = asyncHandler(async (req, res) => {
   const startTime = performance.now();
 
@@ -76,6 +111,15 @@ export const getSystemSettings = asyncHandler(async (req, res) => {
         defaultCommission: parseFloat(process.env.DEFAULT_COMMISSION) || 0.3,
         minPayoutAmount: parseInt(process.env.MIN_PAYOUT_AMOUNT) || 1000,
         payoutSchedule: process.env.PAYOUT_SCHEDULE || "monthly",
+        payoutDayOfWeek: parseInt(process.env.PAYOUT_DAY_OF_WEEK) || 1,
+        payoutDayOfMonth: parseInt(process.env.PAYOUT_DAY_OF_MONTH) || 1,
+        payoutHoldDays:
+          parseInt(process.env.PAYOUT_HOLD_DAYS) ||
+          parseInt(process.env.REFUND_WINDOW) ||
+          30,
+        enableScheduledPayouts:
+          process.env.ENABLE_SCHEDULED_PAYOUTS !== "false",
+        autoApprovePayouts: process.env.AUTO_APPROVE_PAYOUTS === "true",
         enableInstantPayout: process.env.ENABLE_INSTANT_PAYOUT === "true",
         enableRefunds: process.env.ENABLE_REFUNDS !== "false",
         refundWindow: parseInt(process.env.REFUND_WINDOW) || 30,
@@ -161,6 +205,18 @@ export const updateSystemSettings = asyncHandler(async (req, res) => {
       });
     }
 
+    if (category === "payments") {
+      const errors = validatePayoutSettings(settings);
+      if (errors.length > 0) {
+        return res.status(400).json({
+          success: false,
+          message: "Validation failed",
+          errors,
+          code: "VALIDATION_ERROR",
+        });
+      }
+    }
+
     const currentSettings =
       (await redisService.getJSON("system_settings")) || {};
     const updatedSettings = {
@@ -0,0 +1,94 @@
+import asyncHandler from "express-async-handler";
+import redisService from "../../utils/redis.js";
+import certificateService from "../../utils/certificateService.js";
+
+const generateRequestId = () => {
+  return `certificate_${Date.now()}_${Math.random().toString(36).substr(2, 9)}`;
+};
+
+export const verifyCertificate = asyncHandler(async (req, res) => {
+  const requestId = generateRequestId();
+  const startTime = performance.now();
+
+  try {
+    const { certificateId } = req.params;
+
+    if (!certificateId || !/^[A-Za-z0-9_-]{6,100}$/.test(certificateId)) {
+      return res.status(400).json({
+        success: false,
+        message: "Invalid certificate ID format",
+        code: "INVALID_CERTIFICATE_ID",
+      });
+    }
+
+    const cacheKey = `certificate_verify:${certificateId}`;
+    const cached = await redisService.getCache(cacheKey);
+    if (cached) {
+      const executionTime = performance.now() - startTime;
+      return res.status(200).json({
+        ...cached,
+        meta: {
+          ...cached.meta,
+          requestId,
+          executionTime: Math.round(executionTime),
+          cached: true,
+          timestamp: new Date().toISOString(),
+        },
+      });
+    }
+
+    const verification = await certificateService.verifyCertificate(
+      certificateId
+    );
+
+    if (!verification) {
+      return res.status(404).json({
+        success: false,
+        message: "No certificate exists with this ID",
+        code: "CERTIFICATE_NOT_FOUND",
+        data: {
+          certificateId,
+          isValid: false,
+        },
+      });
+    }
+
+    const executionTime = performance.now() - startTime;
+
+    const response = {
+      success: true,
+      message: verification.isValid
+        ? "Certificate is authentic and valid"
+        : `Certificate is ${verification.status.toLowerCase()}`,
+      data: verification,
+      meta: {
+        requestId,
+        executionTime: Math.round(executionTime),
+        timestamp: new Date().toISOString(),
+      },
+    };
+
+    await redisService.setCache(cacheKey, response, 600);
+
+    res.status(200).json(response);
+  } catch (error) {
+    console.error(`VERIFY_CERTIFICATE_ERROR [${requestId}]:`, {
+      error: error.message,
+      stack: error.stack,
+      certificateId: req.params.certificateId,
+    });
+
+    const executionTime = performance.now() - startTime;
+
+    res.status(500).json({
+      success: false,
+      message: "Failed to verify certificate",
+      code: "INTERNAL_SERVER_ERROR",
+      meta: {
+        requestId,
+        executionTime: Math.round(executionTime),
+        timestamp: new Date().toISOString(),
+      },
+    });
+  }
+});
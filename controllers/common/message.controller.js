@@ -0,0 +1,681 @@
+import { config } from "dotenv";
+config();
+
+import asyncHandler from "express-async-handler";
+import messagingService from "../../utils/messagingService.js";
+import redisService from "../../utils/redis.js";
+import { PrismaClient } from "@prisma/client";
+
+const prisma = new PrismaClient();
+
+const generateRequestId = () => {
+  return `message_${Date.now()}_${Math.random().toString(36).substr(2, 9)}`;
+};
+
+const participantSelect = {
+  id: true,
+  firstName: true,
+  lastName: true,
+  profileImage: true,
+  role: true,
+};
+
+const buildMeta = (requestId, startTime) => ({
+  requestId,
+  executionTime: Math.round(performance.now() - startTime),
+  timestamp: new Date().toISOString(),
+});
+
+const invalidateUnreadCache = async (...userIds) => {
+  await Promise.all(
+    userIds.map((userId) => redisService.del(`messages_unread:${userId}`))
+  );
+};
+
+const findParticipantConversation = async (conversationId, userId) => {
+  const conversation = await prisma.conversation.findUnique({
+    where: { id: conversationId },
+    include: {
+      participantA: { select: participantSelect },
+      participantB: { select: participantSelect },
+    },
+  });
+
+  if (!conversation || !messagingService.isParticipant(conversation, userId)) {
+    return null;
+  }
+
+  return conversation;
+};
+
+const formatConversation = (conversation, userId, unreadCount = 0) => {
+  const isA = conversation.participantAId === userId;
+
+  return {
+    id: conversation.id,
+    subject: conversation.subject,
+    participant: isA ? conversation.participantB : conversation.participantA,
+    lastMessageAt: conversation.lastMessageAt,
+    lastMessagePreview: conversation.lastMessagePreview,
+    lastMessageFromMe: conversation.lastSenderId === userId,
+    isArchived: isA ? conversation.archivedByA : conversation.archivedByB,
+    unreadCount,
+    createdAt: conversation.createdAt,
+  };
+};
+
+const formatMessage = (message, userId) => ({
+  id: message.id,
+  conversationId: message.conversationId,
+  subject: message.subject,
+  content: message.content,
+  attachments: message.attachments || [],
+  priority: message.priority,
+  senderId: message.senderId,
+  receiverId: message.receiverId,
+  isMine: message.senderId === userId,
+  isRead: message.isRead,
+  readAt: message.readAt,
+  createdAt: message.createdAt,
+});
+
+export const getConversations = asyncHandler(async (req, res) => {
+  const requestId = generateRequestId();
+  const startTime = performance.now();
+
+  try {
+    const userId = req.userAuthId;
+    const { page = 1, limit = 20, archived = "false", search } = req.query;
+
+    const pageSize = Math.min(parseInt(limit) || 20, 50);
+    const pageNumber = Math.max(parseInt(page) || 1, 1);
+    const showArchived = archived === "true";
+
+    const participantSearch = search
+      ? {
+          OR: [
+            { firstName: { contains: search, mode: "insensitive" } },
+            { lastName: { contains: search, mode: "insensitive" } },
+          ],
+        }
+      : undefined;
+
+    const where = {
+      OR: [
+        {
+          participantAId: userId,
+          archivedByA: showArchived,
+          ...(participantSearch && { participantB: participantSearch }),
+        },
+        {
+          participantBId: userId,
+          archivedByB: showArchived,
+          ...(participantSearch && { participantA: participantSearch }),
+        },
+      ],
+    };
+
+    const [conversations, total] = await Promise.all([
+      prisma.conversation.findMany({
+        where,
+        orderBy: { lastMessageAt: "desc" },
+        skip: (pageNumber - 1) * pageSize,
+        take: pageSize,
+        include: {
+          participantA: { select: participantSelect },
+          participantB: { select: participantSelect },
+          _count: {
+            select: {
+              messages: { where: { receiverId: userId, isRead: false } },
+            },
+          },
+        },
+      }),
+      prisma.conversation.count({ where }),
+    ]);
+
+    res.status(200).json({
+      success: true,
+      message: "Conversations retrieved successfully",
+      data: {
+        conversations: conversations.map((conversation) =>
+          formatConversation(conversation, userId, conversation._count.messages)
+        ),
+        pagination: {
+          page: pageNumber,
+          limit: pageSize,
+          total,
+          totalPages: Math.ceil(total / pageSize),
+          hasNext: pageNumber * pageSize < total,
+          hasPrev: pageNumber > 1,
+        },
+      },
+      meta: buildMeta(requestId, startTime),
+    });
+  } catch (error) {
+    console.error(`GET_CONVERSATIONS_ERROR [${requestId}]:`, {
+      error: error.message,
+      stack: error.stack,
+      userId: req.userAuthId,
+      query: req.query,
+    });
+
+    res.status(500).json({
+      success: false,
+      message: "Failed to retrieve conversations",
+      code: "INTERNAL_SERVER_ERROR",
+      meta: buildMeta(requestId, startTime),
+    });
+  }
+});
+
+export const getConversationMessages = asyncHandler(async (req, res) => {
+  const requestId = generateRequestId();
+  const startTime = performance.now();
+
+  try {
+    const userId = req.userAuthId;
+    const { conversationId } = req.params;
+    const { limit = 30, before } = req.query;
+
+    const pageSize = Math.min(parseInt(limit) || 30, 100);
+
+    const conversation = await findParticipantConversation(
+      conversationId,
+      userId
+    );
+
+    if (!conversation) {
+      return res.status(404).json({
+        success: false,
+        message: "Conversation not found",
+        code: "CONVERSATION_NOT_FOUND",
+      });
+    }
+
+    const beforeDate = before ? new Date(before) : null;
+    if (beforeDate && isNaN(beforeDate.getTime())) {
+      return res.status(400).json({
+        success: false,
+        message: "Invalid 'before' cursor",
+        code: "INVALID_CURSOR",
+      });
+    }
+
+    const messages = await prisma.message.findMany({
+      where: {
+        conversationId,
+        ...(beforeDate && { createdAt: { lt: beforeDate } }),
+      },
+      orderBy: { createdAt: "desc" },
+      take: pageSize + 1,
+    });
+
+    const hasMore = messages.length > pageSize;
+    const page = messages.slice(0, pageSize).reverse();
+
+    const markedRead = await messagingService.markConversationRead(
+      conversationId,
+      userId
+    );
+    if (markedRead > 0) {
+      await invalidateUnreadCache(userId);
+    }
+
+    const otherUserId = messagingService.getOtherParticipantId(
+      conversation,
+      userId
+    );
+
+    res.status(200).json({
+      success: true,
+      message: "Messages retrieved successfully",
+      data: {
+        conversation: formatConversation(conversation, userId),
+        messages: page.map((message) => formatMessage(message, userId)),
+        isBlocked: await messagingService.isBlocked(userId, otherUserId),
+        pagination: {
+          limit: pageSize,
+          hasMore,
+          nextCursor: hasMore ? page[0].createdAt : null,
+        },
+      },
+      meta: buildMeta(requestId, startTime),
+    });
+  } catch (error) {
+    console.error(`GET_CONVERSATION_MESSAGES_ERROR [${requestId}]:`, {
+      error: error.message,
+      stack: error.stack,
+      userId: req.userAuthId,
+      conversationId: req.params.conversationId,
+    });
+
+    res.status(500).json({
+      success: false,
+      message: "Failed to retrieve messages",
+      code: "INTERNAL_SERVER_ERROR",
+      meta: buildMeta(requestId, startTime),
+    });
+  }
+});
+
+const deliverMessage = async (
+  req,
+  res,
+  { requestId, startTime, receiverId }
+) => {
+  const { content, subject, attachments, priority } = req.body;
+
+  if (priority && !["LOW", "NORMAL", "HIGH", "URGENT"].includes(priority)) {
+    return res.status(400).json({
+      success: false,
+      message: "Priority must be one of LOW, NORMAL, HIGH, URGENT",
+      code: "VALIDATION_ERROR",
+    });
+  }
+
+  const sender = await prisma.user.findUnique({
+    where: { id: req.userAuthId },
+    select: { id: true, firstName: true, lastName: true, role: true },
+  });
+
+  const result = await messagingService.sendMessage({
+    sender,
+    receiverId,
+    content,
+    subject,
+    attachments,
+    priority,
+    conversationId: req.params.conversationId,
+  });
+
+  if (result.error) {
+    return res.status(result.status || 400).json({
+      success: false,
+      message: result.error,
+      code: result.code || "VALIDATION_ERROR",
+    });
+  }
+
+  await invalidateUnreadCache(receiverId);
+
+  res.status(201).json({
+    success: true,
+    message: "Message sent successfully",
+    data: {
+      conversationId: result.conversation.id,
+      message: formatMessage(result.message, sender.id),
+    },
+    meta: buildMeta(requestId, startTime),
+  });
+};
+
+export const sendMessage = asyncHandler(async (req, res) => {
+  const requestId = generateRequestId();
+  const startTime = performance.now();
+
+  try {
+    const { receiverId } = req.body;
+
+    if (!receiverId) {
+      return res.status(400).json({
+        success: false,
+        message: "receiverId is required",
+        code: "VALIDATION_ERROR",
+      });
+    }
+
+    await deliverMessage(req, res, { requestId, startTime, receiverId });
+  } catch (error) {
+    console.error(`SEND_MESSAGE_ERROR [${requestId}]:`, {
+      error: error.message,
+      stack: error.stack,
+      userId: req.userAuthId,
+      receiverId: req.body?.receiverId,
+    });
+
+    res.status(500).json({
+      success: false,
+      message: "Failed to send message",
+      code: "INTERNAL_SERVER_ERROR",
+      meta: buildMeta(requestId, startTime),
+    });
+  }
+});
+
+export const replyToConversation = asyncHandler(async (req, res) => {
+  const requestId = generateRequestId();
+  const startTime = performance.now();
+
+  try {
+    const conversation = await findParticipantConversation(
+      req.params.conversationId,
+      req.userAuthId
+    );
+
+    if (!conversation) {
+      return res.status(404).json({
+        success: false,
+        message: "Conversation not found",
+        code: "CONVERSATION_NOT_FOUND",
+      });
+    }
+
+    await deliverMessage(req, res, {
+      requestId,
+      startTime,
+      receiverId: messagingService.getOtherParticipantId(
+        conversation,
+        req.userAuthId
+      ),
+    });
+  } catch (error) {
+    console.error(`REPLY_MESSAGE_ERROR [${requestId}]:`, {
+      error: error.message,
+      stack: error.stack,
+      userId: req.userAuthId,
+      conversationId: req.params.conversationId,
+    });
+
+    res.status(500).json({
+      success: false,
+      message: "Failed to send message",
+      code: "INTERNAL_SERVER_ERROR",
+      meta: buildMeta(requestId, startTime),
+    });
+  }
+});
+
+export const markConversationRead = asyncHandler(async (req, res) => {
+  const requestId = generateRequestId();
+  const startTime = performance.now();
+
+  try {
+    const userId = req.userAuthId;
+    const conversation = await findParticipantConversation(
+      req.params.conversationId,
+      userId
+    );
+
+    if (!conversation) {
+      return res.status(404).json({
+        success: false,
+        message: "Conversation not found",
+        code: "CONVERSATION_NOT_FOUND",
+      });
+    }
+
+    const markedCount = await messagingService.markConversationRead(
+      conversation.id,
+      userId
+    );
+    await invalidateUnreadCache(userId);
+
+    res.status(200).json({
+      success: true,
+      message: "Conversation marked as read",
+      data: { conversationId: conversation.id, markedCount },
+      meta: buildMeta(requestId, startTime),
+    });
+  } catch (error) {
+    console.error(`MARK_CONVERSATION_READ_ERROR [${requestId}]:`, {
+      error: error.message,
+      stack: error.stack,
+      userId: req.userAuthId,
+      conversationId: req.params.conversationId,
+    });
+
+    res.status(500).json({
+      success: false,
+      message: "Failed to mark conversation as read",
+      code: "INTERNAL_SERVER_ERROR",
+      meta: buildMeta(requestId, startTime),
+    });
+  }
+});
+
+export const archiveConversation = asyncHandler(async (req, res) => {
+  const requestId = generateRequestId();
+  const startTime = performance.now();
+
+  try {
+    const userId = req.userAuthId;
+    const { archived = true } = req.body;
+
+    const conversation = await findParticipantConversation(
+      req.params.conversationId,
+      userId
+    );
+
+    if (!conversation) {
+      return res.status(404).json({
+        success: false,
+        message: "Conversation not found",
+        code: "CONVERSATION_NOT_FOUND",
+      });
+    }
+
+    const field =
+      conversation.participantAId === userId ? "archivedByA" : "archivedByB";
+
+    await prisma.conversation.update({
+      where: { id: conversation.id },
+      data: { [field]: !!archived },
+    });
+
+    res.status(200).json({
+      success: true,
+      message: archived
+        ? "Conversation archived successfully"
+        : "Conversation restored successfully",
+      data: { conversationId: conversation.id, isArchived: !!archived },
+      meta: buildMeta(requestId, startTime),
+    });
+  } catch (error) {
+    console.error(`ARCHIVE_CONVERSATION_ERROR [${requestId}]:`, {
+      error: error.message,
+      stack: error.stack,
+      userId: req.userAuthId,
+      conversationId: req.params.conversationId,
+    });
+
+    res.status(500).json({
+      success: false,
+      message: "Failed to update conversation",
+      code: "INTERNAL_SERVER_ERROR",
+      meta: buildMeta(requestId, startTime),
+    });
+  }
+});
+
+export const getUnreadMessageCount = asyncHandler(async (req, res) => {
+  const requestId = generateRequestId();
+  const startTime = performance.now();
+
+  try {
+    const userId = req.userAuthId;
+    const cacheKey = `messages_unread:${userId}`;
+
+    let unreadCount = await redisService.get(cacheKey);
+
+    if (unreadCount === null) {
+      unreadCount = await messagingService.getUnreadCount(userId);
+      await redisService.setex(cacheKey, 60, unreadCount.toString());
+    } else {
+      unreadCount = parseInt(unreadCount);
+    }
+
+    res.status(200).json({
+      success: true,
+      message: "Unread message count retrieved successfully",
+      data: { unreadCount },
+      meta: buildMeta(requestId, startTime),
+    });
+  } catch (error) {
+    console.error(`GET_UNREAD_MESSAGE_COUNT_ERROR [${requestId}]:`, {
+      error: error.message,
+      stack: error.stack,
+      userId: req.userAuthId,
+    });
+
+    res.status(500).json({
+      success: false,
+      message: "Failed to retrieve unread message count",
+      code: "INTERNAL_SERVER_ERROR",
+      meta: buildMeta(requestId, startTime),
+    });
+  }
+});
+
+export const blockUser = asyncHandler(async (req, res) => {
+  const requestId = generateRequestId();
+  const startTime = performance.now();
+
+  try {
+    const userId = req.userAuthId;
+    const { userId: blockedId } = req.params;
+    const { reason } = req.body || {};
+
+    if (blockedId === userId) {
+      return res.status(400).json({
+        success: false,
+        message: "You cannot block yourself",
+        code: "VALIDATION_ERROR",
+      });
+    }
+
+    const target = await prisma.user.findUnique({
+      where: { id: blockedId },
+      select: { id: true, role: true },
+    });
+
+    if (!target) {
+      return res.status(404).json({
+        success: false,
+        message: "User not found",
+        code: "USER_NOT_FOUND",
+      });
+    }
+
+    if (["ADMIN", "MODERATOR"].includes(target.role)) {
+      return res.status(400).json({
+        success: false,
+        message: "Platform staff cannot be blocked",
+        code: "BLOCK_NOT_ALLOWED",
+      });
+    }
+
+    const block = await prisma.userBlock.upsert({
+      where: { blockerId_blockedId: { blockerId: userId, blockedId } },
+      update: { reason: reason?.substring(0, 500) || null },
+      create: {
+        blockerId: userId,
+        blockedId,
+        reason: reason?.substring(0, 500) || null,
+      },
+    });
+
+    res.status(200).json({
+      success: true,
+      message: "User blocked successfully",
+      data: {
+        blockedUserId: blockedId,
+        blockedAt: block.createdAt,
+      },
+      meta: buildMeta(requestId, startTime),
+    });
+  } catch (error) {
+    console.error(`BLOCK_USER_ERROR [${requestId}]:`, {
+      error: error.message,
+      stack: error.stack,
+      userId: req.userAuthId,
+      targetUserId: req.params.userId,
+    });
+
+    res.status(500).json({
+      success: false,
+      message: "Failed to block user",
+      code: "INTERNAL_SERVER_ERROR",
+      meta: buildMeta(requestId, startTime),
+    });
+  }
+});
+
+export const unblockUser = asyncHandler(async (req, res) => {
+  const requestId = generateRequestId();
+  const startTime = performance.now();
+
+  try {
+    const result = await prisma.userBlock.deleteMany({
+      where: { blockerId: req.userAuthId, blockedId: req.params.userId },
+    });
+
+    if (result.count === 0) {
+      return res.status(404).json({
+        success: false,
+        message: "This user is not blocked",
+        code: "BLOCK_NOT_FOUND",
+      });
+    }
+
+    res.status(200).json({
+      success: true,
+      message: "User unblocked successfully",
+      data: { unblockedUserId: req.params.userId },
+      meta: buildMeta(requestId, startTime),
+    });
+  } catch (error) {
+    console.error(`UNBLOCK_USER_ERROR [${requestId}]:`, {
+      error: error.message,
+      stack: error.stack,
+      userId: req.userAuthId,
+      targetUserId: req.params.userId,
+    });
+
+    res.status(500).json({
+      success: false,
+      message: "Failed to unblock user",
+      code: "INTERNAL_SERVER_ERROR",
+      meta: buildMeta(requestId, startTime),
+    });
+  }
+});
+
+export const getBlockedUsers = asyncHandler(async (req, res) => {
+  const requestId = generateRequestId();
+  const startTime = performance.now();
+
+  try {
+    const blocks = await prisma.userBlock.findMany({
+      where: { blockerId: req.userAuthId },
+      orderBy: { createdAt: "desc" },
+      include: { blocked: { select: participantSelect } },
+    });
+
+    res.status(200).json({
+      success: true,
+      message: "Blocked users retrieved successfully",
+      data: {
+        blockedUsers: blocks.map((block) => ({
+          ...block.blocked,
+          reason: block.reason,
+          blockedAt: block.createdAt,
+        })),
+      },
+      meta: buildMeta(requestId, startTime),
+    });
+  } catch (error) {
+    console.error(`GET_BLOCKED_USERS_ERROR [${requestId}]:`, {
+      error: error.message,
+      stack: error.stack,
+      userId: req.userAuthId,
+    });
+
+    res.status(500).json({
+      success: false,
+      message: "Failed to retrieve blocked users",
+      code: "INTERNAL_SERVER_ERROR",
+      meta: buildMeta(requestId, startTime),
+    });
+  }
+});
@@ -60,6 +60,8 @@ const validateNotificationFilters = (filters) => {
     "CONTENT_REPORTED",
     "ACCOUNT_BANNED",
     "ACCOUNT_REACTIVATED",
+    "LIVE_SESSION_REMINDER",
+    "STUDY_PLAN_REMINDER",
   ];
 
   if (type && !validTypes.includes(type)) {
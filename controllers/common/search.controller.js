@@ -4,6 +4,7 @@ config();
 import asyncHandler from "express-async-handler";
 import { PrismaClient } from "@prisma/client";
 import redisService from "../../utils/redis.js";
+import searchService from "../../utils/searchService.js";
 
 const prisma = new PrismaClient();
 
@@ -127,154 +128,6 @@ const buildSearchFilters = (query) => {
   return filters;
 };
 
-const buildCourseSearchWhere = (searchTerm, filters) => {
-  const where = {
-    status: "PUBLISHED",
-    AND: [],
-  };
-
-  if (searchTerm) {
-    where.AND.push({
-      OR: [
-        { title: { contains: searchTerm, mode: "insensitive" } },
-        { description: { contains: searchTerm, mode: "insensitive" } },
-        { shortDescription: { contains: searchTerm, mode: "insensitive" } },
-        { tags: { hasSome: [searchTerm] } },
-        { keyPoints: { hasSome: [searchTerm] } },
-        { learningOutcomes: { hasSome: [searchTerm] } },
-        {
-          instructor: {
-            OR: [
-              {
-                user: {
-                  firstName: { contains: searchTerm, mode: "insensitive" },
-                },
-              },
-              {
-                user: {
-                  lastName: { contains: searchTerm, mode: "insensitive" },
-                },
-              },
-            ],
-          },
-        },
-        { category: { name: { contains: searchTerm, mode: "insensitive" } } },
-      ],
-    });
-  }
-
-  if (filters.minPrice !== undefined || filters.maxPrice !== undefined) {
-    const priceFilter = {};
-    if (filters.minPrice !== undefined) priceFilter.gte = filters.minPrice;
-    if (filters.maxPrice !== undefined) priceFilter.lte = filters.maxPrice;
-    where.AND.push({ price: priceFilter });
-  }
-
-  if (filters.rating !== undefined) {
-    where.AND.push({ averageRating: { gte: filters.rating } });
-  }
-
-  if (filters.level) {
-    where.AND.push({ level: filters.level });
-  }
-
-  if (filters.duration !== undefined) {
-    where.AND.push({ duration: { lte: filters.duration } });
-  }
-
-  if (filters.category) {
-    where.AND.push({
-      OR: [
-        { category: { slug: filters.category } },
-        {
-          category: {
-            name: { contains: filters.category, mode: "insensitive" },
-          },
-        },
-      ],
-    });
-  }
-
-  if (filters.instructor) {
-    where.AND.push({
-      instructor: {
-        OR: [
-          {
-            user: {
-              firstName: { contains: filters.instructor, mode: "insensitive" },
-            },
-          },
-          {
-            user: {
-              lastName: { contains: filters.instructor, mode: "insensitive" },
-            },
-          },
-          {
-            user: {
-              email: { contains: filters.instructor, mode: "insensitive" },
-            },
-          },
-        ],
-      },
-    });
-  }
-
-  if (filters.language) {
-    where.AND.push({ language: filters.language });
-  }
-
-  if (filters.isFree === true) {
-    where.AND.push({ price: { lte: 0 } });
-  } else if (filters.isFree === false) {
-    where.AND.push({ price: { gt: 0 } });
-  }
-
-  if (filters.featured === true) {
-    where.AND.push({ featured: true });
-  }
-
-  if (filters.bestseller === true) {
-    where.AND.push({ bestseller: true });
-  }
-
-  if (where.AND.length === 0) {
-    delete where.AND;
-  }
-
-  return where;
-};
-
-const buildSortOrder = (sortBy, sortOrder) => {
-  const orderBy = [];
-
-  switch (sortBy) {
-    case "relevance":
-      orderBy.push({ featured: "desc" });
-      orderBy.push({ averageRating: "desc" });
-      orderBy.push({ totalEnrollments: "desc" });
-      break;
-    case "title":
-      orderBy.push({ title: sortOrder });
-      break;
-    case "price":
-      orderBy.push({ price: sortOrder });
-      break;
-    case "rating":
-      orderBy.push({ averageRating: sortOrder });
-      break;
-    case "createdAt":
-      orderBy.push({ createdAt: sortOrder });
-      break;
-    case "enrollments":
-      orderBy.push({ totalEnrollments: sortOrder });
-      break;
-    default:
-      orderBy.push({ createdAt: "desc" });
-  }
-
-  return orderBy;
-};
-
 const saveSearchHistory = async (
   userId,
   searchTerm,
@@ -395,16 +248,15 @@ export const searchCourses = asyncHandler(async (req, res) => {
       });
     }
 
-    const where = buildCourseSearchWhere(cleanSearchTerm, filters);
-    const orderBy = buildSortOrder(filters.sortBy, filters.sortOrder);
     const skip = (filters.page - 1) * filters.limit;
+    const { hits, total, facetCounts } = await searchService.searchCourses(
+      cleanSearchTerm,
+      filters
+    );
 
-    const [courses, total, categories, instructors] = await Promise.all([
+    const [courseDetails, facets] = await Promise.all([
       prisma.course.findMany({
-        where,
-        orderBy,
-        skip,
-        take: filters.limit,
+        where: { id: { in: hits.map((hit) => hit.id) } },
         include: {
           instructor: {
             include: {
@@ -431,96 +283,22 @@ export const searchCourses = asyncHandler(async (req, res) => {
           },
         },
       }),
-      prisma.course.count({ where }),
-      // Fixed: Added explicit orderBy for groupBy operations
-      prisma.course.groupBy({
-        by: ["categoryId"],
-        where,
-        _count: { categoryId: true },
-        orderBy: {
-          _count: {
-            categoryId: "desc",
-          },
-        },
-        take: 10,
-      }),
-      prisma.course.groupBy({
-        by: ["instructorId"],
-        where,
-        _count: { instructorId: true },
-        orderBy: {
-          _count: {
-            instructorId: "desc",
-          },
-        },
-        take: 10,
-      }),
+      searchService.buildFacets(facetCounts),
     ]);
 
-    const categoryDetails = await prisma.category.findMany({
-      where: {
-        id: { in: categories.map((c) => c.categoryId) },
-      },
-      select: {
-        id: true,
-        name: true,
-        slug: true,
-      },
-    });
+    facets.durations = [
+      { label: "Under 2 hours", max: 120 },
+      { label: "2-6 hours", min: 120, max: 360 },
+      { label: "6-17 hours", min: 360, max: 1020 },
+      { label: "17+ hours", min: 1020 },
+    ];
 
-    const instructorDetails = await prisma.instructor.findMany({
-      where: {
-        id: { in: instructors.map((i) => i.instructorId) },
-      },
-      include: {
-        user: {
-          select: {
-            firstName: true,
-            lastName: true,
-            profileImage: true,
-          },
-        },
-      },
-    });
-
-    const facets = {
-      categories: categories.map((cat) => {
-        const details = categoryDetails.find((d) => d.id === cat.categoryId);
-        return {
-          id: cat.categoryId,
-          name: details?.name || "Unknown",
-          slug: details?.slug || "",
-          count: cat._count.categoryId,
-        };
-      }),
-      instructors: instructors.map((inst) => {
-        const details = instructorDetails.find(
-          (d) => d.id === inst.instructorId
-        );
-        return {
-          id: inst.instructorId,
-          name: details
-            ? `${details.user.firstName} ${details.user.lastName}`
-            : "Unknown",
-          profileImage: details?.user.profileImage,
-          count: inst._count.instructorId,
-        };
-      }),
-      priceRanges: [
-        { label: "Free", min: 0, max: 0 },
-        { label: "Under ₹500", min: 0, max: 500 },
-        { label: "₹500 - ₹2000", min: 500, max: 2000 },
-        { label: "₹2000 - ₹5000", min: 2000, max: 5000 },
-        { label: "Above ₹5000", min: 5000, max: null },
-      ],
-      levels: ["BEGINNER", "INTERMEDIATE", "ADVANCED", "ALL_LEVELS"],
-      durations: [
-        { label: "Under 2 hours", max: 120 },
-        { label: "2-6 hours", min: 120, max: 360 },
-        { label: "6-17 hours", min: 360, max: 1020 },
-        { label: "17+ hours", min: 1020 },
-      ],
-    };
+    const courseById = new Map(
+      courseDetails.map((course) => [course.id, course])
+    );
+    const courses = hits
+      .filter((hit) => courseById.has(hit.id))
+      .map((hit) => ({ ...courseById.get(hit.id), hit }));
 
     const result = {
       courses: courses.map((course) => ({
@@ -547,6 +325,11 @@ export const searchCourses = asyncHandler(async (req, res) => {
         category: course.category,
         subcategory: course.subcategory,
         updatedAt: course.updatedAt,
+        relevance: Math.round(course.hit.score * 10000) / 10000,
+        highlights: {
+          title: course.hit.titleHighlight,
+          snippet: course.hit.snippet,
+        },
       })),
       pagination: {
         page: filters.page,
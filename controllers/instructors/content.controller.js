@@ -3,6 +3,23 @@ import asyncHandler from "express-async-handler";
 import redisService from "../../utils/redis.js";
 import { v2 as cloudinary } from "cloudinary";
 import { deleteFromCloudinary } from "../../config/upload.js";
+import { validateRubric, normalizeRubric } from "../../helper/rubric.js";
+import {
+  gradeAnswer,
+  scoreAttempt,
+  serializeAnswerKey,
+  validateAnswerKey,
+} from "../../helper/quizGrading.js";
+import {
+  validateCodeChallenge,
+  normalizeCodeChallenge,
+  formatCodeResults,
+  toPublicCodeChallenge,
+  queuedCodeResults,
+} from "../../helper/codeChallenge.js";
+import codeRunnerService from "../../utils/codeRunnerService.js";
+import codeGradingService from "../../utils/codeGradingService.js";
+import questionBankService from "../../utils/questionBankService.js";
 
 const prisma = new PrismaClient();
 
@@ -1411,6 +1428,8 @@ export const createQuiz = asyncHandler(async (req, res) => {
       isRandomized = false,
       showResults = true,
       allowReview = true,
+      partialCredit = true,
+      negativeMarking = 0,
     } = req.body;
     const instructorId = req.instructorProfile.id;
 
@@ -1434,6 +1453,20 @@ export const createQuiz = asyncHandler(async (req, res) => {
       });
     }
 
+    const negativeMarkingFloat = parseFloat(negativeMarking);
+    if (
+      Number.isNaN(negativeMarkingFloat) ||
+      negativeMarkingFloat < 0 ||
+      negativeMarkingFloat > 1
+    ) {
+      return res.status(400).json({
+        success: false,
+        message:
+          "Negative marking must be a fraction of question points between 0 and 1",
+        code: "INVALID_VALUES",
+      });
+    }
+
     const [section, lastQuiz] = await Promise.all([
       prisma.section.findUnique({
         where: { id: sectionId },
@@ -1486,6 +1519,8 @@ export const createQuiz = asyncHandler(async (req, res) => {
         isRandomized,
         showResults,
         allowReview,
+        partialCredit,
+        negativeMarking: negativeMarkingFloat,
         sectionId,
       },
       select: {
@@ -1501,6 +1536,8 @@ export const createQuiz = asyncHandler(async (req, res) => {
         isRandomized: true,
         showResults: true,
         allowReview: true,
+        partialCredit: true,
+        negativeMarking: true,
         createdAt: true,
         updatedAt: true,
       },
@@ -1574,6 +1611,8 @@ export const updateQuiz = asyncHandler(async (req, res) => {
       isRandomized,
       showResults,
       allowReview,
+      partialCredit,
+      negativeMarking,
     } = req.body;
     const instructorId = req.instructorProfile.id;
 
@@ -1604,7 +1643,13 @@ export const updateQuiz = asyncHandler(async (req, res) => {
     }
 
     if (quiz.attempts.length > 0) {
-      const restrictedFields = ["passingScore", "maxAttempts", "duration"];
+      const restrictedFields = [
+        "passingScore",
+        "maxAttempts",
+        "duration",
+        "partialCredit",
+        "negativeMarking",
+      ];
       const hasRestrictedChanges = restrictedFields.some(
         (field) =>
           req.body[field] !== undefined && req.body[field] !== quiz[field]
@@ -1620,6 +1665,22 @@ export const updateQuiz = asyncHandler(async (req, res) => {
       }
     }
 
+    if (negativeMarking !== undefined) {
+      const negativeMarkingFloat = parseFloat(negativeMarking);
+      if (
+        Number.isNaN(negativeMarkingFloat) ||
+        negativeMarkingFloat < 0 ||
+        negativeMarkingFloat > 1
+      ) {
+        return res.status(400).json({
+          success: false,
+          message:
+            "Negative marking must be a fraction of question points between 0 and 1",
+          code: "INVALID_VALUES",
+        });
+      }
+    }
+
     const updateData = {};
     if (title !== undefined) updateData.title = title.trim();
     if (description !== undefined) updateData.description = description?.trim();
@@ -1634,6 +1695,9 @@ export const updateQuiz = asyncHandler(async (req, res) => {
     if (isRandomized !== undefined) updateData.isRandomized = isRandomized;
     if (showResults !== undefined) updateData.showResults = showResults;
     if (allowReview !== undefined) updateData.allowReview = allowReview;
+    if (partialCredit !== undefined) updateData.partialCredit = partialCredit;
+    if (negativeMarking !== undefined)
+      updateData.negativeMarking = parseFloat(negativeMarking);
 
     const updatedQuiz = await prisma.quiz.update({
       where: { id: quizId },
@@ -1878,6 +1942,20 @@ export const addQuizQuestions = asyncHandler(async (req, res) => {
         }
       }
 
+      if (question.type) {
+        validateAnswerKey(question.type, question.correctAnswer).forEach(
+          (message) => errors.push(`Question ${index + 1}: ${message}`)
+        );
+      }
+
+      if (question.type === "CODE_CHALLENGE") {
+        codeRunnerService
+          .validateChallenge(question.codeChallenge)
+          .forEach((message) =>
+            errors.push(`Question ${index + 1}: ${message}`)
+          );
+      }
+
       if (errors.length === 0) {
         processedQuestions.push({
           content: question.content.trim(),
@@ -1885,7 +1963,10 @@ export const addQuizQuestions = asyncHandler(async (req, res) => {
           points,
           order: existingQuestionCount + index + 1,
           options: question.options || null,
-          correctAnswer: question.correctAnswer?.trim() || null,
+          correctAnswer: serializeAnswerKey(question.correctAnswer),
+          ...(question.type === "CODE_CHALLENGE" && {
+            codeChallenge: normalizeCodeChallenge(question.codeChallenge),
+          }),
           explanation: question.explanation?.trim() || null,
           hints: Array.isArray(question.hints) ? question.hints : [],
           difficulty: question.difficulty || "MEDIUM",
@@ -2007,6 +2088,7 @@ export const addQuizQuestion = asyncHandler(async (req, res) => {
       points = 1,
       options,
       correctAnswer,
+      codeChallenge,
       explanation,
       hints = [],
       difficulty = "MEDIUM",
@@ -2031,6 +2113,21 @@ export const addQuizQuestion = asyncHandler(async (req, res) => {
       });
     }
 
+    const answerKeyErrors = [
+      ...validateAnswerKey(type, correctAnswer),
+      ...(type === "CODE_CHALLENGE"
+        ? codeRunnerService.validateChallenge(codeChallenge)
+        : []),
+    ];
+    if (answerKeyErrors.length > 0) {
+      return res.status(400).json({
+        success: false,
+        message: answerKeyErrors[0],
+        errors: answerKeyErrors,
+        code: "VALIDATION_ERROR",
+      });
+    }
+
     const [quiz, questionCount] = await Promise.all([
       prisma.quiz.findUnique({
         where: { id: quizId },
@@ -2080,7 +2177,10 @@ export const addQuizQuestion = asyncHandler(async (req, res) => {
         points: pointsInt,
         order: newOrder,
         options: options || null,
-        correctAnswer: correctAnswer?.trim(),
+        correctAnswer: serializeAnswerKey(correctAnswer),
+        ...(type === "CODE_CHALLENGE" && {
+          codeChallenge: normalizeCodeChallenge(codeChallenge),
+        }),
         explanation: explanation?.trim(),
         hints: Array.isArray(hints) ? hints : [],
         difficulty,
@@ -2095,6 +2195,7 @@ export const addQuizQuestion = asyncHandler(async (req, res) => {
         order: true,
         options: true,
         correctAnswer: true,
+        codeChallenge: true,
         explanation: true,
         hints: true,
         difficulty: true,
@@ -2176,6 +2277,7 @@ export const updateQuizQuestion = asyncHandler(async (req, res) => {
       points,
       options,
       correctAnswer,
+      codeChallenge,
       explanation,
       hints,
       difficulty,
@@ -2197,7 +2299,7 @@ export const updateQuizQuestion = asyncHandler(async (req, res) => {
       },
     });
 
-    if (!question) {
+    if (!question?.quiz) {
       return res.status(404).json({
         success: false,
         message: "Question not found",
@@ -2214,7 +2316,12 @@ export const updateQuizQuestion = asyncHandler(async (req, res) => {
     }
 
     if (question.quiz.attempts.length > 0) {
-      const restrictedFields = ["correctAnswer", "points", "type"];
+      const restrictedFields = [
+        "correctAnswer",
+        "codeChallenge",
+        "points",
+        "type",
+      ];
       const hasRestrictedChanges = restrictedFields.some(
         (field) =>
           req.body[field] !== undefined && req.body[field] !== question[field]
@@ -2230,13 +2337,42 @@ export const updateQuizQuestion = asyncHandler(async (req, res) => {
       }
     }
 
+    const questionType = type ?? question.type;
+    if (
+      type !== undefined ||
+      correctAnswer !== undefined ||
+      codeChallenge !== undefined
+    ) {
+      const answerKeyErrors = [
+        ...validateAnswerKey(
+          questionType,
+          correctAnswer !== undefined ? correctAnswer : question.correctAnswer
+        ),
+        ...(questionType === "CODE_CHALLENGE"
+          ? codeChallenge !== undefined
+            ? codeRunnerService.validateChallenge(codeChallenge)
+            : validateCodeChallenge(question.codeChallenge)
+          : []),
+      ];
+      if (answerKeyErrors.length > 0) {
+        return res.status(400).json({
+          success: false,
+          message: answerKeyErrors[0],
+          errors: answerKeyErrors,
+          code: "VALIDATION_ERROR",
+        });
+      }
+    }
+
     const updateData = {};
     if (content !== undefined) updateData.content = content.trim();
     if (type !== undefined) updateData.type = type;
     if (points !== undefined) updateData.points = parseInt(points);
     if (options !== undefined) updateData.options = options;
     if (correctAnswer !== undefined)
-      updateData.correctAnswer = correctAnswer?.trim();
+      updateData.correctAnswer = serializeAnswerKey(correctAnswer);
+    if (codeChallenge !== undefined && questionType === "CODE_CHALLENGE")
+      updateData.codeChallenge = normalizeCodeChallenge(codeChallenge);
     if (explanation !== undefined) updateData.explanation = explanation?.trim();
     if (hints !== undefined) updateData.hints = hints;
     if (difficulty !== undefined) updateData.difficulty = difficulty;
@@ -2307,7 +2443,7 @@ export const deleteQuizQuestion = asyncHandler(async (req, res) => {
       },
     });
 
-    if (!question) {
+    if (!question?.quiz) {
       return res.status(404).json({
         success: false,
         message: "Question not found",
@@ -2612,6 +2748,18 @@ export const createAssignment = asyncHandler(async (req, res) => {
           code: "INVALID_RUBRIC_FORMAT",
         });
       }
+
+      const rubricErrors = validateRubric(parsedRubric, totalPointsNum);
+      if (rubricErrors.length > 0) {
+        await cleanupUploadedFiles();
+        return res.status(400).json({
+          success: false,
+          message: "Invalid rubric",
+          code: "INVALID_RUBRIC",
+          errors: rubricErrors,
+        });
+      }
+      parsedRubric = normalizeRubric(parsedRubric);
     }
 
     const assignment = await prisma.assignment.create({
@@ -2884,6 +3032,29 @@ export const updateAssignment = asyncHandler(async (req, res) => {
       }
     }
 
+    // Rubric points must keep adding up to the assignment total, whichever
+    // of the two changed.
+    const rubricToCheck =
+      rubric !== undefined ? updateData.rubric : assignment.rubric;
+    if (rubricToCheck && (rubric !== undefined || totalPoints !== undefined)) {
+      const rubricErrors = validateRubric(
+        rubricToCheck,
+        updateData.totalPoints ?? assignment.totalPoints
+      );
+      if (rubricErrors.length > 0) {
+        await cleanupUploadedFiles();
+        return res.status(400).json({
+          success: false,
+          message: "Invalid rubric",
+          code: "INVALID_RUBRIC",
+          errors: rubricErrors,
+        });
+      }
+      if (rubric !== undefined) {
+        updateData.rubric = normalizeRubric(updateData.rubric);
+      }
+    }
+
     const updatedAssignment = await prisma.assignment.update({
       where: { id: assignmentId },
       data: updateData,
@@ -3355,6 +3526,7 @@ export const validateCourseContent = asyncHandler(async (req, res) => {
           type: true,
           options: true,
           correctAnswer: true,
+          codeChallenge: true,
           quizId: true,
           order: true,
         },
@@ -3495,7 +3667,19 @@ export const validateCourseContent = asyncHandler(async (req, res) => {
             validationResults.isValid = false;
           }
 
-          if (!question.correctAnswer) {
+          if (question.type === "CODE_CHALLENGE") {
+            if (
+              codeRunnerService.validateChallenge(question.codeChallenge)
+                .length > 0
+            ) {
+              validationResults.errors.push(
+                `Section ${section.index}, Quiz "${quiz.title}", Question ${
+                  questionIndex + 1
+                }: Code challenge needs a supported language and test cases`
+              );
+              validationResults.isValid = false;
+            }
+          } else if (!question.correctAnswer) {
             validationResults.errors.push(
               `Section ${section.index}, Quiz "${quiz.title}", Question ${
                 questionIndex + 1
@@ -3863,6 +4047,7 @@ export const exportCourseContent = asyncHandler(async (req, res) => {
             points: question.points,
             options: question.options,
             correctAnswer: question.correctAnswer,
+            codeChallenge: question.codeChallenge,
             explanation: question.explanation,
             hints: question.hints,
             difficulty: question.difficulty,
@@ -4046,6 +4231,9 @@ export const importCourseContent = asyncHandler(async (req, res) => {
                   points: questionData.points || 1,
                   options: questionData.options,
                   correctAnswer: questionData.correctAnswer,
+                  ...(questionData.codeChallenge && {
+                    codeChallenge: questionData.codeChallenge,
+                  }),
                   explanation: questionData.explanation,
                   hints: questionData.hints || [],
                   difficulty: questionData.difficulty || "MEDIUM",
@@ -4483,6 +4671,9 @@ export const submitQuizAttempt = asyncHandler(async (req, res) => {
           passingScore: true,
           maxAttempts: true,
           duration: true,
+          partialCredit: true,
+          negativeMarking: true,
+          drawRules: true,
           questions: {
             select: {
               id: true,
@@ -4490,6 +4681,7 @@ export const submitQuizAttempt = asyncHandler(async (req, res) => {
               type: true,
               points: true,
               correctAnswer: true,
+              codeChallenge: true,
               options: true,
             },
             orderBy: { order: "asc" },
@@ -4515,6 +4707,15 @@ export const submitQuizAttempt = asyncHandler(async (req, res) => {
       });
     }
 
+    if (quiz.drawRules) {
+      return res.status(400).json({
+        success: false,
+        message:
+          "This quiz draws its questions from question banks; start an attempt to take it",
+        code: "QUIZ_REQUIRES_ATTEMPT",
+      });
+    }
+
     const attemptNumber = existingAttempt
       ? existingAttempt.attemptNumber + 1
       : 1;
@@ -4527,54 +4728,41 @@ export const submitQuizAttempt = asyncHandler(async (req, res) => {
       });
     }
 
-    const processedAnswers = answers
-      .map((answer) => {
-        const question = quiz.questions.find((q) => q.id === answer.questionId);
-        if (!question) return null;
-
-        let isCorrect = false;
-        let points = 0;
-
-        switch (question.type) {
-          case "MULTIPLE_CHOICE":
-          case "SINGLE_CHOICE":
-            isCorrect = answer.selectedOption === question.correctAnswer;
-            break;
-          case "TRUE_FALSE":
-            isCorrect =
-              answer.answer?.toLowerCase() ===
-              question.correctAnswer?.toLowerCase();
-            break;
-          case "SHORT_ANSWER":
-            isCorrect =
-              answer.answer?.toLowerCase().trim() ===
-              question.correctAnswer?.toLowerCase().trim();
-            break;
-          case "FILL_IN_BLANK":
-            isCorrect =
-              answer.answer?.toLowerCase().trim() ===
-              question.correctAnswer?.toLowerCase().trim();
-            break;
-          default:
-            isCorrect = false;
-        }
+    const answeredQuestions = new Set();
+    const processedAnswers = [];
 
-        if (isCorrect) {
-          points = question.points;
+    for (const answer of answers) {
+      const question = quiz.questions.find((q) => q.id === answer.questionId);
+      if (!question || answeredQuestions.has(question.id)) continue;
+      answeredQuestions.add(question.id);
+
+      const studentAnswer = answer.answer ?? answer.selectedOption;
+      const { isCorrect, points, needsReview } = gradeAnswer(
+        question,
+        studentAnswer,
+        {
+          partialCredit: quiz.partialCredit,
+          negativeMarking: quiz.negativeMarking,
         }
+      );
 
-        return {
-          questionId: question.id,
-          studentAnswer: answer.answer || answer.selectedOption,
-          correctAnswer: question.correctAnswer,
-          isCorrect,
-          points,
-          timeSpent: answer.timeSpent || 0,
-        };
-      })
-      .filter(Boolean);
+      processedAnswers.push({
+        questionId: question.id,
+        studentAnswer:
+          typeof studentAnswer === "string"
+            ? studentAnswer
+            : JSON.stringify(studentAnswer ?? ""),
+        correctAnswer: question.correctAnswer,
+        isCorrect,
+        points,
+        needsReview,
+        // Code is run by codeGradingService once the attempt is saved.
+        queueCode: question.type === "CODE_CHALLENGE" && needsReview,
+        timeSpent: answer.timeSpent || 0,
+      });
+    }
 
-    const scoreResult = calculateQuizScore(
+    const scoreResult = scoreAttempt(
       processedAnswers,
       quiz.questions,
       quiz.passingScore
@@ -4598,7 +4786,8 @@ export const submitQuizAttempt = asyncHandler(async (req, res) => {
           ),
           completedQuestions: processedAnswers.length,
           totalQuestions: quiz.questions.length,
-          status: "SUBMITTED",
+          status: scoreResult.pendingReview > 0 ? "SUBMITTED" : "GRADED",
+          gradedAt: scoreResult.pendingReview > 0 ? null : new Date(),
         },
       });
 
@@ -4608,6 +4797,10 @@ export const submitQuizAttempt = asyncHandler(async (req, res) => {
             content: answerData.studentAnswer,
             isCorrect: answerData.isCorrect,
             points: answerData.points,
+            needsReview: answerData.needsReview,
+            ...(answerData.queueCode && {
+              codeResults: queuedCodeResults(),
+            }),
             timeSpent: answerData.timeSpent,
             questionId: answerData.questionId,
             attemptId: attempt.id,
@@ -4620,19 +4813,25 @@ export const submitQuizAttempt = asyncHandler(async (req, res) => {
       return attempt;
     });
 
+    if (processedAnswers.some((answerData) => answerData.queueCode)) {
+      codeGradingService.enqueue(quizAttempt.id);
+    }
+
     const executionTime = performance.now() - startTime;
 
     res.status(200).json({
       success: true,
-      message: `Quiz ${
-        scoreResult.isPassed ? "passed" : "failed"
-      } successfully`,
+      message:
+        scoreResult.pendingReview > 0
+          ? "Quiz submitted and awaiting instructor review"
+          : `Quiz ${scoreResult.isPassed ? "passed" : "failed"} successfully`,
       data: {
         attempt: {
           id: quizAttempt.id,
           attemptNumber: quizAttempt.attemptNumber,
           submittedAt: quizAttempt.submittedAt,
           timeSpent: quizAttempt.timeSpent,
+          status: quizAttempt.status,
         },
         score: {
           earnedPoints: scoreResult.earnedPoints,
@@ -4641,12 +4840,18 @@ export const submitQuizAttempt = asyncHandler(async (req, res) => {
           passingPercentage: scoreResult.passingPercentage,
           passingPoints: scoreResult.passingPoints,
           isPassed: scoreResult.isPassed,
-          grade: scoreResult.isPassed ? "PASS" : "FAIL",
+          grade:
+            scoreResult.isPassed === null
+              ? "PENDING"
+              : scoreResult.isPassed
+              ? "PASS"
+              : "FAIL",
         },
         questions: {
           total: quiz.questions.length,
           completed: processedAnswers.length,
           correct: processedAnswers.filter((ans) => ans.isCorrect).length,
+          pendingReview: scoreResult.pendingReview,
         },
         attempts: {
           current: attemptNumber,
@@ -4696,18 +4901,6 @@ export const getQuizResults = asyncHandler(async (req, res) => {
             passingScore: true,
             showResults: true,
             allowReview: true,
-            questions: {
-              select: {
-                id: true,
-                content: true,
-                type: true,
-                points: true,
-                correctAnswer: true,
-                explanation: true,
-                options: true,
-              },
-              orderBy: { order: "asc" },
-            },
           },
         },
         answers: {
@@ -4716,6 +4909,8 @@ export const getQuizResults = asyncHandler(async (req, res) => {
             content: true,
             isCorrect: true,
             points: true,
+            needsReview: true,
+            codeResults: true,
             timeSpent: true,
             questionId: true,
           },
@@ -4742,13 +4937,17 @@ export const getQuizResults = asyncHandler(async (req, res) => {
       });
     }
 
-    const scoreResult = calculateQuizScore(
+    const questions = await questionBankService.getAttemptQuestions(
+      quizAttempt
+    );
+
+    const scoreResult = scoreAttempt(
       quizAttempt.answers,
-      quizAttempt.quiz.questions,
+      questions,
       quizAttempt.quiz.passingScore
     );
 
-    const detailedResults = quizAttempt.quiz.questions.map((question) => {
+    const detailedResults = questions.map((question) => {
       const studentAnswer = quizAttempt.answers.find(
         (ans) => ans.questionId === question.id
       );
@@ -4764,6 +4963,8 @@ export const getQuizResults = asyncHandler(async (req, res) => {
           : null,
         isCorrect: studentAnswer?.isCorrect || false,
         pointsEarned: studentAnswer?.points || 0,
+        needsReview: studentAnswer?.needsReview || false,
+        codeResults: formatCodeResults(studentAnswer?.codeResults),
         explanation: quizAttempt.quiz.allowReview ? question.explanation : null,
         timeSpent: studentAnswer?.timeSpent || 0,
       };
@@ -4793,13 +4994,21 @@ export const getQuizResults = asyncHandler(async (req, res) => {
           passingPercentage: scoreResult.passingPercentage,
           passingPoints: scoreResult.passingPoints,
           isPassed: scoreResult.isPassed,
-          grade: scoreResult.isPassed ? "PASS" : "FAIL",
+          grade:
+            scoreResult.isPassed === null
+              ? "PENDING"
+              : scoreResult.isPassed
+              ? "PASS"
+              : "FAIL",
         },
         questions: detailedResults,
         summary: {
-          totalQuestions: quizAttempt.quiz.questions.length,
+          totalQuestions: questions.length,
           correctAnswers: detailedResults.filter((q) => q.isCorrect).length,
-          incorrectAnswers: detailedResults.filter((q) => !q.isCorrect).length,
+          incorrectAnswers: detailedResults.filter(
+            (q) => !q.isCorrect && !q.needsReview
+          ).length,
+          pendingReview: scoreResult.pendingReview,
         },
       },
       meta: {
@@ -4826,39 +5035,6 @@ export const getQuizResults = asyncHandler(async (req, res) => {
   }
 });
 
-export const calculateQuizScore = (
-  studentAnswers,
-  questions,
-  passingPercentage
-) => {
-  let totalPoints = 0;
-  let earnedPoints = 0;
-
-  questions.forEach((question) => {
-    totalPoints += question.points;
-
-    const studentAnswer = studentAnswers.find(
-      (answer) => answer.questionId === question.id
-    );
-    if (studentAnswer && studentAnswer.isCorrect) {
-      earnedPoints += question.points;
-    }
-  });
-
-  const percentage = totalPoints > 0 ? (earnedPoints / totalPoints) * 100 : 0;
-  const passingPoints = Math.ceil((passingPercentage / 100) * totalPoints);
-  const isPassed = earnedPoints >= passingPoints;
-
-  return {
-    totalPoints,
-    earnedPoints,
-    percentage: Math.round(percentage * 100) / 100,
-    passingPercentage,
-    passingPoints,
-    isPassed,
-  };
-};
-
 export const getQuizDetails = asyncHandler(async (req, res) => {
   const requestId = generateRequestId();
   const startTime = performance.now();
@@ -4889,6 +5065,7 @@ export const getQuizDetails = asyncHandler(async (req, res) => {
               type: true,
               points: true,
               options: true,
+              codeChallenge: true,
               hints: true,
               difficulty: true,
               order: true,
@@ -4972,6 +5149,7 @@ export const getQuizDetails = asyncHandler(async (req, res) => {
           type: q.type,
           points: q.points,
           options: q.options,
+          codeChallenge: toPublicCodeChallenge(q.codeChallenge),
           hints: q.hints,
           difficulty: q.difficulty,
           order: q.order,
@@ -5706,6 +5884,7 @@ export const getQuizQuestions = asyncHandler(async (req, res) => {
           order: true,
           options: true,
           correctAnswer: true,
+          codeChallenge: true,
           explanation: true,
           hints: true,
           difficulty: true,
@@ -5763,6 +5942,7 @@ export const getQuizQuestions = asyncHandler(async (req, res) => {
           order: question.order,
           options: question.options,
           correctAnswer: question.correctAnswer,
+          codeChallenge: question.codeChallenge,
           explanation: question.explanation,
           hints: question.hints,
           difficulty: question.difficulty,
@@ -6050,6 +6230,7 @@ export const getSingleQuiz = asyncHandler(async (req, res) => {
                   order: true,
                   options: true,
                   correctAnswer: true,
+                  codeChallenge: true,
                   explanation: true,
                   hints: true,
                   difficulty: true,
@@ -1,8 +1,9 @@
 import { PrismaClient } from "@prisma/client";
 import asyncHandler from "express-async-handler";
 import redisService from "../../utils/redis.js";
-import emailService from "../../utils/emailService.js";
 import notificationService from "../../utils/notificationservice.js";
+import currencyService from "../../utils/currencyService.js";
+import earningLedgerService from "../../utils/earningLedgerService.js";
 import { Decimal } from "@prisma/client/runtime/library.js";
 import {
   calculateGrowthRate,
@@ -19,6 +20,7 @@ const prisma = new PrismaClient();
 
 const getEarningsOverview = asyncHandler(async (req, res) => {
   const instructorId = req.instructorProfile.id;
+  const currency = req.instructorProfile.payoutCurrency;
   const cacheKey = `earnings_overview:${instructorId}`;
 
   try {
@@ -68,7 +70,7 @@ const getEarningsOverview = asyncHandler(async (req, res) => {
       prisma.payout.aggregate({
         where: {
           instructorId,
-          status: "PENDING",
+          status: { in: ["PENDING", "PROCESSING", "FAILED"] },
         },
         _sum: { amount: true },
         _count: true,
@@ -112,10 +114,11 @@ const getEarningsOverview = asyncHandler(async (req, res) => {
       }),
     ]);
 
-    const availableBalance =
-      (totalEarnings._sum.commission || 0) -
-      (totalPayouts._sum.amount || 0) -
-      (pendingPayouts._sum.amount || 0);
+    const balances = await earningLedgerService.getBalances(
+      instructorId,
+      currency
+    );
+    const availableBalance = balances.available;
 
     // Check for payout reminders using utility function
     const payoutReminder = await schedulePayoutReminder(
@@ -124,31 +127,56 @@ const getEarningsOverview = asyncHandler(async (req, res) => {
     );
 
     const overviewData = {
+      currency,
       summary: {
-        totalEarnings: formatCurrency(totalEarnings._sum.commission || 0),
+        totalEarnings: formatCurrency(
+          totalEarnings._sum.commission || 0,
+          currency
+        ),
         totalEarningsRaw: totalEarnings._sum.commission || 0,
-        availableBalance: formatCurrency(availableBalance),
+        availableBalance: formatCurrency(availableBalance, currency),
         availableBalanceRaw: availableBalance,
-        currentMonthEarnings: formatCurrency(metrics.current.commission),
+        pendingBalance: formatCurrency(balances.pending, currency),
+        pendingBalanceRaw: balances.pending,
+        heldBalance: formatCurrency(balances.held, currency),
+        heldBalanceRaw: balances.held,
+        outstandingClawbacks: formatCurrency(
+          balances.outstandingClawbacks,
+          currency
+        ),
+        outstandingClawbacksRaw: balances.outstandingClawbacks,
+        currentMonthEarnings: formatCurrency(
+          metrics.current.commission,
+          currency
+        ),
         currentMonthEarningsRaw: metrics.current.commission,
-        lastMonthEarnings: formatCurrency(metrics.previous.commission),
+        lastMonthEarnings: formatCurrency(
+          metrics.previous.commission,
+          currency
+        ),
         lastMonthEarningsRaw: metrics.previous.commission,
-        yearlyEarnings: formatCurrency(yearlyEarnings._sum.commission || 0),
+        yearlyEarnings: formatCurrency(
+          yearlyEarnings._sum.commission || 0,
+          currency
+        ),
         yearlyEarningsRaw: yearlyEarnings._sum.commission || 0,
         monthlyGrowth: Math.round(metrics.growth.earnings * 100) / 100,
         totalTransactions: totalEarnings._count,
       },
       payouts: {
-        pendingAmount: formatCurrency(pendingPayouts._sum.amount || 0),
+        pendingAmount: formatCurrency(
+          pendingPayouts._sum.amount || 0,
+          currency
+        ),
         pendingAmountRaw: pendingPayouts._sum.amount || 0,
         pendingCount: pendingPayouts._count,
-        totalPaidOut: formatCurrency(totalPayouts._sum.amount || 0),
+        totalPaidOut: formatCurrency(totalPayouts._sum.amount || 0, currency),
         totalPaidOutRaw: totalPayouts._sum.amount || 0,
         totalPayouts: totalPayouts._count,
       },
       recentActivity: recentEarnings.map((earning) => ({
         id: earning.id,
-        amount: formatCurrency(earning.commission),
+        amount: formatCurrency(earning.commission, earning.currency),
         amountRaw: earning.commission,
         createdAt: earning.createdAt,
         course: earning.payment.enrollments[0]?.course || null,
@@ -175,7 +203,7 @@ const getEarningsOverview = asyncHandler(async (req, res) => {
           });
           return {
             course: payment?.enrollments[0]?.course || null,
-            earnings: formatCurrency(item._sum.amount),
+            earnings: formatCurrency(item._sum.amount, currency),
             earningsRaw: item._sum.amount,
             transactions: item._count,
           };
@@ -350,45 +378,32 @@ const getEarningsStats = asyncHandler(async (req, res) => {
 
 const requestPayout = asyncHandler(async (req, res) => {
   const instructorId = req.instructorProfile.id;
-  const { amount, currency = "INR" } = req.body;
+  const { amount } = req.body;
+  const currency = String(
+    req.body.currency || req.instructorProfile.payoutCurrency
+  ).toUpperCase();
 
   try {
-    // Use utility function for validation
-    if (!validateMinPayoutAmount(amount, currency)) {
+    if (currency !== req.instructorProfile.payoutCurrency) {
       return res.status(400).json({
         success: false,
-        message: `Minimum payout amount is ${formatCurrency(100, currency)}`,
+        message: `Payouts are made in your payout currency (${req.instructorProfile.payoutCurrency})`,
       });
     }
 
-    const availableBalance = await prisma.earning.aggregate({
-      where: {
-        instructorId,
-        status: "PENDING",
-      },
-      _sum: { commission: true },
-    });
-
-    const pendingPayouts = await prisma.payout.aggregate({
-      where: {
-        instructorId,
-        status: { in: ["PENDING", "PROCESSING"] },
-      },
-      _sum: { amount: true },
-    });
-
-    const completedPayouts = await prisma.payout.aggregate({
-      where: {
-        instructorId,
-        status: "COMPLETED",
-      },
-      _sum: { amount: true },
-    });
+    // Use utility function for validation
+    const minPayout = validateMinPayoutAmount(amount, currency);
+    if (!minPayout.isValid) {
+      return res.status(400).json({
+        success: false,
+        message: minPayout.error,
+      });
+    }
 
-    const totalAvailable =
-      (availableBalance._sum.commission || 0) -
-      (pendingPayouts._sum.amount || 0) -
-      (completedPayouts._sum.amount || 0);
+    // The ledger balance already nets out open payouts, held sales and
+    // refunds clawed back after an earlier payout.
+    const { available: totalAvailable } =
+      await earningLedgerService.getBalances(instructorId, currency);
 
     if (amount > totalAvailable) {
       return res.status(400).json({
@@ -422,57 +437,106 @@ const requestPayout = asyncHandler(async (req, res) => {
       });
     }
 
-    // Generate payout reference using utility function
-    const payoutReference = generatePayoutReference(instructorId, currency);
-
-    const payout = await prisma.payout.create({
-      data: {
-        amount: new Decimal(amount),
+    // Earnings already claimed by an open payout stay PENDING until the
+    // transfer is confirmed, so only unlinked ones can be settled here.
+    const availableEarnings = await prisma.earning.findMany({
+      where: {
+        instructorId,
         currency,
         status: "PENDING",
-        gatewayId: payoutReference,
-        instructorId,
+        payoutId: null,
       },
+      orderBy: { createdAt: "asc" },
+      select: { id: true, commission: true },
     });
 
-    await prisma.earning.updateMany({
-      where: {
-        instructorId,
-        status: "PENDING",
-      },
-      data: {
-        status: "PAID",
-        paidAt: new Date(),
-      },
+    const clawbacks = await earningLedgerService.getOutstandingClawbacks(
+      instructorId,
+      currency
+    );
+
+    // A payout settles whole earnings, oldest first, less any outstanding
+    // clawbacks, so the amount paid out always matches the ledger.
+    const linkedEarningIds = [];
+    let earningsAmount = 0;
+
+    for (const earning of availableEarnings) {
+      const commission = parseFloat(earning.commission);
+      if (
+        earningsAmount + commission - clawbacks.amount >
+        parseFloat(amount) + 0.005
+      ) {
+        break;
+      }
+      linkedEarningIds.push(earning.id);
+      earningsAmount = Math.round((earningsAmount + commission) * 100) / 100;
+    }
+
+    const payoutAmount =
+      Math.round((earningsAmount - clawbacks.amount) * 100) / 100;
+
+    if (!validateMinPayoutAmount(payoutAmount, currency).isValid) {
+      return res.status(400).json({
+        success: false,
+        message: "Requested amount does not cover enough earnings for a payout",
+        data: {
+          requestedAmount: formatCurrency(amount, currency),
+          payableAmount: formatCurrency(payoutAmount, currency),
+          availableBalance: formatCurrency(totalAvailable, currency),
+        },
+      });
+    }
+
+    // Generate payout reference using utility function
+    const payoutReference = generatePayoutReference(instructorId, currency);
+
+    const payout = await prisma.$transaction(async (tx) => {
+      const created = await tx.payout.create({
+        data: {
+          amount: new Decimal(payoutAmount),
+          currency,
+          status: "PENDING",
+          instructorId,
+        },
+      });
+
+      const linked = await tx.earning.updateMany({
+        where: {
+          id: { in: linkedEarningIds },
+          status: "PENDING",
+          payoutId: null,
+        },
+        data: {
+          payoutId: created.id,
+        },
+      });
+
+      if (linked.count !== linkedEarningIds.length) {
+        throw new Error("Earnings changed while requesting payout");
+      }
+
+      await earningLedgerService.claimClawbacks(tx, created.id, clawbacks.ids);
+
+      return created;
     });
 
     await notificationService.createNotification({
-      userId: instructor.user.id,
+      userId: instructor.userId,
       type: "payout_requested",
       title: "Payout Request Submitted",
       message: `Your payout request for ${formatCurrency(
-        amount,
+        payoutAmount,
         currency
       )} has been submitted and is pending approval.`,
       data: {
         payoutId: payout.id,
-        amount,
+        amount: payoutAmount,
         currency,
         status: "PENDING",
         reference: payoutReference,
       },
     });
 
-    await emailService.sendInstructorPayout({
-      email: instructor.user.email,
-      firstName: instructor.user.firstName,
-      amount,
-      currency,
-      payoutId: payout.id,
-      period: "Current",
-      studentCount: 0,
-    });
-
     await redisService.delPattern(`earnings_overview:${instructorId}`);
     await redisService.delPattern(`detailed_earnings:${instructorId}:*`);
     await redisService.delPattern(`payout_history:${instructorId}:*`);
@@ -1673,6 +1737,68 @@ const updatePaymentDetails = asyncHandler(async (req, res) => {
   }
 });
 
+const updatePayoutCurrency = asyncHandler(async (req, res) => {
+  const instructorId = req.instructorProfile.id;
+  const payoutCurrency = currencyService.normalize(req.body.payoutCurrency);
+
+  try {
+    if (
+      !payoutCurrency ||
+      !(await currencyService.isSupported(payoutCurrency))
+    ) {
+      return res.status(400).json({
+        success: false,
+        message: "A supported payout currency is required",
+        supportedCurrencies: await currencyService.getSupportedCurrencies(),
+      });
+    }
+
+    // Earnings are locked in the payout currency when they are recorded, so
+    // the currency can only change once everything owed has been paid out.
+    const [unpaidEarnings, openPayouts] = await Promise.all([
+      prisma.earning.count({ where: { instructorId, status: "PENDING" } }),
+      prisma.payout.count({
+        where: { instructorId, status: { in: ["PENDING", "PROCESSING"] } },
+      }),
+    ]);
+
+    if (
+      payoutCurrency !== req.instructorProfile.payoutCurrency &&
+      (unpaidEarnings > 0 || openPayouts > 0)
+    ) {
+      return res.status(400).json({
+        success: false,
+        message:
+          "Payout currency can only be changed once pending earnings and payouts are settled",
+        data: { unpaidEarnings, openPayouts },
+      });
+    }
+
+    const updatedInstructor = await prisma.instructor.update({
+      where: { id: instructorId },
+      data: { payoutCurrency },
+      select: { payoutCurrency: true },
+    });
+
+    await redisService.delPattern(`earnings_overview:${instructorId}`);
+
+    res.status(200).json({
+      success: true,
+      message: "Payout currency updated successfully",
+      data: {
+        payoutCurrency: updatedInstructor.payoutCurrency,
+      },
+    });
+  } catch (error) {
+    console.error("Update payout currency error:", error);
+    res.status(500).json({
+      success: false,
+      message: "Failed to update payout currency",
+      error: error.message,
+    });
+  }
+});
+
 const getFinancialDashboard = asyncHandler(async (req, res) => {
   const instructorId = req.instructorProfile.id;
   const cacheKey = `financial_dashboard:${instructorId}`;
@@ -1835,5 +1961,6 @@ export {
   getPaymentBreakdown,
   generateFinancialReport,
   updatePaymentDetails,
+  updatePayoutCurrency,
   getFinancialDashboard,
 };
@@ -3,6 +3,7 @@ import asyncHandler from "express-async-handler";
 import redisService from "../../utils/redis.js";
 import emailService from "../../utils/emailService.js";
 import notificationService from "../../utils/notificationservice.js";
+import gamificationService from "../../utils/gamificationService.js";
 
 const prisma = new PrismaClient();
 
@@ -416,6 +417,12 @@ export const answerQuestion = asyncHandler(async (req, res) => {
       },
     });
 
+    gamificationService.trackEvent("ANSWER_RECEIVED", {
+      studentId: question.studentId,
+      courseId: question.course.id,
+      sourceId: answer.id,
+    });
+
     await notificationService.createNotification({
       userId: question.student.user.id,
       type: "QNA_ANSWER",
@@ -1857,6 +1864,12 @@ export const bulkAnswerQuestions = asyncHandler(async (req, res) => {
 
         const question = questions.find((q) => q.id === answerData.questionId);
 
+        gamificationService.trackEvent("ANSWER_RECEIVED", {
+          studentId: question.studentId,
+          courseId: question.course.id,
+          sourceId: answer.id,
+        });
+
         await notificationService.createNotification({
           userId: question.student.user.id,
           type: "QNA_ANSWER",
@@ -3,6 +3,16 @@ import asyncHandler from "express-async-handler";
 import redisService from "../../utils/redis.js";
 import emailService from "../../utils/emailService.js";
 import socketManager from "../../utils/socket-io.js";
+import certificateService from "../../utils/certificateService.js";
+import {
+  validateRubric,
+  scoreRubric,
+  applyLatePenalty,
+  summarizeRubricScores,
+  CRITERION_PASS_RATIO,
+} from "../../helper/rubric.js";
+import { scoreAttempt } from "../../helper/quizGrading.js";
+import questionBankService from "../../utils/questionBankService.js";
 
 const prisma = new PrismaClient();
 
@@ -379,6 +389,7 @@ export const getStudentDetails = asyncHandler(async (req, res) => {
       }),
       prisma.assignmentSubmission.findMany({
         where: {
+          status: { not: "DRAFT" },
           studentId,
           assignment: {
             section: {
@@ -593,11 +604,13 @@ export const getStudentDetails = asyncHandler(async (req, res) => {
 export const gradeAssignment = asyncHandler(async (req, res) => {
   const instructorId = req.instructorProfile.id;
   const { submissionId } = req.params;
-  const { grade, feedback, status = "GRADED" } = req.body;
+  const { feedback, rubricScores, status = "GRADED" } = req.body;
+  let { grade } = req.body;
 
   try {
     const submission = await prisma.assignmentSubmission.findFirst({
       where: {
+        status: { not: "DRAFT" },
         id: submissionId,
         assignment: {
           section: {
@@ -613,6 +626,8 @@ export const gradeAssignment = asyncHandler(async (req, res) => {
             id: true,
             title: true,
             totalPoints: true,
+            latePenalty: true,
+            rubric: true,
             section: {
               select: {
                 course: {
@@ -647,6 +662,27 @@ export const gradeAssignment = asyncHandler(async (req, res) => {
       });
     }
 
+    // With rubric scores the grade is the sum of the criterion scores.
+    let scored = null;
+    if (rubricScores !== undefined) {
+      if (validateRubric(submission.assignment.rubric).length > 0) {
+        return res.status(400).json({
+          success: false,
+          message: "This assignment does not have a valid rubric",
+        });
+      }
+
+      scored = scoreRubric(submission.assignment.rubric, rubricScores);
+      if (scored.errors.length > 0) {
+        return res.status(400).json({
+          success: false,
+          message: "Invalid rubric scores",
+          errors: scored.errors,
+        });
+      }
+      grade = scored.total;
+    }
+
     if (grade && (grade < 0 || grade > submission.assignment.totalPoints)) {
       return res.status(400).json({
         success: false,
@@ -654,10 +690,23 @@ export const gradeAssignment = asyncHandler(async (req, res) => {
       });
     }
 
+    const rawGrade = grade;
+    const { grade: penalizedGrade, penalty: latePenalty } = applyLatePenalty(
+      grade,
+      {
+        isLate: submission.isLate,
+        latePenalty: submission.assignment.latePenalty,
+      }
+    );
+    grade = penalizedGrade;
+    const hasGrade = scored ? true : !!grade;
+
+    // The student can reopen a resubmission as a draft while it's being graded.
     const updatedSubmission = await prisma.assignmentSubmission.update({
-      where: { id: submissionId },
+      where: { id: submissionId, status: { not: "DRAFT" } },
       data: {
-        grade: grade || submission.grade,
+        grade: scored ? grade : grade || submission.grade,
+        ...(scored && { rubricScores: scored.scores }),
         feedback: feedback || submission.feedback,
         status,
         gradedAt: new Date(),
@@ -684,12 +733,12 @@ export const gradeAssignment = asyncHandler(async (req, res) => {
       },
     });
 
-    const percentage = grade
+    const percentage = hasGrade
       ? (grade / submission.assignment.totalPoints) * 100
       : null;
-    const passed = percentage ? percentage >= 70 : null;
+    const passed = percentage !== null ? percentage >= 70 : null;
 
-    if (socketManager && grade) {
+    if (socketManager && hasGrade) {
       socketManager.sendToUser(
         submission.student.user.id,
         "assignment_graded",
@@ -701,13 +750,14 @@ export const gradeAssignment = asyncHandler(async (req, res) => {
           percentage: percentage?.toFixed(1),
           passed,
           feedback,
+          rubricScores: scored?.scores,
           gradedAt: updatedSubmission.gradedAt,
           instructorName: `${req.userProfile.user?.firstName} ${req.userProfile.user?.lastName}`,
         }
       );
     }
 
-    if (grade && emailService) {
+    if (hasGrade && emailService) {
       await emailService.sendAssignmentGraded({
         email: submission.student.user.email,
         firstName: submission.student.user.firstName,
@@ -723,6 +773,7 @@ export const gradeAssignment = asyncHandler(async (req, res) => {
     await redisService.delPattern(
       `instructor:${instructorId}:student:${submission.student.id}:*`
     );
+    await redisService.delPattern(`instructor:${instructorId}:performance:*`);
 
     res.status(200).json({
       success: true,
@@ -734,10 +785,22 @@ export const gradeAssignment = asyncHandler(async (req, res) => {
         status: updatedSubmission.status,
         percentage: percentage?.toFixed(1),
         passed,
+        rubricScores: updatedSubmission.rubricScores,
+        isLate: submission.isLate,
+        rawGrade,
+        latePenaltyApplied: latePenalty,
         gradedAt: updatedSubmission.gradedAt,
       },
     });
   } catch (error) {
+    if (error.code === "P2025") {
+      return res.status(409).json({
+        success: false,
+        message: "The student is editing this submission as a draft",
+        code: "SUBMISSION_IS_DRAFT",
+      });
+    }
+
     console.error("Grade assignment error:", error);
     res.status(500).json({
       success: false,
@@ -767,17 +830,14 @@ export const gradeQuiz = asyncHandler(async (req, res) => {
       include: {
         quiz: {
           include: {
-            questions: {
-              include: {
-                answers: {
-                  where: {
-                    attemptId,
-                  },
-                },
+            section: {
+              select: {
+                courseId: true,
               },
             },
           },
         },
+        answers: true,
         student: {
           include: {
             user: {
@@ -807,68 +867,134 @@ export const gradeQuiz = asyncHandler(async (req, res) => {
       });
     }
 
-    let totalScore = 0;
-    let maxScore = 0;
+    const questions = await questionBankService.getAttemptQuestions(attempt);
+    const answersByQuestion = new Map(
+      attempt.answers.map((answer) => [answer.questionId, answer])
+    );
 
-    for (const question of attempt.quiz.questions) {
-      maxScore += question.points;
-      const studentAnswer = question.answers[0];
+    const maxScore = questions.reduce(
+      (sum, question) => sum + question.points,
+      0
+    );
+    const grades = answers || {};
+
+    // Answers flagged for review (essays and keyless short answers) must all
+    // be scored unless the instructor overrides the whole attempt.
+    const missingGrades = questions
+      .filter(
+        (question) =>
+          answersByQuestion.get(question.id)?.needsReview &&
+          grades[question.id] === undefined
+      )
+      .map((question) => question.id);
 
-      if (studentAnswer) {
-        if (answers && answers[question.id]) {
-          const instructorGrade = answers[question.id];
-          await prisma.answer.update({
-            where: { id: studentAnswer.id },
-            data: {
-              points: instructorGrade.points,
-              feedback: instructorGrade.feedback,
-              isCorrect: instructorGrade.points > 0,
-            },
-          });
-          totalScore += instructorGrade.points;
-        } else if (
-          question.type === "MULTIPLE_CHOICE" ||
-          question.type === "SINGLE_CHOICE" ||
-          question.type === "TRUE_FALSE"
-        ) {
-          const correctAnswer = JSON.parse(question.correctAnswer || "{}");
-          const studentAnswerContent = JSON.parse(
-            studentAnswer.content || "{}"
-          );
-
-          const isCorrect =
-            JSON.stringify(correctAnswer) ===
-            JSON.stringify(studentAnswerContent);
-          const points = isCorrect ? question.points : 0;
-
-          await prisma.answer.update({
+    if (missingGrades.length > 0 && overrideGrade === undefined) {
+      return res.status(400).json({
+        success: false,
+        message: "Every answer awaiting review must be graded",
+        missingGrades,
+      });
+    }
+
+    for (const question of questions) {
+      const grade = grades[question.id];
+      if (grade === undefined) continue;
+
+      const points = Number(grade.points);
+      if (!Number.isFinite(points) || points < 0 || points > question.points) {
+        return res.status(400).json({
+          success: false,
+          message: `Points for question ${question.id} must be between 0 and ${question.points}`,
+        });
+      }
+    }
+
+    if (
+      overrideGrade !== undefined &&
+      (!Number.isFinite(Number(overrideGrade)) ||
+        overrideGrade < 0 ||
+        overrideGrade > maxScore)
+    ) {
+      return res.status(400).json({
+        success: false,
+        message: `Override grade must be between 0 and ${maxScore}`,
+      });
+    }
+
+    const answerUpdates = [];
+    const gradedAnswers = [];
+
+    for (const question of questions) {
+      const studentAnswer = answersByQuestion.get(question.id);
+      if (!studentAnswer) continue;
+
+      const grade = grades[question.id];
+      if (grade !== undefined) {
+        const points = Number(grade.points);
+        answerUpdates.push(
+          prisma.answer.update({
             where: { id: studentAnswer.id },
             data: {
               points,
-              isCorrect,
+              feedback: grade.feedback,
+              isCorrect: points === question.points,
+              needsReview: false,
             },
-          });
-          totalScore += points;
-        }
+          })
+        );
+        gradedAnswers.push({ ...studentAnswer, points, needsReview: false });
+      } else if (studentAnswer.needsReview) {
+        // Only reachable with overrideGrade; the answer leaves the queue
+        // without a score of its own.
+        answerUpdates.push(
+          prisma.answer.update({
+            where: { id: studentAnswer.id },
+            data: { needsReview: false },
+          })
+        );
+        gradedAnswers.push({ ...studentAnswer, points: 0, needsReview: false });
+      } else {
+        gradedAnswers.push(studentAnswer);
       }
     }
 
-    const finalScore = overrideGrade !== undefined ? overrideGrade : totalScore;
-    const percentage = (finalScore / maxScore) * 100;
-    const isPassed = percentage >= attempt.quiz.passingScore;
+    const scored = scoreAttempt(
+      gradedAnswers,
+      questions,
+      attempt.quiz.passingScore
+    );
+    const finalScore =
+      overrideGrade !== undefined ? Number(overrideGrade) : scored.earnedPoints;
+    const percentage = maxScore > 0 ? (finalScore / maxScore) * 100 : 0;
+    const isPassed = finalScore >= scored.passingPoints;
+
+    const [updatedAttempt] = await prisma.$transaction([
+      prisma.quizAttempt.update({
+        where: { id: attemptId },
+        data: {
+          score: finalScore,
+          percentage,
+          isPassed,
+          status: "GRADED",
+          gradedAt: new Date(),
+          gradedBy: req.userAuthId,
+          feedback,
+        },
+      }),
+      ...answerUpdates,
+    ]);
 
-    const updatedAttempt = await prisma.quizAttempt.update({
-      where: { id: attemptId },
-      data: {
-        score: finalScore,
-        percentage,
-        isPassed,
-        status: "GRADED",
-        gradedAt: new Date(),
-        gradedBy: req.userAuthId,
-        feedback,
-      },
-    });
+    if (isPassed) {
+      await prisma.enrollment.updateMany({
+        where: {
+          studentId: attempt.studentId,
+          courseId: attempt.quiz.section.courseId,
+        },
+        data: {
+          quizzesCompleted: { increment: 1 },
+        },
+      });
+    }
 
     if (socketManager) {
       socketManager.sendToUser(attempt.student.user.id, "quiz_graded", {
@@ -887,6 +1013,8 @@ export const gradeQuiz = asyncHandler(async (req, res) => {
     await redisService.delPattern(
       `instructor:${instructorId}:student:${attempt.student.id}:*`
     );
+    await redisService.delPattern(`instructor:${instructorId}:performance:*`);
+    await redisService.delPattern(`instructor:${instructorId}:pending:*`);
 
     res.status(200).json({
       success: true,
@@ -931,6 +1059,7 @@ export const bulkGradeAssignments = asyncHandler(async (req, res) => {
 
     const submissions = await prisma.assignmentSubmission.findMany({
       where: {
+        status: { not: "DRAFT" },
         id: { in: submissionIds },
         assignment: {
           section: {
@@ -945,6 +1074,8 @@ export const bulkGradeAssignments = asyncHandler(async (req, res) => {
           select: {
             title: true,
             totalPoints: true,
+            latePenalty: true,
+            rubric: true,
             section: {
               select: {
                 course: {
@@ -988,10 +1119,36 @@ export const bulkGradeAssignments = asyncHandler(async (req, res) => {
 
       if (!submission) continue;
 
+      let rawGrade = assignment.grade;
+      let scored = null;
+      if (assignment.rubricScores !== undefined) {
+        if (validateRubric(submission.assignment.rubric).length > 0) {
+          results.push({
+            submissionId: assignment.submissionId,
+            success: false,
+            error: "This assignment does not have a valid rubric",
+          });
+          continue;
+        }
+
+        scored = scoreRubric(
+          submission.assignment.rubric,
+          assignment.rubricScores
+        );
+        if (scored.errors.length > 0) {
+          results.push({
+            submissionId: assignment.submissionId,
+            success: false,
+            error: scored.errors.join("; "),
+          });
+          continue;
+        }
+        rawGrade = scored.total;
+      }
+
       if (
-        assignment.grade &&
-        (assignment.grade < 0 ||
-          assignment.grade > submission.assignment.totalPoints)
+        rawGrade &&
+        (rawGrade < 0 || rawGrade > submission.assignment.totalPoints)
       ) {
         results.push({
           submissionId: assignment.submissionId,
@@ -1001,11 +1158,18 @@ export const bulkGradeAssignments = asyncHandler(async (req, res) => {
         continue;
       }
 
+      const { grade, penalty } = applyLatePenalty(rawGrade, {
+        isLate: submission.isLate,
+        latePenalty: submission.assignment.latePenalty,
+      });
+      const hasGrade = scored ? true : !!grade;
+
       try {
         const updatedSubmission = await prisma.assignmentSubmission.update({
-          where: { id: assignment.submissionId },
+          where: { id: assignment.submissionId, status: { not: "DRAFT" } },
           data: {
-            grade: assignment.grade,
+            grade,
+            ...(scored && { rubricScores: scored.scores }),
             feedback: assignment.feedback,
             status: "GRADED",
             gradedAt: new Date(),
@@ -1013,30 +1177,33 @@ export const bulkGradeAssignments = asyncHandler(async (req, res) => {
           },
         });
 
-        const percentage = assignment.grade
-          ? (assignment.grade / submission.assignment.totalPoints) * 100
+        const percentage = hasGrade
+          ? (grade / submission.assignment.totalPoints) * 100
           : null;
 
         results.push({
           submissionId: assignment.submissionId,
           success: true,
-          grade: assignment.grade,
+          grade,
+          rawGrade,
+          latePenaltyApplied: penalty,
           percentage: percentage?.toFixed(1),
-          passed: percentage ? percentage >= 70 : null,
+          passed: percentage !== null ? percentage >= 70 : null,
         });
 
-        if (assignment.grade) {
+        if (hasGrade) {
           notifications.push({
             studentId: submission.student.user.id,
             studentEmail: submission.student.user.email,
             studentName: `${submission.student.user.firstName} ${submission.student.user.lastName}`,
             assignmentTitle: submission.assignment.title,
             courseTitle: submission.assignment.section.course.title,
-            grade: assignment.grade,
+            grade,
             totalPoints: submission.assignment.totalPoints,
             percentage: percentage?.toFixed(1),
-            passed: percentage ? percentage >= 70 : null,
+            passed: percentage !== null ? percentage >= 70 : null,
             feedback: assignment.feedback,
+            rubricScores: scored?.scores,
           });
         }
       } catch (error) {
@@ -1057,6 +1224,7 @@ export const bulkGradeAssignments = asyncHandler(async (req, res) => {
           percentage: notification.percentage,
           passed: notification.passed,
           feedback: notification.feedback,
+          rubricScores: notification.rubricScores,
           gradedAt: new Date(),
           instructorName: `${req.userProfile.user?.firstName} ${req.userProfile.user?.lastName}`,
         });
@@ -1080,6 +1248,7 @@ export const bulkGradeAssignments = asyncHandler(async (req, res) => {
     }
 
     await redisService.delPattern(`instructor:${instructorId}:students:*`);
+    await redisService.delPattern(`instructor:${instructorId}:performance:*`);
 
     res.status(200).json({
       success: true,
@@ -1186,6 +1355,9 @@ export const getPendingGrading = asyncHandler(async (req, res) => {
       pendingQuizzes = await prisma.quizAttempt.findMany({
         where: {
           status: "SUBMITTED",
+          answers: {
+            some: { needsReview: true },
+          },
           quiz: {
             section: {
               course: courseWhere,
@@ -1205,15 +1377,12 @@ export const getPendingGrading = asyncHandler(async (req, res) => {
                   },
                 },
               },
-              questions: {
-                where: {
-                  type: {
-                    in: ["SHORT_ANSWER", "ESSAY"],
-                  },
-                },
-              },
             },
           },
+          answers: {
+            where: { needsReview: true },
+            select: { id: true, questionId: true },
+          },
           student: {
             include: {
               user: {
@@ -1248,27 +1417,24 @@ export const getPendingGrading = asyncHandler(async (req, res) => {
         attempts: submission.attempts,
         priority: submission.isLate ? "high" : "normal",
       })),
-      quizzes: pendingQuizzes
-        .filter((attempt) => attempt.quiz.questions.length > 0)
-        .map((attempt) => ({
-          id: attempt.id,
-          type: "quiz",
-          title: attempt.quiz.title,
-          studentName: `${attempt.student.user.firstName} ${attempt.student.user.lastName}`,
-          studentImage: attempt.student.user.profileImage,
-          courseName: attempt.quiz.section.course.title,
-          sectionName: attempt.quiz.section.title,
-          submittedAt: attempt.submittedAt,
-          startedAt: attempt.startedAt,
-          timeSpent: attempt.timeSpent,
-          manualQuestions: attempt.quiz.questions.length,
-          priority: "normal",
-        })),
+      quizzes: pendingQuizzes.map((attempt) => ({
+        id: attempt.id,
+        type: "quiz",
+        title: attempt.quiz.title,
+        studentName: `${attempt.student.user.firstName} ${attempt.student.user.lastName}`,
+        studentImage: attempt.student.user.profileImage,
+        courseName: attempt.quiz.section.course.title,
+        sectionName: attempt.quiz.section.title,
+        submittedAt: attempt.submittedAt,
+        startedAt: attempt.startedAt,
+        timeSpent: attempt.timeSpent,
+        manualQuestions: attempt.answers.length,
+        reviewQuestionIds: attempt.answers.map((answer) => answer.questionId),
+        priority: "normal",
+      })),
       summary: {
         totalPendingAssignments: pendingAssignments.length,
-        totalPendingQuizzes: pendingQuizzes.filter(
-          (attempt) => attempt.quiz.questions.length > 0
-        ).length,
+        totalPendingQuizzes: pendingQuizzes.length,
         urgentItems: pendingAssignments.filter((sub) => sub.isLate).length,
       },
     };
@@ -2453,9 +2619,21 @@ export const updateStudentStatus = asyncHandler(async (req, res) => {
 export const issueCertificate = asyncHandler(async (req, res) => {
   const instructorId = req.instructorProfile.id;
   const { studentId, courseId } = req.params;
-  const { certificateUrl, templateId } = req.body;
+  const { templateId } = req.body;
 
   try {
+    if (
+      templateId &&
+      !certificateService.getAvailableTemplates().includes(templateId)
+    ) {
+      return res.status(400).json({
+        success: false,
+        message: `Invalid certificate template. Available templates: ${certificateService
+          .getAvailableTemplates()
+          .join(", ")}`,
+      });
+    }
+
     const enrollment = await prisma.enrollment.findFirst({
       where: {
         studentId,
@@ -2469,20 +2647,14 @@ export const issueCertificate = asyncHandler(async (req, res) => {
         status: "COMPLETED",
       },
       include: {
-        student: {
-          include: {
-            user: {
-              select: {
-                firstName: true,
-                lastName: true,
-                email: true,
-              },
-            },
-          },
-        },
         course: {
           select: {
             title: true,
+            courseSettings: {
+              select: {
+                certificateEnabled: true,
+              },
+            },
           },
         },
         certificate: true,
@@ -2507,41 +2679,38 @@ export const issueCertificate = asyncHandler(async (req, res) => {
       });
     }
 
-    const certificateId = `CERT-${courseId.slice(0, 8)}-${studentId.slice(
-      0,
-      8
-    )}-${Date.now()}`;
+    if (enrollment.course.courseSettings?.certificateEnabled === false) {
+      return res.status(400).json({
+        success: false,
+        message: "Certificates are disabled for this course",
+      });
+    }
 
-    const certificate = await prisma.certificate.create({
-      data: {
-        certificateId,
-        url:
-          certificateUrl ||
-          `${process.env.FRONTEND_URL}/certificates/${certificateId}`,
-        templateId,
+    const { certificate, enrollment: certifiedEnrollment } =
+      await certificateService.issueCertificate({
         enrollmentId: enrollment.id,
-        studentId,
-        courseId,
-      },
-    });
+        templateId: templateId || null,
+      });
+
+    const student = certifiedEnrollment.student.user;
+    const verificationUrl = certificateService.getVerificationUrl(
+      certificate.certificateId
+    );
 
     if (socketManager) {
-      socketManager.sendToUser(
-        enrollment.student.user.id,
-        "certificate_issued",
-        {
-          courseName: enrollment.course.title,
-          certificateId: certificate.certificateId,
-          downloadUrl: certificate.url,
-          issuedAt: certificate.issueDate,
-        }
-      );
+      socketManager.sendToUser(student.id, "certificate_issued", {
+        courseName: enrollment.course.title,
+        certificateId: certificate.certificateId,
+        downloadUrl: certificate.url,
+        verificationUrl,
+        issuedAt: certificate.issueDate,
+      });
     }
 
     if (emailService) {
       await emailService.sendCertificateIssued({
-        email: enrollment.student.user.email,
-        firstName: enrollment.student.user.firstName,
+        email: student.email,
+        firstName: student.firstName,
         courseName: enrollment.course.title,
         certificateUrl: certificate.url,
         completionDate: certificate.issueDate,
@@ -2558,7 +2727,8 @@ export const issueCertificate = asyncHandler(async (req, res) => {
       data: {
         certificateId: certificate.certificateId,
         certificateUrl: certificate.url,
-        studentName: `${enrollment.student.user.firstName} ${enrollment.student.user.lastName}`,
+        verificationUrl,
+        studentName: `${student.firstName} ${student.lastName}`,
         courseName: enrollment.course.title,
         issuedAt: certificate.issueDate,
       },
@@ -2573,6 +2743,77 @@ export const issueCertificate = asyncHandler(async (req, res) => {
   }
 });
 
+export const revokeCertificate = asyncHandler(async (req, res) => {
+  const instructorId = req.instructorProfile.id;
+  const { studentId, courseId } = req.params;
+  const { reason } = req.body;
+
+  try {
+    if (!reason || reason.trim().length < 5) {
+      return res.status(400).json({
+        success: false,
+        message: "A revocation reason of at least 5 characters is required",
+      });
+    }
+
+    const certificate = await prisma.certificate.findFirst({
+      where: {
+        studentId,
+        courseId,
+        course: {
+          instructorId,
+        },
+      },
+    });
+
+    if (!certificate) {
+      return res.status(404).json({
+        success: false,
+        message: "Certificate not found",
+      });
+    }
+
+    if (certificate.isRevoked) {
+      return res.status(400).json({
+        success: false,
+        message: "Certificate has already been revoked",
+        data: {
+          certificateId: certificate.certificateId,
+          revokedAt: certificate.revokedAt,
+        },
+      });
+    }
+
+    const revoked = await certificateService.revokeCertificate(
+      certificate.certificateId,
+      reason.trim()
+    );
+
+    await redisService.del(`certificate_verify:${certificate.certificateId}`);
+    await redisService.delPattern(
+      `instructor:${instructorId}:student:${studentId}:*`
+    );
+
+    res.status(200).json({
+      success: true,
+      message: "Certificate revoked successfully",
+      data: {
+        certificateId: revoked.certificateId,
+        isRevoked: revoked.isRevoked,
+        revokedAt: revoked.revokedAt,
+        revocationReason: revoked.revocationReason,
+      },
+    });
+  } catch (error) {
+    console.error("Revoke certificate error:", error);
+    res.status(500).json({
+      success: false,
+      message: "Failed to revoke certificate",
+      error: process.env.NODE_ENV === "development" ? error.message : undefined,
+    });
+  }
+});
+
 export const exportStudentData = asyncHandler(async (req, res) => {
   const instructorId = req.instructorProfile.id;
   const { courseId, format = "csv", includeDetails = false } = req.query;
@@ -2878,6 +3119,7 @@ export const getStudentEngagement = asyncHandler(async (req, res) => {
       }),
       prisma.assignmentSubmission.findMany({
         where: {
+          status: { not: "DRAFT" },
           assignment: {
             section: {
               course: baseWhere,
@@ -3128,6 +3370,7 @@ export const getStudentPerformance = asyncHandler(async (req, res) => {
       assignmentSubmissions,
       strengths,
       improvements,
+      courseGradedSubmissions,
     ] = await Promise.all([
       prisma.lessonCompletion.findMany({
         where: {
@@ -3254,8 +3497,60 @@ export const getStudentPerformance = asyncHandler(async (req, res) => {
         ORDER BY avg_score ASC
         LIMIT 5
       `,
+
+      prisma.assignmentSubmission.findMany({
+        where: {
+          assignment: {
+            section: {
+              courseId,
+            },
+          },
+          status: "GRADED",
+        },
+        select: {
+          assignmentId: true,
+          rubricScores: true,
+          assignment: {
+            select: {
+              title: true,
+            },
+          },
+        },
+      }),
     ]);
 
+    const toRubricItems = (submissions) =>
+      submissions
+        .filter((submission) => Array.isArray(submission.rubricScores))
+        .map((submission) => ({
+          assignmentId: submission.assignmentId,
+          assignmentTitle: submission.assignment.title,
+          rubricScores: submission.rubricScores,
+        }));
+
+    const studentRubricItems = toRubricItems(assignmentSubmissions);
+    const courseCriteria = summarizeRubricScores(
+      toRubricItems(courseGradedSubmissions)
+    );
+    const studentCriteria = summarizeRubricScores(studentRubricItems).map(
+      (criterion) => {
+        const courseCriterion = courseCriteria.find(
+          (item) =>
+            item.assignmentId === criterion.assignmentId &&
+            item.criterionId === criterion.criterionId
+        );
+
+        return {
+          ...criterion,
+          courseAveragePercentage: courseCriterion?.averagePercentage ?? null,
+          courseFailRate: courseCriterion?.failRate ?? null,
+        };
+      }
+    );
+    const weakCriteria = studentCriteria
+      .filter((criterion) => criterion.failed > 0)
+      .slice(0, 5);
+
     const totalQuizScore = quizAttempts.reduce(
       (acc, curr) => acc + (curr.percentage || 0),
       0
@@ -3356,7 +3651,8 @@ export const getStudentPerformance = asyncHandler(async (req, res) => {
       quizScore,
       assignmentScore,
       progress,
-      improvements
+      improvements,
+      weakCriteria
     ) {
       const recommendations = [];
 
@@ -3400,6 +3696,19 @@ export const getStudentPerformance = asyncHandler(async (req, res) => {
         });
       }
 
+      if (weakCriteria.length > 0) {
+        const weakestCriterion = weakCriteria[0];
+        recommendations.push({
+          type: "rubric_criterion",
+          priority: "medium",
+          message: `Student scores below ${CRITERION_PASS_RATIO * 100}% on "${
+            weakestCriterion.title
+          }" in ${weakestCriterion.assignmentTitle}.`,
+          action:
+            "Walk through the rubric feedback for this criterion and share an example that meets it",
+        });
+      }
+
       if (progress > 75 && quizScore > 85) {
         recommendations.push({
           type: "excellence",
@@ -3451,6 +3760,15 @@ export const getStudentPerformance = asyncHandler(async (req, res) => {
         averageScore: Number(i.avg_score).toFixed(1),
         attempts: Number(i.attempts),
       })),
+      rubricPerformance: {
+        assignmentsGradedWithRubric: studentRubricItems.length,
+        passThreshold: CRITERION_PASS_RATIO * 100,
+        criteria: studentCriteria,
+        weakestCriteria: weakCriteria,
+        mostFailedCriteriaInCourse: courseCriteria
+          .filter((criterion) => criterion.failed > 0)
+          .slice(0, 5),
+      },
       learningPatterns: {
         preferredStudyHours: Object.entries(studyHours)
           .sort(([, a], [, b]) => b - a)
@@ -3476,7 +3794,8 @@ export const getStudentPerformance = asyncHandler(async (req, res) => {
         averageQuizScore,
         averageAssignmentScore,
         enrollment.progress,
-        improvements
+        improvements,
+        weakCriteria
       ),
       generatedAt: new Date().toISOString(),
     };
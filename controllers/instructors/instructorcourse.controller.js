@@ -1,9 +1,11 @@
-import { PrismaClient } from "@prisma/client";
+import { PrismaClient, Prisma } from "@prisma/client";
 import redisService from "../../utils/redis.js";
 import emailService from "../../utils/emailService.js";
 import notificationService from "../../utils/notificationservice.js";
 import asyncHandler from "express-async-handler";
 import { deleteFromCloudinary } from "../../config/upload.js";
+import { validateDripSchedule } from "../../helper/dripSchedule.js";
+import currencyService from "../../utils/currencyService.js";
 
 const prisma = new PrismaClient();
 
@@ -2772,6 +2774,400 @@ const getInstructorDashboard = asyncHandler(async (req, res) => {
   }
 });
 
+const updateDripSchedule = asyncHandler(async (req, res) => {
+  const requestId = generateRequestId();
+  const startTime = performance.now();
+
+  try {
+    const { courseId } = req.params;
+    const { drip, dripSchedule } = req.body;
+
+    if (typeof drip !== "boolean") {
+      return res.status(400).json({
+        success: false,
+        message: "drip must be a boolean",
+        code: "INVALID_DRIP_FLAG",
+      });
+    }
+
+    const instructor = await prisma.instructor.findUnique({
+      where: { userId: req.userAuthId },
+      select: { id: true },
+    });
+
+    const course = await prisma.course.findFirst({
+      where: {
+        id: courseId,
+        instructorId: instructor?.id,
+      },
+      select: {
+        id: true,
+        title: true,
+        sections: {
+          select: {
+            id: true,
+            lessons: { select: { id: true } },
+          },
+        },
+      },
+    });
+
+    if (!course) {
+      return res.status(404).json({
+        success: false,
+        message: "Course not found or you don't have permission to update it",
+        code: "COURSE_NOT_FOUND",
+      });
+    }
+
+    let parsedSchedule = dripSchedule ?? null;
+    if (typeof parsedSchedule === "string") {
+      try {
+        parsedSchedule = JSON.parse(parsedSchedule);
+      } catch (error) {
+        return res.status(400).json({
+          success: false,
+          message: "Drip schedule must be valid JSON",
+          code: "INVALID_DRIP_SCHEDULE",
+        });
+      }
+    }
+
+    if (drip && !parsedSchedule) {
+      return res.status(400).json({
+        success: false,
+        message: "A drip schedule is required when drip is enabled",
+        code: "INVALID_DRIP_SCHEDULE",
+      });
+    }
+
+    if (parsedSchedule) {
+      const errors = validateDripSchedule(
+        parsedSchedule,
+        course.sections.map((section) => section.id),
+        course.sections.flatMap((section) =>
+          section.lessons.map((lesson) => lesson.id)
+        )
+      );
+
+      if (errors.length > 0) {
+        return res.status(400).json({
+          success: false,
+          message: "Invalid drip schedule",
+          code: "INVALID_DRIP_SCHEDULE",
+          errors,
+        });
+      }
+
+      parsedSchedule = {
+        sections: parsedSchedule.sections || {},
+        lessons: parsedSchedule.lessons || {},
+      };
+    }
+
+    const settings = await prisma.courseSettings.upsert({
+      where: { courseId },
+      update: {
+        drip,
+        dripSchedule: parsedSchedule ?? Prisma.DbNull,
+      },
+      create: {
+        courseId,
+        drip,
+        dripSchedule: parsedSchedule ?? Prisma.DbNull,
+      },
+      select: {
+        drip: true,
+        dripSchedule: true,
+        updatedAt: true,
+      },
+    });
+
+    await Promise.all([
+      redisService.delPattern(`course:${courseId}*`),
+      redisService.delPattern(`course_content:*courseId=${courseId}*`),
+    ]);
+
+    const executionTime = performance.now() - startTime;
+
+    res.status(200).json({
+      success: true,
+      message: drip
+        ? "Drip schedule updated successfully"
+        : "Drip release disabled for this course",
+      data: {
+        courseId,
+        drip: settings.drip,
+        dripSchedule: settings.dripSchedule,
+        updatedAt: settings.updatedAt,
+      },
+      meta: {
+        requestId,
+        executionTime: Math.round(executionTime),
+        timestamp: new Date().toISOString(),
+      },
+    });
+  } catch (error) {
+    console.error(`UPDATE_DRIP_SCHEDULE_ERROR [${requestId}]:`, {
+      error: error.message,
+      stack: error.stack,
+      userId: req.userAuthId,
+      courseId: req.params.courseId,
+    });
+
+    const executionTime = performance.now() - startTime;
+
+    res.status(500).json({
+      success: false,
+      message: "Failed to update drip schedule",
+      code: "INTERNAL_SERVER_ERROR",
+      meta: {
+        requestId,
+        executionTime: Math.round(executionTime),
+        timestamp: new Date().toISOString(),
+      },
+    });
+  }
+});
+
+const validateCoursePrices = async (prices) => {
+  const errors = [];
+  const seen = new Set();
+
+  if (!Array.isArray(prices)) {
+    return ["prices must be an array"];
+  }
+
+  for (const [index, tier] of prices.entries()) {
+    const currency = currencyService.normalize(tier?.currency);
+    const price = parseFloat(tier?.price);
+    const discountPrice =
+      tier?.discountPrice !== undefined && tier?.discountPrice !== null
+        ? parseFloat(tier.discountPrice)
+        : null;
+
+    if (!currency) {
+      errors.push(`prices[${index}].currency is required`);
+      continue;
+    }
+
+    if (currency === currencyService.getBaseCurrency()) {
+      errors.push(
+        `prices[${index}]: ${currency} is the base currency; update the course price instead`
+      );
+    } else if (!(await currencyService.isSupported(currency))) {
+      errors.push(`prices[${index}]: ${currency} is not a supported currency`);
+    }
+
+    if (seen.has(currency)) {
+      errors.push(`prices[${index}]: duplicate currency ${currency}`);
+    }
+    seen.add(currency);
+
+    if (isNaN(price) || price < 0) {
+      errors.push(`prices[${index}].price must be a non-negative number`);
+    }
+
+    if (
+      discountPrice !== null &&
+      (isNaN(discountPrice) || discountPrice < 0 || discountPrice >= price)
+    ) {
+      errors.push(
+        `prices[${index}].discountPrice must be a non-negative number below price`
+      );
+    }
+  }
+
+  return errors;
+};
+
+const getCoursePrices = asyncHandler(async (req, res) => {
+  const requestId = generateRequestId();
+  const startTime = performance.now();
+
+  try {
+    const { courseId } = req.params;
+
+    const course = await prisma.course.findFirst({
+      where: {
+        id: courseId,
+        instructor: { userId: req.userAuthId },
+      },
+      select: {
+        id: true,
+        price: true,
+        discountPrice: true,
+        prices: { orderBy: { currency: "asc" } },
+      },
+    });
+
+    if (!course) {
+      return res.status(404).json({
+        success: false,
+        message: "Course not found or you don't have permission to view it",
+        code: "COURSE_NOT_FOUND",
+      });
+    }
+
+    const currencies = await currencyService.getSupportedCurrencies();
+    const converted = await Promise.all(
+      currencies.map((currency) =>
+        currencyService.priceCourses([course], currency)
+      )
+    );
+
+    const executionTime = performance.now() - startTime;
+
+    res.status(200).json({
+      success: true,
+      message: "Course prices retrieved successfully",
+      data: {
+        courseId,
+        baseCurrency: currencyService.getBaseCurrency(),
+        basePrice: parseFloat(course.price),
+        baseDiscountPrice: course.discountPrice
+          ? parseFloat(course.discountPrice)
+          : null,
+        tiers: course.prices,
+        effectivePrices: converted.map(([pricing]) => pricing),
+      },
+      meta: {
+        requestId,
+        executionTime: Math.round(executionTime),
+        timestamp: new Date().toISOString(),
+      },
+    });
+  } catch (error) {
+    console.error(`GET_COURSE_PRICES_ERROR [${requestId}]:`, {
+      error: error.message,
+      stack: error.stack,
+      userId: req.userAuthId,
+      courseId: req.params.courseId,
+    });
+
+    const executionTime = performance.now() - startTime;
+
+    res.status(500).json({
+      success: false,
+      message: "Failed to retrieve course prices",
+      code: "INTERNAL_SERVER_ERROR",
+      meta: {
+        requestId,
+        executionTime: Math.round(executionTime),
+        timestamp: new Date().toISOString(),
+      },
+    });
+  }
+});
+
+// Replaces the course's per-currency price tiers. Currencies left out fall
+// back to the admin FX table.
+const updateCoursePrices = asyncHandler(async (req, res) => {
+  const requestId = generateRequestId();
+  const startTime = performance.now();
+
+  try {
+    const { courseId } = req.params;
+    const { prices } = req.body;
+
+    const course = await prisma.course.findFirst({
+      where: {
+        id: courseId,
+        instructor: { userId: req.userAuthId },
+      },
+      select: { id: true },
+    });
+
+    if (!course) {
+      return res.status(404).json({
+        success: false,
+        message: "Course not found or you don't have permission to update it",
+        code: "COURSE_NOT_FOUND",
+      });
+    }
+
+    const errors = await validateCoursePrices(prices);
+    if (errors.length > 0) {
+      return res.status(400).json({
+        success: false,
+        message: "Invalid course prices",
+        code: "INVALID_COURSE_PRICES",
+        errors,
+      });
+    }
+
+    const tiers = prices.map((tier) => ({
+      currency: currencyService.normalize(tier.currency),
+      price: parseFloat(tier.price),
+      discountPrice:
+        tier.discountPrice !== undefined && tier.discountPrice !== null
+          ? parseFloat(tier.discountPrice)
+          : null,
+      isActive: tier.isActive !== false,
+    }));
+
+    const updatedPrices = await prisma.$transaction(async (tx) => {
+      await tx.coursePrice.deleteMany({
+        where: {
+          courseId,
+          currency: { notIn: tiers.map((tier) => tier.currency) },
+        },
+      });
+
+      for (const tier of tiers) {
+        await tx.coursePrice.upsert({
+          where: {
+            courseId_currency: { courseId, currency: tier.currency },
+          },
+          update: tier,
+          create: { ...tier, courseId },
+        });
+      }
+
+      return tx.coursePrice.findMany({
+        where: { courseId },
+        orderBy: { currency: "asc" },
+      });
+    });
+
+    const executionTime = performance.now() - startTime;
+
+    res.status(200).json({
+      success: true,
+      message: "Course prices updated successfully",
+      data: {
+        courseId,
+        tiers: updatedPrices,
+      },
+      meta: {
+        requestId,
+        executionTime: Math.round(executionTime),
+        timestamp: new Date().toISOString(),
+      },
+    });
+  } catch (error) {
+    console.error(`UPDATE_COURSE_PRICES_ERROR [${requestId}]:`, {
+      error: error.message,
+      stack: error.stack,
+      userId: req.userAuthId,
+      courseId: req.params.courseId,
+    });
+
+    const executionTime = performance.now() - startTime;
+
+    res.status(500).json({
+      success: false,
+      message: "Failed to update course prices",
+      code: "INTERNAL_SERVER_ERROR",
+      meta: {
+        requestId,
+        executionTime: Math.round(executionTime),
+        timestamp: new Date().toISOString(),
+      },
+    });
+  }
+});
+
 export {
   createCourse,
   getCourses,
@@ -2782,4 +3178,7 @@ export {
   deleteCourse,
   getCourseStats,
   getInstructorDashboard,
+  updateDripSchedule,
+  getCoursePrices,
+  updateCoursePrices,
 };
@@ -0,0 +1,1002 @@
+import { PrismaClient } from "@prisma/client";
+import asyncHandler from "express-async-handler";
+import redisService from "../../utils/redis.js";
+import socketManager from "../../utils/socket-io.js";
+import liveSessionService from "../../utils/liveSessionService.js";
+
+const prisma = new PrismaClient();
+
+const generateRequestId = () => {
+  return `live_${Date.now()}_${Math.random().toString(36).substr(2, 9)}`;
+};
+
+const buildMeta = (requestId, startTime) => ({
+  requestId,
+  executionTime: Math.round(performance.now() - startTime),
+  timestamp: new Date().toISOString(),
+});
+
+const clearLiveSessionCache = async (courseId) => {
+  try {
+    await redisService.delPattern(`live_sessions:${courseId}*`);
+  } catch (error) {
+    console.error("Failed to clear live session cache:", error);
+  }
+};
+
+const clearContentCache = async (courseId, sectionId) => {
+  try {
+    await Promise.all([
+      redisService.delPattern(`course_content:${courseId}*`),
+      redisService.delPattern(`course_structure:${courseId}*`),
+      redisService.delPattern(`lessons:${sectionId}*`),
+      redisService.del(`course:${courseId}`),
+    ]);
+  } catch (error) {
+    console.error("Failed to clear content cache:", error);
+  }
+};
+
+const validateSessionData = (data, { partial = false } = {}) => {
+  const errors = [];
+  const { title, scheduledAt, duration, maxParticipants, meetingUrl } = data;
+
+  if (!partial || title !== undefined) {
+    if (!title || title.trim().length < 3) {
+      errors.push("Title must be at least 3 characters long");
+    } else if (title.trim().length > 200) {
+      errors.push("Title cannot exceed 200 characters");
+    }
+  }
+
+  if (!partial || scheduledAt !== undefined) {
+    const date = new Date(scheduledAt);
+    if (!scheduledAt || isNaN(date.getTime())) {
+      errors.push("A valid scheduledAt date is required");
+    } else if (date <= new Date()) {
+      errors.push("scheduledAt must be in the future");
+    }
+  }
+
+  if (!partial || duration !== undefined) {
+    const minutes = parseInt(duration);
+    if (isNaN(minutes) || minutes < 5 || minutes > 480) {
+      errors.push("Duration must be between 5 and 480 minutes");
+    }
+  }
+
+  if (
+    maxParticipants !== undefined &&
+    maxParticipants !== null &&
+    (isNaN(parseInt(maxParticipants)) || parseInt(maxParticipants) < 1)
+  ) {
+    errors.push("maxParticipants must be a positive number");
+  }
+
+  if (meetingUrl) {
+    try {
+      const url = new URL(meetingUrl);
+      if (!["http:", "https:"].includes(url.protocol)) {
+        errors.push("meetingUrl must be an http(s) URL");
+      }
+    } catch {
+      errors.push("meetingUrl must be a valid URL");
+    }
+  }
+
+  return errors;
+};
+
+const findOwnedSession = async (sessionId, instructorId) => {
+  return await prisma.liveSession.findFirst({
+    where: { id: sessionId, instructorId },
+    include: {
+      course: { select: { id: true, title: true } },
+      section: { select: { id: true, title: true } },
+    },
+  });
+};
+
+const sessionNotFound = (res) =>
+  res.status(404).json({
+    success: false,
+    message: "Live session not found",
+    code: "LIVE_SESSION_NOT_FOUND",
+  });
+
+export const createLiveSession = asyncHandler(async (req, res) => {
+  const requestId = generateRequestId();
+  const startTime = performance.now();
+
+  try {
+    const instructorId = req.instructorProfile.id;
+    const {
+      courseId,
+      sectionId,
+      title,
+      description,
+      scheduledAt,
+      duration,
+      timezone,
+      meetingUrl,
+      maxParticipants,
+      notifyStudents = true,
+    } = req.body;
+
+    const errors = validateSessionData(req.body);
+    if (!courseId) {
+      errors.unshift("courseId is required");
+    }
+
+    if (errors.length > 0) {
+      return res.status(400).json({
+        success: false,
+        message: "Validation failed",
+        errors,
+        code: "VALIDATION_ERROR",
+      });
+    }
+
+    const course = await prisma.course.findFirst({
+      where: { id: courseId, instructorId },
+      select: {
+        id: true,
+        title: true,
+        sections: sectionId
+          ? { where: { id: sectionId }, select: { id: true } }
+          : false,
+      },
+    });
+
+    if (!course) {
+      return res.status(403).json({
+        success: false,
+        message: "Access denied. You don't own this course.",
+        code: "COURSE_ACCESS_DENIED",
+      });
+    }
+
+    if (sectionId && course.sections.length === 0) {
+      return res.status(404).json({
+        success: false,
+        message: "Section not found in this course",
+        code: "SECTION_NOT_FOUND",
+      });
+    }
+
+    const session = await prisma.liveSession.create({
+      data: {
+        title: title.trim(),
+        description: description?.trim() || null,
+        scheduledAt: new Date(scheduledAt),
+        duration: parseInt(duration),
+        timezone: timezone || null,
+        meetingUrl: meetingUrl?.trim() || null,
+        maxParticipants: maxParticipants ? parseInt(maxParticipants) : null,
+        courseId,
+        sectionId: sectionId || null,
+        instructorId,
+      },
+    });
+
+    await clearLiveSessionCache(courseId);
+
+    if (notifyStudents) {
+      setImmediate(() => {
+        liveSessionService
+          .notifyEnrolledStudents(session, {
+            type: "COURSE_UPDATED",
+            title: "New live session scheduled",
+            message: `"${session.title}" in ${
+              course.title
+            } is scheduled for ${session.scheduledAt.toUTCString()}`,
+          })
+          .catch((error) =>
+            console.error("Failed to announce live session:", error)
+          );
+      });
+    }
+
+    res.status(201).json({
+      success: true,
+      message: "Live session scheduled successfully",
+      data: { session },
+      meta: buildMeta(requestId, startTime),
+    });
+  } catch (error) {
+    console.error(`CREATE_LIVE_SESSION_ERROR [${requestId}]:`, {
+      error: error.message,
+      stack: error.stack,
+      instructorId: req.instructorProfile?.id,
+      courseId: req.body?.courseId,
+    });
+
+    res.status(500).json({
+      success: false,
+      message: "Failed to schedule live session",
+      code: "INTERNAL_SERVER_ERROR",
+      meta: buildMeta(requestId, startTime),
+    });
+  }
+});
+
+export const getLiveSessions = asyncHandler(async (req, res) => {
+  const requestId = generateRequestId();
+  const startTime = performance.now();
+
+  try {
+    const instructorId = req.instructorProfile.id;
+    const { page = 1, limit = 20, courseId, status, upcoming } = req.query;
+
+    const pageSize = Math.min(parseInt(limit) || 20, 100);
+    const pageNumber = Math.max(parseInt(page) || 1, 1);
+
+    const validStatuses = ["SCHEDULED", "LIVE", "ENDED", "CANCELLED"];
+    if (status && !validStatuses.includes(status)) {
+      return res.status(400).json({
+        success: false,
+        message: `Status must be one of ${validStatuses.join(", ")}`,
+        code: "VALIDATION_ERROR",
+      });
+    }
+
+    const where = {
+      instructorId,
+      ...(courseId && { courseId }),
+      ...(status && { status }),
+      ...(upcoming === "true" && {
+        status: { in: ["SCHEDULED", "LIVE"] },
+      }),
+    };
+
+    const [sessions, total] = await Promise.all([
+      prisma.liveSession.findMany({
+        where,
+        orderBy: { scheduledAt: upcoming === "true" ? "asc" : "desc" },
+        skip: (pageNumber - 1) * pageSize,
+        take: pageSize,
+        include: {
+          course: { select: { id: true, title: true } },
+          section: { select: { id: true, title: true } },
+          _count: { select: { attendances: true, messages: true } },
+        },
+      }),
+      prisma.liveSession.count({ where }),
+    ]);
+
+    res.status(200).json({
+      success: true,
+      message: "Live sessions retrieved successfully",
+      data: {
+        sessions: sessions.map(({ _count, ...session }) => ({
+          ...session,
+          attendeeCount: _count.attendances,
+          messageCount: _count.messages,
+          liveParticipants: socketManager.getLiveSessionStats(session.id)
+            .participantCount,
+        })),
+        pagination: {
+          page: pageNumber,
+          limit: pageSize,
+          total,
+          totalPages: Math.ceil(total / pageSize),
+          hasNext: pageNumber * pageSize < total,
+          hasPrev: pageNumber > 1,
+        },
+      },
+      meta: buildMeta(requestId, startTime),
+    });
+  } catch (error) {
+    console.error(`GET_LIVE_SESSIONS_ERROR [${requestId}]:`, {
+      error: error.message,
+      stack: error.stack,
+      instructorId: req.instructorProfile?.id,
+      query: req.query,
+    });
+
+    res.status(500).json({
+      success: false,
+      message: "Failed to retrieve live sessions",
+      code: "INTERNAL_SERVER_ERROR",
+      meta: buildMeta(requestId, startTime),
+    });
+  }
+});
+
+export const getLiveSession = asyncHandler(async (req, res) => {
+  const requestId = generateRequestId();
+  const startTime = performance.now();
+
+  try {
+    const session = await findOwnedSession(
+      req.params.sessionId,
+      req.instructorProfile.id
+    );
+
+    if (!session) {
+      return sessionNotFound(res);
+    }
+
+    const [attendeeCount, messageCount] = await Promise.all([
+      prisma.liveSessionAttendance.count({
+        where: { sessionId: session.id, isHost: false },
+      }),
+      prisma.liveSessionMessage.count({ where: { sessionId: session.id } }),
+    ]);
+
+    res.status(200).json({
+      success: true,
+      message: "Live session retrieved successfully",
+      data: {
+        session: {
+          ...session,
+          scheduledEndAt: liveSessionService.getScheduledEnd(session),
+          attendeeCount,
+          messageCount,
+          liveParticipants: socketManager.getLiveSessionStats(session.id)
+            .participantCount,
+        },
+      },
+      meta: buildMeta(requestId, startTime),
+    });
+  } catch (error) {
+    console.error(`GET_LIVE_SESSION_ERROR [${requestId}]:`, {
+      error: error.message,
+      stack: error.stack,
+      sessionId: req.params.sessionId,
+      instructorId: req.instructorProfile?.id,
+    });
+
+    res.status(500).json({
+      success: false,
+      message: "Failed to retrieve live session",
+      code: "INTERNAL_SERVER_ERROR",
+      meta: buildMeta(requestId, startTime),
+    });
+  }
+});
+
+export const updateLiveSession = asyncHandler(async (req, res) => {
+  const requestId = generateRequestId();
+  const startTime = performance.now();
+
+  try {
+    const session = await findOwnedSession(
+      req.params.sessionId,
+      req.instructorProfile.id
+    );
+
+    if (!session) {
+      return sessionNotFound(res);
+    }
+
+    if (session.status !== "SCHEDULED") {
+      return res.status(400).json({
+        success: false,
+        message: "Only scheduled sessions can be edited",
+        code: "INVALID_SESSION_STATUS",
+      });
+    }
+
+    const errors = validateSessionData(req.body, { partial: true });
+    if (errors.length > 0) {
+      return res.status(400).json({
+        success: false,
+        message: "Validation failed",
+        errors,
+        code: "VALIDATION_ERROR",
+      });
+    }
+
+    const {
+      title,
+      description,
+      scheduledAt,
+      duration,
+      timezone,
+      meetingUrl,
+      maxParticipants,
+      sectionId,
+    } = req.body;
+
+    if (sectionId) {
+      const section = await prisma.section.findFirst({
+        where: { id: sectionId, courseId: session.courseId },
+        select: { id: true },
+      });
+
+      if (!section) {
+        return res.status(404).json({
+          success: false,
+          message: "Section not found in this course",
+          code: "SECTION_NOT_FOUND",
+        });
+      }
+    }
+
+    const isRescheduled =
+      scheduledAt !== undefined &&
+      new Date(scheduledAt).getTime() !== session.scheduledAt.getTime();
+
+    const updated = await prisma.liveSession.update({
+      where: { id: session.id },
+      data: {
+        ...(title !== undefined && { title: title.trim() }),
+        ...(description !== undefined && {
+          description: description?.trim() || null,
+        }),
+        ...(duration !== undefined && { duration: parseInt(duration) }),
+        ...(timezone !== undefined && { timezone: timezone || null }),
+        ...(meetingUrl !== undefined && {
+          meetingUrl: meetingUrl?.trim() || null,
+        }),
+        ...(maxParticipants !== undefined && {
+          maxParticipants: maxParticipants ? parseInt(maxParticipants) : null,
+        }),
+        ...(sectionId !== undefined && { sectionId: sectionId || null }),
+        ...(isRescheduled && {
+          scheduledAt: new Date(scheduledAt),
+          dayReminderSentAt: null,
+          startReminderSentAt: null,
+        }),
+      },
+    });
+
+    await clearLiveSessionCache(session.courseId);
+
+    if (isRescheduled) {
+      setImmediate(() => {
+        liveSessionService
+          .notifyEnrolledStudents(updated, {
+            type: "COURSE_UPDATED",
+            title: "Live session rescheduled",
+            message: `"${updated.title}" in ${
+              session.course.title
+            } has moved to ${updated.scheduledAt.toUTCString()}`,
+          })
+          .catch((error) =>
+            console.error("Failed to announce reschedule:", error)
+          );
+      });
+    }
+
+    res.status(200).json({
+      success: true,
+      message: "Live session updated successfully",
+      data: { session: updated, rescheduled: isRescheduled },
+      meta: buildMeta(requestId, startTime),
+    });
+  } catch (error) {
+    console.error(`UPDATE_LIVE_SESSION_ERROR [${requestId}]:`, {
+      error: error.message,
+      stack: error.stack,
+      sessionId: req.params.sessionId,
+      instructorId: req.instructorProfile?.id,
+    });
+
+    res.status(500).json({
+      success: false,
+      message: "Failed to update live session",
+      code: "INTERNAL_SERVER_ERROR",
+      meta: buildMeta(requestId, startTime),
+    });
+  }
+});
+
+export const startLiveSession = asyncHandler(async (req, res) => {
+  const requestId = generateRequestId();
+  const startTime = performance.now();
+
+  try {
+    const session = await findOwnedSession(
+      req.params.sessionId,
+      req.instructorProfile.id
+    );
+
+    if (!session) {
+      return sessionNotFound(res);
+    }
+
+    if (session.status !== "SCHEDULED") {
+      return res.status(400).json({
+        success: false,
+        message: `Cannot start a session that is ${session.status.toLowerCase()}`,
+        code: "INVALID_SESSION_STATUS",
+      });
+    }
+
+    const updated = await prisma.liveSession.update({
+      where: { id: session.id },
+      data: { status: "LIVE", startedAt: new Date() },
+    });
+
+    socketManager.controlLiveSession(session.id, "start", {
+      startedAt: updated.startedAt,
+    });
+    socketManager.sendToCourse(session.courseId, "live_session_started", {
+      sessionId: session.id,
+      title: session.title,
+      startedAt: updated.startedAt,
+    });
+
+    await clearLiveSessionCache(session.courseId);
+
+    res.status(200).json({
+      success: true,
+      message: "Live session started",
+      data: { session: updated },
+      meta: buildMeta(requestId, startTime),
+    });
+  } catch (error) {
+    console.error(`START_LIVE_SESSION_ERROR [${requestId}]:`, {
+      error: error.message,
+      stack: error.stack,
+      sessionId: req.params.sessionId,
+      instructorId: req.instructorProfile?.id,
+    });
+
+    res.status(500).json({
+      success: false,
+      message: "Failed to start live session",
+      code: "INTERNAL_SERVER_ERROR",
+      meta: buildMeta(requestId, startTime),
+    });
+  }
+});
+
+export const endLiveSession = asyncHandler(async (req, res) => {
+  const requestId = generateRequestId();
+  const startTime = performance.now();
+
+  try {
+    const session = await findOwnedSession(
+      req.params.sessionId,
+      req.instructorProfile.id
+    );
+
+    if (!session) {
+      return sessionNotFound(res);
+    }
+
+    if (session.status !== "LIVE") {
+      return res.status(400).json({
+        success: false,
+        message: "Only live sessions can be ended",
+        code: "INVALID_SESSION_STATUS",
+      });
+    }
+
+    const endedAt = new Date();
+    const updated = await prisma.liveSession.update({
+      where: { id: session.id },
+      data: { status: "ENDED", endedAt },
+    });
+
+    socketManager.controlLiveSession(session.id, "end", { endedAt });
+    socketManager.closeLiveSession(session.id);
+    await liveSessionService.closeAttendance(session.id, endedAt);
+    await clearLiveSessionCache(session.courseId);
+
+    res.status(200).json({
+      success: true,
+      message: "Live session ended",
+      data: { session: updated },
+      meta: buildMeta(requestId, startTime),
+    });
+  } catch (error) {
+    console.error(`END_LIVE_SESSION_ERROR [${requestId}]:`, {
+      error: error.message,
+      stack: error.stack,
+      sessionId: req.params.sessionId,
+      instructorId: req.instructorProfile?.id,
+    });
+
+    res.status(500).json({
+      success: false,
+      message: "Failed to end live session",
+      code: "INTERNAL_SERVER_ERROR",
+      meta: buildMeta(requestId, startTime),
+    });
+  }
+});
+
+export const cancelLiveSession = asyncHandler(async (req, res) => {
+  const requestId = generateRequestId();
+  const startTime = performance.now();
+
+  try {
+    const { reason } = req.body || {};
+    const session = await findOwnedSession(
+      req.params.sessionId,
+      req.instructorProfile.id
+    );
+
+    if (!session) {
+      return sessionNotFound(res);
+    }
+
+    if (session.status !== "SCHEDULED") {
+      return res.status(400).json({
+        success: false,
+        message: "Only scheduled sessions can be cancelled",
+        code: "INVALID_SESSION_STATUS",
+      });
+    }
+
+    const updated = await prisma.liveSession.update({
+      where: { id: session.id },
+      data: {
+        status: "CANCELLED",
+        cancelledAt: new Date(),
+        cancellationReason: reason?.trim() || null,
+      },
+    });
+
+    await clearLiveSessionCache(session.courseId);
+
+    setImmediate(() => {
+      liveSessionService
+        .notifyEnrolledStudents(updated, {
+          type: "COURSE_UPDATED",
+          title: "Live session cancelled",
+          message: `"${updated.title}" in ${
+            session.course.title
+          } has been cancelled${
+            updated.cancellationReason ? `: ${updated.cancellationReason}` : ""
+          }`,
+        })
+        .catch((error) =>
+          console.error("Failed to announce cancellation:", error)
+        );
+    });
+
+    res.status(200).json({
+      success: true,
+      message: "Live session cancelled",
+      data: { session: updated },
+      meta: buildMeta(requestId, startTime),
+    });
+  } catch (error) {
+    console.error(`CANCEL_LIVE_SESSION_ERROR [${requestId}]:`, {
+      error: error.message,
+      stack: error.stack,
+      sessionId: req.params.sessionId,
+      instructorId: req.instructorProfile?.id,
+    });
+
+    res.status(500).json({
+      success: false,
+      message: "Failed to cancel live session",
+      code: "INTERNAL_SERVER_ERROR",
+      meta: buildMeta(requestId, startTime),
+    });
+  }
+});
+
+export const attachRecording = asyncHandler(async (req, res) => {
+  const requestId = generateRequestId();
+  const startTime = performance.now();
+
+  try {
+    const {
+      recordingUrl,
+      createLesson = true,
+      lessonTitle,
+      sectionId,
+      isPreview = false,
+    } = req.body;
+
+    const session = await findOwnedSession(
+      req.params.sessionId,
+      req.instructorProfile.id
+    );
+
+    if (!session) {
+      return sessionNotFound(res);
+    }
+
+    if (session.status !== "ENDED") {
+      return res.status(400).json({
+        success: false,
+        message: "Recordings can only be attached to ended sessions",
+        code: "INVALID_SESSION_STATUS",
+      });
+    }
+
+    try {
+      const url = new URL(recordingUrl);
+      if (!["http:", "https:"].includes(url.protocol)) {
+        throw new Error("Invalid protocol");
+      }
+    } catch {
+      return res.status(400).json({
+        success: false,
+        message: "A valid recordingUrl is required",
+        code: "VALIDATION_ERROR",
+      });
+    }
+
+    const targetSectionId = sectionId || session.sectionId;
+    let lesson = null;
+
+    if (session.recordingLessonId) {
+      lesson = await prisma.lesson.update({
+        where: { id: session.recordingLessonId },
+        data: {
+          videoUrl: recordingUrl,
+          ...(lessonTitle && { title: lessonTitle.trim() }),
+        },
+      });
+    } else if (createLesson) {
+      if (!targetSectionId) {
+        return res.status(400).json({
+          success: false,
+          message: "sectionId is required to publish the recording as a lesson",
+          code: "VALIDATION_ERROR",
+        });
+      }
+
+      const section = await prisma.section.findFirst({
+        where: { id: targetSectionId, courseId: session.courseId },
+        select: { id: true, isPublished: true },
+      });
+
+      if (!section) {
+        return res.status(404).json({
+          success: false,
+          message: "Section not found in this course",
+          code: "SECTION_NOT_FOUND",
+        });
+      }
+
+      const lastLesson = await prisma.lesson.findFirst({
+        where: { sectionId: targetSectionId },
+        select: { order: true },
+        orderBy: { order: "desc" },
+      });
+
+      // Lesson durations are stored in seconds; session.duration is the
+      // scheduled length in minutes.
+      const startedAt = session.startedAt || session.scheduledAt;
+      const recordedSeconds = session.endedAt
+        ? Math.max(
+            1,
+            Math.round((session.endedAt.getTime() - startedAt.getTime()) / 1000)
+          )
+        : session.duration * 60;
+
+      // Course totals cover lessons in published sections, as computed when
+      // the course is submitted for review.
+      [lesson] = await prisma.$transaction([
+        prisma.lesson.create({
+          data: {
+            title: lessonTitle?.trim() || `${session.title} (Recording)`,
+            description: session.description,
+            duration: recordedSeconds,
+            type: "VIDEO",
+            videoUrl: recordingUrl,
+            isPreview,
+            order: lastLesson ? lastLesson.order + 1 : 1,
+            sectionId: targetSectionId,
+          },
+        }),
+        ...(section.isPublished
+          ? [
+              prisma.course.update({
+                where: { id: session.courseId },
+                data: {
+                  totalLessons: { increment: 1 },
+                  duration: { increment: recordedSeconds },
+                  lastUpdated: new Date(),
+                },
+              }),
+            ]
+          : []),
+      ]);
+    }
+
+    const updated = await prisma.liveSession.update({
+      where: { id: session.id },
+      data: {
+        recordingUrl,
+        ...(lesson && { recordingLessonId: lesson.id }),
+      },
+    });
+
+    await clearLiveSessionCache(session.courseId);
+    if (lesson) {
+      await clearContentCache(session.courseId, lesson.sectionId);
+    }
+
+    res.status(200).json({
+      success: true,
+      message: lesson
+        ? "Recording attached and published as a lesson"
+        : "Recording attached successfully",
+      data: { session: updated, lesson },
+      meta: buildMeta(requestId, startTime),
+    });
+  } catch (error) {
+    console.error(`ATTACH_RECORDING_ERROR [${requestId}]:`, {
+      error: error.message,
+      stack: error.stack,
+      sessionId: req.params.sessionId,
+      instructorId: req.instructorProfile?.id,
+    });
+
+    res.status(500).json({
+      success: false,
+      message: "Failed to attach recording",
+      code: "INTERNAL_SERVER_ERROR",
+      meta: buildMeta(requestId, startTime),
+    });
+  }
+});
+
+export const getSessionAttendance = asyncHandler(async (req, res) => {
+  const requestId = generateRequestId();
+  const startTime = performance.now();
+
+  try {
+    const session = await findOwnedSession(
+      req.params.sessionId,
+      req.instructorProfile.id
+    );
+
+    if (!session) {
+      return sessionNotFound(res);
+    }
+
+    const [attendances, enrolledCount] = await Promise.all([
+      prisma.liveSessionAttendance.findMany({
+        where: { sessionId: session.id },
+        orderBy: { firstJoinedAt: "asc" },
+        include: {
+          user: {
+            select: {
+              id: true,
+              firstName: true,
+              lastName: true,
+              email: true,
+              profileImage: true,
+            },
+          },
+        },
+      }),
+      prisma.enrollment.count({
+        where: {
+          courseId: session.courseId,
+          status: { in: ["ACTIVE", "COMPLETED"] },
+        },
+      }),
+    ]);
+
+    const now = new Date();
+    const attendees = attendances.map((attendance) => ({
+      user: attendance.user,
+      isHost: attendance.isHost,
+      isPresent: attendance.isPresent,
+      firstJoinedAt: attendance.firstJoinedAt,
+      lastLeftAt: attendance.lastLeftAt,
+      joinCount: attendance.joinCount,
+      totalMinutes: Math.round(
+        (attendance.totalSeconds +
+          (attendance.isPresent
+            ? (now.getTime() - attendance.lastJoinedAt.getTime()) / 1000
+            : 0)) /
+          60
+      ),
+    }));
+
+    const students = attendees.filter((attendee) => !attendee.isHost);
+    const averageMinutes =
+      students.length > 0
+        ? Math.round(
+            students.reduce((sum, a) => sum + a.totalMinutes, 0) /
+              students.length
+          )
+        : 0;
+
+    res.status(200).json({
+      success: true,
+      message: "Attendance retrieved successfully",
+      data: {
+        sessionId: session.id,
+        attendees,
+        summary: {
+          enrolledStudents: enrolledCount,
+          attendedStudents: students.length,
+          attendanceRate:
+            enrolledCount > 0
+              ? Math.round((students.length / enrolledCount) * 10000) / 100
+              : 0,
+          averageMinutes,
+          currentlyPresent: attendees.filter((a) => a.isPresent).length,
+        },
+      },
+      meta: buildMeta(requestId, startTime),
+    });
+  } catch (error) {
+    console.error(`GET_SESSION_ATTENDANCE_ERROR [${requestId}]:`, {
+      error: error.message,
+      stack: error.stack,
+      sessionId: req.params.sessionId,
+      instructorId: req.instructorProfile?.id,
+    });
+
+    res.status(500).json({
+      success: false,
+      message: "Failed to retrieve attendance",
+      code: "INTERNAL_SERVER_ERROR",
+      meta: buildMeta(requestId, startTime),
+    });
+  }
+});
+
+export const getSessionChatLog = asyncHandler(async (req, res) => {
+  const requestId = generateRequestId();
+  const startTime = performance.now();
+
+  try {
+    const session = await findOwnedSession(
+      req.params.sessionId,
+      req.instructorProfile.id
+    );
+
+    if (!session) {
+      return sessionNotFound(res);
+    }
+
+    const { page = 1, limit = 100, type } = req.query;
+    const pageSize = Math.min(parseInt(limit) || 100, 500);
+    const pageNumber = Math.max(parseInt(page) || 1, 1);
+
+    const where = { sessionId: session.id, ...(type && { type }) };
+
+    const [messages, total] = await Promise.all([
+      prisma.liveSessionMessage.findMany({
+        where,
+        orderBy: { createdAt: "asc" },
+        skip: (pageNumber - 1) * pageSize,
+        take: pageSize,
+        include: {
+          user: {
+            select: { id: true, firstName: true, lastName: true, role: true },
+          },
+        },
+      }),
+      prisma.liveSessionMessage.count({ where }),
+    ]);
+
+    res.status(200).json({
+      success: true,
+      message: "Chat log retrieved successfully",
+      data: {
+        messages,
+        pagination: {
+          page: pageNumber,
+          limit: pageSize,
+          total,
+          totalPages: Math.ceil(total / pageSize),
+          hasNext: pageNumber * pageSize < total,
+          hasPrev: pageNumber > 1,
+        },
+      },
+      meta: buildMeta(requestId, startTime),
+    });
+  } catch (error) {
+    console.error(`GET_SESSION_CHAT_ERROR [${requestId}]:`, {
+      error: error.message,
+      stack: error.stack,
+      sessionId: req.params.sessionId,
+      instructorId: req.instructorProfile?.id,
+    });
+
+    res.status(500).json({
+      success: false,
+      message: "Failed to retrieve chat log",
+      code: "INTERNAL_SERVER_ERROR",
+      meta: buildMeta(requestId, startTime),
+    });
+  }
+});
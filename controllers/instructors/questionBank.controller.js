@@ -0,0 +1,904 @@
+import { PrismaClient, Prisma, QuestionType } from "@prisma/client";
+import asyncHandler from "express-async-handler";
+import redisService from "../../utils/redis.js";
+import questionBankService from "../../utils/questionBankService.js";
+import codeRunnerService from "../../utils/codeRunnerService.js";
+import {
+  serializeAnswerKey,
+  validateAnswerKey,
+} from "../../helper/quizGrading.js";
+import {
+  validateCodeChallenge,
+  normalizeCodeChallenge,
+} from "../../helper/codeChallenge.js";
+import {
+  DIFFICULTIES,
+  MIN_RESPONSES_FOR_STATS,
+} from "../../helper/questionBank.js";
+
+const prisma = new PrismaClient();
+
+const QUESTION_TYPES = Object.values(QuestionType);
+const MAX_QUESTIONS_PER_REQUEST = 100;
+const SCORING_FIELDS = ["type", "points", "correctAnswer", "codeChallenge"];
+
+const generateRequestId = () => {
+  return `bank_${Date.now()}_${Math.random().toString(36).substr(2, 9)}`;
+};
+
+const buildMeta = (requestId, startTime) => ({
+  requestId,
+  executionTime: Math.round(performance.now() - startTime),
+  timestamp: new Date().toISOString(),
+});
+
+const clearBankCache = async (bankId) => {
+  try {
+    await redisService.delPattern(`question_bank:${bankId}*`);
+  } catch (error) {
+    console.error("Failed to clear question bank cache:", error);
+  }
+};
+
+const normalizeTags = (tags) => [
+  ...new Set(
+    (Array.isArray(tags) ? tags : [])
+      .filter((tag) => typeof tag === "string")
+      .map((tag) => tag.trim())
+      .filter(Boolean)
+  ),
+];
+
+// Returns the bank when the instructor owns its course, otherwise sends the
+// 404/403 response and returns null.
+const loadOwnedBank = async (req, res, requestId, startTime) => {
+  const bank = await prisma.questionBank.findUnique({
+    where: { id: req.params.bankId },
+    include: {
+      course: { select: { id: true, title: true, instructorId: true } },
+    },
+  });
+
+  if (!bank) {
+    res.status(404).json({
+      success: false,
+      message: "Question bank not found",
+      code: "BANK_NOT_FOUND",
+      meta: buildMeta(requestId, startTime),
+    });
+    return null;
+  }
+
+  if (bank.course.instructorId !== req.instructorProfile.id) {
+    res.status(403).json({
+      success: false,
+      message: "Access denied. You don't own this course.",
+      code: "COURSE_ACCESS_DENIED",
+      meta: buildMeta(requestId, startTime),
+    });
+    return null;
+  }
+
+  return bank;
+};
+
+// Challenges that are not being changed only need to stay well-formed; new
+// ones must also be runnable on this server.
+const validateQuestionData = (
+  data,
+  { partial = false, challengeChanged = true } = {}
+) => {
+  const errors = [];
+
+  if (!partial || data.content !== undefined) {
+    if (typeof data.content !== "string" || !data.content.trim()) {
+      errors.push("Content is required");
+    }
+  }
+
+  if (!partial || data.type !== undefined) {
+    if (!QUESTION_TYPES.includes(data.type)) {
+      errors.push(`Type must be one of: ${QUESTION_TYPES.join(", ")}`);
+    }
+  }
+
+  if (data.points !== undefined) {
+    const points = parseInt(data.points);
+    if (isNaN(points) || points <= 0) {
+      errors.push("Points must be greater than 0");
+    }
+  }
+
+  if (
+    data.difficulty !== undefined &&
+    !DIFFICULTIES.includes(data.difficulty)
+  ) {
+    errors.push(`Difficulty must be one of: ${DIFFICULTIES.join(", ")}`);
+  }
+
+  if (data.tags !== undefined && !Array.isArray(data.tags)) {
+    errors.push("Tags must be an array");
+  }
+
+  if (QUESTION_TYPES.includes(data.type)) {
+    errors.push(...validateAnswerKey(data.type, data.correctAnswer));
+
+    if (data.type === "CODE_CHALLENGE") {
+      errors.push(
+        ...(challengeChanged
+          ? codeRunnerService.validateChallenge(data.codeChallenge)
+          : validateCodeChallenge(data.codeChallenge))
+      );
+    }
+  }
+
+  return errors;
+};
+
+const buildQuestionData = (data) => ({
+  content: data.content.trim(),
+  type: data.type,
+  points: parseInt(data.points) || 1,
+  options: data.options ?? Prisma.DbNull,
+  correctAnswer: serializeAnswerKey(data.correctAnswer),
+  codeChallenge:
+    data.type === "CODE_CHALLENGE"
+      ? normalizeCodeChallenge(data.codeChallenge)
+      : Prisma.DbNull,
+  explanation: data.explanation?.trim() || null,
+  hints: Array.isArray(data.hints) ? data.hints : [],
+  difficulty: data.difficulty || "MEDIUM",
+  tags: normalizeTags(data.tags),
+});
+
+const summarizeQuestions = (questions) => {
+  const byDifficulty = Object.fromEntries(DIFFICULTIES.map((d) => [d, 0]));
+  const byTag = {};
+
+  questions.forEach((question) => {
+    byDifficulty[question.difficulty] += 1;
+    question.tags.forEach((tag) => {
+      byTag[tag] = (byTag[tag] || 0) + 1;
+    });
+  });
+
+  return { total: questions.length, byDifficulty, byTag };
+};
+
+// Quizzes in the course whose draw rules pick from the bank.
+const getQuizzesUsingBank = async (courseId, bankId) => {
+  const quizzes = await prisma.quiz.findMany({
+    where: {
+      section: { courseId },
+      drawRules: { not: Prisma.DbNull },
+    },
+    select: { id: true, title: true, drawRules: true },
+  });
+
+  return quizzes
+    .filter((quiz) =>
+      Array.isArray(quiz.drawRules)
+        ? quiz.drawRules.some((rule) => rule.bankId === bankId)
+        : false
+    )
+    .map(({ id, title }) => ({ id, title }));
+};
+
+export const getQuestionBanks = asyncHandler(async (req, res) => {
+  const requestId = generateRequestId();
+  const startTime = performance.now();
+
+  try {
+    const instructorId = req.instructorProfile.id;
+    const { courseId } = req.query;
+
+    const banks = await prisma.questionBank.findMany({
+      where: {
+        course: { instructorId },
+        ...(courseId && { courseId }),
+      },
+      orderBy: { createdAt: "desc" },
+      include: {
+        course: { select: { id: true, title: true } },
+        questions: { select: { difficulty: true, tags: true } },
+      },
+    });
+
+    res.status(200).json({
+      success: true,
+      message: "Question banks retrieved successfully",
+      data: {
+        banks: banks.map(({ questions, ...bank }) => ({
+          ...bank,
+          questions: summarizeQuestions(questions),
+        })),
+      },
+      meta: buildMeta(requestId, startTime),
+    });
+  } catch (error) {
+    console.error(`GET_QUESTION_BANKS_ERROR [${requestId}]:`, {
+      error: error.message,
+      stack: error.stack,
+      instructorId: req.instructorProfile?.id,
+    });
+
+    res.status(500).json({
+      success: false,
+      message: "Failed to retrieve question banks",
+      code: "INTERNAL_SERVER_ERROR",
+      meta: buildMeta(requestId, startTime),
+    });
+  }
+});
+
+export const createQuestionBank = asyncHandler(async (req, res) => {
+  const requestId = generateRequestId();
+  const startTime = performance.now();
+
+  try {
+    const instructorId = req.instructorProfile.id;
+    const { courseId, title, description } = req.body;
+
+    if (!courseId || typeof title !== "string" || !title.trim()) {
+      return res.status(400).json({
+        success: false,
+        message: "courseId and title are required",
+        code: "VALIDATION_ERROR",
+        meta: buildMeta(requestId, startTime),
+      });
+    }
+
+    const course = await prisma.course.findFirst({
+      where: { id: courseId, instructorId },
+      select: { id: true },
+    });
+
+    if (!course) {
+      return res.status(403).json({
+        success: false,
+        message: "Access denied. You don't own this course.",
+        code: "COURSE_ACCESS_DENIED",
+        meta: buildMeta(requestId, startTime),
+      });
+    }
+
+    const bank = await prisma.questionBank.create({
+      data: {
+        title: title.trim(),
+        description: description?.trim() || null,
+        courseId,
+      },
+    });
+
+    res.status(201).json({
+      success: true,
+      message: "Question bank created successfully",
+      data: { bank },
+      meta: buildMeta(requestId, startTime),
+    });
+  } catch (error) {
+    console.error(`CREATE_QUESTION_BANK_ERROR [${requestId}]:`, {
+      error: error.message,
+      stack: error.stack,
+      courseId: req.body?.courseId,
+      instructorId: req.instructorProfile?.id,
+    });
+
+    res.status(500).json({
+      success: false,
+      message: "Failed to create question bank",
+      code: "INTERNAL_SERVER_ERROR",
+      meta: buildMeta(requestId, startTime),
+    });
+  }
+});
+
+export const getQuestionBank = asyncHandler(async (req, res) => {
+  const requestId = generateRequestId();
+  const startTime = performance.now();
+
+  try {
+    const bank = await loadOwnedBank(req, res, requestId, startTime);
+    if (!bank) return;
+
+    const { difficulty, tag, type } = req.query;
+
+    const [questions, allQuestions, usedBy] = await Promise.all([
+      prisma.question.findMany({
+        where: {
+          bankId: bank.id,
+          ...(difficulty && { difficulty }),
+          ...(type && { type }),
+          ...(tag && { tags: { has: tag } }),
+        },
+        orderBy: { order: "asc" },
+        include: { _count: { select: { answers: true } } },
+      }),
+      prisma.question.findMany({
+        where: { bankId: bank.id },
+        select: { difficulty: true, tags: true },
+      }),
+      getQuizzesUsingBank(bank.courseId, bank.id),
+    ]);
+
+    res.status(200).json({
+      success: true,
+      message: "Question bank retrieved successfully",
+      data: {
+        bank: {
+          ...bank,
+          summary: summarizeQuestions(allQuestions),
+          usedBy,
+        },
+        questions: questions.map(({ _count, ...question }) => ({
+          ...question,
+          responses: _count.answers,
+        })),
+      },
+      meta: buildMeta(requestId, startTime),
+    });
+  } catch (error) {
+    console.error(`GET_QUESTION_BANK_ERROR [${requestId}]:`, {
+      error: error.message,
+      stack: error.stack,
+      bankId: req.params.bankId,
+      instructorId: req.instructorProfile?.id,
+    });
+
+    res.status(500).json({
+      success: false,
+      message: "Failed to retrieve question bank",
+      code: "INTERNAL_SERVER_ERROR",
+      meta: buildMeta(requestId, startTime),
+    });
+  }
+});
+
+export const updateQuestionBank = asyncHandler(async (req, res) => {
+  const requestId = generateRequestId();
+  const startTime = performance.now();
+
+  try {
+    const bank = await loadOwnedBank(req, res, requestId, startTime);
+    if (!bank) return;
+
+    const { title, description } = req.body;
+
+    if (title !== undefined && (typeof title !== "string" || !title.trim())) {
+      return res.status(400).json({
+        success: false,
+        message: "Title cannot be empty",
+        code: "VALIDATION_ERROR",
+        meta: buildMeta(requestId, startTime),
+      });
+    }
+
+    const updateData = {};
+    if (title !== undefined) updateData.title = title.trim();
+    if (description !== undefined)
+      updateData.description = description?.trim() || null;
+
+    const updatedBank = await prisma.questionBank.update({
+      where: { id: bank.id },
+      data: updateData,
+    });
+
+    res.status(200).json({
+      success: true,
+      message: "Question bank updated successfully",
+      data: { bank: updatedBank },
+      meta: buildMeta(requestId, startTime),
+    });
+  } catch (error) {
+    console.error(`UPDATE_QUESTION_BANK_ERROR [${requestId}]:`, {
+      error: error.message,
+      stack: error.stack,
+      bankId: req.params.bankId,
+      instructorId: req.instructorProfile?.id,
+    });
+
+    res.status(500).json({
+      success: false,
+      message: "Failed to update question bank",
+      code: "INTERNAL_SERVER_ERROR",
+      meta: buildMeta(requestId, startTime),
+    });
+  }
+});
+
+export const deleteQuestionBank = asyncHandler(async (req, res) => {
+  const requestId = generateRequestId();
+  const startTime = performance.now();
+
+  try {
+    const bank = await loadOwnedBank(req, res, requestId, startTime);
+    if (!bank) return;
+
+    const [usedBy, answerCount] = await Promise.all([
+      getQuizzesUsingBank(bank.courseId, bank.id),
+      prisma.answer.count({ where: { question: { bankId: bank.id } } }),
+    ]);
+
+    if (usedBy.length > 0) {
+      return res.status(400).json({
+        success: false,
+        message: "Remove this bank from the draw rules of these quizzes first",
+        code: "BANK_IN_USE",
+        data: { usedBy },
+        meta: buildMeta(requestId, startTime),
+      });
+    }
+
+    // Deleting the questions would also delete students' answers.
+    if (answerCount > 0) {
+      return res.status(400).json({
+        success: false,
+        message: "Cannot delete a question bank that students have answered",
+        code: "BANK_HAS_ANSWERS",
+        meta: buildMeta(requestId, startTime),
+      });
+    }
+
+    await prisma.questionBank.delete({ where: { id: bank.id } });
+    await clearBankCache(bank.id);
+
+    res.status(200).json({
+      success: true,
+      message: "Question bank deleted successfully",
+      meta: buildMeta(requestId, startTime),
+    });
+  } catch (error) {
+    console.error(`DELETE_QUESTION_BANK_ERROR [${requestId}]:`, {
+      error: error.message,
+      stack: error.stack,
+      bankId: req.params.bankId,
+      instructorId: req.instructorProfile?.id,
+    });
+
+    res.status(500).json({
+      success: false,
+      message: "Failed to delete question bank",
+      code: "INTERNAL_SERVER_ERROR",
+      meta: buildMeta(requestId, startTime),
+    });
+  }
+});
+
+export const addBankQuestions = asyncHandler(async (req, res) => {
+  const requestId = generateRequestId();
+  const startTime = performance.now();
+
+  try {
+    const bank = await loadOwnedBank(req, res, requestId, startTime);
+    if (!bank) return;
+
+    const questions = Array.isArray(req.body.questions)
+      ? req.body.questions
+      : [req.body];
+
+    if (
+      questions.length === 0 ||
+      questions.length > MAX_QUESTIONS_PER_REQUEST
+    ) {
+      return res.status(400).json({
+        success: false,
+        message: `Send between 1 and ${MAX_QUESTIONS_PER_REQUEST} questions`,
+        code: "VALIDATION_ERROR",
+        meta: buildMeta(requestId, startTime),
+      });
+    }
+
+    const errors = questions.flatMap((question, index) =>
+      validateQuestionData(question || {}).map(
+        (message) => `Question ${index + 1}: ${message}`
+      )
+    );
+
+    if (errors.length > 0) {
+      return res.status(400).json({
+        success: false,
+        message: "Question validation failed",
+        code: "VALIDATION_ERROR",
+        errors,
+        meta: buildMeta(requestId, startTime),
+      });
+    }
+
+    const lastQuestion = await prisma.question.findFirst({
+      where: { bankId: bank.id },
+      orderBy: { order: "desc" },
+      select: { order: true },
+    });
+    const firstOrder = (lastQuestion?.order || 0) + 1;
+
+    const created = await prisma.$transaction(
+      questions.map((question, index) =>
+        prisma.question.create({
+          data: {
+            ...buildQuestionData(question),
+            order: firstOrder + index,
+            bankId: bank.id,
+          },
+        })
+      )
+    );
+
+    await clearBankCache(bank.id);
+
+    res.status(201).json({
+      success: true,
+      message: `${created.length} question(s) added to the bank`,
+      data: { questions: created },
+      meta: buildMeta(requestId, startTime),
+    });
+  } catch (error) {
+    console.error(`ADD_BANK_QUESTIONS_ERROR [${requestId}]:`, {
+      error: error.message,
+      stack: error.stack,
+      bankId: req.params.bankId,
+      instructorId: req.instructorProfile?.id,
+    });
+
+    res.status(500).json({
+      success: false,
+      message: "Failed to add questions to the bank",
+      code: "INTERNAL_SERVER_ERROR",
+      meta: buildMeta(requestId, startTime),
+    });
+  }
+});
+
+export const updateBankQuestion = asyncHandler(async (req, res) => {
+  const requestId = generateRequestId();
+  const startTime = performance.now();
+
+  try {
+    const bank = await loadOwnedBank(req, res, requestId, startTime);
+    if (!bank) return;
+
+    const question = await prisma.question.findFirst({
+      where: { id: req.params.questionId, bankId: bank.id },
+      include: { _count: { select: { answers: true } } },
+    });
+
+    if (!question) {
+      return res.status(404).json({
+        success: false,
+        message: "Question not found in this bank",
+        code: "QUESTION_NOT_FOUND",
+        meta: buildMeta(requestId, startTime),
+      });
+    }
+
+    // Answered questions keep their scoring so item statistics and past
+    // attempts stay comparable; edit a copy instead.
+    if (
+      question._count.answers > 0 &&
+      SCORING_FIELDS.some((field) => req.body[field] !== undefined)
+    ) {
+      return res.status(400).json({
+        success: false,
+        message:
+          "Cannot modify scoring-related fields for questions students have answered",
+        code: "QUESTION_HAS_ANSWERS",
+        meta: buildMeta(requestId, startTime),
+      });
+    }
+
+    const merged = {
+      ...question,
+      ...req.body,
+      correctAnswer:
+        req.body.correctAnswer !== undefined
+          ? req.body.correctAnswer
+          : question.correctAnswer,
+    };
+    const errors = validateQuestionData(merged, {
+      partial: true,
+      challengeChanged:
+        req.body.codeChallenge !== undefined || req.body.type !== undefined,
+    });
+
+    if (errors.length > 0) {
+      return res.status(400).json({
+        success: false,
+        message: errors[0],
+        code: "VALIDATION_ERROR",
+        errors,
+        meta: buildMeta(requestId, startTime),
+      });
+    }
+
+    const {
+      content,
+      type,
+      points,
+      options,
+      correctAnswer,
+      codeChallenge,
+      explanation,
+      hints,
+      difficulty,
+      tags,
+    } = req.body;
+
+    const updateData = {};
+    if (content !== undefined) updateData.content = content.trim();
+    if (type !== undefined) updateData.type = type;
+    if (points !== undefined) updateData.points = parseInt(points);
+    if (options !== undefined) updateData.options = options ?? Prisma.DbNull;
+    if (correctAnswer !== undefined)
+      updateData.correctAnswer = serializeAnswerKey(correctAnswer);
+    if (codeChallenge !== undefined || type !== undefined)
+      updateData.codeChallenge =
+        merged.type === "CODE_CHALLENGE"
+          ? normalizeCodeChallenge(merged.codeChallenge)
+          : Prisma.DbNull;
+    if (explanation !== undefined)
+      updateData.explanation = explanation?.trim() || null;
+    if (hints !== undefined) updateData.hints = hints;
+    if (difficulty !== undefined) updateData.difficulty = difficulty;
+    if (tags !== undefined) updateData.tags = normalizeTags(tags);
+
+    const updatedQuestion = await prisma.question.update({
+      where: { id: question.id },
+      data: updateData,
+    });
+
+    await clearBankCache(bank.id);
+
+    res.status(200).json({
+      success: true,
+      message: "Question updated successfully",
+      data: { question: updatedQuestion },
+      meta: buildMeta(requestId, startTime),
+    });
+  } catch (error) {
+    console.error(`UPDATE_BANK_QUESTION_ERROR [${requestId}]:`, {
+      error: error.message,
+      stack: error.stack,
+      bankId: req.params.bankId,
+      questionId: req.params.questionId,
+      instructorId: req.instructorProfile?.id,
+    });
+
+    res.status(500).json({
+      success: false,
+      message: "Failed to update question",
+      code: "INTERNAL_SERVER_ERROR",
+      meta: buildMeta(requestId, startTime),
+    });
+  }
+});
+
+export const deleteBankQuestion = asyncHandler(async (req, res) => {
+  const requestId = generateRequestId();
+  const startTime = performance.now();
+
+  try {
+    const bank = await loadOwnedBank(req, res, requestId, startTime);
+    if (!bank) return;
+
+    const question = await prisma.question.findFirst({
+      where: { id: req.params.questionId, bankId: bank.id },
+      include: { _count: { select: { answers: true } } },
+    });
+
+    if (!question) {
+      return res.status(404).json({
+        success: false,
+        message: "Question not found in this bank",
+        code: "QUESTION_NOT_FOUND",
+        meta: buildMeta(requestId, startTime),
+      });
+    }
+
+    if (question._count.answers > 0) {
+      return res.status(400).json({
+        success: false,
+        message: "Cannot delete a question that students have answered",
+        code: "QUESTION_HAS_ANSWERS",
+        meta: buildMeta(requestId, startTime),
+      });
+    }
+
+    await prisma.question.delete({ where: { id: question.id } });
+    await clearBankCache(bank.id);
+
+    // Quizzes whose rules no longer have enough questions fail to start, so
+    // flag them to the instructor now.
+    const usedBy = await getQuizzesUsingBank(bank.courseId, bank.id);
+    const affectedQuizzes = [];
+    for (const quiz of usedBy) {
+      const { drawRules } = await prisma.quiz.findUnique({
+        where: { id: quiz.id },
+        select: { drawRules: true },
+      });
+      const { errors } = await questionBankService.checkDrawRules(
+        bank.courseId,
+        drawRules
+      );
+      if (errors.length > 0) affectedQuizzes.push({ ...quiz, errors });
+    }
+
+    res.status(200).json({
+      success: true,
+      message: "Question deleted successfully",
+      data: { affectedQuizzes },
+      meta: buildMeta(requestId, startTime),
+    });
+  } catch (error) {
+    console.error(`DELETE_BANK_QUESTION_ERROR [${requestId}]:`, {
+      error: error.message,
+      stack: error.stack,
+      bankId: req.params.bankId,
+      questionId: req.params.questionId,
+      instructorId: req.instructorProfile?.id,
+    });
+
+    res.status(500).json({
+      success: false,
+      message: "Failed to delete question",
+      code: "INTERNAL_SERVER_ERROR",
+      meta: buildMeta(requestId, startTime),
+    });
+  }
+});
+
+export const getQuestionBankStatistics = asyncHandler(async (req, res) => {
+  const requestId = generateRequestId();
+  const startTime = performance.now();
+
+  try {
+    const bank = await loadOwnedBank(req, res, requestId, startTime);
+    if (!bank) return;
+
+    const cacheKey = `question_bank:${bank.id}:statistics`;
+    const cached = await redisService.getJSON(cacheKey);
+
+    if (cached) {
+      return res.status(200).json({
+        success: true,
+        message: "Question bank statistics retrieved successfully",
+        data: cached,
+        meta: { ...buildMeta(requestId, startTime), cached: true },
+      });
+    }
+
+    const items = await questionBankService.getItemStatistics(bank.id);
+
+    const result = {
+      bank: { id: bank.id, title: bank.title, courseId: bank.courseId },
+      minimumResponses: MIN_RESPONSES_FOR_STATS,
+      items,
+      flagged: items.filter((item) => item.flags.length > 0).length,
+    };
+
+    await redisService.setJSON(cacheKey, result, { ex: 600 });
+
+    res.status(200).json({
+      success: true,
+      message: "Question bank statistics retrieved successfully",
+      data: result,
+      meta: buildMeta(requestId, startTime),
+    });
+  } catch (error) {
+    console.error(`GET_QUESTION_BANK_STATISTICS_ERROR [${requestId}]:`, {
+      error: error.message,
+      stack: error.stack,
+      bankId: req.params.bankId,
+      instructorId: req.instructorProfile?.id,
+    });
+
+    res.status(500).json({
+      success: false,
+      message: "Failed to retrieve question bank statistics",
+      code: "INTERNAL_SERVER_ERROR",
+      meta: buildMeta(requestId, startTime),
+    });
+  }
+});
+
+// Attempts keep the questions they were drawn, so rules can change at any
+// time without affecting past results.
+export const updateQuizDrawRules = asyncHandler(async (req, res) => {
+  const requestId = generateRequestId();
+  const startTime = performance.now();
+
+  try {
+    const { quizId } = req.params;
+    const { drawRules } = req.body;
+
+    const quiz = await prisma.quiz.findUnique({
+      where: { id: quizId },
+      select: {
+        id: true,
+        section: {
+          select: {
+            courseId: true,
+            course: { select: { id: true, instructorId: true } },
+          },
+        },
+      },
+    });
+
+    if (!quiz) {
+      return res.status(404).json({
+        success: false,
+        message: "Quiz not found",
+        code: "QUIZ_NOT_FOUND",
+        meta: buildMeta(requestId, startTime),
+      });
+    }
+
+    if (quiz.section.course.instructorId !== req.instructorProfile.id) {
+      return res.status(403).json({
+        success: false,
+        message: "Access denied. You don't own this course.",
+        code: "COURSE_ACCESS_DENIED",
+        meta: buildMeta(requestId, startTime),
+      });
+    }
+
+    let rules = null;
+    if (drawRules !== null) {
+      const check = await questionBankService.checkDrawRules(
+        quiz.section.courseId,
+        drawRules
+      );
+
+      if (check.errors.length > 0) {
+        return res.status(400).json({
+          success: false,
+          message: check.errors[0],
+          code: "INVALID_DRAW_RULES",
+          errors: check.errors,
+          meta: buildMeta(requestId, startTime),
+        });
+      }
+
+      rules = check.rules;
+    }
+
+    const updatedQuiz = await prisma.quiz.update({
+      where: { id: quiz.id },
+      data: { drawRules: rules ?? Prisma.DbNull },
+      select: { id: true, title: true, drawRules: true, isRandomized: true },
+    });
+
+    await Promise.all([
+      redisService.delPattern(`course_content:${quiz.section.courseId}*`),
+      redisService.delPattern(`course_structure:${quiz.section.courseId}*`),
+    ]);
+
+    res.status(200).json({
+      success: true,
+      message: rules
+        ? "Quiz will draw its questions from question banks"
+        : "Quiz draw rules removed",
+      data: {
+        quiz: {
+          ...updatedQuiz,
+          questionsPerAttempt: rules
+            ? rules.reduce((sum, rule) => sum + rule.count, 0)
+            : null,
+        },
+      },
+      meta: buildMeta(requestId, startTime),
+    });
+  } catch (error) {
+    console.error(`UPDATE_DRAW_RULES_ERROR [${requestId}]:`, {
+      error: error.message,
+      stack: error.stack,
+      quizId: req.params.quizId,
+      instructorId: req.instructorProfile?.id,
+    });
+
+    res.status(500).json({
+      success: false,
+      message: "Failed to update quiz draw rules",
+      code: "INTERNAL_SERVER_ERROR",
+      meta: buildMeta(requestId, startTime),
+    });
+  }
+});
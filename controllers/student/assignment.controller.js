@@ -0,0 +1,612 @@
+import { PrismaClient, Prisma } from "@prisma/client";
+import asyncHandler from "express-async-handler";
+import redisService from "../../utils/redis.js";
+import notificationService from "../../utils/notificationservice.js";
+import { deleteFromCloudinary } from "../../config/upload.js";
+import { getDripStatus } from "../../helper/dripSchedule.js";
+import { buildRubricFeedback } from "../../helper/rubric.js";
+
+const prisma = new PrismaClient();
+
+const MAX_CONTENT_LENGTH = 50000;
+const MAX_LINKS = 10;
+const MAX_ATTACHMENTS = 10;
+
+// Students can only change a submission while it is a draft or after the
+// instructor has asked for a resubmission.
+const EDITABLE_STATUSES = ["DRAFT", "RESUBMIT_REQUESTED"];
+
+const generateRequestId = () => {
+  return `assignment_${Date.now()}_${Math.random().toString(36).substr(2, 9)}`;
+};
+
+const buildMeta = (requestId, startTime) => ({
+  requestId,
+  executionTime: Math.round(performance.now() - startTime),
+  timestamp: new Date().toISOString(),
+});
+
+const getResourceType = (mimeType) => {
+  if (mimeType?.startsWith("image/")) return "image";
+  if (mimeType?.startsWith("video/")) return "video";
+  return "raw";
+};
+
+const deleteFiles = async (files) => {
+  await Promise.allSettled(
+    files
+      .filter((file) => file.publicId)
+      .map(async (file) => {
+        try {
+          await deleteFromCloudinary(
+            file.publicId,
+            getResourceType(file.mimeType)
+          );
+        } catch (error) {
+          console.error(`Failed to cleanup file ${file.publicId}:`, error);
+        }
+      })
+  );
+};
+
+const toFileAttachments = (files = []) =>
+  files.map((file) => ({
+    type: "file",
+    filename: file.originalname,
+    url: file.path,
+    publicId: file.filename,
+    size: file.size,
+    mimeType: file.mimetype,
+    uploadedAt: new Date().toISOString(),
+  }));
+
+// Multipart bodies send arrays as JSON strings.
+const parseListField = (value) => {
+  if (value === undefined || value === null || value === "") return value;
+  if (Array.isArray(value)) return value;
+
+  try {
+    const parsed = JSON.parse(value);
+    return Array.isArray(parsed) ? parsed : [parsed];
+  } catch {
+    return [value];
+  }
+};
+
+const normalizeLinks = (links) => {
+  const normalized = [];
+
+  for (const link of links) {
+    const url = typeof link === "string" ? link : link?.url;
+    let parsed;
+
+    try {
+      parsed = new URL(String(url || "").trim());
+    } catch {
+      return { error: `Invalid link: ${url}` };
+    }
+
+    if (!["http:", "https:"].includes(parsed.protocol)) {
+      return { error: `Links must use http or https: ${url}` };
+    }
+
+    normalized.push({
+      type: "link",
+      url: parsed.toString(),
+      title:
+        typeof link === "object" && link.title
+          ? String(link.title).trim().slice(0, 200)
+          : null,
+    });
+  }
+
+  return { links: normalized };
+};
+
+const getSubmissionType = ({ content, files, links }) => {
+  const kinds = [
+    content ? "TEXT" : null,
+    files.length > 0 ? "FILE" : null,
+    links.length > 0 ? "URL" : null,
+  ].filter(Boolean);
+
+  if (kinds.length > 1) return "MIXED";
+  return kinds[0] || "TEXT";
+};
+
+const getDeadlineStatus = (assignment, now = new Date()) => {
+  const isPastDue = !!assignment.dueDate && now > assignment.dueDate;
+
+  return {
+    dueDate: assignment.dueDate,
+    isPastDue,
+    acceptingSubmissions: !isPastDue || assignment.allowLateSubmission,
+    latePenalty: assignment.latePenalty,
+  };
+};
+
+const formatSubmission = (submission, rubric) => {
+  if (!submission) return null;
+
+  const attachments = submission.attachments || [];
+
+  return {
+    id: submission.id,
+    status: submission.status,
+    submissionType: submission.submissionType,
+    content: submission.content,
+    files: attachments.filter((item) => item.type === "file"),
+    links: attachments.filter((item) => item.type === "link"),
+    isLate: submission.isLate,
+    attempts: submission.attempts,
+    timeSpent: submission.timeSpent,
+    submittedAt: submission.status === "DRAFT" ? null : submission.submittedAt,
+    grade: submission.grade,
+    feedback: submission.feedback,
+    rubricFeedback: buildRubricFeedback(rubric, submission.rubricScores),
+    gradedAt: submission.gradedAt,
+    updatedAt: submission.updatedAt,
+  };
+};
+
+const loadAssignment = async (assignmentId, studentId) => {
+  return await prisma.assignment.findUnique({
+    where: { id: assignmentId },
+    include: {
+      section: {
+        select: {
+          id: true,
+          title: true,
+          course: {
+            select: {
+              id: true,
+              title: true,
+              instructorId: true,
+              instructor: { select: { userId: true } },
+              enrollments: {
+                where: { studentId },
+                select: { id: true, status: true, createdAt: true },
+              },
+              courseSettings: {
+                select: { drip: true, dripSchedule: true },
+              },
+            },
+          },
+        },
+      },
+      submissions: {
+        where: { studentId },
+      },
+    },
+  });
+};
+
+const getAccessError = (assignment) => {
+  if (!assignment) {
+    return {
+      status: 404,
+      body: {
+        success: false,
+        message: "Assignment not found",
+        code: "ASSIGNMENT_NOT_FOUND",
+      },
+    };
+  }
+
+  const { course } = assignment.section;
+  const enrollment = course.enrollments[0];
+  if (!enrollment || enrollment.status !== "ACTIVE") {
+    return {
+      status: 403,
+      body: {
+        success: false,
+        message:
+          "You are not enrolled in this course or enrollment is not active",
+        code: "NOT_ENROLLED_OR_INACTIVE",
+      },
+    };
+  }
+
+  const drip = getDripStatus(course.courseSettings, enrollment.createdAt, {
+    sectionId: assignment.section.id,
+  });
+
+  if (drip.locked) {
+    return {
+      status: 403,
+      body: {
+        success: false,
+        message: "This assignment has not been released yet",
+        code: "CONTENT_LOCKED",
+        data: {
+          assignmentId: assignment.id,
+          availableAt: drip.availableAt,
+        },
+      },
+    };
+  }
+
+  return null;
+};
+
+export const getAssignment = asyncHandler(async (req, res) => {
+  const requestId = generateRequestId();
+  const startTime = performance.now();
+
+  try {
+    const assignment = await loadAssignment(
+      req.params.assignmentId,
+      req.studentProfile.id
+    );
+
+    const accessError = getAccessError(assignment);
+    if (accessError) {
+      return res.status(accessError.status).json({
+        ...accessError.body,
+        meta: buildMeta(requestId, startTime),
+      });
+    }
+
+    const submission = assignment.submissions[0] || null;
+    const deadline = getDeadlineStatus(assignment);
+    const isEditable =
+      !submission || EDITABLE_STATUSES.includes(submission.status);
+
+    res.status(200).json({
+      success: true,
+      message: "Assignment retrieved successfully",
+      data: {
+        assignment: {
+          id: assignment.id,
+          title: assignment.title,
+          description: assignment.description,
+          instructions: assignment.instructions,
+          dueDate: assignment.dueDate,
+          totalPoints: assignment.totalPoints,
+          resources: assignment.resources,
+          rubric: assignment.rubric,
+          allowLateSubmission: assignment.allowLateSubmission,
+          latePenalty: assignment.latePenalty,
+        },
+        course: {
+          id: assignment.section.course.id,
+          title: assignment.section.course.title,
+        },
+        section: {
+          id: assignment.section.id,
+          title: assignment.section.title,
+        },
+        deadline,
+        submission: formatSubmission(submission, assignment.rubric),
+        canSubmit:
+          isEditable &&
+          (deadline.acceptingSubmissions ||
+            submission?.status === "RESUBMIT_REQUESTED"),
+      },
+      meta: buildMeta(requestId, startTime),
+    });
+  } catch (error) {
+    console.error(`GET_ASSIGNMENT_ERROR [${requestId}]:`, {
+      error: error.message,
+      stack: error.stack,
+      assignmentId: req.params.assignmentId,
+      userId: req.userAuthId,
+    });
+
+    res.status(500).json({
+      success: false,
+      message: "Failed to retrieve assignment",
+      code: "INTERNAL_SERVER_ERROR",
+      meta: buildMeta(requestId, startTime),
+    });
+  }
+});
+
+// Drafts and final submissions share one row per student and assignment.
+// The request carries the full submission: `content`, `links`, any new files,
+// and `keepAttachments` listing the publicIds of earlier files to keep.
+// Omitted fields keep their saved value.
+const saveSubmission = async (req, { submit }) => {
+  const studentId = req.studentProfile.id;
+  const newFiles = toFileAttachments(req.files);
+  const fail = async (status, body) => {
+    await deleteFiles(newFiles);
+    return { status, body };
+  };
+
+  const assignment = await loadAssignment(req.params.assignmentId, studentId);
+
+  const accessError = getAccessError(assignment);
+  if (accessError) {
+    return await fail(accessError.status, accessError.body);
+  }
+
+  const existing = assignment.submissions[0] || null;
+  if (existing && !EDITABLE_STATUSES.includes(existing.status)) {
+    return await fail(409, {
+      success: false,
+      message:
+        existing.status === "GRADED"
+          ? "This assignment has already been graded"
+          : "This assignment has already been submitted",
+      code: "SUBMISSION_LOCKED",
+    });
+  }
+
+  // A resubmission requested by the instructor is accepted after the due
+  // date and keeps the lateness of the original submission.
+  const isResubmission = existing?.status === "RESUBMIT_REQUESTED";
+  const deadline = getDeadlineStatus(assignment);
+  if (!deadline.acceptingSubmissions && !isResubmission) {
+    return await fail(403, {
+      success: false,
+      message: "The due date for this assignment has passed",
+      code: "SUBMISSION_CLOSED",
+      data: { dueDate: assignment.dueDate },
+    });
+  }
+
+  const existingItems = existing?.attachments || [];
+
+  let content = existing?.content || null;
+  if (req.body.content !== undefined) {
+    content = String(req.body.content || "").trim() || null;
+  }
+  if (content && content.length > MAX_CONTENT_LENGTH) {
+    return await fail(400, {
+      success: false,
+      message: `Submission text cannot exceed ${MAX_CONTENT_LENGTH} characters`,
+      code: "VALIDATION_ERROR",
+    });
+  }
+
+  let links = existingItems.filter((item) => item.type === "link");
+  const requestedLinks = parseListField(req.body.links);
+  if (requestedLinks !== undefined) {
+    const result = normalizeLinks(requestedLinks || []);
+    if (result.error) {
+      return await fail(400, {
+        success: false,
+        message: result.error,
+        code: "VALIDATION_ERROR",
+      });
+    }
+    links = result.links;
+  }
+  if (links.length > MAX_LINKS) {
+    return await fail(400, {
+      success: false,
+      message: `A submission can include at most ${MAX_LINKS} links`,
+      code: "VALIDATION_ERROR",
+    });
+  }
+
+  const existingFiles = existingItems.filter((item) => item.type === "file");
+  const keepAttachments = parseListField(req.body.keepAttachments);
+  const keptFiles =
+    keepAttachments === undefined
+      ? existingFiles
+      : existingFiles.filter((file) =>
+          (keepAttachments || []).includes(file.publicId)
+        );
+  const removedFiles = existingFiles.filter(
+    (file) => !keptFiles.includes(file)
+  );
+  const files = [...keptFiles, ...newFiles];
+
+  if (files.length > MAX_ATTACHMENTS) {
+    return await fail(400, {
+      success: false,
+      message: `A submission can include at most ${MAX_ATTACHMENTS} files`,
+      code: "VALIDATION_ERROR",
+    });
+  }
+
+  if (submit && !content && files.length === 0 && links.length === 0) {
+    return await fail(400, {
+      success: false,
+      message: "Add text, a file or a link before submitting",
+      code: "EMPTY_SUBMISSION",
+    });
+  }
+
+  const timeSpent =
+    req.body.timeSpent !== undefined ? parseInt(req.body.timeSpent) : null;
+  const now = new Date();
+  const isLate = isResubmission ? existing.isLate : deadline.isPastDue;
+
+  const data = {
+    content,
+    attachments:
+      files.length + links.length > 0 ? [...files, ...links] : Prisma.DbNull,
+    submissionType: getSubmissionType({ content, files, links }),
+    ...(timeSpent > 0 && { timeSpent: (existing?.timeSpent || 0) + timeSpent }),
+  };
+
+  if (submit) {
+    Object.assign(data, {
+      status: isLate && !isResubmission ? "LATE_SUBMITTED" : "SUBMITTED",
+      isLate,
+      submittedAt: now,
+      attempts: isResubmission
+        ? existing.attempts + 1
+        : existing?.attempts || 1,
+      grade: null,
+      rubricScores: Prisma.DbNull,
+      gradedAt: null,
+      gradedBy: null,
+    });
+  } else if (!existing) {
+    data.status = "DRAFT";
+  }
+
+  let submission;
+  try {
+    if (existing) {
+      // Guard against the instructor grading between our read and write.
+      const { count } = await prisma.assignmentSubmission.updateMany({
+        where: { id: existing.id, status: { in: EDITABLE_STATUSES } },
+        data,
+      });
+      if (count === 0) {
+        return await fail(409, {
+          success: false,
+          message: "This submission can no longer be changed",
+          code: "SUBMISSION_LOCKED",
+        });
+      }
+      submission = await prisma.assignmentSubmission.findUnique({
+        where: { id: existing.id },
+      });
+    } else {
+      submission = await prisma.assignmentSubmission.create({
+        data: {
+          ...data,
+          assignmentId: assignment.id,
+          studentId,
+        },
+      });
+    }
+  } catch (error) {
+    if (error.code === "P2002") {
+      return await fail(409, {
+        success: false,
+        message: "A submission for this assignment is already being saved",
+        code: "SUBMISSION_CONFLICT",
+      });
+    }
+    await deleteFiles(newFiles);
+    throw error;
+  }
+
+  await deleteFiles(removedFiles);
+
+  if (submit) {
+    await notifyInstructor(req, assignment, submission, isResubmission);
+  }
+
+  await Promise.all([
+    redisService.delPattern(
+      `instructor:${assignment.section.course.instructorId}:students:*`
+    ),
+    redisService.delPattern(
+      `instructor:${assignment.section.course.instructorId}:student:${studentId}:*`
+    ),
+  ]);
+
+  return {
+    status: existing ? 200 : 201,
+    body: {
+      success: true,
+      message: submit
+        ? isResubmission
+          ? "Assignment resubmitted successfully"
+          : "Assignment submitted successfully"
+        : "Draft saved successfully",
+      data: {
+        submission: formatSubmission(submission, assignment.rubric),
+        deadline,
+      },
+    },
+  };
+};
+
+const notifyInstructor = async (
+  req,
+  assignment,
+  submission,
+  isResubmission
+) => {
+  const { course } = assignment.section;
+
+  try {
+    const student = await prisma.user.findUnique({
+      where: { id: req.userAuthId },
+      select: { firstName: true, lastName: true },
+    });
+    const studentName = student
+      ? `${student.firstName} ${student.lastName}`
+      : "A student";
+
+    await notificationService.createNotification({
+      userId: course.instructor.userId,
+      type: "ASSIGNMENT_SUBMITTED",
+      title: isResubmission
+        ? "Assignment Resubmitted"
+        : "New Assignment Submission",
+      message: `${studentName} ${
+        isResubmission ? "resubmitted" : "submitted"
+      } "${assignment.title}" in "${course.title}"${
+        submission.isLate ? " after the due date" : ""
+      }`,
+      priority: "NORMAL",
+      data: {
+        assignmentId: assignment.id,
+        submissionId: submission.id,
+        courseId: course.id,
+        studentId: submission.studentId,
+        isLate: submission.isLate,
+        attempt: submission.attempts,
+      },
+      actionUrl: `/instructor/courses/${course.id}/assignments/${assignment.id}/submissions`,
+    });
+  } catch (error) {
+    console.error("Failed to notify instructor of submission:", error);
+  }
+};
+
+export const saveAssignmentDraft = asyncHandler(async (req, res) => {
+  const requestId = generateRequestId();
+  const startTime = performance.now();
+
+  try {
+    const { status, body } = await saveSubmission(req, { submit: false });
+
+    res.status(status).json({
+      ...body,
+      meta: buildMeta(requestId, startTime),
+    });
+  } catch (error) {
+    console.error(`SAVE_ASSIGNMENT_DRAFT_ERROR [${requestId}]:`, {
+      error: error.message,
+      stack: error.stack,
+      assignmentId: req.params.assignmentId,
+      userId: req.userAuthId,
+    });
+
+    res.status(500).json({
+      success: false,
+      message: "Failed to save assignment draft",
+      code: "INTERNAL_SERVER_ERROR",
+      meta: buildMeta(requestId, startTime),
+    });
+  }
+});
+
+export const submitAssignment = asyncHandler(async (req, res) => {
+  const requestId = generateRequestId();
+  const startTime = performance.now();
+
+  try {
+    const { status, body } = await saveSubmission(req, { submit: true });
+
+    res.status(status).json({
+      ...body,
+      meta: buildMeta(requestId, startTime),
+    });
+  } catch (error) {
+    console.error(`SUBMIT_ASSIGNMENT_ERROR [${requestId}]:`, {
+      error: error.message,
+      stack: error.stack,
+      assignmentId: req.params.assignmentId,
+      userId: req.userAuthId,
+    });
+
+    res.status(500).json({
+      success: false,
+      message: "Failed to submit assignment",
+      code: "INTERNAL_SERVER_ERROR",
+      meta: buildMeta(requestId, startTime),
+    });
+  }
+});
@@ -1,6 +1,8 @@
 import { PrismaClient } from "@prisma/client";
 import asyncHandler from "express-async-handler";
 import redisService from "../../utils/redis.js";
+import taxService from "../../utils/taxService.js";
+import currencyService from "../../utils/currencyService.js";
 
 const prisma = new PrismaClient();
 
@@ -8,6 +10,65 @@ const generateRequestId = () => {
   return `cart_${Date.now()}_${Math.random().toString(36).substr(2, 9)}`;
 };
 
+// Cart prices and coupon discounts are stored in the base currency. For any
+// other currency they are re-priced the same way checkout will charge them.
+const localizeTotals = async (totals, currency) => {
+  const baseCurrency = currencyService.getBaseCurrency();
+  if (currency === baseCurrency) {
+    return { ...totals, currency };
+  }
+
+  const courses = totals.breakdown?.courses || [];
+  const pricing = await currencyService.priceCourses(
+    courses.map((course) => ({
+      id: course.id,
+      price: course.originalPrice,
+      discountPrice: course.currentPrice,
+    })),
+    currency
+  );
+
+  const subtotal = currencyService.roundAmount(
+    pricing.reduce((sum, price) => sum + price.effectivePrice, 0),
+    currency
+  );
+  const discount = currencyService.scaleDiscount(
+    totals.discount,
+    totals.subtotal,
+    subtotal,
+    currency
+  );
+
+  return {
+    ...totals,
+    subtotal,
+    discount,
+    total: currencyService.roundAmount(
+      Math.max(0, subtotal - discount),
+      currency
+    ),
+    savings: discount,
+    appliedCoupon: totals.appliedCoupon
+      ? { ...totals.appliedCoupon, discountAmount: discount }
+      : null,
+    breakdown: {
+      ...totals.breakdown,
+      courses: courses.map((course, index) => ({
+        ...course,
+        originalPrice: pricing[index].price,
+        currentPrice: pricing[index].effectivePrice,
+        discount: currencyService.roundAmount(
+          pricing[index].price - pricing[index].effectivePrice,
+          currency
+        ),
+      })),
+    },
+    currency,
+    baseCurrency,
+    baseTotal: totals.total,
+  };
+};
+
 export const addToCart = asyncHandler(async (req, res) => {
   const requestId = generateRequestId();
   const startTime = performance.now();
@@ -334,16 +395,27 @@ export const getCart = asyncHandler(async (req, res) => {
       }
     }
 
-    const formattedCartItems = cartItems.map((item) => ({
+    const currency = await currencyService.resolveCurrency(req);
+    const isBaseCurrency = currency === currencyService.getBaseCurrency();
+    const pricing = isBaseCurrency
+      ? []
+      : await currencyService.priceCourses(
+          cartItems.map((item) => item.course),
+          currency
+        );
+
+    const formattedCartItems = cartItems.map((item, index) => ({
       id: item.id,
-      price: item.price,
+      price: isBaseCurrency ? item.price : pricing[index].effectivePrice,
       addedAt: item.createdAt,
       course: {
         id: item.course.id,
         title: item.course.title,
         slug: item.course.slug,
-        price: item.course.price,
-        discountPrice: item.course.discountPrice,
+        price: isBaseCurrency ? item.course.price : pricing[index].price,
+        discountPrice: isBaseCurrency
+          ? item.course.discountPrice
+          : pricing[index].discountPrice,
         thumbnail: item.course.thumbnail,
         averageRating: item.course.averageRating,
         totalRatings: item.course.totalRatings,
@@ -355,9 +427,9 @@ export const getCart = asyncHandler(async (req, res) => {
       },
     }));
 
-    const subtotal = cartItems.reduce(
-      (sum, item) => sum + Number(item.price),
-      0
+    const subtotal = currencyService.roundAmount(
+      formattedCartItems.reduce((sum, item) => sum + Number(item.price), 0),
+      currency
     );
 
     const executionTime = performance.now() - startTime;
@@ -370,6 +442,7 @@ export const getCart = asyncHandler(async (req, res) => {
         summary: {
           totalItems: cartItems.length,
           subtotal: subtotal,
+          currency,
           isEmpty: cartItems.length === 0,
         },
       },
@@ -657,8 +730,21 @@ export const applyCoupon = asyncHandler(async (req, res) => {
 
     await redisService.del(`cart_totals:${req.userAuthId}`);
 
-    const finalTotal = Math.max(0, cartTotal - discountAmount);
-    const savings = discountAmount;
+    const totals = await localizeTotals(
+      {
+        subtotal: cartTotal,
+        discount: discountAmount,
+        total: Math.max(0, cartTotal - discountAmount),
+        breakdown: {
+          courses: cartItems.map((item) => ({
+            id: item.course.id,
+            originalPrice: item.course.price,
+            currentPrice: item.price,
+          })),
+        },
+      },
+      await currencyService.resolveCurrency(req)
+    );
 
     const executionTime = performance.now() - startTime;
 
@@ -671,14 +757,15 @@ export const applyCoupon = asyncHandler(async (req, res) => {
           title: coupon.title,
           type: coupon.type,
           value: coupon.value,
-          discountAmount: discountAmount,
+          discountAmount: totals.discount,
           applicableCourses: applicableCourses.length,
         },
         totals: {
-          subtotal: cartTotal,
-          discount: discountAmount,
-          total: finalTotal,
-          savings: savings,
+          subtotal: totals.subtotal,
+          discount: totals.discount,
+          total: totals.total,
+          savings: totals.discount,
+          currency: totals.currency,
         },
       },
       meta: {
@@ -990,6 +1077,37 @@ export const getCartTotals = asyncHandler(async (req, res) => {
       }
     }
 
+    // Currency and tax depend on the buyer, so both are applied on top of the
+    // cached pre-tax base-currency totals on every request.
+    totals = await localizeTotals(
+      totals,
+      await currencyService.resolveCurrency(req)
+    );
+
+    const { country = req.userProfile?.country, state, taxId } = req.query;
+    const taxSnapshot = await taxService.calculate({
+      amount: totals.total,
+      country,
+      state,
+      taxId,
+    });
+
+    totals = {
+      ...totals,
+      taxableAmount: taxSnapshot.taxableAmount,
+      tax: {
+        name: taxSnapshot.taxName,
+        rate: taxSnapshot.rate,
+        pricingMode: taxSnapshot.pricingMode,
+        amount: taxSnapshot.taxAmount,
+        reverseCharge: taxSnapshot.reverseCharge,
+        taxIdValid: taxId ? taxSnapshot.taxIdValid : null,
+        country: taxSnapshot.country,
+        state: taxSnapshot.state,
+      },
+      total: taxSnapshot.totalAmount,
+    };
+
     const executionTime = performance.now() - startTime;
 
     res.status(200).json({
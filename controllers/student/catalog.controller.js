@@ -1,12 +1,38 @@
 import { PrismaClient } from "@prisma/client";
 import asyncHandler from "express-async-handler";
 import redisService from "../../utils/redis.js";
+import currencyService from "../../utils/currencyService.js";
 
 const prisma = new PrismaClient();
 
 const generateRequestId = () =>
   `catalog_${Date.now()}_${Math.random().toString(36).substr(2, 9)}`;
 
+// Cached catalog payloads hold base-currency prices; conversion happens on the
+// way out so one cache entry serves every currency.
+const localizeCourseDetails = async (result, currency) => {
+  const [course] = await currencyService.localizeCourses(
+    [result.course],
+    currency
+  );
+
+  return {
+    ...result,
+    course,
+    relatedCourses: await currencyService.localizeCourses(
+      result.relatedCourses,
+      currency
+    ),
+    currency,
+  };
+};
+
+const localizeCourseList = async (result, currency) => ({
+  ...result,
+  courses: await currencyService.localizeCourses(result.courses, currency),
+  currency,
+});
+
 export const getCourseById = asyncHandler(async (req, res) => {
   const requestId = generateRequestId();
   const startTime = performance.now();
@@ -23,6 +49,7 @@ export const getCourseById = asyncHandler(async (req, res) => {
       });
     }
 
+    const currency = await currencyService.resolveCurrency(req);
     const cacheKey = `course_details:${courseId}:${userId || "anonymous"}`;
 
     let cachedResult = await redisService.get(cacheKey);
@@ -36,7 +63,7 @@ export const getCourseById = asyncHandler(async (req, res) => {
         return res.status(200).json({
           success: true,
           message: "Course retrieved successfully",
-          data: parsedResult,
+          data: await localizeCourseDetails(parsedResult, currency),
           meta: {
             requestId,
             executionTime: Math.round(executionTime),
@@ -649,7 +676,7 @@ export const getCourseById = asyncHandler(async (req, res) => {
     res.status(200).json({
       success: true,
       message: "Course retrieved successfully",
-      data: result,
+      data: await localizeCourseDetails(result, currency),
       meta: {
         requestId,
         executionTime: Math.round(executionTime),
@@ -680,6 +707,53 @@ export const getCourseById = asyncHandler(async (req, res) => {
   }
 });
 
+export const getSupportedCurrencies = asyncHandler(async (req, res) => {
+  const requestId = generateRequestId();
+  const startTime = performance.now();
+
+  try {
+    const [currencies, selected] = await Promise.all([
+      currencyService.getSupportedCurrencies(),
+      currencyService.resolveCurrency(req),
+    ]);
+
+    const executionTime = performance.now() - startTime;
+
+    res.status(200).json({
+      success: true,
+      message: "Currencies retrieved successfully",
+      data: {
+        baseCurrency: currencyService.getBaseCurrency(),
+        selected,
+        currencies,
+      },
+      meta: {
+        requestId,
+        executionTime: Math.round(executionTime),
+        timestamp: new Date().toISOString(),
+      },
+    });
+  } catch (error) {
+    console.error(`GET_CURRENCIES_ERROR [${requestId}]:`, {
+      error: error.message,
+      stack: error.stack,
+    });
+
+    const executionTime = performance.now() - startTime;
+
+    res.status(500).json({
+      success: false,
+      message: "Failed to retrieve currencies",
+      code: "INTERNAL_SERVER_ERROR",
+      meta: {
+        requestId,
+        executionTime: Math.round(executionTime),
+        timestamp: new Date().toISOString(),
+      },
+    });
+  }
+});
+
 export const getAllPublicCourses = asyncHandler(async (req, res) => {
   const requestId = generateRequestId();
   const startTime = performance.now();
@@ -707,13 +781,22 @@ export const getAllPublicCourses = asyncHandler(async (req, res) => {
     const pageNumber = Math.max(parseInt(page), 1);
     const skip = (pageNumber - 1) * pageSize;
 
+    // Price filters arrive in the display currency but match base prices.
+    const currency = await currencyService.resolveCurrency(req);
+    const basePriceMin = priceMin
+      ? await currencyService.toBase(priceMin, currency)
+      : null;
+    const basePriceMax = priceMax
+      ? await currencyService.toBase(priceMax, currency)
+      : null;
+
     const cacheKey = `public_courses:${pageSize}:${pageNumber}:${level || ""}:${
       categoryId || ""
     }:${subcategoryId || ""}:${search || ""}:${sortBy}:${sortOrder}:${
-      priceMin || ""
-    }:${priceMax || ""}:${rating || ""}:${language || ""}:${featured || ""}:${
-      bestseller || ""
-    }:${trending || ""}`;
+      basePriceMin ?? ""
+    }:${basePriceMax ?? ""}:${rating || ""}:${language || ""}:${
+      featured || ""
+    }:${bestseller || ""}:${trending || ""}`;
 
     let cachedResult = await redisService.get(cacheKey);
     if (cachedResult) {
@@ -726,7 +809,7 @@ export const getAllPublicCourses = asyncHandler(async (req, res) => {
         return res.status(200).json({
           success: true,
           message: "Courses retrieved successfully",
-          data: parsedResult,
+          data: await localizeCourseList(parsedResult, currency),
           meta: {
             requestId,
             executionTime: Math.round(executionTime),
@@ -752,10 +835,10 @@ export const getAllPublicCourses = asyncHandler(async (req, res) => {
     if (bestseller === "true") whereClause.bestseller = true;
     if (trending === "true") whereClause.trending = true;
 
-    if (priceMin || priceMax) {
+    if (basePriceMin !== null || basePriceMax !== null) {
       whereClause.price = {};
-      if (priceMin) whereClause.price.gte = parseFloat(priceMin);
-      if (priceMax) whereClause.price.lte = parseFloat(priceMax);
+      if (basePriceMin !== null) whereClause.price.gte = basePriceMin;
+      if (basePriceMax !== null) whereClause.price.lte = basePriceMax;
     }
 
     if (rating) {
@@ -1025,7 +1108,7 @@ export const getAllPublicCourses = asyncHandler(async (req, res) => {
     res.status(200).json({
       success: true,
       message: "Courses retrieved successfully",
-      data: result,
+      data: await localizeCourseList(result, currency),
       meta: {
         requestId,
         executionTime: Math.round(executionTime),
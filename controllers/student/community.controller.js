@@ -3,6 +3,7 @@ import asyncHandler from "express-async-handler";
 import redisService from "../../utils/redis.js";
 import notificationService from "../../utils/notificationservice.js";
 import socketManager from "../../utils/socket-io.js";
+import gamificationService from "../../utils/gamificationService.js";
 
 const prisma = new PrismaClient();
 
@@ -511,6 +512,12 @@ export const createReview = asyncHandler(async (req, res) => {
     await updateCourseRating(courseId);
     await invalidateCommunityCache(courseId);
 
+    gamificationService.trackEvent("REVIEW_WRITTEN", {
+      studentId: studentProfile.id,
+      courseId,
+      sourceId: review.id,
+    });
+
     await notificationService.createNotification({
       userId: course.instructor.userId,
       type: "NEW_REVIEW",
@@ -1355,6 +1362,12 @@ export const askQuestion = asyncHandler(async (req, res) => {
 
     await invalidateCommunityCache(courseId);
 
+    gamificationService.trackEvent("QUESTION_ASKED", {
+      studentId: req.studentProfile.id,
+      courseId,
+      sourceId: question.id,
+    });
+
     await notificationService.createNotification({
       userId: enrollment.course.instructor.userId,
       type: "QNA_QUESTION",
@@ -1751,6 +1764,12 @@ export const rateCourse = asyncHandler(async (req, res) => {
     await updateCourseRating(courseId);
     await invalidateCommunityCache(courseId);
 
+    gamificationService.trackEvent("REVIEW_WRITTEN", {
+      studentId: studentProfile.id,
+      courseId,
+      sourceId: review.id,
+    });
+
     await notificationService.createNotification({
       userId: course.instructor.userId,
       type: "NEW_REVIEW",
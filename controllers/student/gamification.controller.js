@@ -0,0 +1,313 @@
+import { PrismaClient } from "@prisma/client";
+import asyncHandler from "express-async-handler";
+import redisService from "../../utils/redis.js";
+import gamificationService from "../../utils/gamificationService.js";
+
+const prisma = new PrismaClient();
+
+const LEADERBOARD_PERIODS = ["all", "month", "week"];
+
+const generateRequestId = () => {
+  return `gamification_${Date.now()}_${Math.random()
+    .toString(36)
+    .substr(2, 9)}`;
+};
+
+const buildMeta = (requestId, startTime, extra = {}) => ({
+  requestId,
+  executionTime: Math.round(performance.now() - startTime),
+  timestamp: new Date().toISOString(),
+  ...extra,
+});
+
+const parseLeaderboardQuery = (query) => {
+  const period = query.period || "all";
+  const limit = Math.min(Math.max(parseInt(query.limit) || 20, 1), 100);
+
+  if (!LEADERBOARD_PERIODS.includes(period)) {
+    return {
+      error: `Period must be one of ${LEADERBOARD_PERIODS.join(", ")}`,
+    };
+  }
+
+  return { period, limit };
+};
+
+export const getGamificationProfile = asyncHandler(async (req, res) => {
+  const requestId = generateRequestId();
+  const startTime = performance.now();
+
+  try {
+    const studentId = req.studentProfile.id;
+    const cacheKey = `gamification_profile:${studentId}`;
+
+    const cached = await redisService.getJSON(cacheKey);
+    if (cached) {
+      return res.status(200).json({
+        success: true,
+        message: "Gamification profile retrieved successfully",
+        data: cached,
+        meta: buildMeta(requestId, startTime, { cached: true }),
+      });
+    }
+
+    const [student, rank, recentPoints, unlockedCount, pointsByReason] =
+      await Promise.all([
+        prisma.student.findUnique({
+          where: { id: studentId },
+          select: {
+            totalPoints: true,
+            currentStreak: true,
+            longestStreak: true,
+            lastActivityDate: true,
+          },
+        }),
+        gamificationService.getStudentRank(studentId),
+        prisma.pointTransaction.findMany({
+          where: { studentId },
+          orderBy: { createdAt: "desc" },
+          take: 20,
+          select: {
+            id: true,
+            points: true,
+            reason: true,
+            courseId: true,
+            createdAt: true,
+          },
+        }),
+        prisma.achievement.count({ where: { studentId, isUnlocked: true } }),
+        prisma.pointTransaction.groupBy({
+          by: ["reason"],
+          where: { studentId },
+          _sum: { points: true },
+        }),
+      ]);
+
+    const profile = {
+      totalPoints: student.totalPoints,
+      rank: rank?.rank || null,
+      streak: {
+        current: student.currentStreak,
+        longest: student.longestStreak,
+        lastActivityDate: student.lastActivityDate,
+      },
+      achievementsUnlocked: unlockedCount,
+      pointsBreakdown: pointsByReason.reduce((acc, row) => {
+        acc[row.reason] = row._sum.points || 0;
+        return acc;
+      }, {}),
+      pointValues: gamificationService.getPointValues(),
+      recentPoints,
+    };
+
+    await redisService.setJSON(cacheKey, profile, { ex: 300 });
+
+    res.status(200).json({
+      success: true,
+      message: "Gamification profile retrieved successfully",
+      data: profile,
+      meta: buildMeta(requestId, startTime),
+    });
+  } catch (error) {
+    console.error(`GET_GAMIFICATION_PROFILE_ERROR [${requestId}]:`, {
+      error: error.message,
+      stack: error.stack,
+      studentId: req.studentProfile?.id,
+    });
+
+    res.status(500).json({
+      success: false,
+      message: "Failed to retrieve gamification profile",
+      code: "INTERNAL_SERVER_ERROR",
+      meta: buildMeta(requestId, startTime),
+    });
+  }
+});
+
+export const getMyAchievements = asyncHandler(async (req, res) => {
+  const requestId = generateRequestId();
+  const startTime = performance.now();
+
+  try {
+    const result = await gamificationService.getAchievementProgress(
+      req.studentProfile.id
+    );
+
+    res.status(200).json({
+      success: true,
+      message: "Achievements retrieved successfully",
+      data: {
+        unlocked: result.unlocked.map((achievement) => ({
+          id: achievement.id,
+          title: achievement.title,
+          description: achievement.description,
+          icon: achievement.icon,
+          points: achievement.points,
+          type: achievement.type,
+          unlockedAt: achievement.unlockedAt,
+        })),
+        locked: result.locked,
+        summary: {
+          unlocked: result.unlocked.length,
+          total: result.unlocked.length + result.locked.length,
+          pointsFromAchievements: result.unlocked.reduce(
+            (sum, achievement) => sum + achievement.points,
+            0
+          ),
+        },
+      },
+      meta: buildMeta(requestId, startTime),
+    });
+  } catch (error) {
+    console.error(`GET_MY_ACHIEVEMENTS_ERROR [${requestId}]:`, {
+      error: error.message,
+      stack: error.stack,
+      studentId: req.studentProfile?.id,
+    });
+
+    res.status(500).json({
+      success: false,
+      message: "Failed to retrieve achievements",
+      code: "INTERNAL_SERVER_ERROR",
+      meta: buildMeta(requestId, startTime),
+    });
+  }
+});
+
+export const getPlatformLeaderboard = asyncHandler(async (req, res) => {
+  const requestId = generateRequestId();
+  const startTime = performance.now();
+
+  try {
+    const { period, limit, error } = parseLeaderboardQuery(req.query);
+    if (error) {
+      return res.status(400).json({
+        success: false,
+        message: error,
+        code: "VALIDATION_ERROR",
+      });
+    }
+
+    const cacheKey = `leaderboard:platform:${period}:${limit}`;
+    let leaderboard = await redisService.getJSON(cacheKey);
+
+    if (!leaderboard) {
+      leaderboard = await gamificationService.getPlatformLeaderboard({
+        period,
+        limit,
+      });
+      await redisService.setJSON(cacheKey, leaderboard, { ex: 300 });
+    }
+
+    const myRank = await gamificationService.getStudentRank(
+      req.studentProfile.id,
+      { period }
+    );
+
+    res.status(200).json({
+      success: true,
+      message: "Leaderboard retrieved successfully",
+      data: {
+        period,
+        leaderboard: leaderboard.map((entry) => ({
+          ...entry,
+          isMe: entry.studentId === req.studentProfile.id,
+        })),
+        me: myRank,
+      },
+      meta: buildMeta(requestId, startTime),
+    });
+  } catch (error) {
+    console.error(`GET_PLATFORM_LEADERBOARD_ERROR [${requestId}]:`, {
+      error: error.message,
+      stack: error.stack,
+      studentId: req.studentProfile?.id,
+      query: req.query,
+    });
+
+    res.status(500).json({
+      success: false,
+      message: "Failed to retrieve leaderboard",
+      code: "INTERNAL_SERVER_ERROR",
+      meta: buildMeta(requestId, startTime),
+    });
+  }
+});
+
+export const getCourseLeaderboard = asyncHandler(async (req, res) => {
+  const requestId = generateRequestId();
+  const startTime = performance.now();
+
+  try {
+    const { courseId } = req.params;
+    const { period, limit, error } = parseLeaderboardQuery(req.query);
+    if (error) {
+      return res.status(400).json({
+        success: false,
+        message: error,
+        code: "VALIDATION_ERROR",
+      });
+    }
+
+    const enrollment = await prisma.enrollment.findUnique({
+      where: {
+        studentId_courseId: { studentId: req.studentProfile.id, courseId },
+      },
+      select: { id: true },
+    });
+
+    if (!enrollment) {
+      return res.status(403).json({
+        success: false,
+        message: "You are not enrolled in this course",
+        code: "NOT_ENROLLED",
+      });
+    }
+
+    const cacheKey = `leaderboard:course:${courseId}:${period}:${limit}`;
+    let leaderboard = await redisService.getJSON(cacheKey);
+
+    if (!leaderboard) {
+      leaderboard = await gamificationService.getWindowedLeaderboard({
+        period,
+        limit,
+        courseId,
+      });
+      await redisService.setJSON(cacheKey, leaderboard, { ex: 300 });
+    }
+
+    const myRank = await gamificationService.getStudentRank(
+      req.studentProfile.id,
+      { period, courseId }
+    );
+
+    res.status(200).json({
+      success: true,
+      message: "Course leaderboard retrieved successfully",
+      data: {
+        courseId,
+        period,
+        leaderboard: leaderboard.map((entry) => ({
+          ...entry,
+          isMe: entry.studentId === req.studentProfile.id,
+        })),
+        me: myRank,
+      },
+      meta: buildMeta(requestId, startTime),
+    });
+  } catch (error) {
+    console.error(`GET_COURSE_LEADERBOARD_ERROR [${requestId}]:`, {
+      error: error.message,
+      stack: error.stack,
+      courseId: req.params.courseId,
+      studentId: req.studentProfile?.id,
+    });
+
+    res.status(500).json({
+      success: false,
+      message: "Failed to retrieve course leaderboard",
+      code: "INTERNAL_SERVER_ERROR",
+      meta: buildMeta(requestId, startTime),
+    });
+  }
+});
@@ -3,6 +3,29 @@ import asyncHandler from "express-async-handler";
 import redisService from "../../utils/redis.js";
 import notificationService from "../../utils/notificationservice.js";
 import socketManager from "../../utils/socket-io.js";
+import certificateService from "../../utils/certificateService.js";
+import gamificationService from "../../utils/gamificationService.js";
+import {
+  getDripStatus,
+  getNextReleaseDate,
+} from "../../helper/dripSchedule.js";
+import {
+  isSequentialProgressEnabled,
+  buildProgressSequence,
+  evaluatePrerequisites,
+  getBlockingPrerequisite,
+  buildPrerequisiteError,
+} from "../../helper/sequentialProgress.js";
+import { refreshStudyPlansForCourse } from "../../helper/studyPlan.js";
+import { gradeAnswer, scoreAttempt } from "../../helper/quizGrading.js";
+import {
+  formatCodeResults,
+  toPublicCodeChallenge,
+  queuedCodeResults,
+  isQueuedCodeResults,
+} from "../../helper/codeChallenge.js";
+import codeGradingService from "../../utils/codeGradingService.js";
+import questionBankService from "../../utils/questionBankService.js";
 
 const prisma = new PrismaClient();
 
@@ -348,7 +371,15 @@ export const getCourseContent = asyncHandler(async (req, res) => {
                       take: 1,
                     },
                     _count: {
-                      select: { questions: true },
+                      select: {
+                        questions: true,
+                        attempts: {
+                          where: {
+                            studentId: req.studentProfile.id,
+                            isPassed: true,
+                          },
+                        },
+                      },
                     },
                   },
                 },
@@ -395,41 +426,110 @@ export const getCourseContent = asyncHandler(async (req, res) => {
 
     const course = enrollment.course;
     const progress = enrollment.courseProgress;
+    const now = new Date();
+    const releaseDates = [];
+
+    const prerequisites = isSequentialProgressEnabled(course.courseSettings)
+      ? evaluatePrerequisites(
+          buildProgressSequence(
+            course.sections.map((section) => ({
+              ...section,
+              lessons: section.lessons.map((lesson) => ({
+                ...lesson,
+                isCompleted: lesson.completions.length > 0,
+              })),
+              quizzes: section.quizzes.map((quiz) => ({
+                ...quiz,
+                isPassed: quiz._count.attempts > 0,
+              })),
+            }))
+          )
+        )
+      : new Map();
 
     const sectionsWithProgress = course.sections.map((section) => {
-      const lessons = section.lessons.map((lesson) => ({
-        id: lesson.id,
-        title: lesson.title,
-        description: lesson.description,
-        order: lesson.order,
-        duration: lesson.duration,
-        type: lesson.type,
-        isFree: lesson.isFree,
-        isPreview: lesson.isPreview,
-        isCompleted: lesson.completions.length > 0,
-        completedAt: lesson.completions[0]?.completedAt || null,
-        timeSpent: lesson.completions[0]?.timeSpent || 0,
-        watchTime: lesson.completions[0]?.watchTime || 0,
-        hasBookmarks: lesson.bookmarks.length > 0,
-        attachmentsCount: lesson.attachments.length,
-        canAccess:
-          lesson.isFree || lesson.isPreview || enrollment.status === "ACTIVE",
-      }));
+      const sectionDrip = getDripStatus(
+        course.courseSettings,
+        enrollment.createdAt,
+        { sectionId: section.id },
+        now
+      );
+      releaseDates.push(sectionDrip.availableAt);
+
+      const lessons = section.lessons.map((lesson) => {
+        const lessonDrip = getDripStatus(
+          course.courseSettings,
+          enrollment.createdAt,
+          { sectionId: section.id, lessonId: lesson.id },
+          now
+        );
+        releaseDates.push(lessonDrip.availableAt);
+        const blockingPrerequisite =
+          prerequisites.get(`lesson:${lesson.id}`) || null;
+        const locked = lessonDrip.locked || !!blockingPrerequisite;
 
-      const quizzes = section.quizzes.map((quiz) => ({
-        id: quiz.id,
-        title: quiz.title,
-        description: quiz.description,
-        order: quiz.order,
-        duration: quiz.duration,
-        passingScore: quiz.passingScore,
-        maxAttempts: quiz.maxAttempts,
-        questionsCount: quiz._count.questions,
-        isRequired: quiz.isRequired,
-        hasAttempt: quiz.attempts.length > 0,
-        lastAttempt: quiz.attempts[0] || null,
-        canAccess: enrollment.status === "ACTIVE",
-      }));
+        return {
+          id: lesson.id,
+          title: lesson.title,
+          description: lesson.description,
+          order: lesson.order,
+          duration: lesson.duration,
+          type: lesson.type,
+          isFree: lesson.isFree,
+          isPreview: lesson.isPreview,
+          isCompleted: lesson.completions.length > 0,
+          completedAt: lesson.completions[0]?.completedAt || null,
+          timeSpent: lesson.completions[0]?.timeSpent || 0,
+          watchTime: lesson.completions[0]?.watchTime || 0,
+          hasBookmarks: lesson.bookmarks.length > 0,
+          attachmentsCount: lesson.attachments.length,
+          locked,
+          lockReason: lessonDrip.locked
+            ? "DRIP"
+            : blockingPrerequisite
+            ? "PREREQUISITE"
+            : null,
+          availableAt: lessonDrip.availableAt,
+          blockingPrerequisite,
+          canAccess:
+            !locked &&
+            (lesson.isFree ||
+              lesson.isPreview ||
+              enrollment.status === "ACTIVE"),
+        };
+      });
+
+      const quizzes = section.quizzes.map((quiz) => {
+        const blockingPrerequisite =
+          prerequisites.get(`quiz:${quiz.id}`) || null;
+        const locked = sectionDrip.locked || !!blockingPrerequisite;
+
+        return {
+          id: quiz.id,
+          title: quiz.title,
+          description: quiz.description,
+          order: quiz.order,
+          duration: quiz.duration,
+          passingScore: quiz.passingScore,
+          maxAttempts: quiz.maxAttempts,
+          questionsCount: quiz.drawRules
+            ? quiz.drawRules.reduce((sum, rule) => sum + rule.count, 0)
+            : quiz._count.questions,
+          isRequired: quiz.isRequired,
+          hasAttempt: quiz.attempts.length > 0,
+          hasPassed: quiz._count.attempts > 0,
+          lastAttempt: quiz.attempts[0] || null,
+          locked,
+          lockReason: sectionDrip.locked
+            ? "DRIP"
+            : blockingPrerequisite
+            ? "PREREQUISITE"
+            : null,
+          availableAt: sectionDrip.availableAt,
+          blockingPrerequisite,
+          canAccess: !locked && enrollment.status === "ACTIVE",
+        };
+      });
 
       const assignments = section.assignments.map((assignment) => ({
         id: assignment.id,
@@ -440,7 +540,10 @@ export const getCourseContent = asyncHandler(async (req, res) => {
         totalPoints: assignment.totalPoints,
         hasSubmission: assignment.submissions.length > 0,
         lastSubmission: assignment.submissions[0] || null,
-        canAccess: enrollment.status === "ACTIVE",
+        locked: sectionDrip.locked,
+        lockReason: sectionDrip.locked ? "DRIP" : null,
+        availableAt: sectionDrip.availableAt,
+        canAccess: !sectionDrip.locked && enrollment.status === "ACTIVE",
       }));
 
       const totalItems = lessons.length + quizzes.length + assignments.length;
@@ -460,6 +563,8 @@ export const getCourseContent = asyncHandler(async (req, res) => {
         isRequired: section.isRequired,
         isFree: section.isFree,
         estimatedTime: section.estimatedTime,
+        locked: sectionDrip.locked,
+        availableAt: sectionDrip.availableAt,
         totalItems,
         completedItems,
         progressPercentage:
@@ -543,6 +648,7 @@ export const getCourseContent = asyncHandler(async (req, res) => {
           }
         : null,
       nextContent,
+      nextReleaseAt: getNextReleaseDate(releaseDates, now),
     };
 
     const executionTime = performance.now() - startTime;
@@ -558,7 +664,14 @@ export const getCourseContent = asyncHandler(async (req, res) => {
       },
     };
 
-    await redisService.setCache(cacheKey, response, 600);
+    const cacheTtl = result.nextReleaseAt
+      ? Math.max(
+          1,
+          Math.min(600, Math.ceil((result.nextReleaseAt - now) / 1000))
+        )
+      : 600;
+
+    await redisService.setCache(cacheKey, response, cacheTtl);
 
     res.status(200).json(response);
   } catch (error) {
@@ -621,6 +734,13 @@ export const accessLesson = asyncHandler(async (req, res) => {
                 enrollments: {
                   where: { studentId: req.studentProfile.id },
                 },
+                courseSettings: {
+                  select: {
+                    drip: true,
+                    dripSchedule: true,
+                    sequentialProgress: true,
+                  },
+                },
                 instructor: {
                   include: {
                     user: {
@@ -688,6 +808,40 @@ export const accessLesson = asyncHandler(async (req, res) => {
       });
     }
 
+    const lessonDrip = getDripStatus(
+      lesson.section.course.courseSettings,
+      enrollment.createdAt,
+      { sectionId: lesson.section.id, lessonId: lesson.id }
+    );
+
+    if (lessonDrip.locked) {
+      return res.status(403).json({
+        success: false,
+        message: "This lesson has not been released yet",
+        code: "CONTENT_LOCKED",
+        data: {
+          lessonId: lesson.id,
+          availableAt: lessonDrip.availableAt,
+        },
+      });
+    }
+
+    if (!lesson.isFree && !lesson.isPreview) {
+      const blockingPrerequisite = await getBlockingPrerequisite({
+        courseId: lesson.section.course.id,
+        studentId: req.studentProfile.id,
+        courseSettings: lesson.section.course.courseSettings,
+        type: "lesson",
+        id: lesson.id,
+      });
+
+      if (blockingPrerequisite) {
+        return res
+          .status(403)
+          .json(buildPrerequisiteError("lesson", blockingPrerequisite));
+      }
+    }
+
     await prisma.enrollment.update({
       where: { id: enrollment.id },
       data: { lastAccessedAt: new Date() },
@@ -751,7 +905,12 @@ export const accessLesson = asyncHandler(async (req, res) => {
               duration: lesson.postLessonQuiz.duration,
               passingScore: lesson.postLessonQuiz.passingScore,
               maxAttempts: lesson.postLessonQuiz.maxAttempts,
-              questionsCount: lesson.postLessonQuiz._count.questions,
+              questionsCount: lesson.postLessonQuiz.drawRules
+                ? lesson.postLessonQuiz.drawRules.reduce(
+                    (sum, rule) => sum + rule.count,
+                    0
+                  )
+                : lesson.postLessonQuiz._count.questions,
               hasAttempt: lesson.postLessonQuiz.attempts.length > 0,
               lastAttempt: lesson.postLessonQuiz.attempts[0] || null,
             }
@@ -830,6 +989,13 @@ export const completeLesson = asyncHandler(async (req, res) => {
                 enrollments: {
                   where: { studentId: req.studentProfile.id },
                 },
+                courseSettings: {
+                  select: {
+                    drip: true,
+                    dripSchedule: true,
+                    sequentialProgress: true,
+                  },
+                },
               },
             },
           },
@@ -855,6 +1021,40 @@ export const completeLesson = asyncHandler(async (req, res) => {
       });
     }
 
+    const lessonDrip = getDripStatus(
+      lesson.section.course.courseSettings,
+      enrollment.createdAt,
+      { sectionId: lesson.section.id, lessonId: lesson.id }
+    );
+
+    if (lessonDrip.locked) {
+      return res.status(403).json({
+        success: false,
+        message: "This lesson has not been released yet",
+        code: "CONTENT_LOCKED",
+        data: {
+          lessonId: lesson.id,
+          availableAt: lessonDrip.availableAt,
+        },
+      });
+    }
+
+    if (!lesson.isFree && !lesson.isPreview) {
+      const blockingPrerequisite = await getBlockingPrerequisite({
+        courseId: lesson.section.course.id,
+        studentId: req.studentProfile.id,
+        courseSettings: lesson.section.course.courseSettings,
+        type: "lesson",
+        id: lesson.id,
+      });
+
+      if (blockingPrerequisite) {
+        return res
+          .status(403)
+          .json(buildPrerequisiteError("lesson", blockingPrerequisite));
+      }
+    }
+
     const lessonStartedAt =
       enrollment.lastAccessedAt || enrollment.createdAt || new Date();
     const timeSpentCalculated = Math.round(
@@ -930,6 +1130,21 @@ export const completeLesson = asyncHandler(async (req, res) => {
       progressData
     );
 
+    if (!existingCompletion) {
+      gamificationService.trackEvent("LESSON_COMPLETED", {
+        studentId: req.studentProfile.id,
+        courseId: lesson.section.course.id,
+        sourceId: lessonId,
+      });
+
+      refreshStudyPlansForCourse(
+        req.studentProfile.id,
+        lesson.section.course.id
+      ).catch((error) =>
+        console.error(`STUDY_PLAN_REFRESH_ERROR [${requestId}]:`, error.message)
+      );
+    }
+
     await invalidateUserCache(req.userAuthId, [
       `lesson:*lessonId=${lessonId}*`,
       `course_content:*courseId=${lesson.section.course.id}*`,
@@ -1016,6 +1231,13 @@ export const accessQuiz = asyncHandler(async (req, res) => {
                 enrollments: {
                   where: { studentId: req.studentProfile.id },
                 },
+                courseSettings: {
+                  select: {
+                    drip: true,
+                    dripSchedule: true,
+                    sequentialProgress: true,
+                  },
+                },
               },
             },
           },
@@ -1029,6 +1251,7 @@ export const accessQuiz = asyncHandler(async (req, res) => {
             points: true,
             order: true,
             options: true,
+            codeChallenge: true,
             hints: true,
             difficulty: true,
           },
@@ -1073,13 +1296,68 @@ export const accessQuiz = asyncHandler(async (req, res) => {
       });
     }
 
-    const completedAttempts = quiz.attempts.filter(
-      (a) => a.status === "GRADED"
+    const quizDrip = getDripStatus(
+      quiz.section.course.courseSettings,
+      enrollment.createdAt,
+      { sectionId: quiz.section.id }
+    );
+
+    if (quizDrip.locked) {
+      return res.status(403).json({
+        success: false,
+        message: "This quiz has not been released yet",
+        code: "CONTENT_LOCKED",
+        data: {
+          quizId: quiz.id,
+          availableAt: quizDrip.availableAt,
+        },
+      });
+    }
+
+    const blockingPrerequisite = await getBlockingPrerequisite({
+      courseId: quiz.section.course.id,
+      studentId: req.studentProfile.id,
+      courseSettings: quiz.section.course.courseSettings,
+      type: "quiz",
+      id: quiz.id,
+    });
+
+    if (blockingPrerequisite) {
+      return res
+        .status(403)
+        .json(buildPrerequisiteError("quiz", blockingPrerequisite));
+    }
+
+    const completedAttempts = quiz.attempts.filter((a) =>
+      ["SUBMITTED", "GRADED"].includes(a.status)
     ).length;
     const canAttempt = completedAttempts < quiz.maxAttempts;
-    const hasInProgressAttempt = quiz.attempts.some(
+    const inProgressAttempt = quiz.attempts.find(
       (a) => a.status === "IN_PROGRESS"
     );
+    const hasInProgressAttempt = !!inProgressAttempt;
+
+    // An open attempt shows the questions it was given. Otherwise quizzes
+    // that draw from question banks only pick them when an attempt starts.
+    let questions = [];
+    if (inProgressAttempt?.questionIds.length > 0) {
+      const attemptQuestions = await questionBankService.loadQuestions(
+        inProgressAttempt.questionIds
+      );
+      questions = attemptQuestions.map((q) => ({
+        id: q.id,
+        content: q.content,
+        type: q.type,
+        points: q.points,
+        order: q.order,
+        options: q.options,
+        codeChallenge: q.codeChallenge,
+        hints: q.hints,
+        difficulty: q.difficulty,
+      }));
+    } else if (canAttempt || hasInProgressAttempt) {
+      questions = quiz.questions;
+    }
 
     const result = {
       quiz: {
@@ -1094,8 +1372,13 @@ export const accessQuiz = asyncHandler(async (req, res) => {
         isRandomized: quiz.isRandomized,
         showResults: quiz.showResults,
         allowReview: quiz.allowReview,
-        totalQuestions: quiz.questions.length,
-        totalPoints: quiz.questions.reduce((sum, q) => sum + q.points, 0),
+        drawsFromQuestionBanks: !!quiz.drawRules,
+        totalQuestions: quiz.drawRules
+          ? quiz.drawRules.reduce((sum, rule) => sum + rule.count, 0)
+          : quiz.questions.length,
+        totalPoints: quiz.drawRules
+          ? null
+          : quiz.questions.reduce((sum, q) => sum + q.points, 0),
       },
       attempts: {
         total: quiz.attempts.length,
@@ -1111,9 +1394,20 @@ export const accessQuiz = asyncHandler(async (req, res) => {
                   .map((a) => a.score)
               )
             : null,
-        lastAttempt: quiz.attempts[0] || null,
+        lastAttempt: quiz.attempts[0]
+          ? {
+              ...quiz.attempts[0],
+              answers: quiz.attempts[0].answers.map((answer) => ({
+                ...answer,
+                codeResults: formatCodeResults(answer.codeResults),
+              })),
+            }
+          : null,
       },
-      questions: canAttempt || hasInProgressAttempt ? quiz.questions : [],
+      questions: questions.map((question) => ({
+        ...question,
+        codeChallenge: toPublicCodeChallenge(question.codeChallenge),
+      })),
       course: {
         id: quiz.section.course.id,
         title: quiz.section.course.title,
@@ -1180,6 +1474,13 @@ export const startQuizAttempt = asyncHandler(async (req, res) => {
                 enrollments: {
                   where: { studentId: req.studentProfile.id },
                 },
+                courseSettings: {
+                  select: {
+                    drip: true,
+                    dripSchedule: true,
+                    sequentialProgress: true,
+                  },
+                },
               },
             },
           },
@@ -1211,8 +1512,40 @@ export const startQuizAttempt = asyncHandler(async (req, res) => {
       });
     }
 
-    const completedAttempts = quiz.attempts.filter(
-      (a) => a.status === "GRADED"
+    const quizDrip = getDripStatus(
+      quiz.section.course.courseSettings,
+      enrollment.createdAt,
+      { sectionId: quiz.section.id }
+    );
+
+    if (quizDrip.locked) {
+      return res.status(403).json({
+        success: false,
+        message: "This quiz has not been released yet",
+        code: "CONTENT_LOCKED",
+        data: {
+          quizId: quiz.id,
+          availableAt: quizDrip.availableAt,
+        },
+      });
+    }
+
+    const blockingPrerequisite = await getBlockingPrerequisite({
+      courseId: quiz.section.course.id,
+      studentId: req.studentProfile.id,
+      courseSettings: quiz.section.course.courseSettings,
+      type: "quiz",
+      id: quiz.id,
+    });
+
+    if (blockingPrerequisite) {
+      return res
+        .status(403)
+        .json(buildPrerequisiteError("quiz", blockingPrerequisite));
+    }
+
+    const completedAttempts = quiz.attempts.filter((a) =>
+      ["SUBMITTED", "GRADED"].includes(a.status)
     ).length;
     if (completedAttempts >= quiz.maxAttempts) {
       return res.status(400).json({
@@ -1234,9 +1567,25 @@ export const startQuizAttempt = asyncHandler(async (req, res) => {
     }
 
     const attemptNumber = quiz.attempts.length + 1;
-    const questions = quiz.isRandomized
-      ? quiz.questions.sort(() => Math.random() - 0.5)
-      : quiz.questions;
+
+    let questions;
+    try {
+      questions = await questionBankService.drawAttemptQuestions({
+        quiz,
+        courseId: quiz.section.course.id,
+        seenIds: quiz.attempts.flatMap((a) => a.questionIds),
+      });
+    } catch (error) {
+      if (error.code === "QUIZ_DRAW_FAILED") {
+        return res.status(error.statusCode).json({
+          success: false,
+          message: error.message,
+          code: error.code,
+          errors: error.errors,
+        });
+      }
+      throw error;
+    }
 
     const attempt = await prisma.quizAttempt.create({
       data: {
@@ -1245,6 +1594,7 @@ export const startQuizAttempt = asyncHandler(async (req, res) => {
         attemptNumber,
         attemptsRemaining: quiz.maxAttempts - attemptNumber,
         totalQuestions: questions.length,
+        questionIds: questions.map((q) => q.id),
         status: "IN_PROGRESS",
       },
     });
@@ -1269,6 +1619,7 @@ export const startQuizAttempt = asyncHandler(async (req, res) => {
         points: q.points,
         order: q.order,
         options: q.options,
+        codeChallenge: toPublicCodeChallenge(q.codeChallenge),
         hints: q.hints,
         difficulty: q.difficulty,
       })),
@@ -1330,7 +1681,6 @@ export const submitQuizAttempt = asyncHandler(async (req, res) => {
       include: {
         quiz: {
           include: {
-            questions: true,
             section: {
               include: {
                 course: {
@@ -1384,61 +1734,104 @@ export const submitQuizAttempt = asyncHandler(async (req, res) => {
       });
     }
 
-    let totalScore = 0;
+    const questions = await questionBankService.getAttemptQuestions(attempt);
+
     let correctAnswers = 0;
-    const answerRecords = [];
+    const answerRows = [];
+    const answeredQuestions = new Set();
 
     for (const answerData of answers) {
-      const question = attempt.quiz.questions.find(
-        (q) => q.id === answerData.questionId
-      );
-      if (!question) continue;
+      const question = questions.find((q) => q.id === answerData.questionId);
+      if (!question || answeredQuestions.has(question.id)) continue;
+      answeredQuestions.add(question.id);
 
-      const isCorrect = checkAnswer(question, answerData.answer);
-      const points = isCorrect ? question.points : 0;
-
-      totalScore += points;
-      if (isCorrect) correctAnswers++;
-
-      const answerRecord = await prisma.answer.create({
-        data: {
-          questionId: question.id,
-          attemptId: attempt.id,
-          content: JSON.stringify(answerData.answer),
-          isCorrect,
-          points,
-          timeSpent: 0,
-        },
+      const graded = gradeAnswer(question, answerData.answer, {
+        partialCredit: attempt.quiz.partialCredit,
+        negativeMarking: attempt.quiz.negativeMarking,
       });
 
-      answerRecords.push(answerRecord);
+      if (graded.isCorrect) correctAnswers++;
+
+      // Code is run by codeGradingService after the response is sent.
+      const queueCode =
+        question.type === "CODE_CHALLENGE" && graded.needsReview;
+
+      answerRows.push({
+        questionId: question.id,
+        attemptId: attempt.id,
+        content: JSON.stringify(answerData.answer),
+        isCorrect: graded.isCorrect,
+        points: graded.points,
+        needsReview: graded.needsReview,
+        ...(queueCode && { codeResults: queuedCodeResults() }),
+        timeSpent: answerData.timeSpent || 0,
+      });
     }
 
-    const totalPoints = attempt.quiz.questions.reduce(
-      (sum, q) => sum + q.points,
-      0
+    // Essays and other manually graded answers keep the attempt SUBMITTED
+    // until the instructor finalizes it with gradeQuiz.
+    const scoreResult = scoreAttempt(
+      answerRows,
+      questions,
+      attempt.quiz.passingScore
     );
-    const percentage = totalPoints > 0 ? (totalScore / totalPoints) * 100 : 0;
-    const isPassed = percentage >= attempt.quiz.passingScore;
+    const totalScore = scoreResult.earnedPoints;
+    const percentage = scoreResult.percentage;
+    const isPassed = scoreResult.isPassed;
+    const pendingReview = scoreResult.pendingReview > 0;
+    const queuedCodeAnswers = answerRows.filter((row) =>
+      isQueuedCodeResults(row.codeResults)
+    ).length;
 
     const timeSpentCalculated = Math.round(
       (Date.now() - new Date(attempt.createdAt).getTime()) / 1000
     );
 
-    const updatedAttempt = await prisma.quizAttempt.update({
-      where: { id: attempt.id },
-      data: {
-        submittedAt: new Date(),
-        score: totalScore,
-        percentage,
-        isPassed,
-        completedQuestions: answers.length,
-        timeSpent: timeSpentCalculated,
-        status: "SUBMITTED",
-        gradedAt: new Date(),
-      },
+    // Claiming the attempt inside the transaction makes a second, concurrent
+    // submit of the same attempt find it no longer IN_PROGRESS.
+    const submission = await prisma.$transaction(async (tx) => {
+      const claimed = await tx.quizAttempt.updateMany({
+        where: { id: attempt.id, status: "IN_PROGRESS" },
+        data: { status: "SUBMITTED" },
+      });
+      if (claimed.count === 0) return null;
+
+      const records = [];
+      for (const row of answerRows) {
+        records.push(await tx.answer.create({ data: row }));
+      }
+
+      const updated = await tx.quizAttempt.update({
+        where: { id: attempt.id },
+        data: {
+          submittedAt: new Date(),
+          score: totalScore,
+          percentage,
+          isPassed,
+          completedQuestions: records.length,
+          timeSpent: timeSpentCalculated,
+          status: pendingReview ? "SUBMITTED" : "GRADED",
+          gradedAt: pendingReview ? null : new Date(),
+        },
+      });
+
+      return { answerRecords: records, updatedAttempt: updated };
     });
 
+    if (!submission) {
+      return res.status(400).json({
+        success: false,
+        message: "This attempt has already been submitted",
+        code: "ATTEMPT_ALREADY_SUBMITTED",
+      });
+    }
+
+    const { answerRecords, updatedAttempt } = submission;
+
+    if (queuedCodeAnswers > 0) {
+      codeGradingService.enqueue(attempt.id);
+    }
+
     if (isPassed) {
       await prisma.enrollment.update({
         where: { id: enrollment.id },
@@ -1479,6 +1872,15 @@ export const submitQuizAttempt = asyncHandler(async (req, res) => {
       progressData
     );
 
+    if (isPassed) {
+      gamificationService.trackEvent("QUIZ_PASSED", {
+        studentId: req.studentProfile.id,
+        courseId: attempt.quiz.section.course.id,
+        sourceId: attempt.quiz.id,
+        metadata: { attemptId: attempt.id, percentage },
+      });
+    }
+
     await invalidateUserCache(req.userAuthId, [
       `quiz:*quizId=${attempt.quiz.id}*`,
       `course_content:*courseId=${attempt.quiz.section.course.id}*`,
@@ -1492,8 +1894,11 @@ export const submitQuizAttempt = asyncHandler(async (req, res) => {
         isPassed: updatedAttempt.isPassed,
         submittedAt: updatedAttempt.submittedAt,
         timeSpent: updatedAttempt.timeSpent,
+        status: updatedAttempt.status,
+        pendingReview: scoreResult.pendingReview,
+        queuedCodeAnswers,
         correctAnswers,
-        totalQuestions: attempt.quiz.questions.length,
+        totalQuestions: questions.length,
       },
       progress: progressData,
       showResults: attempt.quiz.showResults,
@@ -1501,9 +1906,7 @@ export const submitQuizAttempt = asyncHandler(async (req, res) => {
 
     if (attempt.quiz.showResults && attempt.quiz.allowReview) {
       result.detailedResults = answerRecords.map((answer) => {
-        const question = attempt.quiz.questions.find(
-          (q) => q.id === answer.questionId
-        );
+        const question = questions.find((q) => q.id === answer.questionId);
         return {
           questionId: answer.questionId,
           questionContent: question.content,
@@ -1511,6 +1914,8 @@ export const submitQuizAttempt = asyncHandler(async (req, res) => {
           correctAnswer: question.correctAnswer,
           isCorrect: answer.isCorrect,
           points: answer.points,
+          needsReview: answer.needsReview,
+          codeResults: formatCodeResults(answer.codeResults),
           explanation: question.explanation,
         };
       });
@@ -1802,7 +2207,7 @@ export const getCertificate = asyncHandler(async (req, res) => {
 
     const certificate = await prisma.certificate.findFirst({
       where: {
-        studentId: req.userAuthId,
+        studentId: req.studentProfile.id,
         courseId: courseId,
       },
       include: {
@@ -1848,6 +2253,8 @@ export const getCertificate = asyncHandler(async (req, res) => {
         certificateId: certificate.certificateId,
         issueDate: certificate.issueDate,
         isVerified: certificate.isVerified,
+        isRevoked: certificate.isRevoked,
+        revokedAt: certificate.revokedAt,
         templateId: certificate.templateId,
       },
       course: {
@@ -1862,7 +2269,9 @@ export const getCertificate = asyncHandler(async (req, res) => {
       student: {
         name: `${certificate.student.user.firstName} ${certificate.student.user.lastName}`,
       },
-      verificationUrl: `${process.env.FRONTEND_URL}/certificates/verify/${certificate.certificateId}`,
+      verificationUrl: certificateService.getVerificationUrl(
+        certificate.certificateId
+      ),
     };
 
     const executionTime = performance.now() - startTime;
@@ -2410,137 +2819,75 @@ const getCourseProgressData = async (studentId, courseId) => {
 const checkAndAwardCertificate = async (studentId, courseId, progressData) => {
   try {
     if (progressData.progressPercentage >= 100) {
-      const existingCertificate = await prisma.certificate.findFirst({
+      const enrollment = await prisma.enrollment.findUnique({
         where: {
-          studentId,
-          courseId,
-        },
-      });
-
-      if (!existingCertificate) {
-        const enrollment = await prisma.enrollment.findUnique({
-          where: {
-            studentId_courseId: {
-              studentId,
-              courseId,
-            },
+          studentId_courseId: {
+            studentId,
+            courseId,
           },
-          include: {
-            course: {
-              select: {
-                title: true,
-                instructor: {
-                  select: {
-                    user: {
-                      select: {
-                        firstName: true,
-                        lastName: true,
-                      },
-                    },
-                  },
-                },
-              },
-            },
-            student: {
-              include: {
-                user: {
-                  select: {
-                    firstName: true,
-                    lastName: true,
-                    email: true,
-                  },
-                },
-              },
+        },
+        select: {
+          id: true,
+          certificate: { select: { id: true } },
+          course: {
+            select: {
+              courseSettings: { select: { certificateEnabled: true } },
             },
           },
-        });
-
-        if (enrollment) {
-          const certificateId = `CERT_${Date.now()}_${Math.random()
-            .toString(36)
-            .substr(2, 9)}`;
-          const certificateUrl = `${process.env.FRONTEND_URL}/certificates/${certificateId}`;
-
-          const certificate = await prisma.certificate.create({
-            data: {
-              enrollmentId: enrollment.id,
-              studentId,
-              courseId,
-              certificateId,
-              url: certificateUrl,
-              issueDate: new Date(),
-              isVerified: true,
-            },
-          });
-
-          if (socketManager && socketManager.sendToUser) {
-            socketManager.sendToUser(studentId, "certificate_issued", {
-              certificateId: certificate.certificateId,
-              courseTitle: enrollment.course.title,
-              certificateUrl,
-              issuedAt: certificate.issueDate,
-            });
-          }
+        },
+      });
 
-          await notificationService.createNotification({
-            userId: studentId,
-            type: "CERTIFICATE_ISSUED",
-            title: "Certificate Ready!",
-            message: `Congratulations! Your certificate for "${enrollment.course.title}" is now available.`,
-            data: {
-              courseId,
-              courseName: enrollment.course.title,
-              certificateUrl,
-              certificateId: certificate.certificateId,
-            },
-            actionUrl: certificateUrl,
-            sendEmail: true,
-          });
-
-          await redisService.invalidateCache(
-            `certificate:*userId=${studentId}*courseId=${courseId}*`
-          );
-        }
+      if (
+        !enrollment ||
+        enrollment.certificate ||
+        enrollment.course.courseSettings?.certificateEnabled === false
+      ) {
+        return;
       }
-    }
-  } catch (error) {
-    console.error("Error checking and awarding certificate:", error);
-  }
-};
 
-const checkAnswer = (question, studentAnswer) => {
-  try {
-    switch (question.type) {
-      case "MULTIPLE_CHOICE":
-      case "SINGLE_CHOICE":
-        return (
-          JSON.stringify(studentAnswer).toLowerCase() ===
-          JSON.stringify(question.correctAnswer).toLowerCase()
-        );
+      const { certificate, enrollment: certifiedEnrollment } =
+        await certificateService.issueCertificate({
+          enrollmentId: enrollment.id,
+        });
 
-      case "TRUE_FALSE":
-        return (
-          studentAnswer.toString().toLowerCase() ===
-          question.correctAnswer.toLowerCase()
-        );
+      const userId = certifiedEnrollment.student.user.id;
+      const courseTitle = certifiedEnrollment.course.title;
+      const verificationUrl = certificateService.getVerificationUrl(
+        certificate.certificateId
+      );
 
-      case "SHORT_ANSWER":
-      case "FILL_IN_BLANK":
-        const correctAnswers = JSON.parse(question.correctAnswer);
-        const studentText = studentAnswer.toString().toLowerCase().trim();
-        return correctAnswers.some(
-          (answer) => answer.toLowerCase().trim() === studentText
-        );
+      if (socketManager && socketManager.sendToUser) {
+        socketManager.sendToUser(userId, "certificate_issued", {
+          certificateId: certificate.certificateId,
+          courseTitle,
+          certificateUrl: certificate.url,
+          verificationUrl,
+          issuedAt: certificate.issueDate,
+        });
+      }
 
-      case "ESSAY":
-        return null;
+      await notificationService.createNotification({
+        userId,
+        type: "CERTIFICATE_ISSUED",
+        title: "Certificate Ready!",
+        message: `Congratulations! Your certificate for "${courseTitle}" is now available.`,
+        data: {
+          courseId,
+          courseName: courseTitle,
+          certificateUrl: certificate.url,
+          verificationUrl,
+          certificateId: certificate.certificateId,
+        },
+        actionUrl: certificate.url,
+        sendEmail: true,
+      });
 
-      default:
-        return false;
+      await redisService.invalidateCache(
+        `certificate:*userId=${userId}*courseId=${courseId}*`
+      );
     }
   } catch (error) {
-    console.error("Error checking answer:", error);
-    return false;
+    console.error("Error checking and awarding certificate:", error);
   }
 };
 
@@ -0,0 +1,359 @@
+import { PrismaClient } from "@prisma/client";
+import asyncHandler from "express-async-handler";
+import redisService from "../../utils/redis.js";
+import { getDripStatus } from "../../helper/dripSchedule.js";
+import {
+  isSequentialProgressEnabled,
+  getCourseProgressSequence,
+  evaluatePrerequisites,
+} from "../../helper/sequentialProgress.js";
+import {
+  buildQueryTerms,
+  findTextMatches,
+  findTimedMatches,
+  normalizeCaptionCues,
+  parseTranscriptSegments,
+} from "../../helper/transcriptSearch.js";
+
+const prisma = new PrismaClient();
+
+const SEARCH_SOURCES = ["transcript", "caption", "content", "note"];
+const MAX_CANDIDATE_LESSONS = 200;
+const MAX_MATCHES_PER_LESSON = 10;
+
+const generateRequestId = () => {
+  return `lesson_search_${Date.now()}_${Math.random()
+    .toString(36)
+    .substr(2, 9)}`;
+};
+
+const buildMeta = (requestId, startTime, extra = {}) => ({
+  requestId,
+  executionTime: Math.round(performance.now() - startTime),
+  timestamp: new Date().toISOString(),
+  ...extra,
+});
+
+const findCandidateLessons = async (courseIds, terms) => {
+  const patterns = terms.map((term) => `%${term}%`);
+
+  return await prisma.$queryRaw`
+    SELECT l."id"
+    FROM "Lesson" l
+    JOIN "Section" s ON s."id" = l."sectionId"
+    WHERE s."courseId" = ANY(${courseIds})
+      AND s."isPublished" = true
+      AND concat_ws(' ', l."content", l."transcript", l."captions"::text) ILIKE ALL(${patterns})
+    LIMIT ${MAX_CANDIDATE_LESSONS}
+  `;
+};
+
+export const searchLessonContent = asyncHandler(async (req, res) => {
+  const requestId = generateRequestId();
+  const startTime = performance.now();
+
+  try {
+    const studentId = req.studentProfile.id;
+    const { q, courseId, sources, limit = 20 } = req.query;
+
+    if (!q || typeof q !== "string" || q.trim().length < 2) {
+      return res.status(400).json({
+        success: false,
+        message: "Search query must be at least 2 characters long",
+        code: "INVALID_SEARCH_TERM",
+      });
+    }
+
+    if (q.trim().length > 100) {
+      return res.status(400).json({
+        success: false,
+        message: "Search query must be less than 100 characters",
+        code: "INVALID_SEARCH_TERM",
+      });
+    }
+
+    const requestedSources = sources
+      ? String(sources)
+          .split(",")
+          .map((source) => source.trim().toLowerCase())
+      : SEARCH_SOURCES;
+    const invalidSources = requestedSources.filter(
+      (source) => !SEARCH_SOURCES.includes(source)
+    );
+
+    if (invalidSources.length > 0) {
+      return res.status(400).json({
+        success: false,
+        message: `Invalid sources: ${invalidSources.join(
+          ", "
+        )}. Valid sources: ${SEARCH_SOURCES.join(", ")}`,
+        code: "VALIDATION_ERROR",
+      });
+    }
+
+    const query = buildQueryTerms(q);
+    if (query.terms.length === 0) {
+      return res.status(400).json({
+        success: false,
+        message: "Search query must contain at least one word",
+        code: "INVALID_SEARCH_TERM",
+      });
+    }
+
+    const rateLimitResult = await redisService.rateLimitCheck(
+      `lesson_search:${studentId}`,
+      60,
+      60
+    );
+
+    if (!rateLimitResult.allowed) {
+      return res.status(429).json({
+        success: false,
+        message: "Too many search requests. Please try again later.",
+        code: "RATE_LIMIT_EXCEEDED",
+      });
+    }
+
+    const enrollments = await prisma.enrollment.findMany({
+      where: {
+        studentId,
+        status: { in: ["ACTIVE", "COMPLETED"] },
+        ...(courseId && { courseId }),
+      },
+      select: {
+        courseId: true,
+        createdAt: true,
+        course: {
+          select: { title: true, courseSettings: true },
+        },
+      },
+    });
+
+    if (courseId && enrollments.length === 0) {
+      return res.status(403).json({
+        success: false,
+        message: "You are not enrolled in this course",
+        code: "NOT_ENROLLED",
+      });
+    }
+
+    const enrollmentByCourse = new Map(
+      enrollments.map((enrollment) => [enrollment.courseId, enrollment])
+    );
+    const courseIds = [...enrollmentByCourse.keys()];
+    const pageSize = Math.min(Math.max(parseInt(limit) || 20, 1), 50);
+
+    if (courseIds.length === 0) {
+      return res.status(200).json({
+        success: true,
+        message: "Lesson search completed successfully",
+        data: { query: q.trim(), results: [], totalLessons: 0 },
+        meta: buildMeta(requestId, startTime),
+      });
+    }
+
+    const searchesLessons = requestedSources.some(
+      (source) => source !== "note"
+    );
+
+    const [candidates, notes] = await Promise.all([
+      searchesLessons ? findCandidateLessons(courseIds, query.terms) : [],
+      requestedSources.includes("note")
+        ? prisma.note.findMany({
+            where: {
+              userId: req.userAuthId,
+              lesson: { section: { courseId: { in: courseIds } } },
+              AND: query.terms.map((term) => ({
+                content: { contains: term, mode: "insensitive" },
+              })),
+            },
+            select: {
+              id: true,
+              content: true,
+              timestamp: true,
+              lessonId: true,
+              updatedAt: true,
+            },
+            orderBy: { updatedAt: "desc" },
+            take: 100,
+          })
+        : [],
+    ]);
+
+    const lessonIds = [
+      ...new Set([
+        ...candidates.map((candidate) => candidate.id),
+        ...notes.map((note) => note.lessonId),
+      ]),
+    ];
+
+    const lessons = await prisma.lesson.findMany({
+      where: { id: { in: lessonIds } },
+      select: {
+        id: true,
+        title: true,
+        type: true,
+        order: true,
+        duration: true,
+        content: true,
+        transcript: true,
+        captions: true,
+        section: {
+          select: { id: true, title: true, order: true, courseId: true },
+        },
+      },
+    });
+
+    const candidateIds = new Set(candidates.map((candidate) => candidate.id));
+    const notesByLesson = notes.reduce((acc, note) => {
+      (acc[note.lessonId] ||= []).push(note);
+      return acc;
+    }, {});
+
+    const lessonCourseIds = [
+      ...new Set(lessons.map((lesson) => lesson.section.courseId)),
+    ].filter((id) =>
+      isSequentialProgressEnabled(
+        enrollmentByCourse.get(id).course.courseSettings
+      )
+    );
+    const blockersByCourse = new Map(
+      await Promise.all(
+        lessonCourseIds.map(async (id) => [
+          id,
+          evaluatePrerequisites(await getCourseProgressSequence(id, studentId)),
+        ])
+      )
+    );
+
+    const results = [];
+
+    lessons.forEach((lesson) => {
+      const enrollment = enrollmentByCourse.get(lesson.section.courseId);
+      const drip = getDripStatus(
+        enrollment.course.courseSettings,
+        enrollment.createdAt,
+        { sectionId: lesson.section.id, lessonId: lesson.id }
+      );
+
+      // Unreleased lessons are left out so snippets don't leak drip content.
+      if (drip.locked) return;
+
+      // So are lessons still behind an unmet prerequisite.
+      if (
+        blockersByCourse
+          .get(lesson.section.courseId)
+          ?.get(`lesson:${lesson.id}`)
+      ) {
+        return;
+      }
+
+      const matches = [];
+
+      if (candidateIds.has(lesson.id)) {
+        if (requestedSources.includes("transcript")) {
+          findTimedMatches(
+            parseTranscriptSegments(lesson.transcript, lesson.duration),
+            query
+          ).forEach((match) =>
+            matches.push({ source: "TRANSCRIPT", ...match })
+          );
+        }
+
+        if (requestedSources.includes("caption")) {
+          findTimedMatches(
+            normalizeCaptionCues(lesson.captions),
+            query
+          ).forEach((match) => matches.push({ source: "CAPTION", ...match }));
+        }
+
+        if (requestedSources.includes("content")) {
+          findTextMatches(lesson.content, query).forEach((match) =>
+            matches.push({
+              source: "CONTENT",
+              timestamp: null,
+              timestampEstimated: false,
+              ...match,
+            })
+          );
+        }
+      }
+
+      (notesByLesson[lesson.id] || []).forEach((note) => {
+        findTextMatches(note.content, query).forEach((match) =>
+          matches.push({
+            source: "NOTE",
+            noteId: note.id,
+            timestamp: note.timestamp,
+            timestampEstimated: false,
+            ...match,
+          })
+        );
+      });
+
+      if (matches.length === 0) return;
+
+      matches.sort(
+        (a, b) =>
+          b.score - a.score ||
+          (a.timestamp ?? Number.MAX_SAFE_INTEGER) -
+            (b.timestamp ?? Number.MAX_SAFE_INTEGER)
+      );
+
+      results.push({
+        lessonId: lesson.id,
+        lessonTitle: lesson.title,
+        lessonType: lesson.type,
+        section: { id: lesson.section.id, title: lesson.section.title },
+        course: {
+          id: lesson.section.courseId,
+          title: enrollment.course.title,
+        },
+        topScore: matches[0].score,
+        matchCount: matches.length,
+        firstTimestamp:
+          matches.find((match) => match.timestamp !== null)?.timestamp ?? null,
+        matches: matches.slice(0, MAX_MATCHES_PER_LESSON),
+        sortKey: [lesson.section.order, lesson.order],
+      });
+    });
+
+    results.sort(
+      (a, b) =>
+        b.topScore - a.topScore ||
+        b.matchCount - a.matchCount ||
+        a.sortKey[0] - b.sortKey[0] ||
+        a.sortKey[1] - b.sortKey[1]
+    );
+
+    res.status(200).json({
+      success: true,
+      message: "Lesson search completed successfully",
+      data: {
+        query: q.trim(),
+        sources: requestedSources,
+        results: results
+          .slice(0, pageSize)
+          .map(({ sortKey, ...result }) => result),
+        totalLessons: results.length,
+      },
+      meta: buildMeta(requestId, startTime, {
+        truncated: candidates.length >= MAX_CANDIDATE_LESSONS,
+      }),
+    });
+  } catch (error) {
+    console.error(`SEARCH_LESSON_CONTENT_ERROR [${requestId}]:`, {
+      error: error.message,
+      stack: error.stack,
+      studentId: req.studentProfile?.id,
+      query: req.query,
+    });
+
+    res.status(500).json({
+      success: false,
+      message: "Lesson search failed. Please try again.",
+      code: "INTERNAL_SERVER_ERROR",
+      meta: buildMeta(requestId, startTime),
+    });
+  }
+});
@@ -0,0 +1,273 @@
+import { PrismaClient } from "@prisma/client";
+import asyncHandler from "express-async-handler";
+import redisService from "../../utils/redis.js";
+import liveSessionService from "../../utils/liveSessionService.js";
+
+const prisma = new PrismaClient();
+
+const generateRequestId = () => {
+  return `live_${Date.now()}_${Math.random().toString(36).substr(2, 9)}`;
+};
+
+const buildMeta = (requestId, startTime) => ({
+  requestId,
+  executionTime: Math.round(performance.now() - startTime),
+  timestamp: new Date().toISOString(),
+});
+
+const findActiveEnrollment = async (studentId, courseId) => {
+  return await prisma.enrollment.findFirst({
+    where: {
+      studentId,
+      courseId,
+      status: { in: ["ACTIVE", "COMPLETED"] },
+    },
+    select: { id: true },
+  });
+};
+
+const formatSessionForStudent = (session, attendance = null) => {
+  const joinWindowOpen = liveSessionService.isJoinWindowOpen(session);
+
+  return {
+    id: session.id,
+    title: session.title,
+    description: session.description,
+    scheduledAt: session.scheduledAt,
+    scheduledEndAt: liveSessionService.getScheduledEnd(session),
+    duration: session.duration,
+    timezone: session.timezone,
+    status: session.status,
+    startedAt: session.startedAt,
+    endedAt: session.endedAt,
+    cancellationReason: session.cancellationReason,
+    section: session.section || null,
+    joinWindowOpen,
+    meetingUrl: joinWindowOpen ? session.meetingUrl : null,
+    hasRecording: !!session.recordingUrl,
+    recordingLessonId: session.recordingLessonId,
+    attended: !!attendance,
+    attendedMinutes: attendance
+      ? Math.round(attendance.totalSeconds / 60)
+      : null,
+  };
+};
+
+export const getCourseLiveSessions = asyncHandler(async (req, res) => {
+  const requestId = generateRequestId();
+  const startTime = performance.now();
+
+  try {
+    const { courseId } = req.params;
+    const studentId = req.studentProfile.id;
+    const { upcoming } = req.query;
+
+    const enrollment = await findActiveEnrollment(studentId, courseId);
+    if (!enrollment) {
+      return res.status(403).json({
+        success: false,
+        message: "You are not enrolled in this course",
+        code: "NOT_ENROLLED",
+      });
+    }
+
+    const cacheKey = `live_sessions:${courseId}:${upcoming === "true"}`;
+    let sessions = await redisService.getJSON(cacheKey);
+
+    if (!sessions) {
+      sessions = await prisma.liveSession.findMany({
+        where: {
+          courseId,
+          ...(upcoming === "true" && {
+            status: { in: ["SCHEDULED", "LIVE"] },
+          }),
+        },
+        orderBy: { scheduledAt: upcoming === "true" ? "asc" : "desc" },
+        include: { section: { select: { id: true, title: true } } },
+      });
+
+      await redisService.setJSON(cacheKey, sessions, { ex: 300 });
+    }
+
+    const attendances = await prisma.liveSessionAttendance.findMany({
+      where: {
+        userId: req.userAuthId,
+        sessionId: { in: sessions.map((session) => session.id) },
+      },
+    });
+    const attendanceBySession = new Map(
+      attendances.map((attendance) => [attendance.sessionId, attendance])
+    );
+
+    res.status(200).json({
+      success: true,
+      message: "Live sessions retrieved successfully",
+      data: {
+        sessions: sessions.map((session) =>
+          formatSessionForStudent(session, attendanceBySession.get(session.id))
+        ),
+      },
+      meta: buildMeta(requestId, startTime),
+    });
+  } catch (error) {
+    console.error(`GET_COURSE_LIVE_SESSIONS_ERROR [${requestId}]:`, {
+      error: error.message,
+      stack: error.stack,
+      courseId: req.params.courseId,
+      studentId: req.studentProfile?.id,
+    });
+
+    res.status(500).json({
+      success: false,
+      message: "Failed to retrieve live sessions",
+      code: "INTERNAL_SERVER_ERROR",
+      meta: buildMeta(requestId, startTime),
+    });
+  }
+});
+
+export const getLiveSessionDetails = asyncHandler(async (req, res) => {
+  const requestId = generateRequestId();
+  const startTime = performance.now();
+
+  try {
+    const { sessionId } = req.params;
+
+    const session = await prisma.liveSession.findUnique({
+      where: { id: sessionId },
+      include: {
+        section: { select: { id: true, title: true } },
+        course: { select: { id: true, title: true } },
+        instructor: {
+          select: {
+            id: true,
+            user: {
+              select: { firstName: true, lastName: true, profileImage: true },
+            },
+          },
+        },
+      },
+    });
+
+    if (
+      !session ||
+      !(await findActiveEnrollment(req.studentProfile.id, session.courseId))
+    ) {
+      return res.status(404).json({
+        success: false,
+        message: "Live session not found",
+        code: "LIVE_SESSION_NOT_FOUND",
+      });
+    }
+
+    const attendance = await prisma.liveSessionAttendance.findUnique({
+      where: { sessionId_userId: { sessionId, userId: req.userAuthId } },
+    });
+
+    res.status(200).json({
+      success: true,
+      message: "Live session retrieved successfully",
+      data: {
+        session: {
+          ...formatSessionForStudent(session, attendance),
+          course: session.course,
+          instructor: {
+            id: session.instructor.id,
+            name: `${session.instructor.user.firstName} ${session.instructor.user.lastName}`,
+            profileImage: session.instructor.user.profileImage,
+          },
+        },
+      },
+      meta: buildMeta(requestId, startTime),
+    });
+  } catch (error) {
+    console.error(`GET_LIVE_SESSION_DETAILS_ERROR [${requestId}]:`, {
+      error: error.message,
+      stack: error.stack,
+      sessionId: req.params.sessionId,
+      studentId: req.studentProfile?.id,
+    });
+
+    res.status(500).json({
+      success: false,
+      message: "Failed to retrieve live session",
+      code: "INTERNAL_SERVER_ERROR",
+      meta: buildMeta(requestId, startTime),
+    });
+  }
+});
+
+export const getLiveSessionChat = asyncHandler(async (req, res) => {
+  const requestId = generateRequestId();
+  const startTime = performance.now();
+
+  try {
+    const { sessionId } = req.params;
+    const { page = 1, limit = 100 } = req.query;
+
+    const pageSize = Math.min(parseInt(limit) || 100, 500);
+    const pageNumber = Math.max(parseInt(page) || 1, 1);
+
+    const session = await prisma.liveSession.findUnique({
+      where: { id: sessionId },
+      select: { id: true, courseId: true },
+    });
+
+    if (
+      !session ||
+      !(await findActiveEnrollment(req.studentProfile.id, session.courseId))
+    ) {
+      return res.status(404).json({
+        success: false,
+        message: "Live session not found",
+        code: "LIVE_SESSION_NOT_FOUND",
+      });
+    }
+
+    const [messages, total] = await Promise.all([
+      prisma.liveSessionMessage.findMany({
+        where: { sessionId },
+        orderBy: { createdAt: "asc" },
+        skip: (pageNumber - 1) * pageSize,
+        take: pageSize,
+        include: {
+          user: {
+            select: { id: true, firstName: true, lastName: true, role: true },
+          },
+        },
+      }),
+      prisma.liveSessionMessage.count({ where: { sessionId } }),
+    ]);
+
+    res.status(200).json({
+      success: true,
+      message: "Chat log retrieved successfully",
+      data: {
+        messages,
+        pagination: {
+          page: pageNumber,
+          limit: pageSize,
+          total,
+          totalPages: Math.ceil(total / pageSize),
+          hasNext: pageNumber * pageSize < total,
+          hasPrev: pageNumber > 1,
+        },
+      },
+      meta: buildMeta(requestId, startTime),
+    });
+  } catch (error) {
+    console.error(`GET_LIVE_SESSION_CHAT_ERROR [${requestId}]:`, {
+      error: error.message,
+      stack: error.stack,
+      sessionId: req.params.sessionId,
+      studentId: req.studentProfile?.id,
+    });
+
+    res.status(500).json({
+      success: false,
+      message: "Failed to retrieve chat log",
+      code: "INTERNAL_SERVER_ERROR",
+      meta: buildMeta(requestId, startTime),
+    });
+  }
+});
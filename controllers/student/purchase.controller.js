@@ -4,7 +4,11 @@ import redisService from "../../utils/redis.js";
 import emailService from "../../utils/emailService.js";
 import notificationService from "../../utils/notificationservice.js";
 import paymentService from "../../utils/paymentService.js";
-import Stripe from "stripe";
+import invoiceService from "../../utils/invoiceService.js";
+import taxService from "../../utils/taxService.js";
+import currencyService from "../../utils/currencyService.js";
+import earningLedgerService from "../../utils/earningLedgerService.js";
+import giftService from "../../utils/giftService.js";
 
 const prisma = new PrismaClient();
 
@@ -12,10 +16,6 @@ const generateOrderId = () => {
   return `ORD_${Date.now()}_${Math.random().toString(36).substr(2, 9)}`;
 };
 
-const calculateTax = (amount, taxRate = 0.18) => {
-  return Math.round(amount * taxRate * 100) / 100;
-};
-
 const validateCoupon = async (couponCode, userId, courseIds, totalAmount) => {
   if (!couponCode) return null;
 
@@ -74,269 +74,90 @@ const validateCoupon = async (couponCode, userId, courseIds, totalAmount) => {
   };
 };
 
-const createPaymentLink = async (gateway, orderData) => {
-  if (gateway === "RAZORPAY") {
-    const razorpayAuth = Buffer.from(
-      `${process.env.RAZORPAY_KEY_ID}:${process.env.RAZORPAY_KEY_SECRET}`
-    ).toString("base64");
-
-    const paymentLinkData = {
-      amount: Math.round(orderData.amount * 100),
-      currency: orderData.currency,
-      accept_partial: false,
-      description: orderData.description,
-      notify: {
-        sms: false,
-        email: false,
-      },
-      reminder_enable: false,
-      notes: orderData.notes,
-      callback_url: orderData.callback_url,
-      callback_method: orderData.callback_method,
-      expire_by: Math.floor(Date.now() / 1000) + 24 * 60 * 60,
-    };
+export const getCheckoutGateways = asyncHandler(async (req, res) => {
+  const { currency = currencyService.getBaseCurrency(), country } = req.query;
 
-    if (orderData.customer && orderData.customer.email) {
-      paymentLinkData.customer = {};
-      if (orderData.customer.name)
-        paymentLinkData.customer.name = orderData.customer.name;
-      if (orderData.customer.email)
-        paymentLinkData.customer.email = orderData.customer.email;
-      if (orderData.customer.contact)
-        paymentLinkData.customer.contact = orderData.customer.contact;
-
-      paymentLinkData.notify = {
-        sms: !!orderData.customer.contact,
-        email: !!orderData.customer.email,
-      };
-      paymentLinkData.reminder_enable = true;
-    }
+  try {
+    const gateways = await paymentService.resolveGateways({
+      currency,
+      country,
+    });
 
-    const response = await fetch("https://api.razorpay.com/v1/payment_links", {
-      method: "POST",
-      headers: {
-        Authorization: `Basic ${razorpayAuth}`,
-        "Content-Type": "application/json",
+    res.status(200).json({
+      success: true,
+      message: "Payment gateways retrieved successfully",
+      data: {
+        currency: String(currency).toUpperCase(),
+        country: country ? String(country).toUpperCase() : null,
+        defaultGateway: gateways[0] || null,
+        gateways: gateways.map((gateway) => ({
+          gateway,
+          name: paymentService.getGateway(gateway).displayName,
+        })),
       },
-      body: JSON.stringify(paymentLinkData),
     });
-
-    if (!response.ok) {
-      const error = await response.json();
-      throw new Error(
-        `Razorpay Payment Link creation failed: ${
-          error.error?.description || "Unknown error"
-        }`
-      );
-    }
-
-    return await response.json();
-  }
-
-  if (gateway === "STRIPE") {
-    const stripe = new Stripe(process.env.STRIPE_SECRET_KEY);
-
-    const session = await stripe.checkout.sessions.create({
-      payment_method_types: ["card"],
-      line_items: [
-        {
-          price_data: {
-            currency: orderData.currency.toLowerCase(),
-            product_data: {
-              name: orderData.description || "Course Purchase",
-            },
-            unit_amount: Math.round(orderData.amount * 100),
-          },
-          quantity: 1,
-        },
-      ],
-      mode: "payment",
-      success_url: `${process.env.FRONTEND_URL}/payment/success?session_id={CHECKOUT_SESSION_ID}&order_id=${orderData.receipt}`,
-      cancel_url: `${process.env.FRONTEND_URL}/payment/cancel?order_id=${orderData.receipt}`,
-      metadata: orderData.metadata,
-      client_reference_id: orderData.receipt,
+  } catch (error) {
+    console.error("Get checkout gateways failed:", error);
+    res.status(500).json({
+      success: false,
+      message: "Failed to retrieve payment gateways",
+      error: error.message,
     });
-
-    return {
-      id: session.id,
-      url: session.url,
-      client_secret: session.client_secret,
-    };
   }
+});
 
-  if (gateway === "CASHFREE") {
-    const cashfreeAuth = Buffer.from(
-      `${process.env.CASHFREE_APP_ID}:${process.env.CASHFREE_SECRET_KEY}`
-    ).toString("base64");
-
-    const cashfreeData = {
-      order_id: orderData.receipt,
-      order_amount: orderData.amount,
-      order_currency: orderData.currency,
-      customer_details: {
-        customer_id: orderData.notes.userId,
-        customer_email: orderData.customer?.email || "customer@example.com",
-        customer_phone: orderData.customer?.contact || "9999999999",
-      },
-      order_meta: {
-        return_url: `${process.env.FRONTEND_URL}/payment/callback?order_id=${orderData.receipt}`,
-        notify_url: `${process.env.BACKEND_URL}/api/payment/webhook/cashfree`,
-      },
-      order_note: orderData.description,
-    };
+export const initiateCheckout = asyncHandler(async (req, res) => {
+  const { courseIds, couponCode, billingAddress } = req.body;
+  const userId = req.userAuthId;
 
-    const response = await fetch(`${process.env.CASHFREE_BASE_URL}/pg/orders`, {
-      method: "POST",
-      headers: {
-        Authorization: `Basic ${cashfreeAuth}`,
-        "Content-Type": "application/json",
-        "x-api-version": "2022-09-01",
-      },
-      body: JSON.stringify(cashfreeData),
+  if (!courseIds || !Array.isArray(courseIds) || courseIds.length === 0) {
+    return res.status(400).json({
+      success: false,
+      message: "Course IDs are required",
     });
-
-    if (!response.ok) {
-      const error = await response.json();
-      throw new Error(
-        `Cashfree order creation failed: ${error.message || "Unknown error"}`
-      );
-    }
-
-    const result = await response.json();
-    return {
-      id: result.order_id,
-      order_id: result.order_id,
-      payment_session_id: result.payment_session_id,
-      payment_link: result.payment_link,
-    };
   }
 
-  if (gateway === "PAYU") {
-    const crypto = require("crypto");
-
-    const txnid = `TXN_${Date.now()}_${Math.random()
-      .toString(36)
-      .substr(2, 9)}`;
-    const amount = orderData.amount;
-    const productinfo = orderData.description || "Course Purchase";
-    const firstname = orderData.customer?.name || "Customer";
-    const email = orderData.customer?.email || "customer@example.com";
-    const phone = orderData.customer?.contact || "9999999999";
-    const surl = `${process.env.FRONTEND_URL}/payment/success?order_id=${orderData.receipt}`;
-    const furl = `${process.env.FRONTEND_URL}/payment/failure?order_id=${orderData.receipt}`;
-
-    const hashString = `${process.env.PAYU_KEY}|${txnid}|${amount}|${productinfo}|${firstname}|${email}|||||||||||${process.env.PAYU_SALT}`;
-    const hash = crypto.createHash("sha512").update(hashString).digest("hex");
-
-    const payuData = {
-      key: process.env.PAYU_KEY,
-      txnid,
-      amount,
-      productinfo,
-      firstname,
-      email,
-      phone,
-      surl,
-      furl,
-      hash,
-      service_provider: "payu_paisa",
-    };
-
-    const formData = new URLSearchParams(payuData);
-    const paymentUrl = `${process.env.PAYU_BASE_URL}/_payment`;
-
-    return {
-      id: txnid,
-      txnid,
-      hash,
-      payment_url: paymentUrl,
-      form_data: payuData,
-    };
-  }
-
-  if (gateway === "PAYPAL") {
-    const paypalAuth = Buffer.from(
-      `${process.env.PAYPAL_CLIENT_ID}:${process.env.PAYPAL_CLIENT_SECRET}`
-    ).toString("base64");
-
-    const tokenResponse = await fetch(
-      `${process.env.PAYPAL_BASE_URL}/v1/oauth2/token`,
-      {
-        method: "POST",
-        headers: {
-          Authorization: `Basic ${paypalAuth}`,
-          "Content-Type": "application/x-www-form-urlencoded",
-        },
-        body: "grant_type=client_credentials",
-      }
-    );
-
-    const tokenData = await tokenResponse.json();
-    const accessToken = tokenData.access_token;
-
-    const orderPayload = {
-      intent: "CAPTURE",
-      purchase_units: [
-        {
-          reference_id: orderData.receipt,
-          amount: {
-            currency_code:
-              orderData.currency === "INR" ? "USD" : orderData.currency,
-            value: (orderData.amount / 80).toFixed(2),
-          },
-          description: orderData.description || "Course Purchase",
-        },
-      ],
-      application_context: {
-        return_url: `${process.env.FRONTEND_URL}/payment/success?order_id=${orderData.receipt}`,
-        cancel_url: `${process.env.FRONTEND_URL}/payment/cancel?order_id=${orderData.receipt}`,
-        brand_name: "Your Learning Platform",
-        locale: "en-US",
-        landing_page: "BILLING",
-        user_action: "PAY_NOW",
-      },
-    };
-
-    const orderResponse = await fetch(
-      `${process.env.PAYPAL_BASE_URL}/v2/checkout/orders`,
-      {
-        method: "POST",
-        headers: {
-          Authorization: `Bearer ${accessToken}`,
-          "Content-Type": "application/json",
-        },
-        body: JSON.stringify(orderPayload),
-      }
-    );
-
-    if (!orderResponse.ok) {
-      const error = await orderResponse.json();
-      throw new Error(
-        `PayPal order creation failed: ${error.message || "Unknown error"}`
-      );
+  // Gift purchases enroll whoever redeems the code instead of the buyer.
+  let gift = null;
+  if (req.body.gift) {
+    try {
+      gift = giftService.normalizeGiftOptions(req.body.gift);
+    } catch (error) {
+      return res.status(400).json({
+        success: false,
+        message: error.message,
+      });
     }
-
-    return await orderResponse.json();
   }
 
-  throw new Error(`Unsupported gateway: ${gateway}`);
-};
-
-export const initiateCheckout = asyncHandler(async (req, res) => {
-  const { courseIds, gateway, couponCode, billingAddress } = req.body;
-  const userId = req.userAuthId;
-
-  if (!courseIds || !Array.isArray(courseIds) || courseIds.length === 0) {
+  const requestedCurrency = currencyService.normalize(req.body.currency);
+  if (
+    requestedCurrency &&
+    !(await currencyService.isSupported(requestedCurrency))
+  ) {
     return res.status(400).json({
       success: false,
-      message: "Course IDs are required",
+      message: `Currency ${requestedCurrency} is not supported`,
+      supportedCurrencies: await currencyService.getSupportedCurrencies(),
     });
   }
 
-  if (!paymentService.validateGateway(gateway)) {
+  const currency =
+    requestedCurrency || (await currencyService.resolveCurrency(req));
+  const country =
+    req.body.country || billingAddress?.country || req.userProfile?.country;
+
+  const eligibleGateways = await paymentService.resolveGateways({
+    currency,
+    country,
+  });
+  const gateway = req.body.gateway || eligibleGateways[0];
+
+  if (!gateway || !eligibleGateways.includes(gateway)) {
     return res.status(400).json({
       success: false,
       message: "Invalid payment gateway",
+      availableGateways: eligibleGateways,
     });
   }
 
@@ -380,83 +201,95 @@ export const initiateCheckout = asyncHandler(async (req, res) => {
     });
   }
 
-  if (existingEnrollments.length > 0) {
+  if (!gift && existingEnrollments.length > 0) {
     return res.status(400).json({
       success: false,
       message: "You are already enrolled in one or more of these courses",
     });
   }
 
+  // Coupons are validated against base-currency prices, then the discount is
+  // carried over to the currency the student is charged in.
+  const pricing = await currencyService.priceCourses(courses, currency);
   let subtotal = 0;
-  const orderItems = courses.map((course) => {
-    const price = parseFloat(course.discountPrice || course.price);
+  let baseSubtotal = 0;
+  const orderItems = courses.map((course, index) => {
+    const price = pricing[index].effectivePrice;
     subtotal += price;
+    baseSubtotal += pricing[index].baseEffectivePrice;
     return {
       courseId: course.id,
       title: course.title,
       price: price,
-      originalPrice: parseFloat(course.price),
+      originalPrice: pricing[index].price,
+      basePrice: pricing[index].baseEffectivePrice,
+      priceSource: pricing[index].source,
       instructorName: `${course.instructor.user.firstName} ${course.instructor.user.lastName}`,
     };
   });
+  subtotal = currencyService.roundAmount(subtotal, currency);
 
   const couponValidation = await validateCoupon(
     couponCode,
     userId,
     courseIds,
-    subtotal
+    baseSubtotal
   );
-  const discountAmount = couponValidation?.discountAmount || 0;
-  const taxableAmount = subtotal - discountAmount;
-  const taxAmount = calculateTax(taxableAmount);
-  const finalAmount = taxableAmount + taxAmount;
+  const discountAmount = currencyService.scaleDiscount(
+    couponValidation?.discountAmount,
+    baseSubtotal,
+    subtotal,
+    currency
+  );
+  const taxId =
+    req.body.taxId || billingAddress?.taxId || billingAddress?.gstin || null;
+  const taxSnapshot = await taxService.calculate({
+    amount: subtotal - discountAmount,
+    country,
+    state: billingAddress?.state,
+    taxId,
+  });
+
+  if (taxId && !taxSnapshot.taxIdValid) {
+    return res.status(400).json({
+      success: false,
+      message: `Invalid ${taxSnapshot.taxIdLabel}`,
+    });
+  }
+
+  const taxAmount = taxSnapshot.taxAmount;
+  const finalAmount = taxSnapshot.totalAmount;
+  const exchangeRate = pricing[0]?.exchangeRate || 1;
+  const baseAmount = await currencyService.toBase(finalAmount, currency);
 
   const orderId = generateOrderId();
 
   try {
-    let gatewayOrder;
-    let checkoutUrl = null;
-    let clientSecret = null;
-    let gatewayConfig = {};
-
-    // Prepare metadata based on gateway
-    let metadata;
-    if (gateway === "STRIPE") {
-      // For Stripe, convert objects to strings
-      metadata = {
-        orderId: String(orderId),
-        userId: String(userId),
-        courses: courseIds.join(","),
-        orderItems: JSON.stringify(orderItems), // Convert to string
-        billingAddress: String(billingAddress || ""),
-        couponCode: String(couponValidation?.coupon?.code || ""),
-        courseCount: String(courseIds.length),
-        subtotal: String(subtotal),
-        discountAmount: String(discountAmount),
-        taxAmount: String(taxAmount),
-        finalAmount: String(finalAmount),
-      };
-    } else {
-      // For other gateways (like Razorpay), objects are fine
-      metadata = {
-        orderId,
-        userId,
-        courses: courseIds.join(","),
-        orderItems,
-      };
-    }
-
     const orderData = {
       amount: finalAmount,
-      currency: "INR",
+      currency,
       receipt: orderId,
       notes: {
         orderId,
         userId,
         courses: courseIds.join(","),
       },
-      metadata,
-      description: `Course Purchase - ${orderItems
+      metadata: {
+        orderId,
+        userId,
+        courses: courseIds.join(","),
+        orderItems,
+        couponCode: couponValidation?.coupon?.code,
+        courseCount: courseIds.length,
+        subtotal,
+        discountAmount,
+        taxAmount,
+        reverseCharge: taxSnapshot.reverseCharge,
+        finalAmount,
+        baseAmount,
+        isGift: !!gift,
+      },
+      description: `${gift ? "Course Gift" : "Course Purchase"} - ${orderItems
         .map((item) => item.title)
         .join(", ")}`,
       customer: {
@@ -464,52 +297,14 @@ export const initiateCheckout = asyncHandler(async (req, res) => {
         contact: req.userPhone,
         name: req.userName,
       },
-      notify: {
-        sms: true,
-        email: true,
-      },
-      reminder_enable: true,
       callback_url: `${process.env.FRONTEND_URL}/payment/callback`,
       callback_method: "get",
     };
 
-    gatewayOrder = await createPaymentLink(gateway, orderData);
-
-    if (gateway === "RAZORPAY") {
-      checkoutUrl = gatewayOrder.short_url;
-      gatewayConfig = {
-        paymentLinkId: gatewayOrder.id,
-        shortUrl: gatewayOrder.short_url,
-      };
-    } else if (gateway === "STRIPE") {
-      checkoutUrl = gatewayOrder.url;
-      gatewayConfig = {
-        sessionId: gatewayOrder.id,
-        checkoutUrl: gatewayOrder.url,
-      };
-    } else if (gateway === "CASHFREE") {
-      checkoutUrl = gatewayOrder.payment_link;
-      gatewayConfig = {
-        orderId: gatewayOrder.order_id,
-        paymentSessionId: gatewayOrder.payment_session_id,
-      };
-    } else if (gateway === "PAYU") {
-      checkoutUrl = gatewayOrder.payment_url;
-      gatewayConfig = {
-        key: process.env.PAYU_KEY,
-        txnid: gatewayOrder.txnid,
-        hash: gatewayOrder.hash,
-        formData: gatewayOrder.form_data,
-      };
-    } else if (gateway === "PAYPAL") {
-      checkoutUrl = gatewayOrder.links?.find(
-        (link) => link.rel === "approve"
-      )?.href;
-      gatewayConfig = {
-        orderId: gatewayOrder.id,
-        clientId: process.env.PAYPAL_CLIENT_ID,
-      };
-    }
+    const gatewayOrder = await paymentService.createCheckout(
+      gateway,
+      orderData
+    );
 
     const payment = await prisma.payment.create({
       data: {
@@ -517,17 +312,24 @@ export const initiateCheckout = asyncHandler(async (req, res) => {
         originalAmount: subtotal,
         discountAmount,
         tax: taxAmount,
-        currency: "INR",
+        currency,
+        baseCurrency: currencyService.getBaseCurrency(),
+        baseAmount,
+        exchangeRate,
         status: "PENDING",
         method: "CREDIT_CARD",
         gateway,
         transactionId: gatewayOrder.id,
+        taxSnapshot,
         metadata: {
           orderId,
+          userId,
           courseIds,
           orderItems,
           billingAddress,
           couponCode: couponValidation?.coupon?.code,
+          gift,
+          ...gatewayOrder.metadata,
         },
       },
     });
@@ -539,7 +341,7 @@ export const initiateCheckout = asyncHandler(async (req, res) => {
             couponId: couponValidation.coupon.id,
             paymentId: payment.id,
             userId,
-            discount: discountAmount,
+            discount: couponValidation.discountAmount,
           },
         }),
         prisma.coupon.update({
@@ -568,16 +370,31 @@ export const initiateCheckout = asyncHandler(async (req, res) => {
         paymentId: payment.id,
         orderId,
         gatewayOrderId: gatewayOrder.id,
-        checkoutUrl,
-        clientSecret,
+        checkoutUrl: gatewayOrder.checkoutUrl,
+        clientSecret: gatewayOrder.clientSecret || null,
         amount: finalAmount,
-        currency: "INR",
+        currency,
+        baseAmount,
+        baseCurrency: currencyService.getBaseCurrency(),
+        exchangeRate,
         orderItems,
         subtotal,
         discountAmount,
         taxAmount,
+        tax: {
+          name: taxSnapshot.taxName,
+          rate: taxSnapshot.rate,
+          pricingMode: taxSnapshot.pricingMode,
+          taxableAmount: taxSnapshot.taxableAmount,
+          reverseCharge: taxSnapshot.reverseCharge,
+        },
         gateway,
-        gatewayConfig,
+        gatewayConfig: gatewayOrder.gatewayConfig,
+        gift: gift && {
+          recipientEmail: gift.recipientEmail,
+          recipientName: gift.recipientName,
+          deliverAt: gift.deliverAt,
+        },
       },
     });
   } catch (error) {
@@ -600,6 +417,9 @@ export const verifyPayment = asyncHandler(async (req, res) => {
     orderId,
     gateway,
     payerId,
+    paymentLinkReferenceId,
+    paymentLinkStatus,
+    payuResponse,
   } = req.body;
 
   const userId = req.userAuthId;
@@ -647,17 +467,18 @@ export const verifyPayment = asyncHandler(async (req, res) => {
     });
   }
 
-  if (gateway === "CASHFREE" && (!paymentId || !signature)) {
+  if (gateway === "CASHFREE" && !paymentId) {
     return res.status(400).json({
       success: false,
-      message: "Payment ID and signature are required for Cashfree",
+      message: "Payment ID is required for Cashfree",
     });
   }
 
-  if (gateway === "PAYU" && (!paymentId || !signature)) {
+  if (gateway === "PAYU" && (!paymentId || !signature || !payuResponse)) {
     return res.status(400).json({
       success: false,
-      message: "Transaction ID and hash are required for PayU",
+      message:
+        "Transaction ID, hash and the PayU response are required for PayU",
     });
   }
 
@@ -668,6 +489,13 @@ export const verifyPayment = asyncHandler(async (req, res) => {
     });
   }
 
+  if (gateway === "MOCK" && (!paymentId || !signature)) {
+    return res.status(400).json({
+      success: false,
+      message: "Payment ID and signature are required for the mock gateway",
+    });
+  }
+
   const checkoutData = await redisService.getJSON(`checkout:${orderId}`);
   if (!checkoutData || checkoutData.userId !== userId) {
     return res.status(400).json({
@@ -682,6 +510,7 @@ export const verifyPayment = asyncHandler(async (req, res) => {
       id: true,
       amount: true,
       status: true,
+      gateway: true,
       transactionId: true,
       couponUsages: {
         select: { id: true },
@@ -703,85 +532,12 @@ export const verifyPayment = asyncHandler(async (req, res) => {
     });
   }
 
-  const getPaymentMethod = (gateway, paymentDetails) => {
-    if (gateway === "RAZORPAY") {
-      const method = paymentDetails?.method?.toLowerCase();
-      switch (method) {
-        case "card":
-          return paymentDetails?.card?.type === "credit"
-            ? "CREDIT_CARD"
-            : "DEBIT_CARD";
-        case "upi":
-          return "UPI";
-        case "netbanking":
-          return "NET_BANKING";
-        case "wallet":
-          return "WALLET";
-        case "emi":
-          return "EMI";
-        case "bank_transfer":
-          return "BANK_TRANSFER";
-        default:
-          return "UPI";
-      }
-    } else if (gateway === "STRIPE") {
-      const methodType =
-        paymentDetails?.payment_method_types?.[0]?.toLowerCase();
-      switch (methodType) {
-        case "card":
-          return "CREDIT_CARD";
-        case "upi":
-          return "UPI";
-        case "bank_transfer":
-          return "BANK_TRANSFER";
-        default:
-          return "CREDIT_CARD";
-      }
-    } else if (gateway === "CASHFREE") {
-      const method = paymentDetails?.payment_method?.toLowerCase();
-      switch (method) {
-        case "card":
-          return "CREDIT_CARD";
-        case "upi":
-          return "UPI";
-        case "netbanking":
-          return "NET_BANKING";
-        case "wallet":
-          return "WALLET";
-        case "bank_transfer":
-          return "BANK_TRANSFER";
-        default:
-          return "UPI";
-      }
-    } else if (gateway === "PAYU") {
-      const mode = paymentDetails?.mode?.toLowerCase();
-      switch (mode) {
-        case "cc":
-        case "dc":
-        case "creditcard":
-        case "debitcard":
-          return mode === "cc" || mode === "creditcard"
-            ? "CREDIT_CARD"
-            : "DEBIT_CARD";
-        case "upi":
-          return "UPI";
-        case "nb":
-        case "netbanking":
-          return "NET_BANKING";
-        case "wallet":
-          return "WALLET";
-        case "emi":
-          return "EMI";
-        case "banktransfer":
-          return "BANK_TRANSFER";
-        default:
-          return "CREDIT_CARD";
-      }
-    } else if (gateway === "PAYPAL") {
-      return "CREDIT_CARD";
-    }
-    return "CREDIT_CARD";
-  };
+  if (payment.gateway !== gateway) {
+    return res.status(400).json({
+      success: false,
+      message: "Payment gateway mismatch",
+    });
+  }
 
   try {
     let isVerified = false;
@@ -800,56 +556,58 @@ export const verifyPayment = asyncHandler(async (req, res) => {
         orderId: gatewayOrderId,
         paymentId: paymentId,
         signature: signature,
+        paymentLinkReferenceId,
+        paymentLinkStatus,
       };
-
-      isVerified = paymentService.verifyRazorpayPayment(verificationData);
     } else if (gateway === "STRIPE") {
       verificationData = {
         paymentIntentId: paymentId,
       };
-
-      isVerified = await paymentService.verifyPayment(
-        gateway,
-        verificationData
-      );
     } else if (gateway === "CASHFREE") {
       verificationData = {
         orderId: checkoutData.gatewayOrderId,
         paymentId: paymentId,
-        signature: signature,
       };
-
-      isVerified = await paymentService.verifyPayment(
-        gateway,
-        verificationData
-      );
     } else if (gateway === "PAYU") {
+      if (checkoutData.gatewayOrderId !== paymentId) {
+        return res.status(400).json({
+          success: false,
+          message: "Order ID mismatch",
+        });
+      }
+
       verificationData = {
         txnid: paymentId,
         amount: checkoutData.finalAmount,
-        hash: signature,
+        response: { ...payuResponse, txnid: paymentId, hash: signature },
       };
-
-      isVerified = await paymentService.verifyPayment(
-        gateway,
-        verificationData
-      );
     } else if (gateway === "PAYPAL") {
+      if (checkoutData.gatewayOrderId !== paymentId) {
+        return res.status(400).json({
+          success: false,
+          message: "Order ID mismatch",
+        });
+      }
+
       verificationData = {
-        paymentId: paymentId,
+        orderId: paymentId,
         payerId: payerId,
       };
-
-      isVerified = await paymentService.verifyPayment(
-        gateway,
-        verificationData
-      );
+    } else if (gateway === "MOCK") {
+      verificationData = {
+        orderId: checkoutData.gatewayOrderId,
+        paymentId: paymentId,
+        signature: signature,
+      };
     }
 
+    isVerified = await paymentService.verifyPayment(gateway, verificationData);
+
     if (isVerified) {
       paymentDetails = await paymentService.fetchPaymentDetails(
         gateway,
-        paymentId
+        paymentId,
+        { orderId: checkoutData.gatewayOrderId }
       );
     }
 
@@ -865,10 +623,14 @@ export const verifyPayment = asyncHandler(async (req, res) => {
       });
     }
 
-    const paymentMethod = getPaymentMethod(gateway, paymentDetails);
+    const paymentMethod = paymentService.getPaymentMethod(
+      gateway,
+      paymentDetails
+    );
 
-    await prisma.payment.update({
-      where: { id: payment.id },
+    // A gateway webhook may have completed the payment while we verified it.
+    const { count } = await prisma.payment.updateMany({
+      where: { id: payment.id, status: { not: "COMPLETED" } },
       data: {
         status: "COMPLETED",
         method: paymentMethod,
@@ -877,13 +639,22 @@ export const verifyPayment = asyncHandler(async (req, res) => {
       },
     });
 
+    if (count === 0) {
+      return res.status(200).json({
+        success: true,
+        message: "Payment already verified",
+        data: {
+          paymentId: payment.id,
+          transactionId: paymentId,
+          amount: payment.amount,
+          status: "COMPLETED",
+        },
+      });
+    }
+
     setImmediate(async () => {
       try {
-        const enrollments = await processPayment(
-          payment.id,
-          checkoutData.courseIds,
-          userId
-        );
+        await processPayment(payment.id, checkoutData.courseIds, userId);
         await redisService.del(`checkout:${orderId}`);
       } catch (error) {
         console.error("Background payment processing failed:", error);
@@ -899,7 +670,6 @@ export const verifyPayment = asyncHandler(async (req, res) => {
         amount: payment.amount,
         status: "COMPLETED",
         message: "Enrollment processing initiated",
-        enrollments,
       },
     });
   } catch (error) {
@@ -933,6 +703,11 @@ const processPayment = async (paymentId, courseIds, userId) => {
     throw new Error(`Student profile not found for user: ${userId}`);
   }
 
+  // Issuing the gift first doubles as the duplicate-processing guard.
+  const isGift = giftService.isGiftPayment(payment);
+  const gift = isGift ? await giftService.issueGift(payment, courseIds) : null;
+  if (isGift && !gift) return [];
+
   const courses = await prisma.course.findMany({
     where: { id: { in: courseIds } },
     include: { instructor: true },
@@ -942,32 +717,40 @@ const processPayment = async (paymentId, courseIds, userId) => {
   const earnings = [];
 
   for (const course of courses) {
-    const enrollment = await prisma.enrollment.create({
-      data: {
-        studentId: student.id,
-        courseId: course.id,
-        paymentId: payment.id,
-        status: "ACTIVE",
-        enrollmentSource: "PURCHASE",
-        discountApplied: payment.discountAmount,
-      },
-      select: {
-        id: true,
-        courseId: true,
-        studentId: true,
-        status: true,
-        createdAt: true,
-      },
-    });
+    if (!isGift) {
+      const enrollment = await prisma.enrollment.create({
+        data: {
+          studentId: student.id,
+          courseId: course.id,
+          paymentId: payment.id,
+          status: "ACTIVE",
+          enrollmentSource: "PURCHASE",
+          discountApplied: payment.discountAmount,
+        },
+        select: {
+          id: true,
+          courseId: true,
+          studentId: true,
+          status: true,
+          createdAt: true,
+        },
+      });
+
+      enrollments.push(enrollment);
+    }
 
-    enrollments.push(enrollment);
+    const { basePrice, chargedPrice } = currencyService.getOrderItemPrices(
+      payment,
+      course
+    );
 
+    // Gifted students are counted when the code is redeemed.
     await prisma.course.update({
       where: { id: course.id },
       data: {
-        totalEnrollments: { increment: 1 },
+        ...(!isGift && { totalEnrollments: { increment: 1 } }),
         totalRevenue: {
-          increment: parseFloat(course.discountPrice || course.price),
+          increment: basePrice,
         },
       },
     });
@@ -975,44 +758,50 @@ const processPayment = async (paymentId, courseIds, userId) => {
     await prisma.instructor.update({
       where: { id: course.instructorId },
       data: {
-        totalStudents: { increment: 1 },
+        ...(!isGift && { totalStudents: { increment: 1 } }),
         totalRevenue: {
-          increment: parseFloat(course.discountPrice || course.price) * 0.7,
+          increment: basePrice * 0.7,
         },
       },
     });
 
-    const instructorEarning =
-      parseFloat(course.discountPrice || course.price) * 0.7;
-    const platformFee = parseFloat(course.discountPrice || course.price) * 0.3;
+    const earningAmounts = await currencyService.splitEarning({
+      baseAmount: basePrice,
+      chargedAmount: chargedPrice,
+      chargedCurrency: payment.currency,
+      payoutCurrency: course.instructor.payoutCurrency,
+    });
 
     const earning = await prisma.earning.create({
       data: {
-        amount: instructorEarning,
-        commission: instructorEarning,
-        platformFee: platformFee,
+        ...earningAmounts,
+        ...(await earningLedgerService.getHoldFields()),
         instructorId: course.instructorId,
         paymentId: payment.id,
-        status: "PENDING",
       },
     });
 
+    await earningLedgerService.recordEarning(earning);
+
     earnings.push(earning);
 
-    await notificationService.createNotification({
-      userId: course.instructor.userId,
-      type: "NEW_ENROLLMENT",
-      title: "New Student Enrolled",
-      message: `A new student has enrolled in your course "${course.title}"`,
-      priority: "NORMAL",
-      data: {
-        courseId: course.id,
-        courseName: course.title,
-        studentId: student.id,
-        enrollmentId: enrollment.id,
-        amount: parseFloat(course.discountPrice || course.price),
-      },
-    });
+    if (!isGift) {
+      await notificationService.createNotification({
+        userId: course.instructor.userId,
+        type: "NEW_ENROLLMENT",
+        title: "New Student Enrolled",
+        message: `A new student has enrolled in your course "${course.title}"`,
+        priority: "NORMAL",
+        data: {
+          courseId: course.id,
+          courseName: course.title,
+          studentId: student.id,
+          enrollmentId: enrollments[enrollments.length - 1].id,
+          amount: earningAmounts.commission,
+          currency: earningAmounts.currency,
+        },
+      });
+    }
   }
 
   const user = await prisma.user.findUnique({
@@ -1028,26 +817,34 @@ const processPayment = async (paymentId, courseIds, userId) => {
     transactionId: payment.transactionId,
     courseName:
       courses.length === 1 ? courses[0].title : `${courses.length} courses`,
-    courseUrl:
-      courses.length === 1
-        ? `${process.env.FRONTEND_URL}/courses/${courses[0].slug}`
-        : `${process.env.FRONTEND_URL}/my-learning`,
+    courseUrl: isGift
+      ? `${process.env.FRONTEND_URL}/purchases/gifts`
+      : courses.length === 1
+      ? `${process.env.FRONTEND_URL}/courses/${courses[0].slug}`
+      : `${process.env.FRONTEND_URL}/my-learning`,
   });
 
   await notificationService.createNotification({
     userId,
     type: "PAYMENT_RECEIVED",
     title: "Purchase Successful",
-    message: `Your purchase of ${courses.length} course(s) has been completed successfully`,
+    message: isGift
+      ? `Your gift of ${courses.length} course(s) for ${gift.recipientEmail} has been purchased successfully`
+      : `Your purchase of ${courses.length} course(s) has been completed successfully`,
     priority: "HIGH",
     data: {
       paymentId: payment.id,
       amount: payment.amount,
       courses: courses.map((c) => ({ id: c.id, title: c.title })),
       enrollmentIds: enrollments.map((e) => e.id),
+      ...(gift && { giftId: gift.id, giftCode: gift.code }),
     },
   });
 
+  if (gift) {
+    await giftService.deliverGift(gift.id);
+  }
+
   await prisma.cartItem.deleteMany({
     where: {
       studentId: student.id,
@@ -1055,6 +852,12 @@ const processPayment = async (paymentId, courseIds, userId) => {
     },
   });
 
+  try {
+    await invoiceService.issueInvoice(payment.id);
+  } catch (invoiceError) {
+    console.error("Failed to issue invoice:", invoiceError);
+  }
+
   return enrollments;
 };
 
@@ -1062,18 +865,22 @@ export const getPurchaseHistory = asyncHandler(async (req, res) => {
   const { page = 1, limit = 10, status, gateway } = req.query;
   const skip = (parseInt(page) - 1) * parseInt(limit);
 
-  const where = {};
+  // Gifts show up for the buyer, not for whoever redeemed them.
+  const where = {
+    OR: [
+      {
+        gift: { is: null },
+        enrollments: { some: { studentId: req.studentProfile.id } },
+      },
+      { gift: { is: { purchaserId: req.userAuthId } } },
+    ],
+  };
   if (status) where.status = status;
   if (gateway) where.gateway = gateway;
 
   const [payments, total] = await Promise.all([
     prisma.payment.findMany({
-      where: {
-        ...where,
-        enrollments: {
-          some: { studentId: req.studentProfile.id },
-        },
-      },
+      where,
       include: {
         enrollments: {
           include: {
@@ -1097,19 +904,24 @@ export const getPurchaseHistory = asyncHandler(async (req, res) => {
             coupon: { select: { code: true, type: true, value: true } },
           },
         },
+        gift: {
+          select: {
+            id: true,
+            code: true,
+            status: true,
+            recipientEmail: true,
+            recipientName: true,
+            deliverAt: true,
+            deliveredAt: true,
+            redeemedAt: true,
+          },
+        },
       },
       orderBy: { createdAt: "desc" },
       skip,
       take: parseInt(limit),
     }),
-    prisma.payment.count({
-      where: {
-        ...where,
-        enrollments: {
-          some: { studentId: req.studentProfile.id },
-        },
-      },
-    }),
+    prisma.payment.count({ where }),
   ]);
 
   const formattedPayments = payments.map((payment) => ({
@@ -1127,16 +939,23 @@ export const getPurchaseHistory = asyncHandler(async (req, res) => {
     refundAmount: payment.refundAmount,
     refundedAt: payment.refundedAt,
     invoiceUrl: payment.invoiceUrl,
-    courses: payment.enrollments.map((enrollment) => ({
-      id: enrollment.course.id,
-      title: enrollment.course.title,
-      slug: enrollment.course.slug,
-      thumbnail: enrollment.course.thumbnail,
-      instructor: `${enrollment.course.instructor.user.firstName} ${enrollment.course.instructor.user.lastName}`,
-      enrollmentId: enrollment.id,
-      enrollmentStatus: enrollment.status,
-    })),
+    courses: payment.gift
+      ? (payment.metadata?.orderItems || []).map((item) => ({
+          id: item.courseId,
+          title: item.title,
+          instructor: item.instructorName,
+        }))
+      : payment.enrollments.map((enrollment) => ({
+          id: enrollment.course.id,
+          title: enrollment.course.title,
+          slug: enrollment.course.slug,
+          thumbnail: enrollment.course.thumbnail,
+          instructor: `${enrollment.course.instructor.user.firstName} ${enrollment.course.instructor.user.lastName}`,
+          enrollmentId: enrollment.id,
+          enrollmentStatus: enrollment.status,
+        })),
     coupon: payment.couponUsages[0]?.coupon || null,
+    gift: payment.gift,
   }));
 
   res.status(200).json({
@@ -1164,7 +983,7 @@ export const getPaymentDetails = asyncHandler(async (req, res) => {
     where: {
       id: paymentId,
       enrollments: {
-        some: { studentId: userId },
+        some: { student: { userId } },
       },
     },
     include: {
@@ -1186,6 +1005,17 @@ export const getPaymentDetails = asyncHandler(async (req, res) => {
           coupon: true,
         },
       },
+      invoices: {
+        select: {
+          id: true,
+          invoiceNumber: true,
+          type: true,
+          issueDate: true,
+          totalAmount: true,
+          pdfUrl: true,
+        },
+        orderBy: { sequence: "asc" },
+      },
     },
   });
 
@@ -1212,6 +1042,7 @@ export const getPaymentDetails = asyncHandler(async (req, res) => {
     refundedAt: payment.refundedAt,
     refundReason: payment.refundReason,
     invoiceUrl: payment.invoiceUrl,
+    invoices: payment.invoices,
     metadata: payment.metadata,
     courses: payment.enrollments.map((enrollment) => ({
       id: enrollment.course.id,
@@ -1242,6 +1073,224 @@ export const getPaymentDetails = asyncHandler(async (req, res) => {
   });
 });
 
+export const downloadInvoice = asyncHandler(async (req, res) => {
+  const { paymentId } = req.params;
+  const { documentId } = req.query;
+  const userId = req.userAuthId;
+
+  const payment = await prisma.payment.findFirst({
+    where: {
+      id: paymentId,
+      status: { in: ["COMPLETED", "REFUNDED", "PARTIALLY_REFUNDED"] },
+      OR: [
+        { metadata: { path: ["userId"], equals: userId } },
+        { enrollments: { some: { student: { userId } } } },
+      ],
+    },
+    select: { id: true },
+  });
+
+  if (!payment) {
+    return res.status(404).json({
+      success: false,
+      message: "Payment not found",
+    });
+  }
+
+  try {
+    const download = await invoiceService.getDownload(payment.id, documentId);
+
+    if (!download) {
+      return res.status(404).json({
+        success: false,
+        message: "Invoice not found",
+      });
+    }
+
+    res.setHeader("Content-Type", "application/pdf");
+    res.setHeader(
+      "Content-Disposition",
+      `attachment; filename="${download.fileName}"`
+    );
+    res.setHeader("Cache-Control", "no-cache");
+
+    res.status(200).send(download.buffer);
+  } catch (error) {
+    console.error("Invoice download failed:", error);
+    res.status(500).json({
+      success: false,
+      message: "Failed to generate invoice",
+      error: error.message,
+    });
+  }
+});
+
+export const getMyGifts = asyncHandler(async (req, res) => {
+  const { page = 1, limit = 10, status } = req.query;
+  const userId = req.userAuthId;
+  const skip = (parseInt(page) - 1) * parseInt(limit);
+
+  const cacheKey = `gifts:${userId}:${page}:${limit}:${status || "all"}`;
+  const cached = await redisService.getJSON(cacheKey);
+  if (cached) {
+    return res.status(200).json({
+      success: true,
+      message: "Gifts retrieved successfully",
+      data: cached,
+    });
+  }
+
+  const where = { purchaserId: userId };
+  if (status) where.status = status;
+
+  const [gifts, total] = await Promise.all([
+    prisma.gift.findMany({
+      where,
+      include: {
+        payment: {
+          select: {
+            id: true,
+            amount: true,
+            currency: true,
+            status: true,
+            metadata: true,
+          },
+        },
+      },
+      orderBy: { createdAt: "desc" },
+      skip,
+      take: parseInt(limit),
+    }),
+    prisma.gift.count({ where }),
+  ]);
+
+  const result = {
+    gifts: gifts.map((gift) => ({
+      id: gift.id,
+      code: gift.code,
+      status: gift.status,
+      recipientEmail: gift.recipientEmail,
+      recipientName: gift.recipientName,
+      message: gift.message,
+      deliverAt: gift.deliverAt,
+      deliveredAt: gift.deliveredAt,
+      redeemedAt: gift.redeemedAt,
+      revokedAt: gift.revokedAt,
+      createdAt: gift.createdAt,
+      courses: (gift.payment.metadata?.orderItems || []).map((item) => ({
+        id: item.courseId,
+        title: item.title,
+      })),
+      payment: {
+        id: gift.payment.id,
+        amount: gift.payment.amount,
+        currency: gift.payment.currency,
+        status: gift.payment.status,
+      },
+    })),
+    pagination: {
+      page: parseInt(page),
+      limit: parseInt(limit),
+      total,
+      totalPages: Math.ceil(total / parseInt(limit)),
+      hasNext: skip + parseInt(limit) < total,
+      hasPrev: parseInt(page) > 1,
+    },
+  };
+
+  await redisService.setJSON(cacheKey, result, { ex: 300 });
+
+  res.status(200).json({
+    success: true,
+    message: "Gifts retrieved successfully",
+    data: result,
+  });
+});
+
+export const getGiftByCode = asyncHandler(async (req, res) => {
+  const gift = await giftService.getGiftByCode(req.params.code);
+
+  // Scheduled gifts stay hidden until their delivery date.
+  if (
+    !gift ||
+    (gift.status === "SCHEDULED" &&
+      gift.deliverAt &&
+      gift.deliverAt > new Date())
+  ) {
+    return res.status(404).json({
+      success: false,
+      message: "Gift not found",
+    });
+  }
+
+  const courses = await giftService.getGiftCourses(gift);
+
+  res.status(200).json({
+    success: true,
+    message: "Gift retrieved successfully",
+    data: {
+      code: gift.code,
+      status: gift.status,
+      redeemable: ["SCHEDULED", "DELIVERED"].includes(gift.status),
+      recipientName: gift.recipientName,
+      message: gift.message,
+      sender: `${gift.purchaser.firstName} ${gift.purchaser.lastName}`,
+      redeemedAt: gift.redeemedAt,
+      courses: courses.map((course) => ({
+        id: course.id,
+        title: course.title,
+        slug: course.slug,
+        thumbnail: course.thumbnail,
+        shortDescription: course.shortDescription,
+        instructor: `${course.instructor.user.firstName} ${course.instructor.user.lastName}`,
+      })),
+    },
+  });
+});
+
+export const redeemGift = asyncHandler(async (req, res) => {
+  const { code } = req.body;
+
+  if (!code) {
+    return res.status(400).json({
+      success: false,
+      message: "Gift code is required",
+    });
+  }
+
+  let result;
+  try {
+    result = await giftService.redeemGift(code, req.userAuthId);
+  } catch (error) {
+    if (error.statusCode === 400) {
+      return res.status(400).json({
+        success: false,
+        message: error.message,
+        code: error.code,
+      });
+    }
+    throw error;
+  }
+
+  res.status(200).json({
+    success: true,
+    message: "Gift redeemed successfully",
+    data: {
+      giftId: result.gift.id,
+      enrolledCourses: result.courses.map((course) => ({
+        id: course.id,
+        title: course.title,
+        slug: course.slug,
+      })),
+      skippedCourses: result.skippedCourses.map((course) => ({
+        id: course.id,
+        title: course.title,
+      })),
+      enrollments: result.enrollments.map((enrollment) => enrollment.id),
+    },
+  });
+});
+
 export const requestRefund = asyncHandler(async (req, res) => {
   const { paymentId } = req.params;
   const { reason, description } = req.body;
@@ -1254,16 +1303,31 @@ export const requestRefund = asyncHandler(async (req, res) => {
     });
   }
 
+  // Gift buyers can get a refund only until the code is redeemed; the
+  // recipient of a gift can't refund someone else's payment.
   const payment = await prisma.payment.findFirst({
     where: {
       id: paymentId,
       status: "COMPLETED",
-      enrollments: {
-        some: {
-          studentId: userId,
-          status: { in: ["ACTIVE", "COMPLETED"] },
+      OR: [
+        {
+          gift: { is: null },
+          enrollments: {
+            some: {
+              studentId: userId,
+              status: { in: ["ACTIVE", "COMPLETED"] },
+            },
+          },
         },
-      },
+        {
+          gift: {
+            is: {
+              purchaserId: userId,
+              status: { in: ["SCHEDULED", "DELIVERED"] },
+            },
+          },
+        },
+      ],
     },
     include: {
       enrollments: {
@@ -1271,13 +1335,21 @@ export const requestRefund = asyncHandler(async (req, res) => {
           course: { select: { title: true } },
         },
       },
+      gift: { select: { id: true } },
     },
   });
 
   if (!payment) {
-    return res.status(404).json({
+    const redeemedGift = await prisma.gift.findFirst({
+      where: { paymentId, purchaserId: userId, status: "REDEEMED" },
+      select: { id: true },
+    });
+
+    return res.status(redeemedGift ? 400 : 404).json({
       success: false,
-      message: "Payment not found or not eligible for refund",
+      message: redeemedGift
+        ? "Gifts cannot be refunded after they have been redeemed"
+        : "Payment not found or not eligible for refund",
     });
   }
 
@@ -1323,7 +1395,9 @@ export const requestRefund = asyncHandler(async (req, res) => {
       paymentId,
       reason,
       amount: payment.amount,
-      courses: payment.enrollments.map((e) => e.course.title),
+      courses: payment.gift
+        ? (payment.metadata?.orderItems || []).map((item) => item.title)
+        : payment.enrollments.map((e) => e.course.title),
     },
   });
 
@@ -1358,12 +1432,17 @@ export const processRefund = asyncHandler(async (req, res) => {
         include: {
           student: {
             include: {
-              user: { select: { firstName: true, email: true } },
+              user: { select: { id: true, firstName: true, email: true } },
             },
           },
           course: { select: { title: true } },
         },
       },
+      gift: {
+        include: {
+          purchaser: { select: { id: true, firstName: true, email: true } },
+        },
+      },
     },
   });
 
@@ -1374,6 +1453,12 @@ export const processRefund = asyncHandler(async (req, res) => {
     });
   }
 
+  // Gift refunds go back to the buyer, not the student who redeemed it.
+  const buyer = payment.gift?.purchaser || payment.enrollments[0]?.student.user;
+  const courseNames = payment.gift
+    ? (payment.metadata?.orderItems || []).map((item) => item.title)
+    : payment.enrollments.map((e) => e.course.title);
+
   const refundRequest = payment.metadata?.refundRequest;
   if (!refundRequest || refundRequest.status !== "PENDING") {
     return res.status(400).json({
@@ -1399,9 +1484,8 @@ export const processRefund = asyncHandler(async (req, res) => {
       },
     });
 
-    const userId = payment.enrollments[0].student.user.id;
     await notificationService.createNotification({
-      userId,
+      userId: buyer.id,
       type: "REFUND_REJECTED",
       title: "Refund Request Rejected",
       message: `Your refund request has been rejected. ${adminNotes || ""}`,
@@ -1421,6 +1505,8 @@ export const processRefund = asyncHandler(async (req, res) => {
       payment.transactionId,
       {
         amount: parseFloat(payment.amount),
+        paymentAmount: parseFloat(payment.amount),
+        orderId: payment.metadata?.orderId,
         notes: { reason: refundRequest.reason, adminNotes },
         metadata: { reason: refundRequest.reason, adminNotes },
       }
@@ -1431,6 +1517,7 @@ export const processRefund = asyncHandler(async (req, res) => {
       data: {
         status: "REFUNDED",
         refundAmount: payment.amount,
+        refundTax: taxService.getRefundTax(payment, payment.amount),
         refundReason: refundRequest.reason,
         refundedAt: new Date(),
         gatewayResponse: {
@@ -1455,32 +1542,44 @@ export const processRefund = asyncHandler(async (req, res) => {
       data: { status: "REFUNDED" },
     });
 
+    await giftService.revokeGiftsForPayment(paymentId, refundRequest.reason);
+
+    await earningLedgerService.clawbackPayment(paymentId, {
+      reason: refundRequest.reason,
+    });
+
+    try {
+      await invoiceService.issueCreditNote(paymentId, {
+        reason: refundRequest.reason,
+      });
+    } catch (invoiceError) {
+      console.error("Failed to issue credit note:", invoiceError);
+    }
+
     for (const enrollment of payment.enrollments) {
       await prisma.course.update({
         where: { id: enrollment.courseId },
         data: {
           totalEnrollments: { decrement: 1 },
-          totalRevenue: { decrement: parseFloat(payment.amount) },
+          totalRevenue: {
+            decrement: parseFloat(payment.baseAmount ?? payment.amount),
+          },
         },
       });
     }
 
-    const userId = payment.enrollments[0].student.user.id;
-    const userEmail = payment.enrollments[0].student.user.email;
-    const userName = payment.enrollments[0].student.user.firstName;
-
     await emailService.sendRefundProcessed({
-      email: userEmail,
-      firstName: userName,
+      email: buyer.email,
+      firstName: buyer.firstName,
       amount: payment.amount,
       currency: payment.currency,
       refundId: refundResponse?.id || `REF_${Date.now()}`,
-      courseName: payment.enrollments.map((e) => e.course.title).join(", "),
+      courseName: courseNames.join(", "),
       reason: refundRequest.reason,
     });
 
     await notificationService.createNotification({
-      userId,
+      userId: buyer.id,
       type: "REFUND_PROCESSED",
       title: "Refund Processed",
       message: "Your refund has been processed successfully",
@@ -1560,12 +1659,19 @@ export const retryPayment = asyncHandler(async (req, res) => {
     });
   }
 
+  if (!paymentService.validateGateway(gateway)) {
+    return res.status(400).json({
+      success: false,
+      message: "Invalid payment gateway",
+    });
+  }
+
   const retryOrderId = generateOrderId();
 
   try {
     const orderData = {
       amount: parseFloat(payment.amount),
-      currency: "INR",
+      currency: payment.currency,
       receipt: retryOrderId,
       notes: {
         orderId: retryOrderId,
@@ -1583,15 +1689,8 @@ export const retryPayment = asyncHandler(async (req, res) => {
 
     const gatewayOrder = await paymentService.createOrder(gateway, orderData);
 
-    let gatewayOrderId = null;
-    let clientSecret = null;
-
-    if (gateway === "RAZORPAY") {
-      gatewayOrderId = gatewayOrder.id;
-    } else if (gateway === "STRIPE") {
-      gatewayOrderId = gatewayOrder.id;
-      clientSecret = gatewayOrder.client_secret;
-    }
+    const gatewayOrderId = gatewayOrder.id || gatewayOrder.order_id || null;
+    const clientSecret = gatewayOrder.client_secret || null;
 
     const newPayment = await prisma.payment.create({
       data: {
@@ -1600,6 +1699,10 @@ export const retryPayment = asyncHandler(async (req, res) => {
         discountAmount: payment.discountAmount,
         tax: payment.tax,
         currency: payment.currency,
+        baseCurrency: payment.baseCurrency,
+        baseAmount: payment.baseAmount,
+        exchangeRate: payment.exchangeRate,
+        taxSnapshot: payment.taxSnapshot ?? undefined,
         status: "PENDING",
         method: "CREDIT_CARD",
         gateway,
@@ -1616,6 +1719,7 @@ export const retryPayment = asyncHandler(async (req, res) => {
       `checkout:${retryOrderId}`,
       {
         paymentId: newPayment.id,
+        gatewayOrderId,
         userId,
         courseIds,
         finalAmount: parseFloat(payment.amount),
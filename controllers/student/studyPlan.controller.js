@@ -0,0 +1,632 @@
+import { PrismaClient } from "@prisma/client";
+import asyncHandler from "express-async-handler";
+import {
+  MAX_HOURS_PER_WEEK,
+  getPlanLessons,
+  generateWeeklySchedule,
+  recommendHoursPerWeek,
+  refreshStudyPlanProgress,
+} from "../../helper/studyPlan.js";
+
+const prisma = new PrismaClient();
+
+const generateRequestId = () => {
+  return `study_plan_${Date.now()}_${Math.random().toString(36).substr(2, 9)}`;
+};
+
+const buildMeta = (requestId, startTime) => ({
+  requestId,
+  executionTime: Math.round(performance.now() - startTime),
+  timestamp: new Date().toISOString(),
+});
+
+const planInclude = {
+  enrollment: {
+    select: {
+      id: true,
+      courseId: true,
+      status: true,
+      course: {
+        select: { id: true, title: true, slug: true, thumbnail: true },
+      },
+    },
+  },
+};
+
+const validateStudyPlanData = (data, isUpdate = false) => {
+  const errors = [];
+
+  if (!isUpdate || data.title !== undefined) {
+    if (!data.title || data.title.trim().length < 3) {
+      errors.push("Title must be at least 3 characters long");
+    } else if (data.title.trim().length > 120) {
+      errors.push("Title must be at most 120 characters long");
+    }
+  }
+
+  if (data.hoursPerWeek !== undefined && data.hoursPerWeek !== null) {
+    const hours = Number(data.hoursPerWeek);
+    if (!Number.isInteger(hours) || hours < 1 || hours > MAX_HOURS_PER_WEEK) {
+      errors.push(
+        `Hours per week must be a whole number between 1 and ${MAX_HOURS_PER_WEEK}`
+      );
+    }
+  }
+
+  if (data.targetDate !== undefined && data.targetDate !== null) {
+    const targetDate = new Date(data.targetDate);
+    if (isNaN(targetDate.getTime())) {
+      errors.push("Target date must be a valid date");
+    } else if (targetDate <= new Date()) {
+      errors.push("Target date must be in the future");
+    }
+  }
+
+  if (data.startDate !== undefined) {
+    if (isNaN(new Date(data.startDate).getTime())) {
+      errors.push("Start date must be a valid date");
+    }
+  }
+
+  if (!isUpdate && !data.hoursPerWeek && !data.targetDate) {
+    errors.push("Provide hoursPerWeek, a targetDate, or both");
+  }
+
+  return errors;
+};
+
+const buildSchedule = (lessons, { hoursPerWeek, targetDate, startDate }) => {
+  const weeklyHours =
+    hoursPerWeek || recommendHoursPerWeek(lessons, startDate, targetDate);
+  const schedule = generateWeeklySchedule(lessons, {
+    hoursPerWeek: weeklyHours,
+    startDate,
+  });
+
+  const meetsTargetDate = targetDate
+    ? new Date(schedule.projectedEndDate) <= new Date(targetDate)
+    : null;
+
+  return {
+    hoursPerWeek: weeklyHours,
+    schedule,
+    meetsTargetDate,
+    recommendedHoursPerWeek:
+      targetDate && !meetsTargetDate
+        ? recommendHoursPerWeek(lessons, startDate, targetDate)
+        : null,
+  };
+};
+
+const formatPlan = (plan, evaluation, lessons, includeSchedule = false) => {
+  const formatted = {
+    id: plan.id,
+    title: plan.title,
+    description: plan.description,
+    hoursPerWeek: plan.hoursPerWeek,
+    startDate: plan.startDate,
+    targetDate: plan.targetDate,
+    isActive: plan.isActive,
+    progress: plan.progress,
+    completedAt: plan.completedAt,
+    createdAt: plan.createdAt,
+    updatedAt: plan.updatedAt,
+    course: plan.enrollment?.course || null,
+    enrollmentId: plan.enrollmentId,
+    projectedEndDate: plan.schedule?.projectedEndDate || null,
+    tracking: evaluation,
+  };
+
+  if (includeSchedule && plan.schedule) {
+    const lessonById = new Map(lessons.map((lesson) => [lesson.id, lesson]));
+    const now = new Date();
+
+    formatted.schedule = plan.schedule.weeks.map((week) => {
+      const weekLessons = week.lessonIds
+        .map((lessonId) => lessonById.get(lessonId))
+        .filter(Boolean);
+
+      return {
+        week: week.week,
+        startDate: week.startDate,
+        endDate: week.endDate,
+        plannedMinutes: week.plannedMinutes,
+        isCurrent:
+          now >= new Date(week.startDate) && now < new Date(week.endDate),
+        isPast: now >= new Date(week.endDate),
+        completedLessons: weekLessons.filter((lesson) => lesson.isCompleted)
+          .length,
+        lessons: weekLessons.map((lesson) => ({
+          id: lesson.id,
+          title: lesson.title,
+          type: lesson.type,
+          duration: lesson.duration,
+          sectionTitle: lesson.sectionTitle,
+          isCompleted: lesson.isCompleted,
+          completedAt: lesson.completedAt,
+        })),
+      };
+    });
+
+    // Lessons added to the course after the plan was generated are surfaced
+    // so the student can regenerate the schedule to include them.
+    const plannedIds = new Set([
+      ...(plan.schedule.priorCompletedLessonIds || []),
+      ...plan.schedule.weeks.flatMap((week) => week.lessonIds),
+    ]);
+    formatted.unscheduledLessons = lessons
+      .filter((lesson) => !plannedIds.has(lesson.id) && !lesson.isCompleted)
+      .map((lesson) => ({
+        id: lesson.id,
+        title: lesson.title,
+        duration: lesson.duration,
+        sectionTitle: lesson.sectionTitle,
+      }));
+  }
+
+  return formatted;
+};
+
+const findOwnedPlan = async (planId, studentId) => {
+  return await prisma.studyPlan.findFirst({
+    where: { id: planId, studentId },
+    include: planInclude,
+  });
+};
+
+export const getStudyPlans = asyncHandler(async (req, res) => {
+  const requestId = generateRequestId();
+  const startTime = performance.now();
+
+  try {
+    const studentId = req.studentProfile.id;
+    const { isActive, courseId } = req.query;
+
+    const plans = await prisma.studyPlan.findMany({
+      where: {
+        studentId,
+        ...(isActive !== undefined && { isActive: isActive === "true" }),
+        ...(courseId && { enrollment: { courseId } }),
+      },
+      include: planInclude,
+      orderBy: [{ isActive: "desc" }, { createdAt: "desc" }],
+    });
+
+    const lessonsByCourse = new Map();
+    const results = [];
+
+    for (const plan of plans) {
+      const courseKey = plan.enrollment?.courseId;
+      if (courseKey && !lessonsByCourse.has(courseKey)) {
+        lessonsByCourse.set(
+          courseKey,
+          await getPlanLessons(courseKey, studentId)
+        );
+      }
+
+      const { plan: refreshed, evaluation } = await refreshStudyPlanProgress(
+        plan,
+        courseKey ? lessonsByCourse.get(courseKey) : null
+      );
+      results.push(formatPlan(refreshed, evaluation, []));
+    }
+
+    res.status(200).json({
+      success: true,
+      message: "Study plans retrieved successfully",
+      data: {
+        plans: results,
+        summary: {
+          total: results.length,
+          active: results.filter((plan) => plan.isActive).length,
+          behind: results.filter(
+            (plan) => plan.isActive && plan.tracking?.status === "BEHIND"
+          ).length,
+          completed: results.filter((plan) => plan.completedAt).length,
+        },
+      },
+      meta: buildMeta(requestId, startTime),
+    });
+  } catch (error) {
+    console.error(`GET_STUDY_PLANS_ERROR [${requestId}]:`, {
+      error: error.message,
+      stack: error.stack,
+      studentId: req.studentProfile?.id,
+    });
+
+    res.status(500).json({
+      success: false,
+      message: "Failed to retrieve study plans",
+      code: "INTERNAL_SERVER_ERROR",
+      meta: buildMeta(requestId, startTime),
+    });
+  }
+});
+
+export const createStudyPlan = asyncHandler(async (req, res) => {
+  const requestId = generateRequestId();
+  const startTime = performance.now();
+
+  try {
+    const studentId = req.studentProfile.id;
+    const {
+      enrollmentId,
+      courseId,
+      title,
+      description,
+      hoursPerWeek,
+      targetDate,
+      startDate,
+    } = req.body;
+
+    const errors = validateStudyPlanData({
+      title,
+      hoursPerWeek,
+      targetDate,
+      startDate,
+    });
+
+    if (!enrollmentId && !courseId) {
+      errors.push("Either enrollmentId or courseId is required");
+    }
+
+    if (errors.length > 0) {
+      return res.status(400).json({
+        success: false,
+        message: "Invalid study plan data",
+        code: "VALIDATION_ERROR",
+        errors,
+      });
+    }
+
+    const enrollment = await prisma.enrollment.findFirst({
+      where: {
+        studentId,
+        ...(enrollmentId ? { id: enrollmentId } : { courseId }),
+      },
+      select: { id: true, courseId: true, status: true },
+    });
+
+    if (!enrollment) {
+      return res.status(404).json({
+        success: false,
+        message: "Enrollment not found",
+        code: "ENROLLMENT_NOT_FOUND",
+      });
+    }
+
+    if (enrollment.status !== "ACTIVE") {
+      return res.status(400).json({
+        success: false,
+        message: "Study plans can only be created for active enrollments",
+        code: "ENROLLMENT_NOT_ACTIVE",
+      });
+    }
+
+    const existingPlan = await prisma.studyPlan.findFirst({
+      where: { studentId, enrollmentId: enrollment.id, isActive: true },
+      select: { id: true },
+    });
+
+    if (existingPlan) {
+      return res.status(409).json({
+        success: false,
+        message:
+          "You already have an active study plan for this course. Update or deactivate it first.",
+        code: "STUDY_PLAN_EXISTS",
+        data: { planId: existingPlan.id },
+      });
+    }
+
+    const lessons = await getPlanLessons(enrollment.courseId, studentId);
+    if (lessons.length === 0) {
+      return res.status(400).json({
+        success: false,
+        message: "This course has no published lessons to plan",
+        code: "NO_LESSONS",
+      });
+    }
+
+    const planStart = startDate ? new Date(startDate) : new Date();
+    const built = buildSchedule(lessons, {
+      hoursPerWeek: hoursPerWeek ? Number(hoursPerWeek) : null,
+      targetDate: targetDate ? new Date(targetDate) : null,
+      startDate: planStart,
+    });
+
+    const plan = await prisma.studyPlan.create({
+      data: {
+        title: title.trim(),
+        description: description?.trim() || null,
+        hoursPerWeek: built.hoursPerWeek,
+        targetDate: targetDate ? new Date(targetDate) : null,
+        startDate: planStart,
+        schedule: built.schedule,
+        studentId,
+        enrollmentId: enrollment.id,
+      },
+      include: planInclude,
+    });
+
+    const { plan: refreshed, evaluation } = await refreshStudyPlanProgress(
+      plan,
+      lessons
+    );
+
+    res.status(201).json({
+      success: true,
+      message: "Study plan created successfully",
+      data: {
+        plan: formatPlan(refreshed, evaluation, lessons, true),
+        meetsTargetDate: built.meetsTargetDate,
+        recommendedHoursPerWeek: built.recommendedHoursPerWeek,
+      },
+      meta: buildMeta(requestId, startTime),
+    });
+  } catch (error) {
+    console.error(`CREATE_STUDY_PLAN_ERROR [${requestId}]:`, {
+      error: error.message,
+      stack: error.stack,
+      studentId: req.studentProfile?.id,
+      body: req.body,
+    });
+
+    res.status(500).json({
+      success: false,
+      message: "Failed to create study plan",
+      code: "INTERNAL_SERVER_ERROR",
+      meta: buildMeta(requestId, startTime),
+    });
+  }
+});
+
+export const getStudyPlan = asyncHandler(async (req, res) => {
+  const requestId = generateRequestId();
+  const startTime = performance.now();
+
+  try {
+    const plan = await findOwnedPlan(req.params.planId, req.studentProfile.id);
+
+    if (!plan) {
+      return res.status(404).json({
+        success: false,
+        message: "Study plan not found",
+        code: "STUDY_PLAN_NOT_FOUND",
+      });
+    }
+
+    const {
+      plan: refreshed,
+      evaluation,
+      lessons,
+    } = await refreshStudyPlanProgress(plan);
+
+    res.status(200).json({
+      success: true,
+      message: "Study plan retrieved successfully",
+      data: { plan: formatPlan(refreshed, evaluation, lessons, true) },
+      meta: buildMeta(requestId, startTime),
+    });
+  } catch (error) {
+    console.error(`GET_STUDY_PLAN_ERROR [${requestId}]:`, {
+      error: error.message,
+      stack: error.stack,
+      planId: req.params.planId,
+      studentId: req.studentProfile?.id,
+    });
+
+    res.status(500).json({
+      success: false,
+      message: "Failed to retrieve study plan",
+      code: "INTERNAL_SERVER_ERROR",
+      meta: buildMeta(requestId, startTime),
+    });
+  }
+});
+
+export const updateStudyPlan = asyncHandler(async (req, res) => {
+  const requestId = generateRequestId();
+  const startTime = performance.now();
+
+  try {
+    const studentId = req.studentProfile.id;
+    const {
+      title,
+      description,
+      hoursPerWeek,
+      targetDate,
+      isActive,
+      regenerate,
+    } = req.body;
+
+    const errors = validateStudyPlanData(
+      { title, hoursPerWeek, targetDate },
+      true
+    );
+
+    if (errors.length > 0) {
+      return res.status(400).json({
+        success: false,
+        message: "Invalid study plan data",
+        code: "VALIDATION_ERROR",
+        errors,
+      });
+    }
+
+    const plan = await findOwnedPlan(req.params.planId, studentId);
+
+    if (!plan) {
+      return res.status(404).json({
+        success: false,
+        message: "Study plan not found",
+        code: "STUDY_PLAN_NOT_FOUND",
+      });
+    }
+
+    if (isActive === true && !plan.isActive) {
+      const otherActive = await prisma.studyPlan.findFirst({
+        where: {
+          studentId,
+          enrollmentId: plan.enrollmentId,
+          isActive: true,
+          id: { not: plan.id },
+        },
+        select: { id: true },
+      });
+
+      if (otherActive) {
+        return res.status(409).json({
+          success: false,
+          message: "Another study plan for this course is already active",
+          code: "STUDY_PLAN_EXISTS",
+          data: { planId: otherActive.id },
+        });
+      }
+    }
+
+    const data = {
+      ...(title !== undefined && { title: title.trim() }),
+      ...(description !== undefined && {
+        description: description?.trim() || null,
+      }),
+      ...(targetDate !== undefined && {
+        targetDate: targetDate ? new Date(targetDate) : null,
+      }),
+      ...(isActive !== undefined && { isActive: !!isActive }),
+    };
+
+    const scheduleChanged =
+      regenerate === true ||
+      (hoursPerWeek !== undefined &&
+        Number(hoursPerWeek) !== plan.hoursPerWeek) ||
+      (targetDate !== undefined && hoursPerWeek === undefined);
+
+    let lessons = null;
+    let built = null;
+
+    if (scheduleChanged && plan.enrollment) {
+      const nextTarget =
+        targetDate !== undefined
+          ? targetDate
+            ? new Date(targetDate)
+            : null
+          : plan.targetDate;
+      const nextHours =
+        hoursPerWeek !== undefined
+          ? hoursPerWeek
+            ? Number(hoursPerWeek)
+            : null
+          : targetDate !== undefined && nextTarget
+          ? null
+          : plan.hoursPerWeek;
+
+      if (!nextHours && !nextTarget) {
+        return res.status(400).json({
+          success: false,
+          message: "Invalid study plan data",
+          code: "VALIDATION_ERROR",
+          errors: ["Provide hoursPerWeek, a targetDate, or both"],
+        });
+      }
+
+      // Rescheduling starts from today with whatever is still incomplete, so
+      // a student who fell behind gets a fresh, achievable plan.
+      lessons = await getPlanLessons(plan.enrollment.courseId, studentId);
+      built = buildSchedule(lessons, {
+        hoursPerWeek: nextHours,
+        targetDate: nextTarget,
+        startDate: new Date(),
+      });
+
+      data.hoursPerWeek = built.hoursPerWeek;
+      data.schedule = built.schedule;
+      data.startDate = new Date();
+      data.lastReminderAt = null;
+    }
+
+    const updated = await prisma.studyPlan.update({
+      where: { id: plan.id },
+      data,
+      include: planInclude,
+    });
+
+    const {
+      plan: refreshed,
+      evaluation,
+      lessons: planLessons,
+    } = await refreshStudyPlanProgress(updated, lessons);
+
+    res.status(200).json({
+      success: true,
+      message: built
+        ? "Study plan updated and schedule regenerated"
+        : "Study plan updated successfully",
+      data: {
+        plan: formatPlan(refreshed, evaluation, planLessons, true),
+        scheduleRegenerated: !!built,
+        ...(built && {
+          meetsTargetDate: built.meetsTargetDate,
+          recommendedHoursPerWeek: built.recommendedHoursPerWeek,
+        }),
+      },
+      meta: buildMeta(requestId, startTime),
+    });
+  } catch (error) {
+    console.error(`UPDATE_STUDY_PLAN_ERROR [${requestId}]:`, {
+      error: error.message,
+      stack: error.stack,
+      planId: req.params.planId,
+      studentId: req.studentProfile?.id,
+    });
+
+    res.status(500).json({
+      success: false,
+      message: "Failed to update study plan",
+      code: "INTERNAL_SERVER_ERROR",
+      meta: buildMeta(requestId, startTime),
+    });
+  }
+});
+
+export const deleteStudyPlan = asyncHandler(async (req, res) => {
+  const requestId = generateRequestId();
+  const startTime = performance.now();
+
+  try {
+    const plan = await prisma.studyPlan.findFirst({
+      where: { id: req.params.planId, studentId: req.studentProfile.id },
+      select: { id: true },
+    });
+
+    if (!plan) {
+      return res.status(404).json({
+        success: false,
+        message: "Study plan not found",
+        code: "STUDY_PLAN_NOT_FOUND",
+      });
+    }
+
+    await prisma.studyPlan.delete({ where: { id: plan.id } });
+
+    res.status(200).json({
+      success: true,
+      message: "Study plan deleted successfully",
+      data: { planId: plan.id },
+      meta: buildMeta(requestId, startTime),
+    });
+  } catch (error) {
+    console.error(`DELETE_STUDY_PLAN_ERROR [${requestId}]:`, {
+      error: error.message,
+      stack: error.stack,
+      planId: req.params.planId,
+      studentId: req.studentProfile?.id,
+    });
+
+    res.status(500).json({
+      success: false,
+      message: "Failed to delete study plan",
+      code: "INTERNAL_SERVER_ERROR",
+      meta: buildMeta(requestId, startTime),
+    });
+  }
+});
@@ -0,0 +1,644 @@
+import { PrismaClient } from "@prisma/client";
+import asyncHandler from "express-async-handler";
+import redisService from "../../utils/redis.js";
+import paymentService from "../../utils/paymentService.js";
+import subscriptionService from "../../utils/subscriptionService.js";
+import notificationService from "../../utils/notificationservice.js";
+
+const prisma = new PrismaClient();
+
+const generateRequestId = () => {
+  return `subscription_${Date.now()}_${Math.random()
+    .toString(36)
+    .substr(2, 9)}`;
+};
+
+export const getSubscriptionPlans = asyncHandler(async (req, res) => {
+  const requestId = generateRequestId();
+  const startTime = performance.now();
+
+  try {
+    const cacheKey = "subscription_plans:active";
+    const cached = await redisService.getCache(cacheKey);
+    if (cached) {
+      const executionTime = performance.now() - startTime;
+      return res.status(200).json({
+        ...cached,
+        meta: {
+          ...cached.meta,
+          requestId,
+          executionTime: Math.round(executionTime),
+          cached: true,
+          timestamp: new Date().toISOString(),
+        },
+      });
+    }
+
+    const plans = await prisma.subscriptionPlan.findMany({
+      where: { isActive: true },
+      orderBy: [{ interval: "asc" }, { price: "asc" }],
+      include: {
+        category: { select: { id: true, name: true, slug: true } },
+      },
+    });
+
+    const executionTime = performance.now() - startTime;
+
+    const response = {
+      success: true,
+      message: "Subscription plans retrieved successfully",
+      data: {
+        plans: plans.map((plan) => ({
+          id: plan.id,
+          name: plan.name,
+          slug: plan.slug,
+          description: plan.description,
+          interval: plan.interval,
+          price: plan.price,
+          currency: plan.currency,
+          features: plan.features,
+          scope: plan.scope,
+          category: plan.category,
+          trialDays: plan.trialDays,
+        })),
+      },
+      meta: {
+        requestId,
+        executionTime: Math.round(executionTime),
+        timestamp: new Date().toISOString(),
+      },
+    };
+
+    await redisService.setCache(cacheKey, response, 1800);
+
+    res.status(200).json(response);
+  } catch (error) {
+    console.error(`GET_SUBSCRIPTION_PLANS_ERROR [${requestId}]:`, {
+      error: error.message,
+      stack: error.stack,
+    });
+
+    const executionTime = performance.now() - startTime;
+
+    res.status(500).json({
+      success: false,
+      message: "Failed to retrieve subscription plans",
+      code: "INTERNAL_SERVER_ERROR",
+      meta: {
+        requestId,
+        executionTime: Math.round(executionTime),
+        timestamp: new Date().toISOString(),
+      },
+    });
+  }
+});
+
+export const getMySubscriptions = asyncHandler(async (req, res) => {
+  const requestId = generateRequestId();
+  const startTime = performance.now();
+
+  try {
+    const subscriptions = await prisma.subscription.findMany({
+      where: {
+        studentId: req.studentProfile.id,
+        status: { not: "INCOMPLETE" },
+      },
+      orderBy: { createdAt: "desc" },
+      include: {
+        plan: {
+          include: {
+            category: { select: { id: true, name: true, slug: true } },
+          },
+        },
+        enrollments: {
+          select: {
+            id: true,
+            status: true,
+            expiresAt: true,
+            course: {
+              select: { id: true, title: true, slug: true, thumbnail: true },
+            },
+          },
+        },
+        payments: {
+          orderBy: { createdAt: "desc" },
+          take: 5,
+          select: {
+            id: true,
+            amount: true,
+            currency: true,
+            status: true,
+            invoiceUrl: true,
+            createdAt: true,
+          },
+        },
+      },
+    });
+
+    const executionTime = performance.now() - startTime;
+
+    res.status(200).json({
+      success: true,
+      message: "Subscriptions retrieved successfully",
+      data: {
+        subscriptions: subscriptions.map((subscription) => ({
+          id: subscription.id,
+          status: subscription.status,
+          currentPeriodStart: subscription.currentPeriodStart,
+          currentPeriodEnd: subscription.currentPeriodEnd,
+          cancelAtPeriodEnd: subscription.cancelAtPeriodEnd,
+          cancelledAt: subscription.cancelledAt,
+          endedAt: subscription.endedAt,
+          plan: {
+            id: subscription.plan.id,
+            name: subscription.plan.name,
+            interval: subscription.plan.interval,
+            price: subscription.plan.price,
+            currency: subscription.plan.currency,
+            scope: subscription.plan.scope,
+            category: subscription.plan.category,
+          },
+          courses: subscription.enrollments.map((enrollment) => ({
+            enrollmentId: enrollment.id,
+            status: enrollment.status,
+            expiresAt: enrollment.expiresAt,
+            ...enrollment.course,
+          })),
+          recentPayments: subscription.payments,
+        })),
+      },
+      meta: {
+        requestId,
+        executionTime: Math.round(executionTime),
+        timestamp: new Date().toISOString(),
+      },
+    });
+  } catch (error) {
+    console.error(`GET_MY_SUBSCRIPTIONS_ERROR [${requestId}]:`, {
+      error: error.message,
+      stack: error.stack,
+      userId: req.userAuthId,
+    });
+
+    const executionTime = performance.now() - startTime;
+
+    res.status(500).json({
+      success: false,
+      message: "Failed to retrieve subscriptions",
+      code: "INTERNAL_SERVER_ERROR",
+      meta: {
+        requestId,
+        executionTime: Math.round(executionTime),
+        timestamp: new Date().toISOString(),
+      },
+    });
+  }
+});
+
+export const subscribeToPlan = asyncHandler(async (req, res) => {
+  const requestId = generateRequestId();
+  const startTime = performance.now();
+
+  try {
+    const { planId } = req.body;
+
+    if (!planId) {
+      return res.status(400).json({
+        success: false,
+        message: "Plan ID is required",
+        code: "MISSING_PLAN_ID",
+      });
+    }
+
+    const plan = await prisma.subscriptionPlan.findUnique({
+      where: { id: planId },
+    });
+
+    if (!plan || !plan.isActive) {
+      return res.status(404).json({
+        success: false,
+        message: "Subscription plan not found",
+        code: "PLAN_NOT_FOUND",
+      });
+    }
+
+    if (!plan.stripePriceId || !paymentService.isStripeAvailable()) {
+      return res.status(503).json({
+        success: false,
+        message: "Subscriptions are not available at the moment",
+        code: "SUBSCRIPTIONS_UNAVAILABLE",
+      });
+    }
+
+    const existingSubscription = await prisma.subscription.findFirst({
+      where: {
+        studentId: req.studentProfile.id,
+        planId,
+        status: { in: ["ACTIVE", "PAST_DUE"] },
+      },
+      select: { id: true, status: true },
+    });
+
+    if (existingSubscription) {
+      return res.status(409).json({
+        success: false,
+        message: "You already have an active subscription to this plan",
+        code: "ALREADY_SUBSCRIBED",
+        data: { subscriptionId: existingSubscription.id },
+      });
+    }
+
+    await prisma.subscription.deleteMany({
+      where: {
+        studentId: req.studentProfile.id,
+        planId,
+        status: "INCOMPLETE",
+        gatewaySubscriptionId: null,
+      },
+    });
+
+    const previousSubscription = await prisma.subscription.findFirst({
+      where: {
+        studentId: req.studentProfile.id,
+        gatewayCustomerId: { not: null },
+      },
+      orderBy: { createdAt: "desc" },
+      select: { gatewayCustomerId: true },
+    });
+
+    const subscription = await prisma.subscription.create({
+      data: {
+        studentId: req.studentProfile.id,
+        planId,
+        gateway: "STRIPE",
+        status: "INCOMPLETE",
+      },
+    });
+
+    const user = await prisma.user.findUnique({
+      where: { id: req.userAuthId },
+      select: { email: true },
+    });
+
+    const session = await paymentService.createStripeSubscriptionCheckout({
+      priceId: plan.stripePriceId,
+      customerId: previousSubscription?.gatewayCustomerId,
+      email: user.email,
+      reference: subscription.id,
+      trialDays: plan.trialDays,
+      metadata: {
+        subscriptionId: subscription.id,
+        planId: plan.id,
+        userId: req.userAuthId,
+        studentId: req.studentProfile.id,
+      },
+    });
+
+    const executionTime = performance.now() - startTime;
+
+    res.status(201).json({
+      success: true,
+      message: "Subscription checkout created successfully",
+      data: {
+        subscriptionId: subscription.id,
+        checkout: {
+          sessionId: session.id,
+          url: session.url,
+        },
+        plan: {
+          id: plan.id,
+          name: plan.name,
+          interval: plan.interval,
+          price: plan.price,
+          currency: plan.currency,
+          trialDays: plan.trialDays,
+        },
+      },
+      meta: {
+        requestId,
+        executionTime: Math.round(executionTime),
+        timestamp: new Date().toISOString(),
+      },
+    });
+  } catch (error) {
+    console.error(`SUBSCRIBE_TO_PLAN_ERROR [${requestId}]:`, {
+      error: error.message,
+      stack: error.stack,
+      userId: req.userAuthId,
+      planId: req.body.planId,
+    });
+
+    const executionTime = performance.now() - startTime;
+
+    res.status(500).json({
+      success: false,
+      message: "Failed to start subscription checkout",
+      code: "INTERNAL_SERVER_ERROR",
+      meta: {
+        requestId,
+        executionTime: Math.round(executionTime),
+        timestamp: new Date().toISOString(),
+      },
+    });
+  }
+});
+
+export const cancelSubscription = asyncHandler(async (req, res) => {
+  const requestId = generateRequestId();
+  const startTime = performance.now();
+
+  try {
+    const { subscriptionId } = req.params;
+    const { immediately = false } = req.body;
+
+    const subscription = await prisma.subscription.findFirst({
+      where: { id: subscriptionId, studentId: req.studentProfile.id },
+      include: { plan: true },
+    });
+
+    if (!subscription) {
+      return res.status(404).json({
+        success: false,
+        message: "Subscription not found",
+        code: "SUBSCRIPTION_NOT_FOUND",
+      });
+    }
+
+    if (!["ACTIVE", "PAST_DUE"].includes(subscription.status)) {
+      return res.status(400).json({
+        success: false,
+        message: `Subscription is already ${subscription.status.toLowerCase()}`,
+        code: "SUBSCRIPTION_NOT_ACTIVE",
+      });
+    }
+
+    if (subscription.cancelAtPeriodEnd && !immediately) {
+      return res.status(400).json({
+        success: false,
+        message: "Subscription is already scheduled for cancellation",
+        code: "ALREADY_CANCELLED",
+      });
+    }
+
+    if (subscription.gatewaySubscriptionId) {
+      await paymentService.cancelStripeSubscription(
+        subscription.gatewaySubscriptionId,
+        { atPeriodEnd: !immediately }
+      );
+    }
+
+    const updatedSubscription = await prisma.subscription.update({
+      where: { id: subscription.id },
+      data: {
+        cancelAtPeriodEnd: !immediately,
+        cancelledAt: new Date(),
+      },
+    });
+
+    if (immediately && !subscription.gatewaySubscriptionId) {
+      await subscriptionService.endSubscription(
+        {
+          ...updatedSubscription,
+          plan: subscription.plan,
+          student: { userId: req.userAuthId },
+        },
+        "CANCELLED"
+      );
+    }
+
+    await notificationService.createNotification({
+      userId: req.userAuthId,
+      type: "SYSTEM_ANNOUNCEMENT",
+      title: "Subscription Cancelled",
+      message: immediately
+        ? `Your ${subscription.plan.name} membership has been cancelled`
+        : `Your ${
+            subscription.plan.name
+          } membership will end on ${subscription.currentPeriodEnd?.toLocaleDateString()}`,
+      priority: "NORMAL",
+      data: {
+        subscriptionId: subscription.id,
+        currentPeriodEnd: subscription.currentPeriodEnd,
+        immediately,
+      },
+      actionUrl: "/student/subscriptions",
+    });
+
+    const executionTime = performance.now() - startTime;
+
+    res.status(200).json({
+      success: true,
+      message: immediately
+        ? "Subscription cancelled successfully"
+        : "Subscription will be cancelled at the end of the current billing period",
+      data: {
+        subscriptionId: subscription.id,
+        cancelAtPeriodEnd: updatedSubscription.cancelAtPeriodEnd,
+        accessUntil: immediately ? new Date() : subscription.currentPeriodEnd,
+      },
+      meta: {
+        requestId,
+        executionTime: Math.round(executionTime),
+        timestamp: new Date().toISOString(),
+      },
+    });
+  } catch (error) {
+    console.error(`CANCEL_SUBSCRIPTION_ERROR [${requestId}]:`, {
+      error: error.message,
+      stack: error.stack,
+      userId: req.userAuthId,
+      subscriptionId: req.params.subscriptionId,
+    });
+
+    const executionTime = performance.now() - startTime;
+
+    res.status(500).json({
+      success: false,
+      message: "Failed to cancel subscription",
+      code: "INTERNAL_SERVER_ERROR",
+      meta: {
+        requestId,
+        executionTime: Math.round(executionTime),
+        timestamp: new Date().toISOString(),
+      },
+    });
+  }
+});
+
+export const resumeSubscription = asyncHandler(async (req, res) => {
+  const requestId = generateRequestId();
+  const startTime = performance.now();
+
+  try {
+    const { subscriptionId } = req.params;
+
+    const subscription = await prisma.subscription.findFirst({
+      where: { id: subscriptionId, studentId: req.studentProfile.id },
+    });
+
+    if (!subscription) {
+      return res.status(404).json({
+        success: false,
+        message: "Subscription not found",
+        code: "SUBSCRIPTION_NOT_FOUND",
+      });
+    }
+
+    if (subscription.status !== "ACTIVE" || !subscription.cancelAtPeriodEnd) {
+      return res.status(400).json({
+        success: false,
+        message: "Only subscriptions scheduled for cancellation can be resumed",
+        code: "SUBSCRIPTION_NOT_RESUMABLE",
+      });
+    }
+
+    if (subscription.gatewaySubscriptionId) {
+      await paymentService.resumeStripeSubscription(
+        subscription.gatewaySubscriptionId
+      );
+    }
+
+    await prisma.subscription.update({
+      where: { id: subscription.id },
+      data: { cancelAtPeriodEnd: false, cancelledAt: null },
+    });
+
+    const executionTime = performance.now() - startTime;
+
+    res.status(200).json({
+      success: true,
+      message: "Subscription resumed successfully",
+      data: {
+        subscriptionId: subscription.id,
+        currentPeriodEnd: subscription.currentPeriodEnd,
+      },
+      meta: {
+        requestId,
+        executionTime: Math.round(executionTime),
+        timestamp: new Date().toISOString(),
+      },
+    });
+  } catch (error) {
+    console.error(`RESUME_SUBSCRIPTION_ERROR [${requestId}]:`, {
+      error: error.message,
+      stack: error.stack,
+      userId: req.userAuthId,
+      subscriptionId: req.params.subscriptionId,
+    });
+
+    const executionTime = performance.now() - startTime;
+
+    res.status(500).json({
+      success: false,
+      message: "Failed to resume subscription",
+      code: "INTERNAL_SERVER_ERROR",
+      meta: {
+        requestId,
+        executionTime: Math.round(executionTime),
+        timestamp: new Date().toISOString(),
+      },
+    });
+  }
+});
+
+export const enrollWithSubscription = asyncHandler(async (req, res) => {
+  const requestId = generateRequestId();
+  const startTime = performance.now();
+
+  try {
+    const { courseId } = req.params;
+
+    const result = await subscriptionService.enrollWithSubscription(
+      req.studentProfile.id,
+      courseId
+    );
+
+    if (result.error === "COURSE_NOT_FOUND") {
+      return res.status(404).json({
+        success: false,
+        message: "Course not found",
+        code: "COURSE_NOT_FOUND",
+      });
+    }
+
+    if (result.error === "NO_ELIGIBLE_SUBSCRIPTION") {
+      return res.status(403).json({
+        success: false,
+        message: "None of your active subscriptions include this course",
+        code: "NO_ELIGIBLE_SUBSCRIPTION",
+      });
+    }
+
+    if (result.error === "ENROLLMENT_SUSPENDED") {
+      return res.status(403).json({
+        success: false,
+        message:
+          "Your access to this course is suspended while a payment dispute is open",
+        code: "ENROLLMENT_SUSPENDED",
+        data: { enrollmentId: result.enrollment.id },
+      });
+    }
+
+    if (result.error === "ALREADY_ENROLLED") {
+      return res.status(409).json({
+        success: false,
+        message: "You are already enrolled in this course",
+        code: "ALREADY_ENROLLED",
+        data: { enrollmentId: result.enrollment.id },
+      });
+    }
+
+    await subscriptionService.invalidateStudentCache(req.userAuthId);
+
+    const executionTime = performance.now() - startTime;
+
+    res.status(result.reactivated ? 200 : 201).json({
+      success: true,
+      message: result.reactivated
+        ? "Course access restored through your subscription"
+        : "Enrolled successfully through your subscription",
+      data: {
+        enrollment: {
+          id: result.enrollment.id,
+          status: result.enrollment.status,
+          expiresAt: result.enrollment.expiresAt,
+          enrollmentSource: result.enrollment.enrollmentSource,
+        },
+        course: {
+          id: result.course.id,
+          title: result.course.title,
+        },
+        subscription: {
+          id: result.subscription.id,
+          planName: result.subscription.plan.name,
+          currentPeriodEnd: result.subscription.currentPeriodEnd,
+        },
+      },
+      meta: {
+        requestId,
+        executionTime: Math.round(executionTime),
+        timestamp: new Date().toISOString(),
+      },
+    });
+  } catch (error) {
+    console.error(`ENROLL_WITH_SUBSCRIPTION_ERROR [${requestId}]:`, {
+      error: error.message,
+      stack: error.stack,
+      userId: req.userAuthId,
+      courseId: req.params.courseId,
+    });
+
+    const executionTime = performance.now() - startTime;
+
+    res.status(500).json({
+      success: false,
+      message: "Failed to enroll through subscription",
+      code: "INTERNAL_SERVER_ERROR",
+      meta: {
+        requestId,
+        executionTime: Math.round(executionTime),
+        timestamp: new Date().toISOString(),
+      },
+    });
+  }
+});
@@ -0,0 +1,62 @@
+import asyncHandler from "express-async-handler";
+import payoutService from "../../utils/payoutService.js";
+
+export const handlePayoutWebhook = asyncHandler(async (req, res) => {
+  try {
+    const gateway = payoutService.detectWebhookGateway(req.headers, req.body);
+
+    if (!gateway) {
+      console.error("Could not detect payout gateway");
+      return res.status(400).json({
+        success: false,
+        message: "Could not detect payout gateway",
+      });
+    }
+
+    console.log(`Processing ${gateway} payout webhook`);
+
+    const adapter = payoutService.getGateway(gateway);
+
+    if (!adapter.isWebhookConfigured()) {
+      return res.status(500).json({
+        success: false,
+        message: `${adapter.displayName} webhook secret not configured`,
+      });
+    }
+
+    const event = await adapter.verifyWebhook(req.body, req.headers);
+
+    if (!event) {
+      console.error(`${gateway} payout signature verification failed`);
+      return res.status(400).json({
+        success: false,
+        message: "Signature verification failed",
+      });
+    }
+
+    const result = await payoutService.processWebhookEvent(gateway, event);
+
+    res.status(200).json({
+      success: true,
+      message: `${gateway} payout webhook processed successfully`,
+      gateway,
+      data: result,
+    });
+  } catch (error) {
+    console.error("Payout webhook processing error:", error);
+    res.status(500).json({
+      success: false,
+      message: "Webhook processing failed",
+      error: error.message,
+    });
+  }
+});
+
+export const getPayoutWebhookStatus = asyncHandler(async (req, res) => {
+  res.status(200).json({
+    success: true,
+    message: "Payout webhook endpoint is active",
+    gateways: payoutService.describeGateways(),
+    webhookUrl: `${req.protocol}://${req.get("host")}${req.originalUrl}`,
+  });
+});
@@ -1,54 +1,24 @@
 import { PrismaClient } from "@prisma/client";
-import crypto from "crypto";
 import asyncHandler from "express-async-handler";
 import paymentService from "../../utils/paymentService.js";
 import emailService from "../../utils/emailService.js";
 import notificationService from "../../utils/notificationservice.js";
 import redisService from "../../utils/redis.js";
+import subscriptionService from "../../utils/subscriptionService.js";
+import invoiceService from "../../utils/invoiceService.js";
+import taxService from "../../utils/taxService.js";
+import currencyService from "../../utils/currencyService.js";
+import earningLedgerService from "../../utils/earningLedgerService.js";
+import disputeService from "../../utils/disputeService.js";
+import giftService from "../../utils/giftService.js";
 
 const prisma = new PrismaClient();
 
-const detectPaymentGateway = (req) => {
-  const stripeSignature = req.headers["stripe-signature"];
-  const razorpaySignature = req.headers["x-razorpay-signature"];
-  const paypalSignature = req.headers["paypal-transmission-id"];
-
-  if (stripeSignature) return "STRIPE";
-  if (razorpaySignature) return "RAZORPAY";
-  if (paypalSignature) return "PAYPAL";
-
-  return null;
-};
-
-const verifyStripeSignature = (body, signature, secret) => {
-  try {
-    const stripe = paymentService.getStripe();
-    return stripe.webhooks.constructEvent(body, signature, secret);
-  } catch (error) {
-    console.error("Stripe signature verification failed:", error);
-    return null;
-  }
-};
-
-const verifyRazorpaySignature = (body, signature, secret) => {
+const issueCreditNote = async (paymentId, reason) => {
   try {
-    const expectedSignature = crypto
-      .createHmac("sha256", secret)
-      .update(body)
-      .digest("hex");
-    return expectedSignature === signature;
+    await invoiceService.issueCreditNote(paymentId, { reason });
   } catch (error) {
-    console.error("Razorpay signature verification failed:", error);
-    return false;
-  }
-};
-
-const verifyPayPalSignature = (body, headers, secret) => {
-  try {
-    return true;
-  } catch (error) {
-    console.error("PayPal signature verification failed:", error);
-    return false;
+    console.error(`Failed to issue credit note for ${paymentId}:`, error);
   }
 };
 
@@ -69,6 +39,30 @@ const processSuccessfulPayment = async (
       return;
     }
 
+    // Gateways that confirm both via redirect and webhook can deliver the
+    // same payment twice; enrollments are only created once.
+    const existingEnrollments = await prisma.enrollment.count({
+      where: { paymentId: payment.id },
+    });
+    if (existingEnrollments > 0) return;
+
+    const student = await prisma.student.findUnique({
+      where: { userId },
+      select: { id: true },
+    });
+
+    if (!student) {
+      console.error(`Student profile not found for user: ${userId}`);
+      return;
+    }
+
+    // Gift payments have no enrollments; issuing the gift is their guard.
+    const isGift = giftService.isGiftPayment(payment);
+    const gift = isGift
+      ? await giftService.issueGift(payment, courseIds)
+      : null;
+    if (isGift && !gift) return;
+
     const courses = await prisma.course.findMany({
       where: { id: { in: courseIds } },
       include: { instructor: true },
@@ -78,25 +72,32 @@ const processSuccessfulPayment = async (
     const earnings = [];
 
     for (const course of courses) {
-      const enrollment = await prisma.enrollment.create({
-        data: {
-          studentId: userId,
-          courseId: course.id,
-          paymentId: payment.id,
-          status: "ACTIVE",
-          enrollmentSource: "PURCHASE",
-          discountApplied: payment.discountAmount,
-        },
-      });
+      if (!isGift) {
+        const enrollment = await prisma.enrollment.create({
+          data: {
+            studentId: student.id,
+            courseId: course.id,
+            paymentId: payment.id,
+            status: "ACTIVE",
+            enrollmentSource: "PURCHASE",
+            discountApplied: payment.discountAmount,
+          },
+        });
+
+        enrollments.push(enrollment);
+      }
 
-      enrollments.push(enrollment);
+      const { basePrice, chargedPrice } = currencyService.getOrderItemPrices(
+        payment,
+        course
+      );
 
       await prisma.course.update({
         where: { id: course.id },
         data: {
-          totalEnrollments: { increment: 1 },
+          ...(!isGift && { totalEnrollments: { increment: 1 } }),
           totalRevenue: {
-            increment: parseFloat(course.discountPrice || course.price),
+            increment: basePrice,
           },
         },
       });
@@ -104,45 +105,50 @@ const processSuccessfulPayment = async (
       await prisma.instructor.update({
         where: { id: course.instructorId },
         data: {
-          totalStudents: { increment: 1 },
+          ...(!isGift && { totalStudents: { increment: 1 } }),
           totalRevenue: {
-            increment: parseFloat(course.discountPrice || course.price) * 0.7,
+            increment: basePrice * 0.7,
           },
         },
       });
 
-      const instructorEarning =
-        parseFloat(course.discountPrice || course.price) * 0.7;
-      const platformFee =
-        parseFloat(course.discountPrice || course.price) * 0.3;
+      const earningAmounts = await currencyService.splitEarning({
+        baseAmount: basePrice,
+        chargedAmount: chargedPrice,
+        chargedCurrency: payment.currency,
+        payoutCurrency: course.instructor.payoutCurrency,
+      });
 
       const earning = await prisma.earning.create({
         data: {
-          amount: instructorEarning,
-          commission: instructorEarning,
-          platformFee: platformFee,
+          ...earningAmounts,
+          ...(await earningLedgerService.getHoldFields()),
           instructorId: course.instructorId,
           paymentId: payment.id,
-          status: "PENDING",
         },
       });
 
+      await earningLedgerService.recordEarning(earning);
+
       earnings.push(earning);
 
-      await notificationService.createNotification({
-        userId: course.instructor.userId,
-        type: "NEW_ENROLLMENT",
-        title: "New Student Enrolled",
-        message: `A new student has enrolled in your course "${course.title}"`,
-        priority: "NORMAL",
-        data: {
-          courseId: course.id,
-          courseName: course.title,
-          studentId: userId,
-          enrollmentId: enrollment.id,
-          amount: parseFloat(course.discountPrice || course.price),
-        },
-      });
+      if (!isGift) {
+        await notificationService.createNotification({
+          userId: course.instructor.userId,
+          type: "NEW_ENROLLMENT",
+          title: "New Student Enrolled",
+          message: `A new student has enrolled in your course "${course.title}"`,
+          priority: "NORMAL",
+          data: {
+            courseId: course.id,
+            courseName: course.title,
+            studentId: student.id,
+            enrollmentId: enrollments[enrollments.length - 1].id,
+            amount: earningAmounts.commission,
+            currency: earningAmounts.currency,
+          },
+        });
+      }
     }
 
     const user = await prisma.user.findUnique({
@@ -159,23 +165,27 @@ const processSuccessfulPayment = async (
         transactionId: payment.transactionId,
         courseName:
           courses.length === 1 ? courses[0].title : `${courses.length} courses`,
-        courseUrl:
-          courses.length === 1
-            ? `${process.env.FRONTEND_URL}/courses/${courses[0].slug}`
-            : `${process.env.FRONTEND_URL}/my-learning`,
+        courseUrl: isGift
+          ? `${process.env.FRONTEND_URL}/purchases/gifts`
+          : courses.length === 1
+          ? `${process.env.FRONTEND_URL}/courses/${courses[0].slug}`
+          : `${process.env.FRONTEND_URL}/my-learning`,
       });
 
       await notificationService.createNotification({
         userId,
         type: "PAYMENT_RECEIVED",
         title: "Purchase Successful",
-        message: `Your purchase of ${courses.length} course(s) has been completed successfully`,
+        message: isGift
+          ? `Your gift of ${courses.length} course(s) for ${gift.recipientEmail} has been purchased successfully`
+          : `Your purchase of ${courses.length} course(s) has been completed successfully`,
         priority: "HIGH",
         data: {
           paymentId: payment.id,
           amount: payment.amount,
           courses: courses.map((c) => ({ id: c.id, title: c.title })),
           enrollmentIds: enrollments.map((e) => e.id),
+          ...(gift && { giftId: gift.id, giftCode: gift.code }),
         },
       });
 
@@ -190,9 +200,13 @@ const processSuccessfulPayment = async (
       }
     }
 
+    if (gift) {
+      await giftService.deliverGift(gift.id);
+    }
+
     await prisma.cartItem.deleteMany({
       where: {
-        studentId: userId,
+        studentId: student.id,
         courseId: { in: courseIds },
       },
     });
@@ -201,6 +215,12 @@ const processSuccessfulPayment = async (
     if (orderId) {
       await redisService.del(`checkout:${orderId}`);
     }
+
+    try {
+      await invoiceService.issueInvoice(payment.id);
+    } catch (invoiceError) {
+      console.error("Failed to issue invoice:", invoiceError);
+    }
   } catch (error) {
     console.error("Error processing successful payment:", error);
   }
@@ -279,15 +299,24 @@ const handleStripeWebhook = async (event, socketManager) => {
         break;
 
       case "charge.dispute.created":
-        await handleStripeDispute(event.data.object);
+      case "charge.dispute.updated":
+      case "charge.dispute.closed":
+        await handleDispute("STRIPE", event);
         break;
 
       case "invoice.payment_succeeded":
-        console.log("Stripe subscription payment succeeded");
+        await subscriptionService.handleInvoicePaid(
+          event.data.object,
+          socketManager
+        );
+        break;
+
+      case "invoice.payment_failed":
+        await subscriptionService.handleInvoicePaymentFailed(event.data.object);
         break;
 
       case "customer.subscription.deleted":
-        console.log("Stripe subscription cancelled");
+        await subscriptionService.handleSubscriptionDeleted(event.data.object);
         break;
 
       default:
@@ -338,6 +367,11 @@ const handleStripePaymentSuccess = async (paymentIntent, socketManager) => {
 };
 
 const handleStripeCheckoutCompleted = async (session, socketManager) => {
+  if (session.mode === "subscription") {
+    await subscriptionService.linkCheckoutSession(session);
+    return;
+  }
+
   const payment = await prisma.payment.findFirst({
     where: {
       transactionId: session.payment_intent,
@@ -390,34 +424,16 @@ const handleStripePaymentFailed = async (paymentIntent, socketManager) => {
   await processFailedPayment(payment, reason, socketManager);
 };
 
-const handleStripeDispute = async (charge) => {
-  const payment = await prisma.payment.findFirst({
-    where: { transactionId: charge.payment_intent },
-  });
+const handleDispute = async (gateway, event) => {
+  const disputeEvent = paymentService
+    .getGateway(gateway)
+    .parseWebhookEvent(event);
 
-  if (payment) {
-    await prisma.payment.update({
-      where: { id: payment.id },
-      data: {
-        metadata: {
-          ...payment.metadata,
-          dispute: {
-            id: charge.id,
-            amount: charge.amount,
-            currency: charge.currency,
-            reason: charge.outcome?.reason,
-            status: charge.status,
-            createdAt: new Date(),
-          },
-        },
-      },
-    });
-  }
+  await disputeService.recordDisputeEvent(gateway, disputeEvent);
 };
 
-const handleRazorpayWebhook = async (body, socketManager) => {
+const handleRazorpayWebhook = async ({ event, payload }, socketManager) => {
   try {
-    const { event, payload } = JSON.parse(body);
     console.log(`Processing Razorpay event: ${event}`);
 
     switch (event) {
@@ -452,7 +468,12 @@ const handleRazorpayWebhook = async (body, socketManager) => {
         break;
 
       case "payment.dispute.created":
-        await handleRazorpayDispute(payload.dispute.entity);
+      case "payment.dispute.action_required":
+      case "payment.dispute.under_review":
+      case "payment.dispute.won":
+      case "payment.dispute.lost":
+      case "payment.dispute.closed":
+        await handleDispute("RAZORPAY", { event, payload });
         break;
 
       default:
@@ -575,6 +596,10 @@ const handleRazorpayRefundCreated = async (razorpayRefund) => {
       data: {
         status: "REFUNDED",
         refundAmount: razorpayRefund.amount / 100,
+        refundTax: taxService.getRefundTax(
+          payment,
+          razorpayRefund.amount / 100
+        ),
         refundedAt: new Date(razorpayRefund.created_at * 1000),
         gatewayResponse: {
           ...payment.gatewayResponse,
@@ -587,6 +612,20 @@ const handleRazorpayRefundCreated = async (razorpayRefund) => {
       where: { paymentId: payment.id },
       data: { status: "REFUNDED" },
     });
+
+    await giftService.revokeGiftsForPayment(
+      payment.id,
+      payment.metadata?.refundRequest?.reason || razorpayRefund.notes?.reason
+    );
+
+    await earningLedgerService.clawbackPayment(payment.id, {
+      reason: payment.metadata?.refundRequest?.reason,
+    });
+
+    await issueCreditNote(
+      payment.id,
+      payment.metadata?.refundRequest?.reason || razorpayRefund.notes?.reason
+    );
   }
 };
 
@@ -622,34 +661,8 @@ const handleRazorpayRefundProcessed = async (razorpayRefund) => {
   }
 };
 
-const handleRazorpayDispute = async (razorpayDispute) => {
-  const payment = await prisma.payment.findFirst({
-    where: { transactionId: razorpayDispute.payment_id },
-  });
-
-  if (payment) {
-    await prisma.payment.update({
-      where: { id: payment.id },
-      data: {
-        metadata: {
-          ...payment.metadata,
-          dispute: {
-            id: razorpayDispute.id,
-            amount: razorpayDispute.amount,
-            currency: razorpayDispute.currency,
-            reason: razorpayDispute.reason_description,
-            status: razorpayDispute.status,
-            createdAt: new Date(razorpayDispute.created_at * 1000),
-          },
-        },
-      },
-    });
-  }
-};
-
-const handlePayPalWebhook = async (body, socketManager) => {
+const handlePayPalWebhook = async (event, socketManager) => {
   try {
-    const event = JSON.parse(body);
     console.log(`Processing PayPal event: ${event.event_type}`);
 
     switch (event.event_type) {
@@ -657,7 +670,12 @@ const handlePayPalWebhook = async (body, socketManager) => {
         await handlePayPalPaymentCompleted(event.resource, socketManager);
         break;
 
+      case "CHECKOUT.ORDER.APPROVED":
+        await handlePayPalOrderApproved(event.resource);
+        break;
+
       case "PAYMENT.CAPTURE.DENIED":
+      case "PAYMENT.CAPTURE.DECLINED":
         await handlePayPalPaymentFailed(event.resource, socketManager);
         break;
 
@@ -674,21 +692,330 @@ const handlePayPalWebhook = async (body, socketManager) => {
   }
 };
 
-const handlePayPalPaymentCompleted = async (resource, socketManager) => {
-  console.log("PayPal payment completed - implementation pending");
+// Captures and refunds reference the PayPal order through related_ids, while
+// custom_id carries our own order id in case the order link is missing.
+const findPayPalPayment = async (resource, status) => {
+  const paypalOrderId = resource.supplementary_data?.related_ids?.order_id;
+
+  if (paypalOrderId) {
+    const payment = await prisma.payment.findFirst({
+      where: {
+        gateway: "PAYPAL",
+        transactionId: paypalOrderId,
+        ...(status && { status }),
+      },
+    });
+    if (payment) return payment;
+  }
+
+  if (!resource.custom_id) return null;
+
+  return await prisma.payment.findFirst({
+    where: {
+      gateway: "PAYPAL",
+      metadata: { path: ["orderId"], equals: resource.custom_id },
+      ...(status && { status }),
+    },
+  });
 };
 
-const handlePayPalPaymentFailed = async (resource, socketManager) => {
-  console.log("PayPal payment failed - implementation pending");
+const handlePayPalOrderApproved = async (order) => {
+  const payment = await prisma.payment.findFirst({
+    where: {
+      gateway: "PAYPAL",
+      transactionId: order.id,
+      status: "PENDING",
+    },
+  });
+
+  if (!payment) {
+    console.log(`Payment not found for PayPal order: ${order.id}`);
+    return;
+  }
+
+  // Buyers who close the tab after approving never reach verifyPayment, so
+  // the order is captured here; PAYMENT.CAPTURE.COMPLETED then completes it.
+  try {
+    await paymentService.getGateway("PAYPAL").captureOrder(order.id);
+  } catch (error) {
+    if (error.paypalIssue !== "ORDER_ALREADY_CAPTURED") throw error;
+  }
 };
 
-const handlePayPalRefund = async (resource) => {
-  console.log("PayPal refund - implementation pending");
+const handlePayPalPaymentCompleted = async (capture, socketManager) => {
+  const payment = await findPayPalPayment(capture, "PENDING");
+
+  if (!payment) {
+    console.log(`Payment not found for PayPal capture: ${capture.id}`);
+    return;
+  }
+
+  // The buyer's redirect may verify the same capture concurrently.
+  const { count } = await prisma.payment.updateMany({
+    where: { id: payment.id, status: "PENDING" },
+    data: {
+      status: "COMPLETED",
+      gatewayResponse: capture,
+    },
+  });
+
+  if (count === 0) return;
+
+  const courseIds = payment.metadata?.courseIds;
+  const userId = payment.metadata?.userId;
+
+  if (courseIds && Array.isArray(courseIds) && userId) {
+    await processSuccessfulPayment(
+      payment.id,
+      courseIds,
+      userId,
+      socketManager
+    );
+  }
+};
+
+const handlePayPalPaymentFailed = async (capture, socketManager) => {
+  const payment = await findPayPalPayment(capture, "PENDING");
+
+  if (!payment) {
+    console.log(`Payment not found for failed PayPal capture: ${capture.id}`);
+    return;
+  }
+
+  const reason =
+    capture.status_details?.reason?.replace(/_/g, " ").toLowerCase() ||
+    "Payment failed";
+  await processFailedPayment(payment, reason, socketManager);
+};
+
+const handlePayPalRefund = async (paypalRefund) => {
+  const payment = await findPayPalPayment(paypalRefund);
+
+  if (!payment) {
+    console.log(`Payment not found for PayPal refund: ${paypalRefund.id}`);
+    return;
+  }
+
+  // PayPal reports refunds in the charged currency; convert back to the
+  // platform currency with the rate recorded at checkout.
+  const exchangeRate = payment.metadata?.paypal?.exchangeRate || 1;
+  const refundedValue = parseFloat(
+    paypalRefund.seller_payable_breakdown?.total_refunded_amount?.value ||
+      paypalRefund.amount?.value ||
+      0
+  );
+  const refundAmount = Math.min(
+    Math.round((refundedValue / exchangeRate) * 100) / 100,
+    parseFloat(payment.amount)
+  );
+  const isFullRefund = refundAmount >= parseFloat(payment.amount) - 0.01;
+
+  await prisma.payment.update({
+    where: { id: payment.id },
+    data: {
+      status: isFullRefund ? "REFUNDED" : "PARTIALLY_REFUNDED",
+      refundAmount,
+      refundTax: taxService.getRefundTax(payment, refundAmount),
+      refundedAt: new Date(paypalRefund.create_time || Date.now()),
+      gatewayResponse: {
+        ...payment.gatewayResponse,
+        refund: paypalRefund,
+      },
+    },
+  });
+
+  if (isFullRefund) {
+    await prisma.enrollment.updateMany({
+      where: { paymentId: payment.id },
+      data: { status: "REFUNDED" },
+    });
+
+    await giftService.revokeGiftsForPayment(
+      payment.id,
+      payment.metadata?.refundRequest?.reason
+    );
+  }
+
+  await earningLedgerService.clawbackPayment(payment.id, {
+    reason: payment.metadata?.refundRequest?.reason,
+  });
+
+  await issueCreditNote(payment.id, payment.metadata?.refundRequest?.reason);
+};
+
+const findGatewayPayment = async (gateway, event, status) => {
+  const statusFilter = status ? { status } : {};
+
+  if (event.transactionId) {
+    const payment = await prisma.payment.findFirst({
+      where: { gateway, transactionId: event.transactionId, ...statusFilter },
+    });
+    if (payment) return payment;
+  }
+
+  if (!event.orderId) return null;
+
+  return await prisma.payment.findFirst({
+    where: {
+      gateway,
+      OR: [
+        { transactionId: event.orderId },
+        { metadata: { path: ["orderId"], equals: event.orderId } },
+      ],
+      ...statusFilter,
+    },
+  });
+};
+
+// Gateways without bespoke handlers are driven by the normalized event
+// their adapter produces.
+const handleGatewayEvent = async (gateway, event, socketManager) => {
+  console.log(`Processing ${gateway} event: ${event.gatewayEventType}`);
+
+  switch (event.type) {
+    case "PAYMENT_COMPLETED": {
+      const payment = await findGatewayPayment(gateway, event, "PENDING");
+      if (!payment) {
+        console.log(`Payment not found for ${gateway} order: ${event.orderId}`);
+        return;
+      }
+
+      const { count } = await prisma.payment.updateMany({
+        where: { id: payment.id, status: "PENDING" },
+        data: {
+          status: "COMPLETED",
+          method: event.method || payment.method,
+          transactionId: event.transactionId || payment.transactionId,
+          gatewayResponse: event.raw,
+        },
+      });
+      if (count === 0) return;
+
+      const courseIds = payment.metadata?.courseIds;
+      const userId = payment.metadata?.userId;
+
+      if (courseIds && Array.isArray(courseIds) && userId) {
+        await processSuccessfulPayment(
+          payment.id,
+          courseIds,
+          userId,
+          socketManager
+        );
+      }
+      break;
+    }
+
+    case "PAYMENT_FAILED": {
+      const payment = await findGatewayPayment(gateway, event, "PENDING");
+      if (!payment) {
+        console.log(
+          `Payment not found for failed ${gateway} payment: ${event.orderId}`
+        );
+        return;
+      }
+
+      await processFailedPayment(payment, event.reason, socketManager);
+      break;
+    }
+
+    case "REFUND_PROCESSED": {
+      const payment = await findGatewayPayment(gateway, event);
+      if (!payment) {
+        console.log(
+          `Payment not found for ${gateway} refund: ${event.refundId}`
+        );
+        return;
+      }
+
+      // Each event carries one refund, so partial refunds add up on
+      // refundAmount; clawbackPayment and the credit note work from the total.
+      const refundIds = payment.gatewayResponse?.refundIds || [];
+      if (event.refundId && refundIds.includes(String(event.refundId))) {
+        console.log(`${gateway} refund already processed: ${event.refundId}`);
+        return;
+      }
+
+      const paymentAmount = parseFloat(payment.amount);
+      const previousRefund = parseFloat(payment.refundAmount || 0);
+      const refundAmount = Math.min(
+        previousRefund +
+          (parseFloat(event.amount) || paymentAmount - previousRefund),
+        paymentAmount
+      );
+
+      // Refunds approved in the app record the full amount before their
+      // webhook arrives.
+      if (refundAmount <= previousRefund) {
+        console.log(
+          `${gateway} refund already recorded for payment ${payment.id}`
+        );
+        return;
+      }
+
+      const isFullRefund = refundAmount >= paymentAmount - 0.01;
+
+      // Matching on the previous total keeps two refund webhooks delivered at
+      // once from both adding to the same base; the loser fails and the
+      // gateway retries it.
+      const { count } = await prisma.payment.updateMany({
+        where: { id: payment.id, refundAmount: payment.refundAmount },
+        data: {
+          status: isFullRefund ? "REFUNDED" : "PARTIALLY_REFUNDED",
+          refundAmount,
+          refundTax: taxService.getRefundTax(payment, refundAmount),
+          refundedAt: new Date(),
+          gatewayResponse: {
+            ...payment.gatewayResponse,
+            refund: event.raw,
+            refundIds: event.refundId
+              ? [...refundIds, String(event.refundId)]
+              : refundIds,
+          },
+        },
+      });
+
+      if (count === 0) {
+        throw new Error(
+          `Payment ${payment.id} changed while recording ${gateway} refund`
+        );
+      }
+
+      if (isFullRefund) {
+        await prisma.enrollment.updateMany({
+          where: { paymentId: payment.id },
+          data: { status: "REFUNDED" },
+        });
+
+        await giftService.revokeGiftsForPayment(
+          payment.id,
+          payment.metadata?.refundRequest?.reason || event.reason
+        );
+      }
+
+      await earningLedgerService.clawbackPayment(payment.id, {
+        reason: payment.metadata?.refundRequest?.reason || event.reason,
+      });
+
+      await issueCreditNote(
+        payment.id,
+        payment.metadata?.refundRequest?.reason || event.reason
+      );
+      break;
+    }
+
+    case "DISPUTE_CREATED":
+    case "DISPUTE_UPDATED":
+      await disputeService.recordDisputeEvent(gateway, event);
+      break;
+
+    default:
+      console.log(`Unhandled ${gateway} event: ${event.gatewayEventType}`);
+  }
 };
 
 export const handleUnifiedWebhook = asyncHandler(async (req, res) => {
   try {
-    const gateway = detectPaymentGateway(req);
+    const gateway = paymentService.detectWebhookGateway(req.headers, req.body);
     const socketManager = req.app.get("socketManager");
 
     if (!gateway) {
@@ -701,66 +1028,39 @@ export const handleUnifiedWebhook = asyncHandler(async (req, res) => {
 
     console.log(`Processing ${gateway} webhook`);
 
-    let isVerified = false;
-    let event = null;
+    const adapter = paymentService.getGateway(gateway);
 
-    switch (gateway) {
-      case "STRIPE":
-        const stripeSecret = process.env.STRIPE_WEBHOOK_SECRET;
-        if (!stripeSecret) {
-          return res.status(500).json({
-            success: false,
-            message: "Stripe webhook secret not configured",
-          });
-        }
+    if (!adapter.isWebhookConfigured()) {
+      return res.status(500).json({
+        success: false,
+        message: `${adapter.displayName} webhook secret not configured`,
+      });
+    }
 
-        event = verifyStripeSignature(
-          req.body,
-          req.headers["stripe-signature"],
-          stripeSecret
-        );
-        isVerified = !!event;
+    const event = await adapter.verifyWebhook(req.body, req.headers);
+    const isVerified = !!event;
 
-        if (isVerified) {
+    if (isVerified) {
+      switch (gateway) {
+        case "STRIPE":
           await handleStripeWebhook(event, socketManager);
-        }
-        break;
-
-      case "RAZORPAY":
-        const razorpaySecret = process.env.RAZORPAY_WEBHOOK_SECRET;
-        if (!razorpaySecret) {
-          return res.status(500).json({
-            success: false,
-            message: "Razorpay webhook secret not configured",
-          });
-        }
-
-        isVerified = verifyRazorpaySignature(
-          req.body,
-          req.headers["x-razorpay-signature"],
-          razorpaySecret
-        );
-
-        if (isVerified) {
-          await handleRazorpayWebhook(req.body, socketManager);
-        }
-        break;
-
-      case "PAYPAL":
-        const paypalSecret = process.env.PAYPAL_WEBHOOK_SECRET;
-        if (!paypalSecret) {
-          return res.status(500).json({
-            success: false,
-            message: "PayPal webhook secret not configured",
-          });
-        }
-
-        isVerified = verifyPayPalSignature(req.body, req.headers, paypalSecret);
-
-        if (isVerified) {
-          await handlePayPalWebhook(req.body, socketManager);
-        }
-        break;
+          break;
+
+        case "RAZORPAY":
+          await handleRazorpayWebhook(event, socketManager);
+          break;
+
+        case "PAYPAL":
+          await handlePayPalWebhook(event, socketManager);
+          break;
+
+        default:
+          await handleGatewayEvent(
+            gateway,
+            adapter.parseWebhookEvent(event),
+            socketManager
+          );
+      }
     }
 
     if (!isVerified) {
@@ -855,11 +1155,48 @@ export const testWebhook = asyncHandler(async (req, res) => {
           id: "test123",
           amount: { value: "50.00", currency_code: "USD" },
           status: "COMPLETED",
+          custom_id: "test_order_id",
+          supplementary_data: {
+            related_ids: { order_id: "test_paypal_order_id" },
+          },
         },
       };
       req.headers["paypal-transmission-id"] = "test_signature";
       break;
 
+    case "MOCK":
+      if (!paymentService.validateGateway("MOCK")) {
+        return res.status(400).json({
+          success: false,
+          message: "Mock gateway is not enabled",
+        });
+      }
+
+      // The signature lets the payload settle a real order, so only admins
+      // may have one minted for the IDs they pass in.
+      if (req.userRole !== "ADMIN") {
+        return res.status(403).json({
+          success: false,
+          message: "Access denied. Admin privileges required.",
+          code: "INSUFFICIENT_PERMISSIONS",
+        });
+      }
+
+      testPayload = {
+        event: "payment.captured",
+        data: {
+          orderId: req.query.orderId || "test_order_id",
+          transactionId: req.query.transactionId || "mock_pay_test123",
+          amount: 50,
+          currency: "INR",
+        },
+      };
+      // Signed for real so the payload can be replayed against the webhook.
+      req.headers["x-mock-signature"] = paymentService
+        .getGateway("MOCK")
+        .sign(JSON.stringify(testPayload));
+      break;
+
     default:
       return res.status(400).json({
         success: false,
@@ -876,5 +1213,8 @@ export const testWebhook = asyncHandler(async (req, res) => {
     message: `Test ${gateway} webhook data received`,
     gateway,
     payload: testPayload,
+    ...(req.headers["x-mock-signature"] && {
+      signature: req.headers["x-mock-signature"],
+    }),
   });
 });
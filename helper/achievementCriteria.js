@@ -0,0 +1,131 @@
+export const ACHIEVEMENT_METRICS = {
+  lessons_completed: { courseScoped: true },
+  quizzes_passed: { courseScoped: true },
+  perfect_quizzes: { courseScoped: true },
+  average_quiz_score: { courseScoped: true },
+  learning_minutes: { courseScoped: true },
+  course_progress: { courseScoped: true, requiresCourse: true },
+  courses_completed: { courseScoped: false },
+  current_streak: { courseScoped: false },
+  longest_streak: { courseScoped: false },
+  reviews_written: { courseScoped: false },
+  five_star_reviews: { courseScoped: false },
+  questions_asked: { courseScoped: true },
+  answers_received: { courseScoped: true },
+  total_points: { courseScoped: false },
+};
+
+const COMBINATORS = ["all", "any"];
+const MAX_DEPTH = 3;
+
+export const validateCriteria = (criteria, depth = 0) => {
+  const errors = [];
+
+  if (!criteria || typeof criteria !== "object" || Array.isArray(criteria)) {
+    return ["Criteria must be an object"];
+  }
+
+  const combinator = COMBINATORS.find((key) => key in criteria);
+
+  if (combinator) {
+    if (depth >= MAX_DEPTH) {
+      return [`Criteria cannot be nested more than ${MAX_DEPTH} levels deep`];
+    }
+
+    const children = criteria[combinator];
+    if (!Array.isArray(children) || children.length === 0) {
+      return [`"${combinator}" must be a non-empty array of criteria`];
+    }
+
+    children.forEach((child) => {
+      errors.push(...validateCriteria(child, depth + 1));
+    });
+    return errors;
+  }
+
+  const definition = ACHIEVEMENT_METRICS[criteria.metric];
+  if (!definition) {
+    return [
+      `Unknown metric "${criteria.metric}". Valid metrics: ${Object.keys(
+        ACHIEVEMENT_METRICS
+      ).join(", ")}`,
+    ];
+  }
+
+  if (typeof criteria.threshold !== "number" || criteria.threshold <= 0) {
+    errors.push(
+      `Metric "${criteria.metric}" needs a positive numeric threshold`
+    );
+  }
+
+  if (criteria.courseId && !definition.courseScoped) {
+    errors.push(`Metric "${criteria.metric}" cannot be scoped to a course`);
+  }
+
+  if (definition.requiresCourse && !criteria.courseId) {
+    errors.push(`Metric "${criteria.metric}" requires a courseId`);
+  }
+
+  if (
+    criteria.minAttempts !== undefined &&
+    (typeof criteria.minAttempts !== "number" || criteria.minAttempts < 1)
+  ) {
+    errors.push("minAttempts must be a positive number");
+  }
+
+  return errors;
+};
+
+export const getMetricKey = (criteria) =>
+  `${criteria.metric}:${criteria.courseId || "*"}`;
+
+export const collectMetricRequests = (criteria, requests = new Map()) => {
+  const combinator = COMBINATORS.find((key) => key in criteria);
+
+  if (combinator) {
+    criteria[combinator].forEach((child) =>
+      collectMetricRequests(child, requests)
+    );
+  } else {
+    requests.set(getMetricKey(criteria), {
+      metric: criteria.metric,
+      courseId: criteria.courseId || null,
+      minAttempts: criteria.minAttempts,
+    });
+  }
+
+  return requests;
+};
+
+export const evaluateCriteria = (criteria, metricValues) => {
+  const combinator = COMBINATORS.find((key) => key in criteria);
+
+  if (combinator) {
+    const results = criteria[combinator].map((child) =>
+      evaluateCriteria(child, metricValues)
+    );
+
+    if (combinator === "all") {
+      return {
+        met: results.every((result) => result.met),
+        progress:
+          results.reduce((sum, result) => sum + result.progress, 0) /
+          results.length,
+      };
+    }
+
+    return {
+      met: results.some((result) => result.met),
+      progress: Math.max(...results.map((result) => result.progress)),
+    };
+  }
+
+  const value = metricValues.get(getMetricKey(criteria)) ?? 0;
+
+  return {
+    met: value >= criteria.threshold,
+    progress: Math.min(value / criteria.threshold, 1),
+    current: value,
+    target: criteria.threshold,
+  };
+};
@@ -0,0 +1,240 @@
+export const SUPPORTED_LANGUAGES = ["javascript", "python"];
+
+const LANGUAGE_ALIASES = {
+  js: "javascript",
+  node: "javascript",
+  nodejs: "javascript",
+  py: "python",
+  python3: "python",
+};
+
+const MAX_TEST_CASES = 50;
+const MAX_CODE_LENGTH = 100000;
+const MAX_TEST_DATA_LENGTH = 100000;
+
+export const DEFAULT_TIME_LIMIT_MS = 2000;
+export const MAX_TIME_LIMIT_MS = 10000;
+export const DEFAULT_MEMORY_LIMIT_MB = 128;
+export const MAX_MEMORY_LIMIT_MB = 512;
+
+const round = (value) => Math.round(value * 100) / 100;
+
+export const normalizeLanguage = (language) => {
+  const key = String(language || "")
+    .trim()
+    .toLowerCase();
+  return LANGUAGE_ALIASES[key] || key;
+};
+
+// Code challenges are stored on Question.codeChallenge as
+// { language, starterCode, timeLimitMs, memoryLimitMb, testCases } where each
+// test case is { id, name, input, expectedOutput, hidden, weight }. Programs
+// read the input from stdin and are judged on what they print to stdout.
+export const validateCodeChallenge = (challenge) => {
+  if (!challenge || typeof challenge !== "object" || Array.isArray(challenge)) {
+    return ["Code challenge questions need a codeChallenge object"];
+  }
+
+  const errors = [];
+  const language = normalizeLanguage(challenge.language);
+
+  if (!SUPPORTED_LANGUAGES.includes(language)) {
+    errors.push(`Language must be one of: ${SUPPORTED_LANGUAGES.join(", ")}`);
+  }
+
+  if (
+    challenge.starterCode !== undefined &&
+    challenge.starterCode !== null &&
+    (typeof challenge.starterCode !== "string" ||
+      challenge.starterCode.length > MAX_CODE_LENGTH)
+  ) {
+    errors.push(
+      `Starter code must be text of at most ${MAX_CODE_LENGTH} characters`
+    );
+  }
+
+  if (challenge.timeLimitMs !== undefined) {
+    const timeLimitMs = Number(challenge.timeLimitMs);
+    if (
+      !Number.isInteger(timeLimitMs) ||
+      timeLimitMs < 100 ||
+      timeLimitMs > MAX_TIME_LIMIT_MS
+    ) {
+      errors.push(
+        `Time limit must be between 100 and ${MAX_TIME_LIMIT_MS} milliseconds`
+      );
+    }
+  }
+
+  if (challenge.memoryLimitMb !== undefined) {
+    const memoryLimitMb = Number(challenge.memoryLimitMb);
+    if (
+      !Number.isInteger(memoryLimitMb) ||
+      memoryLimitMb < 16 ||
+      memoryLimitMb > MAX_MEMORY_LIMIT_MB
+    ) {
+      errors.push(
+        `Memory limit must be between 16 and ${MAX_MEMORY_LIMIT_MB} MB`
+      );
+    }
+  }
+
+  const { testCases } = challenge;
+  if (!Array.isArray(testCases) || testCases.length === 0) {
+    errors.push("Code challenges need at least one test case");
+    return errors;
+  }
+
+  if (testCases.length > MAX_TEST_CASES) {
+    errors.push(
+      `Code challenges cannot have more than ${MAX_TEST_CASES} tests`
+    );
+    return errors;
+  }
+
+  const ids = new Set();
+
+  testCases.forEach((testCase, index) => {
+    const label = `Test case ${index + 1}`;
+
+    if (!testCase || typeof testCase !== "object") {
+      errors.push(`${label} must be an object`);
+      return;
+    }
+
+    if (typeof testCase.expectedOutput !== "string") {
+      errors.push(`${label} needs an expectedOutput string`);
+    }
+
+    ["input", "expectedOutput"].forEach((field) => {
+      if (String(testCase[field] ?? "").length > MAX_TEST_DATA_LENGTH) {
+        errors.push(
+          `${label} ${field} cannot exceed ${MAX_TEST_DATA_LENGTH} characters`
+        );
+      }
+    });
+
+    if (testCase.weight !== undefined && !(Number(testCase.weight) > 0)) {
+      errors.push(`${label} needs a weight greater than 0`);
+    }
+
+    if (testCase.id !== undefined) {
+      if (ids.has(String(testCase.id))) {
+        errors.push(`${label} reuses the test case ID "${testCase.id}"`);
+      }
+      ids.add(String(testCase.id));
+    }
+  });
+
+  if (!testCases.some((testCase) => testCase && !testCase.hidden)) {
+    errors.push("At least one test case must be visible to students");
+  }
+
+  return errors;
+};
+
+// Fills in defaults. Expects a challenge that passed validateCodeChallenge.
+export const normalizeCodeChallenge = (challenge) => ({
+  language: normalizeLanguage(challenge.language),
+  starterCode: challenge.starterCode || "",
+  timeLimitMs: Number(challenge.timeLimitMs) || DEFAULT_TIME_LIMIT_MS,
+  memoryLimitMb: Number(challenge.memoryLimitMb) || DEFAULT_MEMORY_LIMIT_MB,
+  testCases: challenge.testCases.map((testCase, index) => ({
+    id: String(testCase.id ?? `test_${index + 1}`),
+    name: testCase.name ? String(testCase.name).trim() : `Test ${index + 1}`,
+    input: String(testCase.input ?? ""),
+    expectedOutput: testCase.expectedOutput,
+    hidden: !!testCase.hidden,
+    weight: Number(testCase.weight) || 1,
+  })),
+});
+
+// What students see while answering: hidden tests are counted but not shown.
+export const toPublicCodeChallenge = (challenge) => {
+  if (!challenge || validateCodeChallenge(challenge).length > 0) return null;
+
+  const { testCases, ...rest } = normalizeCodeChallenge(challenge);
+
+  return {
+    ...rest,
+    testCases: testCases
+      .filter((testCase) => !testCase.hidden)
+      .map(({ hidden, weight, ...testCase }) => testCase),
+    hiddenTestCount: testCases.filter((testCase) => testCase.hidden).length,
+  };
+};
+
+// Code answers arrive as the source text, as { code } or as either of those
+// JSON-encoded.
+export const getSubmittedCode = (answer) => {
+  let value = answer;
+  if (typeof value === "string") {
+    try {
+      value = JSON.parse(value);
+    } catch {
+      return answer;
+    }
+  }
+
+  if (typeof value === "string") return value;
+  if (typeof value?.code === "string") return value.code;
+  return typeof answer === "string" ? answer : null;
+};
+
+// Line endings and trailing whitespace are not significant.
+export const normalizeOutput = (output) =>
+  String(output ?? "")
+    .replace(/\r\n?/g, "\n")
+    .split("\n")
+    .map((line) => line.trimEnd())
+    .join("\n")
+    .trimEnd();
+
+export const outputsMatch = (actual, expected) =>
+  normalizeOutput(actual) === normalizeOutput(expected);
+
+// Share of the test weight that passed, between 0 and 1.
+export const scoreTestResults = (results) => {
+  const totalWeight = results.reduce((sum, result) => sum + result.weight, 0);
+  const passedWeight = results
+    .filter((result) => result.passed)
+    .reduce((sum, result) => sum + result.weight, 0);
+
+  return totalWeight > 0 ? round(passedWeight / totalWeight) : 0;
+};
+
+// Code answers are stored with this placeholder in Answer.codeResults until
+// the background grader (utils/codeGradingService.js) has run their tests.
+export const queuedCodeResults = () => ({
+  status: "QUEUED",
+  queuedAt: new Date().toISOString(),
+});
+
+export const isQueuedCodeResults = (codeResults) =>
+  codeResults?.status === "QUEUED";
+
+// Strips the input, expected output and program output of hidden tests
+// before results are shown to a student.
+export const formatCodeResults = (
+  codeResults,
+  { includeHidden = false } = {}
+) => {
+  if (isQueuedCodeResults(codeResults)) return { status: "QUEUED" };
+  if (!codeResults || !Array.isArray(codeResults.results)) return null;
+
+  return {
+    ...codeResults,
+    results: codeResults.results.map((result) =>
+      result.hidden && !includeHidden
+        ? {
+            testCaseId: result.testCaseId,
+            name: result.name,
+            hidden: true,
+            passed: result.passed,
+            status: result.status,
+            timeMs: result.timeMs,
+          }
+        : result
+    ),
+  };
+};
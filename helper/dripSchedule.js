@@ -0,0 +1,172 @@
+const DAY_IN_MS = 24 * 60 * 60 * 1000;
+
+export const parseDripSchedule = (dripSchedule) => {
+  let schedule = dripSchedule;
+
+  if (typeof schedule === "string") {
+    try {
+      schedule = JSON.parse(schedule);
+    } catch (error) {
+      return { sections: {}, lessons: {} };
+    }
+  }
+
+  if (!schedule || typeof schedule !== "object" || Array.isArray(schedule)) {
+    return { sections: {}, lessons: {} };
+  }
+
+  return {
+    sections:
+      schedule.sections && typeof schedule.sections === "object"
+        ? schedule.sections
+        : {},
+    lessons:
+      schedule.lessons && typeof schedule.lessons === "object"
+        ? schedule.lessons
+        : {},
+  };
+};
+
+export const isDripEnabled = (courseSettings) => {
+  return !!(courseSettings?.drip && courseSettings?.dripSchedule);
+};
+
+export const resolveReleaseDate = (rule, enrolledAt) => {
+  if (!rule || typeof rule !== "object") {
+    return null;
+  }
+
+  const candidates = [];
+
+  if (rule.days !== undefined && rule.days !== null) {
+    const days = Number(rule.days);
+    if (Number.isFinite(days) && days > 0) {
+      candidates.push(
+        new Date(new Date(enrolledAt).getTime() + days * DAY_IN_MS)
+      );
+    }
+  }
+
+  if (rule.date) {
+    const date = new Date(rule.date);
+    if (!isNaN(date.getTime())) {
+      candidates.push(date);
+    }
+  }
+
+  if (candidates.length === 0) {
+    return null;
+  }
+
+  return new Date(Math.max(...candidates.map((d) => d.getTime())));
+};
+
+export const getReleaseDate = (
+  courseSettings,
+  enrolledAt,
+  { sectionId, lessonId = null }
+) => {
+  if (!isDripEnabled(courseSettings)) {
+    return null;
+  }
+
+  const schedule = parseDripSchedule(courseSettings.dripSchedule);
+
+  const sectionRelease = resolveReleaseDate(
+    schedule.sections[sectionId],
+    enrolledAt
+  );
+  const lessonRelease = lessonId
+    ? resolveReleaseDate(schedule.lessons[lessonId], enrolledAt)
+    : null;
+
+  if (sectionRelease && lessonRelease) {
+    return sectionRelease > lessonRelease ? sectionRelease : lessonRelease;
+  }
+
+  return sectionRelease || lessonRelease;
+};
+
+export const getDripStatus = (
+  courseSettings,
+  enrolledAt,
+  { sectionId, lessonId = null },
+  now = new Date()
+) => {
+  const availableAt = getReleaseDate(courseSettings, enrolledAt, {
+    sectionId,
+    lessonId,
+  });
+
+  return {
+    locked: !!availableAt && availableAt > now,
+    availableAt,
+  };
+};
+
+export const getNextReleaseDate = (releaseDates, now = new Date()) => {
+  const upcoming = releaseDates
+    .filter((date) => date && date > now)
+    .sort((a, b) => a - b);
+
+  return upcoming[0] || null;
+};
+
+export const validateDripSchedule = (dripSchedule, sectionIds, lessonIds) => {
+  const errors = [];
+
+  if (
+    !dripSchedule ||
+    typeof dripSchedule !== "object" ||
+    Array.isArray(dripSchedule)
+  ) {
+    return ["Drip schedule must be an object with sections and lessons"];
+  }
+
+  const validateRules = (rules, validIds, label) => {
+    if (rules === undefined) {
+      return;
+    }
+
+    if (!rules || typeof rules !== "object" || Array.isArray(rules)) {
+      errors.push(`${label} rules must be an object keyed by ${label} ID`);
+      return;
+    }
+
+    Object.entries(rules).forEach(([id, rule]) => {
+      if (!validIds.includes(id)) {
+        errors.push(`Unknown ${label} ID: ${id}`);
+        return;
+      }
+
+      if (!rule || typeof rule !== "object") {
+        errors.push(`Rule for ${label} ${id} must be an object`);
+        return;
+      }
+
+      if (rule.days === undefined && !rule.date) {
+        errors.push(`Rule for ${label} ${id} must define days or date`);
+      }
+
+      if (
+        rule.days !== undefined &&
+        (!Number.isInteger(Number(rule.days)) ||
+          Number(rule.days) < 0 ||
+          Number(rule.days) > 3650)
+      ) {
+        errors.push(
+          `Days for ${label} ${id} must be a whole number between 0 and 3650`
+        );
+      }
+
+      if (rule.date && isNaN(new Date(rule.date).getTime())) {
+        errors.push(`Date for ${label} ${id} must be a valid ISO date`);
+      }
+    });
+  };
+
+  validateRules(dripSchedule.sections, sectionIds, "section");
+  validateRules(dripSchedule.lessons, lessonIds, "lesson");
+
+  return errors;
+};
@@ -655,6 +655,38 @@ export const validateMinPayoutAmount = (amount, currency = "USD") => {
   };
 };
 
+export const formatPayoutPeriod = (batch) => {
+  if (!batch) {
+    return new Date().toLocaleDateString("en-US", {
+      month: "long",
+      year: "numeric",
+    });
+  }
+
+  const start = new Date(batch.periodStart);
+  // Periods are half-open, so the last covered day is the one before periodEnd.
+  const end = new Date(
+    new Date(batch.periodEnd).getTime() - 24 * 60 * 60 * 1000
+  );
+
+  if (batch.schedule === "MONTHLY") {
+    return start.toLocaleDateString("en-US", {
+      month: "long",
+      year: "numeric",
+      timeZone: "UTC",
+    });
+  }
+
+  const format = (date, options) =>
+    date.toLocaleDateString("en-US", { ...options, timeZone: "UTC" });
+
+  return `${format(start, { month: "short", day: "numeric" })} - ${format(end, {
+    month: "short",
+    day: "numeric",
+    year: "numeric",
+  })}`;
+};
+
 export const getEarningsMetrics = (earnings, timeframe = "month") => {
   if (!earnings || earnings.length === 0) {
     return {
@@ -0,0 +1,219 @@
+import crypto from "crypto";
+
+export const DIFFICULTIES = ["EASY", "MEDIUM", "HARD"];
+
+const MAX_RULES = 20;
+const MAX_QUESTIONS_PER_RULE = 100;
+
+// Item statistics compare the top and bottom 27% of attempts, the usual
+// split for the upper-lower discrimination index, and are only reported once
+// a question has enough graded responses to mean something.
+const GROUP_SHARE = 0.27;
+export const MIN_RESPONSES_FOR_STATS = 10;
+
+const round = (value) => Math.round(value * 100) / 100;
+
+// Draw rules are stored on Quiz.drawRules as
+// [{ bankId, count, difficulty?, tags? }]. A question matches a rule when it
+// is in the bank, has the difficulty if one is given and carries every tag.
+export const validateDrawRules = (rules) => {
+  if (!Array.isArray(rules) || rules.length === 0) {
+    return ["drawRules must be a non-empty array"];
+  }
+
+  if (rules.length > MAX_RULES) {
+    return [`A quiz cannot have more than ${MAX_RULES} draw rules`];
+  }
+
+  const errors = [];
+
+  rules.forEach((rule, index) => {
+    const label = `Rule ${index + 1}`;
+
+    if (!rule || typeof rule !== "object") {
+      errors.push(`${label} must be an object`);
+      return;
+    }
+
+    if (!rule.bankId || typeof rule.bankId !== "string") {
+      errors.push(`${label} needs a bankId`);
+    }
+
+    const count = Number(rule.count);
+    if (
+      !Number.isInteger(count) ||
+      count < 1 ||
+      count > MAX_QUESTIONS_PER_RULE
+    ) {
+      errors.push(
+        `${label} needs a count between 1 and ${MAX_QUESTIONS_PER_RULE}`
+      );
+    }
+
+    if (
+      rule.difficulty !== undefined &&
+      rule.difficulty !== null &&
+      !DIFFICULTIES.includes(rule.difficulty)
+    ) {
+      errors.push(
+        `${label} difficulty must be one of: ${DIFFICULTIES.join(", ")}`
+      );
+    }
+
+    if (
+      rule.tags !== undefined &&
+      (!Array.isArray(rule.tags) ||
+        rule.tags.some((tag) => typeof tag !== "string" || !tag.trim()))
+    ) {
+      errors.push(`${label} tags must be an array of non-empty strings`);
+    }
+  });
+
+  return errors;
+};
+
+// Expects rules that passed validateDrawRules.
+export const normalizeDrawRules = (rules) =>
+  rules.map((rule) => ({
+    bankId: rule.bankId,
+    count: Number(rule.count),
+    difficulty: rule.difficulty || null,
+    tags: Array.isArray(rule.tags) ? rule.tags.map((tag) => tag.trim()) : [],
+  }));
+
+export const describeDrawRule = (rule) =>
+  [
+    rule.count,
+    rule.difficulty,
+    rule.count === 1 ? "question" : "questions",
+    rule.tags.length > 0 ? `tagged ${rule.tags.join(", ")}` : null,
+  ]
+    .filter(Boolean)
+    .join(" ");
+
+export const matchesDrawRule = (question, rule) =>
+  question.bankId === rule.bankId &&
+  (!rule.difficulty || question.difficulty === rule.difficulty) &&
+  rule.tags.every((tag) => question.tags.includes(tag));
+
+export const shuffle = (items) => {
+  const result = [...items];
+  for (let i = result.length - 1; i > 0; i--) {
+    const j = crypto.randomInt(i + 1);
+    [result[i], result[j]] = [result[j], result[i]];
+  }
+  return result;
+};
+
+// Picks questions for one attempt from the bank questions in pool. Rules
+// with the fewest candidates draw first so overlapping rules do not starve
+// each other, and questions in seenIds (earlier attempts) are only reused
+// once a rule runs out of fresh ones. Returns { errors, questionIds } with
+// questions grouped in rule order.
+export const drawQuestions = (pool, rules, { seenIds = [] } = {}) => {
+  const seen = new Set(seenIds);
+  const taken = new Set();
+  const errors = [];
+
+  const candidates = rules.map((rule) =>
+    pool.filter((question) => matchesDrawRule(question, rule))
+  );
+  const drawOrder = rules
+    .map((rule, index) => index)
+    .sort((a, b) => candidates[a].length - candidates[b].length);
+
+  const picks = rules.map(() => []);
+
+  drawOrder.forEach((index) => {
+    const rule = rules[index];
+    const available = shuffle(
+      candidates[index].filter((question) => !taken.has(question.id))
+    );
+    const ordered = [
+      ...available.filter((question) => !seen.has(question.id)),
+      ...available.filter((question) => seen.has(question.id)),
+    ];
+
+    if (ordered.length < rule.count) {
+      errors.push(
+        `Not enough questions for "${describeDrawRule(rule)}": needs ${
+          rule.count
+        }, bank has ${ordered.length}`
+      );
+      return;
+    }
+
+    picks[index] = ordered.slice(0, rule.count).map((question) => question.id);
+    picks[index].forEach((id) => taken.add(id));
+  });
+
+  return {
+    errors,
+    questionIds: errors.length > 0 ? [] : picks.flat(),
+  };
+};
+
+// Classical item analysis per question. Each response is
+// { questionId, points, maxPoints, attemptId, attemptPercentage, timeSpent }
+// from a graded attempt. The difficulty index is the average share of
+// points earned (higher means easier); the discrimination index is how much
+// better the top 27% of attempts did on the question than the bottom 27%.
+export const computeItemStatistics = (questions, responses) => {
+  const byQuestion = new Map(questions.map((question) => [question.id, []]));
+
+  responses.forEach((response) => {
+    byQuestion.get(response.questionId)?.push(response);
+  });
+
+  return questions.map((question) => {
+    const items = byQuestion.get(question.id);
+    const ratios = items.map((item) =>
+      item.maxPoints > 0
+        ? Math.min(Math.max(item.points / item.maxPoints, 0), 1)
+        : 0
+    );
+    const mean = (values) =>
+      values.length > 0
+        ? values.reduce((sum, value) => sum + value, 0) / values.length
+        : null;
+
+    const difficultyIndex = mean(ratios);
+    let discriminationIndex = null;
+
+    if (items.length >= MIN_RESPONSES_FOR_STATS) {
+      const ranked = items
+        .map((item, index) => ({ ratio: ratios[index], item }))
+        .sort((a, b) => b.item.attemptPercentage - a.item.attemptPercentage);
+      const groupSize = Math.max(1, Math.round(ranked.length * GROUP_SHARE));
+
+      discriminationIndex =
+        mean(ranked.slice(0, groupSize).map((entry) => entry.ratio)) -
+        mean(ranked.slice(-groupSize).map((entry) => entry.ratio));
+    }
+
+    const flags = [];
+    if (items.length >= MIN_RESPONSES_FOR_STATS) {
+      if (difficultyIndex > 0.9) flags.push("TOO_EASY");
+      if (difficultyIndex < 0.2) flags.push("TOO_HARD");
+      if (discriminationIndex < 0) flags.push("NEGATIVE_DISCRIMINATION");
+      else if (discriminationIndex < 0.2) flags.push("LOW_DISCRIMINATION");
+    }
+
+    return {
+      questionId: question.id,
+      content: question.content,
+      type: question.type,
+      difficulty: question.difficulty,
+      tags: question.tags,
+      responses: items.length,
+      difficultyIndex: difficultyIndex === null ? null : round(difficultyIndex),
+      discriminationIndex:
+        discriminationIndex === null ? null : round(discriminationIndex),
+      averageTimeSpent:
+        items.length > 0
+          ? Math.round(mean(items.map((item) => item.timeSpent || 0)))
+          : null,
+      flags,
+    };
+  });
+};
@@ -0,0 +1,449 @@
+// Per-type grading for quiz answers. Answer keys live in
+// Question.correctAnswer as text, holding JSON for structured types:
+//
+//   SINGLE_CHOICE, TRUE_FALSE  "b" or "true"
+//   MULTIPLE_CHOICE            ["a", "c"]
+//   SHORT_ANSWER               ["colour", "color"] (any one is accepted)
+//   FILL_IN_BLANK              ["Paris"] for one blank with variants, or
+//                              [["Paris"], ["Berlin", "Berlin city"]] per blank
+//   MATCHING                   { "dog": "bark", "cat": "meow" }
+//   DRAG_DROP                  ["step1", "step2"] for an ordered sequence, or
+//                              { "zoneA": ["x", "y"] } for placement
+//
+// CODE_CHALLENGE answers are graded from Question.codeChallenge test cases by
+// utils/codeRunnerService.js; gradeAnswer takes the run result as codeResult.
+//
+// Text answers are compared case-insensitively with whitespace collapsed;
+// Question.options may set { caseSensitive: true } and
+// { synonyms: [["usa", "united states"]] } for equivalent terms.
+
+export const MANUAL_REVIEW_TYPES = ["ESSAY"];
+
+const round = (value) => Math.round(value * 100) / 100;
+
+export const parseAnswerValue = (value) => {
+  if (typeof value !== "string") return value;
+
+  try {
+    return JSON.parse(value);
+  } catch {
+    return value;
+  }
+};
+
+export const serializeAnswerKey = (value) => {
+  if (value === undefined || value === null) return null;
+  if (typeof value === "string") return value.trim() || null;
+  return JSON.stringify(value);
+};
+
+const isBlank = (value) =>
+  value === undefined ||
+  value === null ||
+  (typeof value === "string" && value.trim() === "") ||
+  (Array.isArray(value) && value.length === 0) ||
+  (typeof value === "object" &&
+    !Array.isArray(value) &&
+    Object.keys(value).length === 0);
+
+const getTextSettings = (question) => {
+  const options =
+    question.options && !Array.isArray(question.options)
+      ? question.options
+      : {};
+
+  return {
+    caseSensitive: !!options.caseSensitive,
+    synonyms: Array.isArray(options.synonyms) ? options.synonyms : [],
+  };
+};
+
+export const normalizeText = (value, { caseSensitive = false } = {}) => {
+  const text = String(value ?? "")
+    .normalize("NFKC")
+    .replace(/\s+/g, " ")
+    .trim()
+    .replace(/[.,;:!?]+$/, "");
+
+  return caseSensitive ? text : text.toLowerCase();
+};
+
+// Maps each synonym, and each word inside a phrase, onto the first entry of
+// its group so "colour" and "color" compare equal.
+const buildCanonicalizer = (settings) => {
+  const canonical = new Map();
+
+  settings.synonyms.forEach((group) => {
+    if (!Array.isArray(group) || group.length === 0) return;
+    const target = normalizeText(group[0], settings);
+    group.forEach((term) =>
+      canonical.set(normalizeText(term, settings), target)
+    );
+  });
+
+  return (value) => {
+    const text = normalizeText(value, settings);
+    if (canonical.has(text)) return canonical.get(text);
+
+    return text
+      .split(" ")
+      .map((word) => canonical.get(word) || word)
+      .join(" ");
+  };
+};
+
+const toList = (value) => {
+  const parsed = parseAnswerValue(value);
+  if (parsed === undefined || parsed === null) return [];
+  return Array.isArray(parsed) ? parsed : [parsed];
+};
+
+// Choices may be submitted as the option id, its text or its index.
+const buildChoiceResolver = (question) => {
+  const options = Array.isArray(question.options) ? question.options : [];
+  const keys = options.map((option) =>
+    option && typeof option === "object"
+      ? String(option.id ?? option.value ?? option.text ?? option.label)
+      : String(option)
+  );
+  const byText = new Map();
+
+  options.forEach((option, index) => {
+    const texts =
+      option && typeof option === "object"
+        ? [option.id, option.value, option.text, option.label]
+        : [option];
+    texts
+      .filter((text) => text !== undefined && text !== null)
+      .forEach((text) => byText.set(normalizeText(text), keys[index]));
+  });
+
+  return (value) => {
+    if (typeof value === "number" && keys[value] !== undefined) {
+      return keys[value];
+    }
+    const text = normalizeText(
+      value && typeof value === "object" ? value.id ?? value.text : value
+    );
+    return byText.get(text) ?? text;
+  };
+};
+
+const normalizeBoolean = (value) => {
+  const text = normalizeText(value);
+  if (["true", "t", "yes", "1"].includes(text)) return "true";
+  if (["false", "f", "no", "0"].includes(text)) return "false";
+  return text;
+};
+
+// Pairs can be sent as an object, [[left, right]] or [{ left, right }].
+const toPairs = (value) => {
+  const parsed = parseAnswerValue(value);
+
+  if (Array.isArray(parsed)) {
+    return parsed
+      .map((pair) =>
+        Array.isArray(pair)
+          ? [pair[0], pair[1]]
+          : pair && typeof pair === "object"
+          ? [
+              pair.left ?? pair.item ?? pair.key,
+              pair.right ?? pair.zone ?? pair.value,
+            ]
+          : null
+      )
+      .filter(Boolean);
+  }
+
+  if (parsed && typeof parsed === "object") {
+    return Object.entries(parsed);
+  }
+
+  return [];
+};
+
+const gradeChoice = (question, studentAnswer) => {
+  const resolve = buildChoiceResolver(question);
+  const expected = resolve(toList(question.correctAnswer)[0]);
+  const given = toList(studentAnswer);
+
+  return given.length === 1 && resolve(given[0]) === expected ? 1 : 0;
+};
+
+const gradeTrueFalse = (question, studentAnswer) => {
+  const expected = normalizeBoolean(toList(question.correctAnswer)[0]);
+  return normalizeBoolean(toList(studentAnswer)[0]) === expected ? 1 : 0;
+};
+
+const gradeMultipleChoice = (question, studentAnswer, { partialCredit }) => {
+  const resolve = buildChoiceResolver(question);
+  const expected = new Set(toList(question.correctAnswer).map(resolve));
+  const given = new Set(toList(studentAnswer).map(resolve));
+
+  if (expected.size === 0) return 0;
+
+  const hits = [...given].filter((choice) => expected.has(choice)).length;
+  const misses = given.size - hits;
+
+  if (!partialCredit) {
+    return hits === expected.size && misses === 0 ? 1 : 0;
+  }
+
+  // Each wrong pick cancels a right one so selecting everything scores 0.
+  return Math.max(0, (hits - misses) / expected.size);
+};
+
+const gradeText = (question, studentAnswer) => {
+  const canonicalize = buildCanonicalizer(getTextSettings(question));
+  const accepted = toList(question.correctAnswer).map(canonicalize);
+  const given = canonicalize(toList(studentAnswer)[0]);
+
+  return accepted.includes(given) ? 1 : 0;
+};
+
+const gradeFillInBlank = (question, studentAnswer, { partialCredit }) => {
+  const canonicalize = buildCanonicalizer(getTextSettings(question));
+  const key = toList(question.correctAnswer);
+  const given = toList(studentAnswer);
+
+  // An array of arrays, or an array answered with an array, is one entry per
+  // blank; otherwise the key lists accepted variants of a single blank.
+  const blanks =
+    key.some(Array.isArray) || given.length > 1
+      ? key.map((blank) => (Array.isArray(blank) ? blank : [blank]))
+      : [key];
+
+  const correct = blanks.filter((variants, index) =>
+    variants.map(canonicalize).includes(canonicalize(given[index]))
+  ).length;
+
+  if (!partialCredit) return correct === blanks.length ? 1 : 0;
+  return blanks.length > 0 ? correct / blanks.length : 0;
+};
+
+// Scores placements item by item. Targets holding a list accept their items
+// in any order. Like multiple choice, every item placed where it does not
+// belong (including targets the key does not have) cancels a right one, so
+// dropping every item into every zone scores 0.
+const gradePlacement = (expectedPairs, givenPairs, { partialCredit }) => {
+  const toSet = (value) =>
+    new Set(
+      (Array.isArray(value) ? value : [value])
+        .filter((item) => item !== undefined && item !== null)
+        .map((item) => normalizeText(item))
+    );
+
+  const expected = new Map(
+    expectedPairs.map(([key, value]) => [normalizeText(key), toSet(value)])
+  );
+  const given = new Map(
+    givenPairs.map(([key, value]) => [normalizeText(key), toSet(value)])
+  );
+
+  let units = 0;
+  let hits = 0;
+  let misses = 0;
+
+  expected.forEach((items) => {
+    units += items.size;
+  });
+
+  given.forEach((items, key) => {
+    const target = expected.get(key) || new Set();
+    items.forEach((item) => {
+      if (target.has(item)) hits++;
+      else misses++;
+    });
+  });
+
+  if (units === 0) return 0;
+  if (!partialCredit) return hits === units && misses === 0 ? 1 : 0;
+  return Math.max(0, (hits - misses) / units);
+};
+
+const gradeSequence = (question, studentAnswer, { partialCredit }) => {
+  const expected = toList(question.correctAnswer).map((item) =>
+    normalizeText(item)
+  );
+  const given = toList(studentAnswer).map((item) => normalizeText(item));
+
+  if (expected.length === 0) return 0;
+
+  const inPlace = expected.filter(
+    (item, index) => given[index] === item
+  ).length;
+
+  if (!partialCredit) return inPlace === expected.length ? 1 : 0;
+  return inPlace / expected.length;
+};
+
+// Code challenges fall back to manual review when the runner produced no
+// result, e.g. on hosts without a sandbox.
+export const needsManualReview = (question, codeResult) =>
+  MANUAL_REVIEW_TYPES.includes(question.type) ||
+  (question.type === "SHORT_ANSWER" && !question.correctAnswer) ||
+  (question.type === "CODE_CHALLENGE" && !codeResult);
+
+// Grades one answer. Returns { isCorrect, points, ratio, needsReview } where
+// points can be negative when negative marking is on. Answers that need a
+// person to grade them come back with null points and needsReview set.
+export const gradeAnswer = (
+  question,
+  studentAnswer,
+  { partialCredit = true, negativeMarking = 0, codeResult = null } = {}
+) => {
+  if (isBlank(parseAnswerValue(studentAnswer))) {
+    return { isCorrect: false, points: 0, ratio: 0, needsReview: false };
+  }
+
+  if (needsManualReview(question, codeResult)) {
+    return { isCorrect: null, points: null, ratio: null, needsReview: true };
+  }
+
+  const settings = { partialCredit };
+  let ratio = 0;
+
+  try {
+    switch (question.type) {
+      case "SINGLE_CHOICE":
+        ratio = gradeChoice(question, studentAnswer);
+        break;
+      case "TRUE_FALSE":
+        ratio = gradeTrueFalse(question, studentAnswer);
+        break;
+      case "MULTIPLE_CHOICE":
+        ratio = gradeMultipleChoice(question, studentAnswer, settings);
+        break;
+      case "SHORT_ANSWER":
+        ratio = gradeText(question, studentAnswer);
+        break;
+      case "FILL_IN_BLANK":
+        ratio = gradeFillInBlank(question, studentAnswer, settings);
+        break;
+      case "MATCHING":
+        ratio = gradePlacement(
+          toPairs(question.correctAnswer),
+          toPairs(studentAnswer),
+          settings
+        );
+        break;
+      case "DRAG_DROP":
+        ratio = Array.isArray(parseAnswerValue(question.correctAnswer))
+          ? gradeSequence(question, studentAnswer, settings)
+          : gradePlacement(
+              toPairs(question.correctAnswer),
+              toPairs(studentAnswer),
+              settings
+            );
+        break;
+      case "CODE_CHALLENGE":
+        ratio = partialCredit
+          ? codeResult.score
+          : codeResult.passed === codeResult.total
+          ? 1
+          : 0;
+        break;
+      default:
+        ratio = 0;
+    }
+  } catch (error) {
+    console.error(`Error grading question ${question.id}:`, error);
+    ratio = 0;
+  }
+
+  // Negative marking only applies to answers that earned nothing, so a
+  // partially right answer is never worth less than leaving it blank.
+  const points =
+    ratio > 0
+      ? round(question.points * ratio)
+      : negativeMarking > 0
+      ? -round(question.points * Math.min(negativeMarking, 1))
+      : 0;
+
+  return {
+    isCorrect: ratio === 1,
+    points,
+    ratio: round(ratio),
+    needsReview: false,
+  };
+};
+
+// Totals an attempt from stored or freshly graded answers. Answers carry
+// { questionId, points }; questions still awaiting review count toward the
+// total but not the earned points. The score never drops below zero.
+export const scoreAttempt = (answers, questions, passingPercentage) => {
+  const totalPoints = questions.reduce(
+    (sum, question) => sum + question.points,
+    0
+  );
+  const byQuestion = new Map(
+    answers.map((answer) => [answer.questionId, answer])
+  );
+
+  let earned = 0;
+  let pendingReview = 0;
+
+  questions.forEach((question) => {
+    const answer = byQuestion.get(question.id);
+    if (!answer) return;
+
+    if (answer.needsReview) {
+      pendingReview++;
+      return;
+    }
+
+    earned += answer.points || 0;
+  });
+
+  const earnedPoints = round(Math.max(0, earned));
+  const percentage =
+    totalPoints > 0 ? round((earnedPoints / totalPoints) * 100) : 0;
+  const passingPoints = Math.ceil((passingPercentage / 100) * totalPoints);
+
+  return {
+    totalPoints,
+    earnedPoints,
+    percentage,
+    passingPercentage,
+    passingPoints,
+    pendingReview,
+    isPassed: pendingReview > 0 ? null : earnedPoints >= passingPoints,
+  };
+};
+
+// Checks that an answer key can be graded for its question type.
+export const validateAnswerKey = (type, correctAnswer) => {
+  // Code challenges are checked with validateCodeChallenge instead.
+  if (MANUAL_REVIEW_TYPES.includes(type) || type === "CODE_CHALLENGE") {
+    return [];
+  }
+
+  if (
+    correctAnswer === undefined ||
+    correctAnswer === null ||
+    correctAnswer === ""
+  ) {
+    return type === "SHORT_ANSWER"
+      ? []
+      : [`A correct answer is required for ${type} questions`];
+  }
+
+  const parsed = parseAnswerValue(correctAnswer);
+
+  switch (type) {
+    case "MULTIPLE_CHOICE":
+      return toList(parsed).length > 0
+        ? []
+        : ["Multiple choice questions need at least one correct option"];
+    case "MATCHING":
+      return toPairs(parsed).length > 0
+        ? []
+        : ["Matching questions need an object or list of pairs as the answer"];
+    case "DRAG_DROP":
+      return Array.isArray(parsed) || toPairs(parsed).length > 0
+        ? []
+        : ["Drag and drop questions need an ordered list or item placements"];
+    default:
+      return [];
+  }
+};
@@ -0,0 +1,316 @@
+const MAX_CRITERIA = 20;
+const MAX_LEVELS = 10;
+const MAX_COMMENT_LENGTH = 2000;
+
+// A criterion counts as failed when the student scores below this share of
+// its points, matching the 70% pass mark used for whole assignments.
+export const CRITERION_PASS_RATIO = 0.7;
+
+const round = (value) => Math.round(value * 100) / 100;
+
+// Rubrics are stored as { criteria: [{ id, title, description, levels }] }
+// where each level is { id, title, description, points }. A bare criteria
+// array is accepted as shorthand.
+const getCriteria = (rubric) =>
+  Array.isArray(rubric) ? rubric : rubric?.criteria;
+
+export const validateRubric = (rubric, totalPoints) => {
+  const errors = [];
+  const criteria = getCriteria(rubric);
+
+  if (!Array.isArray(criteria) || criteria.length === 0) {
+    return ["Rubric must have a non-empty criteria array"];
+  }
+
+  if (criteria.length > MAX_CRITERIA) {
+    return [`Rubric cannot have more than ${MAX_CRITERIA} criteria`];
+  }
+
+  const criterionIds = new Set();
+  let maxTotal = 0;
+
+  criteria.forEach((criterion, index) => {
+    const label = `Criterion ${index + 1}`;
+
+    if (!criterion || typeof criterion !== "object") {
+      errors.push(`${label} must be an object`);
+      return;
+    }
+
+    if (!criterion.title || !String(criterion.title).trim()) {
+      errors.push(`${label} needs a title`);
+    }
+
+    if (criterion.id !== undefined) {
+      if (criterionIds.has(String(criterion.id))) {
+        errors.push(`${label} reuses the criterion ID "${criterion.id}"`);
+      }
+      criterionIds.add(String(criterion.id));
+    }
+
+    const { levels } = criterion;
+    if (!Array.isArray(levels) || levels.length === 0) {
+      errors.push(`${label} needs at least one level`);
+      return;
+    }
+
+    if (levels.length > MAX_LEVELS) {
+      errors.push(`${label} cannot have more than ${MAX_LEVELS} levels`);
+      return;
+    }
+
+    const levelIds = new Set();
+    let maxPoints = 0;
+
+    levels.forEach((level, levelIndex) => {
+      const levelLabel = `${label}, level ${levelIndex + 1}`;
+
+      if (!level || typeof level !== "object") {
+        errors.push(`${levelLabel} must be an object`);
+        return;
+      }
+
+      if (!level.title || !String(level.title).trim()) {
+        errors.push(`${levelLabel} needs a title`);
+      }
+
+      const points = Number(level.points);
+      if (!Number.isFinite(points) || points < 0) {
+        errors.push(`${levelLabel} needs points of zero or more`);
+      } else {
+        maxPoints = Math.max(maxPoints, points);
+      }
+
+      if (level.id !== undefined) {
+        if (levelIds.has(String(level.id))) {
+          errors.push(`${levelLabel} reuses the level ID "${level.id}"`);
+        }
+        levelIds.add(String(level.id));
+      }
+    });
+
+    maxTotal += maxPoints;
+  });
+
+  if (
+    errors.length === 0 &&
+    totalPoints !== undefined &&
+    round(maxTotal) !== Number(totalPoints)
+  ) {
+    errors.push(
+      `Rubric criteria add up to ${round(
+        maxTotal
+      )} points but the assignment is worth ${totalPoints}`
+    );
+  }
+
+  return errors;
+};
+
+// Fills in IDs and each criterion's maxPoints, and orders levels from the
+// highest score down. Expects a rubric that passed validateRubric.
+export const normalizeRubric = (rubric) => ({
+  criteria: getCriteria(rubric).map((criterion, index) => {
+    const levels = criterion.levels
+      .map((level, levelIndex) => ({
+        id: String(level.id ?? `level_${levelIndex + 1}`),
+        title: String(level.title).trim(),
+        description: level.description
+          ? String(level.description).trim()
+          : null,
+        points: Number(level.points),
+      }))
+      .sort((a, b) => b.points - a.points);
+
+    return {
+      id: String(criterion.id ?? `criterion_${index + 1}`),
+      title: String(criterion.title).trim(),
+      description: criterion.description
+        ? String(criterion.description).trim()
+        : null,
+      maxPoints: levels[0].points,
+      levels,
+    };
+  }),
+});
+
+// Scores a submission against the rubric. Each entry is
+// { criterionId, levelId?, points?, comment? }; picking a level awards its
+// points unless points are given explicitly. Every criterion must be scored.
+export const scoreRubric = (rubric, entries) => {
+  if (!Array.isArray(entries) || entries.length === 0) {
+    return { errors: ["rubricScores must be a non-empty array"] };
+  }
+
+  const { criteria } = normalizeRubric(rubric);
+  const entriesById = new Map();
+  const errors = [];
+
+  entries.forEach((entry) => {
+    const criterionId = String(entry?.criterionId ?? "");
+    if (!criteria.some((criterion) => criterion.id === criterionId)) {
+      errors.push(`Unknown rubric criterion "${criterionId}"`);
+    } else if (entriesById.has(criterionId)) {
+      errors.push(`Criterion "${criterionId}" is scored more than once`);
+    } else {
+      entriesById.set(criterionId, entry);
+    }
+  });
+
+  const scores = criteria.map((criterion) => {
+    const entry = entriesById.get(criterion.id);
+    if (!entry) {
+      errors.push(`Criterion "${criterion.title}" has not been scored`);
+      return null;
+    }
+
+    let level = null;
+    if (entry.levelId !== undefined && entry.levelId !== null) {
+      level = criterion.levels.find(
+        (item) => item.id === String(entry.levelId)
+      );
+      if (!level) {
+        errors.push(
+          `Criterion "${criterion.title}" has no level "${entry.levelId}"`
+        );
+        return null;
+      }
+    }
+
+    const points =
+      entry.points !== undefined && entry.points !== null
+        ? Number(entry.points)
+        : level?.points;
+
+    if (
+      !Number.isFinite(points) ||
+      points < 0 ||
+      points > criterion.maxPoints
+    ) {
+      errors.push(
+        `Criterion "${criterion.title}" needs a level or points between 0 and ${criterion.maxPoints}`
+      );
+      return null;
+    }
+
+    // Explicit points without a level are labelled with the best level
+    // they reach.
+    if (!level) {
+      level =
+        criterion.levels.find((item) => item.points <= points) ||
+        criterion.levels[criterion.levels.length - 1];
+    }
+
+    const comment = entry.comment ? String(entry.comment).trim() : null;
+    if (comment && comment.length > MAX_COMMENT_LENGTH) {
+      errors.push(
+        `Comment for "${criterion.title}" cannot exceed ${MAX_COMMENT_LENGTH} characters`
+      );
+    }
+
+    return {
+      criterionId: criterion.id,
+      criterionTitle: criterion.title,
+      levelId: level.id,
+      levelTitle: level.title,
+      points: round(points),
+      maxPoints: criterion.maxPoints,
+      comment,
+    };
+  });
+
+  if (errors.length > 0) {
+    return { errors };
+  }
+
+  return {
+    errors,
+    scores,
+    total: Math.round(scores.reduce((sum, score) => sum + score.points, 0)),
+  };
+};
+
+// latePenalty is the percentage taken off grades for late submissions.
+export const applyLatePenalty = (grade, { isLate, latePenalty }) => {
+  const penalty = isLate ? latePenalty || 0 : 0;
+
+  if (grade === null || grade === undefined || penalty <= 0) {
+    return { grade, penalty: 0 };
+  }
+
+  return {
+    grade: Math.max(0, Math.round(grade * (1 - penalty / 100))),
+    penalty,
+  };
+};
+
+// Joins stored scores with the current rubric text for display to students.
+export const buildRubricFeedback = (rubric, rubricScores) => {
+  if (!Array.isArray(rubricScores) || rubricScores.length === 0) {
+    return null;
+  }
+
+  const criteria =
+    validateRubric(rubric).length === 0 ? normalizeRubric(rubric).criteria : [];
+
+  return rubricScores.map((score) => {
+    const criterion = criteria.find((item) => item.id === score.criterionId);
+    const level = criterion?.levels.find((item) => item.id === score.levelId);
+
+    return {
+      criterionId: score.criterionId,
+      title: criterion?.title || score.criterionTitle,
+      description: criterion?.description || null,
+      level: {
+        id: score.levelId,
+        title: level?.title || score.levelTitle,
+        description: level?.description || null,
+      },
+      points: score.points,
+      maxPoints: score.maxPoints,
+      percentage:
+        score.maxPoints > 0 ? round((score.points / score.maxPoints) * 100) : 0,
+      comment: score.comment,
+    };
+  });
+};
+
+// Aggregates stored rubric scores per assignment criterion. Each item is
+// { assignmentId, assignmentTitle, rubricScores }.
+export const summarizeRubricScores = (items) => {
+  const byCriterion = new Map();
+
+  items.forEach(({ assignmentId, assignmentTitle, rubricScores }) => {
+    (rubricScores || []).forEach((score) => {
+      const key = `${assignmentId}:${score.criterionId}`;
+      const entry = byCriterion.get(key) || {
+        assignmentId,
+        assignmentTitle,
+        criterionId: score.criterionId,
+        title: score.criterionTitle,
+        maxPoints: score.maxPoints,
+        graded: 0,
+        failed: 0,
+        totalRatio: 0,
+      };
+
+      const ratio = score.maxPoints > 0 ? score.points / score.maxPoints : 1;
+      entry.graded += 1;
+      entry.totalRatio += ratio;
+      if (ratio < CRITERION_PASS_RATIO) entry.failed += 1;
+
+      byCriterion.set(key, entry);
+    });
+  });
+
+  return Array.from(byCriterion.values())
+    .map(({ totalRatio, ...entry }) => ({
+      ...entry,
+      averagePercentage: round((totalRatio / entry.graded) * 100),
+      failRate: round((entry.failed / entry.graded) * 100),
+    }))
+    .sort(
+      (a, b) =>
+        b.failRate - a.failRate || a.averagePercentage - b.averagePercentage
+    );
+};
@@ -0,0 +1,158 @@
+import { PrismaClient } from "@prisma/client";
+
+const prisma = new PrismaClient();
+
+const byOrder = (a, b) =>
+  (a.order ?? Number.MAX_SAFE_INTEGER) - (b.order ?? Number.MAX_SAFE_INTEGER);
+
+export const isSequentialProgressEnabled = (courseSettings) => {
+  return courseSettings?.sequentialProgress ?? true;
+};
+
+export const buildProgressSequence = (sections) => {
+  const sequence = [];
+
+  [...sections].sort(byOrder).forEach((section) => {
+    const sectionRequired = section.isRequired !== false;
+
+    [...(section.lessons || [])].sort(byOrder).forEach((lesson) => {
+      sequence.push({
+        type: "lesson",
+        id: lesson.id,
+        title: lesson.title,
+        sectionId: section.id,
+        sectionTitle: section.title,
+        isRequired: sectionRequired,
+        isCompleted: !!lesson.isCompleted,
+        isOpen: !!(lesson.isFree || lesson.isPreview),
+      });
+    });
+
+    [...(section.quizzes || [])].sort(byOrder).forEach((quiz) => {
+      sequence.push({
+        type: "quiz",
+        id: quiz.id,
+        title: quiz.title,
+        sectionId: section.id,
+        sectionTitle: section.title,
+        isRequired: sectionRequired && quiz.isRequired !== false,
+        isCompleted: !!quiz.isPassed,
+        passingScore: quiz.passingScore,
+        isOpen: false,
+      });
+    });
+  });
+
+  return sequence;
+};
+
+export const evaluatePrerequisites = (sequence) => {
+  const blockers = new Map();
+  let firstIncomplete = null;
+
+  sequence.forEach((item) => {
+    blockers.set(
+      `${item.type}:${item.id}`,
+      item.isOpen ? null : firstIncomplete
+    );
+
+    if (!firstIncomplete && item.isRequired && !item.isCompleted) {
+      firstIncomplete = {
+        type: item.type,
+        id: item.id,
+        title: item.title,
+        sectionId: item.sectionId,
+        sectionTitle: item.sectionTitle,
+        ...(item.type === "quiz" && { passingScore: item.passingScore }),
+      };
+    }
+  });
+
+  return blockers;
+};
+
+export const getCourseProgressSequence = async (courseId, studentId) => {
+  const sections = await prisma.section.findMany({
+    where: { courseId },
+    orderBy: { order: "asc" },
+    select: {
+      id: true,
+      title: true,
+      order: true,
+      isRequired: true,
+      lessons: {
+        orderBy: { order: "asc" },
+        select: {
+          id: true,
+          title: true,
+          order: true,
+          isFree: true,
+          isPreview: true,
+          _count: {
+            select: { completions: { where: { studentId } } },
+          },
+        },
+      },
+      quizzes: {
+        orderBy: { order: "asc" },
+        select: {
+          id: true,
+          title: true,
+          order: true,
+          isRequired: true,
+          passingScore: true,
+          _count: {
+            select: { attempts: { where: { studentId, isPassed: true } } },
+          },
+        },
+      },
+    },
+  });
+
+  return buildProgressSequence(
+    sections.map((section) => ({
+      ...section,
+      lessons: section.lessons.map((lesson) => ({
+        ...lesson,
+        isCompleted: lesson._count.completions > 0,
+      })),
+      quizzes: section.quizzes.map((quiz) => ({
+        ...quiz,
+        isPassed: quiz._count.attempts > 0,
+      })),
+    }))
+  );
+};
+
+export const getBlockingPrerequisite = async ({
+  courseId,
+  studentId,
+  courseSettings,
+  type,
+  id,
+}) => {
+  if (!isSequentialProgressEnabled(courseSettings)) {
+    return null;
+  }
+
+  const sequence = await getCourseProgressSequence(courseId, studentId);
+  const blockers = evaluatePrerequisites(sequence);
+
+  return blockers.get(`${type}:${id}`) || null;
+};
+
+export const buildPrerequisiteError = (type, blockingItem) => {
+  const action =
+    blockingItem.type === "quiz"
+      ? `pass the quiz "${blockingItem.title}" with at least ${blockingItem.passingScore}%`
+      : `complete the lesson "${blockingItem.title}"`;
+
+  return {
+    success: false,
+    message: `You need to ${action} before accessing this ${type}`,
+    code: "PREREQUISITE_REQUIRED",
+    data: {
+      blockingItem,
+    },
+  };
+};
@@ -0,0 +1,259 @@
+import { PrismaClient } from "@prisma/client";
+
+const prisma = new PrismaClient();
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+const WEEK_MS = 7 * DAY_MS;
+const BEHIND_TOLERANCE_MINUTES = 30;
+
+export const MAX_HOURS_PER_WEEK = 80;
+
+const byOrder = (a, b) => a.order - b.order;
+
+const startOfUtcDay = (date) => {
+  const day = new Date(date);
+  day.setUTCHours(0, 0, 0, 0);
+  return day;
+};
+
+export const getPlanLessons = async (courseId, studentId) => {
+  const sections = await prisma.section.findMany({
+    where: { courseId, isPublished: true },
+    select: {
+      id: true,
+      title: true,
+      order: true,
+      lessons: {
+        select: {
+          id: true,
+          title: true,
+          order: true,
+          duration: true,
+          type: true,
+          completions: {
+            where: { studentId },
+            select: { completedAt: true },
+          },
+        },
+      },
+    },
+  });
+
+  return [...sections].sort(byOrder).flatMap((section) =>
+    [...section.lessons].sort(byOrder).map((lesson) => ({
+      id: lesson.id,
+      title: lesson.title,
+      type: lesson.type,
+      duration: Math.max(lesson.duration || 0, 0),
+      // Lesson.duration is in seconds; plans are scheduled in whole minutes.
+      minutes: Math.ceil(Math.max(lesson.duration || 0, 0) / 60),
+      sectionId: section.id,
+      sectionTitle: section.title,
+      isCompleted: lesson.completions.length > 0,
+      completedAt: lesson.completions[0]?.completedAt || null,
+    }))
+  );
+};
+
+export const recommendHoursPerWeek = (lessons, startDate, targetDate) => {
+  const remainingMinutes = lessons
+    .filter((lesson) => !lesson.isCompleted)
+    .reduce((sum, lesson) => sum + lesson.minutes, 0);
+  const weeks = Math.max(
+    Math.ceil((startOfUtcDay(targetDate) - startOfUtcDay(startDate)) / WEEK_MS),
+    1
+  );
+
+  return Math.min(
+    Math.max(Math.ceil(remainingMinutes / weeks / 60), 1),
+    MAX_HOURS_PER_WEEK
+  );
+};
+
+export const generateWeeklySchedule = (
+  lessons,
+  { hoursPerWeek, startDate }
+) => {
+  const capacity = hoursPerWeek * 60;
+  const start = startOfUtcDay(startDate);
+  const weeks = [];
+  let current = null;
+
+  const openWeek = () => {
+    const weekStart = new Date(start.getTime() + weeks.length * WEEK_MS);
+    current = {
+      week: weeks.length + 1,
+      startDate: weekStart.toISOString(),
+      endDate: new Date(weekStart.getTime() + WEEK_MS).toISOString(),
+      plannedMinutes: 0,
+      lessonIds: [],
+    };
+    weeks.push(current);
+  };
+
+  lessons
+    .filter((lesson) => !lesson.isCompleted)
+    .forEach((lesson) => {
+      // A lesson longer than a full week still gets a week of its own
+      // rather than being split across weeks.
+      if (
+        !current ||
+        (current.lessonIds.length > 0 &&
+          current.plannedMinutes + lesson.minutes > capacity)
+      ) {
+        openWeek();
+      }
+
+      current.lessonIds.push(lesson.id);
+      current.plannedMinutes += lesson.minutes;
+    });
+
+  const completedLessons = lessons.filter((lesson) => lesson.isCompleted);
+
+  return {
+    hoursPerWeek,
+    generatedAt: new Date().toISOString(),
+    totalMinutes: lessons.reduce((sum, lesson) => sum + lesson.minutes, 0),
+    priorCompletedLessonIds: completedLessons.map((lesson) => lesson.id),
+    priorCompletedMinutes: completedLessons.reduce(
+      (sum, lesson) => sum + lesson.minutes,
+      0
+    ),
+    projectedEndDate: weeks.length
+      ? weeks[weeks.length - 1].endDate
+      : start.toISOString(),
+    weeks,
+  };
+};
+
+export const evaluatePlanProgress = (schedule, lessons, now = new Date()) => {
+  const lessonById = new Map(lessons.map((lesson) => [lesson.id, lesson]));
+  const planLessonIds = [
+    ...(schedule.priorCompletedLessonIds || []),
+    ...schedule.weeks.flatMap((week) => week.lessonIds),
+  ];
+
+  let totalMinutes = 0;
+  let completedMinutes = 0;
+  let completedLessons = 0;
+  let totalLessons = 0;
+
+  planLessonIds.forEach((lessonId) => {
+    const lesson = lessonById.get(lessonId);
+    // Lessons deleted from the course since the plan was generated drop out.
+    if (!lesson) return;
+
+    totalLessons++;
+    totalMinutes += lesson.minutes;
+    if (lesson.isCompleted) {
+      completedLessons++;
+      completedMinutes += lesson.minutes;
+    }
+  });
+
+  let expectedMinutes = schedule.priorCompletedMinutes || 0;
+  let currentWeek = null;
+
+  schedule.weeks.forEach((week) => {
+    const weekStart = new Date(week.startDate).getTime();
+    const weekEnd = new Date(week.endDate).getTime();
+
+    if (now.getTime() >= weekEnd) {
+      expectedMinutes += week.plannedMinutes;
+    } else if (now.getTime() >= weekStart) {
+      expectedMinutes +=
+        week.plannedMinutes * ((now.getTime() - weekStart) / WEEK_MS);
+      currentWeek = week.week;
+    }
+  });
+
+  expectedMinutes = Math.min(Math.round(expectedMinutes), totalMinutes);
+
+  const progress =
+    totalMinutes > 0
+      ? (completedMinutes / totalMinutes) * 100
+      : totalLessons > 0
+      ? (completedLessons / totalLessons) * 100
+      : 0;
+  const minutesBehind = Math.max(expectedMinutes - completedMinutes, 0);
+  const isComplete = totalLessons > 0 && completedLessons === totalLessons;
+
+  let status = "ON_TRACK";
+  if (isComplete) {
+    status = "COMPLETED";
+  } else if (minutesBehind > BEHIND_TOLERANCE_MINUTES) {
+    status = "BEHIND";
+  } else if (completedMinutes > expectedMinutes + BEHIND_TOLERANCE_MINUTES) {
+    status = "AHEAD";
+  }
+
+  return {
+    progress: Math.round(progress * 100) / 100,
+    expectedProgress:
+      totalMinutes > 0
+        ? Math.round((expectedMinutes / totalMinutes) * 10000) / 100
+        : 0,
+    status,
+    isComplete,
+    currentWeek,
+    completedLessons,
+    totalLessons,
+    completedMinutes,
+    expectedMinutes,
+    totalMinutes,
+    minutesBehind,
+  };
+};
+
+export const refreshStudyPlanProgress = async (plan, lessons = null) => {
+  if (!plan.schedule || !plan.enrollment) {
+    return { plan, evaluation: null, lessons: lessons || [] };
+  }
+
+  const planLessons =
+    lessons || (await getPlanLessons(plan.enrollment.courseId, plan.studentId));
+  const evaluation = evaluatePlanProgress(plan.schedule, planLessons);
+
+  const data = {};
+  if (Math.abs(evaluation.progress - plan.progress) >= 0.01) {
+    data.progress = evaluation.progress;
+  }
+  if (evaluation.isComplete && !plan.completedAt) {
+    data.completedAt = new Date();
+  }
+  if (!evaluation.isComplete && plan.completedAt) {
+    data.completedAt = null;
+  }
+
+  const updatedPlan =
+    Object.keys(data).length > 0
+      ? {
+          ...plan,
+          ...(await prisma.studyPlan.update({
+            where: { id: plan.id },
+            data,
+          })),
+        }
+      : plan;
+
+  return { plan: updatedPlan, evaluation, lessons: planLessons };
+};
+
+export const refreshStudyPlansForCourse = async (studentId, courseId) => {
+  const plans = await prisma.studyPlan.findMany({
+    where: {
+      studentId,
+      isActive: true,
+      enrollment: { courseId },
+    },
+    include: { enrollment: { select: { id: true, courseId: true } } },
+  });
+
+  if (plans.length === 0) return [];
+
+  const lessons = await getPlanLessons(courseId, studentId);
+
+  return await Promise.all(
+    plans.map((plan) => refreshStudyPlanProgress(plan, lessons))
+  );
+};
@@ -0,0 +1,243 @@
+const CUE_TIMING_PATTERN =
+  /((?:\d{1,2}:)?\d{1,2}:\d{2}(?:[.,]\d{1,3})?)\s*-->\s*((?:\d{1,2}:)?\d{1,2}:\d{2}(?:[.,]\d{1,3})?)/;
+const TRANSCRIPT_TIMESTAMP_PATTERN =
+  /^\s*[[(]?((?:\d{1,2}:)?\d{1,2}:\d{2}(?:[.,]\d{1,3})?)[\])]?\s*[-–:]?\s*(.*)$/;
+const SNIPPET_RADIUS = 80;
+
+export const parseTimestamp = (value) => {
+  if (typeof value === "number" && Number.isFinite(value)) {
+    return Math.max(value, 0);
+  }
+
+  if (typeof value !== "string") return null;
+
+  const trimmed = value.trim();
+  if (/^\d+(\.\d+)?$/.test(trimmed)) return parseFloat(trimmed);
+
+  const parts = trimmed.replace(",", ".").split(":");
+  if (parts.length < 2 || parts.length > 3) return null;
+
+  const numbers = parts.map(Number);
+  if (numbers.some((part) => !Number.isFinite(part))) return null;
+
+  return numbers.reduce((total, part) => total * 60 + part, 0);
+};
+
+const stripMarkup = (text) =>
+  String(text || "")
+    .replace(/<[^>]*>/g, " ")
+    .replace(/&nbsp;/g, " ")
+    .replace(/\s+/g, " ")
+    .trim();
+
+export const parseSubtitleText = (raw, language = null) => {
+  const cues = [];
+
+  String(raw)
+    .replace(/\r/g, "")
+    .split(/\n{2,}/)
+    .forEach((block) => {
+      const lines = block.split("\n");
+      const timingIndex = lines.findIndex((line) =>
+        CUE_TIMING_PATTERN.test(line)
+      );
+      if (timingIndex === -1) return;
+
+      const [, start, end] = lines[timingIndex].match(CUE_TIMING_PATTERN);
+      const text = stripMarkup(lines.slice(timingIndex + 1).join(" "));
+      if (!text) return;
+
+      cues.push({
+        start: parseTimestamp(start),
+        end: parseTimestamp(end),
+        text,
+        language,
+      });
+    });
+
+  return cues;
+};
+
+const normalizeCueList = (items, language) =>
+  items
+    .map((cue) => ({
+      start: parseTimestamp(cue.start ?? cue.startTime ?? cue.from),
+      end: parseTimestamp(cue.end ?? cue.endTime ?? cue.to),
+      text: stripMarkup(cue.text ?? cue.content),
+      language: cue.language || language,
+    }))
+    .filter((cue) => cue.text && cue.start !== null);
+
+const normalizeTrack = (track, language = null) => {
+  if (!track) return [];
+  if (typeof track === "string") return parseSubtitleText(track, language);
+
+  if (Array.isArray(track)) {
+    // Either a list of cues or a list of tracks for different languages.
+    return track.some((item) => item?.cues || typeof item?.content === "string")
+      ? track.flatMap((item) =>
+          normalizeTrack(
+            item.cues || item.content,
+            item.language || item.lang || item.label || language
+          )
+        )
+      : normalizeCueList(track, language);
+  }
+
+  if (typeof track === "object") {
+    if (track.cues || track.tracks) {
+      return normalizeTrack(
+        track.cues || track.tracks,
+        track.language || language
+      );
+    }
+
+    return Object.entries(track).flatMap(([key, value]) =>
+      typeof value === "string" || Array.isArray(value)
+        ? normalizeTrack(value, key)
+        : []
+    );
+  }
+
+  return [];
+};
+
+// Captions are stored as free-form JSON, so accept the shapes instructors
+// upload in practice: raw WebVTT/SRT, cue arrays, or per-language maps.
+export const normalizeCaptionCues = (captions) =>
+  normalizeTrack(captions).sort((a, b) => a.start - b.start);
+
+export const parseTranscriptSegments = (transcript, durationSeconds = 0) => {
+  if (!transcript) return [];
+
+  if (CUE_TIMING_PATTERN.test(transcript)) {
+    return parseSubtitleText(transcript).map((cue) => ({
+      ...cue,
+      estimated: false,
+    }));
+  }
+
+  const lines = String(transcript).replace(/\r/g, "").split("\n");
+  const segments = [];
+  let hasTimestamps = false;
+
+  lines.forEach((line) => {
+    const match = line.match(TRANSCRIPT_TIMESTAMP_PATTERN);
+    if (match) {
+      hasTimestamps = true;
+      segments.push({
+        start: parseTimestamp(match[1]),
+        text: match[2].trim(),
+        estimated: false,
+      });
+    } else if (line.trim()) {
+      if (segments.length > 0) {
+        const last = segments[segments.length - 1];
+        last.text = `${last.text} ${line.trim()}`.trim();
+      } else {
+        segments.push({ start: 0, text: line.trim(), estimated: false });
+      }
+    }
+  });
+
+  if (hasTimestamps) {
+    return segments.filter((segment) => segment.text);
+  }
+
+  // Plain transcripts have no timing, so position within the text is mapped
+  // onto the lesson duration to get an approximate seek point.
+  const text = String(transcript).replace(/\s+/g, " ").trim();
+  const sentences = text.match(/[^.!?]+[.!?]*/g) || [text];
+  let offset = 0;
+
+  return sentences
+    .map((sentence) => {
+      const start =
+        durationSeconds > 0
+          ? Math.floor((offset / text.length) * durationSeconds)
+          : null;
+      offset += sentence.length;
+      return { start, text: sentence.trim(), estimated: true };
+    })
+    .filter((segment) => segment.text);
+};
+
+export const buildQueryTerms = (query) => {
+  const phrase = query.trim().toLowerCase().replace(/\s+/g, " ");
+  const terms = [
+    ...new Set(
+      (phrase.match(/[\p{L}\p{N}]+/gu) || []).filter((term) => term.length > 1)
+    ),
+  ];
+
+  return { phrase, terms };
+};
+
+const escapeHtml = (text) =>
+  text.replace(/&/g, "&amp;").replace(/</g, "&lt;").replace(/>/g, "&gt;");
+
+const escapeRegExp = (text) => text.replace(/[.*+?^${}()|[\]\\]/g, "\\$&");
+
+export const buildSnippet = (text, { terms }) => {
+  const lower = text.toLowerCase();
+  const firstHit = terms
+    .map((term) => lower.indexOf(term))
+    .filter((index) => index !== -1)
+    .sort((a, b) => a - b)[0];
+
+  const start = Math.max((firstHit ?? 0) - SNIPPET_RADIUS, 0);
+  const end = Math.min((firstHit ?? 0) + SNIPPET_RADIUS * 2, text.length);
+  let snippet = escapeHtml(text.slice(start, end));
+
+  if (terms.length > 0) {
+    const pattern = new RegExp(`(${terms.map(escapeRegExp).join("|")})`, "gi");
+    snippet = snippet.replace(pattern, "<mark>$1</mark>");
+  }
+
+  return `${start > 0 ? "…" : ""}${snippet}${end < text.length ? "…" : ""}`;
+};
+
+const scoreText = (text, { phrase, terms }) => {
+  const lower = text.toLowerCase();
+  if (!terms.every((term) => lower.includes(term))) return 0;
+  return lower.includes(phrase) ? 2 : 1;
+};
+
+// Cues are short, so each cue is matched together with the next one to catch
+// phrases that straddle a cue boundary; the hit is reported at the earlier cue.
+export const findTimedMatches = (segments, query) => {
+  const matches = [];
+  let skipUntil = -1;
+
+  segments.forEach((segment, index) => {
+    if (index <= skipUntil) return;
+
+    const next = segments[index + 1];
+    const windowText = next ? `${segment.text} ${next.text}` : segment.text;
+    const ownLower = segment.text.toLowerCase();
+    const score = scoreText(windowText, query);
+
+    if (score > 0 && query.terms.some((term) => ownLower.includes(term))) {
+      const usesNext = next && scoreText(segment.text, query) === 0;
+      matches.push({
+        timestamp: segment.start,
+        endTimestamp: (usesNext ? next.end : segment.end) ?? null,
+        timestampEstimated: !!segment.estimated,
+        language: segment.language || null,
+        score,
+        snippet: buildSnippet(usesNext ? windowText : segment.text, query),
+      });
+      if (usesNext) skipUntil = index + 1;
+    }
+  });
+
+  return matches;
+};
+
+export const findTextMatches = (text, query) => {
+  const plain = stripMarkup(text);
+  if (!plain) return [];
+
+  const score = scoreText(plain, query);
+  return score > 0 ? [{ score, snippet: buildSnippet(plain, query) }] : [];
+};
@@ -207,6 +207,7 @@ const isInstructor = async (req, res, next) => {
       select: {
         id: true,
         isVerified: true,
+        payoutCurrency: true,
         user: {
           select: {
             isActive: true,
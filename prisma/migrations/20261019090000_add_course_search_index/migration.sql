@@ -0,0 +1,70 @@
+-- CreateExtension
+CREATE EXTENSION IF NOT EXISTS pg_trgm;
+
+-- AlterTable
+ALTER TABLE "Course" ADD COLUMN "searchVector" tsvector;
+
+-- Weighted document: title (A) > tags (B) > descriptions and outcomes (C) > lesson transcripts (D).
+-- Transcripts are capped so very long courses stay under the tsvector size limit.
+CREATE OR REPLACE FUNCTION course_search_vector_refresh() RETURNS trigger AS $$
+BEGIN
+  NEW."searchVector" :=
+    setweight(to_tsvector('english', coalesce(NEW."title", '')), 'A') ||
+    setweight(to_tsvector('english', coalesce(array_to_string(NEW."tags", ' '), '')), 'B') ||
+    setweight(to_tsvector('english',
+      coalesce(NEW."shortDescription", '') || ' ' ||
+      coalesce(NEW."description", '') || ' ' ||
+      coalesce(array_to_string(NEW."learningOutcomes", ' '), '') || ' ' ||
+      coalesce(array_to_string(NEW."keyPoints", ' '), '')
+    ), 'C') ||
+    setweight(to_tsvector('english', left(coalesce((
+      SELECT string_agg(l."transcript", ' ')
+      FROM "Lesson" l
+      JOIN "Section" s ON s."id" = l."sectionId"
+      WHERE s."courseId" = NEW."id" AND l."transcript" IS NOT NULL
+    ), ''), 500000)), 'D');
+  RETURN NEW;
+END
+$$ LANGUAGE plpgsql;
+
+CREATE TRIGGER course_search_vector_update
+  BEFORE INSERT OR UPDATE OF "title", "tags", "shortDescription", "description", "learningOutcomes", "keyPoints"
+  ON "Course"
+  FOR EACH ROW EXECUTE FUNCTION course_search_vector_refresh();
+
+-- Touching "title" re-runs the course trigger so transcript edits reach the index.
+CREATE OR REPLACE FUNCTION lesson_transcript_search_refresh() RETURNS trigger AS $$
+DECLARE
+  section_id text;
+BEGIN
+  IF TG_OP = 'DELETE' THEN
+    section_id := OLD."sectionId";
+  ELSE
+    section_id := NEW."sectionId";
+  END IF;
+
+  UPDATE "Course" SET "title" = "title"
+  WHERE "id" = (SELECT "courseId" FROM "Section" WHERE "id" = section_id);
+
+  IF TG_OP = 'UPDATE' AND OLD."sectionId" IS DISTINCT FROM NEW."sectionId" THEN
+    UPDATE "Course" SET "title" = "title"
+    WHERE "id" = (SELECT "courseId" FROM "Section" WHERE "id" = OLD."sectionId");
+  END IF;
+
+  RETURN NULL;
+END
+$$ LANGUAGE plpgsql;
+
+CREATE TRIGGER lesson_transcript_search_update
+  AFTER INSERT OR DELETE OR UPDATE OF "transcript", "sectionId"
+  ON "Lesson"
+  FOR EACH ROW EXECUTE FUNCTION lesson_transcript_search_refresh();
+
+-- Backfill
+UPDATE "Course" SET "title" = "title";
+
+-- CreateIndex
+CREATE INDEX "Course_searchVector_idx" ON "Course" USING GIN ("searchVector");
+
+-- CreateIndex
+CREATE INDEX "Course_title_trgm_idx" ON "Course" USING GIN ("title" gin_trgm_ops);
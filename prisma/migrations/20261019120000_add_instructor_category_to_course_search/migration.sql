@@ -0,0 +1,121 @@
+-- Adds instructor and category names to the course search document and
+-- re-indexes courses when either is renamed.
+--
+-- Every statement is idempotent and the file defines the whole search setup,
+-- so databases managed with `prisma db push` (which creates the column and
+-- indexes but not the triggers) can apply it with
+-- `npx prisma db execute --file <this file> --schema prisma/schema.prisma`.
+
+CREATE EXTENSION IF NOT EXISTS pg_trgm;
+
+ALTER TABLE "Course" ADD COLUMN IF NOT EXISTS "searchVector" tsvector;
+
+-- Weighted document: title (A) > tags, instructor and categories (B) >
+-- descriptions and outcomes (C) > lesson transcripts (D).
+CREATE OR REPLACE FUNCTION course_search_vector_refresh() RETURNS trigger AS $$
+BEGIN
+  NEW."searchVector" :=
+    setweight(to_tsvector('english', coalesce(NEW."title", '')), 'A') ||
+    setweight(to_tsvector('english',
+      coalesce(array_to_string(NEW."tags", ' '), '') || ' ' ||
+      coalesce((
+        SELECT u."firstName" || ' ' || u."lastName"
+        FROM "Instructor" i
+        JOIN "User" u ON u."id" = i."userId"
+        WHERE i."id" = NEW."instructorId"
+      ), '') || ' ' ||
+      coalesce((
+        SELECT string_agg(cat."name", ' ')
+        FROM "Category" cat
+        WHERE cat."id" IN (NEW."categoryId", NEW."subcategoryId")
+      ), '')
+    ), 'B') ||
+    setweight(to_tsvector('english',
+      coalesce(NEW."shortDescription", '') || ' ' ||
+      coalesce(NEW."description", '') || ' ' ||
+      coalesce(array_to_string(NEW."learningOutcomes", ' '), '') || ' ' ||
+      coalesce(array_to_string(NEW."keyPoints", ' '), '')
+    ), 'C') ||
+    setweight(to_tsvector('english', left(coalesce((
+      SELECT string_agg(l."transcript", ' ')
+      FROM "Lesson" l
+      JOIN "Section" s ON s."id" = l."sectionId"
+      WHERE s."courseId" = NEW."id" AND l."transcript" IS NOT NULL
+    ), ''), 500000)), 'D');
+  RETURN NEW;
+END
+$$ LANGUAGE plpgsql;
+
+DROP TRIGGER IF EXISTS course_search_vector_update ON "Course";
+CREATE TRIGGER course_search_vector_update
+  BEFORE INSERT OR UPDATE OF "title", "tags", "shortDescription", "description", "learningOutcomes", "keyPoints", "instructorId", "categoryId", "subcategoryId"
+  ON "Course"
+  FOR EACH ROW EXECUTE FUNCTION course_search_vector_refresh();
+
+-- Touching "title" re-runs the course trigger so transcript edits reach the index.
+CREATE OR REPLACE FUNCTION lesson_transcript_search_refresh() RETURNS trigger AS $$
+DECLARE
+  section_id text;
+BEGIN
+  IF TG_OP = 'DELETE' THEN
+    section_id := OLD."sectionId";
+  ELSE
+    section_id := NEW."sectionId";
+  END IF;
+
+  UPDATE "Course" SET "title" = "title"
+  WHERE "id" = (SELECT "courseId" FROM "Section" WHERE "id" = section_id);
+
+  IF TG_OP = 'UPDATE' AND OLD."sectionId" IS DISTINCT FROM NEW."sectionId" THEN
+    UPDATE "Course" SET "title" = "title"
+    WHERE "id" = (SELECT "courseId" FROM "Section" WHERE "id" = OLD."sectionId");
+  END IF;
+
+  RETURN NULL;
+END
+$$ LANGUAGE plpgsql;
+
+DROP TRIGGER IF EXISTS lesson_transcript_search_update ON "Lesson";
+CREATE TRIGGER lesson_transcript_search_update
+  AFTER INSERT OR DELETE OR UPDATE OF "transcript", "sectionId"
+  ON "Lesson"
+  FOR EACH ROW EXECUTE FUNCTION lesson_transcript_search_refresh();
+
+CREATE OR REPLACE FUNCTION instructor_name_search_refresh() RETURNS trigger AS $$
+BEGIN
+  UPDATE "Course" SET "title" = "title"
+  WHERE "instructorId" IN (SELECT "id" FROM "Instructor" WHERE "userId" = NEW."id");
+  RETURN NULL;
+END
+$$ LANGUAGE plpgsql;
+
+DROP TRIGGER IF EXISTS instructor_name_search_update ON "User";
+CREATE TRIGGER instructor_name_search_update
+  AFTER UPDATE OF "firstName", "lastName"
+  ON "User"
+  FOR EACH ROW
+  WHEN (OLD."firstName" IS DISTINCT FROM NEW."firstName" OR OLD."lastName" IS DISTINCT FROM NEW."lastName")
+  EXECUTE FUNCTION instructor_name_search_refresh();
+
+CREATE OR REPLACE FUNCTION category_name_search_refresh() RETURNS trigger AS $$
+BEGIN
+  UPDATE "Course" SET "title" = "title"
+  WHERE "categoryId" = NEW."id" OR "subcategoryId" = NEW."id";
+  RETURN NULL;
+END
+$$ LANGUAGE plpgsql;
+
+DROP TRIGGER IF EXISTS category_name_search_update ON "Category";
+CREATE TRIGGER category_name_search_update
+  AFTER UPDATE OF "name"
+  ON "Category"
+  FOR EACH ROW
+  WHEN (OLD."name" IS DISTINCT FROM NEW."name")
+  EXECUTE FUNCTION category_name_search_refresh();
+
+-- Backfill
+UPDATE "Course" SET "title" = "title";
+
+CREATE INDEX IF NOT EXISTS "Course_searchVector_idx" ON "Course" USING GIN ("searchVector");
+
+CREATE INDEX IF NOT EXISTS "Course_title_trgm_idx" ON "Course" USING GIN ("title" gin_trgm_ops);
@@ -0,0 +1,19 @@
+import express from "express";
+import { requireAdmin } from "../../middlewares/middleware.js";
+import {
+  getAchievementRules,
+  createAchievementRule,
+  updateAchievementRule,
+  deleteAchievementRule,
+} from "../../controllers/admin/adminAchievement.controller.js";
+
+const router = express.Router();
+
+router.use(requireAdmin);
+
+router.get("/rules", getAchievementRules);
+router.post("/rules", createAchievementRule);
+router.put("/rules/:ruleId", updateAchievementRule);
+router.delete("/rules/:ruleId", deleteAchievementRule);
+
+export default router;
@@ -4,11 +4,38 @@ import {
   getAllTransactions,
   getTransactionDetails,
   processRefund,
+  downloadTransactionInvoice,
+  getDisputes,
+  getDisputeDetails,
+  submitDisputeEvidence,
+  resolveDispute,
   getAllPayouts,
   processPayout,
+  retryPayout,
+  cancelPayout,
+  getPayoutGateways,
+  getPayoutBatches,
+  getPayoutBatchDetails,
+  runPayoutBatch,
+  approvePayoutBatch,
+  rejectPayoutBatch,
   getRevenueOverview,
   getFinancialAnalytics,
   getPaymentStats,
+  getTaxRules,
+  previewTax,
+  createTaxRule,
+  updateTaxRule,
+  deleteTaxRule,
+  getExchangeRates,
+  previewPrice,
+  upsertExchangeRate,
+  deleteExchangeRate,
+  getPaymentGateways,
+  resolvePaymentGateways,
+  createGatewayRoute,
+  updateGatewayRoute,
+  deleteGatewayRoute,
 } from "../../controllers/admin/adminPayment.controller.js";
 
 const router = express.Router();
@@ -18,12 +45,43 @@ router.use(requireAdmin);
 router.get("/transactions", getAllTransactions);
 router.get("/transactions/:transactionId", getTransactionDetails);
 router.post("/transactions/:transactionId/refund", processRefund);
+router.get("/transactions/:transactionId/invoice", downloadTransactionInvoice);
+
+router.get("/disputes", getDisputes);
+router.get("/disputes/:disputeId", getDisputeDetails);
+router.post("/disputes/:disputeId/evidence", submitDisputeEvidence);
+router.post("/disputes/:disputeId/resolve", resolveDispute);
 
 router.get("/payouts", getAllPayouts);
+router.get("/payouts/gateways", getPayoutGateways);
+router.get("/payouts/batches", getPayoutBatches);
+router.post("/payouts/batches/run", runPayoutBatch);
+router.get("/payouts/batches/:batchId", getPayoutBatchDetails);
+router.post("/payouts/batches/:batchId/approve", approvePayoutBatch);
+router.post("/payouts/batches/:batchId/reject", rejectPayoutBatch);
 router.post("/payouts/:payoutId/process", processPayout);
+router.post("/payouts/:payoutId/retry", retryPayout);
+router.post("/payouts/:payoutId/cancel", cancelPayout);
 
 router.get("/revenue/overview", getRevenueOverview);
 router.get("/analytics", getFinancialAnalytics);
 router.get("/stats", getPaymentStats);
 
+router.get("/tax/rules", getTaxRules);
+router.get("/tax/preview", previewTax);
+router.post("/tax/rules", createTaxRule);
+router.patch("/tax/rules/:ruleId", updateTaxRule);
+router.delete("/tax/rules/:ruleId", deleteTaxRule);
+
+router.get("/currencies", getExchangeRates);
+router.get("/currencies/preview", previewPrice);
+router.put("/currencies/:currency", upsertExchangeRate);
+router.delete("/currencies/:currency", deleteExchangeRate);
+
+router.get("/gateways", getPaymentGateways);
+router.get("/gateways/resolve", resolvePaymentGateways);
+router.post("/gateways/routes", createGatewayRoute);
+router.patch("/gateways/routes/:routeId", updateGatewayRoute);
+router.delete("/gateways/routes/:routeId", deleteGatewayRoute);
+
 export default router;
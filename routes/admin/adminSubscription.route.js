@@ -0,0 +1,22 @@
+import express from "express";
+import { requireAdmin } from "../../middlewares/middleware.js";
+import {
+  getSubscriptionPlans,
+  createSubscriptionPlan,
+  updateSubscriptionPlan,
+  deactivateSubscriptionPlan,
+  getAllSubscriptions,
+} from "../../controllers/admin/adminSubscription.controller.js";
+
+const router = express.Router();
+
+router.use(requireAdmin);
+
+router.get("/plans", getSubscriptionPlans);
+router.post("/plans", createSubscriptionPlan);
+router.put("/plans/:planId", updateSubscriptionPlan);
+router.delete("/plans/:planId", deactivateSubscriptionPlan);
+
+router.get("/", getAllSubscriptions);
+
+export default router;
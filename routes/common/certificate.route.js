@@ -0,0 +1,8 @@
+import express from "express";
+import { verifyCertificate } from "../../controllers/common/certificate.controller.js";
+
+const router = express.Router();
+
+router.get("/verify/:certificateId", verifyCertificate);
+
+export default router;
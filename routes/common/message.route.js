@@ -0,0 +1,34 @@
+import express from "express";
+import { isLoggedIn } from "../../middlewares/middleware.js";
+import {
+  getConversations,
+  getConversationMessages,
+  sendMessage,
+  replyToConversation,
+  markConversationRead,
+  archiveConversation,
+  getUnreadMessageCount,
+  blockUser,
+  unblockUser,
+  getBlockedUsers,
+} from "../../controllers/common/message.controller.js";
+
+const router = express.Router();
+
+router.use(isLoggedIn);
+
+router.get("/conversations", getConversations);
+router.get("/unread-count", getUnreadMessageCount);
+router.get("/blocks", getBlockedUsers);
+router.get("/conversations/:conversationId", getConversationMessages);
+
+router.post("/", sendMessage);
+router.post("/conversations/:conversationId", replyToConversation);
+router.post("/blocks/:userId", blockUser);
+
+router.put("/conversations/:conversationId/read", markConversationRead);
+router.put("/conversations/:conversationId/archive", archiveConversation);
+
+router.delete("/blocks/:userId", unblockUser);
+
+export default router;
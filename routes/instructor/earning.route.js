@@ -10,6 +10,7 @@ import {
   getPaymentBreakdown,
   generateFinancialReport,
   updatePaymentDetails,
+  updatePayoutCurrency,
   getFinancialDashboard,
 } from "../../controllers/instructors/earning.controller.js";
 import { requireInstructor } from "../../middlewares/middleware.js";
@@ -43,6 +44,8 @@ router.get("/reports/financial", validateDateRange, generateFinancialReport);
 
 router.put("/payment-details", validatePaymentDetails, updatePaymentDetails);
 
+router.put("/payout-currency", updatePayoutCurrency);
+
 router.get("/dashboard", getFinancialDashboard);
 
 export default router;
@@ -10,6 +10,9 @@ import {
   deleteCourse,
   getCourseStats,
   getInstructorDashboard,
+  updateDripSchedule,
+  getCoursePrices,
+  updateCoursePrices,
 } from "../../controllers/instructors/instructorcourse.controller.js";
 import { uploadImage } from "../../config/upload.js";
 
@@ -27,5 +30,8 @@ router.delete("/:courseId", deleteCourse);
 router.get("/:courseId/stats", getCourseStats);
 router.post("/:courseId/submit", submitForReview);
 router.get("/:courseId/validate", validateCourse);
+router.put("/:courseId/drip-schedule", updateDripSchedule);
+router.get("/:courseId/prices", getCoursePrices);
+router.put("/:courseId/prices", updateCoursePrices);
 
 export default router;
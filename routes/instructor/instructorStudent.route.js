@@ -13,6 +13,7 @@ import {
   announceToStudents,
   updateStudentStatus,
   issueCertificate,
+  revokeCertificate,
   exportStudentData,
   getStudentEngagement,
   getStudentPerformance,
@@ -45,6 +46,10 @@ router.get("/:studentId/courses/:courseId/report", generateProgressReport);
 router.post("/:studentId/message", sendMessageToStudent);
 router.put("/:studentId/courses/:courseId/status", updateStudentStatus);
 router.post("/:studentId/courses/:courseId/certificate", issueCertificate);
+router.put(
+  "/:studentId/courses/:courseId/certificate/revoke",
+  revokeCertificate
+);
 
 router.post("/assignments/:submissionId/grade", gradeAssignment);
 router.post("/quizzes/:attemptId/grade", gradeQuiz);
@@ -0,0 +1,33 @@
+import express from "express";
+import { requireInstructor } from "../../middlewares/middleware.js";
+import {
+  createLiveSession,
+  getLiveSessions,
+  getLiveSession,
+  updateLiveSession,
+  startLiveSession,
+  endLiveSession,
+  cancelLiveSession,
+  attachRecording,
+  getSessionAttendance,
+  getSessionChatLog,
+} from "../../controllers/instructors/liveSession.controller.js";
+
+const router = express.Router();
+
+router.use(requireInstructor);
+
+router.get("/", getLiveSessions);
+router.post("/", createLiveSession);
+
+router.get("/:sessionId", getLiveSession);
+router.put("/:sessionId", updateLiveSession);
+router.post("/:sessionId/start", startLiveSession);
+router.post("/:sessionId/end", endLiveSession);
+router.post("/:sessionId/cancel", cancelLiveSession);
+router.put("/:sessionId/recording", attachRecording);
+
+router.get("/:sessionId/attendance", getSessionAttendance);
+router.get("/:sessionId/chat", getSessionChatLog);
+
+export default router;
@@ -0,0 +1,35 @@
+import express from "express";
+import { requireInstructor } from "../../middlewares/middleware.js";
+import {
+  getQuestionBanks,
+  createQuestionBank,
+  getQuestionBank,
+  updateQuestionBank,
+  deleteQuestionBank,
+  addBankQuestions,
+  updateBankQuestion,
+  deleteBankQuestion,
+  getQuestionBankStatistics,
+  updateQuizDrawRules,
+} from "../../controllers/instructors/questionBank.controller.js";
+
+const router = express.Router();
+
+router.use(requireInstructor);
+
+router.get("/", getQuestionBanks);
+router.post("/", createQuestionBank);
+
+router.put("/quizzes/:quizId/draw-rules", updateQuizDrawRules);
+
+router.get("/:bankId", getQuestionBank);
+router.put("/:bankId", updateQuestionBank);
+router.delete("/:bankId", deleteQuestionBank);
+
+router.post("/:bankId/questions", addBankQuestions);
+router.put("/:bankId/questions/:questionId", updateBankQuestion);
+router.delete("/:bankId/questions/:questionId", deleteBankQuestion);
+
+router.get("/:bankId/statistics", getQuestionBankStatistics);
+
+export default router;
@@ -19,6 +19,7 @@ import {
   getCatalogStats,
   getAllPublicCourses,
   getCourseById,
+  getSupportedCurrencies,
 } from "../../controllers/student/catalog.controller.js";
 
 const router = express.Router();
@@ -26,6 +27,7 @@ const router = express.Router();
 router.get("/courses", getAllPublicCourses);
 router.get("/course/:courseId", getCourseById);
 router.get("/filter-options", getFilterOptions);
+router.get("/currencies", getSupportedCurrencies);
 router.get("/courses/featured", getFeaturedCourses);
 router.get("/courses/trending", getTrendingCourses);
 router.get("/courses/bestseller", getBestsellerCourses);
@@ -0,0 +1,19 @@
+import express from "express";
+import { requireStudent } from "../../middlewares/middleware.js";
+import {
+  getGamificationProfile,
+  getMyAchievements,
+  getPlatformLeaderboard,
+  getCourseLeaderboard,
+} from "../../controllers/student/gamification.controller.js";
+
+const router = express.Router();
+
+router.use(requireStudent);
+
+router.get("/profile", getGamificationProfile);
+router.get("/achievements", getMyAchievements);
+router.get("/leaderboard", getPlatformLeaderboard);
+router.get("/leaderboard/courses/:courseId", getCourseLeaderboard);
+
+export default router;
@@ -14,7 +14,21 @@ import {
   deleteNote,
   deleteBookmark,
 } from "../../controllers/student/learning.controller.js";
+import {
+  getStudyPlans,
+  createStudyPlan,
+  getStudyPlan,
+  updateStudyPlan,
+  deleteStudyPlan,
+} from "../../controllers/student/studyPlan.controller.js";
+import {
+  getAssignment,
+  saveAssignmentDraft,
+  submitAssignment,
+} from "../../controllers/student/assignment.controller.js";
+import { searchLessonContent } from "../../controllers/student/lessonSearch.controller.js";
 import { requireStudent } from "../../middlewares/middleware.js";
+import { uploadAssignmentSubmission } from "../../config/upload.js";
 
 const router = express.Router();
 
@@ -27,11 +41,28 @@ router.post("/lessons/:lessonId/complete", completeLesson);
 router.get("/quizzes/:quizId", accessQuiz);
 router.post("/quizzes/:quizId/attempts", startQuizAttempt);
 router.post("/quiz-attempts/:attemptId/submit", submitQuizAttempt);
+router.get("/assignments/:assignmentId", getAssignment);
+router.put(
+  "/assignments/:assignmentId/draft",
+  uploadAssignmentSubmission.array("attachments", 5),
+  saveAssignmentDraft
+);
+router.post(
+  "/assignments/:assignmentId/submit",
+  uploadAssignmentSubmission.array("attachments", 5),
+  submitAssignment
+);
 router.post("/lessons/:lessonId/notes", createNote);
 router.delete("/notes/:noteId", deleteNote);
 router.post("/lessons/:lessonId/bookmarks", createBookmark);
 router.delete("/bookmarks/:bookmarkId", deleteBookmark);
 router.get("/courses/:courseId/certificate", getCertificate);
 router.get("/analytics", getLearningAnalytics);
+router.get("/search", searchLessonContent);
+router.get("/study-plans", getStudyPlans);
+router.post("/study-plans", createStudyPlan);
+router.get("/study-plans/:planId", getStudyPlan);
+router.put("/study-plans/:planId", updateStudyPlan);
+router.delete("/study-plans/:planId", deleteStudyPlan);
 
 export default router;
@@ -0,0 +1,17 @@
+import express from "express";
+import { requireStudent } from "../../middlewares/middleware.js";
+import {
+  getCourseLiveSessions,
+  getLiveSessionDetails,
+  getLiveSessionChat,
+} from "../../controllers/student/liveSession.controller.js";
+
+const router = express.Router();
+
+router.use(requireStudent);
+
+router.get("/courses/:courseId", getCourseLiveSessions);
+router.get("/:sessionId", getLiveSessionDetails);
+router.get("/:sessionId/chat", getLiveSessionChat);
+
+export default router;
@@ -5,24 +5,34 @@ import {
   requireStudent,
 } from "../../middlewares/middleware.js";
 import {
+  getCheckoutGateways,
   initiateCheckout,
   verifyPayment,
   getPurchaseHistory,
   getPaymentDetails,
+  downloadInvoice,
   requestRefund,
   processRefund,
   retryPayment,
   cancelPayment,
   getRefundRequests,
   getPaymentAnalytics,
+  getMyGifts,
+  getGiftByCode,
+  redeemGift,
 } from "../../controllers/student/purchase.controller.js";
 
 const router = express.Router();
 
+router.get("/gateways", isLoggedIn, getCheckoutGateways);
 router.post("/checkout", isLoggedIn, initiateCheckout);
 router.post("/verify", isLoggedIn, verifyPayment);
 router.get("/history", requireStudent, getPurchaseHistory);
 router.get("/details/:paymentId", isLoggedIn, getPaymentDetails);
+router.get("/invoice/:paymentId", isLoggedIn, downloadInvoice);
+router.get("/gifts", isLoggedIn, getMyGifts);
+router.post("/gifts/redeem", requireStudent, redeemGift);
+router.get("/gifts/:code", getGiftByCode);
 router.post("/refund/:paymentId", isLoggedIn, requestRefund);
 router.put("/refund/:paymentId/process", requireAdmin, processRefund);
 router.post("/retry/:paymentId", isLoggedIn, retryPayment);
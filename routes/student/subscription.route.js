@@ -0,0 +1,24 @@
+import express from "express";
+import { requireStudent } from "../../middlewares/middleware.js";
+import {
+  getSubscriptionPlans,
+  getMySubscriptions,
+  subscribeToPlan,
+  cancelSubscription,
+  resumeSubscription,
+  enrollWithSubscription,
+} from "../../controllers/student/subscription.controller.js";
+
+const router = express.Router();
+
+router.get("/plans", getSubscriptionPlans);
+
+router.use(requireStudent);
+
+router.get("/", getMySubscriptions);
+router.post("/", subscribeToPlan);
+router.post("/:subscriptionId/cancel", cancelSubscription);
+router.post("/:subscriptionId/resume", resumeSubscription);
+router.post("/courses/:courseId/enroll", enrollWithSubscription);
+
+export default router;
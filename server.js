@@ -11,22 +11,31 @@ import rateLimit from "express-rate-limit";
 import slowDown from "express-slow-down";
 import socketManager from "./utils/socket-io.js";
 import redisService from "./utils/redis.js";
+import { requireAdmin } from "./middlewares/middleware.js";
 import {
   handleUnifiedWebhook,
   getWebhookStatus,
   testWebhook,
 } from "./controllers/webhooks/unifiedWebhook.controller.js";
+import {
+  handlePayoutWebhook,
+  getPayoutWebhookStatus,
+} from "./controllers/webhooks/payoutWebhook.controller.js";
 import authRoutes from "./routes/common/auth.route.js";
 import notificationRoutes from "./routes/common/notification.route.js";
 import uploadRoutes from "./routes/common/upload.route.js";
 import searchRoutes from "./routes/common/search.route.js";
 import supportRoutes from "./routes/common/ticket.route.js";
+import certificateRoutes from "./routes/common/certificate.route.js";
+import messageRoutes from "./routes/common/message.route.js";
 import adminAnalyticsRoutes from "./routes/admin/adminAnalytics.route.js";
 import adminCourseRoutes from "./routes/admin/adminCourse.route.js";
 import adminModerationRoutes from "./routes/admin/adminModeration.route.js";
 import adminPaymentRoutes from "./routes/admin/adminPayment.route.js";
 import adminSystemRoutes from "./routes/admin/adminSystem.route.js";
 import adminUserRoutes from "./routes/admin/adminUser.route.js";
+import adminSubscriptionRoutes from "./routes/admin/adminSubscription.route.js";
+import adminAchievementRoutes from "./routes/admin/adminAchievement.route.js";
 import instructorContentRoutes from "./routes/instructor/content.route.js";
 import instructorCouponRoutes from "./routes/instructor/coupon.route.js";
 import instructorEarningRoutes from "./routes/instructor/earning.route.js";
@@ -34,12 +43,17 @@ import instructorCommunityRoutes from "./routes/instructor/instructorCommunity.r
 import instructorVerificationRoutes from "./routes/instructor/verification.route.js";
 import instructorCourseRoutes from "./routes/instructor/instructorCourse.route.js";
 import instructorStudentRoutes from "./routes/instructor/instructorStudent.route.js";
+import instructorLiveSessionRoutes from "./routes/instructor/liveSession.route.js";
+import instructorQuestionBankRoutes from "./routes/instructor/questionBank.route.js";
 import studentCartRoutes from "./routes/student/cart.route.js";
 import studentCatalogRoutes from "./routes/student/catalog.route.js";
 import studentCommunityRoutes from "./routes/student/community.route.js";
 import studentLearningRoutes from "./routes/student/learning.route.js";
 import studentPurchaseRoutes from "./routes/student/purchase.route.js";
 import studentWishlistRoutes from "./routes/student/wishlist.route.js";
+import studentSubscriptionRoutes from "./routes/student/subscription.route.js";
+import studentLiveSessionRoutes from "./routes/student/liveSession.route.js";
+import studentGamificationRoutes from "./routes/student/gamification.route.js";
 import {
   configureMorgan,
   requestIdMiddleware,
@@ -136,6 +150,78 @@ try {
   );
 }
 
+try {
+  const initializeDripJobs = await import("./config/services/dripJobs.js").then(
+    (module) => module.default
+  );
+  initializeDripJobs();
+} catch (error) {
+  console.warn("Drip release jobs initialization failed:", error.message);
+}
+
+try {
+  const initializeSubscriptionJobs = await import(
+    "./config/services/subscriptionJobs.js"
+  ).then((module) => module.default);
+  initializeSubscriptionJobs();
+} catch (error) {
+  console.warn("Subscription jobs initialization failed:", error.message);
+}
+
+try {
+  const initializeLiveSessionJobs = await import(
+    "./config/services/liveSessionJobs.js"
+  ).then((module) => module.default);
+  initializeLiveSessionJobs();
+} catch (error) {
+  console.warn("Live session jobs initialization failed:", error.message);
+}
+
+try {
+  const initializeCodeGradingJobs = await import(
+    "./config/services/codeGradingJobs.js"
+  ).then((module) => module.default);
+  initializeCodeGradingJobs();
+} catch (error) {
+  console.warn("Code grading jobs initialization failed:", error.message);
+}
+
+try {
+  const initializeGamificationJobs = await import(
+    "./config/services/gamificationJobs.js"
+  ).then((module) => module.default);
+  initializeGamificationJobs();
+} catch (error) {
+  console.warn("Gamification jobs initialization failed:", error.message);
+}
+
+try {
+  const initializeStudyPlanJobs = await import(
+    "./config/services/studyPlanJobs.js"
+  ).then((module) => module.default);
+  initializeStudyPlanJobs();
+} catch (error) {
+  console.warn("Study plan jobs initialization failed:", error.message);
+}
+
+try {
+  const initializePayoutJobs = await import(
+    "./config/services/payoutJobs.js"
+  ).then((module) => module.default);
+  initializePayoutJobs();
+} catch (error) {
+  console.warn("Payout jobs initialization failed:", error.message);
+}
+
+try {
+  const initializeGiftJobs = await import("./config/services/giftJobs.js").then(
+    (module) => module.default
+  );
+  initializeGiftJobs();
+} catch (error) {
+  console.warn("Gift jobs initialization failed:", error.message);
+}
+
 app.use(compression());
 
 app.use(requestIdMiddleware);
@@ -243,13 +329,29 @@ app.set("redisService", redisService);
 
 app.post(
   "/api/webhook/payment",
-  express.raw({ type: "application/json" }),
+  // PayU posts its callbacks form-encoded; signatures are computed over the raw body.
+  express.raw({
+    type: ["application/json", "application/x-www-form-urlencoded"],
+  }),
   handleUnifiedWebhook
 );
 
 app.get("/api/webhook/payment/status", getWebhookStatus);
 
-app.post("/api/webhook/payment/test", express.json(), testWebhook);
+app.post(
+  "/api/webhook/payment/test",
+  requireAdmin,
+  express.json(),
+  testWebhook
+);
+
+app.post(
+  "/api/webhook/payout",
+  express.raw({ type: "application/json" }),
+  handlePayoutWebhook
+);
+
+app.get("/api/webhook/payout/status", getPayoutWebhookStatus);
 
 app.use(
   express.json({
@@ -362,6 +464,8 @@ app.use("/api/notifications", authRateLimit, notificationRoutes);
 app.use("/api/upload", authRateLimit, uploadRoutes);
 app.use("/api/search", authRateLimit, searchRoutes);
 app.use("/api/support", authRateLimit, supportRoutes);
+app.use("/api/certificates", authRateLimit, certificateRoutes);
+app.use("/api/messages", authRateLimit, messageRoutes);
 
 app.use("/api/admin/analytics", authRateLimit, adminAnalyticsRoutes);
 app.use("/api/admin/courses", authRateLimit, adminCourseRoutes);
@@ -369,6 +473,8 @@ app.use("/api/admin/moderation", authRateLimit, adminModerationRoutes);
 app.use("/api/admin/payments", authRateLimit, adminPaymentRoutes);
 app.use("/api/admin/system", authRateLimit, adminSystemRoutes);
 app.use("/api/admin/users", authRateLimit, adminUserRoutes);
+app.use("/api/admin/subscriptions", authRateLimit, adminSubscriptionRoutes);
+app.use("/api/admin/achievements", authRateLimit, adminAchievementRoutes);
 
 app.use("/api/instructor/content", authRateLimit, instructorContentRoutes);
 app.use("/api/instructor/coupons", authRateLimit, instructorCouponRoutes);
@@ -381,6 +487,16 @@ app.use(
 );
 app.use("/api/instructor/courses", authRateLimit, instructorCourseRoutes);
 app.use("/api/instructor/students", authRateLimit, instructorStudentRoutes);
+app.use(
+  "/api/instructor/live-sessions",
+  authRateLimit,
+  instructorLiveSessionRoutes
+);
+app.use(
+  "/api/instructor/question-banks",
+  authRateLimit,
+  instructorQuestionBankRoutes
+);
 
 app.use("/api/student/cart", authRateLimit, studentCartRoutes);
 app.use("/api/student/catalog", authRateLimit, studentCatalogRoutes);
@@ -388,6 +504,9 @@ app.use("/api/student/community", authRateLimit, studentCommunityRoutes);
 app.use("/api/student/learning", authRateLimit, studentLearningRoutes);
 app.use("/api/student/purchase", authRateLimit, studentPurchaseRoutes);
 app.use("/api/student/wishlist", authRateLimit, studentWishlistRoutes);
+app.use("/api/student/subscriptions", authRateLimit, studentSubscriptionRoutes);
+app.use("/api/student/live-sessions", authRateLimit, studentLiveSessionRoutes);
+app.use("/api/student/gamification", authRateLimit, studentGamificationRoutes);
 
 app.use((req, res, next) => {
   req.redisService = redisService;
@@ -519,6 +638,7 @@ server.listen(PORT, () => {
   console.log("🔌 Socket.IO server ready for connections");
   console.log(`⚡ Ping timeout: 60000ms, interval: 25000ms`);
   console.log(`🎯 Unified webhook endpoint: /api/webhook/payment`);
+  console.log(`🏦 Payout webhook endpoint: /api/webhook/payout`);
 
   if (process.env.NODE_ENV === "production") {
     console.log("🔒 Production security features enabled");
@@ -0,0 +1,430 @@
+import { PrismaClient } from "@prisma/client";
+import PDFDocument from "pdfkit";
+import QRCode from "qrcode";
+import crypto from "crypto";
+import { uploadBufferToCloudinary } from "../config/upload.js";
+
+const prisma = new PrismaClient();
+
+const CERTIFICATE_TEMPLATES = {
+  classic: {
+    name: "classic",
+    titleFont: "Times-Bold",
+    bodyFont: "Times-Roman",
+    accentFont: "Times-Italic",
+    primaryColor: "#1f2a44",
+    accentColor: "#b8860b",
+    textColor: "#333333",
+    backgroundColor: "#fffdf5",
+  },
+  modern: {
+    name: "modern",
+    titleFont: "Helvetica-Bold",
+    bodyFont: "Helvetica",
+    accentFont: "Helvetica-Oblique",
+    primaryColor: "#4f46e5",
+    accentColor: "#06b6d4",
+    textColor: "#1f2937",
+    backgroundColor: "#ffffff",
+  },
+  minimal: {
+    name: "minimal",
+    titleFont: "Helvetica-Bold",
+    bodyFont: "Helvetica",
+    accentFont: "Helvetica-Oblique",
+    primaryColor: "#111827",
+    accentColor: "#9ca3af",
+    textColor: "#374151",
+    backgroundColor: "#ffffff",
+  },
+};
+
+const DEFAULT_TEMPLATE = "classic";
+
+class CertificateService {
+  getAvailableTemplates() {
+    return Object.keys(CERTIFICATE_TEMPLATES);
+  }
+
+  resolveTemplate(templateId, courseTemplate) {
+    const candidate = templateId || courseTemplate || DEFAULT_TEMPLATE;
+
+    if (CERTIFICATE_TEMPLATES[candidate]) {
+      return CERTIFICATE_TEMPLATES[candidate];
+    }
+
+    try {
+      const custom = JSON.parse(candidate);
+      if (custom && typeof custom === "object") {
+        const base =
+          CERTIFICATE_TEMPLATES[custom.base] ||
+          CERTIFICATE_TEMPLATES[DEFAULT_TEMPLATE];
+        return { ...base, ...custom, name: custom.name || "custom" };
+      }
+    } catch (error) {
+      console.warn(
+        `Unknown certificate template "${candidate}", falling back to ${DEFAULT_TEMPLATE}`
+      );
+    }
+
+    return CERTIFICATE_TEMPLATES[DEFAULT_TEMPLATE];
+  }
+
+  generateCertificateId() {
+    return `CERT-${Date.now().toString(36).toUpperCase()}-${crypto
+      .randomBytes(4)
+      .toString("hex")
+      .toUpperCase()}`;
+  }
+
+  getVerificationUrl(certificateId) {
+    return `${process.env.FRONTEND_URL}/certificates/verify/${certificateId}`;
+  }
+
+  formatIssueDate(date) {
+    return new Date(date).toLocaleDateString("en-US", {
+      year: "numeric",
+      month: "long",
+      day: "numeric",
+    });
+  }
+
+  async renderPdf({
+    certificateId,
+    studentName,
+    courseTitle,
+    instructorName,
+    issueDate,
+    template,
+  }) {
+    const verificationUrl = this.getVerificationUrl(certificateId);
+    const qrCode = await QRCode.toBuffer(verificationUrl, {
+      margin: 1,
+      width: 240,
+      color: { dark: template.primaryColor, light: "#ffffff" },
+    });
+
+    return await new Promise((resolve, reject) => {
+      const doc = new PDFDocument({
+        size: "A4",
+        layout: "landscape",
+        margin: 0,
+        info: {
+          Title: `Certificate of Completion - ${courseTitle}`,
+          Author: "Educademy",
+          Subject: studentName,
+          Keywords: certificateId,
+        },
+      });
+
+      const chunks = [];
+      doc.on("data", (chunk) => chunks.push(chunk));
+      doc.on("end", () => resolve(Buffer.concat(chunks)));
+      doc.on("error", reject);
+
+      const { width, height } = doc.page;
+
+      doc.rect(0, 0, width, height).fill(template.backgroundColor);
+      doc
+        .lineWidth(6)
+        .strokeColor(template.primaryColor)
+        .rect(24, 24, width - 48, height - 48)
+        .stroke();
+      doc
+        .lineWidth(1.5)
+        .strokeColor(template.accentColor)
+        .rect(36, 36, width - 72, height - 72)
+        .stroke();
+
+      doc
+        .fillColor(template.primaryColor)
+        .font(template.titleFont)
+        .fontSize(40)
+        .text("Certificate of Completion", 0, 90, {
+          width,
+          align: "center",
+        });
+
+      doc
+        .fillColor(template.textColor)
+        .font(template.accentFont)
+        .fontSize(16)
+        .text("This is to certify that", 0, 160, { width, align: "center" });
+
+      doc
+        .fillColor(template.primaryColor)
+        .font(template.titleFont)
+        .fontSize(32)
+        .text(studentName, 0, 190, { width, align: "center" });
+
+      doc
+        .moveTo(width / 2 - 180, 235)
+        .lineTo(width / 2 + 180, 235)
+        .lineWidth(1)
+        .strokeColor(template.accentColor)
+        .stroke();
+
+      doc
+        .fillColor(template.textColor)
+        .font(template.accentFont)
+        .fontSize(16)
+        .text("has successfully completed the course", 0, 250, {
+          width,
+          align: "center",
+        });
+
+      doc
+        .fillColor(template.primaryColor)
+        .font(template.titleFont)
+        .fontSize(24)
+        .text(courseTitle, 80, 280, { width: width - 160, align: "center" });
+
+      const footerY = height - 150;
+
+      doc
+        .fillColor(template.textColor)
+        .font(template.bodyFont)
+        .fontSize(12)
+        .text("Instructor", 90, footerY)
+        .font(template.titleFont)
+        .fontSize(14)
+        .text(instructorName, 90, footerY + 16);
+
+      doc
+        .font(template.bodyFont)
+        .fontSize(12)
+        .text("Issue Date", 320, footerY)
+        .font(template.titleFont)
+        .fontSize(14)
+        .text(this.formatIssueDate(issueDate), 320, footerY + 16);
+
+      doc
+        .font(template.bodyFont)
+        .fontSize(9)
+        .fillColor(template.textColor)
+        .text(`Certificate ID: ${certificateId}`, 90, footerY + 60)
+        .text(`Verify at: ${verificationUrl}`, 90, footerY + 74);
+
+      doc.image(qrCode, width - 190, footerY - 20, { width: 110 });
+
+      doc.end();
+    });
+  }
+
+  async getEnrollmentForCertificate(enrollmentId) {
+    return await prisma.enrollment.findUnique({
+      where: { id: enrollmentId },
+      include: {
+        student: {
+          include: {
+            user: {
+              select: {
+                id: true,
+                firstName: true,
+                lastName: true,
+                email: true,
+              },
+            },
+          },
+        },
+        course: {
+          select: {
+            id: true,
+            title: true,
+            courseSettings: {
+              select: {
+                certificateEnabled: true,
+                certificateTemplate: true,
+              },
+            },
+            instructor: {
+              select: {
+                user: {
+                  select: {
+                    firstName: true,
+                    lastName: true,
+                  },
+                },
+              },
+            },
+          },
+        },
+        certificate: true,
+      },
+    });
+  }
+
+  async generateAndStore({ certificateId, enrollment, templateId, issueDate }) {
+    const template = this.resolveTemplate(
+      templateId,
+      enrollment.course.courseSettings?.certificateTemplate
+    );
+
+    const pdfBuffer = await this.renderPdf({
+      certificateId,
+      studentName: `${enrollment.student.user.firstName} ${enrollment.student.user.lastName}`,
+      courseTitle: enrollment.course.title,
+      instructorName: `${enrollment.course.instructor.user.firstName} ${enrollment.course.instructor.user.lastName}`,
+      issueDate,
+      template,
+    });
+
+    const uploadResult = await uploadBufferToCloudinary(pdfBuffer, {
+      folder: "educademy/certificates",
+      publicId: `${certificateId}.pdf`,
+      resourceType: "raw",
+    });
+
+    return {
+      url: uploadResult.secure_url,
+      templateName: template.name,
+    };
+  }
+
+  async issueCertificate({ enrollmentId, templateId = null }) {
+    const enrollment = await this.getEnrollmentForCertificate(enrollmentId);
+
+    if (!enrollment) {
+      throw new Error("Enrollment not found");
+    }
+
+    if (enrollment.certificate) {
+      return {
+        certificate: enrollment.certificate,
+        enrollment,
+        created: false,
+      };
+    }
+
+    if (enrollment.course.courseSettings?.certificateEnabled === false) {
+      throw new Error("Certificates are disabled for this course");
+    }
+
+    const certificateId = this.generateCertificateId();
+    const issueDate = new Date();
+
+    const { url } = await this.generateAndStore({
+      certificateId,
+      enrollment,
+      templateId,
+      issueDate,
+    });
+
+    const certificate = await prisma.certificate.create({
+      data: {
+        certificateId,
+        url,
+        templateId,
+        issueDate,
+        isVerified: true,
+        enrollmentId: enrollment.id,
+        studentId: enrollment.studentId,
+        courseId: enrollment.courseId,
+      },
+    });
+
+    return { certificate, enrollment, created: true };
+  }
+
+  async regenerateCertificate(certificateId) {
+    const certificate = await prisma.certificate.findUnique({
+      where: { certificateId },
+    });
+
+    if (!certificate) {
+      throw new Error("Certificate not found");
+    }
+
+    const enrollment = await this.getEnrollmentForCertificate(
+      certificate.enrollmentId
+    );
+
+    const { url } = await this.generateAndStore({
+      certificateId,
+      enrollment,
+      templateId: certificate.templateId,
+      issueDate: certificate.issueDate,
+    });
+
+    return await prisma.certificate.update({
+      where: { id: certificate.id },
+      data: { url },
+    });
+  }
+
+  async revokeCertificate(certificateId, reason) {
+    return await prisma.certificate.update({
+      where: { certificateId },
+      data: {
+        isRevoked: true,
+        revokedAt: new Date(),
+        revocationReason: reason || null,
+      },
+    });
+  }
+
+  async verifyCertificate(certificateId) {
+    const certificate = await prisma.certificate.findUnique({
+      where: { certificateId },
+      include: {
+        student: {
+          select: {
+            user: {
+              select: {
+                firstName: true,
+                lastName: true,
+              },
+            },
+          },
+        },
+        course: {
+          select: {
+            title: true,
+            level: true,
+            duration: true,
+            instructor: {
+              select: {
+                user: {
+                  select: {
+                    firstName: true,
+                    lastName: true,
+                  },
+                },
+              },
+            },
+          },
+        },
+      },
+    });
+
+    if (!certificate) {
+      return null;
+    }
+
+    const isValid = certificate.isVerified && !certificate.isRevoked;
+
+    return {
+      certificateId: certificate.certificateId,
+      status: certificate.isRevoked
+        ? "REVOKED"
+        : certificate.isVerified
+        ? "VALID"
+        : "UNVERIFIED",
+      isValid,
+      isRevoked: certificate.isRevoked,
+      revokedAt: certificate.revokedAt,
+      revocationReason: certificate.revocationReason,
+      issueDate: certificate.issueDate,
+      studentName: `${certificate.student.user.firstName} ${certificate.student.user.lastName}`,
+      course: {
+        title: certificate.course.title,
+        level: certificate.course.level,
+        duration: certificate.course.duration,
+        instructorName: `${certificate.course.instructor.user.firstName} ${certificate.course.instructor.user.lastName}`,
+      },
+      url: isValid ? certificate.url : null,
+    };
+  }
+}
+
+export default new CertificateService();
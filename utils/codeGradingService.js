@@ -0,0 +1,200 @@
+import { Prisma, PrismaClient } from "@prisma/client";
+import redisService from "./redis.js";
+import socketManager from "./socket-io.js";
+import gamificationService from "./gamificationService.js";
+import codeRunnerService from "./codeRunnerService.js";
+import questionBankService from "./questionBankService.js";
+import { gradeAnswer, scoreAttempt } from "../helper/quizGrading.js";
+import {
+  getSubmittedCode,
+  isQueuedCodeResults,
+} from "../helper/codeChallenge.js";
+
+const prisma = new PrismaClient();
+
+// Long enough for 50 tests at the maximum time limit.
+const ATTEMPT_LOCK_SECONDS = 15 * 60;
+
+const parseContent = (content) => {
+  try {
+    return JSON.parse(content);
+  } catch {
+    return content;
+  }
+};
+
+// Runs code challenge tests outside the submit request. Submissions store
+// CODE_CHALLENGE answers as queued (needsReview with a QUEUED placeholder in
+// codeResults) and call enqueue; the code grading job picks up anything left
+// behind by a restart. Once an attempt has no answers awaiting review it is
+// finalized the same way an instructor's gradeQuiz finalizes one.
+class CodeGradingService {
+  enqueue(attemptId) {
+    this.gradeAttempt(attemptId).catch((error) => {
+      console.error(`Code grading failed for attempt ${attemptId}:`, error);
+    });
+  }
+
+  async gradeAttempt(attemptId) {
+    const lock = await redisService.acquireLock(
+      `code_grading:${attemptId}`,
+      ATTEMPT_LOCK_SECONDS,
+      1
+    );
+    if (!lock.acquired) return null;
+
+    try {
+      const attempt = await prisma.quizAttempt.findUnique({
+        where: { id: attemptId },
+        include: {
+          quiz: {
+            select: {
+              id: true,
+              title: true,
+              passingScore: true,
+              partialCredit: true,
+              negativeMarking: true,
+              section: {
+                select: {
+                  courseId: true,
+                  course: { select: { instructorId: true } },
+                },
+              },
+            },
+          },
+          answers: true,
+          student: { select: { id: true, userId: true } },
+        },
+      });
+
+      if (!attempt || attempt.status !== "SUBMITTED") return null;
+
+      const queued = attempt.answers.filter(
+        (answer) =>
+          answer.needsReview && isQueuedCodeResults(answer.codeResults)
+      );
+      if (queued.length === 0) return null;
+
+      const questions = await questionBankService.getAttemptQuestions(attempt);
+      const questionsById = new Map(
+        questions.map((question) => [question.id, question])
+      );
+
+      for (const answer of queued) {
+        const question = questionsById.get(answer.questionId);
+        const studentAnswer = parseContent(answer.content);
+        const codeResult = question
+          ? await codeRunnerService.runSubmission(
+              question.codeChallenge,
+              getSubmittedCode(studentAnswer)
+            )
+          : null;
+
+        // Without a result the answer stays in the instructor's review queue.
+        const graded = codeResult
+          ? gradeAnswer(question, studentAnswer, {
+              partialCredit: attempt.quiz.partialCredit,
+              negativeMarking: attempt.quiz.negativeMarking,
+              codeResult,
+            })
+          : { isCorrect: null, points: null, needsReview: true };
+
+        // needsReview in the filter keeps a grade the instructor gave while
+        // the tests were running.
+        await prisma.answer.updateMany({
+          where: { id: answer.id, needsReview: true },
+          data: {
+            isCorrect: graded.isCorrect,
+            points: graded.points,
+            needsReview: graded.needsReview,
+            codeResults: codeResult ?? Prisma.DbNull,
+          },
+        });
+      }
+
+      return this.finalizeAttempt(attempt, questions);
+    } finally {
+      await lock.release();
+    }
+  }
+
+  async finalizeAttempt(attempt, questions) {
+    const answers = await prisma.answer.findMany({
+      where: { attemptId: attempt.id },
+    });
+    const scored = scoreAttempt(answers, questions, attempt.quiz.passingScore);
+    const pendingReview = scored.pendingReview > 0;
+
+    const { count } = await prisma.quizAttempt.updateMany({
+      where: { id: attempt.id, status: "SUBMITTED" },
+      data: {
+        score: scored.earnedPoints,
+        percentage: scored.percentage,
+        isPassed: scored.isPassed,
+        ...(!pendingReview && { status: "GRADED", gradedAt: new Date() }),
+      },
+    });
+
+    if (count === 0 || pendingReview) return scored;
+
+    const courseId = attempt.quiz.section.courseId;
+
+    if (scored.isPassed) {
+      await prisma.enrollment.updateMany({
+        where: { studentId: attempt.studentId, courseId },
+        data: { quizzesCompleted: { increment: 1 } },
+      });
+
+      gamificationService.trackEvent("QUIZ_PASSED", {
+        studentId: attempt.studentId,
+        courseId,
+        sourceId: attempt.quiz.id,
+        metadata: { attemptId: attempt.id, percentage: scored.percentage },
+      });
+    }
+
+    if (socketManager && socketManager.sendToUser) {
+      socketManager.sendToUser(attempt.student.userId, "quiz_graded", {
+        attemptId: attempt.id,
+        quizTitle: attempt.quiz.title,
+        score: scored.earnedPoints,
+        maxScore: scored.totalPoints,
+        percentage: scored.percentage,
+        passed: scored.isPassed,
+        gradedAt: new Date(),
+      });
+    }
+
+    const instructorId = attempt.quiz.section.course.instructorId;
+    await Promise.all([
+      redisService.delPattern(`instructor:${instructorId}:performance:*`),
+      redisService.delPattern(`instructor:${instructorId}:pending:*`),
+    ]);
+
+    return scored;
+  }
+
+  // Attempts whose code answers were queued but never graded, e.g. because
+  // the server restarted mid-run.
+  async gradeQueuedAttempts() {
+    const answers = await prisma.answer.findMany({
+      where: {
+        needsReview: true,
+        codeResults: { path: ["status"], equals: "QUEUED" },
+        attempt: { status: "SUBMITTED" },
+      },
+      select: { attemptId: true },
+      distinct: ["attemptId"],
+      take: 50,
+    });
+
+    let graded = 0;
+    for (const { attemptId } of answers) {
+      if (await this.gradeAttempt(attemptId)) graded++;
+    }
+
+    return { graded };
+  }
+}
+
+export default new CodeGradingService();
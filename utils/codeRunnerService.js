@@ -0,0 +1,433 @@
+import { spawn, spawnSync } from "child_process";
+import fs from "fs/promises";
+import os from "os";
+import path from "path";
+import {
+  validateCodeChallenge,
+  normalizeCodeChallenge,
+  normalizeLanguage,
+  outputsMatch,
+  scoreTestResults,
+} from "../helper/codeChallenge.js";
+
+const MAX_SUBMISSION_LENGTH = 100000;
+const MAX_OUTPUT_BYTES = 64 * 1024;
+const STORED_OUTPUT_LENGTH = 4000;
+const MAX_WRITE_BYTES = 1024 * 1024;
+
+// Where the submission's directory is mounted inside the Python sandbox.
+const SANDBOX_DIR = "/sandbox";
+
+// Interpreter start-up is not charged against the challenge's time limit.
+const STARTUP_ALLOWANCE_MS = 1000;
+
+const MEMORY_ERROR_PATTERN =
+  /MemoryError|heap out of memory|Cannot allocate memory|Allocation failed/;
+
+// Loaded with --require ahead of JavaScript submissions. Node's permission
+// model already blocks child processes, workers and file writes; this closes
+// the network modules as well.
+const JAVASCRIPT_GUARD = `
+const Module = require("module");
+const blocked = new Set([
+  "net", "tls", "http", "https", "http2", "dgram", "dns", "inspector",
+]);
+const load = Module._load;
+Module._load = function (request, ...rest) {
+  if (blocked.has(String(request).replace(/^node:/, ""))) {
+    throw new Error(\`Module "\${request}" is not available in code challenges\`);
+  }
+  return load.call(this, request, ...rest);
+};
+delete globalThis.fetch;
+delete globalThis.WebSocket;
+`;
+
+// Runs a Python submission under address-space, CPU, file-size and process
+// limits with outbound sockets disabled. RLIMIT_NPROC of 0 stops the program
+// from forking. argv: memoryMb cpuSeconds writeBytes file.
+const PYTHON_BOOTSTRAP = `
+import resource, runpy, socket, sys
+memory, cpu, fsize = (int(value) for value in sys.argv[1:4])
+resource.setrlimit(resource.RLIMIT_AS, (memory * 1024 * 1024,) * 2)
+resource.setrlimit(resource.RLIMIT_CPU, (cpu, cpu + 1))
+resource.setrlimit(resource.RLIMIT_FSIZE, (fsize, fsize))
+resource.setrlimit(resource.RLIMIT_NPROC, (0, 0))
+def blocked(*args, **kwargs):
+    raise OSError("Network access is not available in code challenges")
+for name in ("connect", "connect_ex", "bind", "sendto"):
+    setattr(socket.socket, name, blocked)
+socket.create_connection = blocked
+sys.argv = sys.argv[4:]
+runpy.run_path(sys.argv[0], run_name="__main__")
+`;
+
+const truncate = (text) =>
+  text.length > STORED_OUTPUT_LENGTH
+    ? `${text.slice(0, STORED_OUTPUT_LENGTH)}\n... (truncated)`
+    : text;
+
+// Runs CODE_CHALLENGE submissions against their test cases in a child
+// process per test. Each run gets an empty temp directory, a stripped
+// environment and a wall-clock and memory limit.
+//
+// JavaScript runs under Node's permission model (reads limited to the temp
+// directory, no child processes or writes) in its own network namespace
+// (`unshare -rn`). Hosts without unprivileged user namespaces return no
+// result, which leaves the answer for manual review, unless
+// CODE_RUNNER_ALLOW_UNSANDBOXED=true.
+//
+// Python has no equivalent of the permission model, so it only runs inside
+// bubblewrap: a fresh mount namespace holding the read-only system and
+// interpreter directories plus the temp directory, with its own PID, network
+// and IPC namespaces. Killing bwrap takes the whole PID namespace with it.
+// Without bwrap, Python challenges cannot be created (see validateChallenge)
+// and existing ones are graded manually.
+class CodeRunnerService {
+  constructor() {
+    this.maxConcurrent =
+      parseInt(process.env.CODE_RUNNER_CONCURRENCY, 10) ||
+      Math.max(1, os.cpus().length - 1);
+    this.pythonPath = process.env.CODE_RUNNER_PYTHON || "python3";
+    this.allowUnsandboxed =
+      process.env.CODE_RUNNER_ALLOW_UNSANDBOXED === "true";
+    this.active = 0;
+    this.waiting = [];
+    this.isolationAvailable = null;
+    this.pythonSandbox = undefined;
+  }
+
+  hasNetworkIsolation() {
+    if (this.isolationAvailable === null) {
+      if (process.platform !== "linux") {
+        this.isolationAvailable = false;
+      } else {
+        const check = spawnSync("unshare", ["-rn", "true"], {
+          stdio: "ignore",
+          timeout: 5000,
+        });
+        this.isolationAvailable = check.status === 0;
+      }
+
+      if (!this.isolationAvailable) {
+        console.warn(
+          this.allowUnsandboxed
+            ? "Code runner: network isolation unavailable, running submissions without it"
+            : "Code runner: network isolation unavailable, code challenges will be graded manually"
+        );
+      }
+    }
+
+    return this.isolationAvailable;
+  }
+
+  // Resolves the real interpreter (pyenv and similar shims do not work
+  // inside the sandbox) and checks that bwrap can start a sandbox here.
+  // Returns { executable, prefix } or null.
+  getPythonSandbox() {
+    if (this.pythonSandbox === undefined) {
+      this.pythonSandbox = null;
+
+      const bwrap = spawnSync(
+        "bwrap",
+        ["--unshare-all", "--die-with-parent", "--ro-bind", "/", "/", "true"],
+        { stdio: "ignore", timeout: 5000 }
+      );
+      const python =
+        bwrap.status === 0 &&
+        spawnSync(
+          this.pythonPath,
+          [
+            "-I",
+            "-c",
+            "import sys; print(sys.executable); print(sys.base_prefix)",
+          ],
+          { encoding: "utf8", timeout: 5000 }
+        );
+
+      if (python && python.status === 0) {
+        const [executable, prefix] = python.stdout.trim().split("\n");
+        if (executable && prefix) {
+          this.pythonSandbox = { executable, prefix };
+        }
+      }
+
+      if (!this.pythonSandbox) {
+        console.warn(
+          "Code runner: bubblewrap or Python unavailable, Python code challenges are disabled"
+        );
+      }
+    }
+
+    return this.pythonSandbox;
+  }
+
+  isLanguageAvailable(language) {
+    if (language === "python") {
+      return !!this.getPythonSandbox();
+    }
+    return this.hasNetworkIsolation() || this.allowUnsandboxed;
+  }
+
+  // validateCodeChallenge plus what this server can run. Used when
+  // instructors create or change challenges; JavaScript challenges are still
+  // accepted without isolation since they fall back to manual review.
+  validateChallenge(challenge) {
+    const errors = validateCodeChallenge(challenge);
+
+    if (
+      errors.length === 0 &&
+      normalizeLanguage(challenge.language) === "python" &&
+      !this.getPythonSandbox()
+    ) {
+      errors.push(
+        "Python code challenges are not available on this server because it has no sandbox for them"
+      );
+    }
+
+    return errors;
+  }
+
+  async acquire() {
+    if (this.active < this.maxConcurrent) {
+      this.active++;
+      return;
+    }
+    await new Promise((resolve) => this.waiting.push(resolve));
+  }
+
+  release() {
+    const next = this.waiting.shift();
+    if (next) {
+      next();
+    } else {
+      this.active--;
+    }
+  }
+
+  // Returns [file, args] for one test run, including the sandbox wrapper.
+  buildCommand(challenge, workDir, sourceFile) {
+    const cpuSeconds = Math.ceil(challenge.timeLimitMs / 1000) + 1;
+
+    if (challenge.language === "javascript") {
+      const args = [
+        "--no-warnings",
+        "--experimental-permission",
+        `--allow-fs-read=${workDir}`,
+        `--max-old-space-size=${challenge.memoryLimitMb}`,
+        "--require",
+        path.join(workDir, "guard.cjs"),
+        sourceFile,
+      ];
+
+      return this.hasNetworkIsolation()
+        ? ["unshare", ["-rn", process.execPath, ...args]]
+        : [process.execPath, args];
+    }
+
+    const { executable, prefix } = this.getPythonSandbox();
+    const interpreterMount = prefix.startsWith("/usr/")
+      ? []
+      : ["--ro-bind", prefix, prefix];
+
+    return [
+      "bwrap",
+      [
+        "--unshare-all",
+        "--die-with-parent",
+        "--new-session",
+        "--ro-bind",
+        "/usr",
+        "/usr",
+        ...["/bin", "/lib", "/lib64", "/etc/ld.so.cache"].flatMap((dir) => [
+          "--ro-bind-try",
+          dir,
+          dir,
+        ]),
+        ...interpreterMount,
+        "--proc",
+        "/proc",
+        "--dev",
+        "/dev",
+        "--tmpfs",
+        "/tmp",
+        "--bind",
+        workDir,
+        SANDBOX_DIR,
+        "--chdir",
+        SANDBOX_DIR,
+        "--setenv",
+        "HOME",
+        SANDBOX_DIR,
+        "--setenv",
+        "TMPDIR",
+        SANDBOX_DIR,
+        "--",
+        executable,
+        "-I",
+        "-c",
+        PYTHON_BOOTSTRAP,
+        String(challenge.memoryLimitMb),
+        String(cpuSeconds),
+        String(MAX_WRITE_BYTES),
+        path.posix.join(SANDBOX_DIR, path.basename(sourceFile)),
+      ],
+    ];
+  }
+
+  execute(command, args, { cwd, input, timeLimitMs }) {
+    return new Promise((resolve, reject) => {
+      const startedAt = performance.now();
+      const child = spawn(command, args, {
+        cwd,
+        detached: true,
+        stdio: ["pipe", "pipe", "pipe"],
+        env: {
+          PATH: process.env.PATH,
+          HOME: cwd,
+          TMPDIR: cwd,
+          LANG: "C.UTF-8",
+          PYTHONDONTWRITEBYTECODE: "1",
+        },
+      });
+
+      let stdout = "";
+      let stderr = "";
+      let outputBytes = 0;
+      let limitHit = null;
+
+      // detached gives the child its own process group, so anything it
+      // forked is killed with it. Under bwrap, the sandbox's PID namespace
+      // dies with it as well.
+      const kill = (reason) => {
+        limitHit = limitHit || reason;
+        try {
+          process.kill(-child.pid, "SIGKILL");
+        } catch {
+          // Already exited.
+        }
+      };
+
+      const timer = setTimeout(
+        () => kill("TIME_LIMIT_EXCEEDED"),
+        timeLimitMs + STARTUP_ALLOWANCE_MS
+      );
+
+      const collect = (stream) => (chunk) => {
+        outputBytes += chunk.length;
+        if (outputBytes > MAX_OUTPUT_BYTES) {
+          kill("OUTPUT_LIMIT_EXCEEDED");
+          return;
+        }
+        if (stream === "stdout") stdout += chunk;
+        else stderr += chunk;
+      };
+
+      child.stdout.on("data", collect("stdout"));
+      child.stderr.on("data", collect("stderr"));
+      child.stdin.on("error", () => {});
+
+      child.on("error", (error) => {
+        clearTimeout(timer);
+        reject(error);
+      });
+
+      child.on("close", (exitCode, signal) => {
+        clearTimeout(timer);
+        resolve({
+          stdout,
+          stderr,
+          exitCode,
+          signal,
+          limitHit,
+          timeMs: Math.round(performance.now() - startedAt),
+        });
+      });
+
+      child.stdin.end(input);
+    });
+  }
+
+  getStatus(run, expectedOutput) {
+    if (run.limitHit) return run.limitHit;
+    if (run.signal === "SIGXCPU") return "TIME_LIMIT_EXCEEDED";
+    if (MEMORY_ERROR_PATTERN.test(run.stderr)) return "MEMORY_LIMIT_EXCEEDED";
+    if (run.exitCode !== 0) return "RUNTIME_ERROR";
+    return outputsMatch(run.stdout, expectedOutput) ? "PASSED" : "WRONG_ANSWER";
+  }
+
+  // Returns { language, passed, total, score, results, ranAt } where score is
+  // the passed share of test weight, or null when the submission could not
+  // be run and needs a person to grade it.
+  async runSubmission(challengeConfig, code) {
+    if (
+      typeof code !== "string" ||
+      !code.trim() ||
+      code.length > MAX_SUBMISSION_LENGTH ||
+      !challengeConfig ||
+      validateCodeChallenge(challengeConfig).length > 0 ||
+      !this.isLanguageAvailable(normalizeLanguage(challengeConfig.language))
+    ) {
+      return null;
+    }
+
+    const challenge = normalizeCodeChallenge(challengeConfig);
+    const extension = challenge.language === "javascript" ? "cjs" : "py";
+
+    await this.acquire();
+    const workDir = await fs.mkdtemp(path.join(os.tmpdir(), "code-run-"));
+
+    try {
+      const sourceFile = path.join(workDir, `solution.${extension}`);
+      await fs.writeFile(sourceFile, code);
+      if (challenge.language === "javascript") {
+        await fs.writeFile(path.join(workDir, "guard.cjs"), JAVASCRIPT_GUARD);
+      }
+
+      const [command, args] = this.buildCommand(challenge, workDir, sourceFile);
+      const results = [];
+
+      // Tests run one after another so a submission never holds more than
+      // one process.
+      for (const testCase of challenge.testCases) {
+        const run = await this.execute(command, args, {
+          cwd: workDir,
+          input: testCase.input,
+          timeLimitMs: challenge.timeLimitMs,
+        });
+        const status = this.getStatus(run, testCase.expectedOutput);
+
+        results.push({
+          testCaseId: testCase.id,
+          name: testCase.name,
+          hidden: testCase.hidden,
+          weight: testCase.weight,
+          passed: status === "PASSED",
+          status,
+          timeMs: run.timeMs,
+          input: testCase.input,
+          expectedOutput: testCase.expectedOutput,
+          stdout: truncate(run.stdout),
+          stderr: truncate(run.stderr),
+        });
+      }
+
+      return {
+        language: challenge.language,
+        passed: results.filter((result) => result.passed).length,
+        total: results.length,
+        score: scoreTestResults(results),
+        results,
+        ranAt: new Date().toISOString(),
+      };
+    } catch (error) {
+      console.error("Code runner error:", error);
+      return null;
+    } finally {
+      await fs.rm(workDir, { recursive: true, force: true }).catch(() => {});
+      this.release();
+    }
+  }
+}
+
+export default new CodeRunnerService();
@@ -0,0 +1,381 @@
+import { PrismaClient } from "@prisma/client";
+import redisService from "./redis.js";
+
+const prisma = new PrismaClient();
+
+const EXCHANGE_RATES_CACHE_KEY = "exchange_rates";
+const ZERO_DECIMAL_CURRENCIES = ["JPY", "KRW", "VND", "CLP", "HUF", "TWD"];
+
+const round = (value) => Math.round(value * 100) / 100;
+
+class CurrencyService {
+  constructor() {
+    this.baseCurrency = (process.env.BASE_CURRENCY || "INR").toUpperCase();
+  }
+
+  getBaseCurrency() {
+    return this.baseCurrency;
+  }
+
+  normalize(currency) {
+    return currency ? String(currency).trim().toUpperCase() : null;
+  }
+
+  isZeroDecimal(currency) {
+    return ZERO_DECIMAL_CURRENCIES.includes(this.normalize(currency));
+  }
+
+  roundAmount(amount, currency) {
+    const value = parseFloat(amount) || 0;
+    return this.isZeroDecimal(currency) ? Math.round(value) : round(value);
+  }
+
+  async getRates() {
+    const cached = await redisService.getJSON(EXCHANGE_RATES_CACHE_KEY);
+    if (cached) return cached;
+
+    const rates = await prisma.exchangeRate.findMany({
+      where: { isActive: true },
+      orderBy: { currency: "asc" },
+    });
+
+    await redisService.setJSON(EXCHANGE_RATES_CACHE_KEY, rates, { ex: 300 });
+    return rates;
+  }
+
+  async invalidateRates() {
+    await redisService.del(EXCHANGE_RATES_CACHE_KEY);
+  }
+
+  async getRateEntry(currency) {
+    const code = this.normalize(currency);
+    if (!code || code === this.baseCurrency) {
+      return { currency: this.baseCurrency, rate: 1, rounding: "NONE" };
+    }
+
+    const rates = await this.getRates();
+    const entry = rates.find((rate) => rate.currency === code);
+    if (!entry) return null;
+
+    return { ...entry, rate: parseFloat(entry.rate) };
+  }
+
+  async getSupportedCurrencies() {
+    const rates = await this.getRates();
+    return [
+      this.baseCurrency,
+      ...rates
+        .map((rate) => rate.currency)
+        .filter((currency) => currency !== this.baseCurrency),
+    ];
+  }
+
+  async isSupported(currency) {
+    return !!(await this.getRateEntry(currency));
+  }
+
+  // Students pick a display currency with ?currency= or the X-Currency
+  // header; anything we have no rate for falls back to the base currency.
+  async resolveCurrency(req) {
+    const requested = this.normalize(
+      req.query?.currency || req.body?.currency || req.headers?.["x-currency"]
+    );
+
+    if (requested && (await this.isSupported(requested))) {
+      return requested;
+    }
+
+    return this.baseCurrency;
+  }
+
+  // Rounding rules only apply to converted list prices, never to totals, so
+  // a cart always adds up to the sum of the prices the student was shown.
+  applyRounding(amount, currency, rounding = "NONE") {
+    const value = this.roundAmount(amount, currency);
+    if (value <= 0) return 0;
+
+    switch (rounding) {
+      case "WHOLE":
+        return Math.max(1, Math.round(value));
+      case "CHARM":
+        return this.isZeroDecimal(currency)
+          ? Math.ceil((value + 1) / 10) * 10 - 1
+          : round(Math.ceil(value + 0.01) - 0.01);
+      case "NEAREST_TEN":
+        return Math.max(10, Math.round(value / 10) * 10);
+      default:
+        return value;
+    }
+  }
+
+  async convert(amount, currency, { applyRounding = false } = {}) {
+    const entry = await this.getRateEntry(currency);
+    if (!entry) {
+      throw new Error(`No exchange rate configured for ${currency}`);
+    }
+
+    const converted = (parseFloat(amount) || 0) * entry.rate;
+
+    return {
+      amount: applyRounding
+        ? this.applyRounding(converted, entry.currency, entry.rounding)
+        : this.roundAmount(converted, entry.currency),
+      currency: entry.currency,
+      rate: entry.rate,
+    };
+  }
+
+  async toBase(amount, currency) {
+    const entry = await this.getRateEntry(currency);
+    if (!entry) {
+      throw new Error(`No exchange rate configured for ${currency}`);
+    }
+
+    return round((parseFloat(amount) || 0) / entry.rate);
+  }
+
+  // Cross-currency conversion goes through the base currency, which is the
+  // only currency every rate is quoted against.
+  async convertBetween(amount, fromCurrency, toCurrency) {
+    const from = this.normalize(fromCurrency) || this.baseCurrency;
+    const to = this.normalize(toCurrency) || this.baseCurrency;
+
+    if (from === to) {
+      return { amount: this.roundAmount(amount, to), currency: to, rate: 1 };
+    }
+
+    const fromEntry = await this.getRateEntry(from);
+    const toEntry = await this.getRateEntry(to);
+    if (!fromEntry || !toEntry) {
+      throw new Error(`No exchange rate configured for ${from} to ${to}`);
+    }
+
+    const rate = toEntry.rate / fromEntry.rate;
+
+    return {
+      amount: this.roundAmount((parseFloat(amount) || 0) * rate, to),
+      currency: to,
+      rate,
+    };
+  }
+
+  async getPriceTiers(courseIds, currency) {
+    const code = this.normalize(currency);
+    if (!courseIds.length || !code || code === this.baseCurrency) {
+      return new Map();
+    }
+
+    const tiers = await prisma.coursePrice.findMany({
+      where: { courseId: { in: courseIds }, currency: code, isActive: true },
+    });
+
+    return new Map(tiers.map((tier) => [tier.courseId, tier]));
+  }
+
+  // An instructor-set price tier wins over the FX table. Base prices are kept
+  // alongside so coupons, revenue and earnings can stay in one currency.
+  async priceCourses(courses, currency) {
+    const entry = await this.getRateEntry(currency);
+    if (!entry) {
+      throw new Error(`No exchange rate configured for ${currency}`);
+    }
+
+    const tiers = await this.getPriceTiers(
+      courses.map((course) => course.id),
+      entry.currency
+    );
+
+    return courses.map((course) => {
+      const basePrice = parseFloat(course.price || 0);
+      const baseDiscountPrice =
+        course.discountPrice !== null && course.discountPrice !== undefined
+          ? parseFloat(course.discountPrice)
+          : null;
+      const tier = tiers.get(course.id);
+
+      const baseOriginalPrice = course.originalPrice
+        ? parseFloat(course.originalPrice)
+        : null;
+
+      let price;
+      let discountPrice;
+      let originalPrice;
+      let source;
+
+      if (entry.currency === this.baseCurrency) {
+        price = basePrice;
+        discountPrice = baseDiscountPrice;
+        originalPrice = baseOriginalPrice;
+        source = "BASE";
+      } else if (tier) {
+        price = parseFloat(tier.price);
+        discountPrice =
+          tier.discountPrice !== null ? parseFloat(tier.discountPrice) : null;
+        originalPrice = baseOriginalPrice !== null ? price : null;
+        source = "TIER";
+      } else {
+        price = this.applyRounding(
+          basePrice * entry.rate,
+          entry.currency,
+          entry.rounding
+        );
+        discountPrice =
+          baseDiscountPrice !== null
+            ? this.applyRounding(
+                baseDiscountPrice * entry.rate,
+                entry.currency,
+                entry.rounding
+              )
+            : null;
+        originalPrice =
+          baseOriginalPrice !== null
+            ? this.applyRounding(
+                baseOriginalPrice * entry.rate,
+                entry.currency,
+                entry.rounding
+              )
+            : null;
+        source = "FX";
+      }
+
+      return {
+        courseId: course.id,
+        currency: entry.currency,
+        price,
+        discountPrice,
+        originalPrice,
+        effectivePrice: discountPrice ?? price,
+        basePrice,
+        baseDiscountPrice,
+        baseEffectivePrice: baseDiscountPrice ?? basePrice,
+        baseCurrency: this.baseCurrency,
+        exchangeRate: entry.rate,
+        source,
+      };
+    });
+  }
+
+  // Returns the courses with their price fields swapped for the requested
+  // currency. Nested course objects (e.g. cart items) are reached via `key`.
+  async localizeCourses(items, currency, key = null) {
+    const list = items.filter(Boolean);
+    const courses = list
+      .map((item) => (key ? item[key] : item))
+      .filter(Boolean);
+    if (!courses.length) return items;
+
+    const prices = await this.priceCourses(courses, currency);
+    const byCourse = new Map(prices.map((price) => [price.courseId, price]));
+
+    const localize = (course) => {
+      const pricing = course && byCourse.get(course.id);
+      if (!pricing) return course;
+
+      const localized = {
+        ...course,
+        price: pricing.price,
+        discountPrice: pricing.discountPrice,
+        currency: pricing.currency,
+      };
+
+      if (course.originalPrice !== undefined) {
+        localized.originalPrice = pricing.originalPrice;
+      }
+
+      if (pricing.currency !== this.baseCurrency) {
+        localized.basePrice = pricing.basePrice;
+        localized.baseCurrency = pricing.baseCurrency;
+      }
+
+      return localized;
+    };
+
+    return items.map((item) => {
+      if (!item) return item;
+      return key ? { ...item, [key]: localize(item[key]) } : localize(item);
+    });
+  }
+
+  // Coupons are defined in the base currency, so their discount is carried
+  // over to the charged currency in proportion to the subtotal.
+  scaleDiscount(baseDiscount, baseSubtotal, chargedSubtotal, currency) {
+    if (!baseDiscount || !baseSubtotal) return 0;
+
+    return this.roundAmount(
+      Math.min(
+        chargedSubtotal,
+        (parseFloat(baseDiscount) * chargedSubtotal) / baseSubtotal
+      ),
+      currency
+    );
+  }
+
+  // Checkout records both prices per course; payments created before
+  // multi-currency pricing only carry the base-currency price.
+  getOrderItemPrices(payment, course) {
+    const item = payment.metadata?.orderItems?.find(
+      (orderItem) => orderItem.courseId === course.id
+    );
+    const basePrice = parseFloat(
+      item?.basePrice ?? item?.price ?? (course.discountPrice || course.price)
+    );
+
+    return {
+      basePrice,
+      chargedPrice:
+        item?.basePrice !== undefined ? parseFloat(item.price) : basePrice,
+    };
+  }
+
+  // Instructor earnings are locked in the instructor's payout currency when
+  // the sale is recorded, keeping the charged and base amounts for audit.
+  async splitEarning({
+    baseAmount,
+    chargedAmount,
+    chargedCurrency,
+    payoutCurrency,
+    share = 0.7,
+  }) {
+    const requested = this.normalize(payoutCurrency) || this.baseCurrency;
+    // A payout currency whose rate was retired falls back to the base currency.
+    const payout = (await this.isSupported(requested))
+      ? requested
+      : this.baseCurrency;
+    const charged = this.normalize(chargedCurrency) || this.baseCurrency;
+    const baseShare = round(baseAmount * share);
+    const chargedShare = this.roundAmount(chargedAmount * share, charged);
+
+    let commission;
+    let gross;
+    let exchangeRate;
+
+    if (payout === charged) {
+      commission = chargedShare;
+      gross = this.roundAmount(chargedAmount, charged);
+      exchangeRate = (await this.getRateEntry(payout))?.rate ?? null;
+    } else {
+      const converted = await this.convertBetween(
+        baseShare,
+        this.baseCurrency,
+        payout
+      );
+      commission = converted.amount;
+      gross = this.roundAmount(baseAmount * converted.rate, payout);
+      exchangeRate = converted.rate;
+    }
+
+    return {
+      amount: commission,
+      commission,
+      platformFee: this.roundAmount(gross - commission, payout),
+      currency: payout,
+      baseAmount: baseShare,
+      baseCurrency: this.baseCurrency,
+      chargedAmount: chargedShare,
+      chargedCurrency: charged,
+      exchangeRate,
+    };
+  }
+}
+
+export default new CurrencyService();
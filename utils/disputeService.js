@@ -0,0 +1,554 @@
+import { PrismaClient } from "@prisma/client";
+import redisService from "./redis.js";
+import notificationService from "./notificationservice.js";
+import paymentService from "./paymentService.js";
+import earningLedgerService from "./earningLedgerService.js";
+
+const prisma = new PrismaClient();
+
+const OPEN_STATUSES = ["OPEN", "UNDER_REVIEW"];
+const SUSPENDABLE_STATUSES = ["ACTIVE", "COMPLETED"];
+const ACTIVITY_LIMIT = 50;
+const COMPLETION_LIMIT = 100;
+
+const formatDate = (date) => new Date(date).toISOString().slice(0, 10);
+
+// Chargebacks are persisted per gateway dispute. While a dispute is open the
+// student's enrollments from the payment are suspended and the instructor's
+// held earnings stay on hold; the outcome either restores access or claws
+// the disputed amount back through the earnings ledger.
+class DisputeService {
+  isOpen(status) {
+    return OPEN_STATUSES.includes(status);
+  }
+
+  async getDispute(disputeId) {
+    return await prisma.dispute.findUnique({ where: { id: disputeId } });
+  }
+
+  async findPayment(gateway, event) {
+    if (event.transactionId) {
+      const payment = await prisma.payment.findFirst({
+        where: {
+          gateway,
+          OR: [
+            { transactionId: event.transactionId },
+            { gatewayResponse: { path: ["id"], equals: event.transactionId } },
+            {
+              gatewayResponse: {
+                path: ["payment", "id"],
+                equals: event.transactionId,
+              },
+            },
+          ],
+        },
+      });
+      if (payment) return payment;
+
+      // Razorpay payments are stored against their order while disputes only
+      // carry the payment id, so look the order up when nothing matched.
+      if (gateway === "RAZORPAY") {
+        try {
+          const details = await paymentService
+            .getGateway(gateway)
+            .fetchPaymentDetails(event.transactionId);
+
+          if (details?.order_id) {
+            return await prisma.payment.findFirst({
+              where: { gateway, transactionId: details.order_id },
+            });
+          }
+        } catch (error) {
+          console.error("Failed to fetch disputed Razorpay payment:", error);
+        }
+      }
+    }
+
+    if (!event.orderId) return null;
+
+    return await prisma.payment.findFirst({
+      where: {
+        gateway,
+        OR: [
+          { transactionId: event.orderId },
+          { metadata: { path: ["orderId"], equals: event.orderId } },
+        ],
+      },
+    });
+  }
+
+  // Handles both DISPUTE_CREATED and DISPUTE_UPDATED events. A dispute first
+  // seen in a later state (the created webhook was missed) is still opened
+  // first so enrollments and earnings go through the same transitions.
+  async recordDisputeEvent(gateway, event) {
+    const payment = await this.findPayment(gateway, event);
+
+    if (!payment) {
+      console.log(
+        `Payment not found for ${gateway} dispute: ${
+          event.disputeId || event.transactionId
+        }`
+      );
+      return null;
+    }
+
+    const gatewayDisputeId = event.disputeId || `payment_${payment.id}`;
+    const status = event.disputeStatus || "OPEN";
+    const gatewayStatus = event.gatewayStatus || status.toLowerCase();
+
+    let dispute = await prisma.dispute.findUnique({
+      where: { gateway_gatewayDisputeId: { gateway, gatewayDisputeId } },
+    });
+
+    if (!dispute) {
+      try {
+        dispute = await prisma.dispute.create({
+          data: {
+            gateway,
+            gatewayDisputeId,
+            status: "OPEN",
+            gatewayStatus,
+            reason: event.reason || null,
+            amount: event.amount ?? payment.amount,
+            currency: String(event.currency || payment.currency).toUpperCase(),
+            evidenceDueBy: event.evidenceDueBy || null,
+            gatewayResponse: event.raw,
+            paymentId: payment.id,
+          },
+        });
+      } catch (error) {
+        // A duplicate webhook created it first.
+        if (error.code !== "P2002") throw error;
+        dispute = await prisma.dispute.findUnique({
+          where: { gateway_gatewayDisputeId: { gateway, gatewayDisputeId } },
+        });
+      }
+
+      if (dispute.status === "OPEN" && !dispute.suspendedEnrollments) {
+        await this.suspendEnrollments(dispute);
+        await this.notifyAdmins(dispute, payment);
+      }
+    } else {
+      dispute = await prisma.dispute.update({
+        where: { id: dispute.id },
+        data: {
+          gatewayStatus,
+          gatewayResponse: event.raw,
+          ...(event.evidenceDueBy && { evidenceDueBy: event.evidenceDueBy }),
+          ...(event.amount != null && { amount: event.amount }),
+          ...(status === "UNDER_REVIEW" &&
+            dispute.status === "OPEN" && { status: "UNDER_REVIEW" }),
+        },
+      });
+    }
+
+    if (!this.isOpen(status)) {
+      return (await this.resolveDispute(dispute.id, status)) || dispute;
+    }
+
+    await this.invalidateCaches(dispute.paymentId);
+
+    return dispute;
+  }
+
+  async suspendEnrollments(dispute) {
+    const enrollments = await prisma.enrollment.findMany({
+      where: {
+        paymentId: dispute.paymentId,
+        status: { in: SUSPENDABLE_STATUSES },
+      },
+      select: {
+        id: true,
+        status: true,
+        student: { select: { userId: true } },
+        course: { select: { title: true } },
+      },
+    });
+
+    const suspended = enrollments.map(({ id, status }) => ({ id, status }));
+
+    if (suspended.length > 0) {
+      await prisma.enrollment.updateMany({
+        where: {
+          id: { in: suspended.map((enrollment) => enrollment.id) },
+          status: { in: SUSPENDABLE_STATUSES },
+        },
+        data: { status: "SUSPENDED" },
+      });
+    }
+
+    await prisma.dispute.update({
+      where: { id: dispute.id },
+      data: { suspendedEnrollments: suspended },
+    });
+
+    if (enrollments.length > 0) {
+      await this.notifyStudent(
+        enrollments[0].student.userId,
+        "Course Access Suspended",
+        `Access to ${enrollments
+          .map((enrollment) => enrollment.course.title)
+          .join(", ")} is suspended while a payment dispute is reviewed.`,
+        { disputeId: dispute.id, paymentId: dispute.paymentId }
+      );
+    }
+  }
+
+  // Restores the statuses the enrollments had before suspension. If another
+  // dispute on the same payment is still open, it takes over the list.
+  async restoreEnrollments(dispute) {
+    const suspended = dispute.suspendedEnrollments || [];
+    if (suspended.length === 0) return;
+
+    const otherOpen = await prisma.dispute.findFirst({
+      where: {
+        paymentId: dispute.paymentId,
+        id: { not: dispute.id },
+        status: { in: OPEN_STATUSES },
+      },
+    });
+
+    if (otherOpen) {
+      await prisma.dispute.update({
+        where: { id: otherOpen.id },
+        data: {
+          suspendedEnrollments: [
+            ...(otherOpen.suspendedEnrollments || []),
+            ...suspended,
+          ],
+        },
+      });
+      return;
+    }
+
+    for (const status of SUSPENDABLE_STATUSES) {
+      const ids = suspended
+        .filter((enrollment) => enrollment.status === status)
+        .map((enrollment) => enrollment.id);
+
+      if (ids.length > 0) {
+        await prisma.enrollment.updateMany({
+          where: { id: { in: ids }, status: "SUSPENDED" },
+          data: { status },
+        });
+      }
+    }
+
+    const enrollment = await prisma.enrollment.findFirst({
+      where: { paymentId: dispute.paymentId },
+      select: { student: { select: { userId: true } } },
+    });
+
+    if (enrollment) {
+      await this.notifyStudent(
+        enrollment.student.userId,
+        "Course Access Restored",
+        "The payment dispute has been resolved and your course access is restored.",
+        { disputeId: dispute.id, paymentId: dispute.paymentId }
+      );
+    }
+  }
+
+  // WON and CLOSED restore access. LOST leaves the enrollments suspended,
+  // since the student got their money back, and claws back the instructor's
+  // share of the disputed amount.
+  async resolveDispute(
+    disputeId,
+    outcome,
+    { resolvedById = null, note = null } = {}
+  ) {
+    const claimed = await prisma.dispute.updateMany({
+      where: { id: disputeId, status: { in: OPEN_STATUSES } },
+      data: {
+        status: outcome,
+        resolvedAt: new Date(),
+        resolvedById,
+        resolutionNote: note,
+      },
+    });
+
+    if (claimed.count === 0) return null;
+
+    const dispute = await this.getDispute(disputeId);
+
+    if (outcome === "LOST") {
+      const { clawedBack } = await earningLedgerService.clawbackPayment(
+        dispute.paymentId,
+        {
+          reason: `Chargeback lost${
+            dispute.reason ? `: ${dispute.reason}` : ""
+          }`,
+        }
+      );
+
+      await prisma.dispute.update({
+        where: { id: dispute.id },
+        data: { clawedBack },
+      });
+    } else {
+      await this.restoreEnrollments(dispute);
+    }
+
+    await this.invalidateCaches(dispute.paymentId);
+
+    return await this.getDispute(disputeId);
+  }
+
+  async buildEvidence(disputeId, { notes = null } = {}) {
+    const dispute = await prisma.dispute.findUnique({
+      where: { id: disputeId },
+      include: {
+        payment: {
+          include: {
+            enrollments: {
+              include: {
+                course: {
+                  select: { id: true, title: true, shortDescription: true },
+                },
+                student: {
+                  include: {
+                    user: {
+                      select: {
+                        id: true,
+                        firstName: true,
+                        lastName: true,
+                        email: true,
+                      },
+                    },
+                  },
+                },
+              },
+            },
+          },
+        },
+      },
+    });
+
+    if (!dispute) return null;
+
+    const { payment } = dispute;
+    const enrollments = payment.enrollments;
+    const student = enrollments[0]?.student;
+    const user = student?.user;
+    const courseIds = enrollments.map((enrollment) => enrollment.course.id);
+
+    const [lessonCompletions, activities] = student
+      ? await Promise.all([
+          prisma.lessonCompletion.findMany({
+            where: {
+              studentId: student.id,
+              lesson: { section: { courseId: { in: courseIds } } },
+            },
+            orderBy: { completedAt: "asc" },
+            take: COMPLETION_LIMIT,
+            select: {
+              completedAt: true,
+              timeSpent: true,
+              lesson: {
+                select: {
+                  title: true,
+                  section: { select: { course: { select: { title: true } } } },
+                },
+              },
+            },
+          }),
+          prisma.userActivity.findMany({
+            where: {
+              userId: user.id,
+              createdAt: { gte: payment.createdAt },
+            },
+            orderBy: { createdAt: "asc" },
+            take: ACTIVITY_LIMIT,
+            select: {
+              createdAt: true,
+              action: true,
+              page: true,
+              ipAddress: true,
+            },
+          }),
+        ])
+      : [[], []];
+
+    const courseTitles = enrollments
+      .map((enrollment) => enrollment.course.title)
+      .join(", ");
+    const totalMinutes = Math.round(
+      enrollments.reduce(
+        (sum, enrollment) => sum + (enrollment.totalTimeSpent || 0),
+        0
+      ) / 60
+    );
+    const lastAccessedAt = enrollments
+      .map((enrollment) => enrollment.lastAccessedAt)
+      .filter(Boolean)
+      .sort((a, b) => b - a)[0];
+
+    const summary = [
+      user &&
+        `${user.firstName} ${user.lastName} (${
+          user.email
+        }) purchased ${courseTitles} on ${formatDate(
+          payment.createdAt
+        )} and received immediate access to the digital course content.`,
+      enrollments.length > 0 &&
+        `Since purchase they completed ${
+          lessonCompletions.length
+        } lessons, reached ${enrollments
+          .map(
+            (enrollment) =>
+              `${Math.round(enrollment.progress)}% of ${
+                enrollment.course.title
+              }`
+          )
+          .join(", ")} and spent ${totalMinutes} minutes learning${
+          lastAccessedAt
+            ? `, last accessing the course on ${formatDate(lastAccessedAt)}`
+            : ""
+        }.`,
+      notes,
+    ]
+      .filter(Boolean)
+      .join("\n\n");
+
+    const accessLog = [
+      ...enrollments.map(
+        (enrollment) =>
+          `${enrollment.createdAt.toISOString()} Enrolled in ${
+            enrollment.course.title
+          }`
+      ),
+      ...lessonCompletions.map(
+        (completion) =>
+          `${completion.completedAt.toISOString()} Completed lesson "${
+            completion.lesson.title
+          }" in ${completion.lesson.section.course.title}`
+      ),
+      ...activities.map((activity) =>
+        [
+          activity.createdAt.toISOString(),
+          activity.action,
+          activity.page,
+          activity.ipAddress && `from ${activity.ipAddress}`,
+        ]
+          .filter(Boolean)
+          .join(" ")
+      ),
+    ]
+      .sort()
+      .join("\n");
+
+    return {
+      amount: parseFloat(dispute.amount),
+      currency: dispute.currency,
+      summary,
+      customer: user && {
+        name: `${user.firstName} ${user.lastName}`,
+        email: user.email,
+        ipAddress: activities.find((activity) => activity.ipAddress)?.ipAddress,
+      },
+      productDescription: enrollments
+        .map(
+          (enrollment) =>
+            `${enrollment.course.title}: ${enrollment.course.shortDescription}`
+        )
+        .join("\n"),
+      purchasedAt: payment.createdAt.toISOString(),
+      accessLog,
+      enrollments: enrollments.map((enrollment) => ({
+        id: enrollment.id,
+        courseTitle: enrollment.course.title,
+        enrolledAt: enrollment.createdAt,
+        progress: enrollment.progress,
+        lessonsCompleted: enrollment.lessonsCompleted,
+        totalTimeSpent: enrollment.totalTimeSpent,
+        lastAccessedAt: enrollment.lastAccessedAt,
+      })),
+      lessonCompletions: lessonCompletions.length,
+      activityCount: activities.length,
+      metadata: { paymentId: payment.id, disputeId: dispute.id },
+    };
+  }
+
+  async submitEvidence(disputeId, adminId, { notes = null } = {}) {
+    const dispute = await this.getDispute(disputeId);
+    const evidence = await this.buildEvidence(disputeId, { notes });
+
+    const response = await paymentService
+      .getGateway(dispute.gateway)
+      .submitDisputeEvidence(dispute.gatewayDisputeId, evidence);
+
+    const updated = await prisma.dispute.update({
+      where: { id: disputeId },
+      data: {
+        status: "UNDER_REVIEW",
+        evidence,
+        evidenceSubmittedAt: new Date(),
+        evidenceSubmittedById: adminId,
+        gatewayStatus: response?.status || dispute.gatewayStatus,
+      },
+    });
+
+    await this.invalidateCaches(dispute.paymentId);
+
+    return updated;
+  }
+
+  async notifyAdmins(dispute, payment) {
+    try {
+      const admins = await prisma.user.findMany({
+        where: { role: "ADMIN", isActive: true },
+        select: { id: true },
+      });
+
+      if (admins.length === 0) return;
+
+      await notificationService.createBulkNotifications({
+        userIds: admins.map((admin) => admin.id),
+        type: "dispute_opened",
+        title: "Payment Disputed",
+        message: `A ${dispute.gateway.toLowerCase()} chargeback of ${
+          dispute.currency
+        } ${parseFloat(dispute.amount).toFixed(2)} was opened${
+          dispute.evidenceDueBy
+            ? `; evidence is due by ${formatDate(dispute.evidenceDueBy)}`
+            : ""
+        }.`,
+        priority: "HIGH",
+        data: {
+          disputeId: dispute.id,
+          paymentId: payment.id,
+          amount: dispute.amount,
+          currency: dispute.currency,
+          reason: dispute.reason,
+        },
+        actionUrl: `/admin/payments/disputes/${dispute.id}`,
+      });
+    } catch (error) {
+      console.error("Failed to notify admins about dispute:", error);
+    }
+  }
+
+  async notifyStudent(userId, title, message, data) {
+    try {
+      await notificationService.createNotification({
+        userId,
+        type: "payment_disputed",
+        title,
+        message,
+        priority: "HIGH",
+        data,
+        actionUrl: "/student/purchases",
+      });
+    } catch (error) {
+      console.error("Failed to notify student about dispute:", error);
+    }
+  }
+
+  async invalidateCaches(paymentId) {
+    await redisService.del(`transaction_details:${paymentId}`);
+    await redisService.delPattern("admin_disputes:*");
+    await redisService.delPattern("admin_transactions:*");
+  }
+}
+
+export default new DisputeService();
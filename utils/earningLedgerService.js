@@ -0,0 +1,477 @@
+import { PrismaClient } from "@prisma/client";
+import redisService from "./redis.js";
+
+const prisma = new PrismaClient();
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+const RELEASE_BATCH_SIZE = 500;
+
+const round = (value) => Math.round(value * 100) / 100;
+
+// Instructor balances are derived from an append-only ledger rather than
+// from Earning.status, so refunds that land after a payout can leave a
+// negative balance that the next payout settles.
+//
+//   HOLD      sale credited into the held balance for the refund window
+//   CREDIT    sale credited straight to available (no hold), or a reversed
+//             payout returned to the balance
+//   RELEASE   held amount moved to available once the window has passed
+//   DEBIT     confirmed payout leaving the available balance
+//   CLAWBACK  refunded commission taken back from the held or available
+//             balance; `recoverable` clawbacks were (or will be) paid out
+//             and are deducted from the instructor's next payout
+class EarningLedgerService {
+  async getHoldDays() {
+    const settings =
+      (await redisService.getJSON("system_settings"))?.payments || {};
+
+    const holdDays = parseInt(
+      settings.payoutHoldDays ??
+        process.env.PAYOUT_HOLD_DAYS ??
+        settings.refundWindow ??
+        process.env.REFUND_WINDOW ??
+        30
+    );
+
+    return isNaN(holdDays) ? 30 : Math.max(holdDays, 0);
+  }
+
+  // Status fields for a new Earning row.
+  async getHoldFields(createdAt = new Date()) {
+    const holdDays = await this.getHoldDays();
+
+    if (holdDays === 0) {
+      return { status: "PENDING", holdUntil: null };
+    }
+
+    return {
+      status: "ON_HOLD",
+      holdUntil: new Date(createdAt.getTime() + holdDays * DAY_MS),
+    };
+  }
+
+  async invalidateBalanceCaches(instructorIds) {
+    for (const instructorId of new Set(instructorIds)) {
+      await redisService.delPattern(`earnings_overview:${instructorId}`);
+      await redisService.delPattern(`detailed_earnings:${instructorId}:*`);
+    }
+  }
+
+  async recordEarning(earning, client = prisma) {
+    const isHeld = earning.status === "ON_HOLD";
+
+    return await client.earningLedgerEntry.create({
+      data: {
+        type: isHeld ? "HOLD" : "CREDIT",
+        bucket: isHeld ? "HELD" : "AVAILABLE",
+        amount: earning.commission,
+        currency: earning.currency,
+        description: isHeld
+          ? "Sale held for refund window"
+          : "Sale credited to balance",
+        paymentId: earning.paymentId,
+        instructorId: earning.instructorId,
+        earningId: earning.id,
+        metadata: earning.holdUntil ? { holdUntil: earning.holdUntil } : null,
+      },
+    });
+  }
+
+  async releaseDueEarnings(now = new Date()) {
+    const earnings = await prisma.earning.findMany({
+      where: {
+        status: "ON_HOLD",
+        holdUntil: { lte: now },
+        // Sales under an open chargeback stay held until it is resolved.
+        payment: {
+          disputes: { none: { status: { in: ["OPEN", "UNDER_REVIEW"] } } },
+        },
+      },
+      orderBy: { holdUntil: "asc" },
+      take: RELEASE_BATCH_SIZE,
+      select: {
+        id: true,
+        commission: true,
+        currency: true,
+        paymentId: true,
+        instructorId: true,
+      },
+    });
+
+    const released = [];
+
+    for (const earning of earnings) {
+      const didRelease = await prisma.$transaction(async (tx) => {
+        const updated = await tx.earning.updateMany({
+          where: { id: earning.id, status: "ON_HOLD" },
+          data: { status: "PENDING" },
+        });
+
+        if (updated.count === 0) return false;
+
+        await tx.earningLedgerEntry.create({
+          data: {
+            type: "RELEASE",
+            bucket: "HELD",
+            amount: earning.commission,
+            currency: earning.currency,
+            description: "Refund window passed",
+            paymentId: earning.paymentId,
+            instructorId: earning.instructorId,
+            earningId: earning.id,
+          },
+        });
+
+        return true;
+      });
+
+      if (didRelease) released.push(earning.instructorId);
+    }
+
+    await this.invalidateBalanceCaches(released);
+
+    return { released: released.length };
+  }
+
+  // Brings the instructor's ledger in line with the share of a payment that
+  // was refunded or lost in a chargeback. Safe to call repeatedly: only the
+  // difference between what is now reversed and what was already clawed
+  // back is recorded.
+  async clawbackPayment(paymentId, { reason = null } = {}) {
+    const payment = await prisma.payment.findUnique({
+      where: { id: paymentId },
+      select: {
+        id: true,
+        amount: true,
+        refundAmount: true,
+        status: true,
+        disputes: { where: { status: "LOST" }, select: { amount: true } },
+      },
+    });
+
+    if (!payment) return { clawedBack: 0 };
+
+    const owners = await prisma.earning.findMany({
+      where: { paymentId },
+      select: { instructorId: true },
+      distinct: ["instructorId"],
+    });
+    for (const { instructorId } of owners) {
+      await this.backfillInstructor(instructorId);
+    }
+
+    const amount = parseFloat(payment.amount);
+    const reversed = payment.disputes.reduce(
+      (sum, dispute) => sum + parseFloat(dispute.amount),
+      parseFloat(payment.refundAmount || 0)
+    );
+    const ratio =
+      payment.status === "REFUNDED" || amount <= 0
+        ? 1
+        : Math.min(reversed / amount, 1);
+    const isFullRefund = ratio >= 0.9999;
+
+    if (ratio <= 0) return { clawedBack: 0 };
+
+    const earnings = await prisma.earning.findMany({
+      where: { paymentId },
+      include: {
+        ledgerEntries: {
+          where: { type: "CLAWBACK" },
+          select: { amount: true },
+        },
+      },
+    });
+
+    let clawedBack = 0;
+    const instructorIds = [];
+
+    for (const earning of earnings) {
+      const commission = parseFloat(earning.commission);
+      const alreadyClawedBack = earning.ledgerEntries.reduce(
+        (sum, entry) => sum + parseFloat(entry.amount),
+        0
+      );
+      const clawback = round(commission * ratio - alreadyClawedBack);
+
+      if (clawback <= 0) continue;
+
+      // Held or unclaimed earnings are simply never paid out once cancelled.
+      // Anything already paid, claimed by an open payout, or only partly
+      // refunded will be paid in full and has to be recovered later.
+      const isHeld = earning.status === "ON_HOLD";
+      const recoverable =
+        !isFullRefund || earning.status === "PAID" || !!earning.payoutId;
+
+      await prisma.$transaction(async (tx) => {
+        // Earlier partial clawbacks on a held earning that is now fully
+        // refunded no longer need recovering; move them to the held bucket.
+        if (isHeld && !recoverable) {
+          await tx.earningLedgerEntry.updateMany({
+            where: {
+              earningId: earning.id,
+              type: "CLAWBACK",
+              recoverable: true,
+              payoutId: null,
+            },
+            data: { recoverable: false, bucket: "HELD" },
+          });
+        }
+
+        await tx.earningLedgerEntry.create({
+          data: {
+            type: "CLAWBACK",
+            bucket: isHeld && !recoverable ? "HELD" : "AVAILABLE",
+            amount: clawback,
+            currency: earning.currency,
+            description: reason || "Refund clawback",
+            recoverable,
+            paymentId,
+            instructorId: earning.instructorId,
+            earningId: earning.id,
+            metadata: {
+              refundRatio: round(ratio * 10000) / 10000,
+              earningStatus: earning.status,
+            },
+          },
+        });
+
+        // A partly refunded held earning still moves through the hold and
+        // payout as a whole; the clawback above offsets it.
+        if (isFullRefund && earning.status !== "CANCELLED") {
+          await tx.earning.update({
+            where: { id: earning.id },
+            data: { status: "CANCELLED" },
+          });
+        }
+      });
+
+      clawedBack = round(clawedBack + clawback);
+      instructorIds.push(earning.instructorId);
+    }
+
+    await this.invalidateBalanceCaches(instructorIds);
+
+    return { clawedBack };
+  }
+
+  async getOutstandingClawbacks(instructorId, currency, client = prisma) {
+    const entries = await client.earningLedgerEntry.findMany({
+      where: {
+        instructorId,
+        currency,
+        type: "CLAWBACK",
+        recoverable: true,
+        payoutId: null,
+      },
+      orderBy: { createdAt: "asc" },
+      select: { id: true, amount: true },
+    });
+
+    return {
+      entries,
+      ids: entries.map((entry) => entry.id),
+      amount: round(
+        entries.reduce((sum, entry) => sum + parseFloat(entry.amount), 0)
+      ),
+    };
+  }
+
+  // Ties outstanding clawbacks to the payout that deducts them.
+  async claimClawbacks(client, payoutId, entryIds) {
+    if (entryIds.length === 0) return;
+
+    const claimed = await client.earningLedgerEntry.updateMany({
+      where: { id: { in: entryIds }, payoutId: null },
+      data: { payoutId },
+    });
+
+    if (claimed.count !== entryIds.length) {
+      throw new Error("Clawbacks changed while creating payout");
+    }
+  }
+
+  // Undoes a payout's claims when it is cancelled. Clawbacks for earnings
+  // that were refunded while sitting in this payout no longer need recovery,
+  // since those earnings will never be paid.
+  async releasePayoutClaims(payoutId) {
+    await prisma.earningLedgerEntry.updateMany({
+      where: {
+        type: "CLAWBACK",
+        recoverable: true,
+        payoutId: null,
+        earning: { payoutId, status: "CANCELLED" },
+      },
+      data: { recoverable: false },
+    });
+
+    await prisma.earningLedgerEntry.updateMany({
+      where: { type: "CLAWBACK", payoutId },
+      data: { payoutId: null },
+    });
+  }
+
+  async recordPayoutDebit(payout) {
+    return await prisma.earningLedgerEntry.create({
+      data: {
+        type: "DEBIT",
+        amount: payout.amount,
+        currency: payout.currency,
+        description: "Payout transferred",
+        instructorId: payout.instructorId,
+        payoutId: payout.id,
+        metadata: {
+          gateway: payout.gateway,
+          gatewayId: payout.gatewayId,
+          reference: payout.reference,
+        },
+      },
+    });
+  }
+
+  async recordPayoutReversal(payout, reason = null) {
+    return await prisma.earningLedgerEntry.create({
+      data: {
+        type: "CREDIT",
+        amount: payout.amount,
+        currency: payout.currency,
+        description: reason || "Payout reversed",
+        instructorId: payout.instructorId,
+        payoutId: payout.id,
+        metadata: {
+          gateway: payout.gateway,
+          gatewayId: payout.gatewayId,
+          reversal: true,
+        },
+      },
+    });
+  }
+
+  // Earnings recorded before the ledger existed get matching entries the
+  // first time the instructor's balance is read.
+  async backfillInstructor(instructorId) {
+    const earnings = await prisma.earning.findMany({
+      where: { instructorId, ledgerEntries: { none: {} } },
+      select: {
+        id: true,
+        commission: true,
+        currency: true,
+        status: true,
+        holdUntil: true,
+        paymentId: true,
+        instructorId: true,
+        payoutId: true,
+      },
+    });
+
+    // Payouts confirmed through the payout executor before the ledger existed
+    // settle linked earnings, so they are debited as a whole.
+    const payouts = await prisma.payout.findMany({
+      where: {
+        instructorId,
+        status: "COMPLETED",
+        earnings: { some: {} },
+        ledgerEntries: { none: { type: "DEBIT" } },
+      },
+    });
+
+    for (const payout of payouts) {
+      await this.recordPayoutDebit(payout);
+    }
+
+    for (const earning of earnings) {
+      await prisma.$transaction(async (tx) => {
+        if (earning.status === "CANCELLED") {
+          await this.recordEarning({ ...earning, status: "PENDING" }, tx);
+          await tx.earningLedgerEntry.create({
+            data: {
+              type: "CLAWBACK",
+              amount: earning.commission,
+              currency: earning.currency,
+              description: "Refund clawback",
+              paymentId: earning.paymentId,
+              instructorId: earning.instructorId,
+              earningId: earning.id,
+            },
+          });
+          return;
+        }
+
+        await this.recordEarning(earning, tx);
+
+        // Legacy payouts weren't linked to earnings, so paid earnings are
+        // debited one by one.
+        if (earning.status === "PAID" && !earning.payoutId) {
+          await tx.earningLedgerEntry.create({
+            data: {
+              type: "DEBIT",
+              amount: earning.commission,
+              currency: earning.currency,
+              description: "Paid before ledger",
+              instructorId: earning.instructorId,
+              earningId: earning.id,
+            },
+          });
+        }
+      });
+    }
+
+    return earnings.length + payouts.length;
+  }
+
+  // Held is still inside the refund window; pending is claimed by payouts
+  // that haven't been confirmed; available is what the next payout can take
+  // and goes negative when refunds outrun new sales.
+  async getBalances(instructorId, currency) {
+    await this.backfillInstructor(instructorId);
+
+    const [sums, openPayouts, outstanding] = await Promise.all([
+      prisma.earningLedgerEntry.groupBy({
+        by: ["type", "bucket"],
+        where: { instructorId, currency },
+        _sum: { amount: true },
+      }),
+      prisma.payout.aggregate({
+        where: {
+          instructorId,
+          currency,
+          status: { in: ["PENDING", "PROCESSING", "FAILED"] },
+        },
+        _sum: { amount: true },
+        _count: true,
+      }),
+      this.getOutstandingClawbacks(instructorId, currency),
+    ]);
+
+    const total = (type, bucket = null) =>
+      sums
+        .filter(
+          (sum) => sum.type === type && (!bucket || sum.bucket === bucket)
+        )
+        .reduce((acc, sum) => acc + parseFloat(sum._sum.amount || 0), 0);
+
+    const held = round(
+      total("HOLD") - total("RELEASE") - total("CLAWBACK", "HELD")
+    );
+    const settled = round(
+      total("CREDIT") +
+        total("RELEASE") -
+        total("DEBIT") -
+        total("CLAWBACK", "AVAILABLE")
+    );
+    const pending = round(parseFloat(openPayouts._sum.amount || 0));
+
+    return {
+      currency,
+      available: round(settled - pending),
+      pending,
+      held,
+      openPayouts: openPayouts._count,
+      outstandingClawbacks: outstanding.amount,
+      totalPaidOut: round(total("DEBIT")),
+      totalClawedBack: round(total("CLAWBACK")),
+    };
+  }
+}
+
+export default new EarningLedgerService();
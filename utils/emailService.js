@@ -483,6 +483,41 @@ class EmailService {
     });
   }
 
+  async sendGiftReceived({
+    email,
+    recipientName,
+    senderName,
+    courseName,
+    giftCode,
+    message,
+    redeemUrl,
+  }) {
+    return await this.send({
+      to: email,
+      subject: `🎁 ${senderName} sent you a course on Educademy`,
+      html: emailTemplates.transactional({
+        userName: recipientName || "there",
+        title: "You've Received a Gift",
+        subtitle: `${senderName} gifted you a course`,
+        message:
+          message ||
+          "Someone thinks you'll love this course! Redeem your gift code to start learning with lifetime access.",
+        transactionType: "success",
+        transactionId: giftCode,
+        actionButton: "Redeem Gift",
+        actionUrl: redeemUrl,
+        details: [
+          { label: "From", value: senderName },
+          { label: "Course", value: courseName },
+          { label: "Gift Code", value: giftCode },
+          { label: "Access", value: "Lifetime" },
+        ],
+        footerNote:
+          "Sign in or create a free account with any email address to redeem this code.",
+      }),
+    });
+  }
+
   async sendInstructorPayout({
     email,
     firstName,
@@ -0,0 +1,707 @@
+import { PrismaClient } from "@prisma/client";
+import notificationService from "./notificationservice.js";
+import socketManager from "./socket-io.js";
+import redisService from "./redis.js";
+import {
+  collectMetricRequests,
+  evaluateCriteria,
+} from "../helper/achievementCriteria.js";
+
+const prisma = new PrismaClient();
+
+const POINT_VALUES = {
+  LESSON_COMPLETED: 10,
+  QUIZ_PASSED: 25,
+  PERFECT_QUIZ: 10,
+  COURSE_COMPLETED: 100,
+  REVIEW_WRITTEN: 15,
+  QUESTION_ASKED: 5,
+  DAILY_STREAK: 5,
+};
+
+const LEARNING_EVENTS = ["LESSON_COMPLETED", "QUIZ_PASSED"];
+
+const DEFAULT_ACHIEVEMENT_RULES = [
+  {
+    key: "first_lesson",
+    title: "First Steps",
+    description: "Complete your first lesson",
+    icon: "🎯",
+    points: 10,
+    type: "PARTICIPATION",
+    criteria: { metric: "lessons_completed", threshold: 1 },
+  },
+  {
+    key: "lessons_50",
+    title: "Dedicated Learner",
+    description: "Complete 50 lessons",
+    icon: "📚",
+    points: 100,
+    type: "PARTICIPATION",
+    criteria: { metric: "lessons_completed", threshold: 50 },
+  },
+  {
+    key: "first_course",
+    title: "Course Conqueror",
+    description: "Complete your first course",
+    icon: "🏆",
+    points: 150,
+    type: "COURSE_COMPLETION",
+    criteria: { metric: "courses_completed", threshold: 1 },
+  },
+  {
+    key: "courses_5",
+    title: "Knowledge Collector",
+    description: "Complete 5 courses",
+    icon: "🎓",
+    points: 500,
+    type: "COURSE_COMPLETION",
+    criteria: { metric: "courses_completed", threshold: 5 },
+  },
+  {
+    key: "streak_7",
+    title: "On a Roll",
+    description: "Learn 7 days in a row",
+    icon: "🔥",
+    points: 70,
+    type: "STREAK",
+    criteria: { metric: "longest_streak", threshold: 7 },
+  },
+  {
+    key: "streak_30",
+    title: "Unstoppable",
+    description: "Learn 30 days in a row",
+    icon: "⚡",
+    points: 300,
+    type: "STREAK",
+    criteria: { metric: "longest_streak", threshold: 30 },
+  },
+  {
+    key: "first_review",
+    title: "Critic",
+    description: "Write your first course review",
+    icon: "⭐",
+    points: 20,
+    type: "RATING",
+    criteria: { metric: "reviews_written", threshold: 1 },
+  },
+  {
+    key: "curious_mind",
+    title: "Curious Mind",
+    description: "Ask 10 questions in course Q&A",
+    icon: "💬",
+    points: 50,
+    type: "PARTICIPATION",
+    criteria: { metric: "questions_asked", threshold: 10 },
+  },
+  {
+    key: "quiz_master",
+    title: "Quiz Master",
+    description: "Score 100% on 5 different quizzes",
+    icon: "🧠",
+    points: 100,
+    type: "SKILL_MASTERY",
+    criteria: { metric: "perfect_quizzes", threshold: 5 },
+  },
+  {
+    key: "high_achiever",
+    title: "High Achiever",
+    description: "Keep a 90% average across at least 10 quiz attempts",
+    icon: "💯",
+    points: 150,
+    type: "SKILL_MASTERY",
+    criteria: {
+      metric: "average_quiz_score",
+      threshold: 90,
+      minAttempts: 10,
+    },
+  },
+  {
+    key: "hours_10",
+    title: "Time Well Spent",
+    description: "Spend 10 hours learning",
+    icon: "⏱️",
+    points: 100,
+    type: "TIME_SPENT",
+    criteria: { metric: "learning_minutes", threshold: 600 },
+  },
+];
+
+const toDayKey = (date) => new Date(date).toISOString().split("T")[0];
+
+class GamificationService {
+  getPointValues() {
+    return { ...POINT_VALUES };
+  }
+
+  async ensureDefaultRules() {
+    const result = await prisma.achievementRule.createMany({
+      data: DEFAULT_ACHIEVEMENT_RULES,
+      skipDuplicates: true,
+    });
+    return result.count;
+  }
+
+  async awardPoints({
+    studentId,
+    points,
+    reason,
+    sourceId,
+    courseId,
+    metadata,
+  }) {
+    if (!points) {
+      return null;
+    }
+
+    try {
+      return await prisma.$transaction(async (tx) => {
+        const transaction = await tx.pointTransaction.create({
+          data: {
+            studentId,
+            points,
+            reason,
+            sourceId: String(sourceId),
+            courseId: courseId || null,
+            metadata: metadata || null,
+          },
+        });
+
+        await tx.student.update({
+          where: { id: studentId },
+          data: { totalPoints: { increment: points } },
+        });
+
+        return transaction;
+      });
+    } catch (error) {
+      if (error.code === "P2002") {
+        return null;
+      }
+      throw error;
+    }
+  }
+
+  async recordActivity(studentId, now = new Date()) {
+    const student = await prisma.student.findUnique({
+      where: { id: studentId },
+      select: {
+        currentStreak: true,
+        longestStreak: true,
+        lastActivityDate: true,
+      },
+    });
+
+    if (!student) {
+      return null;
+    }
+
+    const today = toDayKey(now);
+    const lastDay = student.lastActivityDate
+      ? toDayKey(student.lastActivityDate)
+      : null;
+
+    if (lastDay === today) {
+      return student;
+    }
+
+    const yesterday = new Date(now);
+    yesterday.setUTCDate(yesterday.getUTCDate() - 1);
+
+    const currentStreak =
+      lastDay === toDayKey(yesterday) ? student.currentStreak + 1 : 1;
+
+    const updated = await prisma.student.update({
+      where: { id: studentId },
+      data: {
+        currentStreak,
+        longestStreak: Math.max(student.longestStreak, currentStreak),
+        lastActivityDate: now,
+      },
+      select: {
+        currentStreak: true,
+        longestStreak: true,
+        lastActivityDate: true,
+      },
+    });
+
+    await this.awardPoints({
+      studentId,
+      points: POINT_VALUES.DAILY_STREAK,
+      reason: "DAILY_STREAK",
+      sourceId: today,
+      metadata: { streak: currentStreak },
+    });
+
+    return updated;
+  }
+
+  async resetLapsedStreaks(now = new Date()) {
+    const yesterdayStart = new Date(`${toDayKey(now)}T00:00:00.000Z`);
+    yesterdayStart.setUTCDate(yesterdayStart.getUTCDate() - 1);
+
+    const result = await prisma.student.updateMany({
+      where: {
+        currentStreak: { gt: 0 },
+        OR: [
+          { lastActivityDate: null },
+          { lastActivityDate: { lt: yesterdayStart } },
+        ],
+      },
+      data: { currentStreak: 0 },
+    });
+
+    return result.count;
+  }
+
+  async computeMetric(student, { metric, courseId, minAttempts }) {
+    const studentId = student.id;
+    const lessonScope = courseId ? { lesson: { section: { courseId } } } : {};
+    const quizScope = courseId ? { quiz: { section: { courseId } } } : {};
+
+    switch (metric) {
+      case "lessons_completed":
+        return await prisma.lessonCompletion.count({
+          where: { studentId, ...lessonScope },
+        });
+
+      case "quizzes_passed": {
+        const passed = await prisma.quizAttempt.findMany({
+          where: { studentId, isPassed: true, ...quizScope },
+          distinct: ["quizId"],
+          select: { quizId: true },
+        });
+        return passed.length;
+      }
+
+      case "perfect_quizzes": {
+        const perfect = await prisma.quizAttempt.findMany({
+          where: { studentId, percentage: { gte: 100 }, ...quizScope },
+          distinct: ["quizId"],
+          select: { quizId: true },
+        });
+        return perfect.length;
+      }
+
+      case "average_quiz_score": {
+        const stats = await prisma.quizAttempt.aggregate({
+          where: { studentId, submittedAt: { not: null }, ...quizScope },
+          _avg: { percentage: true },
+          _count: { id: true },
+        });
+        if (stats._count.id < (minAttempts || 1)) {
+          return 0;
+        }
+        return stats._avg.percentage || 0;
+      }
+
+      case "learning_minutes": {
+        const time = await prisma.lessonCompletion.aggregate({
+          where: { studentId, ...lessonScope },
+          _sum: { timeSpent: true },
+        });
+        return Math.floor((time._sum.timeSpent || 0) / 60);
+      }
+
+      case "course_progress": {
+        const enrollment = await prisma.enrollment.findUnique({
+          where: { studentId_courseId: { studentId, courseId } },
+          select: { progress: true },
+        });
+        return enrollment?.progress || 0;
+      }
+
+      case "courses_completed":
+        return await prisma.enrollment.count({
+          where: { studentId, status: "COMPLETED" },
+        });
+
+      case "current_streak":
+        return student.currentStreak;
+
+      case "longest_streak":
+        return student.longestStreak;
+
+      case "total_points":
+        return student.totalPoints;
+
+      case "reviews_written":
+        return await prisma.review.count({
+          where: { authorId: student.userId },
+        });
+
+      case "five_star_reviews":
+        return await prisma.review.count({
+          where: { authorId: student.userId, rating: 5 },
+        });
+
+      case "questions_asked":
+        return await prisma.qnAQuestion.count({
+          where: { studentId, ...(courseId && { courseId }) },
+        });
+
+      case "answers_received":
+        return await prisma.qnAAnswer.count({
+          where: {
+            question: { studentId, ...(courseId && { courseId }) },
+          },
+        });
+
+      default:
+        return 0;
+    }
+  }
+
+  async computeMetrics(student, rules) {
+    const requests = new Map();
+    rules.forEach((rule) => collectMetricRequests(rule.criteria, requests));
+
+    const values = new Map();
+    for (const [key, request] of requests) {
+      values.set(key, await this.computeMetric(student, request));
+    }
+
+    return values;
+  }
+
+  async getStudentForEvaluation(studentId) {
+    return await prisma.student.findUnique({
+      where: { id: studentId },
+      select: {
+        id: true,
+        userId: true,
+        totalPoints: true,
+        currentStreak: true,
+        longestStreak: true,
+      },
+    });
+  }
+
+  async evaluateAchievements(studentId) {
+    const student = await this.getStudentForEvaluation(studentId);
+    if (!student) {
+      return [];
+    }
+
+    const rules = await prisma.achievementRule.findMany({
+      where: {
+        isActive: true,
+        achievements: { none: { studentId, isUnlocked: true } },
+      },
+    });
+
+    if (rules.length === 0) {
+      return [];
+    }
+
+    const metricValues = await this.computeMetrics(student, rules);
+    const unlocked = [];
+
+    for (const rule of rules) {
+      const { met } = evaluateCriteria(rule.criteria, metricValues);
+      if (!met) {
+        continue;
+      }
+
+      const achievement = await this.unlockAchievement(student, rule);
+      if (achievement) {
+        unlocked.push(achievement);
+      }
+    }
+
+    return unlocked;
+  }
+
+  async unlockAchievement(student, rule) {
+    const now = new Date();
+    let achievement;
+
+    try {
+      achievement = await prisma.achievement.upsert({
+        where: { studentId_ruleId: { studentId: student.id, ruleId: rule.id } },
+        update: { isUnlocked: true, unlockedAt: now },
+        create: {
+          title: rule.title,
+          description: rule.description,
+          icon: rule.icon,
+          points: rule.points,
+          type: rule.type,
+          criteria: rule.criteria,
+          isUnlocked: true,
+          unlockedAt: now,
+          studentId: student.id,
+          ruleId: rule.id,
+        },
+      });
+    } catch (error) {
+      if (error.code === "P2002") {
+        return null;
+      }
+      throw error;
+    }
+
+    await this.awardPoints({
+      studentId: student.id,
+      points: rule.points,
+      reason: "ACHIEVEMENT_UNLOCKED",
+      sourceId: rule.id,
+      metadata: { achievementId: achievement.id, key: rule.key },
+    });
+
+    socketManager.sendToUser(student.userId, "achievement_unlocked", {
+      achievementId: achievement.id,
+      title: achievement.title,
+      description: achievement.description,
+      icon: achievement.icon,
+      points: achievement.points,
+      type: achievement.type,
+      unlockedAt: achievement.unlockedAt,
+    });
+
+    notificationService
+      .createNotification({
+        userId: student.userId,
+        type: "ACHIEVEMENT_UNLOCKED",
+        title: `Achievement unlocked: ${achievement.title}`,
+        message: `${achievement.description} (+${achievement.points} points)`,
+        data: {
+          achievementId: achievement.id,
+          ruleKey: rule.key,
+          points: achievement.points,
+        },
+        actionUrl: "/achievements",
+      })
+      .catch((error) =>
+        console.error("Failed to send achievement notification:", error)
+      );
+
+    return achievement;
+  }
+
+  async awardCourseCompletion(studentId, courseId) {
+    const enrollment = await prisma.enrollment.findUnique({
+      where: { studentId_courseId: { studentId, courseId } },
+      select: { status: true },
+    });
+
+    if (enrollment?.status !== "COMPLETED") {
+      return null;
+    }
+
+    return await this.awardPoints({
+      studentId,
+      points: POINT_VALUES.COURSE_COMPLETED,
+      reason: "COURSE_COMPLETED",
+      sourceId: courseId,
+      courseId,
+    });
+  }
+
+  async handleEvent(event, { studentId, courseId, sourceId, metadata }) {
+    await this.awardPoints({
+      studentId,
+      points: POINT_VALUES[event],
+      reason: event,
+      sourceId,
+      courseId,
+      metadata,
+    });
+
+    if (event === "QUIZ_PASSED" && metadata?.percentage >= 100) {
+      await this.awardPoints({
+        studentId,
+        points: POINT_VALUES.PERFECT_QUIZ,
+        reason: "PERFECT_QUIZ",
+        sourceId,
+        courseId,
+      });
+    }
+
+    if (LEARNING_EVENTS.includes(event)) {
+      await this.recordActivity(studentId);
+
+      if (courseId) {
+        await this.awardCourseCompletion(studentId, courseId);
+      }
+    }
+
+    const unlocked = await this.evaluateAchievements(studentId);
+    await redisService.del(`gamification_profile:${studentId}`);
+
+    return unlocked;
+  }
+
+  trackEvent(event, payload) {
+    setImmediate(() => {
+      this.handleEvent(event, payload).catch((error) =>
+        console.error(`Gamification event ${event} failed:`, error)
+      );
+    });
+  }
+
+  async getAchievementProgress(studentId) {
+    const student = await this.getStudentForEvaluation(studentId);
+    if (!student) {
+      return null;
+    }
+
+    const [rules, achievements] = await Promise.all([
+      prisma.achievementRule.findMany({
+        where: { isActive: true },
+        orderBy: [{ type: "asc" }, { points: "asc" }],
+      }),
+      prisma.achievement.findMany({
+        where: { studentId, isUnlocked: true },
+        orderBy: { unlockedAt: "desc" },
+      }),
+    ]);
+
+    const unlockedRuleIds = new Set(
+      achievements.map((achievement) => achievement.ruleId)
+    );
+    const lockedRules = rules.filter((rule) => !unlockedRuleIds.has(rule.id));
+    const metricValues = await this.computeMetrics(student, lockedRules);
+
+    return {
+      student,
+      unlocked: achievements,
+      locked: lockedRules.map((rule) => {
+        const { progress } = evaluateCriteria(rule.criteria, metricValues);
+        return {
+          ruleId: rule.id,
+          key: rule.key,
+          title: rule.title,
+          description: rule.description,
+          icon: rule.icon,
+          points: rule.points,
+          type: rule.type,
+          progress: Math.round(progress * 100),
+        };
+      }),
+    };
+  }
+
+  async getPlatformLeaderboard({ period = "all", limit = 20 }) {
+    if (period === "all") {
+      const students = await prisma.student.findMany({
+        where: { totalPoints: { gt: 0 } },
+        orderBy: [{ totalPoints: "desc" }, { createdAt: "asc" }],
+        take: limit,
+        select: {
+          id: true,
+          totalPoints: true,
+          currentStreak: true,
+          user: {
+            select: { firstName: true, lastName: true, profileImage: true },
+          },
+        },
+      });
+
+      return students.map((student, index) => ({
+        rank: index + 1,
+        studentId: student.id,
+        name: `${student.user.firstName} ${student.user.lastName}`,
+        profileImage: student.user.profileImage,
+        points: student.totalPoints,
+        currentStreak: student.currentStreak,
+      }));
+    }
+
+    return await this.getWindowedLeaderboard({ period, limit });
+  }
+
+  getPeriodStart(period) {
+    const start = new Date();
+    if (period === "week") {
+      start.setDate(start.getDate() - 7);
+    } else if (period === "month") {
+      start.setMonth(start.getMonth() - 1);
+    } else {
+      return null;
+    }
+    return start;
+  }
+
+  async getWindowedLeaderboard({ period, limit, courseId }) {
+    const since = this.getPeriodStart(period);
+
+    const grouped = await prisma.pointTransaction.groupBy({
+      by: ["studentId"],
+      where: {
+        ...(courseId && { courseId }),
+        ...(since && { createdAt: { gte: since } }),
+      },
+      _sum: { points: true },
+      orderBy: { _sum: { points: "desc" } },
+      take: limit,
+    });
+
+    const students = await prisma.student.findMany({
+      where: { id: { in: grouped.map((row) => row.studentId) } },
+      select: {
+        id: true,
+        currentStreak: true,
+        user: {
+          select: { firstName: true, lastName: true, profileImage: true },
+        },
+      },
+    });
+    const studentMap = new Map(
+      students.map((student) => [student.id, student])
+    );
+
+    return grouped
+      .filter((row) => studentMap.has(row.studentId))
+      .map((row, index) => {
+        const student = studentMap.get(row.studentId);
+        return {
+          rank: index + 1,
+          studentId: row.studentId,
+          name: `${student.user.firstName} ${student.user.lastName}`,
+          profileImage: student.user.profileImage,
+          points: row._sum.points || 0,
+          currentStreak: student.currentStreak,
+        };
+      });
+  }
+
+  async getStudentRank(studentId, { period = "all", courseId } = {}) {
+    if (period === "all" && !courseId) {
+      const student = await prisma.student.findUnique({
+        where: { id: studentId },
+        select: { totalPoints: true },
+      });
+      if (!student) {
+        return null;
+      }
+
+      const ahead = await prisma.student.count({
+        where: { totalPoints: { gt: student.totalPoints } },
+      });
+      return { rank: ahead + 1, points: student.totalPoints };
+    }
+
+    const since = this.getPeriodStart(period);
+    const where = {
+      ...(courseId && { courseId }),
+      ...(since && { createdAt: { gte: since } }),
+    };
+
+    const mine = await prisma.pointTransaction.aggregate({
+      where: { ...where, studentId },
+      _sum: { points: true },
+    });
+    const points = mine._sum.points || 0;
+
+    const ahead = await prisma.pointTransaction.groupBy({
+      by: ["studentId"],
+      where,
+      _sum: { points: true },
+      having: { points: { _sum: { gt: points } } },
+    });
+
+    return { rank: ahead.length + 1, points };
+  }
+}
+
+export default new GamificationService();
@@ -0,0 +1,473 @@
+import crypto from "crypto";
+import { PrismaClient } from "@prisma/client";
+import redisService from "./redis.js";
+import emailService from "./emailService.js";
+import notificationService from "./notificationservice.js";
+
+const prisma = new PrismaClient();
+
+// No 0/O or 1/I so codes survive being read aloud or retyped.
+const CODE_ALPHABET = "ABCDEFGHJKLMNPQRSTUVWXYZ23456789";
+const REDEEMABLE_STATUSES = ["SCHEDULED", "DELIVERED"];
+const REACTIVATABLE_ENROLLMENT_STATUSES = ["EXPIRED", "REFUNDED"];
+const MAX_MESSAGE_LENGTH = 500;
+const MAX_DELIVERY_DAYS = 365;
+const DELIVERY_BATCH_SIZE = 100;
+
+const EMAIL_REGEX = /^[^\s@]+@[^\s@]+\.[^\s@]+$/;
+
+const giftError = (message, code) => {
+  const error = new Error(message);
+  error.code = code;
+  error.statusCode = 400;
+  return error;
+};
+
+// A gift purchase charges the buyer as usual but holds the enrollment back
+// behind a code. The gift is issued when the payment completes, emailed to
+// the recipient straight away or on the scheduled date, and turned into
+// enrollments by whoever redeems the code.
+class GiftService {
+  generateCode() {
+    const bytes = crypto.randomBytes(12);
+    const chars = Array.from(
+      bytes,
+      (byte) => CODE_ALPHABET[byte % CODE_ALPHABET.length]
+    ).join("");
+
+    return `GIFT-${chars.slice(0, 4)}-${chars.slice(4, 8)}-${chars.slice(8)}`;
+  }
+
+  normalizeCode(code) {
+    return String(code || "")
+      .trim()
+      .toUpperCase();
+  }
+
+  // Validates the gift options sent with a checkout and returns the shape
+  // stored on the payment metadata until the payment completes.
+  normalizeGiftOptions(gift) {
+    const recipientEmail = String(gift.recipientEmail || "")
+      .trim()
+      .toLowerCase();
+
+    if (!EMAIL_REGEX.test(recipientEmail)) {
+      throw giftError("A valid recipient email is required", "INVALID_GIFT");
+    }
+
+    const message = gift.message ? String(gift.message).trim() : null;
+    if (message && message.length > MAX_MESSAGE_LENGTH) {
+      throw giftError(
+        `Gift message cannot exceed ${MAX_MESSAGE_LENGTH} characters`,
+        "INVALID_GIFT"
+      );
+    }
+
+    let deliverAt = null;
+    if (gift.deliverAt) {
+      deliverAt = new Date(gift.deliverAt);
+      const latest = new Date(
+        Date.now() + MAX_DELIVERY_DAYS * 24 * 60 * 60 * 1000
+      );
+
+      if (isNaN(deliverAt.getTime())) {
+        throw giftError("Invalid gift delivery date", "INVALID_GIFT");
+      }
+      if (deliverAt > latest) {
+        throw giftError(
+          `Gifts can be scheduled up to ${MAX_DELIVERY_DAYS} days ahead`,
+          "INVALID_GIFT"
+        );
+      }
+      if (deliverAt <= new Date()) deliverAt = null;
+    }
+
+    return {
+      recipientEmail,
+      recipientName: gift.recipientName
+        ? String(gift.recipientName).trim()
+        : null,
+      message,
+      deliverAt: deliverAt?.toISOString() || null,
+    };
+  }
+
+  isGiftPayment(payment) {
+    return !!payment.metadata?.gift;
+  }
+
+  // Issues the gift for a completed gift payment. Payments have at most one
+  // gift, so a second confirmation of the same payment returns null and the
+  // caller skips processing it again.
+  async issueGift(payment, courseIds) {
+    const options = payment.metadata.gift;
+
+    for (let attempt = 0; attempt < 3; attempt++) {
+      try {
+        const gift = await prisma.gift.create({
+          data: {
+            code: this.generateCode(),
+            status: "SCHEDULED",
+            recipientEmail: options.recipientEmail,
+            recipientName: options.recipientName,
+            message: options.message,
+            courseIds,
+            deliverAt: options.deliverAt ? new Date(options.deliverAt) : null,
+            purchaserId: payment.metadata.userId,
+            paymentId: payment.id,
+          },
+        });
+
+        await this.invalidateCaches(gift.purchaserId);
+        return gift;
+      } catch (error) {
+        if (error.code !== "P2002") throw error;
+        if (error.meta?.target?.includes("paymentId")) return null;
+      }
+    }
+
+    throw new Error("Failed to generate a unique gift code");
+  }
+
+  async getGiftByCode(code) {
+    return await prisma.gift.findUnique({
+      where: { code: this.normalizeCode(code) },
+      include: {
+        purchaser: { select: { firstName: true, lastName: true } },
+      },
+    });
+  }
+
+  async getGiftCourses(gift) {
+    return await prisma.course.findMany({
+      where: { id: { in: gift.courseIds } },
+      select: {
+        id: true,
+        title: true,
+        slug: true,
+        thumbnail: true,
+        shortDescription: true,
+        instructorId: true,
+        instructor: {
+          select: {
+            userId: true,
+            user: { select: { firstName: true, lastName: true } },
+          },
+        },
+      },
+    });
+  }
+
+  // Sends the gift email unless delivery is scheduled for later.
+  async deliverGift(giftId, now = new Date()) {
+    const claimed = await prisma.gift.updateMany({
+      where: {
+        id: giftId,
+        status: "SCHEDULED",
+        OR: [{ deliverAt: null }, { deliverAt: { lte: now } }],
+      },
+      data: { status: "DELIVERED", deliveredAt: now },
+    });
+
+    if (claimed.count === 0) return false;
+
+    const gift = await prisma.gift.findUnique({
+      where: { id: giftId },
+      include: {
+        purchaser: { select: { firstName: true, lastName: true } },
+      },
+    });
+    const courses = await this.getGiftCourses(gift);
+    const senderName = `${gift.purchaser.firstName} ${gift.purchaser.lastName}`;
+
+    try {
+      await emailService.sendGiftReceived({
+        email: gift.recipientEmail,
+        recipientName: gift.recipientName,
+        senderName,
+        courseName:
+          courses.length === 1 ? courses[0].title : `${courses.length} courses`,
+        giftCode: gift.code,
+        message: gift.message,
+        redeemUrl: `${process.env.FRONTEND_URL}/gifts/redeem?code=${gift.code}`,
+      });
+    } catch (error) {
+      console.error(`Failed to send gift email for ${gift.id}:`, error);
+    }
+
+    const recipient = await prisma.user.findUnique({
+      where: { email: gift.recipientEmail },
+      select: { id: true },
+    });
+
+    if (recipient) {
+      try {
+        await notificationService.createNotification({
+          userId: recipient.id,
+          type: "gift_received",
+          title: "You Received a Gift",
+          message: `${senderName} gifted you ${
+            courses.length === 1
+              ? `"${courses[0].title}"`
+              : `${courses.length} courses`
+          }. Redeem it to start learning.`,
+          priority: "HIGH",
+          data: { giftId: gift.id, code: gift.code },
+          actionUrl: `/gifts/redeem?code=${gift.code}`,
+        });
+      } catch (error) {
+        console.error("Failed to create gift notification:", error);
+      }
+    }
+
+    await this.invalidateCaches(gift.purchaserId);
+
+    return true;
+  }
+
+  async deliverDueGifts(now = new Date()) {
+    const gifts = await prisma.gift.findMany({
+      where: { status: "SCHEDULED", deliverAt: { lte: now } },
+      orderBy: { deliverAt: "asc" },
+      take: DELIVERY_BATCH_SIZE,
+      select: { id: true },
+    });
+
+    let delivered = 0;
+    for (const { id } of gifts) {
+      try {
+        if (await this.deliverGift(id, now)) delivered++;
+      } catch (error) {
+        console.error(`Failed to deliver gift ${id}:`, error);
+      }
+    }
+
+    return { delivered };
+  }
+
+  // Enrolls the redeeming student in every gifted course they don't already
+  // have. Earlier refunded or expired enrollments are reactivated, since an
+  // enrollment is unique per student and course.
+  async redeemGift(code, userId) {
+    const gift = await this.getGiftByCode(code);
+
+    if (!gift) {
+      throw giftError("Gift code not found", "GIFT_NOT_FOUND");
+    }
+
+    if (!REDEEMABLE_STATUSES.includes(gift.status)) {
+      throw giftError(
+        gift.status === "REDEEMED"
+          ? "This gift has already been redeemed"
+          : "This gift is no longer valid",
+        "GIFT_NOT_REDEEMABLE"
+      );
+    }
+
+    const [payment, student] = await Promise.all([
+      prisma.payment.findUnique({
+        where: { id: gift.paymentId },
+        select: { id: true, status: true, discountAmount: true },
+      }),
+      prisma.student.findUnique({
+        where: { userId },
+        select: { id: true, user: { select: { email: true } } },
+      }),
+    ]);
+
+    if (payment?.status !== "COMPLETED") {
+      throw giftError("This gift is no longer valid", "GIFT_NOT_REDEEMABLE");
+    }
+
+    if (!student) {
+      throw giftError(
+        "A student profile is required to redeem gifts",
+        "STUDENT_PROFILE_REQUIRED"
+      );
+    }
+
+    if (
+      gift.purchaserId === userId &&
+      student.user.email.toLowerCase() !== gift.recipientEmail
+    ) {
+      throw giftError(
+        "You cannot redeem a gift you purchased for someone else",
+        "GIFT_NOT_REDEEMABLE"
+      );
+    }
+
+    const courses = await this.getGiftCourses(gift);
+    const existingEnrollments = await prisma.enrollment.findMany({
+      where: { studentId: student.id, courseId: { in: gift.courseIds } },
+      select: { id: true, courseId: true, status: true },
+    });
+    const existingByCourse = new Map(
+      existingEnrollments.map((enrollment) => [enrollment.courseId, enrollment])
+    );
+
+    const redeemable = courses.filter((course) => {
+      const existing = existingByCourse.get(course.id);
+      return (
+        !existing || REACTIVATABLE_ENROLLMENT_STATUSES.includes(existing.status)
+      );
+    });
+
+    if (redeemable.length === 0) {
+      throw giftError(
+        "You are already enrolled in every course in this gift",
+        "ALREADY_ENROLLED"
+      );
+    }
+
+    const enrollments = await prisma.$transaction(async (tx) => {
+      const claimed = await tx.gift.updateMany({
+        where: { id: gift.id, status: { in: REDEEMABLE_STATUSES } },
+        data: {
+          status: "REDEEMED",
+          redeemedAt: new Date(),
+          redeemedById: userId,
+        },
+      });
+
+      if (claimed.count === 0) {
+        throw giftError(
+          "This gift has already been redeemed",
+          "GIFT_NOT_REDEEMABLE"
+        );
+      }
+
+      const created = [];
+
+      for (const course of redeemable) {
+        const existing = existingByCourse.get(course.id);
+        const data = {
+          status: "ACTIVE",
+          paymentId: payment.id,
+          giftId: gift.id,
+          enrollmentSource: "GIFT",
+          discountApplied: payment.discountAmount,
+        };
+
+        created.push(
+          existing
+            ? await tx.enrollment.update({
+                where: { id: existing.id },
+                data: { ...data, expiresAt: null },
+              })
+            : await tx.enrollment.create({
+                data: {
+                  ...data,
+                  studentId: student.id,
+                  courseId: course.id,
+                },
+              })
+        );
+
+        await tx.course.update({
+          where: { id: course.id },
+          data: { totalEnrollments: { increment: 1 } },
+        });
+
+        await tx.instructor.update({
+          where: { id: course.instructorId },
+          data: { totalStudents: { increment: 1 } },
+        });
+      }
+
+      return created;
+    });
+
+    await this.notifyRedeemed(
+      gift,
+      courses,
+      redeemable,
+      student.id,
+      enrollments
+    );
+    await this.invalidateCaches(gift.purchaserId);
+    await Promise.all([
+      redisService.invalidateCache(`enrolled_courses:*userId=${userId}*`),
+      redisService.invalidateCache(`course_content:*userId=${userId}*`),
+    ]);
+
+    return {
+      gift: await prisma.gift.findUnique({ where: { id: gift.id } }),
+      courses: redeemable,
+      skippedCourses: courses.filter((course) => !redeemable.includes(course)),
+      enrollments,
+    };
+  }
+
+  async notifyRedeemed(gift, courses, redeemed, studentId, enrollments) {
+    try {
+      await notificationService.createNotification({
+        userId: gift.purchaserId,
+        type: "gift_redeemed",
+        title: "Your Gift Was Redeemed",
+        message: `${
+          gift.recipientName || gift.recipientEmail
+        } redeemed your gift of ${
+          courses.length === 1
+            ? `"${courses[0].title}"`
+            : `${courses.length} courses`
+        }.`,
+        priority: "NORMAL",
+        data: { giftId: gift.id },
+        actionUrl: "/student/purchases",
+      });
+
+      for (const course of redeemed) {
+        await notificationService.createNotification({
+          userId: course.instructor.userId,
+          type: "NEW_ENROLLMENT",
+          title: "New Student Enrolled",
+          message: `A new student has enrolled in your course "${course.title}" through a gift`,
+          priority: "NORMAL",
+          data: {
+            courseId: course.id,
+            courseName: course.title,
+            studentId,
+            enrollmentId: enrollments.find(
+              (enrollment) => enrollment.courseId === course.id
+            )?.id,
+            giftId: gift.id,
+          },
+        });
+      }
+    } catch (error) {
+      console.error("Failed to create gift redemption notifications:", error);
+    }
+  }
+
+  // Refunding a gift purchase voids the code if it hasn't been used yet.
+  // Redeemed gifts are handled like any other refunded enrollment.
+  async revokeGiftsForPayment(paymentId, reason = null) {
+    const gift = await prisma.gift.findUnique({
+      where: { paymentId },
+      select: { id: true, purchaserId: true },
+    });
+
+    if (!gift) return { revoked: 0 };
+
+    const { count } = await prisma.gift.updateMany({
+      where: { id: gift.id, status: { in: REDEEMABLE_STATUSES } },
+      data: {
+        status: "REVOKED",
+        revokedAt: new Date(),
+        revokeReason: reason || "Payment refunded",
+      },
+    });
+
+    if (count > 0) {
+      await this.invalidateCaches(gift.purchaserId);
+    }
+
+    return { revoked: count };
+  }
+
+  async invalidateCaches(purchaserId) {
+    await redisService.delPattern(`gifts:${purchaserId}:*`);
+  }
+}
+
+export default new GiftService();
@@ -0,0 +1,882 @@
+import { PrismaClient } from "@prisma/client";
+import PDFDocument from "pdfkit";
+import { uploadBufferToCloudinary } from "../config/upload.js";
+
+const prisma = new PrismaClient();
+
+const GST_STATE_CODES = {
+  "01": "Jammu and Kashmir",
+  "02": "Himachal Pradesh",
+  "03": "Punjab",
+  "04": "Chandigarh",
+  "05": "Uttarakhand",
+  "06": "Haryana",
+  "07": "Delhi",
+  "08": "Rajasthan",
+  "09": "Uttar Pradesh",
+  10: "Bihar",
+  11: "Sikkim",
+  12: "Arunachal Pradesh",
+  13: "Nagaland",
+  14: "Manipur",
+  15: "Mizoram",
+  16: "Tripura",
+  17: "Meghalaya",
+  18: "Assam",
+  19: "West Bengal",
+  20: "Jharkhand",
+  21: "Odisha",
+  22: "Chhattisgarh",
+  23: "Madhya Pradesh",
+  24: "Gujarat",
+  26: "Dadra and Nagar Haveli and Daman and Diu",
+  27: "Maharashtra",
+  29: "Karnataka",
+  30: "Goa",
+  31: "Lakshadweep",
+  32: "Kerala",
+  33: "Tamil Nadu",
+  34: "Puducherry",
+  35: "Andaman and Nicobar Islands",
+  36: "Telangana",
+  37: "Andhra Pradesh",
+  38: "Ladakh",
+  97: "Other Territory",
+};
+
+// ISO 3166-2:IN subdivision codes and older names buyers still type in.
+const STATE_ALIASES = {
+  jk: "01",
+  hp: "02",
+  pb: "03",
+  ch: "04",
+  ut: "05",
+  uk: "05",
+  uttaranchal: "05",
+  hr: "06",
+  dl: "07",
+  newdelhi: "07",
+  nctofdelhi: "07",
+  rj: "08",
+  up: "09",
+  br: "10",
+  sk: "11",
+  ar: "12",
+  nl: "13",
+  mn: "14",
+  mz: "15",
+  tr: "16",
+  ml: "17",
+  as: "18",
+  wb: "19",
+  jh: "20",
+  or: "21",
+  od: "21",
+  orissa: "21",
+  ct: "22",
+  cg: "22",
+  mp: "23",
+  gj: "24",
+  dh: "26",
+  dn: "26",
+  dd: "26",
+  mh: "27",
+  ka: "29",
+  ga: "30",
+  ld: "31",
+  kl: "32",
+  tn: "33",
+  py: "34",
+  pondicherry: "34",
+  an: "35",
+  tg: "36",
+  ts: "36",
+  ap: "37",
+  la: "38",
+};
+
+const GSTIN_PATTERN = /^\d{2}[A-Z]{5}\d{4}[A-Z][1-9A-Z]Z[0-9A-Z]$/;
+
+const DOCUMENT_PREFIXES = {
+  INVOICE: process.env.INVOICE_NUMBER_PREFIX || "INV",
+  CREDIT_NOTE: process.env.CREDIT_NOTE_NUMBER_PREFIX || "CN",
+};
+
+const DEFAULT_SAC_CODE = "999293";
+
+const round = (value) => Math.round(value * 100) / 100;
+
+class InvoiceService {
+  normalizeStateName(value) {
+    return String(value)
+      .toLowerCase()
+      .replace(/&/g, "and")
+      .replace(/[^a-z]/g, "");
+  }
+
+  resolveStateCode(state) {
+    if (!state) return null;
+
+    const value = String(state).trim();
+    if (/^\d{1,2}$/.test(value)) {
+      const code = value.padStart(2, "0");
+      return GST_STATE_CODES[code] ? code : null;
+    }
+
+    const normalized = this.normalizeStateName(value);
+    if (STATE_ALIASES[normalized]) return STATE_ALIASES[normalized];
+
+    const match = Object.entries(GST_STATE_CODES).find(
+      ([, name]) => this.normalizeStateName(name) === normalized
+    );
+    return match ? match[0] : null;
+  }
+
+  getStateName(code) {
+    return code ? GST_STATE_CODES[code] || null : null;
+  }
+
+  isValidGstin(gstin) {
+    return !!gstin && GSTIN_PATTERN.test(String(gstin).toUpperCase());
+  }
+
+  isIndia(country) {
+    return (
+      !country || ["IN", "IND", "INDIA"].includes(String(country).toUpperCase())
+    );
+  }
+
+  // Indian financial years run April to March and are labelled "26-27".
+  getFinancialYear(date = new Date()) {
+    const ist = new Date(new Date(date).getTime() + 330 * 60 * 1000);
+    const startYear =
+      ist.getUTCMonth() >= 3 ? ist.getUTCFullYear() : ist.getUTCFullYear() - 1;
+
+    return `${String(startYear).slice(-2)}-${String(startYear + 1).slice(-2)}`;
+  }
+
+  // GST caps document numbers at 16 characters: INV/26-27/000042.
+  formatInvoiceNumber(type, financialYear, sequence) {
+    return `${DOCUMENT_PREFIXES[type]}/${financialYear}/${String(
+      sequence
+    ).padStart(6, "0")}`;
+  }
+
+  getSacCode() {
+    return process.env.INVOICE_SAC_CODE || DEFAULT_SAC_CODE;
+  }
+
+  getSellerDetails() {
+    const gstin = process.env.INVOICE_SELLER_GSTIN?.toUpperCase() || null;
+    const stateCode =
+      this.resolveStateCode(process.env.INVOICE_SELLER_STATE) ||
+      (this.isValidGstin(gstin) ? gstin.slice(0, 2) : null);
+
+    return {
+      name: process.env.INVOICE_SELLER_NAME || "Educademy",
+      gstin,
+      pan:
+        process.env.INVOICE_SELLER_PAN || (gstin ? gstin.slice(2, 12) : null),
+      address: process.env.INVOICE_SELLER_ADDRESS || null,
+      stateCode,
+      state: this.getStateName(stateCode),
+      email: process.env.INVOICE_SELLER_EMAIL || process.env.SUPPORT_EMAIL,
+    };
+  }
+
+  async getBuyerDetails(payment) {
+    const billingAddress = payment.metadata?.billingAddress || {};
+    let user = null;
+
+    if (payment.metadata?.userId) {
+      user = await prisma.user.findUnique({
+        where: { id: payment.metadata.userId },
+        select: {
+          id: true,
+          firstName: true,
+          lastName: true,
+          email: true,
+          phoneNumber: true,
+          country: true,
+        },
+      });
+    }
+
+    if (!user) {
+      const enrollment = await prisma.enrollment.findFirst({
+        where: { paymentId: payment.id },
+        select: {
+          student: {
+            select: {
+              user: {
+                select: {
+                  id: true,
+                  firstName: true,
+                  lastName: true,
+                  email: true,
+                  phoneNumber: true,
+                  country: true,
+                },
+              },
+            },
+          },
+        },
+      });
+      user = enrollment?.student.user || null;
+    }
+
+    const taxSnapshot = payment.taxSnapshot || {};
+    const gstin = (billingAddress.gstin || taxSnapshot.taxId)?.toUpperCase();
+    const hasGstin = this.isValidGstin(gstin);
+    const stateCode = hasGstin
+      ? gstin.slice(0, 2)
+      : this.resolveStateCode(billingAddress.state);
+
+    return {
+      userId: user?.id || null,
+      name:
+        billingAddress.companyName ||
+        billingAddress.name ||
+        (user ? `${user.firstName} ${user.lastName}` : "Customer"),
+      email: billingAddress.email || user?.email || null,
+      phone: billingAddress.phone || user?.phoneNumber || null,
+      gstin: hasGstin ? gstin : null,
+      taxId: !hasGstin && taxSnapshot.taxIdValid ? taxSnapshot.taxId : null,
+      taxIdLabel: taxSnapshot.taxIdLabel || null,
+      address: [
+        billingAddress.line1 || billingAddress.address,
+        billingAddress.line2,
+        billingAddress.city,
+        billingAddress.postalCode || billingAddress.zipCode,
+      ]
+        .filter(Boolean)
+        .join(", "),
+      stateCode,
+      state: this.getStateName(stateCode) || billingAddress.state || null,
+      country:
+        billingAddress.country || taxSnapshot.country || user?.country || "IN",
+    };
+  }
+
+  // Place of supply follows the buyer's registered location; an unknown
+  // domestic address falls back to the supplier's state.
+  determineSupply(seller, buyer) {
+    if (!this.isIndia(buyer.country)) {
+      return { supplyType: "EXPORT", placeOfSupply: "Outside India" };
+    }
+
+    const buyerStateCode = buyer.stateCode || seller.stateCode;
+    const placeOfSupply = buyerStateCode
+      ? `${this.getStateName(buyerStateCode)} (${buyerStateCode})`
+      : null;
+
+    return {
+      supplyType:
+        buyerStateCode && buyerStateCode === seller.stateCode
+          ? "INTRA_STATE"
+          : "INTER_STATE",
+      placeOfSupply,
+    };
+  }
+
+  splitTax(totalTax, supplyType) {
+    if (supplyType === "INTRA_STATE") {
+      const cgstAmount = round(totalTax / 2);
+      return {
+        cgstAmount,
+        sgstAmount: round(totalTax - cgstAmount),
+        igstAmount: 0,
+      };
+    }
+
+    return { cgstAmount: 0, sgstAmount: 0, igstAmount: round(totalTax) };
+  }
+
+  // Coupon discounts are spread across lines in proportion to price so each
+  // line carries its own taxable value; the last line absorbs rounding.
+  buildLineItems(payment, subtotal, discountAmount) {
+    const sacCode = this.getSacCode();
+    const orderItems = payment.metadata?.orderItems?.length
+      ? payment.metadata.orderItems
+      : [{ title: "Course Purchase", price: subtotal }];
+
+    let allocated = 0;
+    return orderItems.map((item, index) => {
+      const unitPrice = round(parseFloat(item.price));
+      const discount =
+        index === orderItems.length - 1
+          ? round(discountAmount - allocated)
+          : subtotal > 0
+          ? round((discountAmount * unitPrice) / subtotal)
+          : 0;
+      allocated += discount;
+
+      return {
+        courseId: item.courseId || null,
+        description: item.title,
+        sacCode,
+        quantity: 1,
+        unitPrice,
+        discount,
+        taxableValue: round(unitPrice - discount),
+      };
+    });
+  }
+
+  scaleLineItems(lineItems, ratio, taxableAmount) {
+    let allocated = 0;
+    return lineItems.map((item, index) => {
+      const taxableValue =
+        index === lineItems.length - 1
+          ? round(taxableAmount - allocated)
+          : round(item.taxableValue * ratio);
+      allocated += taxableValue;
+
+      return {
+        ...item,
+        unitPrice: round(item.unitPrice * ratio),
+        discount: round(item.discount * ratio),
+        taxableValue,
+      };
+    });
+  }
+
+  // The counter row is bumped inside the same transaction as the document
+  // insert, so a failed insert never burns a number.
+  async createDocument(type, issueDate, data) {
+    const financialYear = this.getFinancialYear(issueDate);
+
+    for (let attempt = 0; ; attempt++) {
+      try {
+        return await prisma.$transaction(async (tx) => {
+          const counter = await tx.invoiceSequence.upsert({
+            where: { type_financialYear: { type, financialYear } },
+            create: { type, financialYear, lastNumber: 1 },
+            update: { lastNumber: { increment: 1 } },
+          });
+
+          return await tx.invoice.create({
+            data: {
+              ...data,
+              type,
+              financialYear,
+              issueDate,
+              sequence: counter.lastNumber,
+              invoiceNumber: this.formatInvoiceNumber(
+                type,
+                financialYear,
+                counter.lastNumber
+              ),
+            },
+          });
+        });
+      } catch (error) {
+        // Two first-of-year documents can race to create the counter row.
+        if (error.code !== "P2002" || attempt >= 2) throw error;
+      }
+    }
+  }
+
+  formatAmount(amount, currency) {
+    return `${currency} ${parseFloat(amount).toFixed(2)}`;
+  }
+
+  formatDate(date) {
+    return new Date(date).toLocaleDateString("en-IN", {
+      year: "numeric",
+      month: "short",
+      day: "2-digit",
+    });
+  }
+
+  getFileName(invoice) {
+    return `${invoice.invoiceNumber.replace(/\//g, "-")}.pdf`;
+  }
+
+  async renderPdf(invoice) {
+    const isCreditNote = invoice.type === "CREDIT_NOTE";
+    const title = isCreditNote ? "CREDIT NOTE" : "TAX INVOICE";
+    const { seller, buyer, currency } = invoice;
+    const taxRate = parseFloat(invoice.taxRate);
+
+    return await new Promise((resolve, reject) => {
+      const doc = new PDFDocument({
+        size: "A4",
+        margin: 50,
+        info: {
+          Title: `${title} ${invoice.invoiceNumber}`,
+          Author: seller.name,
+          Subject: buyer.name,
+          Keywords: invoice.invoiceNumber,
+        },
+      });
+
+      const chunks = [];
+      doc.on("data", (chunk) => chunks.push(chunk));
+      doc.on("end", () => resolve(Buffer.concat(chunks)));
+      doc.on("error", reject);
+
+      const left = 50;
+      const right = doc.page.width - 50;
+      const contentWidth = right - left;
+
+      doc
+        .font("Helvetica-Bold")
+        .fontSize(20)
+        .fillColor("#111827")
+        .text(title, left, 50, { width: contentWidth, align: "right" });
+
+      doc
+        .font("Helvetica-Bold")
+        .fontSize(14)
+        .text(seller.name, left, 50)
+        .font("Helvetica")
+        .fontSize(9)
+        .fillColor("#374151");
+      if (seller.address) doc.text(seller.address, { width: 260 });
+      if (seller.state)
+        doc.text(`State: ${seller.state} (${seller.stateCode})`);
+      if (seller.gstin) doc.text(`GSTIN: ${seller.gstin}`);
+      if (seller.pan) doc.text(`PAN: ${seller.pan}`);
+      if (seller.email) doc.text(seller.email);
+
+      const metaY = 80;
+      const metaRows = [
+        [
+          isCreditNote ? "Credit Note No." : "Invoice No.",
+          invoice.invoiceNumber,
+        ],
+        ["Date", this.formatDate(invoice.issueDate)],
+        ["Place of Supply", invoice.placeOfSupply || "-"],
+        ["Reverse Charge", invoice.reverseCharge ? "Yes" : "No"],
+      ];
+      if (isCreditNote && invoice.originalInvoice) {
+        metaRows.push(
+          ["Against Invoice", invoice.originalInvoice.invoiceNumber],
+          ["Invoice Date", this.formatDate(invoice.originalInvoice.issueDate)]
+        );
+      }
+      metaRows.forEach(([label, value], index) => {
+        const y = metaY + index * 14;
+        doc
+          .font("Helvetica")
+          .fontSize(9)
+          .fillColor("#6b7280")
+          .text(label, right - 220, y, { width: 100 })
+          .fillColor("#111827")
+          .text(value, right - 120, y, { width: 120, align: "right" });
+      });
+
+      let y = Math.max(doc.y, metaY + metaRows.length * 14) + 20;
+
+      doc
+        .font("Helvetica-Bold")
+        .fontSize(10)
+        .fillColor("#111827")
+        .text("Bill To", left, y);
+      doc
+        .font("Helvetica")
+        .fontSize(9)
+        .fillColor("#374151")
+        .text(buyer.name, left, y + 14);
+      if (buyer.address) doc.text(buyer.address, { width: 300 });
+      if (buyer.state) {
+        doc.text(
+          buyer.stateCode
+            ? `State: ${buyer.state} (${buyer.stateCode})`
+            : `State: ${buyer.state}`
+        );
+      }
+      if (!this.isIndia(buyer.country)) doc.text(`Country: ${buyer.country}`);
+      if (buyer.gstin) doc.text(`GSTIN: ${buyer.gstin}`);
+      if (buyer.taxId) doc.text(`${buyer.taxIdLabel}: ${buyer.taxId}`);
+      if (buyer.email) doc.text(buyer.email);
+      if (buyer.phone) doc.text(buyer.phone);
+
+      y = doc.y + 20;
+
+      const columns = [
+        { label: "#", x: left, width: 20 },
+        { label: "Description", x: left + 20, width: 190 },
+        { label: "SAC", x: left + 210, width: 50 },
+        { label: "Qty", x: left + 260, width: 30, align: "right" },
+        { label: "Rate", x: left + 290, width: 70, align: "right" },
+        { label: "Discount", x: left + 360, width: 65, align: "right" },
+        { label: "Taxable Value", x: left + 425, width: 70, align: "right" },
+      ];
+
+      doc.rect(left, y - 4, contentWidth, 18).fill("#f3f4f6");
+      doc.font("Helvetica-Bold").fontSize(8).fillColor("#111827");
+      columns.forEach((column) =>
+        doc.text(column.label, column.x, y, {
+          width: column.width,
+          align: column.align || "left",
+        })
+      );
+      y += 20;
+
+      doc.font("Helvetica").fontSize(8).fillColor("#374151");
+      invoice.lineItems.forEach((item, index) => {
+        const values = [
+          String(index + 1),
+          item.description,
+          item.sacCode,
+          String(item.quantity),
+          parseFloat(item.unitPrice).toFixed(2),
+          parseFloat(item.discount).toFixed(2),
+          parseFloat(item.taxableValue).toFixed(2),
+        ];
+        const rowHeight = Math.max(
+          12,
+          doc.heightOfString(item.description, { width: columns[1].width })
+        );
+        if (y + rowHeight > doc.page.height - 200) {
+          doc.addPage();
+          y = 50;
+        }
+        values.forEach((value, column) =>
+          doc.text(value, columns[column].x, y, {
+            width: columns[column].width,
+            align: columns[column].align || "left",
+          })
+        );
+        y += rowHeight + 6;
+      });
+
+      doc
+        .moveTo(left, y)
+        .lineTo(right, y)
+        .lineWidth(0.5)
+        .strokeColor("#d1d5db")
+        .stroke();
+      y += 10;
+
+      const summaryRows = [
+        ["Subtotal", invoice.subtotal],
+        ...(parseFloat(invoice.discountAmount) > 0
+          ? [
+              [
+                invoice.couponCode
+                  ? `Coupon Discount (${invoice.couponCode})`
+                  : "Discount",
+                -parseFloat(invoice.discountAmount),
+              ],
+            ]
+          : []),
+        ["Taxable Value", invoice.taxableAmount],
+        ...(invoice.supplyType === "INTRA_STATE"
+          ? [
+              [`CGST @ ${taxRate / 2}%`, invoice.cgstAmount],
+              [`SGST @ ${taxRate / 2}%`, invoice.sgstAmount],
+            ]
+          : [[`IGST @ ${taxRate}%`, invoice.igstAmount]]),
+      ];
+
+      summaryRows.forEach(([label, value]) => {
+        doc
+          .font("Helvetica")
+          .fontSize(9)
+          .fillColor("#374151")
+          .text(label, right - 250, y, { width: 150 })
+          .text(this.formatAmount(value, currency), right - 100, y, {
+            width: 100,
+            align: "right",
+          });
+        y += 14;
+      });
+
+      doc
+        .font("Helvetica-Bold")
+        .fontSize(11)
+        .fillColor("#111827")
+        .text(isCreditNote ? "Total Credit" : "Total", right - 250, y + 4, {
+          width: 150,
+        })
+        .text(
+          this.formatAmount(invoice.totalAmount, currency),
+          right - 150,
+          y + 4,
+          {
+            width: 150,
+            align: "right",
+          }
+        );
+      y += 30;
+
+      if (isCreditNote && invoice.reason) {
+        doc
+          .font("Helvetica")
+          .fontSize(9)
+          .fillColor("#374151")
+          .text(`Reason: ${invoice.reason}`, left, y, { width: contentWidth });
+        y = doc.y + 10;
+      }
+
+      const notes = [
+        invoice.reverseCharge &&
+          "Tax on this supply is payable by the recipient under reverse charge.",
+        invoice.supplyType === "EXPORT" &&
+          "Supply of services to a recipient located outside India.",
+      ].filter(Boolean);
+
+      notes.forEach((note) => {
+        doc
+          .font("Helvetica")
+          .fontSize(8)
+          .fillColor("#6b7280")
+          .text(note, left, y, { width: contentWidth });
+        y = doc.y + 4;
+      });
+
+      doc
+        .font("Helvetica")
+        .fontSize(8)
+        .fillColor("#9ca3af")
+        .text(
+          "This is a computer-generated document and does not require a signature.",
+          left,
+          doc.page.height - 80,
+          { width: contentWidth, align: "center" }
+        );
+
+      doc.end();
+    });
+  }
+
+  async storePdf(invoice) {
+    const pdfBuffer = await this.renderPdf(invoice);
+
+    const uploadResult = await uploadBufferToCloudinary(pdfBuffer, {
+      folder: "educademy/invoices",
+      publicId: this.getFileName(invoice),
+      resourceType: "raw",
+    });
+
+    await prisma.invoice.update({
+      where: { id: invoice.id },
+      data: { pdfUrl: uploadResult.secure_url },
+    });
+
+    if (invoice.type === "INVOICE") {
+      await prisma.payment.update({
+        where: { id: invoice.paymentId },
+        data: { invoiceUrl: uploadResult.secure_url },
+      });
+    }
+
+    return uploadResult.secure_url;
+  }
+
+  async getInvoiceWithContext(invoiceId) {
+    const invoice = await prisma.invoice.findUnique({
+      where: { id: invoiceId },
+      include: {
+        originalInvoice: { select: { invoiceNumber: true, issueDate: true } },
+        payment: {
+          select: {
+            couponUsages: { select: { coupon: { select: { code: true } } } },
+          },
+        },
+      },
+    });
+
+    if (!invoice) return null;
+
+    return {
+      ...invoice,
+      couponCode: invoice.payment.couponUsages[0]?.coupon.code || null,
+    };
+  }
+
+  // Upload failures leave the document without a stored PDF; downloads
+  // render it again from the saved snapshot.
+  async publish(invoiceId) {
+    const invoice = await this.getInvoiceWithContext(invoiceId);
+
+    try {
+      invoice.pdfUrl = await this.storePdf(invoice);
+    } catch (error) {
+      console.error(
+        `Failed to store PDF for ${invoice.invoiceNumber}:`,
+        error.message
+      );
+    }
+
+    return invoice;
+  }
+
+  async issueInvoice(paymentId) {
+    const existing = await prisma.invoice.findFirst({
+      where: { paymentId, type: "INVOICE" },
+    });
+    if (existing) {
+      return { invoice: existing, created: false };
+    }
+
+    const payment = await prisma.payment.findUnique({
+      where: { id: paymentId },
+    });
+
+    if (!payment) {
+      throw new Error("Payment not found");
+    }
+
+    if (
+      !["COMPLETED", "REFUNDED", "PARTIALLY_REFUNDED"].includes(payment.status)
+    ) {
+      throw new Error("Invoices can only be issued for completed payments");
+    }
+
+    const taxSnapshot = payment.taxSnapshot;
+    const totalAmount = round(parseFloat(payment.amount));
+    const totalTax = round(parseFloat(payment.tax || 0));
+    const taxableAmount = round(totalAmount - totalTax);
+    const grossDiscount = round(parseFloat(payment.discountAmount || 0));
+    const grossSubtotal = payment.originalAmount
+      ? round(parseFloat(payment.originalAmount))
+      : round(taxableAmount + grossDiscount);
+    const taxRate = taxSnapshot
+      ? taxSnapshot.rate
+      : taxableAmount > 0
+      ? round((totalTax / taxableAmount) * 100)
+      : 0;
+
+    // Tax-inclusive prices are shown net of tax so every line carries its
+    // real taxable value.
+    const netFactor =
+      grossSubtotal - grossDiscount > 0
+        ? taxableAmount / (grossSubtotal - grossDiscount)
+        : 1;
+    const discountAmount = round(grossDiscount * netFactor);
+    const subtotal = round(taxableAmount + discountAmount);
+
+    const seller = this.getSellerDetails();
+    const buyer = await this.getBuyerDetails(payment);
+    const { supplyType, placeOfSupply } = this.determineSupply(seller, buyer);
+
+    const invoice = await this.createDocument("INVOICE", new Date(), {
+      paymentId: payment.id,
+      currency: payment.currency,
+      subtotal,
+      discountAmount,
+      taxableAmount,
+      taxRate,
+      ...this.splitTax(totalTax, supplyType),
+      totalTax,
+      totalAmount,
+      supplyType,
+      placeOfSupply,
+      reverseCharge: !!taxSnapshot?.reverseCharge,
+      sacCode: this.getSacCode(),
+      seller,
+      buyer,
+      lineItems: this.scaleLineItems(
+        this.buildLineItems(payment, grossSubtotal, grossDiscount),
+        netFactor,
+        taxableAmount
+      ),
+    });
+
+    return { invoice: await this.publish(invoice.id), created: true };
+  }
+
+  // Credit notes cover whatever part of Payment.refundAmount has not been
+  // credited yet, so repeated refund notifications never double-credit.
+  async issueCreditNote(paymentId, { reason } = {}) {
+    const payment = await prisma.payment.findUnique({
+      where: { id: paymentId },
+      include: { invoices: true },
+    });
+
+    if (!payment) {
+      throw new Error("Payment not found");
+    }
+
+    let original = payment.invoices.find((doc) => doc.type === "INVOICE");
+    if (!original) {
+      original = (await this.issueInvoice(paymentId)).invoice;
+    }
+
+    const credited = payment.invoices
+      .filter((doc) => doc.type === "CREDIT_NOTE")
+      .reduce((sum, doc) => sum + parseFloat(doc.totalAmount), 0);
+    const totalAmount = round(
+      Math.min(
+        parseFloat(payment.refundAmount || 0),
+        parseFloat(original.totalAmount)
+      ) - credited
+    );
+
+    if (totalAmount < 0.01) return null;
+
+    const ratio = totalAmount / parseFloat(original.totalAmount);
+    const totalTax = round(parseFloat(original.totalTax) * ratio);
+    const taxableAmount = round(totalAmount - totalTax);
+
+    const creditNote = await this.createDocument("CREDIT_NOTE", new Date(), {
+      paymentId: payment.id,
+      originalInvoiceId: original.id,
+      currency: original.currency,
+      subtotal: round(parseFloat(original.subtotal) * ratio),
+      discountAmount: round(parseFloat(original.discountAmount) * ratio),
+      taxableAmount,
+      taxRate: original.taxRate,
+      ...this.splitTax(totalTax, original.supplyType),
+      totalTax,
+      totalAmount,
+      supplyType: original.supplyType,
+      placeOfSupply: original.placeOfSupply,
+      reverseCharge: original.reverseCharge,
+      sacCode: original.sacCode,
+      seller: original.seller,
+      buyer: original.buyer,
+      lineItems: this.scaleLineItems(original.lineItems, ratio, taxableAmount),
+      reason: reason || payment.refundReason || "Refund",
+    });
+
+    return await this.publish(creditNote.id);
+  }
+
+  async getInvoicesForPayment(paymentId) {
+    return await prisma.invoice.findMany({
+      where: { paymentId },
+      select: {
+        id: true,
+        invoiceNumber: true,
+        type: true,
+        issueDate: true,
+        totalAmount: true,
+        currency: true,
+        pdfUrl: true,
+        reason: true,
+      },
+      orderBy: { sequence: "asc" },
+    });
+  }
+
+  // Returns the tax invoice (issuing it if the post-payment hook failed) or a
+  // specific credit note, rendered fresh from its snapshot.
+  async getDownload(paymentId, invoiceId = null) {
+    let document;
+
+    if (invoiceId) {
+      document = await prisma.invoice.findFirst({
+        where: { id: invoiceId, paymentId },
+        select: { id: true },
+      });
+      if (!document) return null;
+    } else {
+      document = (await this.issueInvoice(paymentId)).invoice;
+    }
+
+    const invoice = await this.getInvoiceWithContext(document.id);
+
+    return {
+      invoice,
+      fileName: this.getFileName(invoice),
+      buffer: await this.renderPdf(invoice),
+    };
+  }
+}
+
+export default new InvoiceService();
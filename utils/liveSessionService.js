@@ -0,0 +1,354 @@
+import { PrismaClient } from "@prisma/client";
+import notificationService from "./notificationservice.js";
+
+const prisma = new PrismaClient();
+
+const EARLY_JOIN_MINUTES = 15;
+const DAY_REMINDER_MINUTES = 24 * 60;
+const START_REMINDER_MINUTES = 15;
+const MAX_CHAT_LENGTH = 1000;
+const MAX_SIGNAL_LENGTH = 100;
+const PERSISTED_INTERACTIONS = ["chat", "question"];
+const SIGNAL_INTERACTIONS = ["hand_raise", "poll_response", "reaction"];
+
+class LiveSessionService {
+  getScheduledEnd(session) {
+    return new Date(
+      new Date(session.scheduledAt).getTime() + session.duration * 60 * 1000
+    );
+  }
+
+  isJoinWindowOpen(session, now = new Date()) {
+    if (session.status === "LIVE") {
+      return true;
+    }
+
+    if (session.status !== "SCHEDULED") {
+      return false;
+    }
+
+    const opensAt =
+      new Date(session.scheduledAt).getTime() - EARLY_JOIN_MINUTES * 60 * 1000;
+    return now.getTime() >= opensAt;
+  }
+
+  async getSessionAccess(sessionId, user) {
+    const session = await prisma.liveSession.findUnique({
+      where: { id: sessionId },
+      select: {
+        id: true,
+        title: true,
+        status: true,
+        scheduledAt: true,
+        duration: true,
+        maxParticipants: true,
+        courseId: true,
+        instructorId: true,
+        instructor: { select: { userId: true } },
+      },
+    });
+
+    if (!session) {
+      return { error: "Live session not found" };
+    }
+
+    const isHost = session.instructor.userId === user.id;
+    const isStaff = ["ADMIN", "MODERATOR"].includes(user.role);
+
+    if (!isHost && !isStaff) {
+      const enrollment = await prisma.enrollment.findFirst({
+        where: {
+          courseId: session.courseId,
+          status: { in: ["ACTIVE", "COMPLETED"] },
+          student: { userId: user.id },
+        },
+        select: { id: true },
+      });
+
+      if (!enrollment) {
+        return {
+          error: "You must be enrolled in this course to join the session",
+        };
+      }
+    }
+
+    return { session, isHost, isStaff };
+  }
+
+  async authorizeJoin(sessionId, user, currentParticipants = 0) {
+    const access = await this.getSessionAccess(sessionId, user);
+    if (access.error) {
+      return access;
+    }
+
+    const { session, isHost, isStaff } = access;
+
+    if (["ENDED", "CANCELLED"].includes(session.status)) {
+      return { error: `This session has ${session.status.toLowerCase()}` };
+    }
+
+    if (!isHost && !isStaff && !this.isJoinWindowOpen(session)) {
+      return {
+        error: `This session opens ${EARLY_JOIN_MINUTES} minutes before its scheduled start`,
+        opensAt: new Date(
+          new Date(session.scheduledAt).getTime() -
+            EARLY_JOIN_MINUTES * 60 * 1000
+        ),
+      };
+    }
+
+    if (
+      !isHost &&
+      session.maxParticipants &&
+      currentParticipants >= session.maxParticipants
+    ) {
+      return { error: "This session is full" };
+    }
+
+    return { session, isHost, isStaff };
+  }
+
+  async recordJoin(sessionId, userId, isHost = false) {
+    const now = new Date();
+    const existing = await prisma.liveSessionAttendance.findUnique({
+      where: { sessionId_userId: { sessionId, userId } },
+    });
+
+    if (!existing) {
+      return await prisma.liveSessionAttendance.create({
+        data: {
+          sessionId,
+          userId,
+          isHost,
+          firstJoinedAt: now,
+          lastJoinedAt: now,
+        },
+      });
+    }
+
+    if (existing.isPresent) {
+      return existing;
+    }
+
+    return await prisma.liveSessionAttendance.update({
+      where: { id: existing.id },
+      data: {
+        isPresent: true,
+        lastJoinedAt: now,
+        joinCount: { increment: 1 },
+      },
+    });
+  }
+
+  async recordLeave(sessionId, userId, leftAt = new Date()) {
+    const attendance = await prisma.liveSessionAttendance.findUnique({
+      where: { sessionId_userId: { sessionId, userId } },
+    });
+
+    if (!attendance || !attendance.isPresent) {
+      return attendance;
+    }
+
+    const seconds = Math.max(
+      0,
+      Math.round((leftAt.getTime() - attendance.lastJoinedAt.getTime()) / 1000)
+    );
+
+    return await prisma.liveSessionAttendance.update({
+      where: { id: attendance.id },
+      data: {
+        isPresent: false,
+        lastLeftAt: leftAt,
+        totalSeconds: { increment: seconds },
+      },
+    });
+  }
+
+  async closeAttendance(sessionId, endedAt = new Date()) {
+    const present = await prisma.liveSessionAttendance.findMany({
+      where: { sessionId, isPresent: true },
+      select: { userId: true },
+    });
+
+    for (const { userId } of present) {
+      await this.recordLeave(sessionId, userId, endedAt);
+    }
+
+    return present.length;
+  }
+
+  // The content that is stored and broadcast for an interaction, or null
+  // when the type is unknown or a chat message or question is empty.
+  // Signals carry a short string, number or boolean.
+  normalizeInteractionContent(type, content) {
+    if (PERSISTED_INTERACTIONS.includes(type)) {
+      const text = typeof content === "string" ? content.trim() : "";
+      return text ? text.substring(0, MAX_CHAT_LENGTH) : null;
+    }
+
+    if (!SIGNAL_INTERACTIONS.includes(type)) {
+      return null;
+    }
+
+    if (typeof content === "string") {
+      return content.trim().substring(0, MAX_SIGNAL_LENGTH);
+    }
+
+    return ["number", "boolean"].includes(typeof content) ? content : "";
+  }
+
+  // Expects content already passed through normalizeInteractionContent.
+  async saveInteraction(sessionId, userId, type, content) {
+    if (!PERSISTED_INTERACTIONS.includes(type)) {
+      return null;
+    }
+
+    return await prisma.liveSessionMessage.create({
+      data: { sessionId, userId, type, content },
+    });
+  }
+
+  async getEnrolledUserIds(courseId) {
+    const enrollments = await prisma.enrollment.findMany({
+      where: { courseId, status: { in: ["ACTIVE", "COMPLETED"] } },
+      select: { student: { select: { userId: true } } },
+    });
+
+    return enrollments.map((enrollment) => enrollment.student.userId);
+  }
+
+  async notifyEnrolledStudents(session, { type, title, message, priority }) {
+    const userIds = await this.getEnrolledUserIds(session.courseId);
+
+    for (const userId of userIds) {
+      try {
+        await notificationService.createNotification({
+          userId,
+          type,
+          title,
+          message,
+          priority: priority || "NORMAL",
+          data: {
+            liveSessionId: session.id,
+            courseId: session.courseId,
+            scheduledAt: session.scheduledAt,
+          },
+          actionUrl: `/courses/${session.courseId}/live/${session.id}`,
+        });
+      } catch (error) {
+        console.error(
+          `Failed to notify user ${userId} about live session ${session.id}:`,
+          error
+        );
+      }
+    }
+
+    return userIds.length;
+  }
+
+  async sendDueReminders(now = new Date()) {
+    const results = { dayReminders: 0, startReminders: 0 };
+
+    const startSoon = await prisma.liveSession.findMany({
+      where: {
+        status: "SCHEDULED",
+        startReminderSentAt: null,
+        scheduledAt: {
+          gt: now,
+          lte: new Date(now.getTime() + START_REMINDER_MINUTES * 60 * 1000),
+        },
+      },
+      include: { course: { select: { title: true } } },
+    });
+
+    for (const session of startSoon) {
+      await prisma.liveSession.update({
+        where: { id: session.id },
+        data: {
+          startReminderSentAt: now,
+          dayReminderSentAt: session.dayReminderSentAt || now,
+        },
+      });
+
+      results.startReminders += await this.notifyEnrolledStudents(session, {
+        type: "LIVE_SESSION_REMINDER",
+        title: "Live session starting soon",
+        message: `"${session.title}" in ${session.course.title} starts in less than ${START_REMINDER_MINUTES} minutes`,
+        priority: "HIGH",
+      });
+    }
+
+    const startingTomorrow = await prisma.liveSession.findMany({
+      where: {
+        status: "SCHEDULED",
+        dayReminderSentAt: null,
+        scheduledAt: {
+          gt: new Date(now.getTime() + START_REMINDER_MINUTES * 60 * 1000),
+          lte: new Date(now.getTime() + DAY_REMINDER_MINUTES * 60 * 1000),
+        },
+      },
+      include: { course: { select: { title: true } } },
+    });
+
+    for (const session of startingTomorrow) {
+      await prisma.liveSession.update({
+        where: { id: session.id },
+        data: { dayReminderSentAt: now },
+      });
+
+      results.dayReminders += await this.notifyEnrolledStudents(session, {
+        type: "LIVE_SESSION_REMINDER",
+        title: "Upcoming live session",
+        message: `"${session.title}" in ${
+          session.course.title
+        } is scheduled for ${new Date(session.scheduledAt).toUTCString()}`,
+      });
+    }
+
+    return results;
+  }
+
+  async closeStaleSessions(now = new Date(), graceMinutes = 120) {
+    const cutoff = now.getTime() - graceMinutes * 60 * 1000;
+
+    const candidates = await prisma.liveSession.findMany({
+      where: {
+        status: { in: ["SCHEDULED", "LIVE"] },
+        scheduledAt: { lt: new Date(cutoff) },
+      },
+      select: {
+        id: true,
+        status: true,
+        scheduledAt: true,
+        duration: true,
+        courseId: true,
+      },
+    });
+
+    const stale = candidates.filter(
+      (session) => this.getScheduledEnd(session).getTime() < cutoff
+    );
+
+    for (const session of stale) {
+      const endedAt = this.getScheduledEnd(session);
+
+      await prisma.liveSession.update({
+        where: { id: session.id },
+        data:
+          session.status === "LIVE"
+            ? { status: "ENDED", endedAt }
+            : {
+                status: "CANCELLED",
+                cancelledAt: now,
+                cancellationReason: "Session was never started",
+              },
+      });
+
+      await this.closeAttendance(session.id, endedAt);
+    }
+
+    return stale;
+  }
+}
+
+export default new LiveSessionService();
@@ -0,0 +1,354 @@
+import { PrismaClient } from "@prisma/client";
+import notificationService from "./notificationservice.js";
+import socketManager from "./socket-io.js";
+
+const prisma = new PrismaClient();
+
+const MAX_ATTACHMENTS = 5;
+const MAX_ATTACHMENT_SIZE = 100 * 1024 * 1024;
+const MAX_CONTENT_LENGTH = 5000;
+const PREVIEW_LENGTH = 140;
+
+class MessagingService {
+  orderParticipants(userIdA, userIdB) {
+    return userIdA < userIdB ? [userIdA, userIdB] : [userIdB, userIdA];
+  }
+
+  getOtherParticipantId(conversation, userId) {
+    return conversation.participantAId === userId
+      ? conversation.participantBId
+      : conversation.participantAId;
+  }
+
+  isParticipant(conversation, userId) {
+    return (
+      conversation.participantAId === userId ||
+      conversation.participantBId === userId
+    );
+  }
+
+  async findConversation(userIdA, userIdB) {
+    const [participantAId, participantBId] = this.orderParticipants(
+      userIdA,
+      userIdB
+    );
+
+    return await prisma.conversation.findUnique({
+      where: {
+        participantAId_participantBId: { participantAId, participantBId },
+      },
+    });
+  }
+
+  async findOrCreateConversation(userIdA, userIdB, subject = null) {
+    const [participantAId, participantBId] = this.orderParticipants(
+      userIdA,
+      userIdB
+    );
+
+    return await prisma.conversation.upsert({
+      where: {
+        participantAId_participantBId: { participantAId, participantBId },
+      },
+      update: {},
+      create: { participantAId, participantBId, subject },
+    });
+  }
+
+  async isBlocked(userIdA, userIdB) {
+    const block = await prisma.userBlock.findFirst({
+      where: {
+        OR: [
+          { blockerId: userIdA, blockedId: userIdB },
+          { blockerId: userIdB, blockedId: userIdA },
+        ],
+      },
+      select: { id: true },
+    });
+
+    return !!block;
+  }
+
+  async sharesEnrollment(studentUserId, instructorUserId) {
+    const enrollment = await prisma.enrollment.findFirst({
+      where: {
+        status: { in: ["ACTIVE", "COMPLETED"] },
+        student: { userId: studentUserId },
+        course: { instructor: { userId: instructorUserId } },
+      },
+      select: { id: true },
+    });
+
+    return !!enrollment;
+  }
+
+  async canMessage(sender, receiver) {
+    if (sender.id === receiver.id) {
+      return { allowed: false, reason: "You cannot message yourself" };
+    }
+
+    if (!receiver.isActive || receiver.isBanned) {
+      return {
+        allowed: false,
+        reason: "This user is not available for messaging",
+      };
+    }
+
+    if (await this.isBlocked(sender.id, receiver.id)) {
+      return {
+        allowed: false,
+        reason: "Messaging between you and this user is blocked",
+        code: "USER_BLOCKED",
+      };
+    }
+
+    const staffRoles = ["ADMIN", "MODERATOR"];
+    if (
+      staffRoles.includes(sender.role) ||
+      staffRoles.includes(receiver.role)
+    ) {
+      return { allowed: true };
+    }
+
+    if (await this.findConversation(sender.id, receiver.id)) {
+      return { allowed: true };
+    }
+
+    const roles = [sender.role, receiver.role];
+    if (roles.includes("STUDENT") && roles.includes("INSTRUCTOR")) {
+      const studentUserId = sender.role === "STUDENT" ? sender.id : receiver.id;
+      const instructorUserId =
+        sender.role === "INSTRUCTOR" ? sender.id : receiver.id;
+
+      if (await this.sharesEnrollment(studentUserId, instructorUserId)) {
+        return { allowed: true };
+      }
+    }
+
+    return {
+      allowed: false,
+      reason:
+        "You can only message instructors of courses you are enrolled in, or students enrolled in your courses",
+    };
+  }
+
+  validateAttachments(attachments) {
+    if (attachments === undefined || attachments === null) {
+      return { isValid: true, attachments: null };
+    }
+
+    if (!Array.isArray(attachments)) {
+      return { isValid: false, errors: ["Attachments must be an array"] };
+    }
+
+    if (attachments.length > MAX_ATTACHMENTS) {
+      return {
+        isValid: false,
+        errors: [`A message can have at most ${MAX_ATTACHMENTS} attachments`],
+      };
+    }
+
+    const uploadHost = `https://res.cloudinary.com/${process.env.CLOUDINARY_CLOUD_NAME}/`;
+    const errors = [];
+
+    const normalized = attachments.map((attachment, index) => {
+      const url = attachment?.url || attachment?.path;
+
+      if (!url || typeof url !== "string" || !url.startsWith(uploadHost)) {
+        errors.push(
+          `Attachment ${index + 1} must be a file uploaded through /api/upload`
+        );
+      }
+
+      if (attachment?.size && attachment.size > MAX_ATTACHMENT_SIZE) {
+        errors.push(`Attachment ${index + 1} exceeds the 100MB size limit`);
+      }
+
+      return {
+        url,
+        name: String(
+          attachment?.originalName || attachment?.name || "attachment"
+        ).substring(0, 255),
+        size: attachment?.size ? parseInt(attachment.size) : null,
+        mimetype: attachment?.mimetype || null,
+        fileId: attachment?.id || null,
+      };
+    });
+
+    if (errors.length > 0) {
+      return { isValid: false, errors };
+    }
+
+    return {
+      isValid: true,
+      attachments: normalized.length > 0 ? normalized : null,
+    };
+  }
+
+  async sendMessage({
+    sender,
+    receiverId,
+    content,
+    subject,
+    attachments,
+    priority,
+    conversationId,
+  }) {
+    const trimmedContent = typeof content === "string" ? content.trim() : "";
+
+    if (!trimmedContent && !(attachments && attachments.length)) {
+      return { error: "Message content or an attachment is required" };
+    }
+
+    if (trimmedContent.length > MAX_CONTENT_LENGTH) {
+      return {
+        error: `Message content cannot exceed ${MAX_CONTENT_LENGTH} characters`,
+      };
+    }
+
+    const attachmentValidation = this.validateAttachments(attachments);
+    if (!attachmentValidation.isValid) {
+      return { error: attachmentValidation.errors.join(", ") };
+    }
+
+    const receiver = await prisma.user.findUnique({
+      where: { id: receiverId },
+      select: {
+        id: true,
+        firstName: true,
+        lastName: true,
+        role: true,
+        isActive: true,
+        isBanned: true,
+      },
+    });
+
+    if (!receiver) {
+      return { error: "Recipient not found", status: 404 };
+    }
+
+    const permission = await this.canMessage(sender, receiver);
+    if (!permission.allowed) {
+      return {
+        error: permission.reason,
+        code: permission.code || "MESSAGING_NOT_ALLOWED",
+        status: 403,
+      };
+    }
+
+    const conversation = await this.findOrCreateConversation(
+      sender.id,
+      receiver.id,
+      subject?.trim() || null
+    );
+
+    if (conversationId && conversation.id !== conversationId) {
+      return { error: "Conversation does not match recipient", status: 400 };
+    }
+
+    const now = new Date();
+    const preview = trimmedContent
+      ? trimmedContent.substring(0, PREVIEW_LENGTH)
+      : "Sent an attachment";
+    const senderIsA = conversation.participantAId === sender.id;
+
+    const [message] = await prisma.$transaction([
+      prisma.message.create({
+        data: {
+          subject: subject?.trim() || conversation.subject || "Direct message",
+          content: trimmedContent,
+          messageType: "DIRECT",
+          priority: priority || "NORMAL",
+          attachments: attachmentValidation.attachments,
+          senderId: sender.id,
+          receiverId: receiver.id,
+          conversationId: conversation.id,
+        },
+      }),
+      prisma.conversation.update({
+        where: { id: conversation.id },
+        data: {
+          lastMessageAt: now,
+          lastMessagePreview: preview,
+          lastSenderId: sender.id,
+          archivedByA: senderIsA ? conversation.archivedByA : false,
+          archivedByB: senderIsA ? false : conversation.archivedByB,
+        },
+      }),
+    ]);
+
+    const senderName = `${sender.firstName} ${sender.lastName}`;
+
+    socketManager.sendToUser(receiver.id, "new_message", {
+      messageId: message.id,
+      conversationId: conversation.id,
+      senderId: sender.id,
+      senderName,
+      subject: message.subject,
+      content: message.content,
+      messageType: message.messageType,
+      attachments: message.attachments,
+      hasAttachments: !!message.attachments,
+      sentAt: message.createdAt,
+    });
+
+    if (!socketManager.isUserOnline(receiver.id)) {
+      notificationService
+        .createNotification({
+          userId: receiver.id,
+          type: "MESSAGE_RECEIVED",
+          title: `New message from ${senderName}`,
+          message: preview,
+          priority: message.priority,
+          data: {
+            conversationId: conversation.id,
+            messageId: message.id,
+            senderId: sender.id,
+          },
+          actionUrl: `/messages/${conversation.id}`,
+          sendSocket: false,
+        })
+        .catch((error) =>
+          console.error("Failed to create message notification:", error)
+        );
+    }
+
+    return { message, conversation, receiver };
+  }
+
+  async markConversationRead(conversationId, userId) {
+    const result = await prisma.message.updateMany({
+      where: { conversationId, receiverId: userId, isRead: false },
+      data: { isRead: true, readAt: new Date() },
+    });
+
+    if (result.count > 0) {
+      const conversation = await prisma.conversation.findUnique({
+        where: { id: conversationId },
+        select: { participantAId: true, participantBId: true },
+      });
+
+      if (conversation) {
+        socketManager.sendToUser(
+          this.getOtherParticipantId(conversation, userId),
+          "messages_read",
+          { conversationId, readBy: userId, readAt: new Date() }
+        );
+      }
+    }
+
+    return result.count;
+  }
+
+  async getUnreadCount(userId) {
+    return await prisma.message.count({
+      where: {
+        receiverId: userId,
+        isRead: false,
+        conversationId: { not: null },
+      },
+    });
+  }
+}
+
+export default new MessagingService();
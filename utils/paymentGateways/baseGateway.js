@@ -0,0 +1,138 @@
+import crypto from "crypto";
+
+// Every gateway adapter extends this class. Adapters only override what their
+// gateway supports; anything left unimplemented fails with a clear message
+// instead of silently succeeding.
+class BaseGateway {
+  constructor(name, displayName) {
+    this.name = name;
+    this.displayName = displayName;
+    this.client = null;
+    this.supportedCurrencies = null;
+  }
+
+  initialize() {}
+
+  isAvailable() {
+    return !!this.client;
+  }
+
+  getClient() {
+    if (!this.client) {
+      throw new Error(
+        `${this.displayName} is not configured. Please check your credentials.`
+      );
+    }
+    return this.client;
+  }
+
+  supportsCurrency(currency) {
+    return (
+      !this.supportedCurrencies ||
+      this.supportedCurrencies.includes(String(currency).toUpperCase())
+    );
+  }
+
+  notSupported(operation) {
+    return new Error(`${this.displayName} does not support ${operation}`);
+  }
+
+  async createOrder(orderData) {
+    throw this.notSupported("order creation");
+  }
+
+  // Hosted checkout used by the purchase flow. Adapters return
+  // { id, checkoutUrl, clientSecret, gatewayConfig, metadata, raw } where
+  // metadata is merged into the Payment record.
+  async createCheckout(orderData) {
+    throw this.notSupported("hosted checkout");
+  }
+
+  async verifyPayment(paymentData) {
+    throw this.notSupported("payment verification");
+  }
+
+  async fetchPaymentDetails(transactionId) {
+    throw this.notSupported("payment lookup");
+  }
+
+  getPaymentMethod(paymentDetails) {
+    return "CREDIT_CARD";
+  }
+
+  async createRefund(transactionId, refundData) {
+    throw this.notSupported("refunds");
+  }
+
+  // Contests a dispute with the bundle built by the dispute service:
+  // { summary, customer, productDescription, purchasedAt, accessLog, ... }.
+  async submitDisputeEvidence(disputeId, evidence) {
+    throw this.notSupported("dispute evidence");
+  }
+
+  matchesWebhook(headers, rawBody) {
+    return false;
+  }
+
+  isWebhookConfigured() {
+    return false;
+  }
+
+  // Returns the parsed gateway event when the signature is valid, otherwise null.
+  async verifyWebhook(rawBody, headers) {
+    return null;
+  }
+
+  // Maps a verified gateway event onto a gateway-neutral shape:
+  // { type, gatewayEventType, orderId, transactionId, amount, currency,
+  //   method, reason, refundId, disputeId, disputeStatus, gatewayStatus,
+  //   evidenceDueBy, raw }
+  // where type is PAYMENT_COMPLETED, PAYMENT_FAILED, REFUND_PROCESSED,
+  // DISPUTE_CREATED, DISPUTE_UPDATED or IGNORED. disputeStatus is one of
+  // OPEN, UNDER_REVIEW, WON, LOST or CLOSED.
+  parseWebhookEvent(event) {
+    return { type: "IGNORED", gatewayEventType: null, raw: event };
+  }
+
+  safeCompare(expected, received) {
+    if (!expected || !received) return false;
+
+    const expectedBuffer = Buffer.from(String(expected));
+    const receivedBuffer = Buffer.from(String(received));
+
+    return (
+      expectedBuffer.length === receivedBuffer.length &&
+      crypto.timingSafeEqual(expectedBuffer, receivedBuffer)
+    );
+  }
+
+  async requestJson(url, options = {}) {
+    const response = await fetch(url, options);
+    const text = await response.text();
+
+    let data;
+    try {
+      data = text ? JSON.parse(text) : {};
+    } catch {
+      data = { message: text };
+    }
+
+    if (!response.ok) {
+      const error = new Error(
+        `${this.displayName} request failed: ${
+          data.message ||
+          data.error?.description ||
+          data.error_description ||
+          response.statusText
+        }`
+      );
+      error.statusCode = response.status;
+      error.response = data;
+      throw error;
+    }
+
+    return data;
+  }
+}
+
+export default BaseGateway;
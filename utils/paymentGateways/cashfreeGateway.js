@@ -0,0 +1,245 @@
+import crypto from "crypto";
+import BaseGateway from "./baseGateway.js";
+
+const CASHFREE_LIVE_URL = "https://api.cashfree.com";
+const CASHFREE_SANDBOX_URL = "https://sandbox.cashfree.com";
+
+const CASHFREE_METHODS = {
+  upi: "UPI",
+  credit_card: "CREDIT_CARD",
+  debit_card: "DEBIT_CARD",
+  net_banking: "NET_BANKING",
+  wallet: "WALLET",
+  app: "WALLET",
+  cardless_emi: "EMI",
+  credit_card_emi: "EMI",
+  debit_card_emi: "EMI",
+  pay_later: "EMI",
+  bank_transfer: "BANK_TRANSFER",
+};
+
+class CashfreeGateway extends BaseGateway {
+  constructor() {
+    super("CASHFREE", "Cashfree");
+    this.supportedCurrencies = ["INR"];
+  }
+
+  initialize() {
+    if (!process.env.CASHFREE_APP_ID || !process.env.CASHFREE_SECRET_KEY) {
+      console.warn("⚠️  Cashfree credentials not found");
+      return;
+    }
+
+    this.client = {
+      appId: process.env.CASHFREE_APP_ID,
+      secretKey: process.env.CASHFREE_SECRET_KEY,
+      baseUrl:
+        process.env.CASHFREE_BASE_URL ||
+        (process.env.CASHFREE_MODE === "live"
+          ? CASHFREE_LIVE_URL
+          : CASHFREE_SANDBOX_URL),
+      apiVersion: process.env.CASHFREE_API_VERSION || "2022-09-01",
+    };
+    console.log("✅ Cashfree initialized successfully");
+  }
+
+  async request(method, path, body = null) {
+    const cashfree = this.getClient();
+
+    return await this.requestJson(`${cashfree.baseUrl}${path}`, {
+      method,
+      headers: {
+        "x-client-id": cashfree.appId,
+        "x-client-secret": cashfree.secretKey,
+        "x-api-version": cashfree.apiVersion,
+        "Content-Type": "application/json",
+      },
+      body: body ? JSON.stringify(body) : undefined,
+    });
+  }
+
+  async createOrder(orderData) {
+    return await this.request("POST", "/pg/orders", {
+      order_id: orderData.receipt,
+      order_amount: Math.round(orderData.amount * 100) / 100,
+      order_currency: orderData.currency || "INR",
+      customer_details: {
+        customer_id: String(orderData.notes?.userId || orderData.receipt),
+        customer_email: orderData.customer?.email || "customer@example.com",
+        customer_phone: orderData.customer?.contact || "9999999999",
+        customer_name: orderData.customer?.name,
+      },
+      order_meta: {
+        return_url: `${process.env.FRONTEND_URL}/payment/callback?order_id=${orderData.receipt}&gateway=CASHFREE`,
+        notify_url: `${process.env.BACKEND_URL}/api/webhook/payment`,
+      },
+      order_note: orderData.description?.slice(0, 200),
+      order_tags: orderData.notes?.orderId
+        ? { orderId: String(orderData.notes.orderId) }
+        : undefined,
+    });
+  }
+
+  async createCheckout(orderData) {
+    let order;
+    try {
+      order = await this.createOrder(orderData);
+    } catch (error) {
+      throw new Error(
+        `Cashfree order creation failed: ${
+          error.response?.message || error.message
+        }`
+      );
+    }
+
+    return {
+      id: order.order_id,
+      checkoutUrl: order.payment_link || null,
+      gatewayConfig: {
+        orderId: order.order_id,
+        paymentSessionId: order.payment_session_id,
+        mode: process.env.CASHFREE_MODE === "live" ? "production" : "sandbox",
+      },
+      raw: order,
+    };
+  }
+
+  // Cashfree redirects carry no signature, so the payment is confirmed by
+  // reading it back from the API.
+  async verifyPayment({ orderId, paymentId }) {
+    if (paymentId) {
+      const payment = await this.fetchPaymentDetails(paymentId, { orderId });
+      return payment?.payment_status === "SUCCESS";
+    }
+
+    const order = await this.request("GET", `/pg/orders/${orderId}`);
+    return order.order_status === "PAID";
+  }
+
+  async fetchPaymentDetails(transactionId, { orderId } = {}) {
+    if (!orderId) {
+      return await this.request("GET", `/pg/orders/${transactionId}`);
+    }
+
+    const payments = await this.request(
+      "GET",
+      `/pg/orders/${orderId}/payments`
+    );
+    return (
+      payments.find(
+        (payment) => String(payment.cf_payment_id) === String(transactionId)
+      ) || null
+    );
+  }
+
+  getPaymentMethod(paymentDetails) {
+    return (
+      CASHFREE_METHODS[paymentDetails?.payment_group?.toLowerCase()] || "UPI"
+    );
+  }
+
+  // Cashfree refunds are issued against the order, not the payment.
+  async createRefund(transactionId, refundData) {
+    const orderId = refundData.orderId || transactionId;
+
+    return await this.request("POST", `/pg/orders/${orderId}/refunds`, {
+      refund_amount: Math.round(refundData.amount * 100) / 100,
+      refund_id: `refund_${orderId}_${Date.now()}`.slice(0, 40),
+      refund_note: (refundData.notes?.reason || "Refund processed").slice(
+        0,
+        100
+      ),
+    });
+  }
+
+  matchesWebhook(headers) {
+    return !!(headers["x-webhook-signature"] && headers["x-webhook-timestamp"]);
+  }
+
+  isWebhookConfigured() {
+    return this.isAvailable();
+  }
+
+  async verifyWebhook(rawBody, headers) {
+    try {
+      const expectedSignature = crypto
+        .createHmac("sha256", this.getClient().secretKey)
+        .update(`${headers["x-webhook-timestamp"]}${rawBody}`)
+        .digest("base64");
+
+      if (
+        !this.safeCompare(expectedSignature, headers["x-webhook-signature"])
+      ) {
+        return null;
+      }
+
+      return JSON.parse(rawBody);
+    } catch (error) {
+      console.error("Cashfree signature verification failed:", error);
+      return null;
+    }
+  }
+
+  parseWebhookEvent(event) {
+    const data = event.data || {};
+    const base = { gatewayEventType: event.type, raw: event };
+
+    switch (event.type) {
+      case "PAYMENT_SUCCESS_WEBHOOK":
+        return {
+          ...base,
+          type: "PAYMENT_COMPLETED",
+          orderId: data.order?.order_id,
+          transactionId: String(data.payment?.cf_payment_id),
+          amount: data.payment?.payment_amount,
+          currency: data.payment?.payment_currency,
+          method: this.getPaymentMethod(data.payment),
+        };
+      case "PAYMENT_FAILED_WEBHOOK":
+      case "PAYMENT_USER_DROPPED_WEBHOOK":
+        return {
+          ...base,
+          type: "PAYMENT_FAILED",
+          orderId: data.order?.order_id,
+          transactionId: data.payment?.cf_payment_id
+            ? String(data.payment.cf_payment_id)
+            : null,
+          reason:
+            data.payment?.payment_message ||
+            data.error_details?.error_description ||
+            "Payment failed",
+        };
+      case "REFUND_STATUS_WEBHOOK":
+        return {
+          ...base,
+          type:
+            data.refund?.refund_status === "SUCCESS"
+              ? "REFUND_PROCESSED"
+              : "IGNORED",
+          orderId: data.refund?.order_id,
+          refundId: data.refund?.cf_refund_id,
+          amount: data.refund?.refund_amount,
+          currency: data.refund?.refund_currency,
+        };
+      case "DISPUTE_CREATED":
+        return {
+          ...base,
+          type: "DISPUTE_CREATED",
+          orderId: data.order_details?.order_id,
+          transactionId: data.order_details?.cf_payment_id
+            ? String(data.order_details.cf_payment_id)
+            : null,
+          disputeId: data.dispute?.dispute_id
+            ? String(data.dispute.dispute_id)
+            : null,
+          amount: data.dispute?.dispute_amount,
+          currency: data.dispute?.dispute_amount_currency,
+          reason: data.dispute?.reason_description,
+        };
+      default:
+        return { ...base, type: "IGNORED" };
+    }
+  }
+}
+
+export default CashfreeGateway;
@@ -0,0 +1,143 @@
+import crypto from "crypto";
+import BaseGateway from "./baseGateway.js";
+
+// Local gateway for exercising checkout end to end without network access.
+// It is never available in production. The checkout response hands the
+// client a ready-made success signature; anything else fails verification.
+// Webhooks are JSON bodies signed with HMAC-SHA256 in x-mock-signature:
+// { event: "payment.captured" | "payment.failed" | "refund.processed",
+//   data: { orderId, transactionId, amount, currency, reason } }
+class MockGateway extends BaseGateway {
+  constructor() {
+    super("MOCK", "Mock Gateway");
+  }
+
+  initialize() {
+    if (
+      process.env.PAYMENT_MOCK_ENABLED !== "true" ||
+      process.env.NODE_ENV === "production"
+    ) {
+      return;
+    }
+
+    this.client = {
+      secret: process.env.MOCK_GATEWAY_SECRET || "mock_gateway_secret",
+    };
+    console.log("✅ Mock payment gateway enabled");
+  }
+
+  sign(value) {
+    return crypto
+      .createHmac("sha256", this.getClient().secret)
+      .update(value)
+      .digest("hex");
+  }
+
+  generateId(prefix) {
+    return `${prefix}_${Date.now()}_${Math.random().toString(36).substr(2, 9)}`;
+  }
+
+  async createOrder(orderData) {
+    return {
+      id: this.generateId("mock_order"),
+      amount: Math.round(orderData.amount * 100),
+      currency: orderData.currency || "INR",
+      receipt: orderData.receipt,
+      status: "created",
+      notes: orderData.notes || {},
+    };
+  }
+
+  async createCheckout(orderData) {
+    const order = await this.createOrder(orderData);
+    const paymentId = this.generateId("mock_pay");
+
+    return {
+      id: order.id,
+      checkoutUrl: `${process.env.FRONTEND_URL}/payment/mock?order_id=${orderData.receipt}`,
+      gatewayConfig: {
+        orderId: order.id,
+        paymentId,
+        signature: this.sign(`${order.id}|${paymentId}`),
+      },
+      raw: order,
+    };
+  }
+
+  async verifyPayment({ orderId, paymentId, signature }) {
+    return this.safeCompare(this.sign(`${orderId}|${paymentId}`), signature);
+  }
+
+  async fetchPaymentDetails(transactionId) {
+    return {
+      id: transactionId,
+      status: "captured",
+      method: "card",
+      captured: true,
+      createdAt: new Date().toISOString(),
+    };
+  }
+
+  getPaymentMethod(paymentDetails) {
+    return paymentDetails?.method === "upi" ? "UPI" : "CREDIT_CARD";
+  }
+
+  async createRefund(transactionId, refundData) {
+    return {
+      id: this.generateId("mock_refund"),
+      payment_id: transactionId,
+      amount: Math.round(refundData.amount * 100),
+      status: "processed",
+      notes: refundData.notes || {},
+    };
+  }
+
+  matchesWebhook(headers) {
+    return !!headers["x-mock-signature"];
+  }
+
+  isWebhookConfigured() {
+    return this.isAvailable();
+  }
+
+  async verifyWebhook(rawBody, headers) {
+    try {
+      if (!this.safeCompare(this.sign(rawBody), headers["x-mock-signature"])) {
+        return null;
+      }
+      return JSON.parse(rawBody);
+    } catch (error) {
+      console.error("Mock gateway signature verification failed:", error);
+      return null;
+    }
+  }
+
+  parseWebhookEvent(event) {
+    const data = event.data || {};
+    const base = {
+      gatewayEventType: event.event,
+      orderId: data.orderId,
+      transactionId: data.transactionId,
+      amount: data.amount,
+      currency: data.currency,
+      raw: event,
+    };
+
+    switch (event.event) {
+      case "payment.captured":
+        return { ...base, type: "PAYMENT_COMPLETED", method: "CREDIT_CARD" };
+      case "payment.failed":
+        return {
+          ...base,
+          type: "PAYMENT_FAILED",
+          reason: data.reason || "Payment failed",
+        };
+      case "refund.processed":
+        return { ...base, type: "REFUND_PROCESSED", refundId: data.refundId };
+      default:
+        return { ...base, type: "IGNORED" };
+    }
+  }
+}
+
+export default MockGateway;
@@ -0,0 +1,416 @@
+import BaseGateway from "./baseGateway.js";
+
+const PAYPAL_LIVE_URL = "https://api-m.paypal.com";
+const PAYPAL_SANDBOX_URL = "https://api-m.sandbox.paypal.com";
+
+// INR can only be charged by PayPal accounts registered in India, so orders in
+// currencies PayPal can't settle internationally are converted first.
+const PAYPAL_SUPPORTED_CURRENCIES = [
+  "AUD",
+  "BRL",
+  "CAD",
+  "CHF",
+  "CZK",
+  "DKK",
+  "EUR",
+  "GBP",
+  "HKD",
+  "HUF",
+  "ILS",
+  "JPY",
+  "MXN",
+  "NOK",
+  "NZD",
+  "PHP",
+  "PLN",
+  "SEK",
+  "SGD",
+  "THB",
+  "TWD",
+  "USD",
+];
+const PAYPAL_ZERO_DECIMAL_CURRENCIES = ["HUF", "JPY", "TWD"];
+
+class PayPalGateway extends BaseGateway {
+  constructor() {
+    super("PAYPAL", "PayPal");
+  }
+
+  initialize() {
+    if (!process.env.PAYPAL_CLIENT_ID || !process.env.PAYPAL_CLIENT_SECRET) {
+      console.warn("⚠️  PayPal credentials not found");
+      return;
+    }
+
+    this.client = {
+      clientId: process.env.PAYPAL_CLIENT_ID,
+      clientSecret: process.env.PAYPAL_CLIENT_SECRET,
+      baseUrl:
+        process.env.PAYPAL_BASE_URL ||
+        (process.env.PAYPAL_MODE === "live"
+          ? PAYPAL_LIVE_URL
+          : PAYPAL_SANDBOX_URL),
+      webhookId: process.env.PAYPAL_WEBHOOK_ID || null,
+      accessToken: null,
+      tokenExpiresAt: 0,
+    };
+    console.log("✅ PayPal initialized successfully");
+  }
+
+  async getAccessToken() {
+    const paypal = this.getClient();
+
+    if (paypal.accessToken && Date.now() < paypal.tokenExpiresAt) {
+      return paypal.accessToken;
+    }
+
+    const auth = Buffer.from(
+      `${paypal.clientId}:${paypal.clientSecret}`
+    ).toString("base64");
+
+    const response = await fetch(`${paypal.baseUrl}/v1/oauth2/token`, {
+      method: "POST",
+      headers: {
+        Authorization: `Basic ${auth}`,
+        "Content-Type": "application/x-www-form-urlencoded",
+      },
+      body: "grant_type=client_credentials",
+    });
+
+    const data = await response.json();
+    if (!response.ok) {
+      throw new Error(
+        `PayPal authentication failed: ${
+          data.error_description || data.error || response.statusText
+        }`
+      );
+    }
+
+    paypal.accessToken = data.access_token;
+    // Refresh a minute early so in-flight requests never carry a stale token.
+    paypal.tokenExpiresAt = Date.now() + (data.expires_in - 60) * 1000;
+
+    return paypal.accessToken;
+  }
+
+  async request(method, path, body = null, headers = {}) {
+    const paypal = this.getClient();
+    const accessToken = await this.getAccessToken();
+
+    const response = await fetch(`${paypal.baseUrl}${path}`, {
+      method,
+      headers: {
+        Authorization: `Bearer ${accessToken}`,
+        "Content-Type": "application/json",
+        ...headers,
+      },
+      body: body ? JSON.stringify(body) : undefined,
+    });
+
+    const text = await response.text();
+    const data = text ? JSON.parse(text) : {};
+
+    if (!response.ok) {
+      const detail = data.details?.[0];
+      const error = new Error(
+        `PayPal request failed: ${
+          detail?.description || data.message || response.statusText
+        }`
+      );
+      error.statusCode = response.status;
+      error.paypalIssue = detail?.issue || data.name;
+      error.debugId = data.debug_id;
+      throw error;
+    }
+
+    return data;
+  }
+
+  convertAmount(amount, currency = "INR") {
+    const code = currency.toUpperCase();
+
+    if (PAYPAL_SUPPORTED_CURRENCIES.includes(code)) {
+      return { amount, currency: code, exchangeRate: 1 };
+    }
+
+    const fallbackCurrency = (
+      process.env.PAYPAL_SETTLEMENT_CURRENCY || "USD"
+    ).toUpperCase();
+    const exchangeRate = parseFloat(
+      process.env[`PAYPAL_RATE_${code}_${fallbackCurrency}`] ||
+        (code === "INR" && fallbackCurrency === "USD" ? "0.012" : "")
+    );
+
+    if (!exchangeRate) {
+      throw new Error(
+        `PayPal cannot charge ${code} and no PAYPAL_RATE_${code}_${fallbackCurrency} exchange rate is configured`
+      );
+    }
+
+    return {
+      amount: amount * exchangeRate,
+      currency: fallbackCurrency,
+      exchangeRate,
+    };
+  }
+
+  formatAmount(amount, currency) {
+    return PAYPAL_ZERO_DECIMAL_CURRENCIES.includes(currency)
+      ? String(Math.round(amount))
+      : amount.toFixed(2);
+  }
+
+  getCapture(order) {
+    return order?.purchase_units?.[0]?.payments?.captures?.[0] || null;
+  }
+
+  async createOrder(orderData) {
+    const charge = this.convertAmount(
+      orderData.amount,
+      orderData.currency || "INR"
+    );
+    const value = this.formatAmount(charge.amount, charge.currency);
+
+    const order = await this.request(
+      "POST",
+      "/v2/checkout/orders",
+      {
+        intent: "CAPTURE",
+        purchase_units: [
+          {
+            reference_id: orderData.receipt,
+            custom_id: orderData.receipt,
+            invoice_id: orderData.receipt,
+            description: (orderData.description || "Course Purchase").slice(
+              0,
+              127
+            ),
+            amount: { currency_code: charge.currency, value },
+          },
+        ],
+        payment_source: {
+          paypal: {
+            experience_context: {
+              brand_name: process.env.APP_NAME || "Learning Platform",
+              shipping_preference: "NO_SHIPPING",
+              user_action: "PAY_NOW",
+              return_url: `${process.env.FRONTEND_URL}/payment/success?order_id=${orderData.receipt}&gateway=PAYPAL`,
+              cancel_url: `${process.env.FRONTEND_URL}/payment/cancel?order_id=${orderData.receipt}`,
+            },
+          },
+        },
+      },
+      { "PayPal-Request-Id": `order_${orderData.receipt}` }
+    );
+
+    return {
+      ...order,
+      approvalUrl:
+        order.links?.find(
+          (link) => link.rel === "payer-action" || link.rel === "approve"
+        )?.href || null,
+      chargedAmount: parseFloat(value),
+      chargedCurrency: charge.currency,
+      exchangeRate: charge.exchangeRate,
+    };
+  }
+
+  async createCheckout(orderData) {
+    const order = await this.createOrder(orderData);
+
+    return {
+      id: order.id,
+      checkoutUrl: order.approvalUrl,
+      gatewayConfig: {
+        orderId: order.id,
+        clientId: this.getClient().clientId,
+        amount: order.chargedAmount,
+        currency: order.chargedCurrency,
+      },
+      metadata: {
+        paypal: {
+          amount: order.chargedAmount,
+          currency: order.chargedCurrency,
+          exchangeRate: order.exchangeRate,
+        },
+      },
+      raw: order,
+    };
+  }
+
+  async captureOrder(orderId) {
+    return await this.request(
+      "POST",
+      `/v2/checkout/orders/${orderId}/capture`,
+      null,
+      { "PayPal-Request-Id": `capture_${orderId}` }
+    );
+  }
+
+  async verifyPayment({ orderId, paymentId, payerId }) {
+    const paypalOrderId = orderId || paymentId;
+    let order = await this.request(
+      "GET",
+      `/v2/checkout/orders/${paypalOrderId}`
+    );
+
+    if (payerId && order.payer?.payer_id && order.payer.payer_id !== payerId) {
+      return false;
+    }
+
+    if (order.status === "APPROVED") {
+      try {
+        order = await this.captureOrder(paypalOrderId);
+      } catch (error) {
+        // A webhook or a retried request may have captured it in between.
+        if (error.paypalIssue !== "ORDER_ALREADY_CAPTURED") throw error;
+        order = await this.request(
+          "GET",
+          `/v2/checkout/orders/${paypalOrderId}`
+        );
+      }
+    }
+
+    return (
+      order.status === "COMPLETED" &&
+      this.getCapture(order)?.status === "COMPLETED"
+    );
+  }
+
+  async fetchPaymentDetails(transactionId) {
+    return await this.request("GET", `/v2/checkout/orders/${transactionId}`);
+  }
+
+  getPaymentMethod(paymentDetails) {
+    return paymentDetails?.payment_source?.card ? "CREDIT_CARD" : "WALLET";
+  }
+
+  async createRefund(orderId, refundData) {
+    const order = await this.request("GET", `/v2/checkout/orders/${orderId}`);
+    const capture = this.getCapture(order);
+
+    if (!capture) {
+      throw new Error(`No captured payment found for PayPal order ${orderId}`);
+    }
+
+    const body = {
+      note_to_payer: (refundData.notes?.reason || "Refund processed").slice(
+        0,
+        255
+      ),
+    };
+
+    // Refund amounts arrive in the platform currency; partial refunds are
+    // scaled onto the captured PayPal amount, full refunds omit the amount.
+    if (
+      refundData.paymentAmount &&
+      refundData.amount < refundData.paymentAmount
+    ) {
+      const currency = capture.amount.currency_code;
+      body.amount = {
+        currency_code: currency,
+        value: this.formatAmount(
+          (parseFloat(capture.amount.value) * refundData.amount) /
+            refundData.paymentAmount,
+          currency
+        ),
+      };
+    }
+
+    return await this.request(
+      "POST",
+      `/v2/payments/captures/${capture.id}/refund`,
+      body,
+      {
+        "PayPal-Request-Id": `refund_${capture.id}_${
+          body.amount?.value || "full"
+        }`,
+      }
+    );
+  }
+
+  matchesWebhook(headers) {
+    return !!headers["paypal-transmission-id"];
+  }
+
+  isWebhookConfigured() {
+    return this.isAvailable() && !!this.client.webhookId;
+  }
+
+  async verifyWebhook(rawBody, headers) {
+    try {
+      const event = JSON.parse(rawBody);
+      const result = await this.request(
+        "POST",
+        "/v1/notifications/verify-webhook-signature",
+        {
+          auth_algo: headers["paypal-auth-algo"],
+          cert_url: headers["paypal-cert-url"],
+          transmission_id: headers["paypal-transmission-id"],
+          transmission_sig: headers["paypal-transmission-sig"],
+          transmission_time: headers["paypal-transmission-time"],
+          webhook_id: this.getClient().webhookId,
+          webhook_event: event,
+        }
+      );
+
+      return result.verification_status === "SUCCESS" ? event : null;
+    } catch (error) {
+      console.error("PayPal signature verification failed:", error);
+      return null;
+    }
+  }
+
+  parseWebhookEvent(event) {
+    const resource = event.resource || {};
+    const base = { gatewayEventType: event.event_type, raw: event };
+    const orderId =
+      resource.supplementary_data?.related_ids?.order_id || resource.id;
+
+    switch (event.event_type) {
+      case "PAYMENT.CAPTURE.COMPLETED":
+        return {
+          ...base,
+          type: "PAYMENT_COMPLETED",
+          orderId: resource.custom_id,
+          transactionId: orderId,
+          amount: parseFloat(resource.amount?.value || 0),
+          currency: resource.amount?.currency_code,
+        };
+      case "PAYMENT.CAPTURE.DENIED":
+      case "PAYMENT.CAPTURE.DECLINED":
+        return {
+          ...base,
+          type: "PAYMENT_FAILED",
+          orderId: resource.custom_id,
+          transactionId: orderId,
+          reason:
+            resource.status_details?.reason?.replace(/_/g, " ").toLowerCase() ||
+            "Payment failed",
+        };
+      case "PAYMENT.CAPTURE.REFUNDED":
+        return {
+          ...base,
+          type: "REFUND_PROCESSED",
+          orderId: resource.custom_id,
+          refundId: resource.id,
+          amount: parseFloat(resource.amount?.value || 0),
+          currency: resource.amount?.currency_code,
+        };
+      case "CUSTOMER.DISPUTE.CREATED":
+        return {
+          ...base,
+          type: "DISPUTE_CREATED",
+          transactionId:
+            resource.disputed_transactions?.[0]?.seller_transaction_id,
+          amount: parseFloat(resource.dispute_amount?.value || 0),
+          currency: resource.dispute_amount?.currency_code,
+          reason: resource.reason,
+        };
+      default:
+        return { ...base, type: "IGNORED" };
+    }
+  }
+}
+
+export default PayPalGateway;
@@ -0,0 +1,253 @@
+import crypto from "crypto";
+import BaseGateway from "./baseGateway.js";
+
+const PAYU_LIVE_URL = "https://secure.payu.in";
+const PAYU_TEST_URL = "https://test.payu.in";
+const PAYU_LIVE_INFO_URL = "https://info.payu.in";
+
+const PAYU_METHODS = {
+  cc: "CREDIT_CARD",
+  creditcard: "CREDIT_CARD",
+  dc: "DEBIT_CARD",
+  debitcard: "DEBIT_CARD",
+  upi: "UPI",
+  nb: "NET_BANKING",
+  netbanking: "NET_BANKING",
+  cash: "WALLET",
+  wallet: "WALLET",
+  emi: "EMI",
+  banktransfer: "BANK_TRANSFER",
+};
+
+const sha512 = (value) =>
+  crypto.createHash("sha512").update(value).digest("hex");
+
+class PayUGateway extends BaseGateway {
+  constructor() {
+    super("PAYU", "PayU");
+    this.supportedCurrencies = ["INR"];
+  }
+
+  initialize() {
+    if (!process.env.PAYU_KEY || !process.env.PAYU_SALT) {
+      console.warn("⚠️  PayU credentials not found");
+      return;
+    }
+
+    const isLive = process.env.PAYU_MODE === "live";
+    this.client = {
+      key: process.env.PAYU_KEY,
+      salt: process.env.PAYU_SALT,
+      baseUrl:
+        process.env.PAYU_BASE_URL || (isLive ? PAYU_LIVE_URL : PAYU_TEST_URL),
+      infoUrl:
+        process.env.PAYU_INFO_URL ||
+        (isLive ? PAYU_LIVE_INFO_URL : PAYU_TEST_URL),
+    };
+    console.log("✅ PayU initialized successfully");
+  }
+
+  formatAmount(amount) {
+    return (Math.round(amount * 100) / 100).toFixed(2);
+  }
+
+  // PayU transaction ids are capped at 25 characters, so our order id travels
+  // in udf1 instead.
+  generateTxnId() {
+    return `TXN${Date.now()}${Math.random().toString(36).substr(2, 6)}`;
+  }
+
+  async command(command, var1, extra = {}) {
+    const payu = this.getClient();
+    const hash = sha512(`${payu.key}|${command}|${var1}|${payu.salt}`);
+
+    const result = await this.requestJson(
+      `${payu.infoUrl}/merchant/postservice.php?form=2`,
+      {
+        method: "POST",
+        headers: { "Content-Type": "application/x-www-form-urlencoded" },
+        body: new URLSearchParams({
+          key: payu.key,
+          command,
+          var1,
+          hash,
+          ...extra,
+        }).toString(),
+      }
+    );
+
+    if (result.status === 0) {
+      throw new Error(
+        `PayU ${command} failed: ${result.msg || "Unknown error"}`
+      );
+    }
+
+    return result;
+  }
+
+  async createCheckout(orderData) {
+    const payu = this.getClient();
+    const txnid = this.generateTxnId();
+    const amount = this.formatAmount(orderData.amount);
+    const productinfo = (orderData.description || "Course Purchase").slice(
+      0,
+      100
+    );
+    const firstname = orderData.customer?.name || "Customer";
+    const email = orderData.customer?.email || "customer@example.com";
+    const udf1 = orderData.receipt;
+
+    const hash = sha512(
+      `${payu.key}|${txnid}|${amount}|${productinfo}|${firstname}|${email}|${udf1}||||||||||${payu.salt}`
+    );
+
+    const formData = {
+      key: payu.key,
+      txnid,
+      amount,
+      productinfo,
+      firstname,
+      email,
+      phone: orderData.customer?.contact || "9999999999",
+      udf1,
+      surl: `${process.env.FRONTEND_URL}/payment/success?order_id=${orderData.receipt}&gateway=PAYU`,
+      furl: `${process.env.FRONTEND_URL}/payment/failure?order_id=${orderData.receipt}&gateway=PAYU`,
+      hash,
+    };
+
+    return {
+      id: txnid,
+      checkoutUrl: `${payu.baseUrl}/_payment`,
+      gatewayConfig: {
+        key: payu.key,
+        txnid,
+        hash,
+        formData,
+      },
+      raw: formData,
+    };
+  }
+
+  verifyResponseHash(response) {
+    const payu = this.getClient();
+    const reverseHash = [
+      payu.salt,
+      response.status,
+      "",
+      "",
+      "",
+      "",
+      "",
+      response.udf5 || "",
+      response.udf4 || "",
+      response.udf3 || "",
+      response.udf2 || "",
+      response.udf1 || "",
+      response.email,
+      response.firstname,
+      response.productinfo,
+      response.amount,
+      response.txnid,
+      payu.key,
+    ].join("|");
+
+    const expectedHash = sha512(
+      response.additional_charges || response.additionalCharges
+        ? `${
+            response.additional_charges || response.additionalCharges
+          }|${reverseHash}`
+        : reverseHash
+    );
+
+    return this.safeCompare(expectedHash, response.hash);
+  }
+
+  // The redirect hash alone can be replayed, so the transaction status and
+  // amount are always confirmed with PayU's verify_payment API.
+  async verifyPayment({ txnid, amount, response }) {
+    if (response && !this.verifyResponseHash(response)) {
+      return false;
+    }
+
+    const details = await this.fetchPaymentDetails(txnid);
+    if (details?.status !== "success") return false;
+
+    return (
+      amount === undefined ||
+      Math.abs(parseFloat(details.amt) - parseFloat(amount)) < 0.01
+    );
+  }
+
+  async fetchPaymentDetails(transactionId) {
+    const result = await this.command("verify_payment", transactionId);
+    return result.transaction_details?.[transactionId] || null;
+  }
+
+  getPaymentMethod(paymentDetails) {
+    return PAYU_METHODS[paymentDetails?.mode?.toLowerCase()] || "CREDIT_CARD";
+  }
+
+  async createRefund(transactionId, refundData) {
+    const details = await this.fetchPaymentDetails(transactionId);
+
+    if (!details?.mihpayid) {
+      throw new Error(`No PayU payment found for transaction ${transactionId}`);
+    }
+
+    return await this.command("cancel_refund_transaction", details.mihpayid, {
+      var2: `refund_${transactionId}_${Date.now()}`,
+      var3: this.formatAmount(refundData.amount),
+    });
+  }
+
+  matchesWebhook(headers, rawBody) {
+    return (
+      String(headers["content-type"] || "").includes(
+        "application/x-www-form-urlencoded"
+      ) && String(rawBody || "").includes("mihpayid=")
+    );
+  }
+
+  isWebhookConfigured() {
+    return this.isAvailable();
+  }
+
+  async verifyWebhook(rawBody) {
+    try {
+      const payload = Object.fromEntries(new URLSearchParams(String(rawBody)));
+      return this.verifyResponseHash(payload) ? payload : null;
+    } catch (error) {
+      console.error("PayU signature verification failed:", error);
+      return null;
+    }
+  }
+
+  parseWebhookEvent(payload) {
+    const base = { gatewayEventType: payload.status, raw: payload };
+
+    switch (payload.status) {
+      case "success":
+        return {
+          ...base,
+          type: "PAYMENT_COMPLETED",
+          orderId: payload.udf1,
+          transactionId: payload.txnid,
+          amount: parseFloat(payload.amount),
+          currency: "INR",
+          method: this.getPaymentMethod(payload),
+        };
+      case "failure":
+        return {
+          ...base,
+          type: "PAYMENT_FAILED",
+          orderId: payload.udf1,
+          transactionId: payload.txnid,
+          reason: payload.error_Message || payload.field9 || "Payment failed",
+        };
+      default:
+        return { ...base, type: "IGNORED" };
+    }
+  }
+}
+
+export default PayUGateway;
@@ -0,0 +1,265 @@
+import crypto from "crypto";
+import Razorpay from "razorpay";
+import BaseGateway from "./baseGateway.js";
+
+const RAZORPAY_METHODS = {
+  upi: "UPI",
+  netbanking: "NET_BANKING",
+  wallet: "WALLET",
+  emi: "EMI",
+  bank_transfer: "BANK_TRANSFER",
+};
+
+const DISPUTE_STATUSES = {
+  open: "OPEN",
+  under_review: "UNDER_REVIEW",
+  won: "WON",
+  lost: "LOST",
+  closed: "CLOSED",
+};
+
+const DISPUTE_EVENTS = {
+  "payment.dispute.created": "DISPUTE_CREATED",
+  "payment.dispute.action_required": "DISPUTE_UPDATED",
+  "payment.dispute.under_review": "DISPUTE_UPDATED",
+  "payment.dispute.won": "DISPUTE_UPDATED",
+  "payment.dispute.lost": "DISPUTE_UPDATED",
+  "payment.dispute.closed": "DISPUTE_UPDATED",
+};
+
+class RazorpayGateway extends BaseGateway {
+  constructor() {
+    super("RAZORPAY", "Razorpay");
+  }
+
+  initialize() {
+    if (!process.env.RAZORPAY_KEY_ID || !process.env.RAZORPAY_KEY_SECRET) {
+      console.warn("⚠️  Razorpay credentials not found");
+      return;
+    }
+
+    try {
+      this.client = new Razorpay({
+        key_id: process.env.RAZORPAY_KEY_ID,
+        key_secret: process.env.RAZORPAY_KEY_SECRET,
+      });
+      console.log("✅ Razorpay initialized successfully");
+    } catch (error) {
+      console.error("❌ Failed to initialize Razorpay:", error.message);
+    }
+  }
+
+  async createOrder(orderData) {
+    return await this.getClient().orders.create({
+      amount: Math.round(orderData.amount * 100),
+      currency: orderData.currency || "INR",
+      receipt: orderData.receipt,
+      payment_capture: 1,
+      notes: orderData.notes || {},
+    });
+  }
+
+  async createCheckout(orderData) {
+    const paymentLinkData = {
+      amount: Math.round(orderData.amount * 100),
+      currency: orderData.currency,
+      accept_partial: false,
+      reference_id: orderData.receipt,
+      description: orderData.description,
+      notify: { sms: false, email: false },
+      reminder_enable: false,
+      notes: orderData.notes,
+      callback_url: orderData.callback_url,
+      callback_method: orderData.callback_method,
+      expire_by: Math.floor(Date.now() / 1000) + 24 * 60 * 60,
+    };
+
+    if (orderData.customer?.email) {
+      paymentLinkData.customer = {};
+      if (orderData.customer.name)
+        paymentLinkData.customer.name = orderData.customer.name;
+      paymentLinkData.customer.email = orderData.customer.email;
+      if (orderData.customer.contact)
+        paymentLinkData.customer.contact = orderData.customer.contact;
+
+      paymentLinkData.notify = {
+        sms: !!orderData.customer.contact,
+        email: true,
+      };
+      paymentLinkData.reminder_enable = true;
+    }
+
+    let paymentLink;
+    try {
+      paymentLink = await this.getClient().paymentLink.create(paymentLinkData);
+    } catch (error) {
+      throw new Error(
+        `Razorpay Payment Link creation failed: ${
+          error.error?.description || error.message || "Unknown error"
+        }`
+      );
+    }
+
+    return {
+      id: paymentLink.id,
+      checkoutUrl: paymentLink.short_url,
+      gatewayConfig: {
+        paymentLinkId: paymentLink.id,
+        shortUrl: paymentLink.short_url,
+      },
+      raw: paymentLink,
+    };
+  }
+
+  // Payment links and standard checkout sign different payloads, so the
+  // link fields are only present when verifying a payment-link redirect.
+  async verifyPayment({
+    orderId,
+    paymentId,
+    signature,
+    paymentLinkReferenceId,
+    paymentLinkStatus,
+  }) {
+    const payload =
+      paymentLinkReferenceId && paymentLinkStatus
+        ? `${orderId}|${paymentLinkReferenceId}|${paymentLinkStatus}|${paymentId}`
+        : `${orderId}|${paymentId}`;
+
+    const expectedSignature = crypto
+      .createHmac("sha256", process.env.RAZORPAY_KEY_SECRET)
+      .update(payload)
+      .digest("hex");
+
+    return this.safeCompare(expectedSignature, signature);
+  }
+
+  async fetchPaymentDetails(transactionId) {
+    return await this.getClient().payments.fetch(transactionId);
+  }
+
+  getPaymentMethod(paymentDetails) {
+    const method = paymentDetails?.method?.toLowerCase();
+
+    if (method === "card") {
+      return paymentDetails?.card?.type === "credit"
+        ? "CREDIT_CARD"
+        : "DEBIT_CARD";
+    }
+
+    return RAZORPAY_METHODS[method] || "UPI";
+  }
+
+  async createRefund(transactionId, refundData) {
+    return await this.getClient().payments.refund(transactionId, {
+      amount: Math.round(refundData.amount * 100),
+      notes: refundData.notes || {},
+    });
+  }
+
+  // Razorpay takes the written case as the contest summary; supporting
+  // documents have to be uploaded through its dashboard.
+  async submitDisputeEvidence(disputeId, evidence) {
+    return await this.getClient().disputes.contest(disputeId, {
+      amount: Math.round(evidence.amount * 100),
+      summary: [evidence.summary, evidence.accessLog]
+        .filter(Boolean)
+        .join("\n\n")
+        .slice(0, 1000),
+      action: "submit",
+    });
+  }
+
+  getDisputeStatus(status) {
+    return DISPUTE_STATUSES[status] || "OPEN";
+  }
+
+  matchesWebhook(headers) {
+    return !!headers["x-razorpay-signature"];
+  }
+
+  isWebhookConfigured() {
+    return !!process.env.RAZORPAY_WEBHOOK_SECRET;
+  }
+
+  async verifyWebhook(rawBody, headers) {
+    try {
+      const expectedSignature = crypto
+        .createHmac("sha256", process.env.RAZORPAY_WEBHOOK_SECRET)
+        .update(rawBody)
+        .digest("hex");
+
+      if (
+        !this.safeCompare(expectedSignature, headers["x-razorpay-signature"])
+      ) {
+        return null;
+      }
+
+      return JSON.parse(rawBody);
+    } catch (error) {
+      console.error("Razorpay signature verification failed:", error);
+      return null;
+    }
+  }
+
+  parseWebhookEvent(event) {
+    const payment = event.payload?.payment?.entity;
+    const refund = event.payload?.refund?.entity;
+    const dispute = event.payload?.dispute?.entity;
+    const base = { gatewayEventType: event.event, raw: event };
+
+    switch (event.event) {
+      case "payment.captured":
+      case "order.paid":
+        return {
+          ...base,
+          type: "PAYMENT_COMPLETED",
+          orderId: payment?.order_id || event.payload?.order?.entity?.id,
+          transactionId: payment?.id,
+          amount: payment ? payment.amount / 100 : null,
+          currency: payment?.currency,
+          method: this.getPaymentMethod(payment),
+        };
+      case "payment.failed":
+        return {
+          ...base,
+          type: "PAYMENT_FAILED",
+          orderId: payment?.order_id,
+          transactionId: payment?.id,
+          reason: payment?.error_description || "Payment failed",
+        };
+      case "refund.processed":
+        return {
+          ...base,
+          type: "REFUND_PROCESSED",
+          transactionId: refund?.payment_id,
+          refundId: refund?.id,
+          amount: refund ? refund.amount / 100 : null,
+          currency: refund?.currency,
+        };
+      case "payment.dispute.created":
+      case "payment.dispute.action_required":
+      case "payment.dispute.under_review":
+      case "payment.dispute.won":
+      case "payment.dispute.lost":
+      case "payment.dispute.closed":
+        return {
+          ...base,
+          type: DISPUTE_EVENTS[event.event],
+          transactionId: dispute?.payment_id,
+          disputeId: dispute?.id,
+          disputeStatus: this.getDisputeStatus(dispute?.status),
+          gatewayStatus: dispute?.status,
+          amount: dispute ? dispute.amount / 100 : null,
+          currency: dispute?.currency,
+          reason: dispute?.reason_description,
+          evidenceDueBy: dispute?.respond_by
+            ? new Date(dispute.respond_by * 1000)
+            : null,
+        };
+      default:
+        return { ...base, type: "IGNORED" };
+    }
+  }
+}
+
+export default RazorpayGateway;
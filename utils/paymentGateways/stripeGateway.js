@@ -0,0 +1,260 @@
+import Stripe from "stripe";
+import BaseGateway from "./baseGateway.js";
+
+const DISPUTE_STATUSES = {
+  warning_needs_response: "OPEN",
+  needs_response: "OPEN",
+  warning_under_review: "UNDER_REVIEW",
+  under_review: "UNDER_REVIEW",
+  won: "WON",
+  lost: "LOST",
+  warning_closed: "CLOSED",
+};
+
+// Stripe caps free-text evidence fields at 20,000 characters.
+const EVIDENCE_TEXT_LIMIT = 20000;
+
+class StripeGateway extends BaseGateway {
+  constructor() {
+    super("STRIPE", "Stripe");
+  }
+
+  initialize() {
+    if (!process.env.STRIPE_SECRET_KEY) {
+      console.warn("⚠️  Stripe credentials not found");
+      return;
+    }
+
+    try {
+      this.client = new Stripe(process.env.STRIPE_SECRET_KEY);
+      console.log("✅ Stripe initialized successfully");
+    } catch (error) {
+      console.error("❌ Failed to initialize Stripe:", error.message);
+    }
+  }
+
+  prepareMetadata(metadata) {
+    if (!metadata || typeof metadata !== "object") {
+      return {};
+    }
+
+    const stripeMetadata = {};
+
+    for (const [key, value] of Object.entries(metadata)) {
+      if (value === null || value === undefined) {
+        continue;
+      }
+
+      if (typeof value === "object") {
+        stripeMetadata[key] = JSON.stringify(value);
+      } else {
+        stripeMetadata[key] = String(value);
+      }
+    }
+
+    Object.keys(stripeMetadata).forEach((key) => {
+      if (stripeMetadata[key].length > 500) {
+        stripeMetadata[key] = stripeMetadata[key].substring(0, 497) + "...";
+      }
+    });
+
+    if (Object.keys(stripeMetadata).length > 50) {
+      const limitedMetadata = {};
+      Object.keys(stripeMetadata)
+        .slice(0, 50)
+        .forEach((key) => {
+          limitedMetadata[key] = stripeMetadata[key];
+        });
+      return limitedMetadata;
+    }
+
+    return stripeMetadata;
+  }
+
+  async createOrder(orderData) {
+    return await this.getClient().paymentIntents.create({
+      amount: Math.round(orderData.amount * 100),
+      currency: orderData.currency || "inr",
+      metadata: this.prepareMetadata(orderData.metadata),
+    });
+  }
+
+  async createCheckout(orderData) {
+    const session = await this.getClient().checkout.sessions.create({
+      payment_method_types: ["card"],
+      line_items: [
+        {
+          price_data: {
+            currency: orderData.currency?.toLowerCase() || "inr",
+            product_data: {
+              name: orderData.description || "Course Purchase",
+            },
+            unit_amount: Math.round(orderData.amount * 100),
+          },
+          quantity: 1,
+        },
+      ],
+      mode: "payment",
+      success_url: `${process.env.FRONTEND_URL}/payment/success?session_id={CHECKOUT_SESSION_ID}&order_id=${orderData.receipt}`,
+      cancel_url: `${process.env.FRONTEND_URL}/payment/cancel?order_id=${orderData.receipt}`,
+      metadata: this.prepareMetadata(orderData.metadata),
+      client_reference_id: orderData.receipt,
+    });
+
+    return {
+      id: session.id,
+      checkoutUrl: session.url,
+      clientSecret: session.client_secret,
+      gatewayConfig: {
+        sessionId: session.id,
+        checkoutUrl: session.url,
+      },
+      raw: session,
+    };
+  }
+
+  async verifyPayment({ paymentIntentId }) {
+    const paymentIntent = await this.getClient().paymentIntents.retrieve(
+      paymentIntentId
+    );
+    return paymentIntent.status === "succeeded";
+  }
+
+  async fetchPaymentDetails(transactionId) {
+    return await this.getClient().paymentIntents.retrieve(transactionId);
+  }
+
+  getPaymentMethod(paymentDetails) {
+    switch (paymentDetails?.payment_method_types?.[0]?.toLowerCase()) {
+      case "upi":
+        return "UPI";
+      case "bank_transfer":
+        return "BANK_TRANSFER";
+      default:
+        return "CREDIT_CARD";
+    }
+  }
+
+  async createRefund(transactionId, refundData) {
+    return await this.getClient().refunds.create({
+      payment_intent: transactionId,
+      amount: Math.round(refundData.amount * 100),
+      metadata: this.prepareMetadata(refundData.metadata || {}),
+    });
+  }
+
+  async submitDisputeEvidence(disputeId, evidence) {
+    const text = (value) =>
+      value ? String(value).slice(0, EVIDENCE_TEXT_LIMIT) : undefined;
+
+    return await this.getClient().disputes.update(disputeId, {
+      evidence: {
+        customer_name: evidence.customer?.name,
+        customer_email_address: evidence.customer?.email,
+        customer_purchase_ip: evidence.customer?.ipAddress || undefined,
+        product_description: text(evidence.productDescription),
+        service_date: evidence.purchasedAt?.slice(0, 10),
+        access_activity_log: text(evidence.accessLog),
+        uncategorized_text: text(evidence.summary),
+      },
+      metadata: this.prepareMetadata(evidence.metadata || {}),
+      submit: true,
+    });
+  }
+
+  getDisputeStatus(status) {
+    return DISPUTE_STATUSES[status] || "OPEN";
+  }
+
+  matchesWebhook(headers) {
+    return !!headers["stripe-signature"];
+  }
+
+  isWebhookConfigured() {
+    return !!process.env.STRIPE_WEBHOOK_SECRET;
+  }
+
+  async verifyWebhook(rawBody, headers) {
+    try {
+      return this.getClient().webhooks.constructEvent(
+        rawBody,
+        headers["stripe-signature"],
+        process.env.STRIPE_WEBHOOK_SECRET
+      );
+    } catch (error) {
+      console.error("Stripe signature verification failed:", error);
+      return null;
+    }
+  }
+
+  parseWebhookEvent(event) {
+    const object = event.data?.object;
+    const base = { gatewayEventType: event.type, raw: event };
+
+    switch (event.type) {
+      case "payment_intent.succeeded":
+        return {
+          ...base,
+          type: "PAYMENT_COMPLETED",
+          orderId: object.metadata?.orderId,
+          transactionId: object.id,
+          amount: object.amount_received / 100,
+          currency: object.currency?.toUpperCase(),
+          method: this.getPaymentMethod(object),
+        };
+      case "checkout.session.completed":
+        return {
+          ...base,
+          type:
+            object.mode === "payment" && object.payment_status === "paid"
+              ? "PAYMENT_COMPLETED"
+              : "IGNORED",
+          orderId: object.client_reference_id,
+          transactionId: object.id,
+          amount: object.amount_total / 100,
+          currency: object.currency?.toUpperCase(),
+        };
+      case "payment_intent.payment_failed":
+        return {
+          ...base,
+          type: "PAYMENT_FAILED",
+          orderId: object.metadata?.orderId,
+          transactionId: object.id,
+          reason: object.last_payment_error?.message || "Payment failed",
+        };
+      case "charge.refunded":
+        return {
+          ...base,
+          type: "REFUND_PROCESSED",
+          transactionId: object.payment_intent,
+          refundId: object.refunds?.data?.[0]?.id,
+          amount: object.amount_refunded / 100,
+          currency: object.currency?.toUpperCase(),
+        };
+      case "charge.dispute.created":
+      case "charge.dispute.updated":
+      case "charge.dispute.closed":
+        return {
+          ...base,
+          type:
+            event.type === "charge.dispute.created"
+              ? "DISPUTE_CREATED"
+              : "DISPUTE_UPDATED",
+          transactionId: object.payment_intent,
+          disputeId: object.id,
+          disputeStatus: this.getDisputeStatus(object.status),
+          gatewayStatus: object.status,
+          amount: object.amount / 100,
+          currency: object.currency?.toUpperCase(),
+          reason: object.reason,
+          evidenceDueBy: object.evidence_details?.due_by
+            ? new Date(object.evidence_details.due_by * 1000)
+            : null,
+        };
+      default:
+        return { ...base, type: "IGNORED" };
+    }
+  }
+}
+
+export default StripeGateway;
@@ -1,97 +1,75 @@
-import Razorpay from "razorpay";
-import Stripe from "stripe";
+import { PrismaClient } from "@prisma/client";
+import redisService from "./redis.js";
+import RazorpayGateway from "./paymentGateways/razorpayGateway.js";
+import StripeGateway from "./paymentGateways/stripeGateway.js";
+import PayPalGateway from "./paymentGateways/paypalGateway.js";
+import CashfreeGateway from "./paymentGateways/cashfreeGateway.js";
+import PayUGateway from "./paymentGateways/payuGateway.js";
+import MockGateway from "./paymentGateways/mockGateway.js";
+
+const prisma = new PrismaClient();
+
+const GATEWAY_ROUTES_CACHE_KEY = "payment_gateway_routes";
 
 class PaymentService {
   constructor() {
-    this.razorpay = null;
-    this.stripe = null;
-    this.paypal = null;
+    this.gateways = new Map();
 
     this.initializePaymentGateways();
   }
 
   initializePaymentGateways() {
-    if (process.env.RAZORPAY_KEY_ID && process.env.RAZORPAY_KEY_SECRET) {
-      try {
-        this.razorpay = new Razorpay({
-          key_id: process.env.RAZORPAY_KEY_ID,
-          key_secret: process.env.RAZORPAY_KEY_SECRET,
-        });
-        console.log("✅ Razorpay initialized successfully");
-      } catch (error) {
-        console.error("❌ Failed to initialize Razorpay:", error.message);
-      }
-    } else {
-      console.warn("⚠️  Razorpay credentials not found");
-    }
+    [
+      new RazorpayGateway(),
+      new StripeGateway(),
+      new PayPalGateway(),
+      new CashfreeGateway(),
+      new PayUGateway(),
+      new MockGateway(),
+    ].forEach((gateway) => this.registerGateway(gateway));
+  }
 
-    if (process.env.STRIPE_SECRET_KEY) {
-      try {
-        this.stripe = new Stripe(process.env.STRIPE_SECRET_KEY);
-        console.log("✅ Stripe initialized successfully");
-      } catch (error) {
-        console.error("❌ Failed to initialize Stripe:", error.message);
-      }
-    } else {
-      console.warn("⚠️  Stripe credentials not found");
-    }
+  registerGateway(gateway) {
+    gateway.initialize();
+    this.gateways.set(gateway.name, gateway);
+  }
 
-    if (process.env.PAYPAL_CLIENT_ID && process.env.PAYPAL_CLIENT_SECRET) {
-      try {
-        console.log("✅ PayPal credentials found (implementation pending)");
-      } catch (error) {
-        console.error("❌ Failed to initialize PayPal:", error.message);
-      }
-    } else {
-      console.warn("⚠️  PayPal credentials not found");
+  getGateway(name) {
+    const gateway = this.gateways.get(name);
+    if (!gateway) {
+      throw new Error(`Unsupported gateway: ${name}`);
     }
+    return gateway;
   }
 
   getRazorpay() {
-    if (!this.razorpay) {
-      throw new Error(
-        "Razorpay is not configured. Please check your credentials."
-      );
-    }
-    return this.razorpay;
+    return this.getGateway("RAZORPAY").getClient();
   }
 
   getStripe() {
-    if (!this.stripe) {
-      throw new Error(
-        "Stripe is not configured. Please check your credentials."
-      );
-    }
-    return this.stripe;
+    return this.getGateway("STRIPE").getClient();
   }
 
   getPayPal() {
-    if (!this.paypal) {
-      throw new Error(
-        "PayPal is not configured. Please check your credentials."
-      );
-    }
-    return this.paypal;
+    return this.getGateway("PAYPAL").getClient();
   }
 
   isRazorpayAvailable() {
-    return !!this.razorpay;
+    return this.getGateway("RAZORPAY").isAvailable();
   }
 
   isStripeAvailable() {
-    return !!this.stripe;
+    return this.getGateway("STRIPE").isAvailable();
   }
 
   isPayPalAvailable() {
-    return !!this.paypal;
+    return this.getGateway("PAYPAL").isAvailable();
   }
 
   getAvailableGateways() {
-    const gateways = [];
-    if (this.isRazorpayAvailable()) gateways.push("RAZORPAY");
-    if (this.isStripeAvailable()) gateways.push("STRIPE");
-    if (this.isPayPalAvailable()) gateways.push("PAYPAL");
-    return gateways;
+    return [...this.gateways.values()]
+      .filter((gateway) => gateway.isAvailable())
+      .map((gateway) => gateway.name);
   }
 
   validateGateway(gateway) {
@@ -99,180 +77,187 @@ class PaymentService {
     return availableGateways.includes(gateway);
   }
 
-  prepareStripeMetadata(metadata) {
-    if (!metadata || typeof metadata !== "object") {
-      return {};
-    }
+  describeGateways() {
+    return [...this.gateways.values()].map((gateway) => ({
+      gateway: gateway.name,
+      name: gateway.displayName,
+      available: gateway.isAvailable(),
+      webhookConfigured: gateway.isWebhookConfigured(),
+      supportedCurrencies: gateway.supportedCurrencies || "ALL",
+    }));
+  }
 
-    const stripeMetadata = {};
+  async getGatewayRoutes() {
+    const cached = await redisService.getJSON(GATEWAY_ROUTES_CACHE_KEY);
+    if (cached) return cached;
 
-    for (const [key, value] of Object.entries(metadata)) {
-      if (value === null || value === undefined) {
-        continue;
-      }
+    const routes = await prisma.paymentGatewayRoute.findMany({
+      where: { isActive: true },
+      orderBy: [{ priority: "desc" }, { createdAt: "asc" }],
+    });
 
-      if (typeof value === "object") {
-        stripeMetadata[key] = JSON.stringify(value);
-      } else {
-        stripeMetadata[key] = String(value);
-      }
-    }
+    await redisService.setJSON(GATEWAY_ROUTES_CACHE_KEY, routes, { ex: 300 });
+    return routes;
+  }
 
-    Object.keys(stripeMetadata).forEach((key) => {
-      if (stripeMetadata[key].length > 500) {
-        stripeMetadata[key] = stripeMetadata[key].substring(0, 497) + "...";
-      }
-    });
+  async invalidateGatewayRoutes() {
+    await redisService.del(GATEWAY_ROUTES_CACHE_KEY);
+  }
 
-    if (Object.keys(stripeMetadata).length > 50) {
-      const limitedMetadata = {};
-      Object.keys(stripeMetadata)
-        .slice(0, 50)
-        .forEach((key) => {
-          limitedMetadata[key] = stripeMetadata[key];
-        });
-      return limitedMetadata;
-    }
+  // Routes with a country beat currency-only routes, which beat catch-all
+  // routes; priority breaks ties. When no route matches, every available
+  // gateway that can charge the currency stays eligible so one rule for a
+  // single market doesn't switch off checkout everywhere else.
+  async resolveGateways({ currency = "INR", country = null } = {}) {
+    const currencyCode = String(currency).toUpperCase();
+    const countryCode = country ? String(country).toUpperCase() : null;
+
+    const candidates = this.getAvailableGateways().filter((name) =>
+      this.getGateway(name).supportsCurrency(currencyCode)
+    );
+
+    const routes = await this.getGatewayRoutes();
+    const matched = routes
+      .filter(
+        (route) =>
+          candidates.includes(route.gateway) &&
+          (!route.currency || route.currency === currencyCode) &&
+          (!route.country || route.country === countryCode)
+      )
+      .map((route) => ({
+        gateway: route.gateway,
+        specificity: (route.country ? 2 : 0) + (route.currency ? 1 : 0),
+        priority: route.priority,
+      }))
+      .sort((a, b) => b.specificity - a.specificity || b.priority - a.priority);
+
+    if (matched.length === 0) return candidates;
+
+    return [...new Set(matched.map((route) => route.gateway))];
+  }
 
-    return stripeMetadata;
+  prepareStripeMetadata(metadata) {
+    return this.getGateway("STRIPE").prepareMetadata(metadata);
   }
 
   async createOrder(gateway, orderData) {
-    switch (gateway) {
-      case "RAZORPAY":
-        return await this.createRazorpayOrder(orderData);
-      case "STRIPE":
-        return await this.createStripePaymentIntent(orderData);
-      case "PAYPAL":
-        return await this.createPayPalOrder(orderData);
-      default:
-        throw new Error(`Unsupported gateway: ${gateway}`);
-    }
+    return await this.getGateway(gateway).createOrder(orderData);
   }
 
-  async createRazorpayOrder(orderData) {
-    const razorpay = this.getRazorpay();
-    return await razorpay.orders.create({
-      amount: Math.round(orderData.amount * 100),
-      currency: orderData.currency || "INR",
-      receipt: orderData.receipt,
-      payment_capture: 1,
-      notes: orderData.notes || {},
-    });
+  async createCheckout(gateway, orderData) {
+    return await this.getGateway(gateway).createCheckout(orderData);
   }
 
-  async createStripePaymentIntent(orderData) {
+  async createStripeSubscriptionPrice(planData) {
     const stripe = this.getStripe();
 
-    const stripeMetadata = this.prepareStripeMetadata(orderData.metadata);
+    const product = planData.stripeProductId
+      ? await stripe.products.update(planData.stripeProductId, {
+          name: planData.name,
+          description: planData.description || undefined,
+        })
+      : await stripe.products.create({
+          name: planData.name,
+          description: planData.description || undefined,
+          metadata: this.prepareStripeMetadata({ planId: planData.id }),
+        });
 
-    return await stripe.paymentIntents.create({
-      amount: Math.round(orderData.amount * 100),
-      currency: orderData.currency || "inr",
-      metadata: stripeMetadata,
+    const price = await stripe.prices.create({
+      product: product.id,
+      currency: planData.currency?.toLowerCase() || "inr",
+      unit_amount: Math.round(planData.price * 100),
+      recurring: {
+        interval: planData.interval === "ANNUAL" ? "year" : "month",
+      },
+      metadata: this.prepareStripeMetadata({ planId: planData.id }),
     });
+
+    return { productId: product.id, priceId: price.id };
+  }
+
+  async archiveStripePrice(priceId) {
+    return await this.getStripe().prices.update(priceId, { active: false });
   }
 
-  async createStripeCheckoutSession(orderData) {
+  async createStripeSubscriptionCheckout(subscriptionData) {
     const stripe = this.getStripe();
 
-    const stripeMetadata = this.prepareStripeMetadata(orderData.metadata);
+    const metadata = this.prepareStripeMetadata(subscriptionData.metadata);
 
     const session = await stripe.checkout.sessions.create({
-      payment_method_types: ["card"],
-      line_items: [
-        {
-          price_data: {
-            currency: orderData.currency?.toLowerCase() || "inr",
-            product_data: {
-              name: orderData.description || "Course Purchase",
-            },
-            unit_amount: Math.round(orderData.amount * 100),
-          },
-          quantity: 1,
-        },
-      ],
-      mode: "payment",
-      success_url: `${process.env.FRONTEND_URL}/payment/success?session_id={CHECKOUT_SESSION_ID}&order_id=${orderData.receipt}`,
-      cancel_url: `${process.env.FRONTEND_URL}/payment/cancel?order_id=${orderData.receipt}`,
-      metadata: stripeMetadata,
-      client_reference_id: orderData.receipt,
+      mode: "subscription",
+      line_items: [{ price: subscriptionData.priceId, quantity: 1 }],
+      customer: subscriptionData.customerId || undefined,
+      customer_email: subscriptionData.customerId
+        ? undefined
+        : subscriptionData.email,
+      success_url: `${process.env.FRONTEND_URL}/subscriptions/success?session_id={CHECKOUT_SESSION_ID}`,
+      cancel_url: `${process.env.FRONTEND_URL}/subscriptions/cancel`,
+      client_reference_id: subscriptionData.reference,
+      metadata,
+      subscription_data: {
+        metadata,
+        ...(subscriptionData.trialDays > 0 && {
+          trial_period_days: subscriptionData.trialDays,
+        }),
+      },
     });
 
     return {
       id: session.id,
       url: session.url,
-      client_secret: session.client_secret,
     };
   }
 
-  async createPayPalOrder(orderData) {
-    throw new Error("PayPal integration not implemented yet");
+  async retrieveStripeSubscription(subscriptionId) {
+    return await this.getStripe().subscriptions.retrieve(subscriptionId);
   }
 
-  async verifyPayment(gateway, paymentData) {
-    switch (gateway) {
-      case "RAZORPAY":
-        return this.verifyRazorpayPayment(paymentData);
-      case "STRIPE":
-        return await this.verifyStripePayment(paymentData);
-      case "PAYPAL":
-        return await this.verifyPayPalPayment(paymentData);
-      default:
-        throw new Error(`Unsupported gateway: ${gateway}`);
+  async cancelStripeSubscription(subscriptionId, { atPeriodEnd = true } = {}) {
+    const stripe = this.getStripe();
+
+    if (atPeriodEnd) {
+      return await stripe.subscriptions.update(subscriptionId, {
+        cancel_at_period_end: true,
+      });
     }
+
+    return await stripe.subscriptions.cancel(subscriptionId);
   }
 
-  async verifyRazorpayPayment({ orderId, paymentId, signature }) {
-    const crypto = await import("crypto");
-    const expectedSignature = crypto
-      .createHmac("sha256", process.env.RAZORPAY_KEY_SECRET)
-      .update(`${orderId}|${paymentId}`)
-      .digest("hex");
-    return expectedSignature === signature;
+  async resumeStripeSubscription(subscriptionId) {
+    return await this.getStripe().subscriptions.update(subscriptionId, {
+      cancel_at_period_end: false,
+    });
   }
 
-  async verifyStripePayment({ paymentIntentId }) {
-    const stripe = this.getStripe();
-    const paymentIntent = await stripe.paymentIntents.retrieve(paymentIntentId);
-    return paymentIntent.status === "succeeded";
+  async verifyPayment(gateway, paymentData) {
+    return await this.getGateway(gateway).verifyPayment(paymentData);
   }
 
-  async verifyPayPalPayment(paymentData) {
-    throw new Error("PayPal verification not implemented yet");
+  async fetchPaymentDetails(gateway, transactionId, context = {}) {
+    return await this.getGateway(gateway).fetchPaymentDetails(
+      transactionId,
+      context
+    );
   }
 
-  async fetchPaymentDetails(gateway, transactionId) {
-    switch (gateway) {
-      case "RAZORPAY":
-        return await this.getRazorpay().payments.fetch(transactionId);
-      case "STRIPE":
-        return await this.getStripe().paymentIntents.retrieve(transactionId);
-      case "PAYPAL":
-        throw new Error("PayPal fetch not implemented yet");
-      default:
-        throw new Error(`Unsupported gateway: ${gateway}`);
-    }
+  getPaymentMethod(gateway, paymentDetails) {
+    return this.getGateway(gateway).getPaymentMethod(paymentDetails);
   }
 
   async createRefund(gateway, transactionId, refundData) {
-    switch (gateway) {
-      case "RAZORPAY":
-        return await this.getRazorpay().payments.refund(transactionId, {
-          amount: Math.round(refundData.amount * 100),
-          notes: refundData.notes || {},
-        });
-      case "STRIPE":
-        return await this.getStripe().refunds.create({
-          payment_intent: transactionId,
-          amount: Math.round(refundData.amount * 100),
-          metadata: this.prepareStripeMetadata(refundData.metadata || {}),
-        });
-      case "PAYPAL":
-        throw new Error("PayPal refund not implemented yet");
-      default:
-        throw new Error(`Unsupported gateway: ${gateway}`);
+    return await this.getGateway(gateway).createRefund(
+      transactionId,
+      refundData
+    );
+  }
+
+  detectWebhookGateway(headers, rawBody) {
+    for (const gateway of this.gateways.values()) {
+      if (gateway.matchesWebhook(headers, rawBody)) return gateway.name;
     }
+    return null;
   }
 }
 
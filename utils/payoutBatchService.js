@@ -0,0 +1,400 @@
+import { PrismaClient } from "@prisma/client";
+import redisService from "./redis.js";
+import notificationService from "./notificationservice.js";
+import payoutService from "./payoutService.js";
+import earningLedgerService from "./earningLedgerService.js";
+import {
+  formatPayoutPeriod,
+  validateMinPayoutAmount,
+} from "../helper/payoutHelperFunctions.js";
+
+const prisma = new PrismaClient();
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+const round = (value) => Math.round(value * 100) / 100;
+
+const toBoolean = (value, fallback) => {
+  if (value === undefined || value === null || value === "") return fallback;
+  return value === true || value === "true";
+};
+
+// Scheduled payout runs sweep every unclaimed PENDING earning that has
+// cleared the refund hold window into one Payout per instructor and
+// currency. Runs land in a batch that an admin approves before any money
+// moves, unless auto-approval is switched on in the payment settings.
+class PayoutBatchService {
+  // Payout settings live with the rest of the payment settings so admins can
+  // change them from the system settings screen; env vars are the defaults.
+  async getScheduleSettings() {
+    const settings =
+      (await redisService.getJSON("system_settings"))?.payments || {};
+
+    const schedule = String(
+      settings.payoutSchedule || process.env.PAYOUT_SCHEDULE || "monthly"
+    ).toLowerCase();
+
+    return {
+      enabled: toBoolean(
+        settings.enableScheduledPayouts,
+        process.env.ENABLE_SCHEDULED_PAYOUTS !== "false"
+      ),
+      schedule: schedule === "weekly" ? "WEEKLY" : "MONTHLY",
+      dayOfWeek: parseInt(
+        settings.payoutDayOfWeek ?? process.env.PAYOUT_DAY_OF_WEEK ?? 1
+      ),
+      dayOfMonth: parseInt(
+        settings.payoutDayOfMonth ?? process.env.PAYOUT_DAY_OF_MONTH ?? 1
+      ),
+      holdDays: await earningLedgerService.getHoldDays(),
+      autoApprove: toBoolean(
+        settings.autoApprovePayouts,
+        process.env.AUTO_APPROVE_PAYOUTS === "true"
+      ),
+    };
+  }
+
+  isRunDue(settings, runAt = new Date()) {
+    return settings.schedule === "WEEKLY"
+      ? runAt.getUTCDay() === settings.dayOfWeek
+      : runAt.getUTCDate() === settings.dayOfMonth;
+  }
+
+  // Periods are half-open [periodStart, periodEnd) in UTC and end at the
+  // start of the run day, so a rerun on the same day finds the same batch.
+  getPeriod(schedule, runAt = new Date()) {
+    const periodEnd = new Date(
+      Date.UTC(runAt.getUTCFullYear(), runAt.getUTCMonth(), runAt.getUTCDate())
+    );
+
+    const periodStart =
+      schedule === "WEEKLY"
+        ? new Date(periodEnd.getTime() - 7 * DAY_MS)
+        : new Date(
+            Date.UTC(
+              periodEnd.getUTCFullYear(),
+              periodEnd.getUTCMonth() - 1,
+              periodEnd.getUTCDate()
+            )
+          );
+
+    return { periodStart, periodEnd };
+  }
+
+  async getBatch(batchId) {
+    return await prisma.payoutBatch.findUnique({ where: { id: batchId } });
+  }
+
+  async invalidateBatchCaches() {
+    await redisService.delPattern("admin_payout_batches:*");
+    await redisService.delPattern("admin_payouts:*");
+  }
+
+  async getEligibleEarnings(cutoffDate) {
+    return await prisma.earning.findMany({
+      where: {
+        status: "PENDING",
+        payoutId: null,
+        createdAt: { lte: cutoffDate },
+        payment: { status: "COMPLETED" },
+      },
+      orderBy: { createdAt: "asc" },
+      select: {
+        id: true,
+        commission: true,
+        currency: true,
+        instructorId: true,
+        instructor: {
+          select: {
+            id: true,
+            paymentDetails: true,
+          },
+        },
+      },
+    });
+  }
+
+  groupEarnings(earnings) {
+    const groups = new Map();
+
+    for (const earning of earnings) {
+      const key = `${earning.instructorId}:${earning.currency}`;
+      if (!groups.has(key)) {
+        groups.set(key, {
+          instructorId: earning.instructorId,
+          currency: earning.currency,
+          hasPaymentDetails: !!earning.instructor.paymentDetails,
+          earningIds: [],
+          amount: 0,
+        });
+      }
+
+      const group = groups.get(key);
+      group.earningIds.push(earning.id);
+      group.amount = round(group.amount + parseFloat(earning.commission));
+    }
+
+    return [...groups.values()];
+  }
+
+  // Instructors below the minimum or without payment details are left out
+  // and their earnings roll over into the next run.
+  async runPayoutCycle({ runAt = new Date(), triggeredById = null } = {}) {
+    const settings = await this.getScheduleSettings();
+    const { periodStart, periodEnd } = this.getPeriod(settings.schedule, runAt);
+
+    const existing = await prisma.payoutBatch.findUnique({
+      where: {
+        schedule_periodStart: { schedule: settings.schedule, periodStart },
+      },
+    });
+
+    if (existing) {
+      return { batch: existing, created: false };
+    }
+
+    const cutoffDate = new Date(
+      periodEnd.getTime() - settings.holdDays * DAY_MS
+    );
+    const groups = this.groupEarnings(
+      await this.getEligibleEarnings(cutoffDate)
+    );
+
+    const payable = [];
+    const skipped = [];
+
+    // Clawbacks from refunds after an earlier payout come off this one.
+    for (const group of groups) {
+      const clawbacks = await earningLedgerService.getOutstandingClawbacks(
+        group.instructorId,
+        group.currency
+      );
+      group.grossAmount = group.amount;
+      group.clawbackIds = clawbacks.ids;
+      group.clawbackAmount = clawbacks.amount;
+      group.amount = round(group.amount - clawbacks.amount);
+    }
+
+    for (const group of groups) {
+      const minPayout = validateMinPayoutAmount(group.amount, group.currency);
+
+      if (!group.hasPaymentDetails) {
+        skipped.push({
+          instructorId: group.instructorId,
+          currency: group.currency,
+          amount: group.amount,
+          reason: "Payment details not configured",
+        });
+      } else if (!minPayout.isValid) {
+        skipped.push({
+          instructorId: group.instructorId,
+          currency: group.currency,
+          amount: group.amount,
+          reason: minPayout.error,
+        });
+      } else {
+        payable.push(group);
+      }
+    }
+
+    const totals = Object.values(
+      payable.reduce((acc, group) => {
+        const entry = acc[group.currency] || {
+          currency: group.currency,
+          amount: 0,
+          payouts: 0,
+        };
+        entry.amount = round(entry.amount + group.amount);
+        entry.payouts += 1;
+        acc[group.currency] = entry;
+        return acc;
+      }, {})
+    );
+
+    const batch = await prisma.$transaction(
+      async (tx) => {
+        const created = await tx.payoutBatch.create({
+          data: {
+            schedule: settings.schedule,
+            periodStart,
+            periodEnd,
+            cutoffDate,
+            status: settings.autoApprove ? "APPROVED" : "PENDING_APPROVAL",
+            payoutCount: payable.length,
+            totals,
+            skipped,
+            triggeredById,
+            approvedAt: settings.autoApprove ? new Date() : null,
+          },
+        });
+
+        for (const group of payable) {
+          const payout = await tx.payout.create({
+            data: {
+              amount: group.amount,
+              currency: group.currency,
+              status: "PENDING",
+              instructorId: group.instructorId,
+              batchId: created.id,
+            },
+          });
+
+          const linked = await tx.earning.updateMany({
+            where: { id: { in: group.earningIds }, payoutId: null },
+            data: { payoutId: payout.id },
+          });
+
+          if (linked.count !== group.earningIds.length) {
+            throw new Error("Earnings changed while creating payout batch");
+          }
+
+          await earningLedgerService.claimClawbacks(
+            tx,
+            payout.id,
+            group.clawbackIds
+          );
+        }
+
+        return created;
+      },
+      { timeout: 60000 }
+    );
+
+    await this.invalidateBatchCaches();
+    for (const group of payable) {
+      await redisService.delPattern(`earnings_overview:${group.instructorId}`);
+      await redisService.delPattern(`payout_history:${group.instructorId}:*`);
+    }
+
+    if (settings.autoApprove) {
+      await this.executeBatch(batch.id);
+    } else {
+      await this.notifyAdmins(batch);
+    }
+
+    return { batch: await this.getBatch(batch.id), created: true };
+  }
+
+  async notifyAdmins(batch) {
+    try {
+      const admins = await prisma.user.findMany({
+        where: { role: "ADMIN", isActive: true },
+        select: { id: true },
+      });
+
+      if (admins.length === 0) return;
+
+      await notificationService.createBulkNotifications({
+        userIds: admins.map((admin) => admin.id),
+        type: "payout_batch_pending",
+        title: "Payout Batch Awaiting Approval",
+        message: `The ${formatPayoutPeriod(batch)} payout run created ${
+          batch.payoutCount
+        } payouts that need approval.`,
+        priority: "HIGH",
+        data: {
+          batchId: batch.id,
+          payoutCount: batch.payoutCount,
+          totals: batch.totals,
+        },
+        actionUrl: `/admin/payments/payouts/batches/${batch.id}`,
+      });
+    } catch (error) {
+      console.error("Failed to notify admins about payout batch:", error);
+    }
+  }
+
+  async executeBatch(batchId) {
+    const payouts = await prisma.payout.findMany({
+      where: { batchId, status: "PENDING" },
+      select: { id: true },
+    });
+
+    const result = { submitted: 0, completed: 0, failed: 0, errors: [] };
+
+    for (const { id } of payouts) {
+      try {
+        const payout = await payoutService.executePayout(id);
+        result.submitted++;
+        if (payout.status === "COMPLETED") result.completed++;
+        if (payout.status === "FAILED") result.failed++;
+      } catch (error) {
+        console.error(`Failed to execute batch payout ${id}:`, error);
+        result.errors.push({ payoutId: id, error: error.message });
+      }
+    }
+
+    await this.invalidateBatchCaches();
+
+    return result;
+  }
+
+  async approveBatch(batchId, adminId) {
+    const claimed = await prisma.payoutBatch.updateMany({
+      where: { id: batchId, status: "PENDING_APPROVAL" },
+      data: {
+        status: "APPROVED",
+        approvedById: adminId,
+        approvedAt: new Date(),
+      },
+    });
+
+    if (claimed.count === 0) return null;
+
+    const execution = await this.executeBatch(batchId);
+
+    return { batch: await this.getBatch(batchId), execution };
+  }
+
+  // Rejecting cancels the batch's payouts, which releases their earnings
+  // back to the instructors' balances for the next run.
+  async rejectBatch(batchId, adminId, reason = null) {
+    const claimed = await prisma.payoutBatch.updateMany({
+      where: { id: batchId, status: "PENDING_APPROVAL" },
+      data: {
+        status: "REJECTED",
+        rejectedById: adminId,
+        rejectedAt: new Date(),
+        rejectionReason: reason,
+      },
+    });
+
+    if (claimed.count === 0) return null;
+
+    const payouts = await prisma.payout.findMany({
+      where: { batchId, status: "PENDING" },
+      select: { id: true },
+    });
+
+    for (const { id } of payouts) {
+      await payoutService.cancelPayout(id, reason || "Payout batch rejected");
+    }
+
+    await this.invalidateBatchCaches();
+
+    return await this.getBatch(batchId);
+  }
+
+  // Approved batches whose execution was interrupted still have PENDING
+  // payouts; the payout job submits them on its next run.
+  async executeApprovedBatches() {
+    const batches = await prisma.payoutBatch.findMany({
+      where: {
+        status: "APPROVED",
+        payouts: { some: { status: "PENDING" } },
+      },
+      select: { id: true },
+    });
+
+    const result = { batches: batches.length, submitted: 0 };
+
+    for (const { id } of batches) {
+      const execution = await this.executeBatch(id);
+      result.submitted += execution.submitted;
+    }
+
+    return result;
+  }
+}
+
+export default new PayoutBatchService();
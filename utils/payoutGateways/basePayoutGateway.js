@@ -0,0 +1,34 @@
+import BaseGateway from "../paymentGateways/baseGateway.js";
+
+// Payout adapters move instructor earnings out of the platform. They reuse
+// the payment gateway plumbing (client checks, signature comparison, JSON
+// requests) but expose transfer operations instead of checkout.
+//
+// Transfers resolve to { transferId, status, reason, retryable, raw,
+// destinationUpdates } where status is PROCESSING, COMPLETED or FAILED and
+// destinationUpdates are merged into the instructor's paymentDetails.
+class BasePayoutGateway extends BaseGateway {
+  async createTransfer(payout, instructor) {
+    throw this.notSupported("payouts");
+  }
+
+  async fetchTransfer(transferId) {
+    throw this.notSupported("payout lookup");
+  }
+
+  // Maps a verified payout event onto a gateway-neutral shape:
+  // { type, gatewayEventType, transferId, reference, reason, retryable, raw }
+  // where type is PAYOUT_PROCESSING, PAYOUT_COMPLETED, PAYOUT_FAILED,
+  // PAYOUT_REVERSED or IGNORED.
+  parseWebhookEvent(event) {
+    return { type: "IGNORED", gatewayEventType: null, raw: event };
+  }
+
+  nonRetryable(message) {
+    const error = new Error(message);
+    error.retryable = false;
+    return error;
+  }
+}
+
+export default BasePayoutGateway;
@@ -0,0 +1,225 @@
+import crypto from "crypto";
+import BasePayoutGateway from "./basePayoutGateway.js";
+
+const RAZORPAYX_BASE_URL = "https://api.razorpay.com/v1";
+
+// IMPS is capped at 5 lakh per transfer; larger payouts go over NEFT.
+const IMPS_LIMIT = 500000;
+
+const RAZORPAYX_STATUSES = {
+  queued: "PROCESSING",
+  pending: "PROCESSING",
+  scheduled: "PROCESSING",
+  processing: "PROCESSING",
+  processed: "COMPLETED",
+  reversed: "FAILED",
+  cancelled: "FAILED",
+  rejected: "FAILED",
+  failed: "FAILED",
+};
+
+const RAZORPAYX_EVENTS = {
+  "payout.queued": "PAYOUT_PROCESSING",
+  "payout.pending": "PAYOUT_PROCESSING",
+  "payout.initiated": "PAYOUT_PROCESSING",
+  "payout.updated": "PAYOUT_PROCESSING",
+  "payout.processed": "PAYOUT_COMPLETED",
+  "payout.failed": "PAYOUT_FAILED",
+  "payout.rejected": "PAYOUT_FAILED",
+  "payout.reversed": "PAYOUT_REVERSED",
+};
+
+class RazorpayXGateway extends BasePayoutGateway {
+  constructor() {
+    super("RAZORPAYX", "RazorpayX");
+    this.supportedCurrencies = ["INR"];
+  }
+
+  initialize() {
+    const keyId = process.env.RAZORPAYX_KEY_ID || process.env.RAZORPAY_KEY_ID;
+    const keySecret =
+      process.env.RAZORPAYX_KEY_SECRET || process.env.RAZORPAY_KEY_SECRET;
+
+    if (!keyId || !keySecret || !process.env.RAZORPAYX_ACCOUNT_NUMBER) {
+      console.warn("⚠️  RazorpayX payout credentials not found");
+      return;
+    }
+
+    this.client = {
+      auth: Buffer.from(`${keyId}:${keySecret}`).toString("base64"),
+      accountNumber: process.env.RAZORPAYX_ACCOUNT_NUMBER,
+      webhookSecret: process.env.RAZORPAYX_WEBHOOK_SECRET || null,
+    };
+    console.log("✅ RazorpayX payouts initialized successfully");
+  }
+
+  async request(method, path, body = null, headers = {}) {
+    return await this.requestJson(`${RAZORPAYX_BASE_URL}${path}`, {
+      method,
+      headers: {
+        Authorization: `Basic ${this.getClient().auth}`,
+        "Content-Type": "application/json",
+        ...headers,
+      },
+      body: body ? JSON.stringify(body) : undefined,
+    });
+  }
+
+  // Contacts and fund accounts are created once per instructor and their ids
+  // are stored back on the instructor's payment details.
+  async ensureFundAccount(instructor) {
+    const details = instructor.paymentDetails || {};
+
+    if (details.razorpayFundAccountId) {
+      return {
+        fundAccountId: details.razorpayFundAccountId,
+        isVpa: !!details.upiId,
+        destinationUpdates: null,
+      };
+    }
+
+    const name =
+      details.accountHolderName ||
+      `${instructor.user.firstName} ${instructor.user.lastName}`;
+    const ifsc = details.ifsc || details.ifscCode || details.routingNumber;
+
+    if (!details.upiId && (!details.accountNumber || !ifsc)) {
+      throw this.nonRetryable(
+        "Instructor payment details need a bank account number and IFSC, or a UPI ID"
+      );
+    }
+
+    const contactId =
+      details.razorpayContactId ||
+      (
+        await this.request("POST", "/contacts", {
+          name,
+          email: instructor.user.email,
+          type: "vendor",
+          reference_id: instructor.id,
+        })
+      ).id;
+
+    const fundAccount = await this.request(
+      "POST",
+      "/fund_accounts",
+      details.upiId
+        ? {
+            contact_id: contactId,
+            account_type: "vpa",
+            vpa: { address: details.upiId },
+          }
+        : {
+            contact_id: contactId,
+            account_type: "bank_account",
+            bank_account: {
+              name,
+              ifsc,
+              account_number: details.accountNumber,
+            },
+          }
+    );
+
+    return {
+      fundAccountId: fundAccount.id,
+      isVpa: !!details.upiId,
+      destinationUpdates: {
+        razorpayContactId: contactId,
+        razorpayFundAccountId: fundAccount.id,
+      },
+    };
+  }
+
+  toTransferResult(payout) {
+    return {
+      transferId: payout.id,
+      status: RAZORPAYX_STATUSES[payout.status] || "PROCESSING",
+      reason:
+        payout.status_details?.description || payout.failure_reason || null,
+      retryable: payout.status !== "rejected",
+      raw: payout,
+    };
+  }
+
+  async createTransfer(payout, instructor) {
+    const amount = parseFloat(payout.amount);
+    const { fundAccountId, isVpa, destinationUpdates } =
+      await this.ensureFundAccount(instructor);
+
+    const result = await this.request(
+      "POST",
+      "/payouts",
+      {
+        account_number: this.getClient().accountNumber,
+        fund_account_id: fundAccountId,
+        amount: Math.round(amount * 100),
+        currency: payout.currency,
+        mode: isVpa ? "UPI" : amount > IMPS_LIMIT ? "NEFT" : "IMPS",
+        purpose: "payout",
+        queue_if_low_balance: true,
+        reference_id: payout.reference,
+        narration: "Instructor Payout",
+        notes: {
+          payoutId: payout.id,
+          instructorId: payout.instructorId,
+        },
+      },
+      { "X-Payout-Idempotency": payout.reference }
+    );
+
+    return { ...this.toTransferResult(result), destinationUpdates };
+  }
+
+  async fetchTransfer(transferId) {
+    return this.toTransferResult(
+      await this.request("GET", `/payouts/${transferId}`)
+    );
+  }
+
+  // Shares the signature header with payment webhooks, so payout callbacks
+  // must be pointed at the payout webhook endpoint.
+  matchesWebhook(headers) {
+    return !!headers["x-razorpay-signature"];
+  }
+
+  isWebhookConfigured() {
+    return this.isAvailable() && !!this.client.webhookSecret;
+  }
+
+  async verifyWebhook(rawBody, headers) {
+    try {
+      const expectedSignature = crypto
+        .createHmac("sha256", this.getClient().webhookSecret)
+        .update(rawBody)
+        .digest("hex");
+
+      if (
+        !this.safeCompare(expectedSignature, headers["x-razorpay-signature"])
+      ) {
+        return null;
+      }
+
+      return JSON.parse(rawBody);
+    } catch (error) {
+      console.error("RazorpayX signature verification failed:", error);
+      return null;
+    }
+  }
+
+  parseWebhookEvent(event) {
+    const payout = event.payload?.payout?.entity;
+
+    return {
+      type: RAZORPAYX_EVENTS[event.event] || "IGNORED",
+      gatewayEventType: event.event,
+      transferId: payout?.id,
+      reference: payout?.reference_id,
+      reason:
+        payout?.status_details?.description || payout?.failure_reason || null,
+      retryable: event.event !== "payout.rejected",
+      raw: event,
+    };
+  }
+}
+
+export default RazorpayXGateway;
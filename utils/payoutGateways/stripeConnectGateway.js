@@ -0,0 +1,125 @@
+import Stripe from "stripe";
+import BasePayoutGateway from "./basePayoutGateway.js";
+import currencyService from "../currencyService.js";
+
+// Transfers move funds from the platform balance into the instructor's
+// connected account; Stripe then pays the account out on its own schedule.
+// A transfer counts as confirmed once Stripe reports it created.
+class StripeConnectGateway extends BasePayoutGateway {
+  constructor() {
+    super("STRIPE_CONNECT", "Stripe Connect");
+  }
+
+  initialize() {
+    if (!process.env.STRIPE_SECRET_KEY) {
+      console.warn("⚠️  Stripe Connect credentials not found");
+      return;
+    }
+
+    try {
+      this.client = new Stripe(process.env.STRIPE_SECRET_KEY);
+      console.log("✅ Stripe Connect payouts initialized successfully");
+    } catch (error) {
+      console.error("❌ Failed to initialize Stripe Connect:", error.message);
+    }
+  }
+
+  toMinorUnits(amount, currency) {
+    const value = parseFloat(amount);
+    return currencyService.isZeroDecimal(currency)
+      ? Math.round(value)
+      : Math.round(value * 100);
+  }
+
+  toTransferResult(transfer, status) {
+    return {
+      transferId: transfer.id,
+      status: transfer.reversed ? "FAILED" : status,
+      reason: transfer.reversed ? "Transfer reversed" : null,
+      retryable: false,
+      raw: transfer,
+    };
+  }
+
+  async createTransfer(payout, instructor) {
+    const destination = instructor.paymentDetails?.stripeAccountId;
+
+    if (!destination) {
+      throw this.nonRetryable(
+        "Instructor has no connected Stripe account (paymentDetails.stripeAccountId)"
+      );
+    }
+
+    const transfer = await this.getClient().transfers.create(
+      {
+        amount: this.toMinorUnits(payout.amount, payout.currency),
+        currency: payout.currency.toLowerCase(),
+        destination,
+        transfer_group: payout.id,
+        description: "Instructor Payout",
+        metadata: {
+          payoutId: payout.id,
+          instructorId: payout.instructorId,
+          reference: payout.reference,
+        },
+      },
+      { idempotencyKey: payout.reference }
+    );
+
+    return this.toTransferResult(transfer, "PROCESSING");
+  }
+
+  async fetchTransfer(transferId) {
+    return this.toTransferResult(
+      await this.getClient().transfers.retrieve(transferId),
+      "COMPLETED"
+    );
+  }
+
+  matchesWebhook(headers) {
+    return !!headers["stripe-signature"];
+  }
+
+  isWebhookConfigured() {
+    return this.isAvailable() && !!process.env.STRIPE_CONNECT_WEBHOOK_SECRET;
+  }
+
+  async verifyWebhook(rawBody, headers) {
+    try {
+      return this.getClient().webhooks.constructEvent(
+        rawBody,
+        headers["stripe-signature"],
+        process.env.STRIPE_CONNECT_WEBHOOK_SECRET
+      );
+    } catch (error) {
+      console.error("Stripe Connect signature verification failed:", error);
+      return null;
+    }
+  }
+
+  parseWebhookEvent(event) {
+    const transfer = event.data?.object;
+    const base = {
+      gatewayEventType: event.type,
+      transferId: transfer?.id,
+      reference: transfer?.metadata?.reference,
+      raw: event,
+    };
+
+    switch (event.type) {
+      case "transfer.created":
+        return { ...base, type: "PAYOUT_COMPLETED" };
+      case "transfer.reversed":
+        return {
+          ...base,
+          type: "PAYOUT_REVERSED",
+          reason: "Transfer reversed",
+          retryable: false,
+        };
+      default:
+        return { ...base, type: "IGNORED" };
+    }
+  }
+}
+
+export default StripeConnectGateway;
@@ -0,0 +1,110 @@
+import crypto from "crypto";
+import BasePayoutGateway from "./basePayoutGateway.js";
+
+// Local payout adapter for exercising the payout flow without moving money.
+// It is never available in production. Transfers stay PROCESSING until a
+// signed callback arrives on the payout webhook; the body is signed with
+// HMAC-SHA256 in x-stub-payout-signature:
+// { event: "payout.processed" | "payout.failed" | "payout.reversed",
+//   data: { transferId, reference, reason, retryable } }
+const STUB_EVENTS = {
+  "payout.processed": "PAYOUT_COMPLETED",
+  "payout.failed": "PAYOUT_FAILED",
+  "payout.reversed": "PAYOUT_REVERSED",
+};
+
+class StubPayoutGateway extends BasePayoutGateway {
+  constructor() {
+    super("STUB", "Stub Payouts");
+  }
+
+  initialize() {
+    if (
+      process.env.PAYOUT_STUB_ENABLED !== "true" ||
+      process.env.NODE_ENV === "production"
+    ) {
+      return;
+    }
+
+    this.client = {
+      secret: process.env.STUB_PAYOUT_SECRET || "stub_payout_secret",
+    };
+    console.log("✅ Stub payout gateway enabled");
+  }
+
+  sign(value) {
+    return crypto
+      .createHmac("sha256", this.getClient().secret)
+      .update(value)
+      .digest("hex");
+  }
+
+  async createTransfer(payout) {
+    const transferId = `stub_tr_${payout.reference}`;
+
+    return {
+      transferId,
+      status: "PROCESSING",
+      reason: null,
+      retryable: true,
+      raw: {
+        id: transferId,
+        amount: parseFloat(payout.amount),
+        currency: payout.currency,
+        reference: payout.reference,
+        status: "processing",
+      },
+    };
+  }
+
+  async fetchTransfer(transferId) {
+    return {
+      transferId,
+      status: "PROCESSING",
+      reason: null,
+      raw: { id: transferId, status: "processing" },
+    };
+  }
+
+  matchesWebhook(headers) {
+    return !!headers["x-stub-payout-signature"];
+  }
+
+  isWebhookConfigured() {
+    return this.isAvailable();
+  }
+
+  async verifyWebhook(rawBody, headers) {
+    try {
+      if (
+        !this.safeCompare(
+          this.sign(String(rawBody)),
+          headers["x-stub-payout-signature"]
+        )
+      ) {
+        return null;
+      }
+
+      return JSON.parse(rawBody);
+    } catch (error) {
+      console.error("Stub payout signature verification failed:", error);
+      return null;
+    }
+  }
+
+  parseWebhookEvent(event) {
+    const data = event.data || {};
+
+    return {
+      type: STUB_EVENTS[event.event] || "IGNORED",
+      gatewayEventType: event.event,
+      transferId: data.transferId,
+      reference: data.reference,
+      reason: data.reason || null,
+      retryable: data.retryable !== false,
+      raw: event,
+    };
+  }
+}
+
+export default StubPayoutGateway;
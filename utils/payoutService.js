@@ -0,0 +1,631 @@
+import { PrismaClient } from "@prisma/client";
+import redisService from "./redis.js";
+import emailService from "./emailService.js";
+import notificationService from "./notificationservice.js";
+import RazorpayXGateway from "./payoutGateways/razorpayXGateway.js";
+import StripeConnectGateway from "./payoutGateways/stripeConnectGateway.js";
+import StubPayoutGateway from "./payoutGateways/stubPayoutGateway.js";
+import earningLedgerService from "./earningLedgerService.js";
+import { formatPayoutPeriod } from "../helper/payoutHelperFunctions.js";
+
+const prisma = new PrismaClient();
+
+const MAX_ATTEMPTS = parseInt(process.env.PAYOUT_MAX_ATTEMPTS) || 5;
+const RETRY_BASE_MINUTES =
+  parseInt(process.env.PAYOUT_RETRY_BASE_MINUTES) || 15;
+const MAX_RETRY_DELAY_MINUTES = 24 * 60;
+const RECONCILE_AFTER_MINUTES = 30;
+const BATCH_SIZE = 50;
+
+const PAYOUT_INCLUDE = {
+  instructor: {
+    include: {
+      user: {
+        select: {
+          id: true,
+          firstName: true,
+          lastName: true,
+          email: true,
+        },
+      },
+    },
+  },
+  batch: {
+    select: {
+      id: true,
+      schedule: true,
+      status: true,
+      periodStart: true,
+      periodEnd: true,
+    },
+  },
+};
+
+// Payouts move PENDING → PROCESSING when a transfer is submitted and only
+// reach COMPLETED once the gateway confirms it, by webhook or by the
+// reconciliation job. Earnings linked to the payout are marked PAID at that
+// point and nowhere else.
+class PayoutService {
+  constructor() {
+    this.gateways = new Map();
+
+    this.initializePayoutGateways();
+  }
+
+  initializePayoutGateways() {
+    [
+      new RazorpayXGateway(),
+      new StripeConnectGateway(),
+      new StubPayoutGateway(),
+    ].forEach((gateway) => this.registerGateway(gateway));
+  }
+
+  registerGateway(gateway) {
+    gateway.initialize();
+    this.gateways.set(gateway.name, gateway);
+  }
+
+  getGateway(name) {
+    const gateway = this.gateways.get(name);
+    if (!gateway) {
+      throw new Error(`Unsupported payout gateway: ${name}`);
+    }
+    return gateway;
+  }
+
+  getAvailableGateways() {
+    return [...this.gateways.values()]
+      .filter((gateway) => gateway.isAvailable())
+      .map((gateway) => gateway.name);
+  }
+
+  describeGateways() {
+    return [...this.gateways.values()].map((gateway) => ({
+      gateway: gateway.name,
+      name: gateway.displayName,
+      available: gateway.isAvailable(),
+      webhookConfigured: gateway.isWebhookConfigured(),
+      supportedCurrencies: gateway.supportedCurrencies || "ALL",
+    }));
+  }
+
+  canUseGateway(name, currency) {
+    const gateway = this.gateways.get(name);
+    return (
+      !!gateway && gateway.isAvailable() && gateway.supportsCurrency(currency)
+    );
+  }
+
+  // An explicit choice wins, then PAYOUT_GATEWAY, then Stripe Connect for
+  // instructors with a connected account, then RazorpayX, then the stub.
+  resolveGateway(payout, requested = null) {
+    if (requested) {
+      return this.canUseGateway(requested, payout.currency) ? requested : null;
+    }
+
+    const candidates = [
+      process.env.PAYOUT_GATEWAY,
+      payout.instructor?.paymentDetails?.stripeAccountId && "STRIPE_CONNECT",
+      "RAZORPAYX",
+      "STUB",
+    ].filter(Boolean);
+
+    return (
+      candidates.find((name) => this.canUseGateway(name, payout.currency)) ||
+      null
+    );
+  }
+
+  getNextRetryAt(attempts) {
+    const minutes = Math.min(
+      RETRY_BASE_MINUTES * 2 ** Math.max(attempts - 1, 0),
+      MAX_RETRY_DELAY_MINUTES
+    );
+    return new Date(Date.now() + minutes * 60 * 1000);
+  }
+
+  async getPayout(payoutId) {
+    return await prisma.payout.findUnique({
+      where: { id: payoutId },
+      include: PAYOUT_INCLUDE,
+    });
+  }
+
+  async invalidatePayoutCaches(instructorId) {
+    await redisService.delPattern("admin_payouts:*");
+    await redisService.delPattern("revenue_overview:*");
+    await redisService.delPattern("financial_analytics:*");
+    await redisService.delPattern(`earnings_overview:${instructorId}`);
+    await redisService.delPattern(`detailed_earnings:${instructorId}:*`);
+    await redisService.delPattern(`payout_history:${instructorId}:*`);
+  }
+
+  // Claims a PENDING or FAILED payout for a new attempt. The claim is
+  // conditional on the attempt counter so two workers can't both submit it.
+  // Every attempt gets its own reference, which doubles as the gateway
+  // idempotency key; an attempt whose outcome is unknown keeps it until
+  // reconcileProcessingPayouts resubmits it.
+  async executePayout(payoutId, { gateway: requested = null } = {}) {
+    const payout = await this.getPayout(payoutId);
+    if (!payout) {
+      throw new Error(`Payout ${payoutId} not found`);
+    }
+
+    if (!["PENDING", "FAILED"].includes(payout.status)) {
+      return payout;
+    }
+
+    if (payout.batch && payout.batch.status !== "APPROVED") {
+      throw new Error(`Payout ${payoutId} belongs to an unapproved batch`);
+    }
+
+    const gateway = this.resolveGateway(payout, requested);
+    if (!gateway) {
+      throw new Error(`No payout gateway available for ${payout.currency}`);
+    }
+
+    const attempts = payout.attempts + 1;
+    const reference = `po_${payout.id}_${attempts}`;
+    const lastAttemptAt = new Date();
+
+    const claimed = await prisma.payout.updateMany({
+      where: {
+        id: payout.id,
+        status: payout.status,
+        attempts: payout.attempts,
+      },
+      data: {
+        status: "PROCESSING",
+        gateway,
+        gatewayId: null,
+        reference,
+        attempts,
+        lastAttemptAt,
+        nextRetryAt: null,
+        failureReason: null,
+      },
+    });
+
+    if (claimed.count === 0) {
+      return await this.getPayout(payout.id);
+    }
+
+    await this.invalidatePayoutCaches(payout.instructorId);
+
+    return await this.submitTransfer({
+      ...payout,
+      status: "PROCESSING",
+      gateway,
+      gatewayId: null,
+      reference,
+      attempts,
+      lastAttemptAt,
+    });
+  }
+
+  async submitTransfer(payout) {
+    const adapter = this.getGateway(payout.gateway);
+
+    let result;
+    try {
+      result = await adapter.createTransfer(payout, payout.instructor);
+    } catch (error) {
+      console.error(`Payout ${payout.id} transfer failed:`, error.message);
+
+      const rejected =
+        error.retryable === false ||
+        (error.statusCode >= 400 && error.statusCode < 500);
+
+      // A timeout, dropped connection or 5xx may still have moved the money.
+      // The payout stays PROCESSING under the same reference so the
+      // resubmission reuses the idempotency key instead of paying twice.
+      if (!rejected) {
+        return await prisma.payout.update({
+          where: { id: payout.id },
+          data: { lastAttemptAt: new Date() },
+          include: PAYOUT_INCLUDE,
+        });
+      }
+
+      // Client errors won't succeed on a retry; rate limits will.
+      return await this.failPayout(payout, {
+        reason: error.message,
+        retryable: error.retryable ?? error.statusCode === 429,
+        raw: error.response || error.raw || null,
+      });
+    }
+
+    if (result.destinationUpdates) {
+      await prisma.instructor.update({
+        where: { id: payout.instructorId },
+        data: {
+          paymentDetails: {
+            ...(payout.instructor.paymentDetails || {}),
+            ...result.destinationUpdates,
+          },
+        },
+      });
+    }
+
+    const updated = await prisma.payout.update({
+      where: { id: payout.id },
+      data: {
+        gatewayId: result.transferId,
+        gatewayResponse: result.raw,
+      },
+      include: PAYOUT_INCLUDE,
+    });
+
+    return await this.applyTransferStatus(updated, result);
+  }
+
+  async applyTransferStatus(payout, result) {
+    switch (result.status) {
+      case "COMPLETED":
+        return await this.confirmPayout(payout, result.raw);
+      case "FAILED":
+        return await this.failPayout(payout, {
+          reason: result.reason,
+          retryable: result.retryable,
+          raw: result.raw,
+        });
+      default:
+        return payout;
+    }
+  }
+
+  async confirmPayout(payout, raw = null) {
+    const processedAt = new Date();
+
+    const claimed = await prisma.payout.updateMany({
+      where: { id: payout.id, status: "PROCESSING" },
+      data: {
+        status: "COMPLETED",
+        processedAt,
+        nextRetryAt: null,
+        failureReason: null,
+        ...(raw && { gatewayResponse: raw }),
+      },
+    });
+
+    if (claimed.count === 0) {
+      return await this.getPayout(payout.id);
+    }
+
+    await prisma.earning.updateMany({
+      where: { payoutId: payout.id, status: "PENDING" },
+      data: { status: "PAID", paidAt: processedAt },
+    });
+
+    await earningLedgerService.recordPayoutDebit(payout);
+
+    const { user } = payout.instructor;
+    const studentCount = await this.countPayoutStudents(payout);
+
+    try {
+      await emailService.sendInstructorPayout({
+        email: user.email,
+        firstName: user.firstName,
+        amount: payout.amount,
+        currency: payout.currency,
+        payoutId: payout.gatewayId || payout.id,
+        period: formatPayoutPeriod(payout.batch),
+        studentCount,
+      });
+    } catch (emailError) {
+      console.error("Failed to send payout email:", emailError);
+    }
+
+    try {
+      await notificationService.createNotification({
+        userId: user.id,
+        type: "payout_processed",
+        title: "Payout Processed",
+        message: `Your payout of ${payout.currency} ${parseFloat(
+          payout.amount
+        ).toLocaleString()} has been transferred to your account.`,
+        priority: "HIGH",
+        data: {
+          payoutId: payout.id,
+          amount: payout.amount,
+          currency: payout.currency,
+          gateway: payout.gateway,
+          gatewayId: payout.gatewayId,
+          processedAt,
+        },
+        actionUrl: "/instructor/earnings",
+      });
+    } catch (notificationError) {
+      console.error("Failed to create payout notification:", notificationError);
+    }
+
+    await this.invalidatePayoutCaches(payout.instructorId);
+
+    return await this.getPayout(payout.id);
+  }
+
+  async countPayoutStudents(payout) {
+    const earnings = await prisma.earning.findMany({
+      where: { payoutId: payout.id },
+      select: { paymentId: true },
+    });
+
+    const students = await prisma.enrollment.findMany({
+      where: {
+        paymentId: { in: earnings.map((earning) => earning.paymentId) },
+        course: { instructorId: payout.instructorId },
+      },
+      select: { studentId: true },
+      distinct: ["studentId"],
+    });
+
+    return students.length;
+  }
+
+  async failPayout(
+    payout,
+    { reason = null, retryable = true, raw = null } = {}
+  ) {
+    const nextRetryAt =
+      retryable && payout.attempts < MAX_ATTEMPTS
+        ? this.getNextRetryAt(payout.attempts)
+        : null;
+
+    const claimed = await prisma.payout.updateMany({
+      where: { id: payout.id, status: "PROCESSING" },
+      data: {
+        status: "FAILED",
+        failureReason: reason || "Transfer failed",
+        nextRetryAt,
+        ...(raw && { gatewayResponse: raw }),
+      },
+    });
+
+    if (claimed.count === 0) {
+      return await this.getPayout(payout.id);
+    }
+
+    if (!nextRetryAt) {
+      await this.notifyPayoutFailed(payout, reason);
+    }
+
+    await this.invalidatePayoutCaches(payout.instructorId);
+
+    return await this.getPayout(payout.id);
+  }
+
+  // A reversal after completion means the money came back. Earnings go back
+  // to PENDING on the same payout and the payout waits for an admin, since a
+  // reversal usually points at bad destination details.
+  async reversePayout(payout, { reason = null, raw = null } = {}) {
+    const claimed = await prisma.payout.updateMany({
+      where: { id: payout.id, status: "COMPLETED" },
+      data: {
+        status: "FAILED",
+        failureReason: reason || "Transfer reversed",
+        nextRetryAt: null,
+        ...(raw && { gatewayResponse: raw }),
+      },
+    });
+
+    if (claimed.count === 0) {
+      return await this.getPayout(payout.id);
+    }
+
+    await prisma.earning.updateMany({
+      where: { payoutId: payout.id, status: "PAID" },
+      data: { status: "PENDING", paidAt: null },
+    });
+
+    await earningLedgerService.recordPayoutReversal(payout, reason);
+
+    await this.notifyPayoutFailed(payout, reason || "Transfer reversed");
+    await this.invalidatePayoutCaches(payout.instructorId);
+
+    return await this.getPayout(payout.id);
+  }
+
+  async notifyPayoutFailed(payout, reason) {
+    try {
+      await notificationService.createNotification({
+        userId: payout.instructor.user.id,
+        type: "payout_failed",
+        title: "Payout Failed",
+        message: `Your payout of ${payout.currency} ${parseFloat(
+          payout.amount
+        ).toLocaleString()} could not be completed. Please check your payment details.`,
+        priority: "HIGH",
+        data: {
+          payoutId: payout.id,
+          amount: payout.amount,
+          currency: payout.currency,
+          reason,
+        },
+        actionUrl: "/instructor/earnings",
+      });
+    } catch (notificationError) {
+      console.error("Failed to create payout notification:", notificationError);
+    }
+  }
+
+  // Cancelling releases the linked earnings and clawbacks back into the
+  // instructor's balance.
+  async cancelPayout(payoutId, reason = null) {
+    const claimed = await prisma.payout.updateMany({
+      where: { id: payoutId, status: { in: ["PENDING", "FAILED"] } },
+      data: {
+        status: "CANCELLED",
+        failureReason: reason,
+        nextRetryAt: null,
+      },
+    });
+
+    const payout = await this.getPayout(payoutId);
+
+    if (claimed.count > 0) {
+      await earningLedgerService.releasePayoutClaims(payoutId);
+      await prisma.earning.updateMany({
+        where: { payoutId, status: "PENDING" },
+        data: { payoutId: null },
+      });
+      await this.invalidatePayoutCaches(payout.instructorId);
+    }
+
+    return payout;
+  }
+
+  async retryDuePayouts() {
+    const payouts = await prisma.payout.findMany({
+      where: {
+        status: "FAILED",
+        nextRetryAt: { lte: new Date() },
+        attempts: { lt: MAX_ATTEMPTS },
+      },
+      orderBy: { nextRetryAt: "asc" },
+      take: BATCH_SIZE,
+      select: { id: true },
+    });
+
+    const result = { retried: 0, completed: 0, failed: 0 };
+
+    for (const { id } of payouts) {
+      try {
+        const payout = await this.executePayout(id);
+        result.retried++;
+        if (payout.status === "COMPLETED") result.completed++;
+        if (payout.status === "FAILED") result.failed++;
+      } catch (error) {
+        console.error(`Failed to retry payout ${id}:`, error);
+      }
+    }
+
+    return result;
+  }
+
+  // Picks up transfers whose webhook never arrived. A PROCESSING payout
+  // without a gateway id crashed mid-submit, so it is submitted again under
+  // the same reference and the gateway's idempotency returns the original.
+  async reconcileProcessingPayouts() {
+    const payouts = await prisma.payout.findMany({
+      where: {
+        status: "PROCESSING",
+        lastAttemptAt: {
+          lte: new Date(Date.now() - RECONCILE_AFTER_MINUTES * 60 * 1000),
+        },
+      },
+      orderBy: { lastAttemptAt: "asc" },
+      take: BATCH_SIZE,
+      include: PAYOUT_INCLUDE,
+    });
+
+    const result = { checked: 0, completed: 0, failed: 0 };
+
+    for (const payout of payouts) {
+      try {
+        let updated;
+
+        if (!payout.gatewayId) {
+          updated = await this.submitTransfer(payout);
+        } else {
+          const transfer = await this.getGateway(payout.gateway).fetchTransfer(
+            payout.gatewayId
+          );
+          updated = await this.applyTransferStatus(payout, transfer);
+        }
+
+        result.checked++;
+        if (updated.status === "COMPLETED") result.completed++;
+        if (updated.status === "FAILED") result.failed++;
+      } catch (error) {
+        console.error(`Failed to reconcile payout ${payout.id}:`, error);
+      }
+    }
+
+    return result;
+  }
+
+  detectWebhookGateway(headers, rawBody) {
+    for (const gateway of this.gateways.values()) {
+      if (gateway.isAvailable() && gateway.matchesWebhook(headers, rawBody)) {
+        return gateway.name;
+      }
+    }
+    return null;
+  }
+
+  // Events are matched on the current attempt's transfer id or reference,
+  // so a late callback for an earlier attempt finds nothing and is ignored.
+  async processWebhookEvent(gatewayName, event) {
+    const parsed = this.getGateway(gatewayName).parseWebhookEvent(event);
+
+    if (parsed.type === "IGNORED") {
+      return { handled: false, type: parsed.type };
+    }
+
+    const matchers = [
+      parsed.transferId && { gatewayId: parsed.transferId },
+      parsed.reference && { reference: parsed.reference },
+    ].filter(Boolean);
+
+    const payout = matchers.length
+      ? await prisma.payout.findFirst({
+          where: { gateway: gatewayName, OR: matchers },
+          include: PAYOUT_INCLUDE,
+        })
+      : null;
+
+    if (!payout) {
+      console.warn(
+        `No payout found for ${gatewayName} event ${parsed.gatewayEventType}`
+      );
+      return { handled: false, type: parsed.type };
+    }
+
+    if (!payout.gatewayId && parsed.transferId) {
+      await prisma.payout.update({
+        where: { id: payout.id },
+        data: { gatewayId: parsed.transferId },
+      });
+      payout.gatewayId = parsed.transferId;
+    }
+
+    let updated = payout;
+
+    switch (parsed.type) {
+      case "PAYOUT_COMPLETED":
+        updated = await this.confirmPayout(payout, parsed.raw);
+        break;
+
+      case "PAYOUT_FAILED":
+        updated = await this.failPayout(payout, {
+          reason: parsed.reason,
+          retryable: parsed.retryable,
+          raw: parsed.raw,
+        });
+        break;
+
+      case "PAYOUT_REVERSED":
+        updated =
+          payout.status === "COMPLETED"
+            ? await this.reversePayout(payout, {
+                reason: parsed.reason,
+                raw: parsed.raw,
+              })
+            : await this.failPayout(payout, {
+                reason: parsed.reason || "Transfer reversed",
+                retryable: false,
+                raw: parsed.raw,
+              });
+        break;
+    }
+
+    return {
+      handled: true,
+      type: parsed.type,
+      payoutId: payout.id,
+      status: updated.status,
+    };
+  }
+}
+
+export default new PayoutService();
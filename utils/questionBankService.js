@@ -0,0 +1,169 @@
+import { PrismaClient } from "@prisma/client";
+import {
+  validateDrawRules,
+  normalizeDrawRules,
+  drawQuestions,
+  shuffle,
+  computeItemStatistics,
+} from "../helper/questionBank.js";
+
+const prisma = new PrismaClient();
+
+const drawError = (message, errors) => {
+  const error = new Error(message);
+  error.code = "QUIZ_DRAW_FAILED";
+  error.statusCode = 409;
+  error.errors = errors;
+  return error;
+};
+
+// Quizzes either own their questions or carry draw rules that pick from the
+// course's question banks. Every attempt stores the IDs it was given in
+// QuizAttempt.questionIds, so grading and results always use the same set
+// even after the bank or quiz changes.
+class QuestionBankService {
+  async getRulePool(courseId, rules) {
+    const bankIds = [...new Set(rules.map((rule) => rule.bankId))];
+
+    const [banks, pool] = await Promise.all([
+      prisma.questionBank.findMany({
+        where: { id: { in: bankIds }, courseId },
+        select: { id: true },
+      }),
+      prisma.question.findMany({
+        where: { bankId: { in: bankIds }, bank: { courseId } },
+        select: { id: true, bankId: true, difficulty: true, tags: true },
+      }),
+    ]);
+
+    const found = new Set(banks.map((bank) => bank.id));
+    const errors = bankIds
+      .filter((bankId) => !found.has(bankId))
+      .map((bankId) => `Question bank ${bankId} was not found in this course`);
+
+    return { errors, pool };
+  }
+
+  // Validates rules before they are saved on a quiz, including that the
+  // banks currently hold enough matching questions for one draw.
+  async checkDrawRules(courseId, rules) {
+    const errors = validateDrawRules(rules);
+    if (errors.length > 0) {
+      return { errors };
+    }
+
+    const normalized = normalizeDrawRules(rules);
+    const { errors: bankErrors, pool } = await this.getRulePool(
+      courseId,
+      normalized
+    );
+    if (bankErrors.length > 0) {
+      return { errors: bankErrors };
+    }
+
+    return {
+      errors: drawQuestions(pool, normalized).errors,
+      rules: normalized,
+    };
+  }
+
+  // Orders rows to match questionIds.
+  async loadQuestions(questionIds) {
+    const questions = await prisma.question.findMany({
+      where: { id: { in: questionIds } },
+    });
+    const byId = new Map(questions.map((question) => [question.id, question]));
+
+    return questionIds.map((id) => byId.get(id)).filter(Boolean);
+  }
+
+  // Picks the questions for a new attempt. quiz must include its own
+  // questions; seenIds are the questions from the student's earlier
+  // attempts, which rule-based draws avoid while they can.
+  async drawAttemptQuestions({ quiz, courseId, seenIds = [] }) {
+    if (!quiz.drawRules) {
+      return quiz.isRandomized ? shuffle(quiz.questions) : quiz.questions;
+    }
+
+    const rules = normalizeDrawRules(quiz.drawRules);
+    const { errors: bankErrors, pool } = await this.getRulePool(
+      courseId,
+      rules
+    );
+    const { errors, questionIds } = drawQuestions(pool, rules, { seenIds });
+
+    if (bankErrors.length > 0 || errors.length > 0) {
+      throw drawError("This quiz cannot be started right now", [
+        ...bankErrors,
+        ...errors,
+      ]);
+    }
+
+    return this.loadQuestions(
+      quiz.isRandomized ? shuffle(questionIds) : questionIds
+    );
+  }
+
+  // Questions of an attempt in the order they were shown. Attempts made
+  // before draws were stored fall back to the quiz's own questions.
+  async getAttemptQuestions(attempt) {
+    if (attempt.questionIds?.length > 0) {
+      return this.loadQuestions(attempt.questionIds);
+    }
+
+    return prisma.question.findMany({
+      where: { quizId: attempt.quizId },
+      orderBy: { order: "asc" },
+    });
+  }
+
+  async getItemStatistics(bankId) {
+    const [questions, answers] = await Promise.all([
+      prisma.question.findMany({
+        where: { bankId },
+        select: {
+          id: true,
+          content: true,
+          type: true,
+          difficulty: true,
+          tags: true,
+          points: true,
+        },
+        orderBy: { order: "asc" },
+      }),
+      prisma.answer.findMany({
+        where: {
+          question: { bankId },
+          needsReview: false,
+          points: { not: null },
+          attempt: { status: "GRADED" },
+        },
+        select: {
+          questionId: true,
+          points: true,
+          timeSpent: true,
+          attemptId: true,
+          attempt: { select: { percentage: true } },
+        },
+      }),
+    ]);
+
+    const pointsById = new Map(
+      questions.map((question) => [question.id, question.points])
+    );
+
+    return computeItemStatistics(
+      questions,
+      answers.map((answer) => ({
+        questionId: answer.questionId,
+        points: answer.points,
+        maxPoints: pointsById.get(answer.questionId),
+        attemptId: answer.attemptId,
+        attemptPercentage: answer.attempt.percentage || 0,
+        timeSpent: answer.timeSpent,
+      }))
+    );
+  }
+}
+
+export default new QuestionBankService();
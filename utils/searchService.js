@@ -0,0 +1,304 @@
+import { PrismaClient, Prisma } from "@prisma/client";
+import currencyService from "./currencyService.js";
+
+const prisma = new PrismaClient();
+
+const HEADLINE_OPTIONS = "StartSel=<mark>, StopSel=</mark>, HighlightAll=true";
+const SNIPPET_OPTIONS =
+  "StartSel=<mark>, StopSel=</mark>, MaxFragments=2, MaxWords=25, MinWords=8, FragmentDelimiter= … ";
+
+// Blend of full-text rank and title trigram similarity. Trigram similarity is
+// what lets "javscript" still find "JavaScript" courses when no lexeme matches.
+const FUZZY_WEIGHT = 0.5;
+
+// Ranges are in the platform base currency, which is what Course.price holds.
+export const PRICE_BUCKETS = [
+  { key: "free", min: 0, max: 0 },
+  { key: "under_500", min: 0, max: 500 },
+  { key: "500_2000", min: 500, max: 2000 },
+  { key: "2000_5000", min: 2000, max: 5000 },
+  { key: "above_5000", min: 5000, max: null },
+];
+
+export const RATING_BUCKETS = [4.5, 4, 3.5, 3];
+
+const SORT_COLUMNS = {
+  title: Prisma.sql`c."title"`,
+  price: Prisma.sql`c."price"`,
+  rating: Prisma.sql`c."averageRating"`,
+  createdAt: Prisma.sql`c."createdAt"`,
+  enrollments: Prisma.sql`c."totalEnrollments"`,
+};
+
+class SearchService {
+  getPriceBucketLabel({ key, min, max }, currency) {
+    const format = (amount) =>
+      new Intl.NumberFormat("en-US", {
+        style: "currency",
+        currency,
+        maximumFractionDigits: 0,
+      }).format(amount);
+
+    if (key === "free") return "Free";
+    if (!min) return `Under ${format(max)}`;
+    if (max === null) return `Above ${format(min)}`;
+    return `${format(min)} - ${format(max)}`;
+  }
+
+  buildPrefixQuery(term) {
+    const tokens = term.toLowerCase().match(/[\p{L}\p{N}]+/gu) || [];
+    return tokens.map((token) => `${token}:*`).join(" & ");
+  }
+
+  buildTsQuery(term) {
+    const prefixQuery = this.buildPrefixQuery(term);
+
+    // websearch_to_tsquery understands quotes and "-exclusions"; the prefix
+    // query covers partially typed words such as "reac" for "react".
+    return prefixQuery
+      ? Prisma.sql`(websearch_to_tsquery('english', ${term}) || to_tsquery('english', ${prefixQuery}))`
+      : Prisma.sql`websearch_to_tsquery('english', ${term})`;
+  }
+
+  buildFilterConditions(filters) {
+    const conditions = [Prisma.sql`c."status" = 'PUBLISHED'`];
+
+    if (filters.minPrice !== undefined) {
+      conditions.push(Prisma.sql`c."price" >= ${filters.minPrice}`);
+    }
+    if (filters.maxPrice !== undefined) {
+      conditions.push(Prisma.sql`c."price" <= ${filters.maxPrice}`);
+    }
+    if (filters.rating !== undefined) {
+      conditions.push(Prisma.sql`c."averageRating" >= ${filters.rating}`);
+    }
+    if (filters.level) {
+      conditions.push(Prisma.sql`c."level"::text = ${filters.level}`);
+    }
+    if (filters.duration !== undefined) {
+      conditions.push(Prisma.sql`c."duration" <= ${filters.duration}`);
+    }
+    if (filters.category) {
+      conditions.push(Prisma.sql`EXISTS (
+        SELECT 1 FROM "Category" cat
+        WHERE cat."id" = c."categoryId"
+          AND (cat."slug" = ${
+            filters.category
+          } OR cat."name" ILIKE ${`%${filters.category}%`})
+      )`);
+    }
+    if (filters.instructor) {
+      const pattern = `%${filters.instructor}%`;
+      conditions.push(Prisma.sql`EXISTS (
+        SELECT 1 FROM "Instructor" i
+        JOIN "User" u ON u."id" = i."userId"
+        WHERE i."id" = c."instructorId"
+          AND (u."firstName" ILIKE ${pattern} OR u."lastName" ILIKE ${pattern} OR u."email" ILIKE ${pattern})
+      )`);
+    }
+    if (filters.language) {
+      conditions.push(Prisma.sql`c."language" = ${filters.language}`);
+    }
+    if (filters.isFree === true) {
+      conditions.push(Prisma.sql`c."price" <= 0`);
+    } else if (filters.isFree === false) {
+      conditions.push(Prisma.sql`c."price" > 0`);
+    }
+    if (filters.featured === true) {
+      conditions.push(Prisma.sql`c."featured" = true`);
+    }
+    if (filters.bestseller === true) {
+      conditions.push(Prisma.sql`c."bestseller" = true`);
+    }
+
+    return conditions;
+  }
+
+  buildOrderBy(sortBy, sortOrder) {
+    const column = SORT_COLUMNS[sortBy];
+    if (!column) {
+      return Prisma.sql`score DESC, c."featured" DESC, c."averageRating" DESC, c."totalEnrollments" DESC`;
+    }
+
+    const direction = sortOrder === "asc" ? Prisma.sql`ASC` : Prisma.sql`DESC`;
+    return Prisma.sql`${column} ${direction}, score DESC`;
+  }
+
+  async searchCourses(term, filters) {
+    const tsQuery = this.buildTsQuery(term);
+    const matchCondition = Prisma.sql`(c."searchVector" @@ ${tsQuery} OR ${term} <% c."title")`;
+    const where = Prisma.join(
+      [matchCondition, ...this.buildFilterConditions(filters)],
+      " AND "
+    );
+    const offset = (filters.page - 1) * filters.limit;
+
+    const [hits, [facetRow]] = await Promise.all([
+      prisma.$queryRaw`
+        WITH scored AS (
+          SELECT
+            c.*,
+            ts_rank_cd(c."searchVector", ${tsQuery}, 32)
+              + ${FUZZY_WEIGHT} * word_similarity(${term}, c."title") AS score
+          FROM "Course" c
+          WHERE ${where}
+        ),
+        ranked AS (
+          SELECT
+            c."id",
+            c."title",
+            c."shortDescription",
+            c."description",
+            c.score,
+            row_number() OVER (ORDER BY ${this.buildOrderBy(
+              filters.sortBy,
+              filters.sortOrder
+            )}) AS position
+          FROM scored c
+          ORDER BY position
+          LIMIT ${filters.limit} OFFSET ${offset}
+        )
+        SELECT
+          r."id",
+          r.score::float AS "score",
+          ts_headline('english', r."title", ${tsQuery}, ${HEADLINE_OPTIONS}) AS "titleHighlight",
+          ts_headline(
+            'english',
+            coalesce(r."shortDescription", '') || ' ' || coalesce(r."description", ''),
+            ${tsQuery},
+            ${SNIPPET_OPTIONS}
+          ) AS "snippet"
+        FROM ranked r
+        ORDER BY r.position
+      `,
+      prisma.$queryRaw`
+        WITH matched AS (
+          SELECT c."id", c."categoryId", c."instructorId", c."level", c."price", c."averageRating"
+          FROM "Course" c
+          WHERE ${where}
+        )
+        SELECT
+          (SELECT count(*)::int FROM matched) AS "total",
+          (
+            SELECT coalesce(json_agg(row_to_json(x)), '[]'::json)
+            FROM (
+              SELECT "categoryId" AS "id", count(*)::int AS "count"
+              FROM matched
+              GROUP BY "categoryId"
+              ORDER BY count(*) DESC
+              LIMIT 20
+            ) x
+          ) AS "categories",
+          (
+            SELECT coalesce(json_agg(row_to_json(x)), '[]'::json)
+            FROM (
+              SELECT "instructorId" AS "id", count(*)::int AS "count"
+              FROM matched
+              GROUP BY "instructorId"
+              ORDER BY count(*) DESC
+              LIMIT 10
+            ) x
+          ) AS "instructors",
+          (
+            SELECT coalesce(json_agg(row_to_json(x)), '[]'::json)
+            FROM (
+              SELECT "level"::text AS "value", count(*)::int AS "count"
+              FROM matched
+              GROUP BY "level"
+            ) x
+          ) AS "levels",
+          (
+            SELECT json_build_object(
+              'free', count(*) FILTER (WHERE "price" <= 0),
+              'under_500', count(*) FILTER (WHERE "price" > 0 AND "price" < 500),
+              '500_2000', count(*) FILTER (WHERE "price" >= 500 AND "price" < 2000),
+              '2000_5000', count(*) FILTER (WHERE "price" >= 2000 AND "price" < 5000),
+              'above_5000', count(*) FILTER (WHERE "price" >= 5000)
+            )
+            FROM matched
+          ) AS "prices",
+          (
+            SELECT json_build_object(
+              '4.5', count(*) FILTER (WHERE "averageRating" >= 4.5),
+              '4', count(*) FILTER (WHERE "averageRating" >= 4),
+              '3.5', count(*) FILTER (WHERE "averageRating" >= 3.5),
+              '3', count(*) FILTER (WHERE "averageRating" >= 3)
+            )
+            FROM matched
+          ) AS "ratings"
+      `,
+    ]);
+
+    return {
+      hits,
+      total: facetRow?.total || 0,
+      facetCounts: {
+        categories: facetRow?.categories || [],
+        instructors: facetRow?.instructors || [],
+        levels: facetRow?.levels || [],
+        prices: facetRow?.prices || {},
+        ratings: facetRow?.ratings || {},
+      },
+    };
+  }
+
+  async buildFacets(facetCounts) {
+    const [categoryDetails, instructorDetails] = await Promise.all([
+      prisma.category.findMany({
+        where: { id: { in: facetCounts.categories.map((c) => c.id) } },
+        select: { id: true, name: true, slug: true },
+      }),
+      prisma.instructor.findMany({
+        where: { id: { in: facetCounts.instructors.map((i) => i.id) } },
+        select: {
+          id: true,
+          user: {
+            select: { firstName: true, lastName: true, profileImage: true },
+          },
+        },
+      }),
+    ]);
+    const categoryById = new Map(categoryDetails.map((c) => [c.id, c]));
+    const instructorById = new Map(instructorDetails.map((i) => [i.id, i]));
+    const levelCounts = new Map(
+      facetCounts.levels.map((level) => [level.value, level.count])
+    );
+
+    return {
+      categories: facetCounts.categories.map((category) => ({
+        id: category.id,
+        name: categoryById.get(category.id)?.name || "Unknown",
+        slug: categoryById.get(category.id)?.slug || "",
+        count: category.count,
+      })),
+      instructors: facetCounts.instructors.map((instructor) => {
+        const details = instructorById.get(instructor.id);
+        return {
+          id: instructor.id,
+          name: details
+            ? `${details.user.firstName} ${details.user.lastName}`
+            : "Unknown",
+          profileImage: details?.user.profileImage,
+          count: instructor.count,
+        };
+      }),
+      levels: ["BEGINNER", "INTERMEDIATE", "ADVANCED", "ALL_LEVELS"].map(
+        (level) => ({ value: level, count: levelCounts.get(level) || 0 })
+      ),
+      priceRanges: PRICE_BUCKETS.map((bucket) => ({
+        label: this.getPriceBucketLabel(bucket, currencyService.baseCurrency),
+        min: bucket.min,
+        max: bucket.max,
+        currency: currencyService.baseCurrency,
+        count: facetCounts.prices[bucket.key] || 0,
+      })),
+      ratings: RATING_BUCKETS.map((rating) => ({
+        label: `${rating} & up`,
+        min: rating,
+        count: facetCounts.ratings[String(rating)] || 0,
+      })),
+    };
+  }
+}
+
+export default new SearchService();
@@ -1,6 +1,7 @@
 import { Server } from "socket.io";
 import jwt from "jsonwebtoken";
 import { PrismaClient } from "@prisma/client";
+import liveSessionService from "./liveSessionService.js";
 
 const prisma = new PrismaClient();
 
@@ -261,6 +262,11 @@ class SocketManager {
       this.liveSessions.forEach((participants, sessionId) => {
         if (participants.has(userId)) {
           participants.delete(userId);
+          liveSessionService
+            .recordLeave(sessionId, userId)
+            .catch((error) =>
+              console.error("Failed to record live session leave", error)
+            );
           this.io.to(`live:${sessionId}`).emit("user_left_live", {
             userId,
             userName: `${socket.user.firstName} ${socket.user.lastName}`,
@@ -533,33 +539,71 @@ class SocketManager {
   // LIVE SESSION MANAGEMENT
   // ========================================
 
-  handleJoinLiveSession(socket, data) {
-    const { sessionId, courseId } = data;
+  async handleJoinLiveSession(socket, data) {
+    const { sessionId } = data;
 
-    socket.join(`live:${sessionId}`);
+    try {
+      const access = await liveSessionService.authorizeJoin(
+        sessionId,
+        { id: socket.userId, role: socket.user.role },
+        this.liveSessions.get(sessionId)?.size || 0
+      );
 
-    if (!this.liveSessions.has(sessionId)) {
-      this.liveSessions.set(sessionId, new Set());
-    }
-    this.liveSessions.get(sessionId).add(socket.userId);
+      if (access.error) {
+        socket.emit("live_session_error", {
+          sessionId,
+          message: access.error,
+          opensAt: access.opensAt,
+        });
+        return;
+      }
 
-    socket.to(`live:${sessionId}`).emit("user_joined_live", {
-      userId: socket.userId,
-      userName: `${socket.user.firstName} ${socket.user.lastName}`,
-      role: socket.user.role,
-      totalParticipants: this.liveSessions.get(sessionId).size,
-    });
+      socket.join(`live:${sessionId}`);
 
-    socket.emit("joined_live_session", {
-      sessionId,
-      totalParticipants: this.liveSessions.get(sessionId).size,
-    });
+      if (access.isHost) {
+        socket.liveHostSessions = socket.liveHostSessions || new Set();
+        socket.liveHostSessions.add(sessionId);
+      }
+
+      if (!this.liveSessions.has(sessionId)) {
+        this.liveSessions.set(sessionId, new Set());
+      }
+      this.liveSessions.get(sessionId).add(socket.userId);
+
+      await liveSessionService.recordJoin(
+        sessionId,
+        socket.userId,
+        access.isHost
+      );
+
+      socket.to(`live:${sessionId}`).emit("user_joined_live", {
+        userId: socket.userId,
+        userName: `${socket.user.firstName} ${socket.user.lastName}`,
+        role: socket.user.role,
+        isHost: access.isHost,
+        totalParticipants: this.liveSessions.get(sessionId).size,
+      });
+
+      socket.emit("joined_live_session", {
+        sessionId,
+        status: access.session.status,
+        isHost: access.isHost,
+        totalParticipants: this.liveSessions.get(sessionId).size,
+      });
+    } catch (error) {
+      console.error("Failed to join live session", error);
+      socket.emit("live_session_error", {
+        sessionId,
+        message: "Failed to join live session",
+      });
+    }
   }
 
   handleLeaveLiveSession(socket, data) {
     const { sessionId } = data;
 
     socket.leave(`live:${sessionId}`);
+    socket.liveHostSessions?.delete(sessionId);
 
     if (this.liveSessions.has(sessionId)) {
       this.liveSessions.get(sessionId).delete(socket.userId);
@@ -574,17 +618,57 @@ class SocketManager {
         this.liveSessions.delete(sessionId);
       }
     }
+
+    liveSessionService
+      .recordLeave(sessionId, socket.userId)
+      .catch((error) =>
+        console.error("Failed to record live session leave", error)
+      );
   }
 
-  handleLiveSessionInteraction(socket, data) {
+  async handleLiveSessionInteraction(socket, data) {
     const { sessionId, type, content } = data;
 
+    if (!socket.rooms.has(`live:${sessionId}`)) {
+      socket.emit("live_session_error", {
+        sessionId,
+        message: "Join the session before interacting",
+      });
+      return;
+    }
+
+    const normalized = liveSessionService.normalizeInteractionContent(
+      type,
+      content
+    );
+    if (normalized === null) {
+      socket.emit("live_session_error", {
+        sessionId,
+        message: "Invalid interaction",
+      });
+      return;
+    }
+
+    let messageId = null;
+    try {
+      const saved = await liveSessionService.saveInteraction(
+        sessionId,
+        socket.userId,
+        type,
+        normalized
+      );
+      messageId = saved?.id || null;
+    } catch (error) {
+      console.error("Failed to persist live session message", error);
+    }
+
     socket.to(`live:${sessionId}`).emit("live_interaction", {
+      messageId,
       userId: socket.userId,
       userName: `${socket.user.firstName} ${socket.user.lastName}`,
       role: socket.user.role,
-      type, // 'hand_raise', 'chat', 'poll_response', 'reaction'
-      content,
+      type, // 'hand_raise', 'chat', 'question', 'poll_response', 'reaction'
+      content: normalized,
       timestamp: new Date(),
     });
   }
@@ -592,6 +676,14 @@ class SocketManager {
   handleScreenShare(socket, data) {
     const { sessionId, isSharing, streamId } = data;
 
+    if (!socket.liveHostSessions?.has(sessionId)) {
+      socket.emit("live_session_error", {
+        sessionId,
+        message: "Only the session host can share their screen",
+      });
+      return;
+    }
+
     socket.to(`live:${sessionId}`).emit("screen_share_update", {
       userId: socket.userId,
       userName: `${socket.user.firstName} ${socket.user.lastName}`,
@@ -616,31 +708,36 @@ class SocketManager {
   }
 
   async handleSendMessage(socket, data) {
-    const { receiverId, content, messageType, attachments } = data;
+    const { receiverId, conversationId, content, subject, attachments } = data;
 
     try {
-      const message = await prisma.message.create({
-        data: {
-          senderId: socket.userId,
-          receiverId,
-          content,
-          messageType: messageType || "DIRECT",
-          attachments: attachments || null,
-        },
-      });
+      const { default: messagingService } = await import(
+        "./messagingService.js"
+      );
 
-      // Always notify message recipient
-      this.sendToUser(receiverId, "new_message", {
-        messageId: message.id,
-        senderId: socket.userId,
-        senderName: `${socket.user.firstName} ${socket.user.lastName}`,
+      const result = await messagingService.sendMessage({
+        sender: {
+          id: socket.userId,
+          firstName: socket.user.firstName,
+          lastName: socket.user.lastName,
+          role: socket.user.role,
+        },
+        receiverId,
+        conversationId,
         content,
-        messageType,
-        hasAttachments: !!attachments,
-        sentAt: message.createdAt,
+        subject,
+        attachments,
       });
 
-      socket.emit("message_sent", { messageId: message.id });
+      if (result.error) {
+        socket.emit("error", { message: result.error, code: result.code });
+        return;
+      }
+
+      socket.emit("message_sent", {
+        messageId: result.message.id,
+        conversationId: result.conversation.id,
+      });
     } catch (error) {
       console.error("Failed to send message", error);
       socket.emit("error", { message: "Failed to send message" });
@@ -1215,6 +1312,11 @@ class SocketManager {
     });
   }
 
+  closeLiveSession(sessionId) {
+    this.io.in(`live:${sessionId}`).socketsLeave(`live:${sessionId}`);
+    this.liveSessions.delete(sessionId);
+  }
+
   // Bulk user notifications
   notifyUserGroup(userIds, notification) {
     userIds.forEach((userId) => {
@@ -0,0 +1,661 @@
+import { PrismaClient } from "@prisma/client";
+import paymentService from "./paymentService.js";
+import notificationService from "./notificationservice.js";
+import redisService from "./redis.js";
+import currencyService from "./currencyService.js";
+import earningLedgerService from "./earningLedgerService.js";
+
+const prisma = new PrismaClient();
+
+const LAPSE_GRACE_PERIOD_DAYS = 3;
+
+class SubscriptionService {
+  calculatePeriodEnd(start, interval) {
+    const end = new Date(start);
+    if (interval === "ANNUAL") {
+      end.setFullYear(end.getFullYear() + 1);
+    } else {
+      end.setMonth(end.getMonth() + 1);
+    }
+    return end;
+  }
+
+  planCoversCourse(plan, course) {
+    if (!plan || !plan.isActive) return false;
+    if (plan.scope === "ALL_COURSES") return true;
+
+    return (
+      !!plan.categoryId &&
+      (course.categoryId === plan.categoryId ||
+        course.subcategoryId === plan.categoryId)
+    );
+  }
+
+  async getActiveSubscriptions(studentId) {
+    return await prisma.subscription.findMany({
+      where: {
+        studentId,
+        status: { in: ["ACTIVE", "PAST_DUE"] },
+        currentPeriodEnd: { gt: new Date() },
+      },
+      include: { plan: true },
+      orderBy: { currentPeriodEnd: "desc" },
+    });
+  }
+
+  async findSubscriptionForCourse(studentId, course) {
+    const subscriptions = await this.getActiveSubscriptions(studentId);
+    return (
+      subscriptions.find((subscription) =>
+        this.planCoversCourse(subscription.plan, course)
+      ) || null
+    );
+  }
+
+  async enrollWithSubscription(studentId, courseId) {
+    const course = await prisma.course.findUnique({
+      where: { id: courseId },
+      select: {
+        id: true,
+        title: true,
+        status: true,
+        categoryId: true,
+        subcategoryId: true,
+      },
+    });
+
+    if (!course || course.status !== "PUBLISHED") {
+      return { error: "COURSE_NOT_FOUND" };
+    }
+
+    const subscription = await this.findSubscriptionForCourse(
+      studentId,
+      course
+    );
+
+    if (!subscription) {
+      return { error: "NO_ELIGIBLE_SUBSCRIPTION" };
+    }
+
+    const latestPayment = await prisma.payment.findFirst({
+      where: { subscriptionId: subscription.id, status: "COMPLETED" },
+      orderBy: { createdAt: "desc" },
+      select: { id: true },
+    });
+
+    if (!latestPayment) {
+      return { error: "NO_ELIGIBLE_SUBSCRIPTION" };
+    }
+
+    const existing = await prisma.enrollment.findUnique({
+      where: { studentId_courseId: { studentId, courseId } },
+    });
+
+    if (existing) {
+      // Suspension comes from a payment dispute (disputeService) and is only
+      // lifted when the dispute is resolved, not by another subscription.
+      if (existing.status === "SUSPENDED") {
+        return { error: "ENROLLMENT_SUSPENDED", enrollment: existing };
+      }
+
+      // endSubscription and the expiry job mark subscription enrollments
+      // EXPIRED whether the subscription was cancelled or ran out.
+      if (existing.subscriptionId && existing.status === "EXPIRED") {
+        const enrollment = await prisma.enrollment.update({
+          where: { id: existing.id },
+          data: {
+            status: "ACTIVE",
+            subscriptionId: subscription.id,
+            paymentId: latestPayment.id,
+            expiresAt: subscription.currentPeriodEnd,
+          },
+        });
+        return { enrollment, subscription, course, reactivated: true };
+      }
+
+      return { error: "ALREADY_ENROLLED", enrollment: existing };
+    }
+
+    const enrollment = await prisma.enrollment.create({
+      data: {
+        studentId,
+        courseId,
+        paymentId: latestPayment.id,
+        subscriptionId: subscription.id,
+        status: "ACTIVE",
+        enrollmentSource: "SUBSCRIPTION",
+        expiresAt: subscription.currentPeriodEnd,
+      },
+    });
+
+    await prisma.course.update({
+      where: { id: courseId },
+      data: { totalEnrollments: { increment: 1 } },
+    });
+
+    return { enrollment, subscription, course, reactivated: false };
+  }
+
+  getInvoiceSubscriptionId(invoice) {
+    const subscription =
+      invoice.subscription ||
+      invoice.parent?.subscription_details?.subscription;
+    return typeof subscription === "string" ? subscription : subscription?.id;
+  }
+
+  getInvoicePeriod(invoice) {
+    const line = invoice.lines?.data?.find((item) => item.period);
+    const start = line?.period?.start || invoice.period_start;
+    const end = line?.period?.end || invoice.period_end;
+
+    return {
+      start: start ? new Date(start * 1000) : new Date(),
+      end: end ? new Date(end * 1000) : null,
+    };
+  }
+
+  async resolveStripeSubscription(stripeSubscriptionId, metadata = null) {
+    let subscription = await prisma.subscription.findUnique({
+      where: { gatewaySubscriptionId: stripeSubscriptionId },
+      include: {
+        plan: true,
+        student: { select: { id: true, userId: true } },
+      },
+    });
+
+    if (subscription) return subscription;
+
+    let localId = metadata?.subscriptionId;
+    if (!localId) {
+      const stripeSubscription =
+        await paymentService.retrieveStripeSubscription(stripeSubscriptionId);
+      localId = stripeSubscription.metadata?.subscriptionId;
+    }
+
+    if (!localId) return null;
+
+    subscription = await prisma.subscription.update({
+      where: { id: localId },
+      data: { gatewaySubscriptionId: stripeSubscriptionId },
+      include: {
+        plan: true,
+        student: { select: { id: true, userId: true } },
+      },
+    });
+
+    return subscription;
+  }
+
+  async linkCheckoutSession(session) {
+    const localId =
+      session.metadata?.subscriptionId || session.client_reference_id;
+    if (!localId || !session.subscription) return null;
+
+    return await prisma.subscription.update({
+      where: { id: localId },
+      data: {
+        gatewaySubscriptionId:
+          typeof session.subscription === "string"
+            ? session.subscription
+            : session.subscription.id,
+        gatewayCustomerId:
+          typeof session.customer === "string"
+            ? session.customer
+            : session.customer?.id,
+      },
+    });
+  }
+
+  async handleInvoicePaid(invoice, socketManager) {
+    const stripeSubscriptionId = this.getInvoiceSubscriptionId(invoice);
+    if (!stripeSubscriptionId) {
+      console.log(`Invoice ${invoice.id} is not linked to a subscription`);
+      return;
+    }
+
+    const subscription = await this.resolveStripeSubscription(
+      stripeSubscriptionId,
+      invoice.parent?.subscription_details?.metadata ||
+        invoice.subscription_details?.metadata
+    );
+
+    if (!subscription) {
+      console.log(
+        `Subscription not found for Stripe subscription: ${stripeSubscriptionId}`
+      );
+      return;
+    }
+
+    const existingPayment = await prisma.payment.findFirst({
+      where: {
+        subscriptionId: subscription.id,
+        metadata: { path: ["invoiceId"], equals: invoice.id },
+      },
+    });
+
+    if (existingPayment) {
+      console.log(`Invoice ${invoice.id} already processed`);
+      return;
+    }
+
+    const period = this.getInvoicePeriod(invoice);
+    const periodEnd =
+      period.end && period.end > period.start
+        ? period.end
+        : this.calculatePeriodEnd(period.start, subscription.plan.interval);
+    const amount = (invoice.amount_paid || 0) / 100;
+
+    const payment = await prisma.payment.create({
+      data: {
+        amount,
+        originalAmount: amount,
+        currency: (
+          invoice.currency || subscription.plan.currency
+        ).toUpperCase(),
+        status: "COMPLETED",
+        method: "CREDIT_CARD",
+        gateway: "STRIPE",
+        transactionId:
+          (typeof invoice.payment_intent === "string"
+            ? invoice.payment_intent
+            : invoice.payment_intent?.id) || invoice.id,
+        gatewayResponse: {
+          invoiceId: invoice.id,
+          billingReason: invoice.billing_reason,
+          hostedInvoiceUrl: invoice.hosted_invoice_url,
+        },
+        invoiceUrl: invoice.invoice_pdf || invoice.hosted_invoice_url || null,
+        metadata: {
+          type: "SUBSCRIPTION",
+          invoiceId: invoice.id,
+          planId: subscription.planId,
+          userId: subscription.student.userId,
+          periodStart: period.start.toISOString(),
+          periodEnd: periodEnd.toISOString(),
+        },
+        subscriptionId: subscription.id,
+      },
+    });
+
+    const isFirstPayment = subscription.status === "INCOMPLETE";
+
+    await prisma.subscription.update({
+      where: { id: subscription.id },
+      data: {
+        status: "ACTIVE",
+        currentPeriodStart: period.start,
+        currentPeriodEnd: periodEnd,
+        gatewayCustomerId:
+          subscription.gatewayCustomerId ||
+          (typeof invoice.customer === "string"
+            ? invoice.customer
+            : invoice.customer?.id) ||
+          null,
+      },
+    });
+
+    await prisma.enrollment.updateMany({
+      where: {
+        subscriptionId: subscription.id,
+        status: { in: ["ACTIVE", "EXPIRED"] },
+      },
+      data: {
+        status: "ACTIVE",
+        expiresAt: periodEnd,
+        paymentId: payment.id,
+      },
+    });
+
+    await this.settlePendingRevenueShare(subscription.id, payment.id);
+
+    await notificationService.createNotification({
+      userId: subscription.student.userId,
+      type: "PAYMENT_RECEIVED",
+      title: isFirstPayment ? "Subscription Activated" : "Subscription Renewed",
+      message: isFirstPayment
+        ? `Your ${subscription.plan.name} membership is now active`
+        : `Your ${
+            subscription.plan.name
+          } membership has been renewed until ${periodEnd.toLocaleDateString()}`,
+      priority: "NORMAL",
+      data: {
+        subscriptionId: subscription.id,
+        planId: subscription.planId,
+        paymentId: payment.id,
+        amount,
+        currentPeriodEnd: periodEnd,
+      },
+      actionUrl: "/student/subscriptions",
+    });
+
+    if (socketManager) {
+      socketManager.notifyPaymentSuccess(subscription.student.userId, {
+        paymentId: payment.id,
+        amount,
+        currency: payment.currency,
+        subscriptionId: subscription.id,
+      });
+    }
+
+    await this.invalidateStudentCache(subscription.student.userId);
+
+    return payment;
+  }
+
+  async handleInvoicePaymentFailed(invoice) {
+    const stripeSubscriptionId = this.getInvoiceSubscriptionId(invoice);
+    if (!stripeSubscriptionId) return;
+
+    const subscription = await prisma.subscription.findUnique({
+      where: { gatewaySubscriptionId: stripeSubscriptionId },
+      include: {
+        plan: true,
+        student: { select: { userId: true } },
+      },
+    });
+
+    if (!subscription || subscription.status !== "ACTIVE") return;
+
+    await prisma.subscription.update({
+      where: { id: subscription.id },
+      data: { status: "PAST_DUE" },
+    });
+
+    await notificationService.createNotification({
+      userId: subscription.student.userId,
+      type: "PAYMENT_FAILED",
+      title: "Subscription Payment Failed",
+      message: `We couldn't renew your ${subscription.plan.name} membership. Please update your payment method to keep your access.`,
+      priority: "HIGH",
+      data: {
+        subscriptionId: subscription.id,
+        invoiceId: invoice.id,
+        currentPeriodEnd: subscription.currentPeriodEnd,
+      },
+      actionUrl: "/student/subscriptions",
+    });
+  }
+
+  async handleSubscriptionDeleted(stripeSubscription) {
+    const subscription = await prisma.subscription.findUnique({
+      where: { gatewaySubscriptionId: stripeSubscription.id },
+      include: {
+        plan: true,
+        student: { select: { userId: true } },
+      },
+    });
+
+    if (!subscription) {
+      console.log(
+        `Subscription not found for Stripe subscription: ${stripeSubscription.id}`
+      );
+      return;
+    }
+
+    await this.endSubscription(
+      subscription,
+      subscription.cancelAtPeriodEnd || subscription.cancelledAt
+        ? "CANCELLED"
+        : "EXPIRED"
+    );
+  }
+
+  async endSubscription(subscription, status) {
+    const endedAt = new Date();
+
+    await prisma.$transaction([
+      prisma.subscription.update({
+        where: { id: subscription.id },
+        data: {
+          status,
+          endedAt,
+          cancelledAt:
+            status === "CANCELLED"
+              ? subscription.cancelledAt || endedAt
+              : subscription.cancelledAt,
+        },
+      }),
+      prisma.enrollment.updateMany({
+        where: { subscriptionId: subscription.id, status: "ACTIVE" },
+        data: { status: "EXPIRED", expiresAt: endedAt },
+      }),
+    ]);
+
+    await this.settlePendingRevenueShare(subscription.id);
+
+    await notificationService.createNotification({
+      userId: subscription.student.userId,
+      type: "SYSTEM_ANNOUNCEMENT",
+      title: "Membership Ended",
+      message: `Your ${subscription.plan.name} membership has ended. Courses accessed through it are no longer available.`,
+      priority: "NORMAL",
+      data: {
+        subscriptionId: subscription.id,
+        planId: subscription.planId,
+        endedAt,
+      },
+      actionUrl: "/student/subscriptions",
+    });
+
+    await this.invalidateStudentCache(subscription.student.userId);
+  }
+
+  async settlePendingRevenueShare(subscriptionId, excludePaymentId = null) {
+    const payments = await prisma.payment.findMany({
+      where: {
+        subscriptionId,
+        status: "COMPLETED",
+        earnings: { none: {} },
+        ...(excludePaymentId && { id: { not: excludePaymentId } }),
+      },
+      orderBy: { createdAt: "asc" },
+    });
+
+    for (const payment of payments) {
+      if (payment.metadata?.revenueShare) continue;
+
+      try {
+        await this.distributeRevenueShare(payment);
+      } catch (error) {
+        console.error(
+          `Failed to distribute subscription revenue for payment ${payment.id}:`,
+          error
+        );
+      }
+    }
+  }
+
+  async distributeRevenueShare(payment) {
+    const subscription = await prisma.subscription.findUnique({
+      where: { id: payment.subscriptionId },
+      include: { plan: true },
+    });
+
+    const periodStart = new Date(
+      payment.metadata?.periodStart || payment.createdAt
+    );
+    const periodEnd = new Date(payment.metadata?.periodEnd || new Date());
+
+    const completions = await prisma.lessonCompletion.findMany({
+      where: {
+        studentId: subscription.studentId,
+        completedAt: { gte: periodStart, lte: periodEnd },
+        lesson: {
+          section: {
+            course: {
+              enrollments: {
+                some: {
+                  studentId: subscription.studentId,
+                  subscriptionId: subscription.id,
+                },
+              },
+            },
+          },
+        },
+      },
+      select: {
+        watchTime: true,
+        timeSpent: true,
+        lesson: {
+          select: {
+            duration: true,
+            section: {
+              select: {
+                course: { select: { id: true, instructorId: true } },
+              },
+            },
+          },
+        },
+      },
+    });
+
+    const watchTimeByInstructor = {};
+    completions.forEach((completion) => {
+      const instructorId = completion.lesson.section.course.instructorId;
+      const seconds =
+        completion.watchTime ||
+        completion.timeSpent ||
+        completion.lesson.duration ||
+        0;
+      watchTimeByInstructor[instructorId] =
+        (watchTimeByInstructor[instructorId] || 0) + seconds;
+    });
+
+    const totalWatchTime = Object.values(watchTimeByInstructor).reduce(
+      (sum, seconds) => sum + seconds,
+      0
+    );
+    const paymentAmount = parseFloat(payment.amount);
+    const sharePercent = parseFloat(subscription.plan.instructorSharePercent);
+    const instructorPool = (paymentAmount * sharePercent) / 100;
+
+    const distribution = [];
+
+    if (totalWatchTime > 0 && paymentAmount > 0) {
+      const baseAmount =
+        payment.baseAmount != null
+          ? parseFloat(payment.baseAmount)
+          : await currencyService.toBase(paymentAmount, payment.currency);
+      const instructors = await prisma.instructor.findMany({
+        where: { id: { in: Object.keys(watchTimeByInstructor) } },
+        select: { id: true, payoutCurrency: true },
+      });
+      const payoutCurrencies = Object.fromEntries(
+        instructors.map((instructor) => [
+          instructor.id,
+          instructor.payoutCurrency,
+        ])
+      );
+
+      for (const [instructorId, watchTime] of Object.entries(
+        watchTimeByInstructor
+      )) {
+        const ratio = watchTime / totalWatchTime;
+
+        // Same split, refund hold and ledger entry as a course sale.
+        const earningAmounts = await currencyService.splitEarning({
+          baseAmount: baseAmount * ratio,
+          chargedAmount: paymentAmount * ratio,
+          chargedCurrency: payment.currency,
+          payoutCurrency: payoutCurrencies[instructorId],
+          share: sharePercent / 100,
+        });
+
+        if (earningAmounts.commission <= 0) continue;
+
+        const earning = await prisma.earning.create({
+          data: {
+            ...earningAmounts,
+            ...(await earningLedgerService.getHoldFields()),
+            instructorId,
+            paymentId: payment.id,
+          },
+        });
+
+        await earningLedgerService.recordEarning(earning);
+
+        await prisma.instructor.update({
+          where: { id: instructorId },
+          data: { totalRevenue: { increment: earningAmounts.baseAmount } },
+        });
+
+        distribution.push({
+          instructorId,
+          watchTime,
+          amount: earningAmounts.commission,
+          currency: earningAmounts.currency,
+        });
+      }
+    }
+
+    await prisma.payment.update({
+      where: { id: payment.id },
+      data: {
+        metadata: {
+          ...payment.metadata,
+          revenueShare: {
+            settledAt: new Date().toISOString(),
+            sharePercent,
+            instructorPool,
+            totalWatchTime,
+            distribution,
+          },
+        },
+      },
+    });
+
+    return distribution;
+  }
+
+  async expireLapsedSubscriptions() {
+    const cutoff = new Date(
+      Date.now() - LAPSE_GRACE_PERIOD_DAYS * 24 * 60 * 60 * 1000
+    );
+
+    const lapsed = await prisma.subscription.findMany({
+      where: {
+        status: { in: ["ACTIVE", "PAST_DUE"] },
+        currentPeriodEnd: { lt: cutoff },
+      },
+      include: {
+        plan: true,
+        student: { select: { userId: true } },
+      },
+    });
+
+    for (const subscription of lapsed) {
+      try {
+        await this.endSubscription(subscription, "EXPIRED");
+      } catch (error) {
+        console.error(
+          `Failed to expire subscription ${subscription.id}:`,
+          error
+        );
+      }
+    }
+
+    const expiredEnrollments = await prisma.enrollment.updateMany({
+      where: {
+        subscriptionId: { not: null },
+        status: "ACTIVE",
+        expiresAt: { lt: cutoff },
+      },
+      data: { status: "EXPIRED" },
+    });
+
+    return {
+      subscriptions: lapsed.length,
+      enrollments: expiredEnrollments.count,
+    };
+  }
+
+  async invalidateStudentCache(userId) {
+    await Promise.all([
+      redisService.invalidateCache(`enrolled_courses:*userId=${userId}*`),
+      redisService.invalidateCache(`course_content:*userId=${userId}*`),
+      redisService.invalidateCache(`lesson:*userId=${userId}*`),
+    ]);
+  }
+}
+
+export default new SubscriptionService();
@@ -0,0 +1,186 @@
+import { PrismaClient } from "@prisma/client";
+import redisService from "./redis.js";
+import invoiceService from "./invoiceService.js";
+
+const prisma = new PrismaClient();
+
+const TAX_RULES_CACHE_KEY = "tax_rules";
+
+const round = (value) => Math.round(value * 100) / 100;
+
+class TaxService {
+  getDefaultRule() {
+    return {
+      id: null,
+      name: "Default",
+      taxName: process.env.DEFAULT_TAX_NAME || "GST",
+      country: null,
+      state: null,
+      rate: parseFloat(process.env.DEFAULT_TAX_RATE || "18"),
+      pricingMode: "EXCLUSIVE",
+      reverseChargeEnabled: false,
+      taxIdLabel: null,
+      taxIdPattern: null,
+    };
+  }
+
+  async getRules() {
+    const cached = await redisService.getJSON(TAX_RULES_CACHE_KEY);
+    if (cached) return cached;
+
+    const rules = await prisma.taxRule.findMany({
+      where: { isActive: true },
+      orderBy: [{ priority: "desc" }, { createdAt: "asc" }],
+    });
+
+    await redisService.setJSON(TAX_RULES_CACHE_KEY, rules, { ex: 300 });
+    return rules;
+  }
+
+  async invalidateRules() {
+    await redisService.del(TAX_RULES_CACHE_KEY);
+  }
+
+  normalizeRegion(value) {
+    return String(value)
+      .toLowerCase()
+      .replace(/&/g, "and")
+      .replace(/[^a-z0-9]/g, "");
+  }
+
+  // Indian states may arrive as a name, an ISO code or a GST state code.
+  matchesState(ruleState, state, country) {
+    if (!ruleState) return true;
+    if (!state) return false;
+
+    if (this.normalizeRegion(ruleState) === this.normalizeRegion(state)) {
+      return true;
+    }
+
+    if (country === "IN") {
+      const ruleCode = invoiceService.resolveStateCode(ruleState);
+      return !!ruleCode && ruleCode === invoiceService.resolveStateCode(state);
+    }
+
+    return false;
+  }
+
+  getSpecificity(rule) {
+    return (rule.state ? 2 : 0) + (rule.country ? 1 : 0);
+  }
+
+  // State rules beat country rules, which beat catch-all rules; priority
+  // breaks ties. Without any rule the platform default rate applies.
+  async resolveRule({ country = null, state = null } = {}) {
+    const countryCode = country ? String(country).toUpperCase() : null;
+    const rules = await this.getRules();
+
+    const matched = rules
+      .filter(
+        (rule) =>
+          (!rule.country || rule.country === countryCode) &&
+          this.matchesState(rule.state, state, countryCode)
+      )
+      .sort(
+        (a, b) =>
+          this.getSpecificity(b) - this.getSpecificity(a) ||
+          b.priority - a.priority
+      );
+
+    return matched[0] || this.getDefaultRule();
+  }
+
+  normalizeTaxId(taxId) {
+    return String(taxId).replace(/[\s-]/g, "").toUpperCase();
+  }
+
+  validateTaxId(rule, taxId) {
+    if (!taxId) return false;
+
+    const value = this.normalizeTaxId(taxId);
+
+    if (rule.taxIdPattern) {
+      try {
+        return new RegExp(rule.taxIdPattern).test(value);
+      } catch (error) {
+        console.error(`Invalid tax ID pattern on rule ${rule.id}:`, error);
+        return false;
+      }
+    }
+
+    if (rule.country === "IN") {
+      return invoiceService.isValidGstin(value);
+    }
+
+    return /^[A-Z0-9]{5,20}$/.test(value);
+  }
+
+  // Inclusive rules treat the amount as tax-inclusive and carve the tax out;
+  // exclusive rules add tax on top. A valid tax ID on a reverse-charge rule
+  // shifts the liability to the buyer, so no tax is collected.
+  async calculate({ amount, country = null, state = null, taxId = null }) {
+    const rule = await this.resolveRule({ country, state });
+    const rate = parseFloat(rule.rate);
+    const baseAmount = round(Math.max(0, parseFloat(amount) || 0));
+    const taxIdValid = taxId ? this.validateTaxId(rule, taxId) : false;
+    const reverseCharge = !!rule.reverseChargeEnabled && taxIdValid;
+
+    const taxableAmount =
+      rule.pricingMode === "INCLUSIVE"
+        ? round(baseAmount / (1 + rate / 100))
+        : baseAmount;
+    const taxAmount = reverseCharge
+      ? 0
+      : rule.pricingMode === "INCLUSIVE"
+      ? round(baseAmount - taxableAmount)
+      : round((baseAmount * rate) / 100);
+
+    return {
+      baseAmount,
+      taxableAmount,
+      taxAmount,
+      totalAmount: round(taxableAmount + taxAmount),
+      rate,
+      taxName: rule.taxName,
+      pricingMode: rule.pricingMode,
+      reverseCharge,
+      taxId: taxId ? this.normalizeTaxId(taxId) : null,
+      taxIdLabel:
+        rule.taxIdLabel || (rule.country === "IN" ? "GSTIN" : "Tax ID"),
+      taxIdValid,
+      country: country ? String(country).toUpperCase() : null,
+      state: state || null,
+      rule: {
+        id: rule.id,
+        name: rule.name,
+        taxName: rule.taxName,
+        country: rule.country,
+        state: rule.state,
+        rate,
+        pricingMode: rule.pricingMode,
+        reverseChargeEnabled: rule.reverseChargeEnabled,
+      },
+      calculatedAt: new Date().toISOString(),
+    };
+  }
+
+  // Refunds give back the tax share recorded at checkout.
+  getRefundTax(payment, refundAmount) {
+    const snapshot = payment.taxSnapshot;
+    const totalAmount = snapshot
+      ? snapshot.totalAmount
+      : parseFloat(payment.amount);
+    const taxAmount = snapshot
+      ? snapshot.taxAmount
+      : parseFloat(payment.tax || 0);
+
+    if (!totalAmount || !taxAmount) return 0;
+
+    return round(
+      (Math.min(parseFloat(refundAmount), totalAmount) * taxAmount) /
+        totalAmount
+    );
+  }
+}
+
+export default new TaxService();